@@ -1,15 +1,32 @@
 // Background service worker for Uptrade Sales Extension
 
+importScripts('tech-signatures.js', 'prospect-analysis.js');
+
 // Toggle for local development vs production
 const IS_DEV = true;
 
 const API_BASE = IS_DEV ? 'http://localhost:3002' : 'https://api.uptrademedia.com';
 const PORTAL_URL = IS_DEV ? 'http://localhost:5173' : 'https://portal.uptrademedia.com';
 
+// Tech stack signatures are refreshed from the API at most this often
+const SIGNATURES_TTL_MS = 12 * 60 * 60 * 1000;
+// After a failed refresh the bundled copy is only trusted this long, so a
+// network blip doesn't hold off the API for the full TTL
+const SIGNATURES_RETRY_MS = 10 * 60 * 1000;
+
+// Bulk prospect queue limits
+const BULK_DEFAULT_CONCURRENCY = 3;
+const BULK_MAX_CONCURRENCY = 5;
+const BULK_MAX_PROSPECTS = 250;
+const BULK_PAGE_TIMEOUT_MS = 30000;
+
 // Handle installation - set up side panel
 chrome.runtime.onInstalled.addListener(() => {
   console.log('Uptrade Sales Extension installed');
   
+  // A new version may ship newer bundled signatures than the cached copy
+  chrome.storage.local.remove('techSignatures');
+  
   // Enable side panel behavior
   if (chrome.sidePanel) {
     chrome.sidePanel.setPanelBehavior({ openPanelOnActionClick: true })
@@ -93,6 +110,60 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     return true;
   }
   
+  // Tech stack signature database for the content script
+  if (request.action === 'getTechSignatures') {
+    loadTechSignatures()
+      .then(db => sendResponse({ success: true, db }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+  
+  // Read page globals (window.Shopify, jQuery.fn.jquery, ...) from the page's own
+  // JS world - content scripts run isolated and can't see them
+  if (request.action === 'readPageGlobals') {
+    readPageGlobals(sender.tab?.id, request.paths || [])
+      .then(globals => sendResponse({ success: true, globals }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+  
+  // Bulk prospect queue - progress is mirrored to chrome.storage (bulkQueue)
+  // so the side panel can re-render from storage.onChanged
+  if (request.action === 'bulkStart') {
+    startBulkQueue(request.prospects || [], request.concurrency)
+      .then(queue => sendResponse({ success: true, queue }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+  
+  if (request.action === 'bulkGetQueue') {
+    getBulkQueue()
+      .then(queue => sendResponse({ success: true, queue }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+  
+  if (request.action === 'bulkCancel') {
+    cancelBulkQueue()
+      .then(queue => sendResponse({ success: true, queue }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+  
+  if (request.action === 'bulkSaveLeads') {
+    saveBulkLeads(request.tiers || ['hot', 'warm'])
+      .then(result => sendResponse({ success: true, ...result }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+  
+  if (request.action === 'bulkClear') {
+    clearBulkQueue()
+      .then(() => sendResponse({ success: true }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+  
   // Check auth from open portal tab
   if (request.action === 'checkAuthFromPortal') {
     checkAuthFromPortalTab()
@@ -132,6 +203,340 @@ async function handleApiCall(request) {
   return response.json();
 }
 
+/**
+ * Load the tech stack signature database: cached copy if fresh, otherwise the
+ * latest from the API, falling back to a stale cache and then the bundled file
+ */
+async function loadTechSignatures() {
+  const { techSignatures: cached } = await chrome.storage.local.get(['techSignatures']);
+  if (cached && Date.now() - cached.fetchedAt < SIGNATURES_TTL_MS) {
+    return cached;
+  }
+  
+  try {
+    const response = await fetch(`${API_BASE}/extension/tech-signatures`);
+    if (!response.ok) throw new Error(`API error: ${response.status}`);
+    const db = await response.json();
+    if (!self.UptradeTechSignatures.isValidDatabase(db)) throw new Error('Invalid signature database');
+    
+    const entry = { ...db, source: 'api', fetchedAt: Date.now() };
+    await chrome.storage.local.set({ techSignatures: entry });
+    return entry;
+  } catch (err) {
+    console.log('[Uptrade Extension] Signature refresh failed:', err.message);
+  }
+  
+  if (cached) return cached;
+  
+  const response = await fetch(chrome.runtime.getURL('signatures.json'));
+  const bundled = {
+    ...(await response.json()),
+    source: 'bundled',
+    fetchedAt: Date.now() - SIGNATURES_TTL_MS + SIGNATURES_RETRY_MS
+  };
+  await chrome.storage.local.set({ techSignatures: bundled });
+  return bundled;
+}
+
+/**
+ * Read dot-path globals in the page's main world
+ */
+async function readPageGlobals(tabId, paths) {
+  if (!tabId || paths.length === 0) return {};
+  
+  // readGlobals only touches its arguments, so it can be serialized into the page
+  const results = await chrome.scripting.executeScript({
+    target: { tabId },
+    world: 'MAIN',
+    args: [paths],
+    func: self.UptradeTechSignatures.readGlobals
+  });
+  
+  return results?.[0]?.result || {};
+}
+
+// Bulk prospect queue state. The in-memory copy is the source of truth while
+// this worker runs; every change is persisted so a restarted worker can resume.
+let bulkQueue = null;
+let bulkWorkers = 0;
+
+async function getBulkQueue() {
+  if (!bulkQueue) {
+    const { bulkQueue: stored } = await chrome.storage.local.get(['bulkQueue']);
+    bulkQueue = bulkQueue || stored || null;
+  }
+  return bulkQueue;
+}
+
+function saveBulkQueue() {
+  return bulkQueue
+    ? chrome.storage.local.set({ bulkQueue })
+    : chrome.storage.local.remove('bulkQueue');
+}
+
+async function updateBulkItem(item, changes) {
+  Object.assign(item, changes);
+  await saveBulkQueue();
+}
+
+/**
+ * Queue a list of prospects ({ url, domain, name }) for analysis
+ */
+async function startBulkQueue(prospects, concurrency) {
+  const existing = await getBulkQueue();
+  if (existing?.status === 'running') {
+    throw new Error('A bulk analysis is already running');
+  }
+  if (prospects.length === 0) {
+    throw new Error('No valid URLs to analyze');
+  }
+  
+  bulkQueue = {
+    id: Date.now().toString(36),
+    status: 'running',
+    concurrency: Math.min(Math.max(parseInt(concurrency) || BULK_DEFAULT_CONCURRENCY, 1), BULK_MAX_CONCURRENCY),
+    createdAt: Date.now(),
+    finishedAt: null,
+    items: prospects.slice(0, BULK_MAX_PROSPECTS).map((p, index) => ({
+      id: String(index),
+      url: p.url,
+      domain: p.domain,
+      name: p.name || null,
+      status: 'queued',
+      score: null,
+      tier: null,
+      companyId: null,
+      platform: null,
+      error: null,
+      saved: false,
+      limited: false,
+      tabId: null
+    }))
+  };
+  
+  await saveBulkQueue();
+  runBulkQueue();
+  return bulkQueue;
+}
+
+/**
+ * Top up workers to the queue's concurrency limit
+ */
+function runBulkQueue() {
+  const slots = (bulkQueue?.concurrency || 0) - bulkWorkers;
+  for (let i = 0; i < slots; i++) {
+    bulkWorker();
+  }
+}
+
+async function bulkWorker() {
+  bulkWorkers++;
+  try {
+    while (bulkQueue?.status === 'running') {
+      const item = bulkQueue.items.find(i => i.status === 'queued');
+      if (!item) break;
+      await processBulkItem(item);
+    }
+  } finally {
+    bulkWorkers--;
+    if (bulkWorkers === 0 && bulkQueue?.status === 'running') {
+      bulkQueue.status = 'done';
+      bulkQueue.finishedAt = Date.now();
+      await saveBulkQueue();
+    }
+  }
+}
+
+/**
+ * Open the site in a background tab, collect the same page data the side
+ * panel uses, and score it with the analyze endpoint
+ */
+async function processBulkItem(item) {
+  const { buildAnalyzeRequest, getLeadTier } = self.UptradeProspectAnalysis;
+  let tabId = null;
+  
+  await updateBulkItem(item, { status: 'loading', error: null });
+  
+  try {
+    const tab = await chrome.tabs.create({ url: item.url, active: false });
+    tabId = tab.id;
+    await updateBulkItem(item, { tabId });
+    await waitForTabComplete(tabId, BULK_PAGE_TIMEOUT_MS);
+    
+    // Without access to the site (the user declined it, or the page redirected
+    // to another domain) only the content script's isolated view is available,
+    // so signatures that rely on page globals can't match
+    const loadedTab = await chrome.tabs.get(tabId);
+    const limited = !(await hasHostAccess(loadedTab.url));
+    
+    const pageData = await collectTabPageData(tabId);
+    await chrome.tabs.remove(tabId).catch(() => {});
+    tabId = null;
+    
+    await updateBulkItem(item, { status: 'analyzing', tabId: null, limited });
+    
+    const body = buildAnalyzeRequest(pageData);
+    body.businessInfo.companyName = body.businessInfo.companyName || item.name;
+    
+    const company = await handleApiCall({
+      method: 'POST',
+      endpoint: '/crm/target-companies/analyze',
+      body
+    });
+    
+    const score = company?.score || 0;
+    await updateBulkItem(item, {
+      status: 'done',
+      score,
+      tier: getLeadTier(score),
+      companyId: company?.id || null,
+      platform: body.techStack.platform
+    });
+  } catch (err) {
+    console.error('[Uptrade Extension] Bulk analysis failed for', item.domain, err);
+    await updateBulkItem(item, { status: 'error', error: err.message });
+  } finally {
+    if (tabId) {
+      await chrome.tabs.remove(tabId).catch(() => {});
+      await updateBulkItem(item, { tabId: null });
+    }
+  }
+}
+
+async function hasHostAccess(url) {
+  try {
+    return await chrome.permissions.contains({ origins: [`${new URL(url).origin}/*`] });
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Resolve once the tab finishes loading. Slow sites resolve at the timeout
+ * anyway - whatever has rendered is still worth analyzing.
+ */
+function waitForTabComplete(tabId, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const cleanup = () => {
+      clearTimeout(timer);
+      chrome.tabs.onUpdated.removeListener(onUpdated);
+      chrome.tabs.onRemoved.removeListener(onRemoved);
+    };
+    const onUpdated = (id, changeInfo) => {
+      if (id === tabId && changeInfo.status === 'complete') {
+        cleanup();
+        resolve();
+      }
+    };
+    const onRemoved = (id) => {
+      if (id === tabId) {
+        cleanup();
+        reject(new Error('Tab was closed before the page loaded'));
+      }
+    };
+    const timer = setTimeout(() => {
+      cleanup();
+      resolve();
+    }, timeoutMs);
+    
+    chrome.tabs.onUpdated.addListener(onUpdated);
+    chrome.tabs.onRemoved.addListener(onRemoved);
+    
+    // The page may have finished before the listeners were attached
+    chrome.tabs.get(tabId).then(tab => {
+      if (tab.status === 'complete') {
+        cleanup();
+        resolve();
+      }
+    }).catch(() => {});
+  });
+}
+
+/**
+ * Ask the tab's content script for page data, injecting it if the declared
+ * content script didn't run (e.g. the tab was still on about:blank)
+ */
+async function collectTabPageData(tabId, retries = 3) {
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    try {
+      const response = await chrome.tabs.sendMessage(tabId, { action: 'getPageData' });
+      if (response?.error) throw new Error(response.error);
+      if (response) return response;
+    } catch (err) {
+      if (attempt === retries) throw new Error(`Could not read page: ${err.message}`);
+      await chrome.scripting.executeScript({
+        target: { tabId },
+        files: ['tech-signatures.js', 'content.js']
+      }).catch(() => {});
+    }
+    await new Promise(resolve => setTimeout(resolve, 500));
+  }
+  throw new Error('Could not read page');
+}
+
+async function cancelBulkQueue() {
+  const queue = await getBulkQueue();
+  if (queue?.status !== 'running') return queue;
+  
+  // Sites already loading finish; everything still queued is skipped
+  queue.status = 'cancelled';
+  queue.finishedAt = Date.now();
+  queue.items
+    .filter(item => item.status === 'queued')
+    .forEach(item => { item.status = 'skipped'; });
+  await saveBulkQueue();
+  return queue;
+}
+
+/**
+ * Claim every analyzed lead in the given tiers for the signed-in rep
+ */
+async function saveBulkLeads(tiers) {
+  const queue = await getBulkQueue();
+  const leads = (queue?.items || []).filter(item =>
+    item.status === 'done' && item.companyId && !item.saved && tiers.includes(item.tier)
+  );
+  
+  let saved = 0;
+  let failed = 0;
+  for (const item of leads) {
+    try {
+      await handleApiCall({ method: 'POST', endpoint: `/crm/target-companies/${item.companyId}/claim` });
+      await updateBulkItem(item, { saved: true });
+      saved++;
+    } catch (err) {
+      console.error('[Uptrade Extension] Failed to save lead', item.domain, err);
+      await updateBulkItem(item, { error: err.message });
+      failed++;
+    }
+  }
+  
+  return { saved, failed };
+}
+
+async function clearBulkQueue() {
+  const queue = await getBulkQueue();
+  if (queue?.status === 'running') {
+    throw new Error('Cancel the running analysis first');
+  }
+  bulkQueue = null;
+  await saveBulkQueue();
+}
+
+// The service worker can be stopped mid-run - pick the queue back up on wake.
+// Sites that were in flight start over (closing any tab they left open).
+getBulkQueue().then(queue => {
+  if (queue?.status !== 'running' || bulkWorkers > 0) return;
+  queue.items
+    .filter(item => item.status === 'loading' || item.status === 'analyzing')
+    .forEach(item => {
+      if (item.tabId) chrome.tabs.remove(item.tabId).catch(() => {});
+      Object.assign(item, { status: 'queued', tabId: null });
+    });
+  saveBulkQueue();
+  runBulkQueue();
+});
+
 /**
  * Check for auth token from any open portal tab
  */
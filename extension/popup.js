@@ -6,6 +6,9 @@ const IS_DEV = true;
 const API_BASE = IS_DEV ? 'http://localhost:3002' : 'https://api.uptrademedia.com';
 const PORTAL_URL = IS_DEV ? 'http://localhost:5173' : 'https://portal.uptrademedia.com';
 
+// Shared with the background worker (prospect-analysis.js)
+const ProspectAnalysis = window.UptradeProspectAnalysis;
+
 // State
 let currentTab = null;
 let pageData = null;
@@ -85,6 +88,24 @@ const emailTone = document.getElementById('emailTone');
 const logoutBtn = document.getElementById('logoutBtn');
 const saveSettingsBtn = document.getElementById('saveSettingsBtn');
 
+// Bulk analyze
+const bulkBtn = document.getElementById('bulkBtn');
+const bulkModal = document.getElementById('bulkModal');
+const closeBulkModal = document.getElementById('closeBulkModal');
+const bulkInputSection = document.getElementById('bulkInputSection');
+const bulkUrls = document.getElementById('bulkUrls');
+const bulkCsvFile = document.getElementById('bulkCsvFile');
+const bulkConcurrency = document.getElementById('bulkConcurrency');
+const bulkParseSummary = document.getElementById('bulkParseSummary');
+const bulkProgressSection = document.getElementById('bulkProgressSection');
+const bulkProgressText = document.getElementById('bulkProgressText');
+const bulkProgressBar = document.getElementById('bulkProgressBar');
+const bulkResults = document.getElementById('bulkResults');
+const bulkStartBtn = document.getElementById('bulkStartBtn');
+const bulkCancelBtn = document.getElementById('bulkCancelBtn');
+const bulkClearBtn = document.getElementById('bulkClearBtn');
+const bulkSaveLeadsBtn = document.getElementById('bulkSaveLeadsBtn');
+
 const toast = document.getElementById('toast');
 const toastMessage = document.getElementById('toastMessage');
 
@@ -142,6 +163,11 @@ async function init() {
   
   // Listen for auth changes (when user logs in on portal)
   chrome.storage.onChanged.addListener((changes, namespace) => {
+    // Bulk queue progress is written by the background worker
+    if (namespace === 'local' && changes.bulkQueue && !bulkModal.classList.contains('hidden')) {
+      renderBulkQueue(changes.bulkQueue.newValue || null);
+    }
+    
     if (namespace === 'local' && changes.authToken) {
       console.log('[Uptrade Popup] Auth token changed');
       if (changes.authToken.newValue) {
@@ -205,6 +231,16 @@ function setupEventListeners() {
   if (saveProspectBtn) saveProspectBtn.addEventListener('click', handleSaveProspect);
   if (saveContactsBtn) saveContactsBtn.addEventListener('click', handleSaveContacts);
   
+  // Bulk analyze
+  if (bulkBtn) bulkBtn.addEventListener('click', openBulkModal);
+  if (closeBulkModal) closeBulkModal.addEventListener('click', () => bulkModal.classList.add('hidden'));
+  if (bulkUrls) bulkUrls.addEventListener('input', updateBulkParseSummary);
+  if (bulkCsvFile) bulkCsvFile.addEventListener('change', handleBulkCsvFile);
+  if (bulkStartBtn) bulkStartBtn.addEventListener('click', handleBulkStart);
+  if (bulkCancelBtn) bulkCancelBtn.addEventListener('click', handleBulkCancel);
+  if (bulkClearBtn) bulkClearBtn.addEventListener('click', handleBulkClear);
+  if (bulkSaveLeadsBtn) bulkSaveLeadsBtn.addEventListener('click', handleBulkSaveLeads);
+  
   // Email modal
   if (closeEmailModal) closeEmailModal.addEventListener('click', () => emailModal.classList.add('hidden'));
   if (copyEmailBtn) copyEmailBtn.addEventListener('click', handleCopyEmail);
@@ -217,6 +253,9 @@ function setupEventListeners() {
   if (settingsModal) settingsModal.addEventListener('click', (e) => {
     if (e.target === settingsModal) settingsModal.classList.add('hidden');
   });
+  if (bulkModal) bulkModal.addEventListener('click', (e) => {
+    if (e.target === bulkModal) bulkModal.classList.add('hidden');
+  });
 }
 
 // Storage helpers
@@ -292,11 +331,13 @@ async function apiCall(method, endpoint, body) {
 function showLoginView() {
   loginView.classList.remove('hidden');
   mainView.classList.add('hidden');
+  bulkBtn.classList.add('hidden');
 }
 
 function showMainView() {
   loginView.classList.add('hidden');
   mainView.classList.remove('hidden');
+  bulkBtn.classList.remove('hidden');
 }
 
 // Toast notifications
@@ -394,7 +435,7 @@ async function loadPageData() {
     try {
       await chrome.scripting.executeScript({
         target: { tabId: tab.id },
-        files: ['content.js']
+        files: ['tech-signatures.js', 'content.js']
       });
       console.log('[Uptrade Popup] Content script injected');
     } catch (e) {
@@ -598,7 +639,7 @@ function renderContacts(contacts) {
 // Render score card
 function renderScore(company) {
   const score = company.score || 0;
-  const tier = score >= 70 ? 'hot' : score >= 40 ? 'warm' : 'cold';
+  const tier = ProspectAnalysis.getLeadTier(score);
   const tierLabel = tier === 'hot' ? 'Hot Lead' : tier === 'warm' ? 'Warm Lead' : 'Potential';
   
   // Update score circle
@@ -714,50 +755,8 @@ async function handleAnalyze() {
     analyzeBtn.innerHTML = '<span class="loading-spinner" style="width:16px;height:16px;border-width:2px;margin:0"></span> Analyzing...';
     domainStatus.textContent = 'Analyzing...';
     
-    // Transform pageData to match API DTO format
-    const techStack = pageData.techStack || [];
-    const signals = pageData.signals || [];
-    
-    // Extract platform/CMS from tech stack
-    const cms = techStack.find(t => t.type === 'cms');
-    const theme = techStack.find(t => t.type === 'theme');
-    const framework = techStack.find(t => t.type === 'framework');
-    const analytics = techStack.filter(t => t.type === 'analytics').map(t => t.name);
-    const plugins = techStack.filter(t => t.type === 'plugin').map(t => t.name);
-    
     // Build request body matching AnalyzeSiteDto - include audit scores!
-    const requestBody = {
-      url: pageData.url,
-      domain: pageData.domain,
-      techStack: {
-        platform: cms?.name || framework?.name || null,
-        theme: theme?.name || null,
-        framework: framework?.name || null,
-        analytics: analytics,
-        plugins: plugins,
-        confidence: techStack.length > 0 ? 0.8 : 0.3
-      },
-      signals: {
-        hasContactForm: signals?.hasContactForm || false,
-        hasPhone: signals?.hasPhoneNumber || false,
-        schemaPresent: signals?.hasSchema || false,
-        isHttps: pageData.url?.startsWith('https'),
-        hasViewportMeta: signals?.hasMobileViewport || false,
-        mobilePageSpeed: auditScores.mobile,
-        desktopPageSpeed: auditScores.desktop
-      },
-      businessInfo: {
-        companyName: signals?.companyName || null,
-        industry: null,
-        location: null,
-        hasEcommerce: techStack.some(t => 
-          t.name?.toLowerCase().includes('shopify') || 
-          t.name?.toLowerCase().includes('woocommerce') ||
-          t.name?.toLowerCase().includes('bigcommerce')
-        )
-      },
-      auditId: auditId  // Pass the audit ID so it gets linked
-    };
+    const requestBody = ProspectAnalysis.buildAnalyzeRequest(pageData, auditScores, auditId);
     
     console.log('[Uptrade Popup] Sending analyze request with audit scores:', requestBody);
     
@@ -1154,6 +1153,207 @@ async function handleSaveContacts() {
   }
 }
 
+// ═══════════════════════════════════════════════════════════════════════════
+// BULK ANALYZE
+// ═══════════════════════════════════════════════════════════════════════════
+
+const BULK_STATUS_LABELS = {
+  queued: 'Queued',
+  loading: 'Loading',
+  analyzing: 'Scoring',
+  done: 'Done',
+  error: 'Failed',
+  skipped: 'Skipped'
+};
+
+function sendToBackground(message) {
+  return new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage(message, (response) => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+      } else if (!response?.success) {
+        reject(new Error(response?.error || 'Request failed'));
+      } else {
+        resolve(response);
+      }
+    });
+  });
+}
+
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, (char) => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  })[char]);
+}
+
+async function openBulkModal() {
+  bulkModal.classList.remove('hidden');
+  try {
+    const { queue } = await sendToBackground({ action: 'bulkGetQueue' });
+    renderBulkQueue(queue);
+  } catch (error) {
+    console.error('[Uptrade Popup] Failed to load bulk queue:', error);
+    renderBulkQueue(null);
+  }
+}
+
+function updateBulkParseSummary() {
+  const { prospects, invalid } = ProspectAnalysis.parseProspectList(bulkUrls.value);
+  if (!bulkUrls.value.trim()) {
+    bulkParseSummary.textContent = 'Paste up to 250 sites. Each opens briefly in a background tab.';
+    return;
+  }
+  
+  const parts = [`${prospects.length} site${prospects.length === 1 ? '' : 's'} ready`];
+  if (invalid.length) parts.push(`${invalid.length} line${invalid.length === 1 ? '' : 's'} skipped`);
+  if (prospects.length > 250) parts.push('only the first 250 will run');
+  bulkParseSummary.textContent = parts.join(' · ');
+}
+
+function handleBulkCsvFile() {
+  const file = bulkCsvFile.files?.[0];
+  if (!file) return;
+  
+  const reader = new FileReader();
+  reader.onload = () => {
+    bulkUrls.value = String(reader.result || '');
+    bulkCsvFile.value = '';
+    updateBulkParseSummary();
+  };
+  reader.onerror = () => showToast('Could not read that file', 'error');
+  reader.readAsText(file);
+}
+
+async function handleBulkStart() {
+  const { prospects } = ProspectAnalysis.parseProspectList(bulkUrls.value);
+  if (!prospects.length) {
+    showToast('Add at least one website', 'error');
+    return;
+  }
+  
+  bulkStartBtn.disabled = true;
+  try {
+    // Queue tabs open in the background without an activeTab grant, so ask for
+    // the sites up front (this must be the first await to keep the user
+    // gesture). Declining still runs the queue with a reduced tech scan.
+    const granted = await chrome.permissions.request({
+      origins: ProspectAnalysis.getProspectOriginPatterns(prospects)
+    }).catch(() => false);
+    if (!granted) {
+      showToast('Without site access, platforms detected from page scripts may be missed', 'info');
+    }
+    
+    const { queue } = await sendToBackground({
+      action: 'bulkStart',
+      prospects,
+      concurrency: parseInt(bulkConcurrency.value)
+    });
+    bulkUrls.value = '';
+    renderBulkQueue(queue);
+  } catch (error) {
+    showToast(error.message, 'error');
+  } finally {
+    bulkStartBtn.disabled = false;
+  }
+}
+
+async function handleBulkCancel() {
+  bulkCancelBtn.disabled = true;
+  try {
+    const { queue } = await sendToBackground({ action: 'bulkCancel' });
+    renderBulkQueue(queue);
+  } catch (error) {
+    showToast(error.message, 'error');
+  } finally {
+    bulkCancelBtn.disabled = false;
+  }
+}
+
+async function handleBulkClear() {
+  try {
+    await sendToBackground({ action: 'bulkClear' });
+    updateBulkParseSummary();
+    renderBulkQueue(null);
+  } catch (error) {
+    showToast(error.message, 'error');
+  }
+}
+
+async function handleBulkSaveLeads() {
+  bulkSaveLeadsBtn.disabled = true;
+  try {
+    const { saved, failed } = await sendToBackground({ action: 'bulkSaveLeads', tiers: ['hot', 'warm'] });
+    if (failed) {
+      showToast(`${saved} saved, ${failed} failed`, 'error');
+    } else {
+      showToast(`${saved} lead${saved === 1 ? '' : 's'} added to your prospects!`);
+    }
+  } catch (error) {
+    showToast(error.message, 'error');
+  } finally {
+    bulkSaveLeadsBtn.disabled = false;
+  }
+}
+
+function renderBulkQueue(queue) {
+  const hasQueue = !!queue?.items?.length;
+  const running = queue?.status === 'running';
+  
+  bulkInputSection.classList.toggle('hidden', hasQueue);
+  bulkProgressSection.classList.toggle('hidden', !hasQueue);
+  bulkStartBtn.classList.toggle('hidden', hasQueue);
+  bulkCancelBtn.classList.toggle('hidden', !running);
+  bulkClearBtn.classList.toggle('hidden', !hasQueue || running);
+  
+  if (!hasQueue) {
+    bulkSaveLeadsBtn.classList.add('hidden');
+    return;
+  }
+  
+  const items = queue.items;
+  const finished = items.filter(i => ['done', 'error', 'skipped'].includes(i.status)).length;
+  const hot = items.filter(i => i.tier === 'hot').length;
+  const warm = items.filter(i => i.tier === 'warm').length;
+  const failed = items.filter(i => i.status === 'error').length;
+  const unsaved = items.filter(i => ['hot', 'warm'].includes(i.tier) && i.companyId && !i.saved).length;
+  
+  const state = running ? 'Analyzing' : queue.status === 'cancelled' ? 'Cancelled' : 'Finished';
+  const parts = [`${state}: ${finished} / ${items.length}`, `${hot} hot`, `${warm} warm`];
+  if (failed) parts.push(`${failed} failed`);
+  bulkProgressText.textContent = parts.join(' · ');
+  bulkProgressBar.style.width = `${Math.round((finished / items.length) * 100)}%`;
+  
+  bulkSaveLeadsBtn.classList.toggle('hidden', unsaved === 0);
+  bulkSaveLeadsBtn.textContent = `Save ${unsaved} Hot & Warm`;
+  
+  // Best leads first once they're scored, then in queue order
+  const tierRank = { hot: 0, warm: 1, cold: 2 };
+  const rows = [...items].sort((a, b) =>
+    (tierRank[a.tier] ?? 3) - (tierRank[b.tier] ?? 3) || (b.score ?? -1) - (a.score ?? -1) || a.id - b.id
+  );
+  
+  bulkResults.innerHTML = rows.map(item => {
+    const statusClass = item.status === 'error' ? 'error'
+      : item.status === 'done' ? 'saved'
+      : ['loading', 'analyzing'].includes(item.status) ? 'analyzing'
+      : 'new';
+    const statusLabel = item.saved ? 'Saved' : BULK_STATUS_LABELS[item.status] || item.status;
+    const meta = item.error || [item.platform || item.name, item.limited && 'limited scan'].filter(Boolean).join(' · ');
+    const score = item.tier
+      ? `<span class="score-label ${item.tier}">${item.score}</span>`
+      : '<span class="placeholder">--</span>';
+    
+    return `<tr>
+      <td class="bulk-domain" title="${escapeHtml(item.url)}">
+        ${escapeHtml(item.domain)}
+        ${meta ? `<span class="bulk-meta" title="${escapeHtml(meta)}">${escapeHtml(meta)}</span>` : ''}
+      </td>
+      <td><span class="status-badge ${statusClass}">${statusLabel}</span></td>
+      <td>${score}</td>
+    </tr>`;
+  }).join('');
+}
+
 // Login
 async function handleLogin() {
   // First try to sync from an open portal tab
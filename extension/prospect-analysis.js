@@ -0,0 +1,195 @@
+// Prospect analysis helpers shared by the side panel (single site) and the
+// background worker (bulk queue) so both score sites the same way.
+//
+// Loaded with a <script> tag in popup.html and importScripts() in background.js
+// (exposed as UptradeProspectAnalysis).
+
+(function(root) {
+  'use strict';
+
+  const HOT_SCORE = 70;
+  const WARM_SCORE = 40;
+
+  /**
+   * Lead tier for a target company score
+   */
+  function getLeadTier(score) {
+    if (score >= HOT_SCORE) return 'hot';
+    if (score >= WARM_SCORE) return 'warm';
+    return 'cold';
+  }
+
+  /**
+   * Build the POST /crm/target-companies/analyze body (AnalyzeSiteDto) from
+   * content script page data and any audit scores we have
+   */
+  function buildAnalyzeRequest(pageData, auditScores = {}, auditId = null) {
+    const techStack = pageData.techStack || [];
+    const signals = pageData.signals || {};
+
+    // Extract platform/CMS from tech stack
+    const cms = techStack.find(t => t.type === 'cms');
+    const theme = techStack.find(t => t.type === 'theme');
+    const framework = techStack.find(t => t.type === 'framework');
+    const analytics = techStack.filter(t => t.type === 'analytics').map(t => t.name);
+    const plugins = techStack.filter(t => t.type === 'plugin').map(t => t.name);
+
+    return {
+      url: pageData.url,
+      domain: pageData.domain,
+      techStack: {
+        platform: cms?.name || framework?.name || null,
+        theme: theme?.name || null,
+        framework: framework?.name || null,
+        analytics: analytics,
+        plugins: plugins,
+        confidence: techStack.length > 0 ? 0.8 : 0.3
+      },
+      signals: {
+        hasContactForm: signals.hasContactForm || false,
+        hasPhone: signals.hasPhoneNumber || false,
+        schemaPresent: signals.hasSchema || false,
+        isHttps: pageData.url?.startsWith('https'),
+        hasViewportMeta: signals.hasMobileViewport || false,
+        mobilePageSpeed: auditScores.mobile ?? null,
+        desktopPageSpeed: auditScores.desktop ?? null
+      },
+      businessInfo: {
+        companyName: signals.companyName || null,
+        industry: null,
+        location: null,
+        hasEcommerce: techStack.some(t =>
+          t.name?.toLowerCase().includes('shopify') ||
+          t.name?.toLowerCase().includes('woocommerce') ||
+          t.name?.toLowerCase().includes('bigcommerce')
+        )
+      },
+      auditId: auditId  // Pass the audit ID so it gets linked
+    };
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // PROSPECT LISTS
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  const URL_COLUMNS = ['url', 'website', 'domain', 'site', 'web', 'homepage'];
+  const NAME_COLUMNS = ['company', 'name', 'business', 'company name', 'business name'];
+
+  function splitCsvLine(line) {
+    const cells = [];
+    let current = '';
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+      const char = line[i];
+      if (char === '"') {
+        if (quoted && line[i + 1] === '"') {
+          current += '"';
+          i++;
+        } else {
+          quoted = !quoted;
+        }
+      } else if ((char === ',' || char === '\t' || char === ';') && !quoted) {
+        cells.push(current.trim());
+        current = '';
+      } else {
+        current += char;
+      }
+    }
+    cells.push(current.trim());
+    return cells;
+  }
+
+  /**
+   * Normalize "example.com", "www.example.com/about" or a full URL to the
+   * site's homepage. Returns null for anything that isn't a public hostname.
+   */
+  function normalizeProspectUrl(value) {
+    let text = String(value || '').trim().replace(/^["']|["']$/g, '');
+    if (!text || /\s/.test(text)) return null;
+    if (!/^https?:\/\//i.test(text)) text = `https://${text}`;
+
+    try {
+      const url = new URL(text);
+      const hostname = url.hostname.toLowerCase();
+      if (!/^[a-z0-9.-]+\.[a-z]{2,}$/.test(hostname)) return null;
+      return {
+        url: `${url.protocol}//${hostname}/`,
+        domain: hostname.replace(/^www\./, '')
+      };
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Parse a pasted list of URLs or a CSV export into unique prospects.
+   * CSVs with a header use its url/website/domain column (and company name if
+   * present); otherwise the first cell that looks like a domain wins.
+   */
+  function parseProspectList(text) {
+    const lines = String(text || '').split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+    const prospects = [];
+    const invalid = [];
+    const seen = new Set();
+
+    let urlColumn = -1;
+    let nameColumn = -1;
+    if (lines.length) {
+      const header = splitCsvLine(lines[0]).map(c => c.toLowerCase());
+      urlColumn = header.findIndex(c => URL_COLUMNS.includes(c));
+      nameColumn = header.findIndex(c => NAME_COLUMNS.includes(c));
+      if (urlColumn >= 0) lines.shift();
+    }
+
+    for (const line of lines) {
+      const cells = splitCsvLine(line);
+      const candidates = urlColumn >= 0 ? [cells[urlColumn]] : cells;
+
+      let parsed = null;
+      for (const cell of candidates) {
+        parsed = normalizeProspectUrl(cell);
+        if (parsed) break;
+      }
+
+      if (!parsed) {
+        invalid.push(line);
+        continue;
+      }
+      if (seen.has(parsed.domain)) continue;
+      seen.add(parsed.domain);
+
+      prospects.push({
+        ...parsed,
+        name: nameColumn >= 0 ? cells[nameColumn] || null : null
+      });
+    }
+
+    return { prospects, invalid };
+  }
+
+  /**
+   * Host permission patterns for a bulk run. Background tabs get no activeTab
+   * grant, so reading page globals (and re-injecting the content script)
+   * needs access to each site - its subdomains too, since many redirect to www.
+   */
+  function getProspectOriginPatterns(prospects) {
+    const patterns = new Set();
+    for (const { domain } of prospects || []) {
+      if (!domain) continue;
+      patterns.add(`*://${domain}/*`);
+      patterns.add(`*://*.${domain}/*`);
+    }
+    return [...patterns];
+  }
+
+  root.UptradeProspectAnalysis = {
+    HOT_SCORE,
+    WARM_SCORE,
+    getLeadTier,
+    buildAnalyzeRequest,
+    normalizeProspectUrl,
+    parseProspectList,
+    getProspectOriginPatterns,
+  };
+})(typeof window !== 'undefined' ? window : globalThis);
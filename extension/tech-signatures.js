@@ -0,0 +1,285 @@
+// Tech stack signature engine - matches the declarative signatures in
+// signatures.json against a snapshot of the current page.
+//
+// Loaded as a content script ahead of content.js (exposed as
+// window.UptradeTechSignatures) and imported directly by the fixture tests.
+
+(function(root) {
+  'use strict';
+
+  const compiledCache = new WeakMap();
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // PATTERNS
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  /**
+   * Compile a signature pattern into a matcher function.
+   *
+   *   ""                                   - value is present
+   *   "text"                               - value contains text
+   *   { regex, flags, version }            - regex, version built from groups ("$1")
+   *   ["a", { regex }]                     - every part must match
+   *
+   * Matchers return null when there's no match, otherwise { version }.
+   */
+  function compilePattern(pattern) {
+    if (Array.isArray(pattern)) {
+      const parts = pattern.map(compilePattern);
+      return (value) => {
+        let version;
+        for (const part of parts) {
+          const result = part(value);
+          if (!result) return null;
+          version = version || result.version;
+        }
+        return { version };
+      };
+    }
+
+    if (pattern && typeof pattern === 'object') {
+      const regex = new RegExp(pattern.regex, pattern.flags || '');
+      return (value) => {
+        if (value == null) return null;
+        const match = regex.exec(value);
+        if (!match) return null;
+        const version = pattern.version
+          ? pattern.version.replace(/\$(\d)/g, (_, i) => match[i] || '').trim()
+          : undefined;
+        return { version: version || undefined };
+      };
+    }
+
+    const text = String(pattern ?? '');
+    return (value) => (value != null && String(value).includes(text) ? {} : null);
+  }
+
+  const toList = (value) => (Array.isArray(value) ? value : [value]);
+
+  // Keyed matchers (meta, headers, cookies, globals) accept a single pattern
+  // or a list of alternatives per key
+  function compileKeyed(map = {}, normalizeKey = (key) => key) {
+    return Object.entries(map).map(([key, patterns]) => ({
+      key: normalizeKey(key),
+      matchers: toList(patterns).map(compilePattern),
+    }));
+  }
+
+  function compileSignature(signature) {
+    return {
+      signature,
+      html: (signature.html || []).map(compilePattern),
+      scriptSrc: (signature.scriptSrc || []).map(compilePattern),
+      selectors: signature.selectors || [],
+      meta: compileKeyed(signature.meta, (key) => key.toLowerCase()),
+      headers: compileKeyed(signature.headers, (key) => key.toLowerCase()),
+      cookies: compileKeyed(signature.cookies),
+      globals: compileKeyed(signature.globals),
+      minMatches: signature.minMatches || 1,
+    };
+  }
+
+  function compileSignatures(technologies) {
+    if (!compiledCache.has(technologies)) {
+      compiledCache.set(technologies, technologies.map(compileSignature));
+    }
+    return compiledCache.get(technologies);
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // PAGE SNAPSHOT
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  function parseCookies(cookieString = '') {
+    const cookies = {};
+    for (const part of cookieString.split(';')) {
+      const index = part.indexOf('=');
+      if (index < 0) continue;
+      const name = part.slice(0, index).trim();
+      if (name) cookies[name] = part.slice(index + 1).trim();
+    }
+    return cookies;
+  }
+
+  /**
+   * Capture everything the signatures can match against. Headers and page
+   * globals can't be read from the DOM, so callers pass them in.
+   */
+  function snapshotPage(doc, { headers = {}, globals = {}, cookies } = {}) {
+    const meta = {};
+    doc.querySelectorAll('meta[name], meta[property], meta[http-equiv]').forEach(el => {
+      const key = (el.getAttribute('name') || el.getAttribute('property') || el.getAttribute('http-equiv')).toLowerCase();
+      (meta[key] = meta[key] || []).push(el.getAttribute('content') || '');
+    });
+
+    const normalizedHeaders = {};
+    for (const [key, value] of Object.entries(headers)) {
+      normalizedHeaders[key.toLowerCase()] = value;
+    }
+
+    return {
+      html: doc.documentElement?.innerHTML || '',
+      scripts: Array.from(doc.querySelectorAll('script[src]')).map(s => s.getAttribute('src')),
+      meta,
+      headers: normalizedHeaders,
+      cookies: cookies || parseCookies(doc.cookie),
+      globals,
+      matches: (selector) => {
+        try {
+          return !!doc.querySelector(selector);
+        } catch {
+          return false;
+        }
+      },
+    };
+  }
+
+  /**
+   * Global paths referenced by the signatures, so the caller can read them
+   * from the page's own JS world
+   */
+  function getGlobalPaths(technologies) {
+    const paths = new Set();
+    for (const signature of technologies) {
+      Object.keys(signature.globals || {}).forEach(path => paths.add(path));
+    }
+    return Array.from(paths);
+  }
+
+  /**
+   * Read dot-path globals off a window object. Objects and functions are
+   * reported as "true" so presence patterns ("") still match. Self-contained
+   * so the background can run it in the page's main world.
+   */
+  function readGlobals(paths, win) {
+    const target = win || window;
+    const values = {};
+    for (const path of paths) {
+      let value = target;
+      for (const key of path.split('.')) {
+        try {
+          value = value == null ? undefined : value[key];
+        } catch {
+          value = undefined;
+        }
+      }
+      if (value === undefined || value === null || value === false) continue;
+      values[path] = typeof value === 'object' || typeof value === 'function' ? 'true' : String(value);
+    }
+    return values;
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // DETECTION
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  function evaluate(compiled, page) {
+    let hits = 0;
+    let version;
+
+    const record = (result) => {
+      if (!result) return;
+      hits++;
+      version = version || result.version;
+    };
+
+    compiled.html.forEach(matcher => record(matcher(page.html)));
+
+    compiled.scriptSrc.forEach(matcher => {
+      record(page.scripts.map(matcher).find(Boolean));
+    });
+
+    compiled.selectors.forEach(selector => {
+      if (page.matches(selector)) hits++;
+    });
+
+    compiled.meta.forEach(({ key, matchers }) => {
+      const contents = page.meta[key] || [];
+      matchers.forEach(matcher => record(contents.map(matcher).find(Boolean)));
+    });
+
+    compiled.headers.forEach(({ key, matchers }) => {
+      matchers.forEach(matcher => record(matcher(page.headers[key])));
+    });
+
+    compiled.cookies.forEach(({ key, matchers }) => {
+      matchers.forEach(matcher => record(matcher(page.cookies[key])));
+    });
+
+    compiled.globals.forEach(({ key, matchers }) => {
+      matchers.forEach(matcher => record(matcher(page.globals[key])));
+    });
+
+    return hits >= compiled.minMatches ? { version } : null;
+  }
+
+  /**
+   * Run every signature against a page snapshot.
+   * Returns [{ name, type, icon, version? }] in signature order.
+   */
+  function detectTechnologies(technologies, page) {
+    const compiled = compileSignatures(technologies);
+    const byName = new Map(technologies.map(s => [s.name, s]));
+    const found = new Map();
+
+    // Signatures with `requires` only run once what they require is found,
+    // so keep passing until nothing new turns up
+    let changed = true;
+    while (changed) {
+      changed = false;
+      for (const entry of compiled) {
+        const { name, requires = [] } = entry.signature;
+        if (found.has(name)) continue;
+        if (!requires.every(r => found.has(r))) continue;
+
+        const result = evaluate(entry, page);
+        if (result) {
+          found.set(name, result);
+          changed = true;
+        }
+      }
+
+      // Implied technologies count as found (without a version)
+      for (const name of Array.from(found.keys())) {
+        for (const implied of byName.get(name)?.implies || []) {
+          if (!found.has(implied) && byName.has(implied)) {
+            found.set(implied, {});
+            changed = true;
+          }
+        }
+      }
+    }
+
+    return technologies
+      .filter(s => found.has(s.name))
+      .filter(s => !(s.excludedBy || []).some(other => found.has(other)))
+      .map(s => {
+        const { version } = found.get(s.name);
+        const name = version && s.label ? s.label.replace('{version}', version) : s.name;
+        return version
+          ? { name, type: s.type, icon: s.icon, version }
+          : { name, type: s.type, icon: s.icon };
+      });
+  }
+
+  /**
+   * Basic shape check for a signature database loaded from storage or the API
+   */
+  function isValidDatabase(db) {
+    return !!db &&
+      Array.isArray(db.technologies) &&
+      db.technologies.every(s => s && typeof s.name === 'string' && typeof s.type === 'string');
+  }
+
+  const api = {
+    compilePattern,
+    snapshotPage,
+    parseCookies,
+    getGlobalPaths,
+    readGlobals,
+    detectTechnologies,
+    isValidDatabase,
+  };
+
+  root.UptradeTechSignatures = api;
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -152,6 +152,8 @@ export function SiteKitProvider({
           trackWebVitals={analytics.trackWebVitals !== false}
           trackScrollDepth={analytics.trackScrollDepth !== false}
           trackClicks={analytics.trackClicks !== false}
+          trackFrustration={analytics.trackFrustration !== false}
+          consentConfig={analytics.consent}
           debug={debug}
         >
           {content}
@@ -3,14 +3,37 @@
  * 
  * Provides analytics context and automatic page view tracking.
  * All data goes through Portal API with API key auth - never Supabase directly.
+ * Calls are batched and retried by the shared transport (see ./transport).
  */
 
 'use client'
 
 import React, { createContext, useContext, useEffect, useRef, useCallback, useMemo, useState } from 'react'
 import { usePathname } from 'next/navigation'
-import type { AnalyticsContextValue, TrackEventOptions, TrackConversionOptions } from './types'
+import type {
+  AnalyticsContextValue,
+  TrackEventOptions,
+  TrackConversionOptions,
+  ConsentCategory,
+  ConsentConfig,
+  ConsentContextValue,
+  ConsentPreferences,
+  ConsentState,
+} from './types'
 import { WebVitals } from './WebVitals'
+import { createAnalyticsTransport } from './transport'
+import { startFrustrationTracking } from './frustration'
+import type { AnalyticsTransport, AnalyticsEventType, SendOptions } from './transport'
+import {
+  CONSENT_CATEGORIES,
+  allConsent,
+  clearStoredConsent,
+  isDoNotTrackEnabled,
+  pendingConsentState,
+  readStoredConsent,
+  resolveConsentState,
+  writeStoredConsent,
+} from './consent'
 
 const AnalyticsContext = createContext<AnalyticsContextValue | null>(null)
 
@@ -37,20 +60,41 @@ function scheduleIdleTask(callback: () => void, timeout = 2000): void {
   }
 }
 
-function getOrCreateVisitorId(): string {
+const VISITOR_ID_KEY = '_uptrade_vid'
+
+/**
+ * Visitor ID - persisted in localStorage only once analytics consent is granted.
+ * Until then it lives in sessionStorage and disappears with the tab.
+ */
+function getOrCreateVisitorId(persistent: boolean): string {
   if (typeof window === 'undefined') return ''
   
-  const key = '_uptrade_vid'
-  let visitorId = localStorage.getItem(key)
+  if (!persistent) {
+    let visitorId = sessionStorage.getItem(VISITOR_ID_KEY)
+    if (!visitorId) {
+      visitorId = generateId()
+      sessionStorage.setItem(VISITOR_ID_KEY, visitorId)
+    }
+    return visitorId
+  }
+  
+  let visitorId = localStorage.getItem(VISITOR_ID_KEY)
   
   if (!visitorId) {
-    visitorId = generateId()
-    localStorage.setItem(key, visitorId)
+    // Promote the session-only ID so pre-consent activity joins up with the visitor
+    visitorId = sessionStorage.getItem(VISITOR_ID_KEY) || generateId()
+    localStorage.setItem(VISITOR_ID_KEY, visitorId)
   }
+  sessionStorage.removeItem(VISITOR_ID_KEY)
   
   return visitorId
 }
 
+function forgetVisitorId(): void {
+  if (typeof window === 'undefined') return
+  localStorage.removeItem(VISITOR_ID_KEY)
+}
+
 function getSessionId(timeout: number): string {
   if (typeof window === 'undefined') return ''
   
@@ -576,6 +620,14 @@ function getApiConfig() {
 // Provider Component
 // ============================================
 
+// Calls made before the visitor decides are held (up to this many) and replayed or dropped
+const MAX_PENDING_CONSENT_CALLS = 100
+
+interface PendingConsentCall {
+  category: ConsentCategory
+  run: () => void
+}
+
 interface AnalyticsProviderProps {
   children: React.ReactNode
   apiUrl?: string
@@ -584,10 +636,16 @@ interface AnalyticsProviderProps {
   trackWebVitals?: boolean
   trackScrollDepth?: boolean
   trackClicks?: boolean
+  trackFrustration?: boolean // Rage / dead / error clicks and thrashed cursor
   trackJourneys?: boolean // NEW: Track user journey paths
   sessionTimeout?: number
   excludePaths?: string[]
   validateAgainstSitemap?: boolean // Only track paths that exist in sitemap (default: true)
+  flushInterval?: number // Milliseconds between batched sends (default: 5000)
+  maxBatchSize?: number // Send early once this many events are buffered (default: 20)
+  consent?: ConsentPreferences // Controlled consent, e.g. from an external CMP
+  consentConfig?: ConsentConfig
+  onConsentChange?: (preferences: ConsentPreferences) => void
   debug?: boolean
 }
 
@@ -599,10 +657,16 @@ export function AnalyticsProvider({
   trackWebVitals = true,
   trackScrollDepth = true,
   trackClicks = true,
+  trackFrustration = true,
   trackJourneys = true, // NEW: Enable journey tracking by default
   sessionTimeout = 30,
   excludePaths = [],
   validateAgainstSitemap = true,
+  flushInterval = 5000,
+  maxBatchSize = 20,
+  consent: controlledConsent,
+  consentConfig = {},
+  onConsentChange,
   debug = false,
 }: AnalyticsProviderProps) {
   const pathname = usePathname()
@@ -629,17 +693,135 @@ export function AnalyticsProvider({
   const sessionIdRef = useRef<string>('')
   const lastPathRef = useRef<string>('')
   const validPathsRef = useRef<Set<string> | null>(null)
+  const transportRef = useRef<AnalyticsTransport | null>(null)
   
   // Journey tracking state
   const journeyStartTimeRef = useRef<number>(0)
   const pageEnterTimeRef = useRef<number>(0)
   const currentScrollDepthRef = useRef<number>(0)
   
-  // Initialize IDs
+  // ============================================
+  // Consent
+  // ============================================
+  const consentVersion = consentConfig.version || '1'
+  const consentRequired = consentConfig.required ?? false
+  const respectDoNotTrack = consentConfig.respectDoNotTrack !== false
+  
+  // Props are often inline literals - key memos on their content, not identity
+  const offeredKey = (consentConfig.categories || CONSENT_CATEGORIES).join(',')
+  const offeredCategories = useMemo(() => offeredKey.split(',') as ConsentCategory[], [offeredKey])
+  const controlledKey = controlledConsent ? JSON.stringify(controlledConsent) : ''
+  const configKey = JSON.stringify(consentConfig)
+  const stableConsentConfig = useMemo(() => consentConfig, [configKey])
+  
+  const [storedConsent, setStoredConsent] = useState<ConsentPreferences | null>(null)
+  const [doNotTrack, setDoNotTrack] = useState(false)
+  const [consentLoaded, setConsentLoaded] = useState(false)
+  
+  // Read storage after mount so server and client render the same thing
   useEffect(() => {
-    visitorIdRef.current = getOrCreateVisitorId()
+    setStoredConsent(readStoredConsent(consentVersion))
+    setDoNotTrack(respectDoNotTrack && isDoNotTrackEnabled())
+    setConsentLoaded(true)
+  }, [consentVersion, respectDoNotTrack])
+  
+  const consentState = useMemo<ConsentState>(() => {
+    // Hold everything until storage has been read
+    if (!consentLoaded) return pendingConsentState()
+    return resolveConsentState({
+      controlled: controlledKey ? JSON.parse(controlledKey) as ConsentPreferences : undefined,
+      stored: storedConsent,
+      required: consentRequired,
+      doNotTrack,
+      offered: offeredCategories,
+    })
+  }, [consentLoaded, controlledKey, storedConsent, consentRequired, doNotTrack, offeredCategories])
+  
+  // Kept in a ref so deferred callbacks see the latest decision
+  const consentRef = useRef<ConsentState>(consentState)
+  consentRef.current = consentState
+  const pendingCallsRef = useRef<PendingConsentCall[]>([])
+  
+  /**
+   * Run a tracking call if its category is granted, queue it while pending,
+   * drop it when denied.
+   */
+  const withConsent = useCallback((category: ConsentCategory, run: () => void) => {
+    const status = consentRef.current[category]
+    
+    if (status === 'granted') {
+      run()
+    } else if (status === 'pending') {
+      if (pendingCallsRef.current.length < MAX_PENDING_CONSENT_CALLS) {
+        pendingCallsRef.current.push({ category, run })
+      }
+      if (debug) console.log('[Analytics] Waiting for consent:', category)
+    } else if (debug) {
+      console.log('[Analytics] Dropped - no consent:', category)
+    }
+  }, [debug])
+  
+  const hasMarketingConsent = () => consentRef.current.marketing === 'granted'
+  
+  // Every tracking call goes through the shared transport (batched, retried, offline-safe)
+  const sendAnalytics = useCallback((type: AnalyticsEventType, data: Record<string, unknown>, options?: SendOptions) => {
+    if (!transportRef.current) {
+      if (debug) console.warn('[Analytics] Transport not ready, dropping:', type)
+      return
+    }
+    transportRef.current.send(type, data, options)
+  }, [debug])
+  
+  // Initialize IDs - the visitor ID only persists with analytics consent
+  const analyticsConsent = consentState.analytics
+  useEffect(() => {
+    if (analyticsConsent === 'denied') forgetVisitorId()
+    visitorIdRef.current = getOrCreateVisitorId(analyticsConsent === 'granted')
     sessionIdRef.current = getSessionId(sessionTimeout)
-  }, [sessionTimeout])
+  }, [sessionTimeout, analyticsConsent])
+  
+  // Replay or drop queued calls once the visitor decides
+  useEffect(() => {
+    const stillPending: PendingConsentCall[] = []
+    
+    for (const call of pendingCallsRef.current) {
+      const status = consentState[call.category]
+      if (status === 'granted') call.run()
+      else if (status === 'pending') stillPending.push(call)
+    }
+    
+    if (debug && stillPending.length !== pendingCallsRef.current.length) {
+      console.log('[Analytics] Consent updated:', consentState)
+    }
+    pendingCallsRef.current = stillPending
+  }, [consentState, debug])
+  
+  const updateConsent = useCallback((preferences: ConsentPreferences) => {
+    setStoredConsent(prev => {
+      const next = { ...prev, ...preferences }
+      writeStoredConsent(consentVersion, next)
+      return next
+    })
+    onConsentChange?.(preferences)
+  }, [consentVersion, onConsentChange])
+  
+  const resetConsent = useCallback(() => {
+    clearStoredConsent()
+    setStoredConsent(null)
+  }, [])
+  
+  const consentValue = useMemo<ConsentContextValue>(() => ({
+    consent: consentState,
+    consentRequired,
+    doNotTrack,
+    isPending: offeredCategories.some(category => consentState[category] === 'pending'),
+    hasConsent: (category: ConsentCategory) => consentState[category] === 'granted',
+    updateConsent,
+    acceptAll: () => updateConsent(allConsent(true)),
+    rejectAll: () => updateConsent(allConsent(false)),
+    resetConsent,
+    config: stableConsentConfig,
+  }), [consentState, consentRequired, doNotTrack, offeredCategories, updateConsent, resetConsent, stableConsentConfig])
   
   // Fetch valid pages from seo_pages (populated by SitemapSync from SEO module)
   useEffect(() => {
@@ -713,9 +895,8 @@ export function AnalyticsProvider({
     
     lastPathRef.current = pathname
     
-    const trackPageView = async () => {
-      const { apiUrl: globalApiUrl, apiKey: globalApiKey } = getApiConfig()
-      const apiUrl = propApiUrl || globalApiUrl
+    const trackPageView = () => {
+      const { apiKey: globalApiKey } = getApiConfig()
       const apiKey = propApiKey || globalApiKey
       
       if (!apiKey) {
@@ -723,7 +904,7 @@ export function AnalyticsProvider({
         return
       }
       
-      const utmParams = getUTMParams()
+      const utmParams = hasMarketingConsent() ? getUTMParams() : {}
       const pageMetadata = getPageMetadata()
       
       const pageView = {
@@ -749,27 +930,12 @@ export function AnalyticsProvider({
         console.log('[Analytics] Page view:', pageView)
       }
       
-      try {
-        const response = await fetch(`${apiUrl}/api/public/analytics/page-view`, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'x-api-key': apiKey,
-          },
-          body: JSON.stringify(pageView),
-        })
-        
-        if (!response.ok && debug) {
-          console.error('[Analytics] Error tracking page view:', response.statusText)
-        }
-      } catch (error) {
-        if (debug) console.error('[Analytics] Error tracking page view:', error)
-      }
+      sendAnalytics('page-view', pageView)
     }
     
     // Use requestIdleCallback to defer tracking until browser is idle
-    scheduleIdleTask(() => trackPageView())
-  }, [pathname, queryString, propApiUrl, propApiKey, trackPageViews, excludePaths, debug, validateAgainstSitemap])
+    scheduleIdleTask(() => withConsent('analytics', trackPageView))
+  }, [pathname, queryString, propApiUrl, propApiKey, trackPageViews, excludePaths, debug, validateAgainstSitemap, withConsent, sendAnalytics])
 
   // ============================================
   // Journey Path Tracking
@@ -779,8 +945,7 @@ export function AnalyticsProvider({
     if (!pathname) return
     if (typeof window === 'undefined') return
 
-    const { apiUrl: globalApiUrl, apiKey: globalApiKey } = getApiConfig()
-    const apiUrl = propApiUrl || globalApiUrl
+    const { apiKey: globalApiKey } = getApiConfig()
     const apiKey = propApiKey || globalApiKey
     
     if (!apiKey) return
@@ -803,7 +968,7 @@ export function AnalyticsProvider({
       journeyStartTimeRef.current = now
     }
 
-    const trackJourneyStep = async () => {
+    const trackJourneyStep = () => {
       const sessionData: Record<string, any> = {
         sessionId: sessionIdRef.current,
         visitorId: visitorIdRef.current,
@@ -826,7 +991,7 @@ export function AnalyticsProvider({
       // Include first page for new sessions
       if (isNewSession) {
         sessionData.firstPage = pathname
-        const utmParams = getUTMParams()
+        const utmParams = hasMarketingConsent() ? getUTMParams() : {}
         sessionData.referrer = document.referrer || null
         sessionData.utmSource = utmParams.utm_source
         sessionData.utmMedium = utmParams.utm_medium
@@ -841,26 +1006,16 @@ export function AnalyticsProvider({
         console.log('[Analytics] Journey step:', sessionData)
       }
 
-      try {
-        await fetch(`${apiUrl}/api/public/analytics/session`, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'x-api-key': apiKey,
-          },
-          body: JSON.stringify(sessionData),
-        })
-      } catch (error) {
-        if (debug) console.error('[Analytics] Error tracking journey:', error)
-      }
+      sendAnalytics('session', sessionData)
     }
 
-    scheduleIdleTask(() => trackJourneyStep())
+    scheduleIdleTask(() => withConsent('analytics', trackJourneyStep))
 
-    // Track session end on page unload
+    // Track session end on page unload - the transport beacons it on pagehide
     const handleUnload = () => {
+      if (consentRef.current.analytics !== 'granted') return
       const duration = Math.round((Date.now() - journeyStartTimeRef.current) / 1000)
-      const payload = JSON.stringify({
+      sendAnalytics('session', {
         sessionId: sessionIdRef.current,
         action: 'end',
         duration,
@@ -868,15 +1023,6 @@ export function AnalyticsProvider({
         previousPageDuration: Math.round((Date.now() - pageEnterTimeRef.current) / 1000),
         previousPageScrollDepth: currentScrollDepthRef.current,
       })
-
-      // Use sendBeacon for reliability
-      if (navigator.sendBeacon) {
-        const blob = new Blob([payload], { type: 'application/json' })
-        navigator.sendBeacon(
-          `${apiUrl}/api/public/analytics/session?key=${encodeURIComponent(apiKey)}`,
-          blob
-        )
-      }
     }
 
     window.addEventListener('beforeunload', handleUnload)
@@ -884,7 +1030,7 @@ export function AnalyticsProvider({
     return () => {
       window.removeEventListener('beforeunload', handleUnload)
     }
-  }, [pathname, propApiUrl, propApiKey, trackJourneys, debug])
+  }, [pathname, propApiUrl, propApiKey, trackJourneys, debug, withConsent, sendAnalytics])
 
   // ============================================
   // Scroll Depth Tracking
@@ -896,8 +1042,7 @@ export function AnalyticsProvider({
     
     if (!trackScrollDepth) return
 
-    const { apiUrl: globalApiUrl, apiKey: globalApiKey } = getApiConfig()
-    const apiUrl = propApiUrl || globalApiUrl
+    const { apiKey: globalApiKey } = getApiConfig()
     const apiKey = propApiKey || globalApiKey
     
     if (!apiKey) {
@@ -941,13 +1086,16 @@ export function AnalyticsProvider({
       }
     }
 
-    const sendScrollData = async (useBeacon = false) => {
+    const sendScrollData = (unloading = false) => {
       if (hasTracked || maxDepth === 0) return
+      // Nothing can be queued while the page unloads
+      if (unloading && consentRef.current.heatmaps !== 'granted') return
       hasTracked = true
 
       const totalTime = (Date.now() - startTime) / 1000
+      const depth = maxDepth
       
-      const payload = JSON.stringify({
+      const payload = {
         sessionId: sessionIdRef.current,
         visitorId: visitorIdRef.current,
         pagePath: pathname,
@@ -958,35 +1106,13 @@ export function AnalyticsProvider({
         timeTo100: milestone100,
         totalTimeSeconds: totalTime,
         deviceType: getDeviceType(),
-      })
-
-      // Use sendBeacon for page unload (more reliable) or fetch for regular sends
-      if (useBeacon && navigator.sendBeacon) {
-        const blob = new Blob([payload], { type: 'application/json' })
-        const headers = new Headers({ 'x-api-key': apiKey })
-        // sendBeacon doesn't support custom headers, so we need to include key in URL
-        navigator.sendBeacon(
-          `${apiUrl}/api/public/analytics/scroll-depth?key=${encodeURIComponent(apiKey)}`,
-          blob
-        )
-        if (debug) console.log('[Analytics] Scroll depth (beacon):', { maxDepth, totalTime })
-      } else {
-        try {
-          await fetch(`${apiUrl}/api/public/analytics/scroll-depth`, {
-            method: 'POST',
-            headers: {
-              'Content-Type': 'application/json',
-              'x-api-key': apiKey,
-            },
-            body: payload,
-            keepalive: true, // Allows request to outlive the page
-          })
-          
-          if (debug) console.log('[Analytics] Scroll depth:', { maxDepth, totalTime })
-        } catch (error) {
-          if (debug) console.error('[Analytics] Error tracking scroll depth:', error)
-        }
       }
+
+      // On unload the transport beacons whatever is buffered when the page hides
+      withConsent('heatmaps', () => {
+        sendAnalytics('scroll-depth', payload)
+        if (debug) console.log('[Analytics] Scroll depth:', { maxDepth: depth, totalTime })
+      })
     }
 
     // Reset on page change
@@ -1000,7 +1126,7 @@ export function AnalyticsProvider({
 
     window.addEventListener('scroll', handleScroll, { passive: true })
     
-    // Send on page unload or visibility change - use beacon for reliability
+    // Send on page unload or visibility change
     const handleBeforeUnload = () => sendScrollData(true)
     const handleVisibilityChange = () => {
       if (document.visibilityState === 'hidden') sendScrollData(true)
@@ -1013,9 +1139,9 @@ export function AnalyticsProvider({
       window.removeEventListener('scroll', handleScroll)
       window.removeEventListener('beforeunload', handleBeforeUnload)
       document.removeEventListener('visibilitychange', handleVisibilityChange)
-      sendScrollData(false) // Send when component unmounts (navigation) - can use fetch here
+      sendScrollData(false) // Send when component unmounts (navigation)
     }
-  }, [pathname, propApiUrl, propApiKey, trackScrollDepth, debug])
+  }, [pathname, propApiUrl, propApiKey, trackScrollDepth, debug, withConsent, sendAnalytics])
 
   // ============================================
   // Click/Heatmap Tracking
@@ -1024,12 +1150,11 @@ export function AnalyticsProvider({
     if (!trackClicks) return
     if (typeof window === 'undefined') return
 
-    const { apiUrl: globalApiUrl, apiKey: globalApiKey } = getApiConfig()
-    const apiUrl = propApiUrl || globalApiUrl
+    const { apiKey: globalApiKey } = getApiConfig()
     const apiKey = propApiKey || globalApiKey
     if (!apiKey) return
 
-    const handleClick = async (e: MouseEvent) => {
+    const handleClick = (e: MouseEvent) => {
       const target = e.target as HTMLElement
       if (!target) return
 
@@ -1067,20 +1192,7 @@ export function AnalyticsProvider({
 
       if (debug) console.log('[Analytics] Click:', clickData)
 
-      scheduleIdleTask(async () => {
-        try {
-          await fetch(`${apiUrl}/api/public/analytics/heatmap-click`, {
-            method: 'POST',
-            headers: {
-              'Content-Type': 'application/json',
-              'x-api-key': apiKey,
-            },
-            body: JSON.stringify(clickData),
-          })
-        } catch (error) {
-          if (debug) console.error('[Analytics] Error tracking click:', error)
-        }
-      }, 500)
+      scheduleIdleTask(() => withConsent('heatmaps', () => sendAnalytics('heatmap-click', clickData)), 500)
     }
 
     document.addEventListener('click', handleClick, { passive: true })
@@ -1088,13 +1200,62 @@ export function AnalyticsProvider({
     return () => {
       document.removeEventListener('click', handleClick)
     }
-  }, [pathname, propApiUrl, propApiKey, trackClicks, debug])
+  }, [pathname, propApiUrl, propApiKey, trackClicks, debug, withConsent, sendAnalytics])
+  
+  // ============================================
+  // Frustration Signals
+  // ============================================
+  useEffect(() => {
+    if (!trackFrustration) return
+    if (typeof window === 'undefined') return
+
+    const { apiKey: globalApiKey } = getApiConfig()
+    const apiKey = propApiKey || globalApiKey
+    if (!apiKey) return
+
+    return startFrustrationTracking({
+      debug,
+      onSignal: (signal) => {
+        withConsent('heatmaps', () => sendAnalytics('frustration', {
+          sessionId: sessionIdRef.current,
+          visitorId: visitorIdRef.current,
+          pagePath: pathname,
+          deviceType: getDeviceType(),
+          viewportWidth: window.innerWidth,
+          viewportHeight: window.innerHeight,
+          ...signal,
+        }))
+      },
+    })
+  }, [pathname, propApiUrl, propApiKey, trackFrustration, debug, withConsent, sendAnalytics])
+  
+  // ============================================
+  // Transport
+  // ============================================
+  // Declared after the tracking effects so their unmount cleanups can still
+  // buffer events before the transport beacons them and shuts down.
+  useEffect(() => {
+    const transport = createAnalyticsTransport({
+      getConfig: () => {
+        const { apiUrl: globalApiUrl, apiKey: globalApiKey } = getApiConfig()
+        return { apiUrl: propApiUrl || globalApiUrl, apiKey: propApiKey || globalApiKey }
+      },
+      flushInterval,
+      maxBatchSize,
+      debug,
+    })
+    transportRef.current = transport
+    
+    return () => {
+      transport.destroy()
+      if (transportRef.current === transport) transportRef.current = null
+    }
+  }, [propApiUrl, propApiKey, flushInterval, maxBatchSize, debug])
   
   // Track event function - uses idle callback for non-critical events
   const trackEvent = useCallback((options: TrackEventOptions) => {
-    const doTrack = async () => {
-      const { apiUrl: globalApiUrl, apiKey: globalApiKey } = getApiConfig()
-      const apiUrl = propApiUrl || globalApiUrl
+    const doTrack = () => {
+      const { apiKey: globalApiKey } = getApiConfig()
       const apiKey = propApiKey || globalApiKey
       
       if (!apiKey) {
@@ -1117,33 +1278,17 @@ export function AnalyticsProvider({
         console.log('[Analytics] Event:', event)
       }
       
-      try {
-        const response = await fetch(`${apiUrl}/api/public/analytics/event`, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'x-api-key': apiKey,
-          },
-          body: JSON.stringify(event),
-        })
-        
-        if (!response.ok && debug) {
-          console.error('[Analytics] Error tracking event:', response.statusText)
-        }
-      } catch (error) {
-        if (debug) console.error('[Analytics] Error tracking event:', error)
-      }
+      sendAnalytics('event', event)
     }
     
     // Defer event tracking to idle time
-    scheduleIdleTask(doTrack, 1000)
-  }, [propApiUrl, propApiKey, pathname, debug])
+    scheduleIdleTask(() => withConsent('analytics', doTrack), 1000)
+  }, [propApiUrl, propApiKey, pathname, debug, withConsent, sendAnalytics])
   
   // Track conversion function - runs immediately (conversions are high priority)
   const trackConversion = useCallback((options: TrackConversionOptions) => {
-    const doTrack = async () => {
-      const { apiUrl: globalApiUrl, apiKey: globalApiKey } = getApiConfig()
-      const apiUrl = propApiUrl || globalApiUrl
+    const doTrack = () => {
+      const { apiKey: globalApiKey } = getApiConfig()
       const apiKey = propApiKey || globalApiKey
       
       if (!apiKey) {
@@ -1167,38 +1312,25 @@ export function AnalyticsProvider({
         console.log('[Analytics] Conversion:', conversion)
       }
       
-      try {
-        const response = await fetch(`${apiUrl}/api/public/analytics/conversion`, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'x-api-key': apiKey,
-          },
-          body: JSON.stringify(conversion),
-        })
-        
-        if (!response.ok && debug) {
-          console.error('[Analytics] Error tracking conversion:', response.statusText)
-        }
-      } catch (error) {
-        if (debug) console.error('[Analytics] Error tracking conversion:', error)
-      }
+      // Flushed right away - the transport saves it for retry if the network drops
+      sendAnalytics('conversion', conversion, { immediate: true })
     }
     
     // Conversions run immediately (not deferred) since they're high-value events
-    doTrack()
-  }, [propApiUrl, propApiKey, pathname, debug])
+    withConsent('analytics', doTrack)
+  }, [propApiUrl, propApiKey, pathname, debug, withConsent, sendAnalytics])
   
   const contextValue = useMemo<AnalyticsContextValue>(() => ({
     trackEvent,
     trackConversion,
     sessionId: sessionIdRef.current,
     visitorId: visitorIdRef.current,
-  }), [trackEvent, trackConversion])
+    consent: consentValue,
+  }), [trackEvent, trackConversion, consentValue])
   
   return (
     <AnalyticsContext.Provider value={contextValue}>
-      {trackWebVitals && (
+      {trackWebVitals && consentValue.hasConsent('analytics') && (
         <WebVitals 
           apiUrl={propApiUrl} 
           apiKey={propApiKey} 
@@ -1226,3 +1358,20 @@ export function useTrackEvent() {
   const { trackEvent, trackConversion } = useAnalytics()
   return { trackEvent, trackConversion }
 }
+
+/**
+ * Read and update the visitor's tracking consent
+ * 
+ * @example
+ * ```tsx
+ * const { isPending, acceptAll, rejectAll, updateConsent } = useConsent()
+ * updateConsent({ analytics: true, heatmaps: false, marketing: false })
+ * ```
+ */
+export function useConsent(): ConsentContextValue {
+  const context = useContext(AnalyticsContext)
+  if (!context) {
+    throw new Error('useConsent must be used within an AnalyticsProvider')
+  }
+  return context.consent
+}
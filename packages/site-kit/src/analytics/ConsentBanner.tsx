@@ -0,0 +1,151 @@
+/**
+ * @uptrade/site-kit/analytics - Headless Consent Banner
+ *
+ * Handles consent banner state and leaves all markup to the site.
+ * Categories, policy URL and opt-in requirement come from the consent config
+ * passed to AnalyticsProvider (or `analytics.consent` in SiteKitProvider).
+ */
+
+'use client'
+
+import React, { useCallback, useEffect, useMemo, useState } from 'react'
+import { useConsent } from './AnalyticsProvider'
+import { CONSENT_CATEGORIES, CONSENT_CATEGORY_INFO } from './consent'
+import type { ConsentCategory, ConsentPreferences } from './types'
+
+export interface ConsentBannerCategory {
+  id: ConsentCategory
+  label: string
+  description: string
+  /** Current (unsaved) selection for this category */
+  checked: boolean
+}
+
+export interface ConsentBannerRenderProps {
+  /** True while the visitor still has to decide, or after `open()` */
+  isOpen: boolean
+  /** Categories offered to the visitor with their current selection */
+  categories: ConsentBannerCategory[]
+  /** Toggle a category in the unsaved selection */
+  toggle: (category: ConsentCategory, checked?: boolean) => void
+  /** Save the current selection */
+  save: () => void
+  /** Grant every category */
+  acceptAll: () => void
+  /** Deny every category */
+  rejectAll: () => void
+  /** Re-open the banner, e.g. from a "Cookie settings" footer link */
+  open: () => void
+  /** Close without changing anything */
+  close: () => void
+  /** Browser sends Do Not Track / Global Privacy Control */
+  doNotTrack: boolean
+  policyUrl?: string
+}
+
+export interface ConsentBannerProps {
+  /** Render function - receives banner state and actions */
+  children: (props: ConsentBannerRenderProps) => React.ReactNode
+  /** Override category labels and descriptions */
+  labels?: Partial<Record<ConsentCategory, { label?: string; description?: string }>>
+}
+
+/**
+ * Headless consent banner
+ *
+ * @example
+ * ```tsx
+ * <ConsentBanner>
+ *   {({ isOpen, categories, toggle, save, acceptAll, rejectAll, open }) =>
+ *     isOpen ? (
+ *       <div className="cookie-banner">
+ *         {categories.map(c => (
+ *           <label key={c.id}>
+ *             <input type="checkbox" checked={c.checked} onChange={e => toggle(c.id, e.target.checked)} />
+ *             {c.label}
+ *           </label>
+ *         ))}
+ *         <button onClick={rejectAll}>Reject all</button>
+ *         <button onClick={save}>Save</button>
+ *         <button onClick={acceptAll}>Accept all</button>
+ *       </div>
+ *     ) : (
+ *       <button onClick={open}>Cookie settings</button>
+ *     )
+ *   }
+ * </ConsentBanner>
+ * ```
+ */
+export function ConsentBanner({ children, labels }: ConsentBannerProps) {
+  const {
+    consent,
+    consentRequired,
+    isPending,
+    doNotTrack,
+    updateConsent,
+    acceptAll: grantAll,
+    rejectAll: denyAll,
+    config,
+  } = useConsent()
+
+  const [manuallyOpen, setManuallyOpen] = useState(false)
+  const [selection, setSelection] = useState<ConsentPreferences>({})
+
+  const offered = config.categories || CONSENT_CATEGORIES
+
+  // Start each viewing from the stored decision
+  useEffect(() => {
+    const current: ConsentPreferences = {}
+    for (const category of CONSENT_CATEGORIES) {
+      current[category] = consent[category] === 'granted'
+    }
+    setSelection(current)
+  }, [consent, manuallyOpen])
+
+  const toggle = useCallback((category: ConsentCategory, checked?: boolean) => {
+    setSelection(prev => ({ ...prev, [category]: checked ?? !prev[category] }))
+  }, [])
+
+  const save = useCallback(() => {
+    const decision: ConsentPreferences = {}
+    for (const category of offered) {
+      decision[category] = !!selection[category]
+    }
+    updateConsent(decision)
+    setManuallyOpen(false)
+  }, [offered, selection, updateConsent])
+
+  const acceptAll = useCallback(() => {
+    grantAll()
+    setManuallyOpen(false)
+  }, [grantAll])
+
+  const rejectAll = useCallback(() => {
+    denyAll()
+    setManuallyOpen(false)
+  }, [denyAll])
+
+  const categories = useMemo<ConsentBannerCategory[]>(() => offered.map(id => ({
+    id,
+    label: labels?.[id]?.label || CONSENT_CATEGORY_INFO[id].label,
+    description: labels?.[id]?.description || CONSENT_CATEGORY_INFO[id].description,
+    checked: !!selection[id],
+  })), [offered, labels, selection])
+
+  return (
+    <>
+      {children({
+        isOpen: manuallyOpen || (consentRequired && isPending),
+        categories,
+        toggle,
+        save,
+        acceptAll,
+        rejectAll,
+        open: () => setManuallyOpen(true),
+        close: () => setManuallyOpen(false),
+        doNotTrack,
+        policyUrl: config.policyUrl,
+      })}
+    </>
+  )
+}
@@ -0,0 +1,139 @@
+/**
+ * @uptrade/site-kit/analytics - Consent helpers
+ *
+ * Stores the visitor's tracking consent and detects browser privacy signals
+ * (Do Not Track / Global Privacy Control). Only the consent decision itself is
+ * persisted - it is strictly necessary and doesn't identify the visitor.
+ */
+
+import type { ConsentCategory, ConsentPreferences, ConsentState } from './types'
+
+const CONSENT_KEY = '_uptrade_consent'
+
+export const CONSENT_CATEGORIES: ConsentCategory[] = ['analytics', 'heatmaps', 'marketing']
+
+export const CONSENT_CATEGORY_INFO: Record<ConsentCategory, { label: string; description: string }> = {
+  analytics: {
+    label: 'Analytics',
+    description: 'Page views, sessions, events and performance metrics that help us improve the site.',
+  },
+  heatmaps: {
+    label: 'Heatmaps',
+    description: 'Click positions and scroll depth used to understand how pages are used.',
+  },
+  marketing: {
+    label: 'Marketing',
+    description: 'Campaign attribution and conversion measurement for advertising.',
+  },
+}
+
+interface StoredConsent {
+  version: string
+  categories: ConsentPreferences
+  updatedAt: string
+}
+
+/**
+ * True when the browser sends Do Not Track or Global Privacy Control
+ */
+export function isDoNotTrackEnabled(): boolean {
+  if (typeof window === 'undefined') return false
+
+  const nav = navigator as Navigator & { msDoNotTrack?: string; globalPrivacyControl?: boolean }
+  const dnt = nav.doNotTrack || nav.msDoNotTrack || (window as any).doNotTrack
+  return dnt === '1' || dnt === 'yes' || nav.globalPrivacyControl === true
+}
+
+export function readStoredConsent(version: string): ConsentPreferences | null {
+  if (typeof window === 'undefined') return null
+
+  try {
+    const raw = localStorage.getItem(CONSENT_KEY)
+    if (!raw) return null
+
+    const stored = JSON.parse(raw) as StoredConsent
+    // A new policy version invalidates earlier decisions
+    if (stored.version !== version) return null
+    return stored.categories || null
+  } catch {
+    return null
+  }
+}
+
+export function writeStoredConsent(version: string, categories: ConsentPreferences): void {
+  if (typeof window === 'undefined') return
+
+  try {
+    const stored: StoredConsent = {
+      version,
+      categories,
+      updatedAt: new Date().toISOString(),
+    }
+    localStorage.setItem(CONSENT_KEY, JSON.stringify(stored))
+  } catch {
+    // Storage unavailable (private mode, quota) - consent lasts for this page only
+  }
+}
+
+export function clearStoredConsent(): void {
+  if (typeof window === 'undefined') return
+  try {
+    localStorage.removeItem(CONSENT_KEY)
+  } catch {
+    // ignore
+  }
+}
+
+/**
+ * Resolve the effective consent state for every category.
+ *
+ * Precedence: controlled `consent` prop > stored decision > Do Not Track > default.
+ * When consent isn't required, undecided categories are granted (legacy behaviour).
+ * Categories missing from `offered` follow the default without becoming pending.
+ */
+export function resolveConsentState({
+  controlled,
+  stored,
+  required,
+  doNotTrack,
+  offered = CONSENT_CATEGORIES,
+}: {
+  controlled?: ConsentPreferences
+  stored: ConsentPreferences | null
+  required: boolean
+  doNotTrack: boolean
+  offered?: ConsentCategory[]
+}): ConsentState {
+  const state = {} as ConsentState
+
+  for (const category of CONSENT_CATEGORIES) {
+    const decision = controlled?.[category] ?? stored?.[category]
+
+    // Categories the visitor is never asked about can't be opted into
+    if (decision === undefined && !offered.includes(category)) {
+      state[category] = required || doNotTrack ? 'denied' : 'granted'
+      continue
+    }
+
+    if (decision !== undefined) {
+      state[category] = decision ? 'granted' : 'denied'
+    } else if (doNotTrack) {
+      state[category] = 'denied'
+    } else {
+      state[category] = required ? 'pending' : 'granted'
+    }
+  }
+
+  return state
+}
+
+export function pendingConsentState(): ConsentState {
+  return { analytics: 'pending', heatmaps: 'pending', marketing: 'pending' }
+}
+
+export function allConsent(granted: boolean): ConsentPreferences {
+  return CONSENT_CATEGORIES.reduce<ConsentPreferences>((prefs, category) => {
+    prefs[category] = granted
+    return prefs
+  }, {})
+}
@@ -0,0 +1,302 @@
+/**
+ * @uptrade/site-kit/analytics - Frustration Signals
+ *
+ * Detects visitor frustration from raw DOM activity:
+ * - rage_click: several quick clicks on the same spot
+ * - dead_click: a click on something interactive that doesn't respond (no DOM change, navigation or scroll)
+ * - error_click: a click paired with an uncaught JS error or unhandled rejection
+ * - thrashed_cursor: erratic back-and-forth mouse movement
+ */
+
+import type { FrustrationSignal, FrustrationElementSnapshot, FrustrationSignalType } from './types'
+
+export interface FrustrationTrackingOptions {
+  /** Called for every detected signal */
+  onSignal: (signal: FrustrationSignal) => void
+  /** Clicks needed for a rage click (default: 3) */
+  rageClickThreshold?: number
+  /** Window for rage clicks in ms (default: 700) */
+  rageClickWindow?: number
+  /** How long a click has to produce a response in ms (default: 1000) */
+  deadClickTimeout?: number
+  debug?: boolean
+}
+
+const RAGE_CLICK_RADIUS = 30 // px between clicks in the same burst
+const ERROR_CLICK_WINDOW = 1000 // ms between a click and an uncaught error
+const THRASH_WINDOW = 1500 // ms of mouse movement considered
+const THRASH_MIN_REVERSALS = 8
+const THRASH_MIN_DISTANCE = 800 // px travelled inside the window
+const THRASH_COOLDOWN = 5000
+
+const INTERACTIVE_SELECTOR = [
+  'a[href]',
+  'button',
+  'input',
+  'select',
+  'textarea',
+  'label',
+  'summary',
+  '[contenteditable="true"]',
+  '[role="button"]',
+  '[role="link"]',
+  '[role="tab"]',
+  '[role="menuitem"]',
+  '[role="checkbox"]',
+  '[role="switch"]',
+  '[onclick]',
+  '[tabindex]:not([tabindex="-1"])',
+].join(', ')
+
+// ============================================
+// Element Helpers
+// ============================================
+
+function escapeCss(value: string): string {
+  if (typeof CSS !== 'undefined' && CSS.escape) return CSS.escape(value)
+  return value.replace(/[^a-zA-Z0-9_-]/g, '\\$&')
+}
+
+/**
+ * Build a short, reasonably stable CSS selector for an element.
+ * Stops at the first ancestor with an ID; generated class names (hashes) are skipped.
+ */
+export function getElementSelector(element: Element, maxDepth = 5): string {
+  const parts: string[] = []
+  let current: Element | null = element
+
+  while (current && current.nodeType === 1 && parts.length < maxDepth) {
+    const tag = current.tagName.toLowerCase()
+    if (tag === 'html' || tag === 'body') break
+
+    if (current.id && !/\d{3,}/.test(current.id)) {
+      parts.unshift(`#${escapeCss(current.id)}`)
+      break
+    }
+
+    let part = tag
+    const classes = Array.from(current.classList)
+      .filter(c => !/\d{3,}|^css-|^sc-|__/.test(c))
+      .slice(0, 2)
+    if (classes.length > 0) {
+      part += classes.map(c => `.${escapeCss(c)}`).join('')
+    }
+
+    const parent: Element | null = current.parentElement
+    if (parent) {
+      const siblings = Array.from(parent.children).filter(child => child.tagName === current!.tagName)
+      if (siblings.length > 1) {
+        part += `:nth-of-type(${siblings.indexOf(current) + 1})`
+      }
+    }
+
+    parts.unshift(part)
+    current = parent
+  }
+
+  return parts.join(' > ')
+}
+
+export function getElementSnapshot(element: Element): FrustrationElementSnapshot {
+  const rect = element.getBoundingClientRect()
+  const className = typeof (element as HTMLElement).className === 'string'
+    ? (element as HTMLElement).className
+    : element.getAttribute('class') || ''
+
+  return {
+    tag: element.tagName.toLowerCase(),
+    id: element.id || null,
+    classes: className.split(/\s+/).filter(Boolean).slice(0, 5),
+    text: (element.textContent || '').replace(/\s+/g, ' ').trim().slice(0, 100) || null,
+    href: element.getAttribute('href'),
+    role: element.getAttribute('role'),
+    ariaLabel: element.getAttribute('aria-label'),
+    isInteractive: isInteractive(element),
+    rect: {
+      x: Math.round(rect.left),
+      y: Math.round(rect.top + window.scrollY),
+      width: Math.round(rect.width),
+      height: Math.round(rect.height),
+    },
+  }
+}
+
+function isInteractive(element: Element): boolean {
+  if (element.closest(INTERACTIVE_SELECTOR)) return true
+  // Elements styled as clickable usually have a JS handler attached
+  try {
+    return window.getComputedStyle(element).cursor === 'pointer'
+  } catch {
+    return false
+  }
+}
+
+function isEditable(element: Element): boolean {
+  return !!element.closest('input, select, textarea, [contenteditable="true"]')
+}
+
+function opensElsewhere(element: Element): boolean {
+  const link = element.closest('a[href]')
+  if (!link) return false
+  const target = link.getAttribute('target')
+  return link.hasAttribute('download') || (!!target && target !== '_self')
+}
+
+// ============================================
+// Detectors
+// ============================================
+
+/**
+ * Attach all frustration detectors to the document.
+ * Returns a cleanup function that removes every listener.
+ */
+export function startFrustrationTracking({
+  onSignal,
+  rageClickThreshold = 3,
+  rageClickWindow = 700,
+  deadClickTimeout = 1000,
+  debug = false,
+}: FrustrationTrackingOptions): () => void {
+  if (typeof window === 'undefined') return () => {}
+
+  const timers = new Set<ReturnType<typeof setTimeout>>()
+  let lastMutation = 0
+  let lastScroll = 0
+  let lastError: { time: number; message: string } | null = null
+  let lastClick: { time: number; target: Element; x: number; y: number; errorReported: boolean } | null = null
+  let burst: { x: number; y: number; time: number }[] = []
+  let rageReported = false
+
+  const emit = (type: FrustrationSignalType, target: Element, extra: Partial<FrustrationSignal> = {}) => {
+    const signal: FrustrationSignal = {
+      type,
+      selector: getElementSelector(target),
+      element: getElementSnapshot(target),
+      timestamp: new Date().toISOString(),
+      ...extra,
+    }
+    if (debug) console.log('[Analytics] Frustration:', signal)
+    onSignal(signal)
+  }
+
+  const later = (fn: () => void, ms: number) => {
+    const timer = setTimeout(() => {
+      timers.delete(timer)
+      fn()
+    }, ms)
+    timers.add(timer)
+  }
+
+  // Any DOM change counts as the page responding to a click
+  const observer = typeof MutationObserver !== 'undefined'
+    ? new MutationObserver(() => { lastMutation = Date.now() })
+    : null
+  observer?.observe(document.body, { childList: true, subtree: true, attributes: true, characterData: true })
+
+  const handleScroll = () => { lastScroll = Date.now() }
+
+  const handleClick = (e: MouseEvent) => {
+    const target = e.target as Element | null
+    if (!target || target.nodeType !== 1) return
+
+    const now = Date.now()
+    const x = e.pageX
+    const y = e.pageY
+
+    // Rage clicks - consecutive clicks close together in time and space
+    burst = burst.filter(c => now - c.time <= rageClickWindow && Math.hypot(c.x - x, c.y - y) <= RAGE_CLICK_RADIUS)
+    if (burst.length === 0) rageReported = false
+    burst.push({ x, y, time: now })
+
+    if (!rageReported && burst.length >= rageClickThreshold) {
+      rageReported = true
+      // Give the burst a moment to finish so the full count is reported
+      later(() => emit('rage_click', target, { x, y, clickCount: burst.length }), rageClickWindow)
+    }
+
+    // Error clicks - the click's own handler may already have thrown (errors fire before
+    // the event reaches the document), otherwise handleError pairs it with a later error
+    const recentError = lastError && now - lastError.time <= ERROR_CLICK_WINDOW ? lastError : null
+    lastClick = { time: now, target, x, y, errorReported: !!recentError }
+    if (recentError) {
+      emit('error_click', target, { x, y, errorMessage: recentError.message })
+    }
+
+    // Dead clicks - something that looks clickable didn't respond. Clicks on
+    // plain content are ignored, as are links that open elsewhere and leave
+    // this page as it was
+    if (!isInteractive(target) || isEditable(target) || opensElsewhere(target)) return
+    if (window.getSelection()?.toString()) return
+    const url = window.location.href
+    later(() => {
+      const responded = lastMutation >= now || lastScroll >= now || window.location.href !== url
+      if (!responded) {
+        emit('dead_click', target, { x, y, clickCount: 1 })
+      }
+    }, deadClickTimeout)
+  }
+
+  const recordError = (message: string) => {
+    const now = Date.now()
+    lastError = { time: now, message: message.slice(0, 300) }
+
+    if (lastClick && !lastClick.errorReported && now - lastClick.time <= ERROR_CLICK_WINDOW) {
+      lastClick.errorReported = true
+      emit('error_click', lastClick.target, { x: lastClick.x, y: lastClick.y, errorMessage: lastError.message })
+    }
+  }
+
+  const handleError = (e: ErrorEvent) => recordError(e.message || 'Script error')
+  const handleRejection = (e: PromiseRejectionEvent) => {
+    const reason = e.reason instanceof Error ? e.reason.message : String(e.reason)
+    recordError(`Unhandled rejection: ${reason}`)
+  }
+
+  // Thrashed cursor - rapid horizontal direction reversals covering a lot of ground
+  let moves: { x: number; time: number }[] = []
+  let lastThrash = 0
+
+  const handleMouseMove = (e: MouseEvent) => {
+    const now = Date.now()
+    moves.push({ x: e.clientX, time: now })
+    moves = moves.filter(m => now - m.time <= THRASH_WINDOW)
+    if (moves.length < THRASH_MIN_REVERSALS * 2 || now - lastThrash < THRASH_COOLDOWN) return
+
+    let reversals = 0
+    let distance = 0
+    let previousDirection = 0
+    for (let i = 1; i < moves.length; i++) {
+      const dx = moves[i].x - moves[i - 1].x
+      distance += Math.abs(dx)
+      const direction = Math.sign(dx)
+      if (direction !== 0) {
+        if (previousDirection !== 0 && direction !== previousDirection) reversals++
+        previousDirection = direction
+      }
+    }
+
+    if (reversals >= THRASH_MIN_REVERSALS && distance >= THRASH_MIN_DISTANCE) {
+      lastThrash = now
+      moves = []
+      const target = document.elementFromPoint(e.clientX, e.clientY) || document.body
+      emit('thrashed_cursor', target, { x: e.pageX, y: e.pageY })
+    }
+  }
+
+  document.addEventListener('click', handleClick, { capture: false, passive: true })
+  document.addEventListener('mousemove', handleMouseMove, { passive: true })
+  window.addEventListener('scroll', handleScroll, { passive: true })
+  window.addEventListener('error', handleError)
+  window.addEventListener('unhandledrejection', handleRejection)
+
+  return () => {
+    observer?.disconnect()
+    timers.forEach(timer => clearTimeout(timer))
+    timers.clear()
+    document.removeEventListener('click', handleClick)
+    document.removeEventListener('mousemove', handleMouseMove)
+    window.removeEventListener('scroll', handleScroll)
+    window.removeEventListener('error', handleError)
+    window.removeEventListener('unhandledrejection', handleRejection)
+  }
+}
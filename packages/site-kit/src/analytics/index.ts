@@ -1,12 +1,20 @@
 /**
  * @uptrade/site-kit/analytics
  * 
- * Analytics tracking for client sites - page views, events, conversions, web vitals
+ * Analytics tracking for client sites - page views, events, conversions, web vitals,
+ * plus consent handling (useConsent, ConsentBanner)
  */
 
 'use client'
 
-export { AnalyticsProvider, useAnalytics, useTrackEvent } from './AnalyticsProvider'
+export { AnalyticsProvider, useAnalytics, useTrackEvent, useConsent } from './AnalyticsProvider'
 export { WebVitals } from './WebVitals'
+export { ConsentBanner } from './ConsentBanner'
+export type { ConsentBannerProps, ConsentBannerRenderProps, ConsentBannerCategory } from './ConsentBanner'
+export { isDoNotTrackEnabled, CONSENT_CATEGORIES, CONSENT_CATEGORY_INFO } from './consent'
+export { createAnalyticsTransport } from './transport'
+export { startFrustrationTracking, getElementSelector, getElementSnapshot } from './frustration'
+export type { FrustrationTrackingOptions } from './frustration'
+export type { AnalyticsTransport, AnalyticsEventType, QueuedAnalyticsEvent, TransportOptions } from './transport'
 export { useContactTracking, ContactTracking } from './useContactTracking'
 export * from './types'
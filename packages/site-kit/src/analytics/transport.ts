@@ -0,0 +1,381 @@
+/**
+ * @uptrade/site-kit/analytics - Event Transport
+ *
+ * Shared delivery layer for every analytics call. Payloads are buffered and sent
+ * as one request per flush interval to /api/public/analytics/batch.
+ *
+ * - Offline or failed batches are saved to IndexedDB and retried with exponential backoff
+ * - Saved batches are resent on the next page load and when the browser comes back online
+ * - Whatever is still buffered on pagehide goes out with sendBeacon
+ */
+
+export type AnalyticsEventType =
+  | 'page-view'
+  | 'session'
+  | 'event'
+  | 'conversion'
+  | 'scroll-depth'
+  | 'heatmap-click'
+  | 'frustration'
+
+export interface QueuedAnalyticsEvent {
+  type: AnalyticsEventType
+  data: Record<string, unknown>
+  timestamp: string
+}
+
+export interface TransportOptions {
+  /** Resolves the API URL and key at send time (they may be set after mount) */
+  getConfig: () => { apiUrl: string; apiKey?: string }
+  /** Milliseconds between flushes (default: 5000) */
+  flushInterval?: number
+  /** Flush early once this many events are buffered (default: 20) */
+  maxBatchSize?: number
+  /** Give up on a saved batch after this many failed attempts (default: 8) */
+  maxRetries?: number
+  debug?: boolean
+}
+
+export interface SendOptions {
+  /** Flush right away instead of waiting for the interval (conversions) */
+  immediate?: boolean
+}
+
+export interface AnalyticsTransport {
+  /** Buffer an event for the next batch */
+  send: (type: AnalyticsEventType, data: Record<string, unknown>, options?: SendOptions) => void
+  /** Send everything buffered now */
+  flush: () => Promise<void>
+  /** Remove listeners and timers, beaconing anything still buffered */
+  destroy: () => void
+}
+
+interface StoredBatch {
+  id?: number
+  events: QueuedAnalyticsEvent[]
+  attempts: number
+  createdAt: number
+}
+
+const DB_NAME = 'uptrade-analytics'
+const STORE_NAME = 'batches'
+const BASE_RETRY_DELAY = 1000
+const MAX_RETRY_DELAY = 60 * 1000
+const MAX_BATCH_AGE = 7 * 24 * 60 * 60 * 1000 // Drop saved batches after a week
+const BEACON_MAX_BYTES = 60 * 1024 // sendBeacon rejects payloads over ~64KB
+
+// ============================================
+// IndexedDB Storage
+// ============================================
+
+function openDatabase(): Promise<IDBDatabase | null> {
+  if (typeof indexedDB === 'undefined') return Promise.resolve(null)
+
+  return new Promise(resolve => {
+    try {
+      const request = indexedDB.open(DB_NAME, 1)
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true })
+      }
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => resolve(null)
+    } catch {
+      // Private browsing in some browsers throws on open
+      resolve(null)
+    }
+  })
+}
+
+function runStore<T>(
+  db: IDBDatabase,
+  mode: 'readonly' | 'readwrite',
+  operation: (store: IDBObjectStore) => IDBRequest<T>
+): Promise<T | null> {
+  return new Promise(resolve => {
+    try {
+      const tx = db.transaction(STORE_NAME, mode)
+      const request = operation(tx.objectStore(STORE_NAME))
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => resolve(null)
+    } catch {
+      resolve(null)
+    }
+  })
+}
+
+function getRetryDelay(attempts: number): number {
+  const delay = Math.min(MAX_RETRY_DELAY, BASE_RETRY_DELAY * 2 ** attempts)
+  // Jitter so many tabs coming back online don't retry in lockstep
+  return Math.round(delay * (0.75 + Math.random() * 0.5))
+}
+
+// ============================================
+// Transport
+// ============================================
+
+export function createAnalyticsTransport({
+  getConfig,
+  flushInterval = 5000,
+  maxBatchSize = 20,
+  maxRetries = 8,
+  debug = false,
+}: TransportOptions): AnalyticsTransport {
+  let buffer: QueuedAnalyticsEvent[] = []
+  let flushTimer: ReturnType<typeof setTimeout> | null = null
+  let retryTimer: ReturnType<typeof setTimeout> | null = null
+  let draining = false
+  let destroyed = false
+
+  // Fallback when IndexedDB isn't available - survives until the page unloads
+  const memoryStore: StoredBatch[] = []
+  const dbPromise = openDatabase()
+
+  const log = (...args: unknown[]) => {
+    if (debug) console.log('[Analytics]', ...args)
+  }
+
+  const isOnline = () => typeof navigator === 'undefined' || navigator.onLine !== false
+
+  // --------------------------------------------
+  // Storage
+  // --------------------------------------------
+
+  const saveBatch = async (batch: StoredBatch) => {
+    const db = await dbPromise
+    if (db) {
+      // New records get their key from autoIncrement
+      const record = batch.id !== undefined
+        ? batch
+        : { events: batch.events, attempts: batch.attempts, createdAt: batch.createdAt }
+      await runStore(db, 'readwrite', store => store.put(record))
+    } else if (!memoryStore.includes(batch)) {
+      memoryStore.push(batch)
+    }
+  }
+
+  const deleteBatch = async (batch: StoredBatch) => {
+    const db = await dbPromise
+    if (db && batch.id !== undefined) {
+      await runStore(db, 'readwrite', store => store.delete(batch.id as number))
+    } else {
+      const index = memoryStore.indexOf(batch)
+      if (index >= 0) memoryStore.splice(index, 1)
+    }
+  }
+
+  const loadBatches = async (): Promise<StoredBatch[]> => {
+    const db = await dbPromise
+    if (!db) return [...memoryStore]
+    return (await runStore<StoredBatch[]>(db, 'readonly', store => store.getAll())) || []
+  }
+
+  // --------------------------------------------
+  // Delivery
+  // --------------------------------------------
+
+  type PostResult = 'sent' | 'retry' | 'rejected'
+
+  const postBatch = async (events: QueuedAnalyticsEvent[]): Promise<PostResult> => {
+    const { apiUrl, apiKey } = getConfig()
+    if (!apiKey) {
+      log('No API key configured - holding batch')
+      return 'retry'
+    }
+
+    const body = JSON.stringify({ events, sentAt: new Date().toISOString() })
+
+    try {
+      const response = await fetch(`${apiUrl}/api/public/analytics/batch`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'x-api-key': apiKey,
+        },
+        body,
+        keepalive: body.length < BEACON_MAX_BYTES,
+      })
+
+      if (response.ok) return 'sent'
+
+      // Client errors won't succeed on retry - except timeouts and rate limits
+      if (response.status >= 400 && response.status < 500 && response.status !== 408 && response.status !== 429) {
+        if (debug) console.error('[Analytics] Batch rejected:', response.status, response.statusText)
+        return 'rejected'
+      }
+      return 'retry'
+    } catch (error) {
+      if (debug) console.error('[Analytics] Batch failed:', error)
+      return 'retry'
+    }
+  }
+
+  const scheduleRetry = (attempts: number) => {
+    if (destroyed || retryTimer) return
+    const delay = getRetryDelay(attempts)
+    log('Retrying saved batches in', delay, 'ms')
+    retryTimer = setTimeout(() => {
+      retryTimer = null
+      drainStored()
+    }, delay)
+  }
+
+  /**
+   * Resend saved batches oldest-first. Stops at the first failure so order is kept
+   * and the backoff applies to the whole queue.
+   */
+  const drainStored = async () => {
+    if (draining || !isOnline()) return
+    draining = true
+
+    try {
+      const batches = (await loadBatches()).sort((a, b) => a.createdAt - b.createdAt)
+      const now = Date.now()
+
+      for (const batch of batches) {
+        if (now - batch.createdAt > MAX_BATCH_AGE || batch.attempts >= maxRetries) {
+          log('Dropping expired batch of', batch.events.length, 'events')
+          await deleteBatch(batch)
+          continue
+        }
+
+        const result = await postBatch(batch.events)
+        if (result === 'retry') {
+          batch.attempts += 1
+          await saveBatch(batch)
+          scheduleRetry(batch.attempts)
+          break
+        }
+        await deleteBatch(batch)
+      }
+    } finally {
+      draining = false
+    }
+  }
+
+  const flush = async () => {
+    if (flushTimer) {
+      clearTimeout(flushTimer)
+      flushTimer = null
+    }
+    if (buffer.length === 0) return
+
+    const events = buffer
+    buffer = []
+
+    if (!isOnline()) {
+      log('Offline - saving', events.length, 'events')
+      await saveBatch({ events, attempts: 0, createdAt: Date.now() })
+      return
+    }
+
+    log('Sending batch of', events.length, 'events')
+    const result = await postBatch(events)
+
+    if (result === 'retry') {
+      await saveBatch({ events, attempts: 1, createdAt: Date.now() })
+      scheduleRetry(1)
+    } else if (result === 'sent') {
+      // The connection works - a good moment to send anything saved earlier
+      drainStored()
+    }
+  }
+
+  /**
+   * Last chance on pagehide - beacon the buffer in chunks that fit,
+   * saving whatever the browser refuses.
+   */
+  const flushWithBeacon = () => {
+    if (buffer.length === 0) return
+
+    const events = buffer
+    buffer = []
+    if (flushTimer) {
+      clearTimeout(flushTimer)
+      flushTimer = null
+    }
+
+    const { apiUrl, apiKey } = getConfig()
+    const canBeacon = !!apiKey && isOnline() && typeof navigator !== 'undefined' && !!navigator.sendBeacon
+    if (!canBeacon) {
+      saveBatch({ events, attempts: 0, createdAt: Date.now() })
+      return
+    }
+
+    // sendBeacon doesn't support custom headers, so the key goes in the URL
+    const url = `${apiUrl}/api/public/analytics/batch?key=${encodeURIComponent(apiKey as string)}`
+    let chunk: QueuedAnalyticsEvent[] = []
+    const unsent: QueuedAnalyticsEvent[] = []
+
+    const sendChunk = () => {
+      if (chunk.length === 0) return
+      const blob = new Blob([JSON.stringify({ events: chunk, sentAt: new Date().toISOString() })], { type: 'application/json' })
+      if (!navigator.sendBeacon(url, blob)) unsent.push(...chunk)
+      chunk = []
+    }
+
+    for (const event of events) {
+      chunk.push(event)
+      if (JSON.stringify(chunk).length > BEACON_MAX_BYTES) {
+        chunk.pop()
+        sendChunk()
+        chunk.push(event)
+      }
+    }
+    sendChunk()
+
+    log('Beaconed', events.length - unsent.length, 'events on pagehide')
+    if (unsent.length > 0) {
+      saveBatch({ events: unsent, attempts: 0, createdAt: Date.now() })
+    }
+  }
+
+  const send = (type: AnalyticsEventType, data: Record<string, unknown>, options: SendOptions = {}) => {
+    if (destroyed) return
+
+    buffer.push({ type, data, timestamp: new Date().toISOString() })
+
+    if (options.immediate || buffer.length >= maxBatchSize) {
+      flush()
+    } else if (!flushTimer) {
+      flushTimer = setTimeout(() => {
+        flushTimer = null
+        flush()
+      }, flushInterval)
+    }
+  }
+
+  // --------------------------------------------
+  // Lifecycle
+  // --------------------------------------------
+
+  const handleOnline = () => {
+    log('Back online - sending saved events')
+    flush()
+    drainStored()
+  }
+  const handleVisibilityChange = () => {
+    if (document.visibilityState === 'hidden') flushWithBeacon()
+  }
+
+  if (typeof window !== 'undefined') {
+    window.addEventListener('online', handleOnline)
+    window.addEventListener('pagehide', flushWithBeacon)
+    document.addEventListener('visibilitychange', handleVisibilityChange)
+    // Pick up anything left over from a previous page
+    drainStored()
+  }
+
+  const destroy = () => {
+    flushWithBeacon()
+    destroyed = true
+    if (flushTimer) clearTimeout(flushTimer)
+    if (retryTimer) clearTimeout(retryTimer)
+    if (typeof window !== 'undefined') {
+      window.removeEventListener('online', handleOnline)
+      window.removeEventListener('pagehide', flushWithBeacon)
+      document.removeEventListener('visibilitychange', handleVisibilityChange)
+    }
+  }
+
+  return { send, flush, destroy }
+}
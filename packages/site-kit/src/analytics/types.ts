@@ -126,6 +126,106 @@ export interface WebVitalsData {
   created_at: string
 }
 
+// ============================================
+// Frustration Signal Types
+// ============================================
+
+export type FrustrationSignalType = 'rage_click' | 'dead_click' | 'error_click' | 'thrashed_cursor'
+
+/** What the element looked like when the signal fired */
+export interface FrustrationElementSnapshot {
+  tag: string
+  id: string | null
+  classes: string[]
+  text: string | null
+  href: string | null
+  role: string | null
+  ariaLabel: string | null
+  /** Link, button, form control or styled as clickable */
+  isInteractive: boolean
+  /** Page coordinates */
+  rect: { x: number; y: number; width: number; height: number }
+}
+
+export interface FrustrationSignal {
+  type: FrustrationSignalType
+  /** CSS selector for the element */
+  selector: string
+  element: FrustrationElementSnapshot
+  /** Page coordinates of the click / cursor */
+  x?: number
+  y?: number
+  /** Clicks in the burst (rage / dead clicks) */
+  clickCount?: number
+  /** Uncaught error paired with an error click */
+  errorMessage?: string
+  timestamp: string
+}
+
+// ============================================
+// Consent Types
+// ============================================
+
+/** Tracking categories a visitor can opt in or out of */
+export type ConsentCategory = 'analytics' | 'heatmaps' | 'marketing'
+
+/** Decision for a single category - 'pending' until the visitor chooses */
+export type ConsentStatus = 'granted' | 'denied' | 'pending'
+
+export type ConsentState = Record<ConsentCategory, ConsentStatus>
+
+/** Partial consent decision, e.g. `{ analytics: true, marketing: false }` */
+export type ConsentPreferences = Partial<Record<ConsentCategory, boolean>>
+
+export interface ConsentConfig {
+  /** Require opt-in before tracking (default: false) */
+  required?: boolean
+  
+  /** Treat Do Not Track / Global Privacy Control as a denial (default: true) */
+  respectDoNotTrack?: boolean
+  
+  /** Categories offered to the visitor (default: all) */
+  categories?: ConsentCategory[]
+  
+  /** Bump to re-ask visitors after a policy change (default: '1') */
+  version?: string
+  
+  /** Link to the site's privacy / cookie policy */
+  policyUrl?: string
+}
+
+export interface ConsentContextValue {
+  /** Effective decision for every category */
+  consent: ConsentState
+  
+  /** True when opt-in is required for this site */
+  consentRequired: boolean
+  
+  /** True when the browser sends Do Not Track / Global Privacy Control */
+  doNotTrack: boolean
+  
+  /** True until every offered category has a decision */
+  isPending: boolean
+  
+  /** Check whether a category may be tracked */
+  hasConsent: (category: ConsentCategory) => boolean
+  
+  /** Record a decision for one or more categories */
+  updateConsent: (preferences: ConsentPreferences) => void
+  
+  /** Grant every category */
+  acceptAll: () => void
+  
+  /** Deny every category */
+  rejectAll: () => void
+  
+  /** Forget the stored decision and ask again */
+  resetConsent: () => void
+  
+  /** Consent settings from the provider / SiteKitProvider config */
+  config: ConsentConfig
+}
+
 // ============================================
 // Provider Types
 // ============================================
@@ -142,12 +242,18 @@ export interface AnalyticsConfig {
   /** Track scroll depth (default: false) */
   trackScrollDepth?: boolean
   
+  /** Detect rage, dead and error clicks and thrashed cursor (default: true) */
+  trackFrustration?: boolean
+  
   /** Session timeout in minutes (default: 30) */
   sessionTimeout?: number
   
   /** Paths to exclude from tracking */
   excludePaths?: string[]
   
+  /** Consent / Do Not Track handling */
+  consent?: ConsentConfig
+  
   /** Debug mode - logs events to console */
   debug?: boolean
 }
@@ -164,4 +270,7 @@ export interface AnalyticsContextValue {
   
   /** Get current visitor ID */
   visitorId: string | null
+  
+  /** Consent state and controls */
+  consent: ConsentContextValue
 }
@@ -1,8 +1,10 @@
 /**
- * API Routes Command - Generate _uptrade API proxy routes
+ * API Routes Command - Generate the Uptrade API proxy route
  * 
- * Creates the catch-all API route at app/_uptrade/api/[...path]/route.ts
- * that proxies requests to Portal API.
+ * Creates a catch-all route that proxies requests to Portal API:
+ * - Next.js: app/_uptrade/api/[...path]/route.ts
+ * - Astro:   src/pages/api/uptrade/[...path].ts
+ * - Remix:   app/routes/api.uptrade.$.ts
  */
 
 import chalk from 'chalk'
@@ -10,10 +12,18 @@ import ora from 'ora'
 import fs from 'fs/promises'
 import path from 'path'
 import { existsSync } from 'fs'
+import { resolveFrameworkAdapter, type Framework, type FrameworkAdapter } from '../frameworks'
 
 interface ApiRoutesOptions {
   dryRun?: boolean
   force?: boolean
+  framework?: string
+}
+
+const ROUTE_DIRS: Record<Framework, string> = {
+  nextjs: 'an app directory',
+  astro: 'a src/pages directory',
+  remix: 'an app/routes directory',
 }
 
 export async function apiRoutesCommand(options: ApiRoutesOptions) {
@@ -21,17 +31,26 @@ export async function apiRoutesCommand(options: ApiRoutesOptions) {
   console.log(chalk.bold('  Site-Kit API Routes'))
   console.log('')
 
-  // Find app directory
-  const appDir = findAppDir()
-  if (!appDir) {
-    console.log(chalk.red('  ✗ Could not find app directory'))
-    console.log(chalk.gray('    Make sure you are in a Next.js project with an app directory'))
+  let adapter: FrameworkAdapter
+  try {
+    adapter = await resolveFrameworkAdapter(process.cwd(), options.framework)
+  } catch (error: any) {
+    console.log(chalk.red(`  ✗ ${error.message}`))
     console.log('')
     process.exit(1)
   }
 
-  const routeDir = path.join(appDir, '_uptrade', 'api', '[...path]')
-  const routeFile = path.join(routeDir, 'route.ts')
+  // Find where the framework keeps its routes
+  const route = adapter.apiRoute(process.cwd())
+  if (!route) {
+    console.log(chalk.red(`  ✗ Could not find ${ROUTE_DIRS[adapter.framework]}`))
+    console.log(chalk.gray(`    Make sure you are in the root of your ${adapter.label} project`))
+    console.log('')
+    process.exit(1)
+  }
+
+  const routeFile = path.join(process.cwd(), route.filePath)
+  const routeDir = path.dirname(routeFile)
 
   // Check if already exists
   if (existsSync(routeFile) && !options.force) {
@@ -57,17 +76,18 @@ export async function apiRoutesCommand(options: ApiRoutesOptions) {
     await fs.mkdir(routeDir, { recursive: true })
 
     // Write the route handler
-    await fs.writeFile(routeFile, generateRouteHandler())
+    await fs.writeFile(routeFile, route.code)
 
     spinner.succeed('Created API proxy routes')
     console.log(chalk.gray(`    ${routeFile}`))
     console.log('')
 
+    const base = adapter.apiBasePath
     console.log(chalk.bold('  Available endpoints:'))
-    console.log(chalk.gray('    GET/POST /_uptrade/api/forms/:formId/submit'))
-    console.log(chalk.gray('    GET /_uptrade/api/blog'))
-    console.log(chalk.gray('    GET /_uptrade/api/locations'))
-    console.log(chalk.gray('    GET /_uptrade/api/reviews'))
+    console.log(chalk.gray(`    GET/POST ${base}/forms/:formId/submit`))
+    console.log(chalk.gray(`    GET ${base}/blog`))
+    console.log(chalk.gray(`    GET ${base}/locations`))
+    console.log(chalk.gray(`    GET ${base}/reviews`))
     console.log(chalk.gray('    ... and more'))
     console.log('')
 
@@ -77,122 +97,3 @@ export async function apiRoutesCommand(options: ApiRoutesOptions) {
     spinner.fail(`Failed to create API routes: ${error.message}`)
   }
 }
-
-function findAppDir(): string | null {
-  const candidates = [
-    path.join(process.cwd(), 'app'),
-    path.join(process.cwd(), 'src', 'app'),
-  ]
-
-  for (const candidate of candidates) {
-    if (existsSync(candidate)) {
-      return candidate
-    }
-  }
-
-  return null
-}
-
-function generateRouteHandler(): string {
-  return `/**
- * Uptrade API Proxy
- * 
- * This route proxies requests to the Uptrade Portal API.
- * It handles authentication and adds the project context.
- * 
- * Generated by @uptrade/site-kit
- */
-
-import { NextRequest, NextResponse } from 'next/server'
-
-const API_URL = process.env.NEXT_PUBLIC_UPTRADE_API_URL || 'https://api.uptrademedia.com'
-const API_KEY = process.env.UPTRADE_API_KEY
-
-// Handle all HTTP methods
-export async function GET(
-  request: NextRequest,
-  { params }: { params: Promise<{ path: string[] }> }
-) {
-  return handleRequest(request, await params)
-}
-
-export async function POST(
-  request: NextRequest,
-  { params }: { params: Promise<{ path: string[] }> }
-) {
-  return handleRequest(request, await params)
-}
-
-export async function PUT(
-  request: NextRequest,
-  { params }: { params: Promise<{ path: string[] }> }
-) {
-  return handleRequest(request, await params)
-}
-
-export async function DELETE(
-  request: NextRequest,
-  { params }: { params: Promise<{ path: string[] }> }
-) {
-  return handleRequest(request, await params)
-}
-
-async function handleRequest(
-  request: NextRequest,
-  params: { path: string[] }
-) {
-  const { path: pathSegments } = params
-  const targetPath = pathSegments.join('/')
-  
-  const targetUrl = new URL(\`/api/public/\${targetPath}\`, API_URL)
-  
-  // Copy query params
-  request.nextUrl.searchParams.forEach((value, key) => {
-    targetUrl.searchParams.set(key, value)
-  })
-
-  // Prepare headers
-  const headers: HeadersInit = {
-    'Content-Type': 'application/json',
-  }
-
-  // Add API key if available
-  if (API_KEY) {
-    headers['x-api-key'] = API_KEY
-  }
-
-  // Get body for non-GET requests
-  let body: string | undefined
-  if (request.method !== 'GET' && request.method !== 'HEAD') {
-    try {
-      body = await request.text()
-    } catch {
-      // No body
-    }
-  }
-
-  try {
-    const response = await fetch(targetUrl.toString(), {
-      method: request.method,
-      headers,
-      body,
-    })
-
-    const data = await response.json()
-
-    return NextResponse.json(data, {
-      status: response.status,
-      headers: {
-        'Access-Control-Allow-Origin': '*',
-      },
-    })
-  } catch (error: any) {
-    console.error('[Uptrade API Proxy]', error)
-    return NextResponse.json(
-      { error: 'API request failed', message: error.message },
-      { status: 500 }
-    )
-  }
-}
-`
-}
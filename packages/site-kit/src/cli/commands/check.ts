@@ -0,0 +1,312 @@
+/**
+ * Check Command - Fail CI when the Site-Kit integration regresses
+ *
+ * Scans the project and evaluates rules against the results. Exits 1 when
+ * a rule set to "error" fails (or any rule, with --strict).
+ *
+ * Rules and their default levels:
+ * - managed-metadata   (error) pages whose metadata isn't managed in Portal
+ * - managed-forms      (error) forms not migrated to managed forms
+ * - image-alt          (warn)  images without alt text
+ * - faq-portal         (error) ManagedFAQ paths with no FAQ section in Portal
+ * - site-kit-provider  (error) root layout without SiteKitProvider
+ *
+ * Levels are configured in .uptrade/config.json:
+ *   { "check": { "rules": { "image-alt": "error", "faq-portal": "off" } } }
+ */
+
+import chalk from 'chalk'
+import ora from 'ora'
+import path from 'path'
+import fs from 'fs/promises'
+import { scanCodebase, scanForManagedFAQPaths, type ScanResults } from '../scanner'
+import { resolveFrameworkAdapter, type FrameworkAdapter } from '../frameworks'
+import { loadConfig, fetchPortalFAQPaths } from './faqs'
+import { isJsonOutput, printJson } from '../output'
+
+interface CheckOptions {
+  dir?: string
+  framework?: string
+  strict?: boolean
+}
+
+type RuleLevel = 'error' | 'warn' | 'off'
+
+type RuleName = 'managed-metadata' | 'managed-forms' | 'image-alt' | 'faq-portal' | 'site-kit-provider'
+
+interface CheckFinding {
+  filePath?: string
+  line?: number
+  message: string
+}
+
+interface RuleResult {
+  rule: RuleName
+  level: RuleLevel
+  status: 'pass' | 'fail' | 'skipped'
+  description: string
+  findings: CheckFinding[]
+  /** Why a rule was skipped */
+  reason?: string
+}
+
+interface RuleContext {
+  rootDir: string
+  adapter: FrameworkAdapter
+  scanResults: ScanResults
+}
+
+type RuleOutcome = { findings: CheckFinding[] } | { skipped: string }
+
+interface Rule {
+  name: RuleName
+  description: string
+  defaultLevel: Exclude<RuleLevel, 'off'>
+  run(context: RuleContext): Promise<RuleOutcome>
+}
+
+// ============================================
+// Rules
+// ============================================
+
+const RULES: Rule[] = [
+  {
+    name: 'managed-metadata',
+    description: 'Pages use managed metadata',
+    defaultLevel: 'error',
+    async run({ scanResults }) {
+      return {
+        findings: scanResults.metadata.map(meta => ({
+          filePath: meta.filePath,
+          message: meta.type === 'no-metadata' ? 'No metadata' : `Unmanaged metadata (${meta.type})`,
+        })),
+      }
+    },
+  },
+  {
+    name: 'managed-forms',
+    description: 'Forms are migrated to managed forms',
+    defaultLevel: 'error',
+    async run({ rootDir, scanResults }) {
+      const findings: CheckFinding[] = []
+
+      for (const form of scanResults.forms) {
+        // Migrated forms still render a <form>, so the scanner reports them
+        const content = await fs.readFile(path.join(rootDir, form.filePath), 'utf-8').catch(() => '')
+        if (content.includes('@uptrademedia/site-kit/forms')) continue
+
+        findings.push({
+          filePath: form.filePath,
+          line: form.startLine || undefined,
+          message: `${form.componentName || 'Form'} (${form.formLibrary})`,
+        })
+      }
+
+      return { findings }
+    },
+  },
+  {
+    name: 'image-alt',
+    description: 'Images have alt text',
+    defaultLevel: 'warn',
+    async run({ scanResults }) {
+      return {
+        findings: scanResults.images
+          .filter(image => image.type !== 'background-image' && image.hasAlt === false)
+          .map(image => ({
+            filePath: image.filePath,
+            line: image.startLine || undefined,
+            message: `<${image.type === 'img' ? 'img' : 'Image'}> ${image.src || 'with dynamic src'} has no alt`,
+          })),
+      }
+    },
+  },
+  {
+    name: 'faq-portal',
+    description: 'ManagedFAQ paths exist in Portal',
+    defaultLevel: 'error',
+    async run({ rootDir }) {
+      const codePaths = await scanForManagedFAQPaths(rootDir)
+      if (codePaths.length === 0) return { findings: [] }
+
+      const config = await loadConfig(rootDir)
+      if (!config?.projectId || !config?.apiKey) {
+        return { skipped: 'No project credentials - set UPTRADE_API_KEY and NEXT_PUBLIC_UPTRADE_PROJECT_ID' }
+      }
+
+      const portalPaths = new Set(await fetchPortalFAQPaths(config))
+      return {
+        findings: codePaths
+          .filter(faqPath => !portalPaths.has(faqPath))
+          .map(faqPath => ({ message: `${faqPath} - run \`uptrade-setup faqs sync\`` })),
+      }
+    },
+  },
+  {
+    name: 'site-kit-provider',
+    description: 'Root layout renders SiteKitProvider',
+    defaultLevel: 'error',
+    async run({ rootDir, adapter }) {
+      const candidates = adapter.framework === 'nextjs'
+        ? ['app', 'src/app'].flatMap(dir => ['tsx', 'jsx', 'js'].map(ext => `${dir}/layout.${ext}`))
+        : adapter.framework === 'remix'
+          ? ['tsx', 'jsx'].map(ext => `app/root.${ext}`)
+          : []
+
+      if (candidates.length === 0) {
+        return { skipped: `${adapter.label} has no React root - managed components configure themselves` }
+      }
+
+      for (const candidate of candidates) {
+        const content = await fs.readFile(path.join(rootDir, candidate), 'utf-8').catch(() => null)
+        if (content === null) continue
+
+        return content.includes('SiteKitProvider')
+          ? { findings: [] }
+          : { findings: [{ filePath: candidate, message: 'SiteKitProvider not found' }] }
+      }
+
+      return { findings: [{ message: `No root layout found (${candidates.join(', ')})` }] }
+    },
+  },
+]
+
+// ============================================
+// Config
+// ============================================
+
+async function loadRuleLevels(rootDir: string): Promise<Partial<Record<RuleName, RuleLevel>>> {
+  try {
+    const config = JSON.parse(await fs.readFile(path.join(rootDir, '.uptrade', 'config.json'), 'utf-8'))
+    const levels = config.check?.rules || {}
+
+    for (const [rule, level] of Object.entries(levels)) {
+      if (!RULES.some(r => r.name === rule)) {
+        throw new Error(`Unknown rule "${rule}" in .uptrade/config.json`)
+      }
+      if (!['error', 'warn', 'off'].includes(level as string)) {
+        throw new Error(`Rule "${rule}" must be "error", "warn" or "off"`)
+      }
+    }
+
+    return levels
+  } catch (error: any) {
+    if (error.code === 'ENOENT') return {}
+    throw error
+  }
+}
+
+// ============================================
+// Command
+// ============================================
+
+export async function checkCommand(options: CheckOptions) {
+  const rootDir = path.resolve(options.dir || '.')
+
+  console.log('')
+  console.log(chalk.bold('  Site-Kit Check'))
+  console.log('')
+
+  const spinner = ora('Scanning project...').start()
+  let context: RuleContext
+  let levels: Partial<Record<RuleName, RuleLevel>>
+
+  try {
+    levels = await loadRuleLevels(rootDir)
+    const adapter = await resolveFrameworkAdapter(rootDir, options.framework)
+    const scanResults = await scanCodebase(rootDir, { framework: adapter.framework })
+    context = { rootDir, adapter, scanResults }
+    spinner.stop()
+  } catch (error: any) {
+    spinner.fail('Check failed')
+    console.log(chalk.red(`  ${error.message}`))
+    console.log('')
+    process.exit(1)
+  }
+
+  const results: RuleResult[] = []
+  for (const rule of RULES) {
+    const level = levels[rule.name] || rule.defaultLevel
+    const result: RuleResult = { rule: rule.name, level, status: 'pass', description: rule.description, findings: [] }
+
+    if (level === 'off') {
+      result.status = 'skipped'
+      result.reason = 'Turned off in .uptrade/config.json'
+    } else {
+      try {
+        const outcome = await rule.run(context)
+        if ('skipped' in outcome) {
+          result.status = 'skipped'
+          result.reason = outcome.skipped
+        } else {
+          result.findings = outcome.findings
+          result.status = outcome.findings.length > 0 ? 'fail' : 'pass'
+        }
+      } catch (error: any) {
+        // A rule that can't run (e.g. Portal unreachable) fails rather than passing silently
+        result.status = 'fail'
+        result.findings = [{ message: `Could not run: ${error.message}` }]
+      }
+    }
+
+    results.push(result)
+  }
+
+  const failing = results.filter(r => r.status === 'fail' && (r.level === 'error' || options.strict))
+  const warnings = results.filter(r => r.status === 'fail' && !failing.includes(r))
+
+  if (isJsonOutput()) {
+    printJson({
+      framework: context.adapter.framework,
+      strict: Boolean(options.strict),
+      summary: {
+        passed: results.filter(r => r.status === 'pass').length,
+        failed: failing.length,
+        warnings: warnings.length,
+        skipped: results.filter(r => r.status === 'skipped').length,
+      },
+      rules: results,
+    }, failing.length === 0)
+  } else {
+    displayResults(results, failing)
+  }
+
+  if (failing.length > 0) {
+    process.exit(1)
+  }
+}
+
+function displayResults(results: RuleResult[], failing: RuleResult[]) {
+  for (const result of results) {
+    const label = `${result.description} ${chalk.gray(`[${result.rule}]`)}`
+
+    if (result.status === 'pass') {
+      console.log(`  ${chalk.green('✓')} ${label}`)
+      continue
+    }
+
+    if (result.status === 'skipped') {
+      console.log(`  ${chalk.gray('-')} ${label} ${chalk.gray(`skipped: ${result.reason}`)}`)
+      continue
+    }
+
+    const icon = failing.includes(result) ? chalk.red('✗') : chalk.yellow('⚠')
+    console.log(`  ${icon} ${label}: ${result.findings.length} issue(s)`)
+
+    for (const finding of result.findings.slice(0, 10)) {
+      const location = finding.filePath ? `${finding.filePath}${finding.line ? `:${finding.line}` : ''} ` : ''
+      console.log(chalk.gray(`     └─ ${location}${finding.message}`))
+    }
+    if (result.findings.length > 10) {
+      console.log(chalk.gray(`     ... and ${result.findings.length - 10} more`))
+    }
+  }
+
+  console.log('')
+  if (failing.length > 0) {
+    console.log(chalk.red(`  ✗ ${failing.length} rule(s) failed`))
+  } else {
+    console.log(chalk.green('  ✓ All required checks passed'))
+  }
+  console.log('')
+}
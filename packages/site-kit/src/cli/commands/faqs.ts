@@ -20,7 +20,7 @@ import { scanForManagedFAQPaths, scanCodebase } from '../scanner'
 
 const API_URL = process.env.UPTRADE_API_URL || process.env.NEXT_PUBLIC_UPTRADE_API_URL || 'https://api.uptrademedia.com'
 
-interface Config {
+export interface Config {
   projectId: string
   apiKey: string
 }
@@ -37,21 +37,24 @@ interface ExtractedFAQ {
   sourceFile: string
 }
 
-async function loadConfig(): Promise<Config | null> {
-  const configPath = path.join('.uptrade', 'config.json')
+/**
+ * Project credentials from <rootDir>/.uptrade/config.json, falling back to
+ * env vars for whichever of projectId / apiKey the file doesn't set
+ */
+export async function loadConfig(rootDir: string = process.cwd()): Promise<Config | null> {
+  let config: Record<string, any> = {}
+  const configPath = path.join(rootDir, '.uptrade', 'config.json')
   if (existsSync(configPath)) {
     try {
-      const config = JSON.parse(readFileSync(configPath, 'utf-8'))
-      return {
-        projectId: config.projectId || config.project_id,
-        apiKey: config.apiKey || config.api_key,
-      }
+      config = JSON.parse(readFileSync(configPath, 'utf-8'))
     } catch {
-      return null
+      // Unreadable config - env vars may still be set
     }
   }
-  const projectId = process.env.NEXT_PUBLIC_UPTRADE_PROJECT_ID || process.env.UPTRADE_PROJECT_ID
-  const apiKey = process.env.UPTRADE_API_KEY
+
+  const projectId = config.projectId || config.project_id ||
+    process.env.NEXT_PUBLIC_UPTRADE_PROJECT_ID || process.env.UPTRADE_PROJECT_ID
+  const apiKey = config.apiKey || config.api_key || process.env.UPTRADE_API_KEY
   if (projectId && apiKey) return { projectId, apiKey }
   return null
 }
@@ -386,25 +389,17 @@ async function syncCommand(options: { dryRun?: boolean }, config: Config) {
   }
 
   const listSpinner = ora('Fetching existing FAQ sections from Portal...').start()
-  let existing: Array<{ path: string }> = []
+  let existingPaths: Set<string>
   try {
-    const res = await fetch(`${API_URL}/seo/managed/faqs/project/${config.projectId}`, {
-      headers: { Authorization: `Bearer ${config.apiKey}` },
-    })
-    if (!res.ok) {
-      throw new Error(await res.text())
-    }
-    const data = await res.json()
-    existing = Array.isArray(data) ? data : data?.sections ?? data?.data ?? []
+    existingPaths = new Set(await fetchPortalFAQPaths(config))
   } catch (e) {
     listSpinner.fail('Failed to fetch existing FAQs')
     console.log(chalk.red(`  ${(e as Error).message}`))
     console.log('')
     return
   }
-  listSpinner.succeed(`Found ${existing.length} existing FAQ section(s) in Portal`)
+  listSpinner.succeed(`Found ${existingPaths.size} existing FAQ section(s) in Portal`)
 
-  const existingPaths = new Set((existing as Array<{ path?: string }>).map((s) => (s.path && s.path.startsWith('/') ? s.path : `/${s.path || ''}`)))
   const toCreate = codePaths.filter((p) => !existingPaths.has(p))
 
   if (toCreate.length === 0) {
@@ -459,3 +454,19 @@ async function syncCommand(options: { dryRun?: boolean }, config: Config) {
   console.log(chalk.gray('    Add questions and answers there; they will appear on your site.'))
   console.log('')
 }
+
+/**
+ * Paths of the FAQ sections that exist in Portal, with a leading slash
+ */
+export async function fetchPortalFAQPaths(config: Config): Promise<string[]> {
+  const res = await fetch(`${API_URL}/seo/managed/faqs/project/${config.projectId}`, {
+    headers: { Authorization: `Bearer ${config.apiKey}` },
+  })
+  if (!res.ok) {
+    throw new Error(await res.text())
+  }
+  const data = await res.json()
+  const sections: Array<{ path?: string }> = Array.isArray(data) ? data : data?.sections ?? data?.data ?? []
+
+  return sections.map((s) => (s.path && s.path.startsWith('/') ? s.path : `/${s.path || ''}`))
+}
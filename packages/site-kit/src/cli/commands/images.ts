@@ -13,6 +13,9 @@ import inquirer from 'inquirer'
 import path from 'path'
 import fs from 'fs/promises'
 import { readFileSync } from 'fs'
+import { getFrameworkAdapter } from '../frameworks'
+import { addFrontmatterImport } from '../frameworks/astro'
+import type { MigrationJournal } from '../migrator/journal'
 
 // ============================================
 // Types
@@ -85,9 +88,17 @@ const MIME_TYPES: Record<string, string> = {
   '.avif': 'image/avif',
 }
 
-/** Derive URL page path from source file path (Next.js App Router, Pages, or fallback). */
+/** Derive URL page path from source file path (Next.js App Router, Pages, Astro, Remix, or fallback). */
 function filePathToPagePath(filePath: string): string {
   let p = filePath
+  // Astro: src/pages/about.astro → /about
+  if (p.startsWith('src/pages/') && /\.(astro|mdx?)$/.test(p)) {
+    return getFrameworkAdapter('astro').toRoutePath(p)
+  }
+  // Remix: app/routes/blog.$slug.tsx → /blog/:slug
+  if (p.startsWith('app/routes/')) {
+    return getFrameworkAdapter('remix').toRoutePath(p)
+  }
   // Next.js App Router: app/page.jsx → /, app/about/page.jsx → /about
   if (p.startsWith('app/') || p.startsWith('src/app/')) {
     p = p.replace(/^app\//, '').replace(/^src\/app\//, '')
@@ -1145,7 +1156,7 @@ async function findSourceFiles(dir: string, files: string[] = []): Promise<strin
       }
       await findSourceFiles(fullPath, files)
     } else if (entry.isFile()) {
-      if (/\.(tsx?|jsx?|css|scss|sass)$/.test(entry.name) && !entry.name.includes('.d.ts')) {
+      if (/\.(tsx?|jsx?|astro|mdx|css|scss|sass)$/.test(entry.name) && !entry.name.includes('.d.ts')) {
         files.push(fullPath)
       }
     }
@@ -1434,10 +1445,17 @@ async function uploadImageToPortal(
 
 async function migrateFileImages(
   filePath: string,
-  migrations: Array<{ usage: ImageUsage; image: DetectedImage; uploaded: UploadedImage }>
+  migrations: Array<{ usage: ImageUsage; image: DetectedImage; uploaded: UploadedImage }>,
+  journal?: MigrationJournal
 ): Promise<void> {
+  // Through the migrate run's journal when there is one, so rollback restores it
+  const writeFile = (content: string) => journal
+    ? journal.writeFile(filePath, content)
+    : fs.writeFile(filePath, content, 'utf-8')
+
   let content = await fs.readFile(filePath, 'utf-8')
   const lines = content.split('\n')
+  const isAstro = filePath.endsWith('.astro')
   
   // Sort migrations by line number descending so we don't mess up line numbers
   const sortedMigrations = [...migrations].sort((a, b) => b.usage.line - a.usage.line)
@@ -1446,11 +1464,11 @@ async function migrateFileImages(
     const lineIndex = m.usage.line - 1
     const line = lines[lineIndex]
     
-    // Replace img/Image tag with ManagedImage
+    // Replace img/Image tag with ManagedImage (a client island in Astro)
     const newLine = line
       .replace(
         /<(img|Image)\s+([^>]*?)src=["'][^"']+["']([^>]*?)\/?>/gi,
-        `<ManagedImage slotId="${m.image.suggestedSlotId}" $2$3 />`
+        `<ManagedImage ${isAstro ? 'client:load ' : ''}slotId="${m.image.suggestedSlotId}" $2$3 />`
       )
     
     lines[lineIndex] = newLine
@@ -1459,9 +1477,16 @@ async function migrateFileImages(
   // Check if ManagedImage import exists
   const hasImport = content.includes('ManagedImage') && content.includes('@uptrade/site-kit')
   
+  const importLine = "import { ManagedImage } from '@uptrade/site-kit/images'"
+
+  if (!hasImport && migrations.length > 0 && isAstro) {
+    // Astro imports live in the frontmatter
+    await writeFile(addFrontmatterImport(lines.join('\n'), importLine))
+    return
+  }
+
   if (!hasImport && migrations.length > 0) {
     // Add import at the top
-    const importLine = "import { ManagedImage } from '@uptrade/site-kit/images'"
     
     // Find the best place to add the import (after other imports)
     let insertIndex = 0
@@ -1475,7 +1500,7 @@ async function migrateFileImages(
   }
 
   content = lines.join('\n')
-  await fs.writeFile(filePath, content, 'utf-8')
+  await writeFile(content)
 }
 
 function formatBytes(bytes: number): string {
@@ -1493,6 +1518,8 @@ export interface UploadMigrateOptions {
   apiUrl: string
   dryRun?: boolean
   category?: string
+  /** Journal of the migrate run - uploads and rewritten source files are recorded in it */
+  journal?: MigrationJournal
 }
 
 export interface UploadMigrateResult {
@@ -1540,6 +1567,7 @@ export async function uploadAndMigrateImages(
       )
       uploaded.push(uploadResult)
       result.uploaded++
+      await options.journal?.recordCreated('file', uploadResult.fileId, img.filePath, options.apiUrl)
     } catch (error: any) {
       result.failed++
       result.errors.push(`${img.filePath}: ${error.message}`)
@@ -1569,7 +1597,7 @@ export async function uploadAndMigrateImages(
   // Migrate each file
   for (const [filePath, migrations] of byFile) {
     try {
-      await migrateFileImages(path.join(rootDir, filePath), migrations)
+      await migrateFileImages(path.join(rootDir, filePath), migrations, options.journal)
       result.migrated += migrations.length
     } catch (error: any) {
       result.errors.push(`Migration failed for ${filePath}: ${error.message}`)
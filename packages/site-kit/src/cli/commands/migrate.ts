@@ -3,11 +3,15 @@
  * 
  * Includes:
  * - Forms → useForm hook
- * - Metadata → getManagedMetadata
+ * - Metadata → getManagedMetadata (Astro/Remix: generated Portal helper)
+ * - Sitemaps → managed sitemap route (Astro/Remix)
  * - Schemas → ManagedSchema
  * - FAQs → ManagedFAQ
  * - Widgets → Engage integration
  * - Images → ManagedImage (optional, with --images flag)
+ *
+ * Every run is journaled to .uptrade/migrations/<id> and can be undone
+ * with --rollback <id>.
  */
 
 import chalk from 'chalk'
@@ -16,13 +20,20 @@ import inquirer from 'inquirer'
 import path from 'path'
 import fs from 'fs/promises'
 import { scanCodebase } from '../scanner'
+import { resolveFrameworkAdapter, type FrameworkAdapter } from '../frameworks'
 import { migrateFiles, migrateFile, type MigrationResult } from '../migrator'
+import { MigrationJournal, rollbackMigration, MIGRATIONS_DIR, type MigrationManifest } from '../migrator/journal'
+import { isJsonOutput, printJson } from '../output'
 import { scanPublicImages, uploadAndMigrateImages, type ImageScanResults } from './images'
 
 interface MigrateOptions {
   dryRun?: boolean
   file?: string
   images?: boolean
+  framework?: string
+  rollback?: string
+  force?: boolean
+  yes?: boolean
 }
 
 export async function migrateCommand(options: MigrateOptions) {
@@ -32,7 +43,7 @@ export async function migrateCommand(options: MigrateOptions) {
 
   // Check for API key
   const apiKey = process.env.UPTRADE_API_KEY
-  const projectId = process.env.NEXT_PUBLIC_UPTRADE_PROJECT_ID
+  const projectId = process.env.NEXT_PUBLIC_UPTRADE_PROJECT_ID || process.env.UPTRADE_PROJECT_ID
 
   if (!apiKey || !projectId) {
     console.log(chalk.red('  ✗ Missing environment variables'))
@@ -41,6 +52,30 @@ export async function migrateCommand(options: MigrateOptions) {
     process.exit(1)
   }
 
+  if (options.rollback) {
+    await rollbackCommand(options.rollback, apiKey, options)
+    return
+  }
+
+  // A --json run can't be asked for confirmation, and a report-only CI step
+  // must never rewrite files - applying needs an explicit --yes
+  if (isJsonOutput() && !options.dryRun && !options.yes) {
+    console.log(chalk.red('  ✗ --json needs --dry-run for a report, or --yes to apply the migration'))
+    console.log('')
+    process.exit(1)
+  }
+
+  let adapter: FrameworkAdapter
+  try {
+    adapter = await resolveFrameworkAdapter(process.cwd(), options.framework)
+  } catch (error: any) {
+    console.log(chalk.red(`  ✗ ${error.message}`))
+    console.log('')
+    process.exit(1)
+  }
+  console.log(chalk.gray(`  Framework: ${adapter.label}`))
+  console.log('')
+
   if (options.dryRun) {
     console.log(chalk.yellow('  Running in dry-run mode - no files will be modified'))
     console.log('')
@@ -57,13 +92,19 @@ export async function migrateCommand(options: MigrateOptions) {
       process.exit(1)
     }
 
+    const journal = options.dryRun
+      ? undefined
+      : await MigrationJournal.create(process.cwd(), { projectId, framework: adapter.framework })
     const spinner = ora(`Migrating ${path.basename(filePath)}...`).start()
+    let result: MigrationResult
     
     try {
-      const result = await migrateFile(filePath, {
+      result = await migrateFile(filePath, {
         projectId,
         apiKey,
         dryRun: options.dryRun,
+        framework: adapter.framework,
+        journal,
       })
 
       if (result.success) {
@@ -78,10 +119,18 @@ export async function migrateCommand(options: MigrateOptions) {
     } catch (error: any) {
       spinner.fail('Migration failed')
       console.log(chalk.red(`  ${error.message}`))
+      await printJournal(journal)
       process.exit(1)
     }
 
+    const manifest = await printJournal(journal)
     console.log('')
+    printJson({
+      dryRun: Boolean(options.dryRun),
+      framework: adapter.framework,
+      results: [result],
+      journal: manifest?.id ?? null,
+    }, result.success)
     return
   }
 
@@ -90,7 +139,7 @@ export async function migrateCommand(options: MigrateOptions) {
   let scanResults
   
   try {
-    scanResults = await scanCodebase(process.cwd())
+    scanResults = await scanCodebase(process.cwd(), { framework: adapter.framework })
     scanSpinner.stop()
   } catch (error: any) {
     scanSpinner.fail('Scan failed')
@@ -106,6 +155,7 @@ export async function migrateCommand(options: MigrateOptions) {
   if (total === 0) {
     console.log(chalk.green('  ✓ No components to migrate'))
     console.log('')
+    printJson({ dryRun: Boolean(options.dryRun), framework: adapter.framework, results: [], journal: null })
     return
   }
 
@@ -119,7 +169,7 @@ export async function migrateCommand(options: MigrateOptions) {
   if (scanResults.analytics?.length) console.log(`  📈 Analytics: ${chalk.cyan(scanResults.analytics.length)}`)
   console.log('')
 
-  if (!options.dryRun) {
+  if (!options.dryRun && !options.yes) {
     const { confirm } = await inquirer.prompt([{
       type: 'confirm',
       name: 'confirm',
@@ -134,13 +184,18 @@ export async function migrateCommand(options: MigrateOptions) {
     }
   }
 
+  const journal = options.dryRun
+    ? undefined
+    : await MigrationJournal.create(process.cwd(), { projectId, framework: adapter.framework })
   const migrateSpinner = ora('Migrating components...').start()
+  let results: MigrationResult[]
   
   try {
-    const results = await migrateFiles(scanResults, {
+    results = await migrateFiles(scanResults, {
       projectId,
       apiKey,
       dryRun: options.dryRun,
+      journal,
     })
 
     const successful = results.filter(r => r.success)
@@ -173,24 +228,125 @@ export async function migrateCommand(options: MigrateOptions) {
   } catch (error: any) {
     migrateSpinner.fail('Migration failed')
     console.log(chalk.red(`  ${error.message}`))
+    await printJournal(journal)
     process.exit(1)
   }
 
   console.log('')
 
-  // Image migration (either with --images flag or prompt user)
-  await handleImageMigration(options, apiKey, projectId)
+  // Image migration (either with --images flag or prompt user). Its source
+  // rewrites go into the same journal, so it is closed only afterwards
+  const images = await handleImageMigration(options, apiKey, projectId, journal)
+  const manifest = await printJournal(journal)
+  console.log('')
+
+  printJson({
+    dryRun: Boolean(options.dryRun),
+    framework: adapter.framework,
+    found: {
+      forms: scanResults.forms.length,
+      widgets: scanResults.widgets.length,
+      metadata: scanResults.metadata.length,
+      schemas: scanResults.schemas?.length || 0,
+      faqs: scanResults.faqs?.length || 0,
+      sitemaps: scanResults.sitemaps.length,
+      analytics: scanResults.analytics?.length || 0,
+    },
+    results,
+    journal: manifest?.id ?? null,
+    images,
+  }, results.every(r => r.success))
+}
+
+// ============================================
+// Journal & Rollback
+// ============================================
+
+/**
+ * Close the run's journal and tell the user how to undo it
+ */
+async function printJournal(journal?: MigrationJournal): Promise<MigrationManifest | null> {
+  const manifest = await journal?.finish()
+  if (!manifest) return null
+
+  console.log('')
+  console.log(chalk.gray(`  Journal: ${path.join(MIGRATIONS_DIR, manifest.id)} (${manifest.files.length} file(s), ${manifest.records.length} Portal record(s))`))
+  console.log(chalk.gray(`  Undo with: uptrade-setup migrate --rollback ${manifest.id}`))
+  return manifest
+}
+
+async function rollbackCommand(id: string, apiKey: string, options: MigrateOptions) {
+  if (options.dryRun) {
+    console.log(chalk.yellow('  Running in dry-run mode - nothing will be restored or deleted'))
+    console.log('')
+  }
+
+  const spinner = ora(`Rolling back ${id}...`).start()
+
+  try {
+    const result = await rollbackMigration(process.cwd(), id, {
+      apiKey,
+      dryRun: options.dryRun,
+      force: options.force,
+    })
+    const prefix = options.dryRun ? '[DRY RUN] Would roll back' : 'Rolled back'
+    const incomplete = result.skipped.length > 0 || result.failedRecords.length > 0
+
+    if (incomplete) {
+      spinner.warn(`${prefix} ${result.id} partially`)
+    } else {
+      spinner.succeed(`${prefix} ${result.id}`)
+    }
+
+    result.restored.forEach(file => console.log(chalk.green(`  ✓ Restored ${file}`)))
+    result.removed.forEach(file => console.log(chalk.green(`  ✓ Removed ${file}`)))
+    result.deletedRecords.forEach(record => {
+      console.log(chalk.green(`  ✓ Deleted ${record.type} ${record.label}`))
+    })
+
+    result.skipped.forEach(({ path: file, reason }) => {
+      console.log(chalk.yellow(`  ⚠ Skipped ${file}`))
+      console.log(chalk.gray(`    └─ ${reason}`))
+    })
+    result.failedRecords.forEach(({ record, error }) => {
+      console.log(chalk.red(`  ✗ Could not delete ${record.type} ${record.label}`))
+      console.log(chalk.gray(`    └─ ${error}`))
+    })
+
+    printJson({ dryRun: Boolean(options.dryRun), rollback: result }, !incomplete)
+
+    if (incomplete && !options.dryRun) {
+      console.log('')
+      console.log(chalk.gray(`  Run \`uptrade-setup migrate --rollback ${result.id}\` again to retry${result.skipped.length ? ', with --force to overwrite edited files' : ''}`))
+    }
+  } catch (error: any) {
+    spinner.fail('Rollback failed')
+    console.log(chalk.red(`  ${error.message}`))
+    process.exit(1)
+  }
+
+  console.log('')
 }
 
 // ============================================
 // Image Migration Handler
 // ============================================
 
+interface ImageMigrationSummary {
+  status: 'skipped' | 'dry-run' | 'migrated' | 'failed'
+  found: number
+  autoMigratable: number
+  uploaded: number
+  migrated: number
+  failed: number
+}
+
 async function handleImageMigration(
   options: MigrateOptions,
   apiKey: string,
-  projectId: string
-) {
+  projectId: string,
+  journal?: MigrationJournal
+): Promise<ImageMigrationSummary | null> {
   const apiUrl = process.env.NEXT_PUBLIC_UPTRADE_API_URL || 'https://api.uptrademedia.com'
   
   // Scan for images
@@ -203,11 +359,11 @@ async function handleImageMigration(
   } catch (error: any) {
     imageScanSpinner.stop()
     // No images found or error - just skip
-    return
+    return null
   }
 
   if (imageResults.images.length === 0) {
-    return
+    return null
   }
 
   // Show image summary
@@ -217,10 +373,20 @@ async function handleImageMigration(
   console.log(`  • Auto-migratable: ${chalk.green(autoMigratable)} images`)
   console.log('')
 
+  const summary: ImageMigrationSummary = {
+    status: 'skipped',
+    found: imageResults.images.length,
+    autoMigratable,
+    uploaded: 0,
+    migrated: 0,
+    failed: 0,
+  }
+
   // If --images flag or prompt user
   let shouldMigrateImages = options.images === true
   
-  if (!shouldMigrateImages && !options.dryRun) {
+  // --yes answers the migration prompt only; images still need --images
+  if (!shouldMigrateImages && !options.dryRun && !options.yes) {
     const { migrateImages } = await inquirer.prompt([{
       type: 'confirm',
       name: 'migrateImages',
@@ -233,14 +399,14 @@ async function handleImageMigration(
   if (!shouldMigrateImages) {
     console.log(chalk.gray('  Skipping image migration. Run `uptrade-setup images upload` later.'))
     console.log('')
-    return
+    return summary
   }
 
   if (options.dryRun) {
     console.log(chalk.yellow(`  [DRY RUN] Would upload ${imageResults.images.length} images`))
     console.log(chalk.yellow(`  [DRY RUN] Would migrate ${autoMigratable} image references`))
     console.log('')
-    return
+    return { ...summary, status: 'dry-run' }
   }
 
   // Upload and migrate images
@@ -252,6 +418,7 @@ async function handleImageMigration(
       projectId,
       apiUrl,
       dryRun: options.dryRun,
+      journal,
     })
 
     uploadSpinner.succeed(`Uploaded ${uploadResults.uploaded} images, migrated ${uploadResults.migrated} references`)
@@ -259,12 +426,21 @@ async function handleImageMigration(
     if (uploadResults.failed > 0) {
       console.log(chalk.yellow(`  ⚠ ${uploadResults.failed} images failed to upload`))
     }
+
+    Object.assign(summary, {
+      status: 'migrated',
+      uploaded: uploadResults.uploaded,
+      migrated: uploadResults.migrated,
+      failed: uploadResults.failed,
+    })
   } catch (error: any) {
     uploadSpinner.fail('Image upload failed')
     console.log(chalk.red(`  ${error.message}`))
+    summary.status = 'failed'
   }
 
   console.log('')
+  return summary
 }
 
 function formatBytes(bytes: number): string {
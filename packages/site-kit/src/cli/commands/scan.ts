@@ -6,6 +6,8 @@ import chalk from 'chalk'
 import ora from 'ora'
 import path from 'path'
 import { scanCodebase, type ScanResults } from '../scanner'
+import { getFrameworkAdapter, resolveFrameworkAdapter } from '../frameworks'
+import { isJsonOutput, printJson } from '../output'
 
 interface ScanOptions {
   dir?: string
@@ -17,6 +19,7 @@ interface ScanOptions {
   analytics?: boolean
   images?: boolean
   sitemaps?: boolean
+  framework?: string
 }
 
 export async function scanCommand(options: ScanOptions) {
@@ -29,7 +32,8 @@ export async function scanCommand(options: ScanOptions) {
   
   let scanResults: ScanResults
   try {
-    scanResults = await scanCodebase(targetDir)
+    const adapter = await resolveFrameworkAdapter(targetDir, options.framework)
+    scanResults = await scanCodebase(targetDir, { framework: adapter.framework })
     spinner.stop()
   } catch (error: any) {
     spinner.fail('Scan failed')
@@ -51,7 +55,28 @@ export async function scanCommand(options: ScanOptions) {
   const showImages = noSpecificFlags || options.images
   const showSitemaps = noSpecificFlags || options.sitemaps
 
+  const migratable = scanResults.forms.length + scanResults.metadata.length + 
+                     scanResults.widgets.length + scanResults.schemas.length + 
+                     scanResults.faqs.length + scanResults.sitemaps.length
+
+  if (isJsonOutput()) {
+    printJson({
+      framework: scanResults.framework,
+      migratable,
+      ...(showForms && { forms: scanResults.forms }),
+      ...(showMeta && { metadata: scanResults.metadata }),
+      ...(showWidgets && { widgets: scanResults.widgets }),
+      ...(showSchemas && { schemas: scanResults.schemas }),
+      ...(showFAQs && { faqs: scanResults.faqs }),
+      ...(showAnalytics && { analytics: scanResults.analytics }),
+      ...(showSitemaps && { sitemaps: scanResults.sitemaps }),
+      ...(showImages && { images: scanResults.images }),
+    })
+    return
+  }
+
   console.log(chalk.bold('  Scan Results:'))
+  console.log(chalk.gray(`  Framework: ${getFrameworkAdapter(scanResults.framework).label}`))
   console.log('')
 
   // Forms
@@ -194,10 +219,6 @@ export async function scanCommand(options: ScanOptions) {
   }
 
   // Summary
-  const migratable = scanResults.forms.length + scanResults.metadata.length + 
-                     scanResults.widgets.length + scanResults.schemas.length + 
-                     scanResults.faqs.length + scanResults.sitemaps.length
-
   if (migratable > 0) {
     console.log(chalk.bold('  Summary:'))
     console.log(chalk.gray(`     ${migratable} migratable components detected`))
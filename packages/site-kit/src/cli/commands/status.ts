@@ -12,6 +12,7 @@ import chalk from 'chalk'
 import ora from 'ora'
 import fs from 'fs/promises'
 import path from 'path'
+import { isJsonOutput, printJson } from '../output'
 
 interface StatusOptions {
   verbose?: boolean
@@ -51,6 +52,15 @@ export async function statusCommand(options: StatusOptions) {
   const sitemapCheck = await checkSitemap()
   checks.push(sitemapCheck)
 
+  const errors = checks.filter(c => c.status === 'error').length
+  const warnings = checks.filter(c => c.status === 'warn').length
+  const ok = checks.filter(c => c.status === 'ok').length
+
+  if (isJsonOutput()) {
+    printJson({ summary: { ok, warnings, errors }, checks }, errors === 0)
+    return
+  }
+
   // Display results
   console.log(chalk.bold('  Environment'))
   displayChecks(checks.filter(c => 
@@ -69,10 +79,6 @@ export async function statusCommand(options: StatusOptions) {
   console.log('')
 
   // Summary
-  const errors = checks.filter(c => c.status === 'error').length
-  const warnings = checks.filter(c => c.status === 'warn').length
-  const ok = checks.filter(c => c.status === 'ok').length
-
   if (errors > 0) {
     console.log(chalk.red(`  ✗ ${errors} error(s) found`))
     console.log(chalk.gray('    Run `uptrade-setup init` to fix configuration issues'))
@@ -0,0 +1,350 @@
+/**
+ * Astro Adapter
+ *
+ * Pages live in src/pages as .astro, .md or .mdx files. Metadata is either a
+ * <title> in the page itself or props passed to a layout, and React
+ * components (managed forms, ManagedImage) are mounted as client islands.
+ */
+
+import fs from 'fs/promises'
+import path from 'path'
+import { existsSync } from 'fs'
+import type { DetectedMetadata, DetectedSitemap } from '../scanner'
+import type { FrameworkAdapter, MetadataTransformContext, MetadataTransformResult } from './index'
+import { generateProxyHandler, generateRuntimeHelper } from './runtime'
+import { findImportsEnd, quote } from './source'
+
+// ============================================
+// Frontmatter
+// ============================================
+
+const FRONTMATTER = /^---[ \t]*\r?\n(?:([\s\S]*?)\r?\n)?---[ \t]*(?=\r?\n|$)/
+
+/**
+ * Split an .astro/.md file into its frontmatter and the rest. Files without
+ * frontmatter get an empty one.
+ */
+export function splitFrontmatter(content: string): { frontmatter: string; body: string; existed: boolean } {
+  const match = content.match(FRONTMATTER)
+  if (!match) {
+    return { frontmatter: '', body: `\n${content}`, existed: false }
+  }
+  return { frontmatter: match[1] || '', body: content.slice(match[0].length), existed: true }
+}
+
+function joinFrontmatter(frontmatter: string, body: string): string {
+  return `---\n${frontmatter}\n---${body}`
+}
+
+/**
+ * Add an import to an .astro file's frontmatter, creating it if needed
+ */
+export function addFrontmatterImport(content: string, importStatement: string): string {
+  if (content.includes(importStatement)) return content
+
+  const { frontmatter, body } = splitFrontmatter(content)
+  const end = findImportsEnd(frontmatter)
+  const updated = end === 0
+    ? [importStatement, frontmatter].filter(Boolean).join('\n')
+    : `${frontmatter.slice(0, end)}\n${importStatement}${frontmatter.slice(end)}`
+
+  return joinFrontmatter(updated, body)
+}
+
+function appendToFrontmatter(content: string, code: string): string {
+  const { frontmatter, body } = splitFrontmatter(content)
+  const trimmed = frontmatter.replace(/\s+$/, '')
+  return joinFrontmatter(trimmed ? `${trimmed}\n\n${code}` : code, body)
+}
+
+function readYamlValue(frontmatter: string, key: string): string | undefined {
+  const match = frontmatter.match(new RegExp(`^${key}:\\s*(.+?)\\s*$`, 'm'))
+  return match?.[1].replace(/^(['"])(.*)\1$/, '$2') || undefined
+}
+
+// ============================================
+// Markup
+// ============================================
+
+/**
+ * Read an attribute from an opening tag's attribute string. Expressions
+ * come back as `{...}`, string values without their quotes.
+ */
+export function readMarkupAttribute(attrs: string, name: string): string | undefined {
+  const match = attrs.match(new RegExp(`(?:^|\\s)${name}=(?:"([^"]*)"|'([^']*)'|(\\{[^}]*\\}))`))
+  if (!match) return undefined
+  return match[1] ?? match[2] ?? match[3]
+}
+
+function setMarkupAttribute(attrs: string, name: string, value: string): string {
+  return attrs.replace(
+    new RegExp(`(^|\\s)${name}=(?:"[^"]*"|'[^']*'|\\{[^}]*\\})`),
+    `$1${name}=${value}`,
+  )
+}
+
+/**
+ * First component tag passing a title prop, usually the page's layout
+ */
+function findLayoutTag(content: string): { match: string; attrs: string; index: number } | null {
+  const tagPattern = /<([A-Z][\w.]*)(\s[^>]*?)\/?>/g
+  let match
+  while ((match = tagPattern.exec(content)) !== null) {
+    if (readMarkupAttribute(match[2], 'title') !== undefined) {
+      return { match: match[0], attrs: match[2], index: match.index }
+    }
+  }
+  return null
+}
+
+function literal(value: string | undefined): string | undefined {
+  return value && !value.startsWith('{') ? value : undefined
+}
+
+// ============================================
+// Routing
+// ============================================
+
+function normalize(filePath: string): string {
+  return filePath.replace(/\\/g, '/')
+}
+
+function isPageFile(filePath: string): boolean {
+  const file = normalize(filePath)
+  // _-prefixed files and folders are excluded from routing
+  return /^src\/pages\/.+\.(astro|mdx?)$/.test(file) && !/\/_/.test(file.slice('src/pages'.length))
+}
+
+function isLayoutFile(filePath: string): boolean {
+  return /^src\/layouts\/.+\.astro$/.test(normalize(filePath))
+}
+
+/**
+ * src/pages/index.astro -> /, src/pages/blog/[slug].astro -> /blog/:slug
+ */
+function toRoutePath(filePath: string): string {
+  const routePath = normalize(filePath)
+    .replace(/^src\/pages/, '')
+    .replace(/\.(astro|mdx?|tsx?|jsx?)$/, '')
+    .replace(/\/index$/, '')
+    .replace(/\[([^\]]+)\]/g, ':$1')
+
+  return routePath === '' ? '/' : routePath
+}
+
+// ============================================
+// Metadata
+// ============================================
+
+function detectMetadata(content: string, filePath: string): DetectedMetadata | null {
+  if (!isPageFile(filePath)) return null
+  if (content.includes('getManagedMeta')) return null // Already migrated
+
+  if (/\.mdx?$/.test(filePath)) {
+    const { frontmatter } = splitFrontmatter(content)
+    const title = readYamlValue(frontmatter, 'title')
+    return {
+      filePath,
+      type: title ? 'frontmatter' : 'no-metadata',
+      title,
+      description: readYamlValue(frontmatter, 'description'),
+    }
+  }
+
+  const { body } = splitFrontmatter(content)
+
+  if (/<title[\s>]/.test(body)) {
+    const description = body.match(/<meta\s+name=["']description["'][^>]*>/)
+    return {
+      filePath,
+      type: 'head',
+      title: body.match(/<title[^>]*>([^<{]+)<\/title>/)?.[1].trim(),
+      description: description ? literal(readMarkupAttribute(description[0], 'content')) : undefined,
+    }
+  }
+
+  const layout = findLayoutTag(body)
+  if (layout) {
+    return {
+      filePath,
+      type: 'layout-props',
+      title: literal(readMarkupAttribute(layout.attrs, 'title')),
+      description: literal(readMarkupAttribute(layout.attrs, 'description')),
+    }
+  }
+
+  return { filePath, type: 'no-metadata' }
+}
+
+/**
+ * Fetch managed metadata in the frontmatter and feed it to <title> or the
+ * layout's title/description props
+ */
+function applyManagedMetadata(
+  content: string,
+  filePath: string,
+  context: MetadataTransformContext,
+): MetadataTransformResult {
+  if (/\.mdx?$/.test(filePath)) {
+    return {
+      content,
+      changes: ['Markdown page - call getManagedMeta(Astro.url.pathname, ...) in the layout it uses'],
+    }
+  }
+
+  const changes: string[] = []
+  const { frontmatter } = splitFrontmatter(content)
+  let { body } = splitFrontmatter(content)
+
+  if (/<title[\s>]/.test(body)) {
+    body = body.replace(/<title[^>]*>[\s\S]*?<\/title>/, '<title>{seo.title}</title>')
+
+    const descriptionTag = /<meta\s+name=["']description["'][^>]*>/
+    if (descriptionTag.test(body)) {
+      body = body.replace(descriptionTag, '<meta name="description" content={seo.description} />')
+    } else {
+      body = body.replace(/^([ \t]*)<title>\{seo\.title\}<\/title>/m, '$&\n$1<meta name="description" content={seo.description} />')
+    }
+    changes.push('Title and meta description now read from Portal')
+  } else {
+    const layout = findLayoutTag(body)
+    if (!layout) {
+      return {
+        content,
+        changes: ['No <title> or layout title prop found - pass getManagedMeta() results to your layout manually'],
+      }
+    }
+
+    let attrs = setMarkupAttribute(layout.attrs, 'title', '{seo.title}')
+    if (readMarkupAttribute(attrs, 'description') !== undefined) {
+      attrs = setMarkupAttribute(attrs, 'description', '{seo.description}')
+      changes.push('Layout title and description props now read from Portal')
+    } else {
+      changes.push('Layout title prop now reads from Portal - pass seo.description too if the layout supports it')
+    }
+
+    body = body.slice(0, layout.index) + layout.match.replace(layout.attrs, attrs) + body.slice(layout.index + layout.match.length)
+  }
+
+  // Dynamic routes look up the real URL, static ones a fixed path
+  const pathExpression = /[:*]/.test(context.pagePath) ? 'Astro.url.pathname' : quote(context.pagePath)
+  const fallback = `{\n  title: ${quote(context.title || 'Page Title')},\n  description: ${quote(context.description || 'Page description')},\n}`
+
+  let updated = joinFrontmatter(frontmatter, body)
+  updated = addFrontmatterImport(updated, `import { getManagedMeta } from '${context.helperImport}'`)
+  updated = appendToFrontmatter(updated, `const seo = await getManagedMeta(${pathExpression}, ${fallback})`)
+  changes.push('Added getManagedMeta lookup to frontmatter')
+
+  return { content: updated, changes }
+}
+
+// ============================================
+// Sitemaps
+// ============================================
+
+async function detectSitemapConfig(rootDir: string): Promise<DetectedSitemap[]> {
+  const sitemaps: DetectedSitemap[] = []
+
+  for (const configFile of ['astro.config.mjs', 'astro.config.ts', 'astro.config.js']) {
+    try {
+      const content = await fs.readFile(path.join(rootDir, configFile), 'utf-8')
+      if (!content.includes('@astrojs/sitemap')) continue
+
+      const lines = content.split('\n')
+      const line = lines.findIndex(l => l.includes('sitemap(')) + 1
+      sitemaps.push({
+        filePath: configFile,
+        type: 'sitemap-plugin',
+        generator: '@astrojs/sitemap',
+        startLine: line || 1,
+        endLine: line || lines.length,
+      })
+    } catch {
+      // Config file doesn't exist
+    }
+  }
+
+  return sitemaps
+}
+
+// ============================================
+// Generated Files
+// ============================================
+
+export const astroAdapter: FrameworkAdapter = {
+  framework: 'astro',
+  label: 'Astro',
+  sourceFilePattern: /\.(astro|mdx?|tsx?|jsx?)$/,
+  ignoredDirs: ['node_modules', '.astro', '.git', 'dist', '.vercel', '.netlify'],
+  isPageFile,
+  isLayoutFile,
+  toRoutePath,
+  clientDirective: false,
+  detectMetadata,
+  detectSitemapConfig,
+  applyManagedMetadata,
+  apiBasePath: '/api/uptrade',
+
+  runtimeHelper(isTypeScript) {
+    return {
+      filePath: `src/lib/uptrade.${isTypeScript ? 'ts' : 'js'}`,
+      code: generateRuntimeHelper({ env: name => `import.meta.env.${name}`, isTypeScript }),
+    }
+  },
+
+  sitemapRoute(isTypeScript) {
+    const handler = isTypeScript
+      ? 'export const GET: APIRoute = async ({ site, url }) => {'
+      : 'export async function GET({ site, url }) {'
+
+    return {
+      filePath: `src/pages/sitemap.xml.${isTypeScript ? 'ts' : 'js'}`,
+      code: `/**
+ * sitemap.xml - URLs, priorities and change frequencies are managed in the
+ * Portal SEO module
+ *
+ * Generated by @uptrade/site-kit
+ */
+${isTypeScript ? "\nimport type { APIRoute } from 'astro'" : ''}
+import { getSitemapXml } from '../lib/uptrade'
+
+${handler}
+  const xml = await getSitemapXml((site ?? url).origin)
+
+  return new Response(xml, {
+    headers: { 'Content-Type': 'application/xml' },
+  })
+}
+`,
+    }
+  },
+
+  apiRoute(rootDir) {
+    if (!existsSync(path.join(rootDir, 'src', 'pages'))) return null
+
+    return {
+      filePath: path.join('src', 'pages', 'api', 'uptrade', '[...path].ts'),
+      code: `/**
+ * Uptrade API Proxy
+ *
+ * This route proxies requests to the Uptrade Portal API.
+ * It handles authentication and adds the project context.
+ * Needs an SSR adapter - it runs on every request.
+ *
+ * Generated by @uptrade/site-kit
+ */
+
+import type { APIRoute } from 'astro'
+
+export const prerender = false
+
+const API_URL = import.meta.env.UPTRADE_API_URL || 'https://api.uptrademedia.com'
+const API_KEY = import.meta.env.UPTRADE_API_KEY
+
+export const ALL: APIRoute = ({ request, params }) => proxyToPortal(request, params.path || '')
+
+${generateProxyHandler(true)}
+`,
+    }
+  },
+}
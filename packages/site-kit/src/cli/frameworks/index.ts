@@ -0,0 +1,157 @@
+/**
+ * Framework Adapters - Next.js, Astro and Remix support for the CLI
+ *
+ * The scanner, migrator and api-routes command ask the adapter for anything
+ * that depends on the framework: which files are routes, how a file maps to
+ * a URL, where metadata lives and what the generated code looks like.
+ */
+
+import fs from 'fs/promises'
+import path from 'path'
+import type { DetectedMetadata, DetectedSitemap } from '../scanner'
+import { nextjsAdapter } from './nextjs'
+import { astroAdapter } from './astro'
+import { remixAdapter } from './remix'
+
+// ============================================
+// Types
+// ============================================
+
+export type Framework = 'nextjs' | 'astro' | 'remix'
+
+export const FRAMEWORKS: Framework[] = ['nextjs', 'astro', 'remix']
+
+export interface GeneratedFile {
+  /** Path relative to the project root */
+  filePath: string
+  code: string
+}
+
+export interface MetadataTransformContext {
+  pagePath: string
+  title?: string
+  description?: string
+  isTypeScript: boolean
+  /** Import specifier for the runtime helper, relative to the page */
+  helperImport: string
+}
+
+export interface MetadataTransformResult {
+  content: string
+  changes: string[]
+}
+
+export interface FrameworkAdapter {
+  framework: Framework
+  label: string
+
+  /** Files the scanner reads */
+  sourceFilePattern: RegExp
+  /** Directory names the scanner never enters */
+  ignoredDirs: string[]
+
+  /** Route files that render a page (get metadata, schema and FAQs) */
+  isPageFile(filePath: string): boolean
+  isLayoutFile(filePath: string): boolean
+  /** URL path for a route file, dynamic segments as :param */
+  toRoutePath(filePath: string): string
+
+  /** Whether generated React components need 'use client' */
+  clientDirective: boolean
+
+  /**
+   * Metadata detection for a file. Next.js leaves this out - the scanner
+   * reads Next.js metadata from the AST.
+   */
+  detectMetadata?(content: string, filePath: string): DetectedMetadata | null
+
+  /** Sitemap integrations configured outside source files */
+  detectSitemapConfig?(rootDir: string): Promise<DetectedSitemap[]>
+
+  /**
+   * Rewrite a route file so its metadata comes from Portal. Next.js leaves
+   * this out - the migrator generates getManagedMetadata itself.
+   */
+  applyManagedMetadata?(content: string, filePath: string, context: MetadataTransformContext): MetadataTransformResult
+
+  /**
+   * Server-side Portal helper for frameworks that can't use the
+   * server-only site-kit SEO module
+   */
+  runtimeHelper?(isTypeScript: boolean): GeneratedFile
+
+  /** Managed sitemap route (Next.js uses createSitemap instead) */
+  sitemapRoute?(isTypeScript: boolean): GeneratedFile
+
+  /** Catch-all proxy to the Portal public API, or null if the project layout isn't recognised */
+  apiRoute(rootDir: string): GeneratedFile | null
+
+  /** URL the API proxy is served from */
+  apiBasePath: string
+}
+
+// ============================================
+// Detection
+// ============================================
+
+const adapters: Record<Framework, FrameworkAdapter> = {
+  nextjs: nextjsAdapter,
+  astro: astroAdapter,
+  remix: remixAdapter,
+}
+
+/**
+ * Work out which framework a project uses. Dependencies win over config
+ * files, and anything unrecognised is treated as Next.js.
+ */
+export async function detectFramework(rootDir: string): Promise<Framework> {
+  try {
+    const pkg = JSON.parse(await fs.readFile(path.join(rootDir, 'package.json'), 'utf-8'))
+    const deps: Record<string, string> = { ...pkg.dependencies, ...pkg.devDependencies }
+
+    if (deps.astro) return 'astro'
+    if (Object.keys(deps).some(dep => dep.startsWith('@remix-run/') || dep === '@react-router/dev')) {
+      return 'remix'
+    }
+    if (deps.next) return 'nextjs'
+  } catch {
+    // No package.json - fall back to config files
+  }
+
+  const entries = await fs.readdir(rootDir).catch(() => [] as string[])
+  if (entries.some(entry => /^astro\.config\.(m?js|ts)$/.test(entry))) return 'astro'
+  if (entries.some(entry => /^(remix|react-router)\.config\.(m?js|ts)$/.test(entry))) return 'remix'
+
+  return 'nextjs'
+}
+
+export function getFrameworkAdapter(framework: Framework = 'nextjs'): FrameworkAdapter {
+  return adapters[framework]
+}
+
+/**
+ * Adapter for a --framework override, or for the detected framework
+ */
+export async function resolveFrameworkAdapter(rootDir: string, override?: string): Promise<FrameworkAdapter> {
+  if (override) {
+    const framework = override.toLowerCase().replace(/^next(\.?js)?$/, 'nextjs') as Framework
+    if (!FRAMEWORKS.includes(framework)) {
+      throw new Error(`Unknown framework "${override}" - use one of: ${FRAMEWORKS.join(', ')}`)
+    }
+    return adapters[framework]
+  }
+
+  return adapters[await detectFramework(rootDir)]
+}
+
+/**
+ * Import specifier for a generated file, relative to the file importing it
+ */
+export function relativeImport(fromFile: string, toFile: string): string {
+  const specifier = path
+    .relative(path.dirname(fromFile), toFile)
+    .replace(/\\/g, '/')
+    .replace(/\.(tsx?|jsx?)$/, '')
+
+  return specifier.startsWith('.') ? specifier : `./${specifier}`
+}
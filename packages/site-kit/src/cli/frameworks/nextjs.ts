@@ -0,0 +1,178 @@
+/**
+ * Next.js Adapter - App Router projects
+ *
+ * The scanner and migrator were written for the App Router, so most of the
+ * Next.js behaviour still lives there; this adapter only covers routing and
+ * the API proxy.
+ */
+
+import path from 'path'
+import { existsSync } from 'fs'
+import type { FrameworkAdapter } from './index'
+
+// ============================================
+// Routing
+// ============================================
+
+function isPageFile(filePath: string): boolean {
+  return /\/page\.(tsx?|jsx?)$/.test(filePath)
+}
+
+function isLayoutFile(filePath: string): boolean {
+  return /\/layout\.(tsx?|jsx?)$/.test(filePath)
+}
+
+/**
+ * app/about/page.tsx -> /about, app/blog/[slug]/page.tsx -> /blog/:slug
+ */
+function toRoutePath(filePath: string): string {
+  const routePath = filePath
+    .replace(/\\/g, '/')
+    .replace(/^app\//, '/')
+    .replace(/^src\/app\//, '/')
+    .replace(/\/page\.(tsx?|jsx?)$/, '')
+    .replace(/\/layout\.(tsx?|jsx?)$/, '')
+    .replace(/\[([^\]]+)\]/g, ':$1')
+
+  return routePath === '' ? '/' : routePath
+}
+
+// ============================================
+// API Proxy
+// ============================================
+
+function findAppDir(rootDir: string): string | null {
+  for (const candidate of ['app', path.join('src', 'app')]) {
+    if (existsSync(path.join(rootDir, candidate))) {
+      return candidate
+    }
+  }
+
+  return null
+}
+
+export const nextjsAdapter: FrameworkAdapter = {
+  framework: 'nextjs',
+  label: 'Next.js',
+  sourceFilePattern: /\.(tsx?|jsx?)$/,
+  ignoredDirs: ['node_modules', '.next', '.git', 'dist', 'build'],
+  isPageFile,
+  isLayoutFile,
+  toRoutePath,
+  clientDirective: true,
+  apiBasePath: '/_uptrade/api',
+
+  apiRoute(rootDir) {
+    const appDir = findAppDir(rootDir)
+    if (!appDir) return null
+
+    return {
+      filePath: path.join(appDir, '_uptrade', 'api', '[...path]', 'route.ts'),
+      code: generateRouteHandler(),
+    }
+  },
+}
+
+function generateRouteHandler(): string {
+  return `/**
+ * Uptrade API Proxy
+ * 
+ * This route proxies requests to the Uptrade Portal API.
+ * It handles authentication and adds the project context.
+ * 
+ * Generated by @uptrade/site-kit
+ */
+
+import { NextRequest, NextResponse } from 'next/server'
+
+const API_URL = process.env.NEXT_PUBLIC_UPTRADE_API_URL || 'https://api.uptrademedia.com'
+const API_KEY = process.env.UPTRADE_API_KEY
+
+// Handle all HTTP methods
+export async function GET(
+  request: NextRequest,
+  { params }: { params: Promise<{ path: string[] }> }
+) {
+  return handleRequest(request, await params)
+}
+
+export async function POST(
+  request: NextRequest,
+  { params }: { params: Promise<{ path: string[] }> }
+) {
+  return handleRequest(request, await params)
+}
+
+export async function PUT(
+  request: NextRequest,
+  { params }: { params: Promise<{ path: string[] }> }
+) {
+  return handleRequest(request, await params)
+}
+
+export async function DELETE(
+  request: NextRequest,
+  { params }: { params: Promise<{ path: string[] }> }
+) {
+  return handleRequest(request, await params)
+}
+
+async function handleRequest(
+  request: NextRequest,
+  params: { path: string[] }
+) {
+  const { path: pathSegments } = params
+  const targetPath = pathSegments.join('/')
+  
+  const targetUrl = new URL(\`/api/public/\${targetPath}\`, API_URL)
+  
+  // Copy query params
+  request.nextUrl.searchParams.forEach((value, key) => {
+    targetUrl.searchParams.set(key, value)
+  })
+
+  // Prepare headers
+  const headers: HeadersInit = {
+    'Content-Type': 'application/json',
+  }
+
+  // Add API key if available
+  if (API_KEY) {
+    headers['x-api-key'] = API_KEY
+  }
+
+  // Get body for non-GET requests
+  let body: string | undefined
+  if (request.method !== 'GET' && request.method !== 'HEAD') {
+    try {
+      body = await request.text()
+    } catch {
+      // No body
+    }
+  }
+
+  try {
+    const response = await fetch(targetUrl.toString(), {
+      method: request.method,
+      headers,
+      body,
+    })
+
+    const data = await response.json()
+
+    return NextResponse.json(data, {
+      status: response.status,
+      headers: {
+        'Access-Control-Allow-Origin': '*',
+      },
+    })
+  } catch (error: any) {
+    console.error('[Uptrade API Proxy]', error)
+    return NextResponse.json(
+      { error: 'API request failed', message: error.message },
+      { status: 500 }
+    )
+  }
+}
+`
+}
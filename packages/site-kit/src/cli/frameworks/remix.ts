@@ -0,0 +1,295 @@
+/**
+ * Remix Adapter (v2 flat routes, and React Router v7 framework mode)
+ *
+ * Route modules live in app/routes. Metadata comes from the route's `meta`
+ * export, so migrated routes load managed metadata in a loader and read it
+ * back in meta.
+ */
+
+import fs from 'fs/promises'
+import path from 'path'
+import { existsSync } from 'fs'
+import type { DetectedMetadata, DetectedSitemap } from '../scanner'
+import type { FrameworkAdapter, MetadataTransformContext, MetadataTransformResult } from './index'
+import { generateProxyHandler, generateRuntimeHelper } from './runtime'
+import { findImportsEnd, insertImport, matchBalanced, quote } from './source'
+
+// ============================================
+// Routing
+// ============================================
+
+function normalize(filePath: string): string {
+  return filePath.replace(/\\/g, '/')
+}
+
+/**
+ * Route modules are app/routes/<name>.tsx or app/routes/<name>/route.tsx.
+ * Other files in a route folder, and .server/.client modules, aren't routes.
+ */
+function isPageFile(filePath: string): boolean {
+  const match = normalize(filePath).match(/^app\/routes\/(.+)\.(tsx?|jsx?)$/)
+  if (!match || /\.(server|client)$/.test(match[1])) return false
+
+  const parts = match[1].split('/')
+  return parts.length === 1 || (parts.length === 2 && parts[1] === 'route')
+}
+
+function isLayoutFile(filePath: string): boolean {
+  return /^app\/root\.(tsx|jsx)$/.test(normalize(filePath))
+}
+
+/**
+ * Flat route file name -> URL:
+ * _index -> /, blog.$slug -> /blog/:slug, _auth.login -> /login,
+ * files.$ -> /files/*, sitemap[.]xml -> /sitemap.xml
+ */
+function toRoutePath(filePath: string): string {
+  const routeName = normalize(filePath)
+    .replace(/^app\/routes\//, '')
+    .replace(/\.(tsx?|jsx?|mdx?)$/, '')
+    .replace(/\/route$/, '')
+
+  const segments: string[] = []
+  // Dots separate segments unless escaped as [.]
+  for (const segment of routeName.split(/\.(?![^[]*\])/)) {
+    if (segment === '_index' || segment.startsWith('_')) continue // index / pathless layout
+
+    const name = segment
+      .replace(/_$/, '')              // users_.$id - opts out of the parent layout
+      .replace(/^\((.*)\)$/, '$1')    // ($lang) - optional segment
+      .replace(/\[([^\]]*)\]/g, '$1') // escaped characters
+
+    if (name === '$') segments.push('*')
+    else if (name.startsWith('$')) segments.push(`:${name.slice(1)}`)
+    else segments.push(name)
+  }
+
+  return `/${segments.join('/')}`
+}
+
+// ============================================
+// Metadata
+// ============================================
+
+const META_EXPORT = /export\s+(?:(?:const|let)\s+meta\b[^=]*=|function\s+meta\s*\()/
+const LOADER_EXPORT = /export\s+(?:async\s+)?(?:function\s+loader\b|(?:const|let)\s+loader\b)/
+
+function detectMetadata(content: string, filePath: string): DetectedMetadata | null {
+  if (!isPageFile(filePath)) return null
+  if (content.includes('getManagedMeta')) return null // Already migrated
+  if (!/export\s+default\b/.test(content)) return null // Resource route
+
+  if (META_EXPORT.test(content)) {
+    return {
+      filePath,
+      type: 'remix-meta',
+      title: content.match(/title:\s*['"`]([^'"`]+)['"`]/)?.[1],
+      description: content.match(/name:\s*['"]description['"],\s*content:\s*['"`]([^'"`]+)['"`]/)?.[1],
+    }
+  }
+
+  return { filePath, type: 'no-metadata' }
+}
+
+/**
+ * Range of the existing `export const meta = ...` / `export function meta`
+ */
+function findMetaExport(content: string): { start: number; end: number } | null {
+  const match = META_EXPORT.exec(content)
+  if (!match) return null
+
+  const afterDeclaration = match.index + match[0].length
+  let bodyStart: number
+
+  if (match[0].includes('function')) {
+    // export function meta(args) { ... }
+    const paramsEnd = matchBalanced(content, afterDeclaration - 1)
+    bodyStart = paramsEnd === -1 ? -1 : content.indexOf('{', paramsEnd)
+  } else {
+    // export const meta = (args) => [ ... ] | { ... }
+    const arrow = content.indexOf('=>', afterDeclaration)
+    bodyStart = arrow === -1 ? -1 : content.slice(arrow + 2).search(/\S/) + arrow + 2
+  }
+
+  const end = bodyStart === -1 ? -1 : matchBalanced(content, bodyStart)
+  if (end === -1) return null
+
+  return { start: match.index, end: content[end] === ';' ? end + 1 : end }
+}
+
+/**
+ * Add a loader that fetches managed metadata and a meta export that reads it
+ */
+function applyManagedMetadata(
+  content: string,
+  _filePath: string,
+  context: MetadataTransformContext,
+): MetadataTransformResult {
+  if (LOADER_EXPORT.test(content)) {
+    return {
+      content,
+      changes: [
+        'Route already has a loader - return `seo: await getManagedMeta(...)` from it',
+        'and read data.seo.title / data.seo.description in meta',
+      ],
+    }
+  }
+
+  const { isTypeScript } = context
+  const changes: string[] = []
+  const isDynamic = /[:*]/.test(context.pagePath)
+  const pathExpression = isDynamic ? 'new URL(request.url).pathname' : quote(context.pagePath)
+  const loaderArgs = isDynamic ? `{ request }${isTypeScript ? ': { request: Request }' : ''}` : ''
+  const metaArgs = `{ data }${isTypeScript ? ': { data?: { seo: ManagedMeta } }' : ''}`
+
+  const code = `export async function loader(${loaderArgs}) {
+  return {
+    seo: await getManagedMeta(${pathExpression}, {
+      title: ${quote(context.title || 'Page Title')},
+      description: ${quote(context.description || 'Page description')},
+    }),
+  }
+}
+
+export const meta = (${metaArgs}) => [
+  { title: data?.seo.title },
+  { name: 'description', content: data?.seo.description },
+]`
+
+  let updated = content
+  const existingMeta = findMetaExport(updated)
+
+  if (existingMeta) {
+    updated = updated.slice(0, existingMeta.start) + code + updated.slice(existingMeta.end)
+    changes.push('Replaced meta export with managed metadata')
+  } else if (META_EXPORT.test(updated)) {
+    return { content, changes: ['Could not parse the meta export - add getManagedMeta to a loader manually'] }
+  } else {
+    const end = findImportsEnd(updated)
+    updated = end === 0 ? `${code}\n\n${updated}` : `${updated.slice(0, end)}\n\n${code}${updated.slice(end)}`
+    changes.push('Added meta export with managed metadata')
+  }
+  changes.push('Added loader that fetches managed metadata')
+
+  updated = insertImport(updated, `import { getManagedMeta } from '${context.helperImport}'`)
+  if (isTypeScript) {
+    updated = insertImport(updated, `import type { ManagedMeta } from '${context.helperImport}'`)
+  }
+
+  return { content: updated, changes }
+}
+
+// ============================================
+// Sitemaps
+// ============================================
+
+async function detectSitemapConfig(rootDir: string): Promise<DetectedSitemap[]> {
+  try {
+    const pkg = JSON.parse(await fs.readFile(path.join(rootDir, 'package.json'), 'utf-8'))
+    const deps = { ...pkg.dependencies, ...pkg.devDependencies }
+
+    if (deps['remix-sitemap']) {
+      return [{
+        filePath: 'package.json',
+        type: 'sitemap-plugin',
+        generator: 'remix-sitemap',
+        startLine: 1,
+        endLine: 1,
+      }]
+    }
+  } catch {
+    // No package.json
+  }
+
+  return []
+}
+
+// ============================================
+// Generated Files
+// ============================================
+
+export const remixAdapter: FrameworkAdapter = {
+  framework: 'remix',
+  label: 'Remix',
+  sourceFilePattern: /\.(tsx?|jsx?|mdx)$/,
+  ignoredDirs: ['node_modules', '.cache', '.git', 'build', 'public', '.react-router'],
+  isPageFile,
+  isLayoutFile,
+  toRoutePath,
+  clientDirective: false,
+  detectMetadata,
+  detectSitemapConfig,
+  applyManagedMetadata,
+  apiBasePath: '/api/uptrade',
+
+  runtimeHelper(isTypeScript) {
+    return {
+      // .server keeps the API key out of the client bundle
+      filePath: `app/lib/uptrade.server.${isTypeScript ? 'ts' : 'js'}`,
+      code: generateRuntimeHelper({ env: name => `process.env.${name}`, isTypeScript }),
+    }
+  },
+
+  sitemapRoute(isTypeScript) {
+    return {
+      filePath: `app/routes/sitemap[.]xml.${isTypeScript ? 'ts' : 'js'}`,
+      code: `/**
+ * sitemap.xml - URLs, priorities and change frequencies are managed in the
+ * Portal SEO module
+ *
+ * Generated by @uptrade/site-kit
+ */
+
+import { getSitemapXml } from '../lib/uptrade.server'
+
+export async function loader({ request }${isTypeScript ? ': { request: Request }' : ''}) {
+  const xml = await getSitemapXml(new URL(request.url).origin)
+
+  return new Response(xml, {
+    headers: {
+      'Content-Type': 'application/xml',
+      'Cache-Control': 'public, max-age=3600',
+    },
+  })
+}
+`,
+    }
+  },
+
+  apiRoute(rootDir) {
+    if (!existsSync(path.join(rootDir, 'app', 'routes'))) return null
+
+    return {
+      filePath: path.join('app', 'routes', 'api.uptrade.$.ts'),
+      code: `/**
+ * Uptrade API Proxy
+ *
+ * This route proxies requests to the Uptrade Portal API.
+ * It handles authentication and adds the project context.
+ *
+ * Generated by @uptrade/site-kit
+ */
+
+const API_URL = process.env.UPTRADE_API_URL || 'https://api.uptrademedia.com'
+const API_KEY = process.env.UPTRADE_API_KEY
+
+interface RouteArgs {
+  request: Request
+  params: Record<string, string | undefined>
+}
+
+// GET/HEAD
+export function loader({ request, params }: RouteArgs) {
+  return proxyToPortal(request, params['*'] || '')
+}
+
+// POST/PUT/PATCH/DELETE
+export function action({ request, params }: RouteArgs) {
+  return proxyToPortal(request, params['*'] || '')
+}
+
+${generateProxyHandler(true)}
+`,
+    }
+  },
+}
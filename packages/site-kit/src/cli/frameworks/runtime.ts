@@ -0,0 +1,176 @@
+/**
+ * Runtime Helper - generated Portal lookups for Astro and Remix
+ *
+ * The site-kit SEO module is built on React Server Components and
+ * 'server-only', so it can't run in Astro frontmatter or a Remix loader.
+ * Migrated pages import this small generated file instead, which talks to
+ * the same public endpoints.
+ */
+
+interface RuntimeHelperOptions {
+  /** Expression reading a server-side environment variable */
+  env: (name: string) => string
+  isTypeScript: boolean
+}
+
+export function generateRuntimeHelper({ env, isTypeScript }: RuntimeHelperOptions): string {
+  const ts = (annotation: string) => (isTypeScript ? annotation : '')
+
+  return `/**
+ * Uptrade Portal helpers
+ *
+ * Server-side lookups for pages migrated with \`site-kit migrate\`.
+ * Keep UPTRADE_API_KEY out of client code - only import this on the server.
+ *
+ * Generated by @uptrade/site-kit
+ */
+
+const API_URL = ${env('UPTRADE_API_URL')} || 'https://api.uptrademedia.com'
+const API_KEY = ${env('UPTRADE_API_KEY')}
+const PROJECT_ID = ${env('UPTRADE_PROJECT_ID')}
+${isTypeScript ? `
+export interface ManagedMeta {
+  title: string
+  description: string
+  canonical?: string
+  robots?: string
+  ogImage?: string
+}
+
+interface SitemapEntry {
+  path: string
+  updated_at?: string
+  sitemap_changefreq?: string
+  sitemap_priority?: number
+}
+` : ''}
+async function portalPost(endpoint${ts(': string')}, body${ts(': Record<string, unknown>')}) {
+  if (!API_KEY) {
+    console.warn('[Uptrade] UPTRADE_API_KEY is not set - using fallbacks')
+    return null
+  }
+
+  try {
+    const response = await fetch(\`\${API_URL}\${endpoint}\`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': API_KEY,
+      },
+      body: JSON.stringify({ projectId: PROJECT_ID, ...body }),
+    })
+
+    return response.ok ? await response.json() : null
+  } catch (error) {
+    console.error('[Uptrade] Portal request failed:', error)
+    return null
+  }
+}
+
+function escapeXml(value${ts(': string')}) {
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+}
+
+/**
+ * Managed title and description for a page, falling back to the values
+ * the page had before migration
+ */
+export async function getManagedMeta(
+  path${ts(': string')},
+  fallback${ts(': { title: string; description: string }')}
+)${ts(': Promise<ManagedMeta>')} {
+  const result = await portalPost('/api/public/seo/page', { path })
+  const page = result?.page
+
+  return {
+    title: page?.managed_title || fallback.title,
+    description: page?.managed_meta_description || page?.managed_description || fallback.description,
+    canonical: page?.managed_canonical || undefined,
+    robots: page?.managed_robots || undefined,
+    ogImage: page?.managed_og_image || undefined,
+  }
+}
+
+/**
+ * sitemap.xml for every published page in Portal
+ */
+export async function getSitemapXml(baseUrl${ts(': string')})${ts(': Promise<string>')} {
+  const result = await portalPost('/api/public/seo/sitemap', { publishedOnly: true })
+  const entries${ts(': SitemapEntry[]')} = result?.entries || []
+  const origin = baseUrl.replace(/\\/$/, '')
+
+  const urls = entries.map(entry => [
+    '  <url>',
+    \`    <loc>\${escapeXml(origin + entry.path)}</loc>\`,
+    entry.updated_at ? \`    <lastmod>\${entry.updated_at}</lastmod>\` : '',
+    entry.sitemap_changefreq ? \`    <changefreq>\${entry.sitemap_changefreq}</changefreq>\` : '',
+    entry.sitemap_priority != null ? \`    <priority>\${entry.sitemap_priority}</priority>\` : '',
+    '  </url>',
+  ].filter(Boolean).join('\\n'))
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    ...urls,
+    '</urlset>',
+  ].join('\\n')
+}
+`
+}
+
+/**
+ * Body of the Portal API proxy shared by the Astro and Remix routes.
+ * Expects API_URL and API_KEY to be declared by the route.
+ */
+export function generateProxyHandler(isTypeScript: boolean): string {
+  const ts = (annotation: string) => (isTypeScript ? annotation : '')
+
+  return `async function proxyToPortal(request${ts(': Request')}, targetPath${ts(': string')}) {
+  const incoming = new URL(request.url)
+  const targetUrl = new URL(\`/api/public/\${targetPath}\`, API_URL)
+
+  // Copy query params
+  incoming.searchParams.forEach((value, key) => {
+    targetUrl.searchParams.set(key, value)
+  })
+
+  const headers${ts(': Record<string, string>')} = {
+    'Content-Type': 'application/json',
+  }
+
+  if (API_KEY) {
+    headers['x-api-key'] = API_KEY
+  }
+
+  let body${ts(': string | undefined')}
+  if (request.method !== 'GET' && request.method !== 'HEAD') {
+    body = await request.text()
+  }
+
+  try {
+    const response = await fetch(targetUrl.toString(), {
+      method: request.method,
+      headers,
+      body,
+    })
+
+    return new Response(await response.text(), {
+      status: response.status,
+      headers: {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+      },
+    })
+  } catch (error${ts(': any')}) {
+    console.error('[Uptrade API Proxy]', error)
+    return new Response(JSON.stringify({ error: 'API request failed', message: error.message }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json' },
+    })
+  }
+}`
+}
@@ -0,0 +1,70 @@
+/**
+ * Source Helpers - string-level edits shared by the framework adapters
+ *
+ * Like the migrator, these work on strings so formatting and comments are
+ * left exactly as they were.
+ */
+
+const IMPORT_STATEMENT = /^import\s*['"][^'"]+['"];?[ \t]*$|^import\s[\s\S]*?from\s*['"][^'"]+['"];?[ \t]*$/gm
+
+/**
+ * Index just past the last top-level import statement (0 if there are none)
+ */
+export function findImportsEnd(code: string): number {
+  let end = 0
+  for (const match of code.matchAll(IMPORT_STATEMENT)) {
+    end = match.index! + match[0].length
+  }
+  return end
+}
+
+/**
+ * Add an import after the existing ones
+ */
+export function insertImport(code: string, importStatement: string): string {
+  if (code.includes(importStatement)) return code
+
+  const end = findImportsEnd(code)
+  if (end === 0) {
+    return `${importStatement}\n${code}`
+  }
+  return `${code.slice(0, end)}\n${importStatement}${code.slice(end)}`
+}
+
+const CLOSING: Record<string, string> = { '{': '}', '[': ']', '(': ')' }
+
+/**
+ * Index just past the bracket matching the one at startIndex, or -1.
+ * Skips over string and template literals.
+ */
+export function matchBalanced(code: string, startIndex: number): number {
+  const open = code[startIndex]
+  const close = CLOSING[open]
+  if (!close) return -1
+
+  let depth = 0
+  let quote: string | null = null
+
+  for (let i = startIndex; i < code.length; i++) {
+    const char = code[i]
+
+    if (quote) {
+      if (char === '\\') i++
+      else if (char === quote) quote = null
+      continue
+    }
+
+    if (char === '"' || char === "'" || char === '`') quote = char
+    else if (char === open) depth++
+    else if (char === close && --depth === 0) return i + 1
+  }
+
+  return -1
+}
+
+/**
+ * Single-quoted JS string literal
+ */
+export function quote(value: string): string {
+  return `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`
+}
@@ -25,6 +25,8 @@ import { syncCommand } from './commands/sync'
 import { apiRoutesCommand } from './commands/api-routes'
 import { installCommand } from './commands/install'
 import { upgradeCommand } from './commands/upgrade'
+import { checkCommand } from './commands/check'
+import { enableJsonOutput } from './output'
 
 // Load .env.local if it exists (for API keys)
 config({ path: '.env.local' })
@@ -36,6 +38,10 @@ program
   .name('uptrade-setup')
   .description('Setup wizard for @uptrade/site-kit')
   .version('1.0.0')
+  .option('--json', 'Print the result as JSON on stdout (human output goes to stderr)')
+  .hook('preAction', (_program, actionCommand) => {
+    if (program.opts().json) enableJsonOutput(actionCommand.name())
+  })
 
 program
   .command('init')
@@ -58,6 +64,7 @@ program
   .option('--analytics', 'Only scan for analytics scripts')
   .option('--images', 'Only scan for images')
   .option('--sitemaps', 'Only scan for sitemaps')
+  .option('--framework <name>', 'Framework to scan as: nextjs, astro or remix (detected by default)')
   .action(scanCommand)
 
 program
@@ -67,6 +74,10 @@ program
   .option('-f, --file <path>', 'Migrate specific file')
   .option('--images', 'Also upload and migrate images (will prompt if not set)')
   .option('--no-images', 'Skip image migration entirely')
+  .option('--framework <name>', 'Framework to migrate as: nextjs, astro or remix (detected by default)')
+  .option('--rollback <id>', 'Undo a migration run (id from .uptrade/migrations, or "latest")')
+  .option('--force', 'With --rollback, also restore files edited since the migration')
+  .option('-y, --yes', 'Apply without asking for confirmation (required with --json unless --dry-run)')
   .action(migrateCommand)
 
 program
@@ -114,6 +125,14 @@ program
   .option('-v, --verbose', 'Show detailed output')
   .action(statusCommand)
 
+program
+  .command('check')
+  .description('Check SEO integration rules and exit non-zero on failures (for CI)')
+  .option('-d, --dir <path>', 'Project directory', '.')
+  .option('--framework <name>', 'Framework to check as: nextjs, astro or remix (detected by default)')
+  .option('--strict', 'Fail on warnings too')
+  .action(checkCommand)
+
 program
   .command('sync')
   .description('Sync local content to Portal (pages, blog, schemas)')
@@ -125,9 +144,10 @@ program
 
 program
   .command('api-routes')
-  .description('Generate _uptrade API proxy routes')
+  .description('Generate the Uptrade API proxy route for your framework')
   .option('--dry-run', 'Show changes without applying')
   .option('--force', 'Overwrite existing routes')
+  .option('--framework <name>', 'Framework to generate for: nextjs, astro or remix (detected by default)')
   .action(apiRoutesCommand)
 
 program
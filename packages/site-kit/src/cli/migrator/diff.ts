@@ -0,0 +1,133 @@
+/**
+ * Unified Diff - line diffs for the migration journal
+ *
+ * Small enough to not need a dependency: common prefix/suffix are trimmed
+ * first, so the LCS table only covers the region the migrator changed.
+ */
+
+type Op = { type: 'equal' | 'delete' | 'insert'; line: string }
+
+const CONTEXT_LINES = 3
+// Past this the middle is reported as a full replacement
+const MAX_LCS_CELLS = 4_000_000
+
+function splitLines(content: string): string[] {
+  if (content === '') return []
+  const lines = content.split('\n')
+  if (lines[lines.length - 1] === '') lines.pop()
+  return lines
+}
+
+function diffLines(before: string[], after: string[]): Op[] {
+  let prefix = 0
+  while (prefix < before.length && prefix < after.length && before[prefix] === after[prefix]) prefix++
+
+  let suffix = 0
+  while (
+    suffix < before.length - prefix &&
+    suffix < after.length - prefix &&
+    before[before.length - 1 - suffix] === after[after.length - 1 - suffix]
+  ) suffix++
+
+  const a = before.slice(prefix, before.length - suffix)
+  const b = after.slice(prefix, after.length - suffix)
+  const ops: Op[] = before.slice(0, prefix).map(line => ({ type: 'equal', line }))
+
+  if (a.length * b.length > MAX_LCS_CELLS) {
+    ops.push(...a.map(line => ({ type: 'delete' as const, line })))
+    ops.push(...b.map(line => ({ type: 'insert' as const, line })))
+  } else {
+    // lcs[i][j] = LCS length of a[i..] and b[j..]
+    const lcs = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1))
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1])
+      }
+    }
+
+    let i = 0
+    let j = 0
+    while (i < a.length || j < b.length) {
+      if (i < a.length && j < b.length && a[i] === b[j]) {
+        ops.push({ type: 'equal', line: a[i] })
+        i++
+        j++
+      } else if (i < a.length && (j === b.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+        ops.push({ type: 'delete', line: a[i++] })
+      } else {
+        ops.push({ type: 'insert', line: b[j++] })
+      }
+    }
+  }
+
+  ops.push(...before.slice(before.length - suffix).map(line => ({ type: 'equal' as const, line })))
+  return ops
+}
+
+function range(start: number, count: number): string {
+  // An empty range points at the line before it
+  const line = count === 0 ? start - 1 : start
+  return count === 1 ? `${line}` : `${line},${count}`
+}
+
+/**
+ * Unified diff of one file. `before` is null for files the migration created.
+ * Returns an empty string when nothing changed.
+ */
+export function createUnifiedDiff(filePath: string, before: string | null, after: string): string {
+  if (before === after) return ''
+
+  const ops = diffLines(splitLines(before ?? ''), splitLines(after))
+  const header = [
+    `--- ${before === null ? '/dev/null' : `a/${filePath}`}`,
+    `+++ b/${filePath}`,
+  ]
+
+  // Group changes that are within 2 * context lines of each other
+  const hunks: string[] = []
+  let index = 0
+  while (index < ops.length) {
+    if (ops[index].type === 'equal') {
+      index++
+      continue
+    }
+
+    const start = Math.max(0, index - CONTEXT_LINES)
+    let end = index
+    let lastChange = index
+    while (end < ops.length && end - lastChange <= CONTEXT_LINES * 2) {
+      if (ops[end].type !== 'equal') lastChange = end
+      end++
+    }
+    end = Math.min(ops.length, lastChange + CONTEXT_LINES + 1)
+
+    let oldStart = 1
+    let newStart = 1
+    for (const op of ops.slice(0, start)) {
+      if (op.type !== 'insert') oldStart++
+      if (op.type !== 'delete') newStart++
+    }
+
+    const lines: string[] = []
+    let oldCount = 0
+    let newCount = 0
+    for (const op of ops.slice(start, end)) {
+      if (op.type === 'equal') {
+        lines.push(` ${op.line}`)
+        oldCount++
+        newCount++
+      } else if (op.type === 'delete') {
+        lines.push(`-${op.line}`)
+        oldCount++
+      } else {
+        lines.push(`+${op.line}`)
+        newCount++
+      }
+    }
+
+    hunks.push(`@@ -${range(oldStart, oldCount)} +${range(newStart, newCount)} @@\n${lines.join('\n')}`)
+    index = end
+  }
+
+  return `${header.join('\n')}\n${hunks.join('\n')}\n`
+}
@@ -9,6 +9,8 @@
  * - Preserves 'use client' directives at top of file
  * - Adds imports after directives but before other imports
  * - Never overwrites entire file contents (except for form migration which is opt-in)
+ * - With a journal, backs up every file it writes and records the Portal
+ *   records it creates, so `migrate --rollback` can undo the run
  */
 
 import fs from 'fs/promises'
@@ -17,7 +19,12 @@ import { parse } from '@babel/parser'
 import generate from '@babel/generator'
 import traverse from '@babel/traverse'
 import * as t from '@babel/types'
+import { existsSync } from 'fs'
 import type { ScanResults, DetectedForm, DetectedField } from '../scanner'
+import { getFrameworkAdapter, relativeImport } from '../frameworks'
+import type { Framework, FrameworkAdapter, GeneratedFile } from '../frameworks'
+import { addFrontmatterImport } from '../frameworks/astro'
+import type { MigrationJournal } from './journal'
 
 // ============================================
 // Safe Import Insertion Helper
@@ -168,6 +175,10 @@ export interface MigrationOptions {
   projectId: string
   apiKey: string
   dryRun?: boolean
+  /** Defaults to the framework the scan detected, then Next.js */
+  framework?: Framework
+  /** Records file changes and created Portal records for rollback */
+  journal?: MigrationJournal
 }
 
 // ============================================
@@ -179,6 +190,7 @@ export async function migrateFiles(
   options: MigrationOptions
 ): Promise<MigrationResult[]> {
   const results: MigrationResult[] = []
+  options = { ...options, framework: options.framework || scanResults.framework }
 
   // Migrate forms
   for (const form of scanResults.forms) {
@@ -346,22 +358,35 @@ async function migrateForm(
     return { filePath: form.filePath, success: true, changes, formId }
   }
 
-  // Step 2: Read the original file and create backup
+  // Step 2: Read the original file and create backup (the journal keeps one itself)
   const content = await fs.readFile(fullPath, 'utf-8')
-  const backupPath = fullPath + '.backup'
-  await fs.writeFile(backupPath, content, 'utf-8')
-  changes.push(`Created backup: ${form.filePath}.backup`)
+  const backupNote = options.journal
+    ? `Original saved to migration journal ${options.journal.id}`
+    : 'Original saved to .backup file - delete when satisfied'
+  if (!options.journal) {
+    await fs.writeFile(fullPath + '.backup', content, 'utf-8')
+    changes.push(`Created backup: ${form.filePath}.backup`)
+  }
+
+  const adapter = getFrameworkAdapter(options.framework)
+
+  // Astro markup can't hold a React component - mount one as an island
+  if (form.filePath.endsWith('.astro')) {
+    const islandChanges = await replaceAstroFormWithIsland(form, formSlug, content, adapter, options)
+    changes.push(...islandChanges, backupNote)
+    return { filePath: form.filePath, success: true, changes, formId }
+  }
   
   // Step 3: Determine if file is TypeScript
   const isTypeScript = form.filePath.endsWith('.tsx') || form.filePath.endsWith('.ts')
   
   // Step 4: Generate new code (preserves TypeScript vs JavaScript)
-  const newCode = generateMigratedFormCode(form, formSlug, isTypeScript)
+  const newCode = generateMigratedFormCode(form, formSlug, isTypeScript, adapter)
 
   // Step 5: Write the file
-  await fs.writeFile(fullPath, newCode, 'utf-8')
+  await writeSourceFile(fullPath, newCode, options)
   changes.push('Replaced component with Site-Kit managed form')
-  changes.push('Original saved to .backup file - delete when satisfied')
+  changes.push(backupNote)
 
   return {
     filePath: form.filePath,
@@ -371,12 +396,68 @@ async function migrateForm(
   }
 }
 
-function generateMigratedFormCode(form: DetectedForm, formSlug: string, isTypeScript: boolean = true): string {
+/**
+ * Replace a <form> in an .astro file with a generated React island
+ */
+async function replaceAstroFormWithIsland(
+  form: DetectedForm,
+  formSlug: string,
+  content: string,
+  adapter: FrameworkAdapter,
+  options: MigrationOptions
+): Promise<string[]> {
+  const changes: string[] = []
+  const isTypeScript = projectUsesTypeScript()
+  const islandName = `Managed${form.componentName}`
+  const islandPath = path.join('src', 'components', `${islandName}${isTypeScript ? '.tsx' : '.jsx'}`)
+
+  await writeGeneratedFile({
+    filePath: islandPath,
+    code: generateMigratedFormCode({ ...form, componentName: islandName }, formSlug, isTypeScript, adapter),
+  }, changes, options)
+
+  // Find the form the scanner reported by its start line
+  const formPattern = /<form\b[^>]*>[\s\S]*?<\/form>/gi
+  let match
+  while ((match = formPattern.exec(content)) !== null) {
+    if (content.slice(0, match.index).split('\n').length === form.startLine) break
+  }
+
+  if (!match) {
+    changes.push(`Could not locate the form - render <${islandName} client:load /> in place of it manually`)
+    return changes
+  }
+
+  let updated = content.slice(0, match.index) + `<${islandName} client:load />` + content.slice(match.index + match[0].length)
+  updated = addFrontmatterImport(updated, `import ${islandName} from '${relativeImport(form.filePath, islandPath)}'`)
+
+  await writeSourceFile(path.resolve(process.cwd(), form.filePath), updated, options)
+  changes.push(`Replaced <form> with <${islandName} client:load /> (needs the @astrojs/react integration)`)
+
+  return changes
+}
+
+function generateMigratedFormCode(
+  form: DetectedForm,
+  formSlug: string,
+  isTypeScript: boolean = true,
+  adapter: FrameworkAdapter = getFrameworkAdapter('nextjs')
+): string {
   // Generate a clean, migrated component
   const componentName = form.componentName || 'MigratedForm'
   const classNameType = isTypeScript ? '{ className?: string }' : '{ className }'
   const ext = isTypeScript ? '.tsx' : '.jsx'
 
+  // Next.js gets API config from SiteKitProvider; elsewhere submissions go
+  // through the proxy route from `api-routes`
+  const setup = adapter.clientDirective
+    ? `'use client'
+
+import { useForm } from '@uptrademedia/site-kit/forms'`
+    : `import { configureFormsApi, useForm } from '@uptrademedia/site-kit/forms'
+
+configureFormsApi({ baseUrl: '${adapter.apiBasePath}' })`
+
   return `/**
  * ${componentName}
  * 
@@ -386,9 +467,7 @@ function generateMigratedFormCode(form: DetectedForm, formSlug: string, isTypeSc
  * Original file backed up to: ${form.filePath}.backup
  */
 
-'use client'
-
-import { useForm } from '@uptrademedia/site-kit/forms'
+${setup}
 
 export function ${componentName}(${classNameType}) {
   const { 
@@ -516,6 +595,7 @@ async function createFormInUptrade(
   }
 
   const data = await response.json()
+  await options.journal?.recordCreated('form', data.id, slug)
   return data.id
 }
 
@@ -553,7 +633,7 @@ async function migrateWidget(
       break
   }
 
-  await fs.writeFile(fullPath, content, 'utf-8')
+  await writeSourceFile(fullPath, content, options)
   changes.push(`Removed ${widget.widgetType} script`)
   changes.push('Enable Engage in SiteKitProvider to add chat widget')
 
@@ -604,16 +684,14 @@ export async function migrateMetadata(
 ): Promise<MigrationResult> {
   const changes: string[] = []
   const fullPath = path.resolve(process.cwd(), filePath)
+  const adapter = getFrameworkAdapter(options.framework)
 
   // Determine page path from file path
-  let pagePath = filePath
-    .replace(/^app\//, '/')
-    .replace(/^src\/app\//, '/')
-    .replace(/\/page\.(tsx?|jsx?)$/, '')
-    .replace(/\/layout\.(tsx?|jsx?)$/, '')
-    .replace(/\[([^\]]+)\]/g, ':$1')
+  const pagePath = adapter.toRoutePath(filePath)
 
-  if (pagePath === '') pagePath = '/'
+  if (adapter.applyManagedMetadata) {
+    return migrateFrameworkMetadata(filePath, metadata, options, adapter, pagePath)
+  }
 
   let content = await fs.readFile(fullPath, 'utf-8')
 
@@ -692,7 +770,7 @@ export default function ${layoutName}({ children }${isTypeScript ? ': { children
 }
 `
 
-    await fs.writeFile(layoutPath, layoutCode, 'utf-8')
+    await writeSourceFile(layoutPath, layoutCode, options)
     changes.push(`Created layout${ext} with managed metadata and schema (client component page)`)
     return { filePath, success: true, changes }
   }
@@ -755,7 +833,7 @@ export async function generateMetadata() {
     content = insertManagedSchemaIntoJSX(content, pagePath, isTypeScript)
     changes.push('Added ManagedSchema component')
 
-    await fs.writeFile(fullPath, content, 'utf-8')
+    await writeSourceFile(fullPath, content, options)
     changes.push('Added generateMetadata function')
     return { filePath, success: true, changes }
   }
@@ -808,7 +886,54 @@ export async function generateMetadata() {
     }
   }
 
-  await fs.writeFile(fullPath, content, 'utf-8')
+  await writeSourceFile(fullPath, content, options)
+  return { filePath, success: true, changes }
+}
+
+/**
+ * Astro/Remix metadata - the page reads managed metadata through the
+ * generated runtime helper, since the SEO module needs React Server Components
+ */
+async function migrateFrameworkMetadata(
+  filePath: string,
+  metadata: { title?: string; description?: string; type: string },
+  options: MigrationOptions,
+  adapter: FrameworkAdapter,
+  pagePath: string
+): Promise<MigrationResult> {
+  const changes: string[] = []
+  const fullPath = path.resolve(process.cwd(), filePath)
+  const helper = adapter.runtimeHelper!(projectUsesTypeScript())
+
+  if (options.dryRun) {
+    changes.push(`[DRY RUN] Would create managed metadata for page: ${pagePath}`)
+    changes.push(`[DRY RUN] Would load ${adapter.label} metadata from Portal via ${helper.filePath}`)
+    return { filePath, success: true, changes }
+  }
+
+  // Create page record in Portal API
+  try {
+    await createPageMetadata(pagePath, metadata, options)
+    changes.push(`Created managed metadata for page: ${pagePath}`)
+  } catch (error: any) {
+    changes.push(`Page metadata may already exist: ${pagePath}`)
+  }
+
+  const content = await fs.readFile(fullPath, 'utf-8')
+  const result = adapter.applyManagedMetadata!(content, filePath, {
+    pagePath,
+    title: metadata.title,
+    description: metadata.description,
+    isTypeScript: filePath.endsWith('.tsx') || filePath.endsWith('.ts'),
+    helperImport: relativeImport(filePath, helper.filePath),
+  })
+
+  if (result.content !== content) {
+    await writeGeneratedFile(helper, changes, options)
+    await writeSourceFile(fullPath, result.content, options)
+  }
+  changes.push(...result.changes)
+
   return { filePath, success: true, changes }
 }
 
@@ -834,6 +959,12 @@ async function createPageMetadata(
   if (!response.ok && response.status !== 409) {
     throw new Error(`Failed to create page: ${response.statusText}`)
   }
+
+  // 409 - the page was already managed, so it isn't ours to roll back
+  if (response.status !== 409) {
+    const data = await response.json().catch(() => null)
+    await options.journal?.recordCreated('seo-page', data?.id, pagePath)
+  }
 }
 
 // ============================================
@@ -935,6 +1066,13 @@ async function createSchemaRecord(
     const errorText = await response.text()
     throw new Error(`Failed to create schema: ${response.status} ${errorText}`)
   }
+
+  // register-schema updates a schema already on the page; only a record it
+  // created is ours to delete on rollback
+  const data = await response.json().catch(() => null)
+  if (data?.created ?? response.status === 201) {
+    await options.journal?.recordCreated('schema', data?.id, `${pagePath} (${schemaType})`, apiUrl)
+  }
 }
 
 /**
@@ -954,15 +1092,17 @@ export async function migrateSchema(
 ): Promise<MigrationResult> {
   const changes: string[] = []
   const fullPath = path.resolve(process.cwd(), filePath)
+  const adapter = getFrameworkAdapter(options.framework)
 
   // Determine page path from file path
-  let pagePath = filePath
-    .replace(/^app\//, '/')
-    .replace(/^src\/app\//, '/')
-    .replace(/\/page\.(tsx?|jsx?)$/, '')
-    .replace(/\[([^\]]+)\]/g, ':$1')
+  const pagePath = adapter.toRoutePath(filePath)
 
-  if (pagePath === '') pagePath = '/'
+  // ManagedSchema is a React Server Component
+  if (adapter.framework !== 'nextjs') {
+    changes.push(`Skipped: ManagedSchema needs React Server Components, which ${adapter.label} doesn't use`)
+    changes.push(`Keep the JSON-LD for ${pagePath} in place, or manage it in the Portal SEO module`)
+    return { filePath, success: true, changes }
+  }
 
   let content = await fs.readFile(fullPath, 'utf-8')
 
@@ -1042,7 +1182,7 @@ export async function migrateSchema(
     }
   }
 
-  await fs.writeFile(fullPath, content, 'utf-8')
+  await writeSourceFile(fullPath, content, options)
   return { filePath, success: true, changes }
 }
 
@@ -1126,6 +1266,12 @@ async function createFAQRecord(
     const errorText = await response.text()
     throw new Error(`Failed to create FAQ: ${response.status} ${errorText}`)
   }
+
+  // As with schema, an FAQ that was only updated stays on rollback
+  const data = await response.json().catch(() => null)
+  if (data?.created ?? response.status === 201) {
+    await options.journal?.recordCreated('faq', data?.id, pagePath, apiUrl)
+  }
 }
 
 /**
@@ -1145,15 +1291,17 @@ export async function migrateFAQ(
 ): Promise<MigrationResult> {
   const changes: string[] = []
   const fullPath = path.resolve(process.cwd(), filePath)
+  const adapter = getFrameworkAdapter(options.framework)
 
   // Determine page path from file path
-  let pagePath = filePath
-    .replace(/^app\//, '/')
-    .replace(/^src\/app\//, '/')
-    .replace(/\/page\.(tsx?|jsx?)$/, '')
-    .replace(/\[([^\]]+)\]/g, ':$1')
+  const pagePath = adapter.toRoutePath(filePath)
 
-  if (pagePath === '') pagePath = '/'
+  // ManagedFAQ is a React Server Component
+  if (adapter.framework !== 'nextjs') {
+    changes.push(`Skipped: ManagedFAQ needs React Server Components, which ${adapter.label} doesn't use`)
+    changes.push(`Manage the FAQs for ${pagePath} in the Portal SEO module`)
+    return { filePath, success: true, changes }
+  }
 
   let content = await fs.readFile(fullPath, 'utf-8')
 
@@ -1237,7 +1385,7 @@ export async function migrateFAQ(
     changes.push(`Add ManagedFAQ to your page JSX: ${managedFAQComponent}`)
   }
 
-  await fs.writeFile(fullPath, content, 'utf-8')
+  await writeSourceFile(fullPath, content, options)
   return { filePath, success: true, changes }
 }
 
@@ -1255,6 +1403,11 @@ export async function migrateSitemap(
 ): Promise<MigrationResult> {
   const changes: string[] = []
   const fullPath = path.resolve(process.cwd(), filePath)
+  const adapter = getFrameworkAdapter(options.framework)
+
+  if (adapter.sitemapRoute) {
+    return migrateFrameworkSitemap(filePath, sitemap, options, adapter)
+  }
 
   if (options.dryRun) {
     changes.push(`[DRY RUN] Would migrate ${sitemap.type} to Site-Kit sitemap`)
@@ -1279,7 +1432,7 @@ export async function migrateSitemap(
 ` + content
     }
 
-    await fs.writeFile(fullPath, content, 'utf-8')
+    await writeSourceFile(fullPath, content, options)
     changes.push('Added Site-Kit integration comment to sitemap config')
     changes.push('Configure sitemap settings in Portal SEO module for centralized management')
   }
@@ -1293,6 +1446,48 @@ export async function migrateSitemap(
   return { filePath, success: true, changes }
 }
 
+/**
+ * Astro/Remix - serve sitemap.xml from a route that reads the Portal sitemap
+ */
+async function migrateFrameworkSitemap(
+  filePath: string,
+  sitemap: { type: string; generator?: string },
+  options: MigrationOptions,
+  adapter: FrameworkAdapter
+): Promise<MigrationResult> {
+  const changes: string[] = []
+  const isTypeScript = projectUsesTypeScript()
+  const route = adapter.sitemapRoute!(isTypeScript)
+  const helper = adapter.runtimeHelper!(isTypeScript)
+
+  // Hand-written routes stay - point them at the helper instead
+  if (sitemap.type === 'custom-sitemap') {
+    if (!options.dryRun) {
+      await writeGeneratedFile(helper, changes, options)
+    }
+    changes.push(`Custom sitemap route detected - getSitemapXml() from ${helper.filePath} returns the Portal-managed sitemap`)
+    return { filePath, success: true, changes }
+  }
+
+  if (options.dryRun) {
+    changes.push(`[DRY RUN] Would create ${route.filePath} serving the Portal-managed sitemap`)
+    return { filePath, success: true, changes }
+  }
+
+  await writeGeneratedFile(helper, changes, options)
+  if (!await writeGeneratedFile(route, changes, options)) {
+    changes.push(`${route.filePath} already exists - left unchanged`)
+  }
+
+  if (sitemap.type === 'sitemap-plugin') {
+    changes.push(`Remove ${sitemap.generator || 'the sitemap integration'} so it doesn't also generate sitemap.xml`)
+  } else if (sitemap.type === 'static-xml') {
+    changes.push(`Delete ${filePath} - it would shadow the managed sitemap route`)
+  }
+
+  return { filePath, success: true, changes }
+}
+
 // ============================================
 // Analytics Migration
 // ============================================
@@ -1417,6 +1612,39 @@ export async function migrateFile(
 // Helpers
 // ============================================
 
+function projectUsesTypeScript(): boolean {
+  return existsSync(path.resolve(process.cwd(), 'tsconfig.json'))
+}
+
+/**
+ * Write a generated file unless it already exists. Returns whether it was written.
+ */
+async function writeGeneratedFile(
+  file: GeneratedFile,
+  changes: string[],
+  options: MigrationOptions
+): Promise<boolean> {
+  const fullPath = path.resolve(process.cwd(), file.filePath)
+  if (existsSync(fullPath)) return false
+
+  await fs.mkdir(path.dirname(fullPath), { recursive: true })
+  await writeSourceFile(fullPath, file.code, options)
+  changes.push(`Created ${file.filePath}`)
+  return true
+}
+
+/**
+ * Write a project file - through the run's journal when there is one, so
+ * rollback can restore it
+ */
+async function writeSourceFile(fullPath: string, content: string, options: MigrationOptions): Promise<void> {
+  if (options.journal) {
+    await options.journal.writeFile(fullPath, content)
+  } else {
+    await fs.writeFile(fullPath, content, 'utf-8')
+  }
+}
+
 function generateSlug(name: string): string {
   return name
     .replace(/([A-Z])/g, '-$1')
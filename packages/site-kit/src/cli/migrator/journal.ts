@@ -0,0 +1,360 @@
+/**
+ * Migration Journal - what a `site-kit migrate` run changed, and how to undo it
+ *
+ * Each run gets a directory under .uptrade/migrations/<id>:
+ *   manifest.json  files the run wrote and the Portal records it created
+ *   files/         the originals of every file it modified
+ *   changes.diff   unified diff of the whole run
+ *
+ * `site-kit migrate --rollback <id>` restores the files and deletes the records.
+ */
+
+import fs from 'fs/promises'
+import path from 'path'
+import { createHash } from 'crypto'
+import type { Framework } from '../frameworks'
+import { createUnifiedDiff } from './diff'
+
+// ============================================
+// Types
+// ============================================
+
+export type PortalRecordType = 'form' | 'seo-page' | 'schema' | 'faq' | 'file'
+
+export interface JournalRecord {
+  type: PortalRecordType
+  id: string
+  /** Slug or page path, for display */
+  label: string
+  /** Base URL the record was created through, so rollback deletes it there too */
+  apiUrl?: string
+}
+
+export interface JournalFile {
+  /** Relative to the project root */
+  path: string
+  /** Copy of the original under files/, or null if the run created the file */
+  backup: string | null
+  /** sha256 of what the run wrote, to spot later edits */
+  hash: string
+}
+
+export interface MigrationManifest {
+  id: string
+  createdAt: string
+  projectId: string
+  framework?: Framework
+  status: 'applied' | 'rolled-back'
+  rolledBackAt?: string
+  files: JournalFile[]
+  records: JournalRecord[]
+}
+
+export const MIGRATIONS_DIR = path.join('.uptrade', 'migrations')
+
+const PORTAL_API_URL = 'https://api.uptrademedia.com'
+
+// Each record is deleted through the API family that created it: forms,
+// pages and uploaded images through the Portal API (Bearer), schema and FAQs
+// through the public site API (x-api-key) they were registered with
+const RECORD_ENDPOINTS: Record<PortalRecordType, { path: string; auth: 'bearer' | 'api-key' }> = {
+  'form': { path: '/forms', auth: 'bearer' },
+  'seo-page': { path: '/seo/pages', auth: 'bearer' },
+  'schema': { path: '/api/public/seo/schemas', auth: 'api-key' },
+  'faq': { path: '/api/public/seo/faq', auth: 'api-key' },
+  'file': { path: '/files', auth: 'bearer' },
+}
+
+function hashContent(content: string): string {
+  return createHash('sha256').update(content).digest('hex')
+}
+
+function toPosix(filePath: string): string {
+  return filePath.split(path.sep).join('/')
+}
+
+async function readIfExists(filePath: string): Promise<string | null> {
+  try {
+    return await fs.readFile(filePath, 'utf-8')
+  } catch (error: any) {
+    if (error.code === 'ENOENT') return null
+    throw error
+  }
+}
+
+// ============================================
+// Journal
+// ============================================
+
+export class MigrationJournal {
+  readonly id: string
+  readonly dir: string
+  private readonly rootDir: string
+  private readonly manifest: MigrationManifest
+  /** Original content by relative path, null for created files */
+  private readonly originals = new Map<string, string | null>()
+
+  private constructor(rootDir: string, manifest: MigrationManifest) {
+    this.rootDir = rootDir
+    this.manifest = manifest
+    this.id = manifest.id
+    this.dir = path.join(rootDir, MIGRATIONS_DIR, manifest.id)
+  }
+
+  /**
+   * Start a journal for a migration run. The id is the start time, so
+   * journals sort in the order they ran.
+   */
+  static async create(
+    rootDir: string,
+    details: { projectId: string; framework?: Framework }
+  ): Promise<MigrationJournal> {
+    const createdAt = new Date().toISOString()
+    const journal = new MigrationJournal(rootDir, {
+      id: createdAt.replace(/[:.]/g, '-'),
+      createdAt,
+      projectId: details.projectId,
+      framework: details.framework,
+      status: 'applied',
+      files: [],
+      records: [],
+    })
+
+    await fs.mkdir(path.join(journal.dir, 'files'), { recursive: true })
+    await journal.save()
+    return journal
+  }
+
+  /**
+   * Write a project file, backing up the original the first time the run
+   * touches it
+   */
+  async writeFile(filePath: string, content: string): Promise<void> {
+    const fullPath = path.resolve(this.rootDir, filePath)
+    const relativePath = toPosix(path.relative(this.rootDir, fullPath))
+
+    let entry = this.manifest.files.find(file => file.path === relativePath)
+    if (!entry) {
+      const original = await readIfExists(fullPath)
+      let backup: string | null = null
+
+      if (original !== null) {
+        backup = `files/${relativePath}`
+        await fs.mkdir(path.dirname(path.join(this.dir, backup)), { recursive: true })
+        await fs.writeFile(path.join(this.dir, backup), original, 'utf-8')
+      }
+
+      this.originals.set(relativePath, original)
+      entry = { path: relativePath, backup, hash: '' }
+      this.manifest.files.push(entry)
+    }
+
+    await fs.mkdir(path.dirname(fullPath), { recursive: true })
+    await fs.writeFile(fullPath, content, 'utf-8')
+    entry.hash = hashContent(content)
+    await this.save()
+  }
+
+  /**
+   * Remember a Portal record the run created so rollback can delete it
+   */
+  async recordCreated(
+    type: PortalRecordType,
+    id: string | undefined,
+    label: string,
+    apiUrl?: string
+  ): Promise<void> {
+    if (!id) return
+    this.manifest.records.push(apiUrl ? { type, id, label, apiUrl } : { type, id, label })
+    await this.save()
+  }
+
+  get isEmpty(): boolean {
+    return this.manifest.files.length === 0 && this.manifest.records.length === 0
+  }
+
+  /**
+   * Write the run's diff. Journals for runs that changed nothing are removed.
+   */
+  async finish(): Promise<MigrationManifest | null> {
+    if (this.isEmpty) {
+      await fs.rm(this.dir, { recursive: true, force: true })
+      return null
+    }
+
+    const diffs: string[] = []
+    for (const file of this.manifest.files) {
+      const current = await readIfExists(path.join(this.rootDir, file.path))
+      diffs.push(createUnifiedDiff(file.path, this.originals.get(file.path) ?? null, current ?? ''))
+    }
+    await fs.writeFile(path.join(this.dir, 'changes.diff'), diffs.filter(Boolean).join(''), 'utf-8')
+
+    return this.manifest
+  }
+
+  private async save(): Promise<void> {
+    await fs.writeFile(path.join(this.dir, 'manifest.json'), JSON.stringify(this.manifest, null, 2), 'utf-8')
+  }
+}
+
+// ============================================
+// Reading Journals
+// ============================================
+
+/**
+ * All journals in the project, oldest first
+ */
+export async function listMigrations(rootDir: string): Promise<MigrationManifest[]> {
+  const migrationsDir = path.join(rootDir, MIGRATIONS_DIR)
+  const entries = await fs.readdir(migrationsDir).catch(() => [] as string[])
+  const manifests: MigrationManifest[] = []
+
+  for (const entry of entries.sort()) {
+    const manifest = await readIfExists(path.join(migrationsDir, entry, 'manifest.json'))
+    if (manifest) manifests.push(JSON.parse(manifest))
+  }
+
+  return manifests
+}
+
+/**
+ * Load a journal by id. `latest` is the most recent run that hasn't been
+ * rolled back.
+ */
+export async function loadMigration(rootDir: string, id: string): Promise<MigrationManifest> {
+  if (id === 'latest') {
+    const applied = (await listMigrations(rootDir)).filter(m => m.status === 'applied')
+    if (applied.length === 0) throw new Error('No migrations to roll back')
+    return applied[applied.length - 1]
+  }
+
+  const manifest = await readIfExists(path.join(rootDir, MIGRATIONS_DIR, id, 'manifest.json'))
+  if (!manifest) {
+    throw new Error(`Migration "${id}" not found in ${toPosix(MIGRATIONS_DIR)}`)
+  }
+  return JSON.parse(manifest)
+}
+
+// ============================================
+// Rollback
+// ============================================
+
+export interface RollbackOptions {
+  apiKey: string
+  dryRun?: boolean
+  /** Restore files even if they were edited after the migration */
+  force?: boolean
+}
+
+export interface RollbackResult {
+  id: string
+  restored: string[]
+  removed: string[]
+  skipped: Array<{ path: string; reason: string }>
+  deletedRecords: JournalRecord[]
+  failedRecords: Array<{ record: JournalRecord; error: string }>
+}
+
+async function deletePortalRecord(record: JournalRecord, apiKey: string): Promise<void> {
+  const endpoint = RECORD_ENDPOINTS[record.type]
+  const apiUrl = record.apiUrl || PORTAL_API_URL
+  const response = await fetch(`${apiUrl}${endpoint.path}/${encodeURIComponent(record.id)}`, {
+    method: 'DELETE',
+    headers: endpoint.auth === 'api-key'
+      ? { 'x-api-key': apiKey }
+      : { 'Authorization': `Bearer ${apiKey}` },
+  })
+
+  // Already gone is as good as deleted
+  if (!response.ok && response.status !== 404) {
+    throw new Error(`${response.status} ${response.statusText}`)
+  }
+}
+
+/**
+ * Undo a migration run: put back the original files, delete the files it
+ * created and the Portal records it made.
+ *
+ * Files edited since the migration are left alone unless `force` is set.
+ * Whatever is restored or deleted drops out of the manifest, so a partial
+ * rollback can be re-run for the rest.
+ */
+export async function rollbackMigration(
+  rootDir: string,
+  id: string,
+  options: RollbackOptions
+): Promise<RollbackResult> {
+  const manifest = await loadMigration(rootDir, id)
+  const journalDir = path.join(rootDir, MIGRATIONS_DIR, manifest.id)
+
+  if (manifest.status === 'rolled-back') {
+    throw new Error(`Migration ${manifest.id} was already rolled back`)
+  }
+
+  const result: RollbackResult = {
+    id: manifest.id,
+    restored: [],
+    removed: [],
+    skipped: [],
+    deletedRecords: [],
+    failedRecords: [],
+  }
+  const remainingFiles: JournalFile[] = []
+  const remainingRecords: JournalRecord[] = []
+
+  for (const file of [...manifest.files].reverse()) {
+    const fullPath = path.join(rootDir, file.path)
+    const current = await readIfExists(fullPath)
+
+    if (current !== null && hashContent(current) !== file.hash && !options.force) {
+      result.skipped.push({
+        path: file.path,
+        reason: file.backup
+          ? `edited since the migration - original is in ${toPosix(path.join(MIGRATIONS_DIR, manifest.id, file.backup))}`
+          : 'edited since the migration',
+      })
+      remainingFiles.unshift(file)
+      continue
+    }
+
+    if (file.backup) {
+      if (!options.dryRun) {
+        await fs.mkdir(path.dirname(fullPath), { recursive: true })
+        await fs.copyFile(path.join(journalDir, file.backup), fullPath)
+      }
+      result.restored.push(file.path)
+    } else {
+      if (!options.dryRun) {
+        await fs.rm(fullPath, { force: true })
+      }
+      result.removed.push(file.path)
+    }
+  }
+
+  for (const record of [...manifest.records].reverse()) {
+    if (options.dryRun) {
+      result.deletedRecords.push(record)
+      continue
+    }
+
+    try {
+      await deletePortalRecord(record, options.apiKey)
+      result.deletedRecords.push(record)
+    } catch (error: any) {
+      result.failedRecords.push({ record, error: error.message })
+      remainingRecords.unshift(record)
+    }
+  }
+
+  if (!options.dryRun) {
+    manifest.files = remainingFiles
+    manifest.records = remainingRecords
+    if (remainingFiles.length === 0 && remainingRecords.length === 0) {
+      manifest.status = 'rolled-back'
+      manifest.rolledBackAt = new Date().toISOString()
+    }
+    await fs.writeFile(path.join(journalDir, 'manifest.json'), JSON.stringify(manifest, null, 2), 'utf-8')
+  }
+
+  return result
+}
@@ -0,0 +1,61 @@
+/**
+ * CLI Output - machine-readable results for --json
+ *
+ * With --json, stdout carries exactly one JSON document. The usual chalk
+ * output moves to stderr (ora spinners already write there), so CI logs
+ * still show it. Commands with structured results call printJson();
+ * for every other command the captured log is reported on exit.
+ */
+
+import { writeSync } from 'fs'
+import { format, stripVTControlCharacters } from 'util'
+
+interface JsonOutputState {
+  command: string
+  printed: boolean
+  log: string[]
+}
+
+let state: JsonOutputState | null = null
+
+function writeJson(data: Record<string, unknown>) {
+  // Sync so the document is complete even when the command calls process.exit()
+  writeSync(1, `${JSON.stringify(data, null, 2)}\n`)
+}
+
+/**
+ * Switch the process to JSON output for a command
+ */
+export function enableJsonOutput(command: string): void {
+  if (state) return
+  const current: JsonOutputState = { command, printed: false, log: [] }
+  state = current
+
+  const toStderr = (...args: unknown[]) => {
+    const line = format(...args)
+    const plain = stripVTControlCharacters(line).trim()
+    if (plain) current.log.push(plain)
+    process.stderr.write(`${line}\n`)
+  }
+  console.log = toStderr
+  console.info = toStderr
+
+  process.on('exit', code => {
+    if (current.printed) return
+    writeJson({ command, ok: code === 0, exitCode: code, log: current.log })
+  })
+}
+
+export function isJsonOutput(): boolean {
+  return state !== null
+}
+
+/**
+ * Print a command's result as its JSON document. `ok: false` marks a
+ * failed run without changing the exit code.
+ */
+export function printJson(data: Record<string, unknown>, ok = true): void {
+  if (!state || state.printed) return
+  state.printed = true
+  writeJson({ command: state.command, ok, ...data })
+}
@@ -1,5 +1,9 @@
 /**
- * Codebase Scanner - Finds forms, metadata, and widgets in Next.js projects
+ * Codebase Scanner - Finds forms, metadata, and widgets in Next.js, Astro
+ * and Remix projects
+ *
+ * JS/TS files are parsed with Babel. Astro and Markdown files aren't JSX, so
+ * they go through the lighter regex-based markup scanners instead.
  */
 
 import fs from 'fs/promises'
@@ -7,12 +11,16 @@ import path from 'path'
 import { parse } from '@babel/parser'
 import traverse from '@babel/traverse'
 import * as t from '@babel/types'
+import { detectFramework, getFrameworkAdapter } from '../frameworks'
+import type { Framework, FrameworkAdapter } from '../frameworks'
+import { readMarkupAttribute } from '../frameworks/astro'
 
 // ============================================
 // Types
 // ============================================
 
 export interface ScanResults {
+  framework: Framework
   forms: DetectedForm[]
   metadata: DetectedMetadata[]
   widgets: DetectedWidget[]
@@ -28,7 +36,7 @@ export interface DetectedForm {
   componentName: string
   fields: DetectedField[]
   hasValidation: boolean
-  formLibrary: 'native' | 'react-hook-form' | 'formik' | 'unknown'
+  formLibrary: 'native' | 'react-hook-form' | 'formik' | 'remix' | 'unknown'
   submitsTo: string | null
   complexity: 'simple' | 'moderate' | 'complex'
   suggestedAction: 'auto-migrate' | 'assisted' | 'manual'
@@ -48,7 +56,7 @@ export interface DetectedField {
 
 export interface DetectedMetadata {
   filePath: string
-  type: 'next-metadata' | 'head' | 'next-seo' | 'no-metadata' | 'other'
+  type: 'next-metadata' | 'head' | 'next-seo' | 'remix-meta' | 'layout-props' | 'frontmatter' | 'no-metadata' | 'other'
   title?: string
   description?: string
   isClientComponent?: boolean
@@ -102,9 +110,11 @@ export interface DetectedAnalytics {
 
 export interface DetectedImage {
   filePath: string
-  type: 'next-image' | 'img' | 'background-image'
+  type: 'next-image' | 'astro-image' | 'img' | 'background-image'
   src?: string
   alt?: string
+  /** Whether the tag has an alt at all - dynamic or empty (decorative) alts count */
+  hasAlt?: boolean
   isLocal: boolean
   startLine: number
   endLine: number
@@ -114,8 +124,17 @@ export interface DetectedImage {
 // Main Scanner
 // ============================================
 
-export async function scanCodebase(rootDir: string): Promise<ScanResults> {
+export interface ScanOptions {
+  /** Skip detection and scan as this framework */
+  framework?: Framework
+}
+
+export async function scanCodebase(rootDir: string, options: ScanOptions = {}): Promise<ScanResults> {
+  const framework = options.framework || await detectFramework(rootDir)
+  const adapter = getFrameworkAdapter(framework)
+
   const results: ScanResults = {
+    framework,
     forms: [],
     metadata: [],
     widgets: [],
@@ -126,14 +145,19 @@ export async function scanCodebase(rootDir: string): Promise<ScanResults> {
     images: [],
   }
 
-  // Find all TSX/JSX files
-  const files = await findSourceFiles(rootDir)
+  // Find all source files the framework uses
+  const files = await findSourceFiles(rootDir, adapter)
 
   for (const file of files) {
     try {
       const content = await fs.readFile(file, 'utf-8')
       const relPath = path.relative(rootDir, file)
 
+      if (isMarkupFile(relPath)) {
+        scanMarkupFile(content, relPath, adapter, results)
+        continue
+      }
+
       // Parse the file
       const ast = parse(content, {
         sourceType: 'module',
@@ -145,8 +169,13 @@ export async function scanCodebase(rootDir: string): Promise<ScanResults> {
       results.forms.push(...forms)
 
       // Scan for metadata
-      const metadata = scanForMetadata(ast, content, relPath)
-      results.metadata.push(...metadata)
+      if (adapter.detectMetadata) {
+        const metadata = adapter.detectMetadata(content, relPath)
+        if (metadata) results.metadata.push(metadata)
+      } else {
+        const metadata = scanForMetadata(ast, content, relPath)
+        results.metadata.push(...metadata)
+      }
 
       // Scan for widgets
       const widgets = scanForWidgets(ast, content, relPath)
@@ -169,7 +198,7 @@ export async function scanCodebase(rootDir: string): Promise<ScanResults> {
       results.analytics.push(...analytics)
 
       // Scan for images
-      const images = scanForImages(ast, content, relPath)
+      const images = scanForImages(ast, content, relPath, framework)
       results.images.push(...images)
 
     } catch (error) {
@@ -181,6 +210,14 @@ export async function scanCodebase(rootDir: string): Promise<ScanResults> {
   // Also scan for sitemap config files and static sitemaps
   const sitemapFiles = await scanForSitemapFiles(rootDir)
   results.sitemaps.push(...sitemapFiles)
+  if (adapter.detectSitemapConfig) {
+    results.sitemaps.push(...await adapter.detectSitemapConfig(rootDir))
+  }
+
+  // Layout handling below follows App Router conventions
+  if (framework !== 'nextjs') {
+    return results
+  }
 
   // Post-process metadata: filter out pages that have a layout with metadata in the same directory
   const layoutsWithMetadata = new Set<string>()
@@ -211,20 +248,24 @@ export async function scanCodebase(rootDir: string): Promise<ScanResults> {
 // File Discovery
 // ============================================
 
-async function findSourceFiles(dir: string, files: string[] = []): Promise<string[]> {
+async function findSourceFiles(
+  dir: string,
+  adapter: FrameworkAdapter = getFrameworkAdapter('nextjs'),
+  files: string[] = []
+): Promise<string[]> {
   const entries = await fs.readdir(dir, { withFileTypes: true })
 
   for (const entry of entries) {
     const fullPath = path.join(dir, entry.name)
 
-    // Skip node_modules, .next, etc
+    // Skip node_modules, build output, etc
     if (entry.isDirectory()) {
-      if (['node_modules', '.next', '.git', 'dist', 'build'].includes(entry.name)) {
+      if (adapter.ignoredDirs.includes(entry.name)) {
         continue
       }
-      await findSourceFiles(fullPath, files)
+      await findSourceFiles(fullPath, adapter, files)
     } else if (entry.isFile()) {
-      if (/\.(tsx?|jsx?)$/.test(entry.name) && !entry.name.includes('.d.ts')) {
+      if (adapter.sourceFilePattern.test(entry.name) && !entry.name.includes('.d.ts')) {
         files.push(fullPath)
       }
     }
@@ -259,19 +300,7 @@ function scanForForms(ast: any, content: string, filePath: string): DetectedForm
           const endLine = path.node.loc?.end.line || 0
 
           // Try to find component name
-          let componentName = 'UnknownForm'
-          let current = path.parentPath
-          while (current) {
-            if (t.isFunctionDeclaration(current.node) && current.node.id) {
-              componentName = current.node.id.name
-              break
-            }
-            if (t.isVariableDeclarator(current.node) && t.isIdentifier(current.node.id)) {
-              componentName = current.node.id.name
-              break
-            }
-            current = current.parentPath
-          }
+          const componentName = findEnclosingComponentName(path)
 
           // Determine complexity
           let complexity: 'simple' | 'moderate' | 'complex' = 'simple'
@@ -314,6 +343,32 @@ function scanForForms(ast: any, content: string, filePath: string): DetectedForm
               endLine: path.node.loc?.end.line || 0,
             })
           }
+        } else if (/['"](@remix-run\/react|react-router)['"]/.test(content)) {
+          // Remix <Form> posts to the route's action
+          const fields = extractFieldsFromForm(path)
+          if (fields.length > 0) {
+            const actionAttr = opening.attributes.find(
+              attr => t.isJSXAttribute(attr) && t.isJSXIdentifier(attr.name) && attr.name.name === 'action'
+            )
+            const action = actionAttr && t.isJSXAttribute(actionAttr) && t.isStringLiteral(actionAttr.value)
+              ? actionAttr.value.value
+              : null
+            // Route modules also hold the loader/action - replacing them would lose both
+            const isRouteModule = /export\s+(async\s+)?function\s+(action|loader)\b/.test(content)
+
+            forms.push({
+              filePath,
+              componentName: findEnclosingComponentName(path),
+              fields,
+              hasValidation: content.includes('required') || content.includes('useActionData'),
+              formLibrary: 'remix',
+              submitsTo: action,
+              complexity: fields.length > 5 ? 'moderate' : 'simple',
+              suggestedAction: isRouteModule ? 'manual' : fields.length > 5 ? 'assisted' : 'auto-migrate',
+              startLine: path.node.loc?.start.line || 0,
+              endLine: path.node.loc?.end.line || 0,
+            })
+          }
         }
       }
     }
@@ -328,6 +383,20 @@ function scanForForms(ast: any, content: string, filePath: string): DetectedForm
   return forms
 }
 
+function findEnclosingComponentName(formPath: any): string {
+  let current = formPath.parentPath
+  while (current) {
+    if (t.isFunctionDeclaration(current.node) && current.node.id) {
+      return current.node.id.name
+    }
+    if (t.isVariableDeclarator(current.node) && t.isIdentifier(current.node.id)) {
+      return current.node.id.name
+    }
+    current = current.parentPath
+  }
+  return 'UnknownForm'
+}
+
 function extractFieldsFromForm(formPath: any): DetectedField[] {
   const fields: DetectedField[] = []
   // Track radio/checkbox groups to consolidate them
@@ -563,7 +632,7 @@ function extractReactHookFormFields(content: string, filePath: string): Detected
   return forms
 }
 
-function detectFormLibrary(content: string): 'native' | 'react-hook-form' | 'formik' | 'unknown' {
+function detectFormLibrary(content: string): DetectedForm['formLibrary'] {
   if (content.includes('react-hook-form') || content.includes('useForm')) {
     return 'react-hook-form'
   }
@@ -682,19 +751,19 @@ function scanForMetadata(ast: any, content: string, filePath: string): DetectedM
 // Widget Scanner
 // ============================================
 
+// Known chat widget scripts
+const WIDGET_PATTERNS: Array<{ pattern: RegExp; type: DetectedWidget['widgetType'] }> = [
+  { pattern: /intercom|Intercom/i, type: 'intercom' },
+  { pattern: /crisp\.chat|$crisp/i, type: 'crisp' },
+  { pattern: /drift\.com|driftt/i, type: 'drift' },
+  { pattern: /hubspot\.com|hs-scripts/i, type: 'hubspot' },
+  { pattern: /zopim|zendesk/i, type: 'zendesk' },
+]
+
 function scanForWidgets(ast: any, content: string, filePath: string): DetectedWidget[] {
   const widgets: DetectedWidget[] = []
 
-  // Check for known chat widget scripts
-  const widgetPatterns: Array<{ pattern: RegExp; type: DetectedWidget['widgetType'] }> = [
-    { pattern: /intercom|Intercom/i, type: 'intercom' },
-    { pattern: /crisp\.chat|$crisp/i, type: 'crisp' },
-    { pattern: /drift\.com|driftt/i, type: 'drift' },
-    { pattern: /hubspot\.com|hs-scripts/i, type: 'hubspot' },
-    { pattern: /zopim|zendesk/i, type: 'zendesk' },
-  ]
-
-  for (const { pattern, type } of widgetPatterns) {
+  for (const { pattern, type } of WIDGET_PATTERNS) {
     if (pattern.test(content)) {
       // Try to find the script tag
       traverse(ast, {
@@ -764,14 +833,17 @@ function scanForSitemaps(content: string, filePath: string): DetectedSitemap[] {
     })
   }
 
-  // Check for custom sitemap exports (app/sitemap.ts pattern)
+  // Check for custom sitemap exports (app/sitemap.ts, Astro sitemap.xml.ts,
+  // Remix sitemap[.]xml.ts)
   if (
-    (filePath.endsWith('sitemap.ts') || filePath.endsWith('sitemap.js')) &&
-    !content.includes('@uptrade/site-kit')
+    /sitemap(\.xml|\[\.\]xml)?\.(ts|js)$/.test(filePath) &&
+    !content.includes('@uptrade/site-kit') &&
+    !content.includes('getSitemapXml')
   ) {
     const isNextPattern = content.includes('MetadataRoute.Sitemap') || 
                           content.includes('export default') ||
-                          content.includes('export async function')
+                          content.includes('export async function') ||
+                          content.includes('export const GET')
     
     if (isNextPattern) {
       sitemaps.push({
@@ -797,6 +869,15 @@ function scanForSitemaps(content: string, filePath: string): DetectedSitemap[] {
       startLine: findLineNumber(content, 'createSitemap'),
       endLine: findLineNumber(content, 'createSitemap') + 10,
     })
+  } else if (/\bgetSitemapXml\(/.test(content) && !content.includes('function getSitemapXml')) {
+    // Route generated by `migrate` for Astro/Remix
+    sitemaps.push({
+      filePath,
+      type: 'custom-sitemap',
+      generator: 'site-kit',
+      startLine: findLineNumber(content, 'getSitemapXml'),
+      endLine: findLineNumber(content, 'getSitemapXml'),
+    })
   }
 
   return sitemaps
@@ -945,18 +1026,9 @@ function scanForSchemas(ast: any, content: string, filePath: string): DetectedSc
               schemaType = typeMatch[1]
             }
 
-            // Map to our schema types
-            let detectedType: DetectedSchema['type'] = 'json-ld'
-            if (schemaType === 'FAQPage') detectedType = 'faq-schema'
-            else if (schemaType === 'Organization') detectedType = 'organization'
-            else if (schemaType === 'LocalBusiness' || schemaType.includes('Business')) detectedType = 'local-business'
-            else if (schemaType === 'Service' || schemaType.includes('Service')) detectedType = 'service'
-            else if (schemaType === 'Product') detectedType = 'product'
-            else if (schemaType === 'Article' || schemaType === 'BlogPosting') detectedType = 'article'
-
             schemas.push({
               filePath,
-              type: detectedType,
+              type: toDetectedSchemaType(schemaType),
               schemaType,
               startLine: path.node.loc?.start.line || 0,
               endLine: path.node.loc?.end.line || 0,
@@ -985,6 +1057,19 @@ function scanForSchemas(ast: any, content: string, filePath: string): DetectedSc
   return schemas
 }
 
+/**
+ * Map a schema.org @type to our schema types
+ */
+function toDetectedSchemaType(schemaType: string): DetectedSchema['type'] {
+  if (schemaType === 'FAQPage') return 'faq-schema'
+  if (schemaType === 'Organization') return 'organization'
+  if (schemaType === 'LocalBusiness' || schemaType.includes('Business')) return 'local-business'
+  if (schemaType === 'Service' || schemaType.includes('Service')) return 'service'
+  if (schemaType === 'Product') return 'product'
+  if (schemaType === 'Article' || schemaType === 'BlogPosting') return 'article'
+  return 'json-ld'
+}
+
 // ============================================
 // FAQ Scanner
 // ============================================
@@ -1210,7 +1295,7 @@ function scanForAnalytics(ast: any, content: string, filePath: string): Detected
 /**
  * Scan for images that could be Portal-managed
  */
-function scanForImages(ast: any, content: string, filePath: string): DetectedImage[] {
+function scanForImages(ast: any, content: string, filePath: string, framework: Framework = 'nextjs'): DetectedImage[] {
   const images: DetectedImage[] = []
 
   // Skip if file is in public or assets folder (static assets)
@@ -1218,6 +1303,11 @@ function scanForImages(ast: any, content: string, filePath: string): DetectedIma
     return images
   }
 
+  // <Image> is only a known component under Next.js or from astro:assets
+  const imageComponent: DetectedImage['type'] | null = framework === 'nextjs'
+    ? 'next-image'
+    : content.includes('astro:assets') ? 'astro-image' : null
+
   traverse(ast, {
     JSXElement(path) {
       const opening = path.node.openingElement
@@ -1226,9 +1316,10 @@ function scanForImages(ast: any, content: string, filePath: string): DetectedIma
       const tagName = opening.name.name
 
       // Check for img or Image (Next.js) tags
-      if (tagName === 'img' || tagName === 'Image') {
+      if (tagName === 'img' || (tagName === 'Image' && imageComponent)) {
         let src = ''
         let alt = ''
+        let hasAlt = false
 
         for (const attr of opening.attributes) {
           if (!t.isJSXAttribute(attr) || !t.isJSXIdentifier(attr.name)) continue
@@ -1243,7 +1334,10 @@ function scanForImages(ast: any, content: string, filePath: string): DetectedIma
           }
 
           if (attrName === 'src') src = attrValue
-          if (attrName === 'alt') alt = attrValue
+          if (attrName === 'alt') {
+            alt = attrValue
+            hasAlt = true
+          }
         }
 
         // Skip already-managed images
@@ -1256,9 +1350,10 @@ function scanForImages(ast: any, content: string, filePath: string): DetectedIma
 
         images.push({
           filePath,
-          type: tagName === 'Image' ? 'next-image' : 'img',
+          type: tagName === 'Image' ? imageComponent! : 'img',
           src: src || undefined,
           alt: alt || undefined,
+          hasAlt,
           isLocal,
           startLine: path.node.loc?.start.line || 0,
           endLine: path.node.loc?.end.line || 0,
@@ -1267,7 +1362,16 @@ function scanForImages(ast: any, content: string, filePath: string): DetectedIma
     }
   })
 
-  // Also check for CSS background-image in style attributes or styled-components
+  images.push(...scanForBackgroundImages(content, filePath))
+
+  return images
+}
+
+/**
+ * CSS background-image in style attributes or styled-components
+ */
+function scanForBackgroundImages(content: string, filePath: string): DetectedImage[] {
+  const images: DetectedImage[] = []
   const bgImagePattern = /background(?:-image)?:\s*url\(['"]?([^'")]+)['"]?\)/g
   let match
   while ((match = bgImagePattern.exec(content)) !== null) {
@@ -1287,6 +1391,280 @@ function scanForImages(ast: any, content: string, filePath: string): DetectedIma
   return images
 }
 
+// ============================================
+// Markup Scanner (Astro / Markdown)
+// ============================================
+
+function isMarkupFile(filePath: string): boolean {
+  return /\.(astro|mdx?)$/.test(filePath)
+}
+
+/**
+ * Scan an .astro, .md or .mdx file. These aren't valid JSX, so forms,
+ * images, schema and widgets are found with regexes over the markup.
+ */
+function scanMarkupFile(content: string, filePath: string, adapter: FrameworkAdapter, results: ScanResults): void {
+  results.forms.push(...scanMarkupForForms(content, filePath))
+
+  const metadata = adapter.detectMetadata?.(content, filePath)
+  if (metadata) results.metadata.push(metadata)
+
+  results.widgets.push(...scanMarkupForWidgets(content, filePath))
+  results.sitemaps.push(...scanForSitemaps(content, filePath))
+  results.schemas.push(...scanMarkupForSchemas(content, filePath))
+  results.faqs.push(...scanMarkupForFAQs(content, filePath))
+  results.analytics.push(...scanForAnalytics(null, content, filePath))
+  results.images.push(...scanMarkupForImages(content, filePath))
+}
+
+function lineAt(content: string, index: number): number {
+  return content.slice(0, index).split('\n').length
+}
+
+/**
+ * String attribute value - expressions ({...}) don't count
+ */
+function markupAttribute(attrs: string, name: string): string | undefined {
+  const value = readMarkupAttribute(attrs, name)
+  return value === undefined || value.startsWith('{') ? undefined : value
+}
+
+/**
+ * Component name for a form found in a page or .astro component:
+ * contact.astro -> ContactForm, about/index.astro -> AboutForm
+ */
+function markupComponentName(filePath: string): string {
+  let base = path.basename(filePath).replace(/\.(astro|mdx?)$/, '')
+  if (base === 'index') {
+    const dir = path.basename(path.dirname(filePath))
+    base = dir === 'pages' ? 'home' : dir
+  }
+
+  const name = base
+    .split(/[^a-zA-Z0-9]+/)
+    .filter(Boolean)
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join('') || 'Markup'
+
+  return /Form$/.test(name) ? name : `${name}Form`
+}
+
+function scanMarkupForForms(content: string, filePath: string): DetectedForm[] {
+  const forms: DetectedForm[] = []
+  const formPattern = /<form\b([^>]*)>([\s\S]*?)<\/form>/gi
+  let match
+
+  while ((match = formPattern.exec(content)) !== null) {
+    const fields = extractMarkupFields(match[2])
+    if (fields.length === 0) continue
+
+    let complexity: DetectedForm['complexity'] = 'simple'
+    if (fields.length > 5) complexity = 'moderate'
+    if (fields.length > 10) complexity = 'complex'
+
+    forms.push({
+      filePath,
+      componentName: markupComponentName(filePath),
+      fields,
+      hasValidation: /\s(required|pattern)\b/.test(match[2]),
+      formLibrary: 'native',
+      submitsTo: markupAttribute(match[1], 'action') || null,
+      complexity,
+      suggestedAction: complexity === 'complex' ? 'manual' : complexity === 'moderate' ? 'assisted' : 'auto-migrate',
+      startLine: lineAt(content, match.index),
+      endLine: lineAt(content, match.index + match[0].length),
+    })
+  }
+
+  return forms
+}
+
+function extractMarkupFields(markup: string): DetectedField[] {
+  const fields: DetectedField[] = []
+  const groups = new Map<string, DetectedField>()
+  const fieldPattern = /<(input|textarea)\b([^>]*)>|<select\b([^>]*)>([\s\S]*?)<\/select>/gi
+  let match
+
+  while ((match = fieldPattern.exec(markup)) !== null) {
+    const tagName = match[1]?.toLowerCase() || 'select'
+    const attrs = match[2] ?? match[3]
+    const name = markupAttribute(attrs, 'name')
+    if (!name) continue
+
+    const type = tagName === 'input' ? markupAttribute(attrs, 'type') || 'text' : tagName
+    if (['hidden', 'submit', 'button', 'reset'].includes(type)) continue
+
+    const required = /(^|\s)required(\s|=|$)/.test(attrs)
+    const value = markupAttribute(attrs, 'value')
+
+    // Radio buttons and checkboxes sharing a name become one field
+    if ((type === 'radio' || type === 'checkbox') && value) {
+      let group = groups.get(name)
+      if (!group) {
+        group = { name, type, required, options: [] }
+        groups.set(name, group)
+        fields.push(group)
+      }
+      group.required = group.required || required
+      group.options!.push({ label: value, value })
+      continue
+    }
+
+    if (tagName === 'select') {
+      const options = [...match[4].matchAll(/<option\b([^>]*)>([^<]*)<\/option>/gi)]
+        .map(([, optionAttrs, text]) => {
+          const label = text.trim()
+          const optionValue = markupAttribute(optionAttrs, 'value') ?? label.toLowerCase().replace(/\s+/g, '_')
+          return { label: label || optionValue, value: optionValue }
+        })
+        .filter(option => option.value)
+
+      fields.push({
+        name,
+        type: 'select',
+        placeholder: markupAttribute(attrs, 'placeholder'),
+        required,
+        options: options.length > 0 ? options : undefined,
+      })
+      continue
+    }
+
+    fields.push({
+      name,
+      type,
+      placeholder: markupAttribute(attrs, 'placeholder'),
+      required,
+    })
+  }
+
+  // A lone checkbox is a boolean, not a group
+  for (const group of groups.values()) {
+    if (group.type === 'checkbox' && group.options!.length === 1) {
+      delete group.options
+    }
+  }
+
+  return fields
+}
+
+function scanMarkupForWidgets(content: string, filePath: string): DetectedWidget[] {
+  const widgets: DetectedWidget[] = []
+
+  for (const { pattern, type } of WIDGET_PATTERNS) {
+    if (!pattern.test(content)) continue
+
+    const scriptPattern = /<script\b([^>]*)>/gi
+    let match
+    while ((match = scriptPattern.exec(content)) !== null) {
+      const src = markupAttribute(match[1], 'src')
+      if (src && pattern.test(src)) {
+        widgets.push({
+          filePath,
+          widgetType: type,
+          scriptTag: src,
+          startLine: lineAt(content, match.index),
+          endLine: lineAt(content, match.index),
+        })
+      }
+    }
+
+    if (!widgets.find(w => w.widgetType === type)) {
+      widgets.push({ filePath, widgetType: type, startLine: 0, endLine: 0 })
+    }
+  }
+
+  return widgets
+}
+
+function scanMarkupForSchemas(content: string, filePath: string): DetectedSchema[] {
+  const schemas: DetectedSchema[] = []
+  const scriptPattern = /<script\b[^>]*type=["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi
+  let match
+
+  while ((match = scriptPattern.exec(content)) !== null) {
+    const schemaType = match[0].match(/"@type"\s*:\s*"([^"]+)"/)?.[1]
+      || content.match(/@type["']?\s*:\s*["']([^"']+)["']/)?.[1]
+      || 'Unknown'
+
+    schemas.push({
+      filePath,
+      type: toDetectedSchemaType(schemaType),
+      schemaType,
+      startLine: lineAt(content, match.index),
+      endLine: lineAt(content, match.index + match[0].length),
+    })
+  }
+
+  return schemas
+}
+
+function scanMarkupForFAQs(content: string, filePath: string): DetectedFAQ[] {
+  const faqs: DetectedFAQ[] = []
+  const hasSchema = content.includes('FAQPage') || content.includes('application/ld+json')
+  const detailsPattern = /<details\b[^>]*>[\s\S]*?<\/details>/gi
+  let match
+
+  while ((match = detailsPattern.exec(content)) !== null) {
+    faqs.push({
+      filePath,
+      type: 'details-summary',
+      startLine: lineAt(content, match.index),
+      endLine: lineAt(content, match.index + match[0].length),
+      hasSchema,
+    })
+  }
+
+  return faqs
+}
+
+function scanMarkupForImages(content: string, filePath: string): DetectedImage[] {
+  const images: DetectedImage[] = []
+  const tagPattern = content.includes('astro:assets') ? /<(img|Image)\b([^>]*)>/g : /<(img)\b([^>]*)>/g
+  let match
+
+  const addImage = (
+    type: DetectedImage['type'],
+    src: string | undefined,
+    alt: string | undefined,
+    hasAlt: boolean,
+    index: number
+  ) => {
+    if (src && (src.includes('uptrade') || src.includes('portal'))) return
+    images.push({
+      filePath,
+      type,
+      src,
+      alt,
+      hasAlt,
+      isLocal: !src || (!src.startsWith('http') && !src.startsWith('//')),
+      startLine: lineAt(content, index),
+      endLine: lineAt(content, index),
+    })
+  }
+
+  while ((match = tagPattern.exec(content)) !== null) {
+    addImage(
+      match[1] === 'Image' ? 'astro-image' : 'img',
+      markupAttribute(match[2], 'src'),
+      markupAttribute(match[2], 'alt'),
+      readMarkupAttribute(match[2], 'alt') !== undefined,
+      match.index,
+    )
+  }
+
+  // Markdown images: ![alt](src "title")
+  if (/\.mdx?$/.test(filePath)) {
+    const markdownPattern = /!\[([^\]]*)\]\(([^)\s]+)[^)]*\)/g
+    while ((match = markdownPattern.exec(content)) !== null) {
+      addImage('img', match[2], match[1] || undefined, Boolean(match[1]), match.index)
+    }
+  }
+
+  images.push(...scanForBackgroundImages(content, filePath))
+
+  return images
+}
+
 // ============================================
 // Exports
 // ============================================
@@ -0,0 +1,217 @@
+/**
+ * @uptrade/site-kit/commerce - Cart Drawer
+ *
+ * Slide-out panel listing cart lines with quantity controls and the
+ * CartSummary underneath. Open/close state lives in CartProvider so any
+ * button can call openCart() / toggleCart().
+ */
+
+'use client'
+
+import React, { useEffect } from 'react'
+import type { CartDrawerProps } from './types'
+import { formatPrice } from './utils'
+import { useCart } from './CartProvider'
+import { CartSummary } from './CartSummary'
+
+export function CartDrawer({
+  title = 'Your Cart',
+  position = 'right',
+  width = 400,
+  showDiscountCode = true,
+  checkoutText = 'Checkout',
+  emptyMessage = 'Your cart is empty',
+  getItemUrl,
+  className = '',
+  style,
+}: CartDrawerProps) {
+  const cart = useCart()
+  const { isOpen, closeCart } = cart
+
+  // Close on Escape
+  useEffect(() => {
+    if (!isOpen) return
+    const handleKey = (e: KeyboardEvent) => {
+      if (e.key === 'Escape') closeCart()
+    }
+    document.addEventListener('keydown', handleKey)
+    return () => document.removeEventListener('keydown', handleKey)
+  }, [isOpen, closeCart])
+
+  const stepButtonStyle: React.CSSProperties = {
+    width: '28px',
+    height: '28px',
+    borderRadius: '6px',
+    border: '1px solid #d1d5db',
+    backgroundColor: 'white',
+    fontSize: '1rem',
+    lineHeight: 1,
+    cursor: 'pointer',
+  }
+
+  return (
+    <>
+      {/* Backdrop */}
+      <div
+        className="site-kit-cart-drawer__backdrop"
+        onClick={closeCart}
+        aria-hidden="true"
+        style={{
+          position: 'fixed',
+          inset: 0,
+          backgroundColor: 'rgba(0, 0, 0, 0.4)',
+          opacity: isOpen ? 1 : 0,
+          pointerEvents: isOpen ? 'auto' : 'none',
+          transition: 'opacity 0.2s ease',
+          zIndex: 9998,
+        }}
+      />
+
+      <aside
+        role="dialog"
+        aria-modal="true"
+        aria-label={title}
+        aria-hidden={!isOpen}
+        className={`site-kit-cart-drawer ${className}`}
+        style={{
+          position: 'fixed',
+          top: 0,
+          bottom: 0,
+          [position]: 0,
+          width: typeof width === 'number' ? `${width}px` : width,
+          maxWidth: '100vw',
+          backgroundColor: 'white',
+          boxShadow: '0 0 24px rgba(0, 0, 0, 0.15)',
+          display: 'flex',
+          flexDirection: 'column',
+          transform: isOpen ? 'translateX(0)' : `translateX(${position === 'right' ? '100%' : '-100%'})`,
+          transition: 'transform 0.25s ease',
+          zIndex: 9999,
+          ...style,
+        }}
+      >
+        {/* Header */}
+        <div className="site-kit-cart-drawer__header" style={{
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'space-between',
+          padding: '1rem 1.25rem',
+          borderBottom: '1px solid #e5e7eb',
+        }}>
+          <h2 style={{ margin: 0, fontSize: '1.125rem', fontWeight: 600, color: '#111827' }}>
+            {title}{cart.item_count > 0 && ` (${cart.item_count})`}
+          </h2>
+          <button
+            type="button"
+            onClick={closeCart}
+            aria-label="Close cart"
+            style={{
+              border: 'none',
+              background: 'none',
+              fontSize: '1.5rem',
+              lineHeight: 1,
+              color: '#6b7280',
+              cursor: 'pointer',
+            }}
+          >
+            ×
+          </button>
+        </div>
+
+        {/* Lines */}
+        <div className="site-kit-cart-drawer__items" style={{ flex: 1, overflowY: 'auto', padding: '0 1.25rem' }}>
+          {cart.items.length === 0 ? (
+            <p style={{ textAlign: 'center', color: '#6b7280', padding: '3rem 0' }}>{emptyMessage}</p>
+          ) : (
+            cart.items.map((item) => {
+              const url = getItemUrl?.(item)
+              const atMax = item.max_quantity != null && item.quantity >= item.max_quantity
+
+              return (
+                <div
+                  key={item.id}
+                  className="site-kit-cart-drawer__item"
+                  style={{ display: 'flex', gap: '0.75rem', padding: '1rem 0', borderBottom: '1px solid #f3f4f6' }}
+                >
+                  {item.image_url && (
+                    <img
+                      src={item.image_url}
+                      alt={item.name}
+                      style={{ width: '64px', height: '64px', objectFit: 'cover', borderRadius: '8px', flexShrink: 0 }}
+                    />
+                  )}
+                  <div style={{ flex: 1, minWidth: 0 }}>
+                    <div style={{ display: 'flex', justifyContent: 'space-between', gap: '0.5rem' }}>
+                      <div style={{ minWidth: 0 }}>
+                        {url ? (
+                          <a href={url} onClick={closeCart} style={{ fontWeight: 500, color: '#111827', textDecoration: 'none' }}>
+                            {item.name}
+                          </a>
+                        ) : (
+                          <span style={{ fontWeight: 500, color: '#111827' }}>{item.name}</span>
+                        )}
+                        {item.variant_name && (
+                          <div style={{ fontSize: '0.8125rem', color: '#6b7280' }}>{item.variant_name}</div>
+                        )}
+                      </div>
+                      <span style={{ fontWeight: 500, color: '#111827', whiteSpace: 'nowrap' }}>
+                        {formatPrice(item.total_price, item.currency)}
+                      </span>
+                    </div>
+
+                    <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginTop: '0.5rem' }}>
+                      <div className="site-kit-cart-drawer__quantity" style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+                        <button
+                          type="button"
+                          onClick={() => cart.updateQuantity(item.id, item.quantity - 1)}
+                          aria-label={`Decrease quantity of ${item.name}`}
+                          style={stepButtonStyle}
+                        >
+                          −
+                        </button>
+                        <span style={{ minWidth: '1.5rem', textAlign: 'center', fontSize: '0.9375rem' }}>{item.quantity}</span>
+                        <button
+                          type="button"
+                          onClick={() => cart.updateQuantity(item.id, item.quantity + 1)}
+                          disabled={atMax}
+                          aria-label={`Increase quantity of ${item.name}`}
+                          style={{ ...stepButtonStyle, cursor: atMax ? 'not-allowed' : 'pointer', opacity: atMax ? 0.5 : 1 }}
+                        >
+                          +
+                        </button>
+                      </div>
+                      <button
+                        type="button"
+                        onClick={() => cart.removeItem(item.id)}
+                        className="site-kit-cart-drawer__remove"
+                        style={{
+                          border: 'none',
+                          background: 'none',
+                          color: '#6b7280',
+                          fontSize: '0.8125rem',
+                          textDecoration: 'underline',
+                          cursor: 'pointer',
+                        }}
+                      >
+                        Remove
+                      </button>
+                    </div>
+                  </div>
+                </div>
+              )
+            })
+          )}
+        </div>
+
+        {/* Summary */}
+        {cart.items.length > 0 && (
+          <div className="site-kit-cart-drawer__footer" style={{ padding: '1rem 1.25rem', borderTop: '1px solid #e5e7eb' }}>
+            <CartSummary showDiscountCode={showDiscountCode} checkoutText={checkoutText} />
+          </div>
+        )}
+      </aside>
+    </>
+  )
+}
+
+export default CartDrawer
@@ -0,0 +1,271 @@
+/**
+ * @uptrade/site-kit/commerce - Cart Provider
+ *
+ * Multi-item cart with variants, quantities and discount codes.
+ * Persisted in localStorage so it survives navigation and is kept
+ * in sync across tabs. Checkout creates one session for every line.
+ */
+
+'use client'
+
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useRef, useState } from 'react'
+import type {
+  AddToCartOptions,
+  CartCheckoutOptions,
+  CartContextValue,
+  CartItem,
+  CartProviderProps,
+  CheckoutResult,
+  CommerceDiscountCode,
+  CommerceOffering,
+} from './types'
+import { createCartItem, summarizeCart } from './utils'
+import { createCartCheckoutSession, validateDiscountCode } from './api'
+
+const CartContext = createContext<CartContextValue | null>(null)
+
+const DEFAULT_STORAGE_KEY = '_uptrade_cart'
+const STORAGE_VERSION = 1
+
+interface StoredCart {
+  version: number
+  items: CartItem[]
+  discount: CommerceDiscountCode | null
+}
+
+// ============================================
+// Persistence
+// ============================================
+
+function readStoredCart(storageKey: string): StoredCart | null {
+  if (typeof window === 'undefined') return null
+  try {
+    const raw = localStorage.getItem(storageKey)
+    if (!raw) return null
+    const parsed = JSON.parse(raw) as StoredCart
+    if (parsed?.version !== STORAGE_VERSION || !Array.isArray(parsed.items)) return null
+    return parsed
+  } catch {
+    return null
+  }
+}
+
+function writeStoredCart(storageKey: string, cart: StoredCart): void {
+  if (typeof window === 'undefined') return
+  try {
+    if (cart.items.length === 0 && !cart.discount) {
+      localStorage.removeItem(storageKey)
+    } else {
+      localStorage.setItem(storageKey, JSON.stringify(cart))
+    }
+  } catch {
+    // Storage full or disabled (private mode) - cart still works for this page
+  }
+}
+
+function clampQuantity(item: CartItem, quantity: number): number {
+  const whole = Math.floor(quantity)
+  return item.max_quantity != null ? Math.min(whole, item.max_quantity) : whole
+}
+
+function withQuantity(item: CartItem, quantity: number): CartItem {
+  return {
+    ...item,
+    quantity,
+    total_price: Math.round(item.unit_price * quantity * 100) / 100,
+  }
+}
+
+// ============================================
+// Provider
+// ============================================
+
+export function CartProvider({
+  children,
+  storageKey = DEFAULT_STORAGE_KEY,
+  openOnAdd = true,
+  successUrl,
+  cancelUrl,
+  onCheckout,
+}: CartProviderProps) {
+  const [items, setItems] = useState<CartItem[]>([])
+  const [discount, setDiscount] = useState<CommerceDiscountCode | null>(null)
+  const [isReady, setIsReady] = useState(false)
+  const [isOpen, setIsOpen] = useState(false)
+  const [isCheckingOut, setIsCheckingOut] = useState(false)
+
+  // Set while applying a change that came from another tab so it isn't written back
+  const skipWriteRef = useRef(false)
+
+  // Hydrate after mount so server and client render the same empty cart first
+  useEffect(() => {
+    const stored = readStoredCart(storageKey)
+    if (stored) {
+      skipWriteRef.current = true
+      setItems(stored.items)
+      setDiscount(stored.discount)
+    }
+    setIsReady(true)
+  }, [storageKey])
+
+  useEffect(() => {
+    if (!isReady) return
+    if (skipWriteRef.current) {
+      skipWriteRef.current = false
+      return
+    }
+    writeStoredCart(storageKey, { version: STORAGE_VERSION, items, discount })
+  }, [items, discount, isReady, storageKey])
+
+  // Keep tabs in sync
+  useEffect(() => {
+    if (typeof window === 'undefined') return
+
+    const handleStorage = (event: StorageEvent) => {
+      if (event.key !== storageKey) return
+      const stored = readStoredCart(storageKey)
+      skipWriteRef.current = true
+      setItems(stored?.items || [])
+      setDiscount(stored?.discount || null)
+    }
+
+    window.addEventListener('storage', handleStorage)
+    return () => window.removeEventListener('storage', handleStorage)
+  }, [storageKey])
+
+  const addItem = useCallback((offering: CommerceOffering, options: AddToCartOptions = {}) => {
+    const incoming = createCartItem(offering, options)
+    if (incoming.quantity <= 0) return
+
+    setItems(current => {
+      const existing = current.find(item => item.id === incoming.id)
+      if (!existing) return [...current, incoming]
+
+      // Refresh the snapshot (price/stock may have changed) and add the quantities
+      const quantity = clampQuantity(incoming, existing.quantity + incoming.quantity)
+      return current.map(item => item.id === incoming.id ? withQuantity(incoming, quantity) : item)
+    })
+
+    if (openOnAdd) setIsOpen(true)
+  }, [openOnAdd])
+
+  const updateQuantity = useCallback((itemId: string, quantity: number) => {
+    setItems(current => {
+      const item = current.find(i => i.id === itemId)
+      if (!item) return current
+
+      const next = clampQuantity(item, quantity)
+      if (next <= 0) return current.filter(i => i.id !== itemId)
+      return current.map(i => i.id === itemId ? withQuantity(i, next) : i)
+    })
+  }, [])
+
+  const removeItem = useCallback((itemId: string) => {
+    setItems(current => current.filter(item => item.id !== itemId))
+  }, [])
+
+  const clearCart = useCallback(() => {
+    setItems([])
+    setDiscount(null)
+  }, [])
+
+  const applyDiscountCode = useCallback(async (code: string) => {
+    if (!code.trim()) {
+      return { success: false, error: 'Enter a discount code' }
+    }
+
+    const result = await validateDiscountCode(code, items)
+    if (!result.discount) {
+      return { success: false, error: result.error || 'This code is not valid' }
+    }
+
+    setDiscount(result.discount)
+
+    // The code is kept even if it doesn't apply yet (e.g. minimum not met) -
+    // summarizeCart reports why via discount_error
+    const summary = summarizeCart(items, result.discount)
+    return summary.discount_error
+      ? { success: false, error: summary.discount_error }
+      : { success: true }
+  }, [items])
+
+  const removeDiscountCode = useCallback(() => {
+    setDiscount(null)
+  }, [])
+
+  const checkout = useCallback(async (options: CartCheckoutOptions = {}): Promise<CheckoutResult> => {
+    setIsCheckingOut(true)
+    try {
+      const result = await createCartCheckoutSession({
+        items,
+        discountCode: discount?.code,
+        customer: options.customer,
+        successUrl: options.successUrl || successUrl,
+        cancelUrl: options.cancelUrl || cancelUrl,
+      })
+
+      onCheckout?.(result)
+
+      // The cart is kept until the order completes - call clearCart() on the success page
+      const url = result.payment_url || result.checkout_url
+      if (result.success && url && options.redirect !== false && typeof window !== 'undefined') {
+        window.location.href = url
+      }
+
+      return result
+    } finally {
+      setIsCheckingOut(false)
+    }
+  }, [items, discount, successUrl, cancelUrl, onCheckout])
+
+  const openCart = useCallback(() => setIsOpen(true), [])
+  const closeCart = useCallback(() => setIsOpen(false), [])
+  const toggleCart = useCallback(() => setIsOpen(open => !open), [])
+
+  const value = useMemo<CartContextValue>(() => ({
+    ...summarizeCart(items, discount),
+    isReady,
+    isOpen,
+    isCheckingOut,
+    discount,
+    addItem,
+    updateQuantity,
+    removeItem,
+    clearCart,
+    applyDiscountCode,
+    removeDiscountCode,
+    checkout,
+    openCart,
+    closeCart,
+    toggleCart,
+  }), [
+    items, discount, isReady, isOpen, isCheckingOut,
+    addItem, updateQuantity, removeItem, clearCart,
+    applyDiscountCode, removeDiscountCode, checkout,
+    openCart, closeCart, toggleCart,
+  ])
+
+  return <CartContext.Provider value={value}>{children}</CartContext.Provider>
+}
+
+// ============================================
+// Hooks
+// ============================================
+
+export function useCart(): CartContextValue {
+  const context = useContext(CartContext)
+  if (!context) {
+    throw new Error('useCart must be used within a CartProvider')
+  }
+  return context
+}
+
+/**
+ * Cart context if a CartProvider is mounted, otherwise null.
+ * Lets components like ProductDetail opt into the cart without requiring it.
+ */
+export function useOptionalCart(): CartContextValue | null {
+  return useContext(CartContext)
+}
+
+export default CartProvider
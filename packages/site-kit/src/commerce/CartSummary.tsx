@@ -0,0 +1,201 @@
+/**
+ * @uptrade/site-kit/commerce - Cart Summary
+ *
+ * Subtotal, discount code entry and total for the current cart,
+ * with a checkout button that creates one session for every line.
+ */
+
+'use client'
+
+import React, { useState } from 'react'
+import type { CartSummaryProps } from './types'
+import { formatPrice } from './utils'
+import { useCart } from './CartProvider'
+
+export function CartSummary({
+  showDiscountCode = true,
+  showCheckoutButton = true,
+  checkoutText = 'Checkout',
+  checkoutOptions,
+  onCheckoutError,
+  className = '',
+  style,
+}: CartSummaryProps) {
+  const cart = useCart()
+  const [code, setCode] = useState('')
+  const [applying, setApplying] = useState(false)
+  const [codeError, setCodeError] = useState<string | null>(null)
+  const [checkoutError, setCheckoutError] = useState<string | null>(null)
+
+  const handleApply = async (e: React.FormEvent) => {
+    e.preventDefault()
+    setApplying(true)
+    setCodeError(null)
+    const result = await cart.applyDiscountCode(code)
+    setApplying(false)
+    if (result.success) {
+      setCode('')
+    } else if (result.error) {
+      setCodeError(result.error)
+    }
+  }
+
+  const handleCheckout = async () => {
+    setCheckoutError(null)
+    const result = await cart.checkout(checkoutOptions)
+    if (!result.success) {
+      const message = result.error || 'Checkout failed'
+      setCheckoutError(message)
+      onCheckoutError?.(message)
+    }
+  }
+
+  const rowStyle: React.CSSProperties = {
+    display: 'flex',
+    justifyContent: 'space-between',
+    fontSize: '0.9375rem',
+    color: '#4b5563',
+  }
+
+  return (
+    <div
+      className={`site-kit-cart-summary ${className}`}
+      style={{ display: 'flex', flexDirection: 'column', gap: '0.75rem', ...style }}
+    >
+      {showDiscountCode && (
+        cart.discount ? (
+          <div className="site-kit-cart-summary__discount-applied" style={{
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'space-between',
+            padding: '0.5rem 0.75rem',
+            borderRadius: '8px',
+            backgroundColor: cart.discount_error ? '#fef3c7' : '#ecfdf5',
+            fontSize: '0.875rem',
+          }}>
+            <div>
+              <span style={{ fontWeight: 600, color: '#111827' }}>{cart.discount.code}</span>
+              {cart.discount_error && (
+                <div style={{ color: '#92400e', marginTop: '0.125rem' }}>{cart.discount_error}</div>
+              )}
+            </div>
+            <button
+              type="button"
+              onClick={cart.removeDiscountCode}
+              className="site-kit-cart-summary__discount-remove"
+              style={{
+                border: 'none',
+                background: 'none',
+                color: '#6b7280',
+                cursor: 'pointer',
+                fontSize: '0.8125rem',
+                textDecoration: 'underline',
+              }}
+            >
+              Remove
+            </button>
+          </div>
+        ) : (
+          <form onSubmit={handleApply} className="site-kit-cart-summary__discount-form">
+            <div style={{ display: 'flex', gap: '0.5rem' }}>
+              <input
+                type="text"
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                placeholder="Discount code"
+                aria-label="Discount code"
+                style={{
+                  flex: 1,
+                  minWidth: 0,
+                  padding: '0.5rem 0.75rem',
+                  borderRadius: '8px',
+                  border: '1px solid #d1d5db',
+                  fontSize: '0.875rem',
+                  textTransform: 'uppercase',
+                }}
+              />
+              <button
+                type="submit"
+                disabled={applying || !code.trim()}
+                style={{
+                  padding: '0.5rem 1rem',
+                  borderRadius: '8px',
+                  border: '1px solid #d1d5db',
+                  backgroundColor: 'white',
+                  fontSize: '0.875rem',
+                  fontWeight: 500,
+                  cursor: applying || !code.trim() ? 'not-allowed' : 'pointer',
+                }}
+              >
+                {applying ? 'Applying...' : 'Apply'}
+              </button>
+            </div>
+            {codeError && (
+              <p style={{ margin: '0.375rem 0 0', fontSize: '0.8125rem', color: '#dc2626' }}>
+                {codeError}
+              </p>
+            )}
+          </form>
+        )
+      )}
+
+      <div className="site-kit-cart-summary__totals" style={{ display: 'flex', flexDirection: 'column', gap: '0.375rem' }}>
+        <div style={rowStyle}>
+          <span>Subtotal</span>
+          <span>{formatPrice(cart.subtotal, cart.currency)}</span>
+        </div>
+        {cart.discount_amount > 0 && (
+          <div style={{ ...rowStyle, color: '#059669' }}>
+            <span>Discount ({cart.discount_code})</span>
+            <span>−{formatPrice(cart.discount_amount, cart.currency)}</span>
+          </div>
+        )}
+        <div style={{ ...rowStyle, fontSize: '0.8125rem', color: '#6b7280' }}>
+          <span>Taxes and shipping</span>
+          <span>Calculated at checkout</span>
+        </div>
+        <div style={{
+          ...rowStyle,
+          paddingTop: '0.5rem',
+          borderTop: '1px solid #e5e7eb',
+          fontSize: '1.0625rem',
+          fontWeight: 600,
+          color: '#111827',
+        }}>
+          <span>Total</span>
+          <span>{formatPrice(cart.total, cart.currency)}</span>
+        </div>
+      </div>
+
+      {showCheckoutButton && (
+        <button
+          type="button"
+          onClick={handleCheckout}
+          disabled={cart.items.length === 0 || cart.isCheckingOut}
+          className="site-kit-cart-summary__checkout"
+          style={{
+            padding: '0.875rem 1.5rem',
+            borderRadius: '8px',
+            border: 'none',
+            backgroundColor: cart.items.length === 0 ? '#d1d5db' : '#2563eb',
+            color: 'white',
+            fontSize: '1rem',
+            fontWeight: 600,
+            cursor: cart.items.length === 0 || cart.isCheckingOut ? 'not-allowed' : 'pointer',
+            transition: 'all 0.15s ease',
+          }}
+        >
+          {cart.isCheckingOut ? 'Processing...' : checkoutText}
+        </button>
+      )}
+
+      {checkoutError && (
+        <p className="site-kit-cart-summary__error" style={{ margin: 0, fontSize: '0.875rem', color: '#dc2626' }}>
+          {checkoutError}
+        </p>
+      )}
+    </div>
+  )
+}
+
+export default CartSummary
@@ -3,6 +3,7 @@
  * 
  * Modal popup for event registration and checkout.
  * Handles both free registration and paid tickets via Stripe/Square.
+ * Sold-out events with a waitlist show the "Join waitlist" form instead.
  */
 
 'use client'
@@ -10,7 +11,8 @@
 import React, { useState, useEffect, useCallback } from 'react'
 import type { CommerceOffering, CommerceSchedule, CheckoutCustomer, CheckoutResult } from './types'
 import { registerForEvent, createCheckoutSession } from './api'
-import { formatDate, formatTime, formatPrice, getSpotsRemaining, isEventSoldOut } from './utils'
+import { formatDate, formatTime, formatPrice, getSpotsRemaining, isEventSoldOut, isWaitlistOpen } from './utils'
+import { WaitlistForm } from './WaitlistForm'
 
 export interface EventModalProps {
   /** Event to display */
@@ -332,7 +334,14 @@ export function EventModal({
                 )}
               </div>
               
-              {soldOut ? (
+              {soldOut && isWaitlistOpen(event, schedule) ? (
+                <WaitlistForm
+                  event={event}
+                  schedule={schedule}
+                  collectPhone={collectPhone}
+                  onError={onError}
+                />
+              ) : soldOut ? (
                 <div style={{
                   padding: '2rem',
                   textAlign: 'center',
@@ -9,7 +9,7 @@
 
 import React, { useState } from 'react'
 import type { EventTileProps, CommerceOffering } from './types'
-import { formatDate, formatTime, getRelativeTimeUntil, getSpotsRemaining, isEventSoldOut } from './utils'
+import { formatDate, formatTime, getRelativeTimeUntil, getSpotsRemaining, isEventSoldOut, isWaitlistOpen } from './utils'
 import { registerForEvent, createCheckoutSession } from './api'
 
 export function EventTile({
@@ -34,6 +34,8 @@ export function EventTile({
   const schedule = event.schedules?.[0] || (event as any).next_schedule
   const soldOut = schedule ? isEventSoldOut(schedule.capacity, schedule.current_registrations) : false
   const spotsRemaining = schedule ? getSpotsRemaining(schedule.capacity, schedule.current_registrations) : null
+  const waitlistOpen = soldOut && isWaitlistOpen(event, schedule)
+  const ctaBlocked = soldOut && !waitlistOpen
   
   const defaultCtaText = event.price && event.price > 0 ? 'Get Tickets' : 'Register Free'
   
@@ -55,6 +57,12 @@ export function EventTile({
       return
     }
     
+    // Sold out - the registration page shows the waitlist form
+    if (waitlistOpen) {
+      window.location.href = `/events/${event.slug}/register`
+      return
+    }
+    
     // Default: create checkout session for paid, or go to registration page
     setLoading(true)
     try {
@@ -124,21 +132,21 @@ export function EventTile({
         {showCta && (
           <button
             onClick={handleClick}
-            disabled={soldOut || loading}
+            disabled={ctaBlocked || loading}
             className={`site-kit-event-cta ${ctaClassName}`}
             style={{
               padding: '0.375rem 0.75rem',
               fontSize: '0.75rem',
               borderRadius: '4px',
               border: 'none',
-              background: soldOut ? '#e5e7eb' : '#2563eb',
-              color: soldOut ? '#666' : 'white',
-              cursor: soldOut ? 'not-allowed' : 'pointer',
+              background: ctaBlocked ? '#e5e7eb' : (waitlistOpen ? '#d97706' : '#2563eb'),
+              color: ctaBlocked ? '#666' : 'white',
+              cursor: ctaBlocked ? 'not-allowed' : 'pointer',
               fontWeight: 500,
               whiteSpace: 'nowrap',
             }}
           >
-            {soldOut ? 'Sold Out' : (loading ? '...' : (ctaText || defaultCtaText))}
+            {ctaBlocked ? 'Sold Out' : (loading ? '...' : (waitlistOpen ? 'Join Waitlist' : (ctaText || defaultCtaText)))}
           </button>
         )}
       </div>
@@ -237,20 +245,20 @@ export function EventTile({
           {showCta && (
             <button
               onClick={handleClick}
-              disabled={soldOut || loading}
+              disabled={ctaBlocked || loading}
               className={`site-kit-event-cta ${ctaClassName}`}
               style={{
                 padding: '0.5rem 1rem',
                 borderRadius: '6px',
                 border: 'none',
-                background: soldOut ? '#e5e7eb' : '#2563eb',
-                color: soldOut ? '#666' : 'white',
-                cursor: soldOut ? 'not-allowed' : 'pointer',
+                background: ctaBlocked ? '#e5e7eb' : (waitlistOpen ? '#d97706' : '#2563eb'),
+                color: ctaBlocked ? '#666' : 'white',
+                cursor: ctaBlocked ? 'not-allowed' : 'pointer',
                 fontWeight: 500,
                 fontSize: '0.875rem',
               }}
             >
-              {soldOut ? 'Sold Out' : (loading ? 'Loading...' : (ctaText || defaultCtaText))}
+              {ctaBlocked ? 'Sold Out' : (loading ? 'Loading...' : (waitlistOpen ? 'Join Waitlist' : (ctaText || defaultCtaText)))}
             </button>
           )}
         </div>
@@ -473,7 +473,7 @@ export function EventsWidget({
                           fontWeight: nextSchedule.spots_remaining < 5 ? 500 : 400,
                         }}>
                           {nextSchedule.spots_remaining === 0 
-                            ? 'Sold Out' 
+                            ? (eventItem.waitlist_enabled ? 'Sold Out · Waitlist open' : 'Sold Out')
                             : `${nextSchedule.spots_remaining} spots left`}
                         </span>
                       )}
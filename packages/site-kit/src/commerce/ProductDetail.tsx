@@ -11,6 +11,7 @@ import React, { useState, useEffect } from 'react'
 import type { CommerceOffering, CommerceVariant, CheckoutResult } from './types'
 import { formatPrice } from './utils'
 import { fetchOffering, createCheckoutSession } from './api'
+import { useOptionalCart } from './CartProvider'
 
 export interface ProductDetailProps {
   /** Pre-loaded product data (for SSR) */
@@ -35,7 +36,7 @@ export interface ProductDetailProps {
   successUrl?: string
   /** Cancel URL if checkout cancelled */
   cancelUrl?: string
-  /** Callback when added to cart */
+  /** Callback when added to cart (defaults to the surrounding CartProvider, if any) */
   onAddToCart?: (product: CommerceOffering, variant?: CommerceVariant, quantity?: number) => void
   /** Callback when buy now clicked */
   onBuyNow?: (product: CommerceOffering, variant?: CommerceVariant, quantity?: number) => void
@@ -74,6 +75,7 @@ export function ProductDetail({
   const [quantity, setQuantity] = useState(1)
   const [selectedImage, setSelectedImage] = useState(0)
   const [checkingOut, setCheckingOut] = useState(false)
+  const cart = useOptionalCart()
 
   // Fetch product if not provided
   useEffect(() => {
@@ -160,6 +162,8 @@ export function ProductDetail({
   const handleAddToCart = () => {
     if (onAddToCart) {
       onAddToCart(product, selectedVariant, quantity)
+    } else if (cart) {
+      cart.addItem(product, { variant: selectedVariant, quantity })
     }
   }
 
@@ -481,7 +485,7 @@ export function ProductDetail({
               {checkingOut ? 'Processing...' : isOutOfStock ? 'Out of Stock' : 'Buy Now'}
             </button>
           )}
-          {showAddToCart && onAddToCart && (
+          {showAddToCart && (onAddToCart || cart) && (
             <button
               onClick={handleAddToCart}
               disabled={isOutOfStock}
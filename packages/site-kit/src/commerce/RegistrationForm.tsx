@@ -2,6 +2,8 @@
  * @uptrade/site-kit/commerce - RegistrationForm
  * 
  * Simplified registration form for free events/classes.
+ * Falls back to WaitlistForm when the schedule is sold out and the
+ * event has a waitlist.
  */
 
 'use client'
@@ -9,9 +11,12 @@
 import React, { useState } from 'react'
 import type { RegistrationFormProps, CheckoutCustomer, AdditionalField, AdditionalFieldOption } from './types'
 import { registerForEvent } from './api'
+import { isScheduleFull, isWaitlistOpen } from './utils'
+import { WaitlistForm } from './WaitlistForm'
 
 export function RegistrationForm({
   event,
+  schedule,
   scheduleId,
   title = 'Register for Event',
   submitText = 'Register',
@@ -37,6 +42,9 @@ export function RegistrationForm({
   
   const [additionalData, setAdditionalData] = useState<Record<string, string>>({})
   
+  // Only a known-full schedule hides the form; without one the API decides
+  const soldOut = schedule ? isScheduleFull(schedule) : false
+  
   const handleSubmit = async (e: React.FormEvent) => {
     e.preventDefault()
     setLoading(true)
@@ -64,6 +72,37 @@ export function RegistrationForm({
     }
   }
   
+  if (soldOut && !success) {
+    if (isWaitlistOpen(event, schedule)) {
+      return (
+        <WaitlistForm
+          event={event}
+          schedule={schedule}
+          scheduleId={scheduleId}
+          collectPhone={collectPhone}
+          onError={onError}
+          className={className}
+          formClassName={formClassName}
+          inputClassName={inputClassName}
+          buttonClassName={buttonClassName}
+        />
+      )
+    }
+    
+    return (
+      <div className={`site-kit-registration-sold-out ${className}`} style={{
+        padding: '2rem',
+        textAlign: 'center',
+        background: '#f3f4f6',
+        borderRadius: '12px',
+      }}>
+        <p style={{ margin: 0, color: '#666' }}>
+          {event.name} is sold out. Check back for future dates!
+        </p>
+      </div>
+    )
+  }
+  
   if (success) {
     return (
       <div className={`site-kit-registration-success ${className}`} style={{
@@ -0,0 +1,219 @@
+/**
+ * @uptrade/site-kit/commerce - WaitlistClaim
+ *
+ * Landing page content for the claim link emailed when a waitlisted spot
+ * frees up. Shows the offered event and how long the offer is held;
+ * free events register on claim, paid events continue to checkout.
+ *
+ * @example
+ * ```tsx
+ * export default function ClaimPage({ params }) {
+ *   return <WaitlistClaim token={params.token} />
+ * }
+ * ```
+ */
+
+'use client'
+
+import React, { useState, useEffect } from 'react'
+import type { WaitlistClaimProps, WaitlistOffer } from './types'
+import { fetchWaitlistClaim, claimWaitlistSpot } from './api'
+import { formatDate, formatTime, formatPrice, formatClaimTimeRemaining } from './utils'
+
+export function WaitlistClaim({
+  token,
+  successUrl,
+  cancelUrl,
+  onClaimed,
+  onError,
+  className = '',
+}: WaitlistClaimProps) {
+  const [offer, setOffer] = useState<WaitlistOffer | null>(null)
+  const [loading, setLoading] = useState(true)
+  const [claiming, setClaiming] = useState(false)
+  const [claimed, setClaimed] = useState(false)
+  const [error, setError] = useState<string | null>(null)
+
+  useEffect(() => {
+    let cancelled = false
+    setLoading(true)
+
+    fetchWaitlistClaim(token)
+      .then(result => {
+        if (!cancelled) setOffer(result)
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false)
+      })
+
+    return () => {
+      cancelled = true
+    }
+  }, [token])
+
+  const handleClaim = async () => {
+    setClaiming(true)
+    setError(null)
+
+    try {
+      const result = await claimWaitlistSpot(token, { successUrl, cancelUrl })
+
+      if (!result.success) {
+        setError(result.error || 'This spot could not be claimed')
+        onError?.(result.error || 'This spot could not be claimed')
+        return
+      }
+
+      onClaimed?.(result)
+
+      if (result.checkout_url) {
+        window.location.href = result.checkout_url
+        return
+      }
+
+      setClaimed(true)
+    } catch (err) {
+      const message = err instanceof Error ? err.message : 'An error occurred'
+      setError(message)
+      onError?.(message)
+    } finally {
+      setClaiming(false)
+    }
+  }
+
+  const boxStyle: React.CSSProperties = {
+    padding: '2rem',
+    textAlign: 'center',
+    borderRadius: '12px',
+  }
+
+  if (loading) {
+    return (
+      <div className={`site-kit-waitlist-claim ${className}`} style={{ ...boxStyle, color: '#666' }}>
+        Loading your offer...
+      </div>
+    )
+  }
+
+  if (!offer) {
+    return (
+      <div className={`site-kit-waitlist-claim ${className}`} style={{ ...boxStyle, background: '#f3f4f6' }}>
+        <h3 style={{ margin: '0 0 0.5rem' }}>Link Not Found</h3>
+        <p style={{ margin: 0, color: '#666' }}>
+          This claim link is invalid. Check the latest email we sent you.
+        </p>
+      </div>
+    )
+  }
+
+  const timeRemaining = formatClaimTimeRemaining(offer.offer_expires_at)
+  const expired = offer.status === 'expired' || (offer.status === 'offered' && !timeRemaining)
+  const isFree = !offer.offering.price || offer.offering.price === 0
+
+  if (claimed || offer.status === 'claimed') {
+    return (
+      <div className={`site-kit-waitlist-claim ${className}`} style={{
+        ...boxStyle,
+        background: '#f0fdf4',
+        border: '1px solid #bbf7d0',
+      }}>
+        <div style={{ fontSize: '3rem', marginBottom: '1rem' }}>🎉</div>
+        <h3 style={{ margin: '0 0 0.5rem', color: '#166534' }}>
+          You're Registered!
+        </h3>
+        <p style={{ color: '#15803d', margin: 0 }}>
+          Your spot for {offer.offering.name} is confirmed. Check your email for details.
+        </p>
+      </div>
+    )
+  }
+
+  if (expired || offer.status !== 'offered') {
+    return (
+      <div className={`site-kit-waitlist-claim ${className}`} style={{ ...boxStyle, background: '#f3f4f6' }}>
+        <h3 style={{ margin: '0 0 0.5rem' }}>This Offer Has Expired</h3>
+        <p style={{ margin: 0, color: '#666' }}>
+          The spot for {offer.offering.name} was passed to the next person on the waitlist.
+        </p>
+      </div>
+    )
+  }
+
+  return (
+    <div className={`site-kit-waitlist-claim ${className}`} style={{
+      padding: '1.5rem',
+      borderRadius: '12px',
+      border: '1px solid #e5e7eb',
+      background: 'white',
+    }}>
+      <div style={{
+        display: 'inline-block',
+        marginBottom: '0.75rem',
+        padding: '0.25rem 0.625rem',
+        background: '#fef3c7',
+        color: '#92400e',
+        borderRadius: '9999px',
+        fontSize: '0.75rem',
+        fontWeight: 600,
+      }}>
+        A spot opened up · {timeRemaining}
+      </div>
+
+      <h2 style={{ margin: '0 0 0.5rem', fontSize: '1.5rem', fontWeight: 600 }}>
+        {offer.offering.name}
+      </h2>
+
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '1rem', color: '#666', fontSize: '0.9rem' }}>
+        <span>📅 {formatDate(offer.schedule.starts_at)}</span>
+        <span>🕐 {formatTime(offer.schedule.starts_at)}</span>
+        {offer.offering.location && <span>📍 {offer.offering.location}</span>}
+      </div>
+
+      <p style={{ margin: '1rem 0 0', color: '#374151', fontSize: '0.9rem' }}>
+        Hi {offer.customer.name}, we're holding this spot for you until{' '}
+        {formatDate(offer.offer_expires_at)} at {formatTime(offer.offer_expires_at)}.
+        After that it goes to the next person on the waitlist.
+      </p>
+
+      {error && (
+        <div style={{
+          marginTop: '1rem',
+          padding: '0.75rem',
+          background: '#fef2f2',
+          border: '1px solid #fecaca',
+          borderRadius: '6px',
+          color: '#dc2626',
+          fontSize: '0.875rem',
+        }}>
+          {error}
+        </div>
+      )}
+
+      <button
+        type="button"
+        onClick={handleClaim}
+        disabled={claiming}
+        style={{
+          width: '100%',
+          marginTop: '1.5rem',
+          padding: '0.875rem',
+          fontSize: '1rem',
+          fontWeight: 600,
+          borderRadius: '8px',
+          border: 'none',
+          background: claiming ? '#93c5fd' : '#2563eb',
+          color: 'white',
+          cursor: claiming ? 'not-allowed' : 'pointer',
+        }}
+      >
+        {claiming
+          ? 'Claiming...'
+          : isFree
+            ? 'Claim My Spot'
+            : `Claim & Pay ${formatPrice(offer.offering.price!, offer.offering.currency)}`}
+      </button>
+    </div>
+  )
+}
+
+export default WaitlistClaim
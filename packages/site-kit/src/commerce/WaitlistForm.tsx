@@ -0,0 +1,199 @@
+/**
+ * @uptrade/site-kit/commerce - WaitlistForm
+ *
+ * "Join waitlist" form for sold-out events/classes. When a spot frees up
+ * the next person in line is emailed a time-limited claim link.
+ */
+
+'use client'
+
+import React, { useState } from 'react'
+import type { WaitlistFormProps, CheckoutCustomer } from './types'
+import { joinWaitlist } from './api'
+
+export function WaitlistForm({
+  event,
+  schedule,
+  scheduleId,
+  title = 'Join the Waitlist',
+  submitText = 'Join Waitlist',
+  successMessage,
+  collectPhone = false,
+  onSuccess,
+  onError,
+  className = '',
+  formClassName = '',
+  inputClassName = '',
+  buttonClassName = '',
+}: WaitlistFormProps) {
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState<string | null>(null)
+  const [position, setPosition] = useState<number | null>(null)
+  const [joined, setJoined] = useState(false)
+
+  const [customer, setCustomer] = useState<CheckoutCustomer>({
+    email: '',
+    name: '',
+    phone: '',
+  })
+
+  const claimHours = event.waitlist_claim_hours || 24
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault()
+    setLoading(true)
+    setError(null)
+
+    try {
+      const result = await joinWaitlist(event.id, scheduleId || schedule?.id, customer)
+
+      if (result.success) {
+        setPosition(result.position ?? null)
+        setJoined(true)
+        onSuccess?.(result)
+      } else {
+        setError(result.error || 'Could not join the waitlist')
+        onError?.(result.error || 'Could not join the waitlist')
+      }
+    } catch (err) {
+      const message = err instanceof Error ? err.message : 'An error occurred'
+      setError(message)
+      onError?.(message)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const inputStyle: React.CSSProperties = {
+    width: '100%',
+    padding: '0.625rem 0.75rem',
+    borderRadius: '6px',
+    border: '1px solid #d1d5db',
+    fontSize: '1rem',
+  }
+
+  const labelStyle: React.CSSProperties = {
+    display: 'block',
+    fontSize: '0.875rem',
+    fontWeight: 500,
+    marginBottom: '0.25rem',
+  }
+
+  if (joined) {
+    return (
+      <div className={`site-kit-waitlist-success ${className}`} style={{
+        padding: '2rem',
+        textAlign: 'center',
+        background: '#fffbeb',
+        borderRadius: '12px',
+        border: '1px solid #fde68a',
+      }}>
+        <div style={{ fontSize: '3rem', marginBottom: '1rem' }}>⏳</div>
+        <h3 style={{ margin: '0 0 0.5rem', color: '#92400e' }}>
+          {position ? `You're #${position} on the Waitlist` : "You're on the Waitlist"}
+        </h3>
+        <p style={{ color: '#b45309', margin: 0 }}>
+          {successMessage || `If a spot opens up for ${event.name}, we'll email you a link to claim it. You'll have ${claimHours} hours to respond.`}
+        </p>
+      </div>
+    )
+  }
+
+  return (
+    <div className={`site-kit-waitlist ${className}`}>
+      {title && (
+        <h3 style={{ margin: '0 0 0.5rem', fontSize: '1.25rem', fontWeight: 600 }}>
+          {title}
+        </h3>
+      )}
+      <p style={{ margin: '0 0 1.5rem', color: '#666', fontSize: '0.9rem' }}>
+        This event is sold out
+        {schedule?.waitlist_count ? ` and ${schedule.waitlist_count} ${schedule.waitlist_count === 1 ? 'person is' : 'people are'} already waiting` : ''}.
+        {' '}Join the waitlist and we'll email you if a spot opens up.
+      </p>
+
+      <form onSubmit={handleSubmit} className={formClassName}>
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '1rem' }}>
+          <div>
+            <label style={labelStyle}>
+              Full Name *
+            </label>
+            <input
+              type="text"
+              required
+              value={customer.name}
+              onChange={(e) => setCustomer(prev => ({ ...prev, name: e.target.value }))}
+              className={inputClassName}
+              style={inputStyle}
+            />
+          </div>
+
+          <div>
+            <label style={labelStyle}>
+              Email Address *
+            </label>
+            <input
+              type="email"
+              required
+              value={customer.email}
+              onChange={(e) => setCustomer(prev => ({ ...prev, email: e.target.value }))}
+              className={inputClassName}
+              style={inputStyle}
+            />
+          </div>
+
+          {collectPhone && (
+            <div>
+              <label style={labelStyle}>
+                Phone Number
+              </label>
+              <input
+                type="tel"
+                value={customer.phone || ''}
+                onChange={(e) => setCustomer(prev => ({ ...prev, phone: e.target.value }))}
+                className={inputClassName}
+                style={inputStyle}
+              />
+            </div>
+          )}
+        </div>
+
+        {error && (
+          <div style={{
+            marginTop: '1rem',
+            padding: '0.75rem',
+            background: '#fef2f2',
+            border: '1px solid #fecaca',
+            borderRadius: '6px',
+            color: '#dc2626',
+            fontSize: '0.875rem',
+          }}>
+            {error}
+          </div>
+        )}
+
+        <button
+          type="submit"
+          disabled={loading}
+          className={buttonClassName}
+          style={{
+            width: '100%',
+            marginTop: '1.5rem',
+            padding: '0.875rem',
+            fontSize: '1rem',
+            fontWeight: 600,
+            borderRadius: '8px',
+            border: 'none',
+            background: loading ? '#fcd34d' : '#d97706',
+            color: 'white',
+            cursor: loading ? 'not-allowed' : 'pointer',
+          }}
+        >
+          {loading ? 'Joining...' : submitText}
+        </button>
+      </form>
+    </div>
+  )
+}
+
+export default WaitlistForm
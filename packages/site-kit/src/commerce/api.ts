@@ -11,6 +11,10 @@ import type {
   FetchEventsOptions,
   CheckoutCustomer,
   CheckoutResult,
+  CartItem,
+  CommerceDiscountCode,
+  WaitlistResult,
+  WaitlistOffer,
 } from './types'
 
 // ============================================
@@ -255,6 +259,111 @@ export async function registerForEvent(
   }
 }
 
+// ============================================
+// Waitlist
+// ============================================
+
+/**
+ * Join the waitlist for a sold-out event. When a registration is cancelled
+ * the next customer in line is emailed a time-limited claim link.
+ */
+export async function joinWaitlist(
+  eventId: string,
+  scheduleId: string | undefined,
+  customer: CheckoutCustomer
+): Promise<WaitlistResult> {
+  const { apiUrl, apiKey } = getApiConfig()
+  
+  try {
+    const response = await fetch(`${apiUrl}/api/public/commerce/waitlist`, {
+      method: 'POST',
+      headers: { 
+        'Content-Type': 'application/json',
+        'x-api-key': apiKey,
+      },
+      body: JSON.stringify({
+        offeringId: eventId,
+        scheduleId,
+        customer,
+      }),
+    })
+    
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({}))
+      return { success: false, error: error.message || 'Could not join the waitlist' }
+    }
+    
+    const result = await response.json()
+    
+    return {
+      success: true,
+      entry_id: result.entry_id,
+      position: result.position,
+    }
+  } catch (error) {
+    return { success: false, error: 'Network error. Please try again.' }
+  }
+}
+
+/**
+ * Look up the spot offered by a waitlist claim link
+ */
+export async function fetchWaitlistClaim(token: string): Promise<WaitlistOffer | null> {
+  const result = await apiPost<{ offer: WaitlistOffer }>(
+    '/api/public/commerce/waitlist/claim',
+    { token }
+  )
+  return result?.offer || null
+}
+
+/**
+ * Claim an offered spot. Free events are registered straight away;
+ * paid events return a checkout_url to complete payment.
+ */
+export async function claimWaitlistSpot(
+  token: string,
+  options: { successUrl?: string; cancelUrl?: string } = {}
+): Promise<CheckoutResult> {
+  const { apiUrl, apiKey } = getApiConfig()
+  
+  const analyticsSessionId = typeof sessionStorage !== 'undefined' 
+    ? sessionStorage.getItem('_uptrade_sid') 
+    : null
+  
+  try {
+    const response = await fetch(`${apiUrl}/api/public/commerce/waitlist/claim/confirm`, {
+      method: 'POST',
+      headers: { 
+        'Content-Type': 'application/json',
+        'x-api-key': apiKey,
+      },
+      body: JSON.stringify({
+        token,
+        analyticsSessionId,
+        successUrl: options.successUrl || (typeof window !== 'undefined' ? window.location.href : ''),
+        cancelUrl: options.cancelUrl || (typeof window !== 'undefined' ? window.location.href : ''),
+      }),
+    })
+    
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({}))
+      return { success: false, error: error.message || 'This spot could not be claimed' }
+    }
+    
+    const result = await response.json()
+    
+    return {
+      success: true,
+      payment_url: result.checkout_url,
+      checkout_url: result.checkout_url,
+      sale_id: result.sale_id,
+      confirmation_number: result.confirmation_number,
+    }
+  } catch (error) {
+    return { success: false, error: 'Network error. Please try again.' }
+  }
+}
+
 export interface CreateCheckoutOptions {
   offeringId: string
   variantId?: string
@@ -327,3 +436,123 @@ export async function createCheckoutSession(
     return { success: false, error: 'Network error. Please try again.' }
   }
 }
+
+// ============================================
+// Cart Checkout
+// ============================================
+
+export interface CreateCartCheckoutOptions {
+  items: Pick<CartItem, 'offering_id' | 'variant_id' | 'schedule_id' | 'quantity'>[]
+  discountCode?: string
+  customer?: CheckoutCustomer
+  successUrl?: string
+  cancelUrl?: string
+}
+
+/**
+ * Create a single checkout session covering every line in the cart.
+ * Prices and discounts are re-validated server-side; the client totals are display-only.
+ */
+export async function createCartCheckoutSession(
+  options: CreateCartCheckoutOptions
+): Promise<CheckoutResult> {
+  const { apiUrl, apiKey } = getApiConfig()
+
+  if (!apiKey) {
+    console.error('[Commerce] No API key configured')
+    return { success: false, error: 'Checkout is unavailable' }
+  }
+
+  if (options.items.length === 0) {
+    return { success: false, error: 'Your cart is empty' }
+  }
+
+  const analyticsSessionId = typeof sessionStorage !== 'undefined'
+    ? sessionStorage.getItem('_uptrade_sid')
+    : null
+
+  try {
+    const response = await fetch(`${apiUrl}/api/public/commerce/checkout`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': apiKey,
+      },
+      body: JSON.stringify({
+        lineItems: options.items.map((item) => ({
+          offeringId: item.offering_id,
+          variantId: item.variant_id,
+          scheduleId: item.schedule_id,
+          quantity: item.quantity,
+        })),
+        discountCode: options.discountCode,
+        customer: options.customer,
+        analyticsSessionId,
+        successUrl: options.successUrl || (typeof window !== 'undefined' ? window.location.href : ''),
+        cancelUrl: options.cancelUrl || (typeof window !== 'undefined' ? window.location.href : ''),
+      }),
+    })
+
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({}))
+      return { success: false, error: error.message || 'Checkout failed' }
+    }
+
+    const result = await response.json()
+
+    return {
+      success: true,
+      payment_url: result.checkout_url,
+      checkout_url: result.checkout_url,
+      sale_id: result.sale_id,
+      confirmation_number: result.confirmation_number,
+    }
+  } catch {
+    return { success: false, error: 'Network error. Please try again.' }
+  }
+}
+
+/**
+ * Look up a discount code for the current cart contents.
+ * Returns the code's rules so the cart can show the discount before checkout.
+ */
+export async function validateDiscountCode(
+  code: string,
+  items: Pick<CartItem, 'offering_id' | 'variant_id' | 'quantity'>[] = []
+): Promise<{ discount?: CommerceDiscountCode; error?: string }> {
+  const { apiUrl, apiKey } = getApiConfig()
+
+  if (!apiKey) {
+    console.error('[Commerce] No API key configured')
+    return { error: 'Discount codes are unavailable' }
+  }
+
+  try {
+    const response = await fetch(`${apiUrl}/api/public/commerce/discounts/validate`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': apiKey,
+      },
+      body: JSON.stringify({
+        code: code.trim().toUpperCase(),
+        items: items.map((item) => ({
+          offeringId: item.offering_id,
+          variantId: item.variant_id,
+          quantity: item.quantity,
+        })),
+      }),
+    })
+
+    const result = await response.json().catch(() => ({}))
+
+    if (!response.ok || !result.discount) {
+      return { error: result.message || 'This code is not valid' }
+    }
+
+    return { discount: result.discount }
+  } catch (error) {
+    console.error('[Commerce] Network error:', error)
+    return { error: 'Network error. Please try again.' }
+  }
+}
@@ -24,7 +24,12 @@ export {
   fetchUpcomingEvents,
   fetchNextEvent,
   registerForEvent,
+  joinWaitlist,
+  fetchWaitlistClaim,
+  claimWaitlistSpot,
   createCheckoutSession,
+  createCartCheckoutSession,
+  validateDiscountCode,
 } from './api'
 
 // Components
@@ -39,13 +44,19 @@ export { ProductPage } from './ProductPage'
 export { EventEmbed } from './EventEmbed'
 export { CheckoutForm } from './CheckoutForm'
 export { RegistrationForm } from './RegistrationForm'
+export { WaitlistForm } from './WaitlistForm'
+export { WaitlistClaim } from './WaitlistClaim'
 export { CalendarView } from './CalendarView'
 export { EventModal } from './EventModal'
 export { EventCalendar } from './EventCalendar'
 export { EventsWidget } from './EventsWidget'
+export { CartProvider } from './CartProvider'
+export { CartDrawer } from './CartDrawer'
+export { CartSummary } from './CartSummary'
 
 // Hooks
 export { useEventModal } from './useEventModal'
+export { useCart, useOptionalCart } from './CartProvider'
 
 // Server-side utilities (import separately for SSR)
 // import { getOfferingBySlug, getProductPaths } from '@uptrade/site-kit/commerce/server'
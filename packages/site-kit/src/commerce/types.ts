@@ -53,6 +53,11 @@ export interface CommerceOffering {
   is_virtual?: boolean
   virtual_meeting_url?: string
   
+  // Waitlist (classes/events)
+  waitlist_enabled?: boolean
+  /** Hours a waitlisted customer has to claim a freed spot */
+  waitlist_claim_hours?: number
+  
   // Booking (services)
   requires_booking?: boolean
   booking_lead_time_hours?: number
@@ -109,7 +114,9 @@ export interface CommerceSchedule {
   ends_at: string
   timezone: string
   capacity?: number
+  current_registrations?: number
   spots_remaining?: number
+  waitlist_count?: number
   status: 'scheduled' | 'cancelled' | 'completed'
   is_recurring?: boolean
 }
@@ -118,22 +125,93 @@ export interface CommerceSchedule {
 // Cart & Checkout
 // ============================================
 
+/**
+ * A line in the cart. Stores a snapshot of the offering/variant rather than
+ * the full records so the cart stays small enough for localStorage.
+ * Lines are unique per offering + variant + schedule.
+ */
 export interface CartItem {
-  offering: CommerceOffering
-  variant?: CommerceVariant
-  schedule?: CommerceSchedule
+  id: string
+  offering_id: string
+  variant_id?: string
+  schedule_id?: string
+  name: string
+  variant_name?: string
+  slug?: string
+  type: OfferingType
+  image_url?: string
+  category_id?: string
+  currency: string
   quantity: number
+  /** Upper bound from inventory, when inventory is tracked without backorders */
+  max_quantity?: number
   unit_price: number
   total_price: number
 }
 
+export type DiscountType = 'percentage' | 'fixed_amount' | 'free_shipping'
+
+/**
+ * Discount code as returned by the discount validation endpoint
+ * (managed in the portal under Commerce → Discount Codes)
+ */
+export interface CommerceDiscountCode {
+  code: string
+  discount_type: DiscountType
+  discount_value: number
+  min_order_amount?: number | null
+  max_discount_amount?: number | null
+  applies_to: 'all' | 'specific_offerings' | 'specific_categories'
+  applicable_offering_ids?: string[]
+  applicable_category_ids?: string[]
+  starts_at?: string | null
+  expires_at?: string | null
+}
+
 export interface Cart {
   items: CartItem[]
+  item_count: number
+  currency: string
   subtotal: number
+  /** Tax is calculated by the payment processor at checkout */
   tax_amount: number
   discount_amount: number
   total: number
   discount_code?: string
+  /** Why the applied code currently gives no discount (e.g. minimum not met) */
+  discount_error?: string
+}
+
+export interface AddToCartOptions {
+  variant?: CommerceVariant
+  schedule?: CommerceSchedule
+  quantity?: number
+}
+
+export interface CartCheckoutOptions {
+  customer?: CheckoutCustomer
+  successUrl?: string
+  cancelUrl?: string
+  /** Send the browser to the payment page on success (default: true) */
+  redirect?: boolean
+}
+
+export interface CartContextValue extends Cart {
+  /** False until the stored cart has been read on the client */
+  isReady: boolean
+  isOpen: boolean
+  isCheckingOut: boolean
+  discount: CommerceDiscountCode | null
+  addItem: (offering: CommerceOffering, options?: AddToCartOptions) => void
+  updateQuantity: (itemId: string, quantity: number) => void
+  removeItem: (itemId: string) => void
+  clearCart: () => void
+  applyDiscountCode: (code: string) => Promise<{ success: boolean; error?: string }>
+  removeDiscountCode: () => void
+  checkout: (options?: CartCheckoutOptions) => Promise<CheckoutResult>
+  openCart: () => void
+  closeCart: () => void
+  toggleCart: () => void
 }
 
 export interface CheckoutCustomer {
@@ -151,6 +229,31 @@ export interface CheckoutResult {
   error?: string
 }
 
+// ============================================
+// Waitlist
+// ============================================
+
+export type WaitlistEntryStatus = 'waiting' | 'offered' | 'claimed' | 'expired' | 'removed'
+
+export interface WaitlistResult {
+  success: boolean
+  entry_id?: string
+  /** 1-based place in line at the time of joining */
+  position?: number
+  error?: string
+}
+
+/**
+ * A spot offered to a waitlisted customer, looked up by the token in their claim link
+ */
+export interface WaitlistOffer {
+  status: WaitlistEntryStatus
+  offering: CommerceOffering
+  schedule: CommerceSchedule
+  customer: CheckoutCustomer
+  offer_expires_at: string
+}
+
 // ============================================
 // Component Props
 // ============================================
@@ -303,6 +406,40 @@ export interface EventEmbedProps {
   className?: string
 }
 
+export interface CartProviderProps {
+  children: React.ReactNode
+  /** localStorage key for the persisted cart */
+  storageKey?: string
+  /** Open the drawer whenever an item is added (default: true) */
+  openOnAdd?: boolean
+  successUrl?: string
+  cancelUrl?: string
+  onCheckout?: (result: CheckoutResult) => void
+}
+
+export interface CartDrawerProps {
+  title?: string
+  position?: 'left' | 'right'
+  width?: number | string
+  showDiscountCode?: boolean
+  checkoutText?: string
+  emptyMessage?: string
+  /** Used to link line items back to their product pages */
+  getItemUrl?: (item: CartItem) => string | undefined
+  className?: string
+  style?: React.CSSProperties
+}
+
+export interface CartSummaryProps {
+  showDiscountCode?: boolean
+  showCheckoutButton?: boolean
+  checkoutText?: string
+  checkoutOptions?: CartCheckoutOptions
+  onCheckoutError?: (error: string) => void
+  className?: string
+  style?: React.CSSProperties
+}
+
 export interface CheckoutFormProps {
   projectId?: string
   offering: CommerceOffering
@@ -354,6 +491,33 @@ export interface RegistrationFormProps {
   buttonClassName?: string
 }
 
+export interface WaitlistFormProps {
+  event: CommerceOffering
+  schedule?: CommerceSchedule
+  scheduleId?: string
+  title?: string
+  submitText?: string
+  successMessage?: string
+  collectPhone?: boolean
+  onSuccess?: (result: WaitlistResult) => void
+  onError?: (error: string) => void
+  className?: string
+  formClassName?: string
+  inputClassName?: string
+  buttonClassName?: string
+}
+
+export interface WaitlistClaimProps {
+  /** Token from the claim link emailed to the customer */
+  token: string
+  /** Where paid events return after checkout */
+  successUrl?: string
+  cancelUrl?: string
+  onClaimed?: (result: CheckoutResult) => void
+  onError?: (error: string) => void
+  className?: string
+}
+
 // ============================================
 // API Types
 // ============================================
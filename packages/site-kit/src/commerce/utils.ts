@@ -2,6 +2,15 @@
  * @uptrade/site-kit/commerce - Utility functions
  */
 
+import type {
+  Cart,
+  CartItem,
+  CommerceDiscountCode,
+  CommerceOffering,
+  CommerceSchedule,
+  AddToCartOptions,
+} from './types'
+
 export function formatPrice(amount: number, currency: string = 'USD'): string {
   return new Intl.NumberFormat('en-US', {
     style: 'currency',
@@ -92,6 +101,39 @@ export function isEventSoldOut(
   return remaining !== null && remaining <= 0
 }
 
+/**
+ * Sold-out check for a schedule, preferring the API's spots_remaining when present
+ */
+export function isScheduleFull(
+  schedule: Pick<CommerceSchedule, 'capacity' | 'current_registrations' | 'spots_remaining'>
+): boolean {
+  if (schedule.spots_remaining != null) return schedule.spots_remaining <= 0
+  return isEventSoldOut(schedule.capacity, schedule.current_registrations)
+}
+
+/**
+ * Whether a sold-out schedule should offer "Join waitlist" instead of registration
+ */
+export function isWaitlistOpen(
+  offering: Pick<CommerceOffering, 'waitlist_enabled'>,
+  schedule: Pick<CommerceSchedule, 'capacity' | 'current_registrations' | 'spots_remaining' | 'status'> | null | undefined
+): boolean {
+  if (!offering.waitlist_enabled || !schedule || schedule.status !== 'scheduled') return false
+  return isScheduleFull(schedule)
+}
+
+/**
+ * Time left on a waitlist claim, e.g. "5h 20m left". Returns null once expired.
+ */
+export function formatClaimTimeRemaining(expiresAt: string, now: Date = new Date()): string | null {
+  const diffMinutes = Math.floor((new Date(expiresAt).getTime() - now.getTime()) / 60000)
+  if (diffMinutes <= 0) return null
+  if (diffMinutes < 60) return `${diffMinutes}m left`
+  const hours = Math.floor(diffMinutes / 60)
+  const minutes = diffMinutes % 60
+  return minutes ? `${hours}h ${minutes}m left` : `${hours}h left`
+}
+
 export function getOfferingUrl(
   slug: string, 
   type: string,
@@ -112,3 +154,132 @@ export function getOfferingUrl(
   const base = paths[type as keyof typeof paths] || '/offerings'
   return `${base}/${slug}`
 }
+
+// ============================================
+// Cart
+// ============================================
+
+function roundCurrency(amount: number): number {
+  return Math.round(amount * 100) / 100
+}
+
+/**
+ * Stable line id - the same offering/variant/schedule always lands on one line
+ */
+export function getCartItemId(offeringId: string, variantId?: string, scheduleId?: string): string {
+  return [offeringId, variantId || '', scheduleId || ''].join(':')
+}
+
+/**
+ * Snapshot an offering (and optional variant/schedule) into a cart line
+ */
+export function createCartItem(
+  offering: CommerceOffering,
+  options: AddToCartOptions = {}
+): CartItem {
+  const { variant, schedule } = options
+  const requested = Math.max(1, Math.floor(options.quantity ?? 1))
+  const unitPrice = variant?.price ?? offering.price ?? 0
+
+  let maxQuantity: number | undefined
+  if (offering.track_inventory && !offering.allow_backorder) {
+    maxQuantity = variant?.inventory_count ?? offering.inventory_count
+  }
+  if (schedule?.spots_remaining != null) {
+    maxQuantity = Math.min(maxQuantity ?? Infinity, schedule.spots_remaining)
+  }
+  const quantity = maxQuantity != null ? Math.min(requested, maxQuantity) : requested
+
+  return {
+    id: getCartItemId(offering.id, variant?.id, schedule?.id),
+    offering_id: offering.id,
+    variant_id: variant?.id,
+    schedule_id: schedule?.id,
+    name: offering.name,
+    variant_name: variant?.name,
+    slug: offering.slug,
+    type: offering.type,
+    image_url: variant?.image_url || offering.featured_image_url,
+    category_id: offering.category_id || offering.category?.id,
+    currency: offering.currency || 'USD',
+    quantity,
+    max_quantity: maxQuantity,
+    unit_price: unitPrice,
+    total_price: roundCurrency(unitPrice * quantity),
+  }
+}
+
+/**
+ * Work out what a discount code is worth against the given lines.
+ * Mirrors the server rules so the cart can show the saving before checkout;
+ * the server recalculates when the checkout session is created.
+ */
+export function calculateDiscountAmount(
+  discount: CommerceDiscountCode,
+  items: CartItem[],
+  now: Date = new Date()
+): { amount: number; error?: string } {
+  if (discount.starts_at && new Date(discount.starts_at) > now) {
+    return { amount: 0, error: 'This code is not active yet' }
+  }
+  if (discount.expires_at && new Date(discount.expires_at) < now) {
+    return { amount: 0, error: 'This code has expired' }
+  }
+
+  const subtotal = items.reduce((sum, item) => sum + item.total_price, 0)
+  if (discount.min_order_amount && subtotal < discount.min_order_amount) {
+    return {
+      amount: 0,
+      error: `Spend ${formatPrice(discount.min_order_amount, items[0]?.currency)} or more to use this code`,
+    }
+  }
+
+  const eligible = items.filter((item) => {
+    if (discount.applies_to === 'specific_offerings') {
+      return (discount.applicable_offering_ids || []).includes(item.offering_id)
+    }
+    if (discount.applies_to === 'specific_categories') {
+      return !!item.category_id && (discount.applicable_category_ids || []).includes(item.category_id)
+    }
+    return true
+  })
+  const eligibleSubtotal = eligible.reduce((sum, item) => sum + item.total_price, 0)
+
+  if (eligibleSubtotal <= 0) {
+    return { amount: 0, error: 'This code does not apply to items in your cart' }
+  }
+
+  let amount = 0
+  if (discount.discount_type === 'percentage') {
+    amount = eligibleSubtotal * (discount.discount_value / 100)
+  } else if (discount.discount_type === 'fixed_amount') {
+    amount = discount.discount_value
+  }
+  // free_shipping is applied to the shipping line at checkout
+
+  if (discount.max_discount_amount) {
+    amount = Math.min(amount, discount.max_discount_amount)
+  }
+
+  return { amount: roundCurrency(Math.min(amount, eligibleSubtotal)) }
+}
+
+/**
+ * Totals for a set of cart lines with an optional discount code applied
+ */
+export function summarizeCart(items: CartItem[], discount?: CommerceDiscountCode | null): Cart {
+  const subtotal = roundCurrency(items.reduce((sum, item) => sum + item.total_price, 0))
+  const result = discount ? calculateDiscountAmount(discount, items) : { amount: 0 }
+
+  return {
+    items,
+    item_count: items.reduce((sum, item) => sum + item.quantity, 0),
+    currency: items[0]?.currency || 'USD',
+    subtotal,
+    tax_amount: 0,
+    discount_amount: result.amount,
+    total: roundCurrency(Math.max(0, subtotal - result.amount)),
+    discount_code: discount?.code,
+    discount_error: result.error,
+  }
+}
@@ -53,7 +53,15 @@ export type { SiteKitConfig } from './types'
 
 // Re-export module types for convenience
 export type { ManagedMetadataResult, ManagedSchemaProps, ManagedFAQData } from './seo/types'
-export type { AnalyticsConfig, AnalyticsEvent, PageView } from './analytics/types'
+export type {
+  AnalyticsConfig,
+  AnalyticsEvent,
+  PageView,
+  ConsentCategory,
+  ConsentConfig,
+  ConsentPreferences,
+  ConsentState,
+} from './analytics/types'
 export type { EngageElement, WidgetConfig, ChatConfig } from './engage/types'
 export type { ManagedFormConfig, FormSubmission, FormField } from './forms/types'
 export type { BlogPost as BlogPostType, BlogAuthor, BlogCategory } from './blog/types'
@@ -65,6 +73,10 @@ export type {
   OfferingType,
   Cart,
   CartItem,
+  CommerceDiscountCode,
+  CartContextValue,
+  WaitlistResult,
+  WaitlistOffer,
 } from './commerce/types'
 
 // Commerce module exports
@@ -78,11 +90,17 @@ export {
   EventEmbed,
   CheckoutForm,
   RegistrationForm,
+  WaitlistForm,
+  WaitlistClaim,
   CalendarView,
   EventModal,
   EventCalendar,
+  CartProvider,
+  CartDrawer,
+  CartSummary,
   // Hooks
   useEventModal,
+  useCart,
   // API functions
   fetchOfferings,
   fetchOffering,
@@ -91,7 +109,10 @@ export {
   fetchUpcomingEvents,
   fetchNextEvent,
   createCheckoutSession,
+  createCartCheckoutSession,
   registerForEvent,
+  joinWaitlist,
+  claimWaitlistSpot,
   // Utils
   formatPrice,
   formatDate,
@@ -125,8 +146,17 @@ export {
   fetchRedirectRules,
   generateNextRedirects,
   clearRedirectCache,
+  matchRedirect,
+  resolveRedirectChain,
+} from './redirects'
+export type {
+  RedirectRule,
+  RedirectConfig,
+  RedirectMatchType,
+  RedirectQueryHandling,
+  RedirectMatch,
+  RedirectChainResult,
 } from './redirects'
-export type { RedirectRule, RedirectConfig } from './redirects'
 
 // Images module exports
 export {
@@ -193,6 +223,7 @@ export type {
 // Sync module exports (Booking Widget)
 export {
   BookingWidget,
+  ManageBooking,
   fetchBookingTypes,
   fetchBookingTypeDetails,
   fetchAvailability,
@@ -200,6 +231,10 @@ export {
   createSlotHold,
   releaseSlotHold,
   createBooking,
+  fetchManagedBooking,
+  rescheduleBooking,
+  cancelManagedBooking,
+  getGuestChangePolicy,
   detectTimezone,
   formatTime as formatBookingTime,
   formatDate as formatBookingDate,
@@ -212,6 +247,9 @@ export type {
   SlotHold,
   BookingResult,
   BookingWidgetProps,
+  ManagedBooking,
+  GuestChangePolicy,
+  ManageBookingProps,
   GuestInfo,
   SyncWidgetConfig,
 } from './sync'
@@ -18,15 +18,47 @@
  *   
  *   return NextResponse.next()
  * }
+ *
+ * Rules can be exact paths, wildcards (/blog/*), named parameters
+ * (/product/:slug) or regexes with $1 substitution - see ./matcher.
+ * Chains (A -> B -> C) are collapsed into a single redirect to C.
  */
 
 import { NextRequest, NextResponse } from 'next/server'
+import {
+  resolveRedirectChain,
+  toNextRedirect,
+  type RedirectMatchType,
+  type RedirectQueryHandling,
+} from './matcher'
+
+export {
+  compileRedirectRule,
+  compileRedirectRules,
+  getMatchType,
+  matchRedirect,
+  resolveRedirectChain,
+  toNextRedirect,
+} from './matcher'
+export type {
+  RedirectMatchType,
+  RedirectQueryHandling,
+  RedirectMatch,
+  RedirectChainResult,
+  CompiledRedirectRule,
+} from './matcher'
 
 export interface RedirectRule {
   from_path: string
   to_path: string
   redirect_type: '301' | '302' | '307' | '308'
   is_enabled: boolean
+  /** How from_path is interpreted (default: exact) */
+  match_type?: RedirectMatchType
+  /** What happens to the visitor's query string (default: keep) */
+  query_handling?: RedirectQueryHandling
+  /** Legacy - same as match_type: 'regex' */
+  is_regex?: boolean
 }
 
 export interface RedirectConfig {
@@ -98,41 +130,29 @@ export async function handleManagedRedirects(
   }
 
   const rules = await fetchRedirectRules(config)
-  
-  // Find matching redirect
-  const match = rules.find(r => {
-    // Exact match
-    if (r.from_path === pathname) return true
-    
-    // Match with trailing slash variance
-    const normalizedFrom = r.from_path.endsWith('/') 
-      ? r.from_path.slice(0, -1) 
-      : r.from_path
-    const normalizedPath = pathname.endsWith('/') 
-      ? pathname.slice(0, -1) 
-      : pathname
-    
-    return normalizedFrom === normalizedPath
+
+  // Follow the whole chain so visitors land on the final URL in one hop
+  const result = resolveRedirectChain(pathname, request.nextUrl.search, rules, {
+    origin: request.nextUrl.origin,
   })
 
-  if (!match) {
+  if (!result) {
     return undefined
   }
 
-  // Build redirect URL
-  const redirectUrl = new URL(match.to_path, request.url)
-  
-  // Preserve query params
-  request.nextUrl.searchParams.forEach((value, key) => {
-    redirectUrl.searchParams.set(key, value)
-  })
+  if (result.loop) {
+    console.error(`[site-kit] Redirect loop detected for ${pathname}:`, result.hops.map(h => h.rule.from_path).join(' -> '))
+    return undefined
+  }
 
-  // Track hit (fire and forget)
-  trackRedirectHit(config, match.from_path).catch(() => {})
+  const redirectUrl = new URL(result.destination, request.url)
 
-  // Return redirect response
-  const statusCode = parseInt(match.redirect_type) as 301 | 302 | 307 | 308
-  return NextResponse.redirect(redirectUrl, statusCode)
+  // Track hits for every rule in the chain (fire and forget)
+  for (const hop of result.hops) {
+    trackRedirectHit(config, hop.rule.from_path).catch(() => {})
+  }
+
+  return NextResponse.redirect(redirectUrl, result.statusCode)
 }
 
 /**
@@ -174,12 +194,30 @@ export async function generateNextRedirects(config: RedirectConfig): Promise<Arr
   permanent: boolean
 }>> {
   const rules = await fetchRedirectRules({ ...config, cacheSeconds: 0 })
-  
-  return rules.map(r => ({
-    source: r.from_path,
-    destination: r.to_path,
-    permanent: r.redirect_type === '301' || r.redirect_type === '308',
-  }))
+  const redirects: Array<{ source: string; destination: string; permanent: boolean }> = []
+
+  for (const rule of rules) {
+    const converted = toNextRedirect(rule)
+    // Regex rules and dropped query strings need handleManagedRedirects in middleware
+    if (!converted) continue
+
+    let { destination } = converted
+    let permanent = rule.redirect_type === '301' || rule.redirect_type === '308'
+
+    // Collapse chains when the destination is a plain path we can resolve now
+    if (!/[:*$]/.test(rule.to_path) && rule.to_path.startsWith('/')) {
+      const [path, query = ''] = rule.to_path.split('?')
+      const chain = resolveRedirectChain(path, query, rules)
+      if (chain && !chain.loop) {
+        destination = chain.destination
+        permanent = permanent && (chain.statusCode === 301 || chain.statusCode === 308)
+      }
+    }
+
+    redirects.push({ source: converted.source, destination, permanent })
+  }
+
+  return redirects
 }
 
 /**
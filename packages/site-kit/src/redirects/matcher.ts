@@ -0,0 +1,381 @@
+/**
+ * Redirect rule matching
+ *
+ * Pure helpers shared by the middleware and build-time redirect generation.
+ * No Next.js imports so they can run anywhere (edge, node, tests).
+ *
+ * Rule types:
+ * - exact:    /old-page             (trailing slash ignored)
+ * - wildcard: /blog/*               -> /articles/*   (or :splat / $1)
+ * - param:    /product/:slug        -> /shop/:slug   (:name* matches the rest of the path)
+ * - regex:    ^/p/(\d+)/(.*)$       -> /posts/$1/$2  (named groups via $<name>)
+ *
+ * Query handling:
+ * - keep:  forward the visitor's query string, their values win on a clash (default)
+ * - merge: forward the visitor's query string, to_path's own values win on a clash
+ * - drop:  discard the visitor's query string
+ */
+
+export type RedirectMatchType = 'exact' | 'wildcard' | 'param' | 'regex'
+export type RedirectQueryHandling = 'keep' | 'drop' | 'merge'
+
+export interface MatchableRedirectRule {
+  from_path: string
+  to_path: string
+  redirect_type: '301' | '302' | '307' | '308'
+  match_type?: RedirectMatchType
+  query_handling?: RedirectQueryHandling
+  /** Legacy flag from older Portal rules - same as match_type: 'regex' */
+  is_regex?: boolean
+}
+
+export interface CompiledRedirectRule<T extends MatchableRedirectRule = MatchableRedirectRule> {
+  rule: T
+  matchType: RedirectMatchType
+  /** null when the pattern is invalid - the rule never matches */
+  pattern: RegExp | null
+  /** Capture names in group order (positional groups get their index) */
+  names: string[]
+  error?: string
+}
+
+export interface RedirectMatch<T extends MatchableRedirectRule = MatchableRedirectRule> {
+  rule: T
+  /** Path + query of the destination after substitution and query handling */
+  destination: string
+  params: Record<string, string>
+}
+
+export interface RedirectChainResult<T extends MatchableRedirectRule = MatchableRedirectRule> {
+  /** Final destination after following every hop */
+  destination: string
+  /** Rules applied, in order */
+  hops: RedirectMatch<T>[]
+  /** Status code to use for the collapsed redirect */
+  statusCode: 301 | 302 | 307 | 308
+  /** True when the chain comes back to a URL it already visited */
+  loop: boolean
+}
+
+const DEFAULT_MAX_HOPS = 10
+const PLACEHOLDER_ORIGIN = 'http://redirect.local'
+
+// ============================================
+// Compilation
+// ============================================
+
+export function getMatchType(rule: MatchableRedirectRule): RedirectMatchType {
+  if (rule.match_type) return rule.match_type
+  return rule.is_regex ? 'regex' : 'exact'
+}
+
+function escapeRegex(value: string): string {
+  return value.replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+}
+
+function stripTrailingSlash(path: string): string {
+  return path.length > 1 && path.endsWith('/') ? path.slice(0, -1) : path
+}
+
+/**
+ * Turn a wildcard or named-parameter pattern into a regex.
+ * `*` captures anything (including slashes), `:name` one segment, `:name*` the rest.
+ */
+function compilePathPattern(pattern: string): { source: string; names: string[] } {
+  const names: string[] = []
+  let wildcardCount = 0
+  let source = ''
+
+  const tokens = stripTrailingSlash(pattern).split(/(:[A-Za-z_][A-Za-z0-9_]*\*?|\*)/)
+  for (const token of tokens) {
+    if (!token) continue
+    if (token === '*') {
+      names.push(wildcardCount === 0 ? 'splat' : `splat${wildcardCount}`)
+      wildcardCount++
+      source += '(.*)'
+    } else if (token.startsWith(':')) {
+      const rest = token.endsWith('*')
+      names.push(token.slice(1, rest ? -1 : undefined))
+      source += rest ? '(.*)' : '([^/]+)'
+    } else {
+      source += escapeRegex(token)
+    }
+  }
+
+  return { source: `^${source}/?$`, names }
+}
+
+export function compileRedirectRule<T extends MatchableRedirectRule>(rule: T): CompiledRedirectRule<T> {
+  const matchType = getMatchType(rule)
+
+  try {
+    if (matchType === 'exact') {
+      return {
+        rule,
+        matchType,
+        pattern: new RegExp(`^${escapeRegex(stripTrailingSlash(rule.from_path))}/?$`),
+        names: [],
+      }
+    }
+
+    if (matchType === 'regex') {
+      let source = rule.from_path
+      if (!source.startsWith('^')) source = `^${source}`
+      if (!source.endsWith('$')) source = `${source}$`
+      const pattern = new RegExp(source)
+      // Count capture groups so $1..$n line up with the match array
+      const groupCount = new RegExp(`${source}|`).exec('')!.length - 1
+      return { rule, matchType, pattern, names: Array.from({ length: groupCount }, (_, i) => String(i + 1)) }
+    }
+
+    const { source, names } = compilePathPattern(rule.from_path)
+    return { rule, matchType, pattern: new RegExp(source), names }
+  } catch (error) {
+    return { rule, matchType, pattern: null, names: [], error: (error as Error).message }
+  }
+}
+
+interface RuleIndex<T extends MatchableRedirectRule> {
+  ordered: CompiledRedirectRule<T>[]
+  /** Exact rules keyed by path without trailing slash - first rule wins */
+  exact: Map<string, CompiledRedirectRule<T>>
+  patterns: CompiledRedirectRule<T>[]
+}
+
+const indexCache = new WeakMap<readonly MatchableRedirectRule[], RuleIndex<MatchableRedirectRule>>()
+
+function getRuleIndex<T extends MatchableRedirectRule>(rules: readonly T[]): RuleIndex<T> {
+  const cached = indexCache.get(rules)
+  if (cached) return cached as unknown as RuleIndex<T>
+
+  const compiled = rules.map(compileRedirectRule)
+  const exact = new Map<string, CompiledRedirectRule<T>>()
+  const patterns: CompiledRedirectRule<T>[] = []
+  for (const c of compiled) {
+    if (c.matchType !== 'exact') {
+      patterns.push(c)
+    } else {
+      const key = stripTrailingSlash(c.rule.from_path)
+      if (!exact.has(key)) exact.set(key, c)
+    }
+  }
+
+  const index = { ordered: [...exact.values(), ...patterns], exact, patterns }
+  indexCache.set(rules, index as unknown as RuleIndex<MatchableRedirectRule>)
+  return index
+}
+
+/**
+ * Compile a rule set once. Exact rules are checked before patterns so a
+ * specific redirect always beats a catch-all; otherwise rules keep their order.
+ */
+export function compileRedirectRules<T extends MatchableRedirectRule>(rules: readonly T[]): CompiledRedirectRule<T>[] {
+  return getRuleIndex(rules).ordered
+}
+
+// ============================================
+// Matching
+// ============================================
+
+/**
+ * Fill captures into to_path. Regex rules use $1..$n and $<name>;
+ * wildcard and param rules also accept :name and * (or :splat).
+ */
+function substitute(
+  template: string,
+  matchType: RedirectMatchType,
+  values: string[],
+  params: Record<string, string>,
+): string {
+  if (matchType === 'exact') return template
+
+  const tokens = matchType === 'regex'
+    ? /\$(\d+)|\$<([A-Za-z_][A-Za-z0-9_]*)>/g
+    : /\$(\d+)|\$<([A-Za-z_][A-Za-z0-9_]*)>|:([A-Za-z_][A-Za-z0-9_]*)\*?|\*/g
+  let wildcardIndex = 0
+
+  return template.replace(tokens, (token, index, groupName, paramName) => {
+    if (index !== undefined) return values[Number(index) - 1] ?? ''
+    if (groupName !== undefined) return params[groupName] ?? ''
+    if (paramName !== undefined) {
+      // Leave things like the port in https://host:8080 alone
+      return paramName in params ? params[paramName] : token
+    }
+    const key = wildcardIndex === 0 ? 'splat' : `splat${wildcardIndex}`
+    wildcardIndex++
+    return params[key] ?? ''
+  })
+}
+
+function applyQueryHandling(destination: string, search: string, handling: RedirectQueryHandling): string {
+  const incoming = new URLSearchParams(search)
+  if (handling === 'drop' || Array.from(incoming.keys()).length === 0) return destination
+
+  const hashIndex = destination.indexOf('#')
+  const hash = hashIndex >= 0 ? destination.slice(hashIndex) : ''
+  const withoutHash = hashIndex >= 0 ? destination.slice(0, hashIndex) : destination
+  const queryIndex = withoutHash.indexOf('?')
+  const base = queryIndex >= 0 ? withoutHash.slice(0, queryIndex) : withoutHash
+  const params = new URLSearchParams(queryIndex >= 0 ? withoutHash.slice(queryIndex + 1) : '')
+
+  incoming.forEach((value, key) => {
+    if (handling === 'keep' || !params.has(key)) params.set(key, value)
+  })
+
+  const query = params.toString()
+  return `${base}${query ? `?${query}` : ''}${hash}`
+}
+
+/**
+ * Find the first rule matching a path and build its destination.
+ * `search` is the request's query string (with or without the leading "?").
+ */
+export function matchRedirect<T extends MatchableRedirectRule>(
+  pathname: string,
+  search: string,
+  rules: readonly T[],
+): RedirectMatch<T> | null {
+  const { exact, patterns } = getRuleIndex(rules)
+
+  // Exact rules are a plain lookup, so large imported rule sets stay cheap
+  const exactMatch = exact.get(stripTrailingSlash(pathname))
+  if (exactMatch) {
+    return {
+      rule: exactMatch.rule,
+      destination: applyQueryHandling(exactMatch.rule.to_path, search, exactMatch.rule.query_handling || 'keep'),
+      params: {},
+    }
+  }
+
+  for (const compiled of patterns) {
+    if (!compiled.pattern) continue
+    const result = compiled.pattern.exec(pathname)
+    if (!result) continue
+
+    const values = result.slice(1).map(v => v ?? '')
+    const params: Record<string, string> = { ...(result.groups || {}) }
+    compiled.names.forEach((name, i) => {
+      params[name] = values[i]
+    })
+
+    const destination = applyQueryHandling(
+      substitute(compiled.rule.to_path, compiled.matchType, values, params),
+      search,
+      compiled.rule.query_handling || 'keep',
+    )
+    return { rule: compiled.rule, destination, params }
+  }
+  return null
+}
+
+// ============================================
+// Chains
+// ============================================
+
+function isPermanent(type: string): boolean {
+  return type === '301' || type === '308'
+}
+
+/**
+ * Follow a redirect through every rule it triggers so A -> B -> C goes
+ * straight to C. Destinations on another host end the chain.
+ *
+ * The collapsed redirect is only permanent when every hop is; otherwise the
+ * first temporary hop's status is used so browsers don't cache a temporary move.
+ */
+export function resolveRedirectChain<T extends MatchableRedirectRule>(
+  pathname: string,
+  search: string,
+  rules: readonly T[],
+  options: { origin?: string; maxHops?: number } = {},
+): RedirectChainResult<T> | null {
+  const origin = options.origin || PLACEHOLDER_ORIGIN
+  const maxHops = options.maxHops ?? DEFAULT_MAX_HOPS
+  const hops: RedirectMatch<T>[] = []
+  const visited = new Set<string>([`${stripTrailingSlash(pathname)}${search ? `?${search.replace(/^\?/, '')}` : ''}`])
+
+  let currentPath = pathname
+  let currentSearch = search
+  let loop = false
+
+  for (;;) {
+    const match = matchRedirect(currentPath, currentSearch, rules)
+    if (!match) break
+    // Still redirecting after maxHops means we never settle - treat it like a loop
+    if (hops.length >= maxHops) {
+      loop = true
+      break
+    }
+    hops.push(match)
+
+    let next: URL
+    try {
+      next = new URL(match.destination, `${origin}${currentPath}`)
+    } catch {
+      break
+    }
+    if (next.origin !== new URL(origin).origin) break
+
+    const key = `${stripTrailingSlash(next.pathname)}${next.search}`
+    if (visited.has(key)) {
+      loop = true
+      break
+    }
+    visited.add(key)
+    currentPath = next.pathname
+    currentSearch = next.search
+  }
+
+  if (hops.length === 0) return null
+
+  const firstTemporary = hops.find(h => !isPermanent(h.rule.redirect_type))
+  const statusCode = parseInt((firstTemporary || hops[0]).rule.redirect_type) as 301 | 302 | 307 | 308
+
+  return {
+    destination: hops[hops.length - 1].destination,
+    hops,
+    statusCode,
+    loop,
+  }
+}
+
+// ============================================
+// Next.js config conversion
+// ============================================
+
+/**
+ * Convert a rule to next.config.js `redirects()` syntax.
+ * Returns null for rules Next can't express (regex rules, dropped query strings) -
+ * those still work through handleManagedRedirects in middleware.
+ */
+export function toNextRedirect(rule: MatchableRedirectRule): { source: string; destination: string } | null {
+  const matchType = getMatchType(rule)
+  // Next always forwards the query string
+  if (matchType === 'regex' || rule.query_handling === 'drop') return null
+  if (matchType === 'exact') return { source: rule.from_path, destination: rule.to_path }
+
+  let wildcardCount = 0
+  const positional: string[] = []
+  const source = rule.from_path.replace(/:([A-Za-z_][A-Za-z0-9_]*)(\*?)|\*/g, (token, name, rest) => {
+    if (name !== undefined) {
+      positional.push(rest ? `:${name}*` : `:${name}`)
+      return token
+    }
+    const param = wildcardCount === 0 ? 'splat' : `splat${wildcardCount}`
+    wildcardCount++
+    positional.push(`:${param}*`)
+    return `:${param}*`
+  })
+
+  let destinationWildcard = 0
+  const destination = rule.to_path
+    .replace(/\$(\d+)/g, (_, index) => positional[Number(index) - 1] ?? '')
+    .replace(/:(splat\d*)\b\*?|\*/g, (token, name) => {
+      if (name) return `:${name}*`
+      const param = destinationWildcard === 0 ? 'splat' : `splat${destinationWildcard}`
+      destinationWildcard++
+      return `:${param}*`
+    })
+
+  return { source, destination }
+}
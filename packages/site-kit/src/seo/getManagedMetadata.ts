@@ -192,12 +192,21 @@ export async function getABVariant(
 /**
  * Get managed metadata with A/B test support
  * 
- * Automatically applies running A/B test variants to metadata
+ * Automatically applies running A/B test variants to metadata. Without a
+ * sessionId, the visitor ID from the signed experiment cookie (see
+ * handleSignalExperiments) is used, so each visitor keeps the same title.
  */
 export async function getManagedMetadataWithAB(
   options: GetManagedMetadataOptions & { sessionId?: string }
 ): Promise<ManagedMetadataResult> {
-  const { sessionId, ...metadataOptions } = options
+  const { sessionId: providedSessionId, ...metadataOptions } = options
+  let sessionId = providedSessionId
+  if (!sessionId) {
+    // Loaded lazily: signal/server pulls in next/headers, which must stay out
+    // of the seo entry (it also exports client components)
+    const { getExperimentCookie } = await import('../signal/server')
+    sessionId = (await getExperimentCookie())?.v
+  }
   
   // Get base metadata
   const metadata = await getManagedMetadata(metadataOptions)
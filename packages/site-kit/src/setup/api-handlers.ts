@@ -257,6 +257,7 @@ export async function handleMigrate(req: NextRequest): Promise<NextResponse> {
   try {
     // Wrap item into ScanResults format
     const scanResults = { 
+      framework: 'nextjs' as const,
       forms: [item], 
       metadata: [], 
       widgets: [], 
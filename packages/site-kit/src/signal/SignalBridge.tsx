@@ -3,6 +3,10 @@
  * 
  * Central coordination layer for Signal AI integration.
  * Handles config fetching, SSE streaming, experiment assignment, and outcome tracking.
+ *
+ * Experiment assignments come from the signed cookie written by
+ * handleSignalExperiments (./server) when the site uses it, falling back to
+ * the assignment API per experiment.
  */
 
 'use client'
@@ -16,6 +20,7 @@ import type {
   SignalOutcome,
   ExperimentAssignment 
 } from './types'
+import { EXPERIMENT_COOKIE, readExperimentCookie, toExperimentAssignments } from './assignment'
 
 // ============================================
 // Context
@@ -45,9 +50,19 @@ function getApiConfig() {
   return { apiUrl, apiKey }
 }
 
+function getExperimentCookie() {
+  if (typeof document === 'undefined') return null
+  const match = document.cookie.match(new RegExp(`(?:^|;\\s*)${EXPERIMENT_COOKIE}=([^;]*)`))
+  return match ? readExperimentCookie(decodeURIComponent(match[1])) : null
+}
+
 function getVisitorId(): string {
   if (typeof window === 'undefined') return ''
   
+  // Assignments made in middleware are keyed to the cookie's visitor
+  const cookieVisitorId = getExperimentCookie()?.v
+  if (cookieVisitorId) return cookieVisitorId
+  
   const key = '_uptrade_vid'
   let visitorId = localStorage.getItem(key)
   
@@ -111,6 +126,7 @@ export function SignalBridge({
   realtime = true,
   experiments = true,
   behaviorTracking = true,
+  initialAssignments,
   children,
 }: SignalBridgeProps) {
   const [config, setConfig] = useState<SignalConfig | null>(null)
@@ -121,7 +137,9 @@ export function SignalBridge({
   const eventSourceRef = useRef<EventSource | null>(null)
   const eventQueueRef = useRef<Partial<SignalEvent>[]>([])
   const flushTimeoutRef = useRef<NodeJS.Timeout | null>(null)
-  const assignmentsRef = useRef<Map<string, ExperimentAssignment>>(new Map())
+  const assignmentsRef = useRef<Map<string, ExperimentAssignment>>(
+    new Map((initialAssignments || []).map(a => [a.experiment_id, a]))
+  )
   
   // Behavioral tracking state
   const pageLoadTimeRef = useRef<number>(Date.now())
@@ -230,7 +248,15 @@ export function SignalBridge({
   // ============================================
   
   const loadExperimentAssignment = useCallback(async (experimentId: string): Promise<ExperimentAssignment | null> => {
-    // Check localStorage first
+    // Assigned at the edge - no need to ask the API
+    const cookie = getExperimentCookie()
+    if (cookie?.a[experimentId]) {
+      const assignment = toExperimentAssignments(cookie).find(a => a.experiment_id === experimentId)!
+      assignmentsRef.current.set(experimentId, assignment)
+      return assignment
+    }
+    
+    // Then localStorage
     const storageKey = `_signal_exp_${experimentId}`
     const stored = localStorage.getItem(storageKey)
     
@@ -493,9 +519,10 @@ export function useSignalExperiment(experimentId: string): {
   const { getExperiment, config } = useSignal()
   const assignment = getExperiment(experimentId)
   
-  // Check if experiment is running
+  // Check if experiment is running. Until config loads, trust the
+  // assignment we already have (server/cookie) so SSR shows the variant.
   const experiment = config?.experiments?.find(e => e.id === experimentId)
-  const isRunning = experiment?.status === 'running'
+  const isRunning = config ? experiment?.status === 'running' : !!assignment
   
   return {
     assignment: isRunning ? assignment : null,
@@ -0,0 +1,198 @@
+/**
+ * @uptrade/site-kit/signal - Experiment Assignment
+ *
+ * Deterministic variant assignment and the signed experiment cookie.
+ * Shared by the middleware helper (./server), server components and
+ * SignalBridge, so it only relies on Web Crypto - no Node or Next APIs.
+ */
+
+import type { ExperimentAssignment, ExperimentConfig, ExperimentCookiePayload } from './types'
+
+// ============================================
+// Constants
+// ============================================
+
+/** Signed cookie holding the visitor's experiment assignments */
+export const EXPERIMENT_COOKIE = '_uptrade_exp'
+
+/** How long an assignment sticks (30 days) */
+export const DEFAULT_EXPERIMENT_MAX_AGE = 60 * 60 * 24 * 30
+
+// ============================================
+// Assignment
+// ============================================
+
+/**
+ * FNV-1a hash of the input mapped to a bucket in [0, 1). The murmur3
+ * finalizer spreads IDs that only differ in their last few characters.
+ */
+export function hashToUnit(input: string): number {
+  let hash = 0x811c9dc5
+  for (let i = 0; i < input.length; i++) {
+    hash ^= input.charCodeAt(i)
+    hash = Math.imul(hash, 0x01000193)
+  }
+  hash ^= hash >>> 16
+  hash = Math.imul(hash, 0x85ebca6b)
+  hash ^= hash >>> 13
+  hash = Math.imul(hash, 0xc2b2ae35)
+  hash ^= hash >>> 16
+  return (hash >>> 0) / 0x100000000
+}
+
+/**
+ * Whether an experiment applies to a request. Page targets accept exact
+ * paths and trailing wildcards (/blog/*); segments are resolved by the API,
+ * so they're ignored here.
+ */
+export function isExperimentTargeted(
+  experiment: ExperimentConfig,
+  context: { path?: string; device?: 'desktop' | 'mobile' | 'tablet' } = {},
+): boolean {
+  const { pages, devices } = experiment.target || {}
+
+  if (devices?.length && context.device && !devices.includes(context.device)) {
+    return false
+  }
+
+  if (pages?.length && context.path) {
+    return pages.some(page => page.endsWith('*')
+      ? context.path!.startsWith(page.slice(0, -1))
+      : context.path === page)
+  }
+
+  return true
+}
+
+/**
+ * Pick a variant for a visitor. The same visitor always lands in the same
+ * variant (and the same side of traffic_allocation), so re-assigning after a
+ * lost cookie doesn't move anyone. Returns null for visitors outside the
+ * experiment's traffic allocation.
+ */
+export function assignVariant(experiment: ExperimentConfig, visitorId: string): string | null {
+  const variants = experiment.variants || []
+  if (variants.length === 0) return null
+
+  const allocation = experiment.traffic_allocation ?? 1
+  if (hashToUnit(`alloc:${experiment.id}:${visitorId}`) >= allocation) {
+    return null
+  }
+
+  const total = variants.reduce((sum, v) => sum + Math.max(v.weight || 0, 0), 0)
+  if (total <= 0) return variants[0].key
+
+  const bucket = hashToUnit(`variant:${experiment.id}:${visitorId}`) * total
+  let cumulative = 0
+  for (const variant of variants) {
+    cumulative += Math.max(variant.weight || 0, 0)
+    if (bucket < cumulative) return variant.key
+  }
+
+  return variants[variants.length - 1].key
+}
+
+/**
+ * Expand a cookie payload into the assignments SignalBridge works with
+ */
+export function toExperimentAssignments(payload: ExperimentCookiePayload): ExperimentAssignment[] {
+  return Object.entries(payload.a).map(([experimentId, variantKey]) => ({
+    experiment_id: experimentId,
+    variant_key: variantKey,
+    expires: payload.e,
+    assigned_at: new Date(payload.t).toISOString(),
+  }))
+}
+
+// ============================================
+// Signed Cookie
+// ============================================
+
+const encoder = new TextEncoder()
+const keyCache = new Map<string, Promise<CryptoKey>>()
+
+function toBase64Url(bytes: Uint8Array): string {
+  let binary = ''
+  bytes.forEach(byte => { binary += String.fromCharCode(byte) })
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+}
+
+function fromBase64Url(value: string) {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/')
+  const binary = atob(base64 + '='.repeat((4 - (base64.length % 4)) % 4))
+  const bytes = new Uint8Array(binary.length)
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i)
+  }
+  return bytes
+}
+
+function getSigningKey(secret: string): Promise<CryptoKey> {
+  let key = keyCache.get(secret)
+  if (!key) {
+    key = crypto.subtle.importKey(
+      'raw',
+      encoder.encode(secret),
+      { name: 'HMAC', hash: 'SHA-256' },
+      false,
+      ['sign', 'verify'],
+    )
+    keyCache.set(secret, key)
+  }
+  return key
+}
+
+/**
+ * Serialize and HMAC-sign a payload as `<payload>.<signature>` (base64url)
+ */
+export async function signExperimentCookie(payload: ExperimentCookiePayload, secret: string): Promise<string> {
+  const body = toBase64Url(encoder.encode(JSON.stringify(payload)))
+  const key = await getSigningKey(secret)
+  const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(body))
+  return `${body}.${toBase64Url(new Uint8Array(signature))}`
+}
+
+/**
+ * Verify a signed cookie. Returns null if it was tampered with, is
+ * malformed or has expired.
+ */
+export async function verifyExperimentCookie(
+  value: string | undefined,
+  secret: string,
+): Promise<ExperimentCookiePayload | null> {
+  if (!value) return null
+
+  const [body, signature] = value.split('.')
+  if (!body || !signature) return null
+
+  try {
+    const key = await getSigningKey(secret)
+    const valid = await crypto.subtle.verify('HMAC', key, fromBase64Url(signature), encoder.encode(body))
+    return valid ? readExperimentCookie(value) : null
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Read a cookie's payload WITHOUT checking the signature. The browser can't
+ * hold the secret, so SignalBridge uses this - the server never trusts it.
+ */
+export function readExperimentCookie(value: string | undefined): ExperimentCookiePayload | null {
+  if (!value) return null
+
+  try {
+    const payload = JSON.parse(new TextDecoder().decode(fromBase64Url(value.split('.')[0])))
+    if (
+      typeof payload?.v !== 'string' ||
+      typeof payload.a !== 'object' || payload.a === null ||
+      typeof payload.e !== 'number' ||
+      payload.e <= Date.now()
+    ) {
+      return null
+    }
+    return payload as ExperimentCookiePayload
+  } catch {
+    return null
+  }
+}
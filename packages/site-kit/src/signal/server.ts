@@ -0,0 +1,257 @@
+/**
+ * @uptrade/site-kit/signal/server - Edge Experiment Assignment
+ *
+ * Assigns Signal experiment variants in middleware, once per visitor, and
+ * stores them in a signed cookie. Server components and SignalBridge read
+ * the cookie, so the right variant is in the first render - no control
+ * flash while the client fetches /api/public/signal/experiment/:id.
+ *
+ * Usage in middleware.ts:
+ *
+ * import { handleSignalExperiments } from '@uptrade/site-kit/signal/server'
+ *
+ * export async function middleware(request: NextRequest) {
+ *   const redirect = await handleManagedRedirects(request, { domain: 'example.com' })
+ *   if (redirect) return redirect
+ *
+ *   return handleSignalExperiments(request, {
+ *     secret: process.env.UPTRADE_SIGNAL_SECRET,
+ *   })
+ * }
+ *
+ * Then in app/layout.tsx:
+ *
+ * const assignments = await getExperimentAssignments()
+ * <SignalBridge initialAssignments={assignments}>...</SignalBridge>
+ */
+
+import { NextRequest, NextResponse } from 'next/server'
+import { cookies } from 'next/headers'
+import {
+  EXPERIMENT_COOKIE,
+  DEFAULT_EXPERIMENT_MAX_AGE,
+  assignVariant,
+  isExperimentTargeted,
+  signExperimentCookie,
+  verifyExperimentCookie,
+  toExperimentAssignments,
+} from './assignment'
+import type {
+  ExperimentAssignment,
+  ExperimentConfig,
+  ExperimentCookiePayload,
+  SignalExperimentsConfig,
+} from './types'
+
+export {
+  EXPERIMENT_COOKIE,
+  DEFAULT_EXPERIMENT_MAX_AGE,
+  assignVariant,
+  isExperimentTargeted,
+  signExperimentCookie,
+  verifyExperimentCookie,
+  readExperimentCookie,
+  toExperimentAssignments,
+} from './assignment'
+
+// Cache for running experiments
+let cachedExperiments: ExperimentConfig[] = []
+let cacheExpiry = 0
+let experimentsLoaded = false
+
+function getApiKey(config: SignalExperimentsConfig): string {
+  return config.apiKey || process.env.UPTRADE_API_KEY || process.env.NEXT_PUBLIC_UPTRADE_API_KEY || ''
+}
+
+function getSecret(config: SignalExperimentsConfig = {}): string {
+  return config.secret || process.env.UPTRADE_SIGNAL_SECRET || ''
+}
+
+function getDeviceType(userAgent: string): 'desktop' | 'mobile' | 'tablet' {
+  if (/tablet|ipad|playbook|silk/i.test(userAgent)) return 'tablet'
+  if (/mobile|iphone|ipod|android|blackberry|opera mini|iemobile/i.test(userAgent)) return 'mobile'
+  return 'desktop'
+}
+
+/**
+ * Fetch running experiments from Portal API
+ */
+export async function fetchRunningExperiments(config: SignalExperimentsConfig = {}): Promise<ExperimentConfig[]> {
+  const now = Date.now()
+  const cacheSeconds = config.cacheSeconds ?? 60
+
+  // Return cached if still valid
+  if (now < cacheExpiry) {
+    return cachedExperiments
+  }
+
+  const apiKey = getApiKey(config)
+  if (!apiKey) {
+    return cachedExperiments
+  }
+
+  try {
+    const baseUrl = config.portalApiUrl || process.env.UPTRADE_API_URL || 'https://api.uptrademedia.com'
+    const res = await fetch(`${baseUrl}/api/public/signal/config`, {
+      headers: { 'x-api-key': apiKey },
+      next: { revalidate: cacheSeconds },
+    })
+
+    if (!res.ok) {
+      console.error(`[site-kit] Failed to fetch Signal experiments: ${res.status}`)
+      return cachedExperiments
+    }
+
+    const data = await res.json()
+    cachedExperiments = (data.config?.experiments || []).filter((e: ExperimentConfig) => e.status === 'running')
+    cacheExpiry = now + (cacheSeconds * 1000)
+    experimentsLoaded = true
+
+    return cachedExperiments
+  } catch (error) {
+    console.error('[site-kit] Error fetching Signal experiments:', error)
+    return cachedExperiments
+  }
+}
+
+/**
+ * Handle experiment assignment in middleware.
+ *
+ * Keeps the visitor's existing assignments, assigns any running experiment
+ * they haven't seen yet (on pages the experiment targets) and drops stopped
+ * ones. The cookie is rewritten on every page request so its expiry slides -
+ * a returning visitor keeps their visitor ID and buckets for as long as they
+ * keep visiting. It is also forwarded on the request so server components see
+ * it on the very first visit.
+ */
+export async function handleSignalExperiments(
+  request: NextRequest,
+  config: SignalExperimentsConfig = {},
+): Promise<NextResponse> {
+  const pathname = request.nextUrl.pathname
+
+  // Skip for static assets and API routes
+  if (
+    pathname.startsWith('/_next') ||
+    pathname.startsWith('/api') ||
+    pathname.includes('.') // Has file extension
+  ) {
+    return NextResponse.next()
+  }
+
+  const secret = getSecret(config)
+  if (!secret) {
+    console.error('[site-kit] UPTRADE_SIGNAL_SECRET is required to assign Signal experiments')
+    return NextResponse.next()
+  }
+
+  const experiments = await fetchRunningExperiments(config)
+  const existing = await verifyExperimentCookie(request.cookies.get(EXPERIMENT_COOKIE)?.value, secret)
+
+  const visitorId = existing?.v || crypto.randomUUID()
+  const device = getDeviceType(request.headers.get('user-agent') || '')
+  const running = new Set(experiments.map(e => e.id))
+  const assignments: Record<string, string> = {}
+  let changed = !existing
+
+  for (const [experimentId, variantKey] of Object.entries(existing?.a || {})) {
+    // Keep everything until the API has answered once rather than drop it
+    if (running.has(experimentId) || !experimentsLoaded) {
+      assignments[experimentId] = variantKey
+    } else {
+      changed = true
+    }
+  }
+
+  for (const experiment of experiments) {
+    if (experiment.id in assignments) continue
+    if (!isExperimentTargeted(experiment, { path: pathname, device })) continue
+
+    const variantKey = assignVariant(experiment, visitorId)
+    if (variantKey) {
+      assignments[experiment.id] = variantKey
+      changed = true
+    }
+  }
+
+  const maxAge = config.maxAge ?? DEFAULT_EXPERIMENT_MAX_AGE
+  const now = Date.now()
+  // Issued-at only moves when the assignments do - it is the assigned_at
+  // reported to SignalBridge - while the expiry slides on every visit
+  const payload: ExperimentCookiePayload = {
+    v: visitorId,
+    a: assignments,
+    t: changed || !existing ? now : existing.t,
+    e: now + maxAge * 1000,
+  }
+  const value = await signExperimentCookie(payload, secret)
+
+  // Forward to server components rendering this request
+  request.cookies.set(EXPERIMENT_COOKIE, value)
+  const response = NextResponse.next({ request: { headers: request.headers } })
+
+  // Readable by SignalBridge - the signature stops anyone picking a variant
+  response.cookies.set(EXPERIMENT_COOKIE, value, {
+    path: '/',
+    maxAge,
+    sameSite: 'lax',
+    secure: request.nextUrl.protocol === 'https:',
+  })
+
+  return response
+}
+
+/**
+ * Read the verified experiment cookie in a server component, route handler
+ * or server action. Returns null outside a request (e.g. at build time).
+ */
+export async function getExperimentCookie(
+  config: Pick<SignalExperimentsConfig, 'secret'> = {},
+): Promise<ExperimentCookiePayload | null> {
+  const secret = getSecret(config)
+  if (!secret) return null
+
+  try {
+    const cookieStore = await cookies()
+    return verifyExperimentCookie(cookieStore.get(EXPERIMENT_COOKIE)?.value, secret)
+  } catch {
+    return null
+  }
+}
+
+/**
+ * All of the current visitor's assignments - pass these to
+ * <SignalBridge initialAssignments>
+ */
+export async function getExperimentAssignments(
+  config: Pick<SignalExperimentsConfig, 'secret'> = {},
+): Promise<ExperimentAssignment[]> {
+  const payload = await getExperimentCookie(config)
+  return payload ? toExperimentAssignments(payload) : []
+}
+
+/**
+ * The current visitor's variant for one experiment, or null if they aren't in it
+ *
+ * @example
+ * ```tsx
+ * const variant = await getExperimentVariant('hero-cta')
+ * return variant === 'variant_a' ? <NewHero /> : <Hero />
+ * ```
+ */
+export async function getExperimentVariant(
+  experimentId: string,
+  config: Pick<SignalExperimentsConfig, 'secret'> = {},
+): Promise<string | null> {
+  const payload = await getExperimentCookie(config)
+  return payload?.a[experimentId] ?? null
+}
+
+/**
+ * Clear experiment cache (useful for development)
+ */
+export function clearExperimentCache(): void {
+  cachedExperiments = []
+  cacheExpiry = 0
+  experimentsLoaded = false
+}
@@ -194,6 +194,40 @@ export interface ExperimentAssignment {
   assigned_at: string
 }
 
+/**
+ * Contents of the signed `_uptrade_exp` cookie written by
+ * handleSignalExperiments (kept short - it rides on every request)
+ */
+export interface ExperimentCookiePayload {
+  /** Visitor ID the assignments were made for */
+  v: string
+
+  /** Experiment ID -> variant key */
+  a: Record<string, string>
+
+  /** Issued at (ms) */
+  t: number
+
+  /** Expires at (ms) */
+  e: number
+}
+
+export interface SignalExperimentsConfig {
+  /** Project API key (defaults to UPTRADE_API_KEY / NEXT_PUBLIC_UPTRADE_API_KEY) */
+  apiKey?: string
+
+  /** Secret used to sign the cookie (defaults to UPTRADE_SIGNAL_SECRET) */
+  secret?: string
+
+  portalApiUrl?: string
+
+  /** How long to cache the experiment list (default 60) */
+  cacheSeconds?: number
+
+  /** Cookie lifetime in seconds (default 30 days) */
+  maxAge?: number
+}
+
 // ============================================
 // Event Types
 // ============================================
@@ -344,7 +378,13 @@ export interface SignalBridgeProps {
   
   /** Enable rich behavioral tracking */
   behaviorTracking?: boolean
-  
+
+  /**
+   * Assignments from getExperimentAssignments() so experiments render the
+   * right variant during SSR instead of flashing the control
+   */
+  initialAssignments?: ExperimentAssignment[]
+
   /** Children */
   children: React.ReactNode
 }
@@ -0,0 +1,452 @@
+'use client'
+
+/**
+ * ManageBooking - Guest self-service page for an existing booking
+ *
+ * Handles the link in BookingResult.rescheduleUrl / cancelUrl. The guest can:
+ * 1. See their booking
+ * 2. Pick a new time (same availability and slot holds as BookingWidget)
+ * 3. Or cancel with a reason
+ *
+ * Both actions follow the booking type's policy: guest cancel/reschedule
+ * can be switched off, and changes close `cancellation_notice_hours`
+ * before the start.
+ *
+ * @example
+ * ```tsx
+ * import { ManageBooking } from '@uptrade/site-kit'
+ *
+ * export default function ManageBookingPage({ searchParams }) {
+ *   return <ManageBooking token={searchParams.token} />
+ * }
+ * ```
+ */
+
+import * as React from 'react'
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react'
+import type {
+  ManageBookingProps,
+  ManagedBooking,
+  TimeSlot,
+  SlotHold,
+  BookingResult,
+} from './types'
+import {
+  fetchManagedBooking,
+  rescheduleBooking,
+  cancelManagedBooking,
+  getGuestChangePolicy,
+  createSlotHold,
+  releaseSlotHold,
+  detectTimezone,
+  formatTime,
+  formatDate,
+  formatDuration,
+} from './api'
+import { SlotPicker } from './SlotPicker'
+import { bookingStyles } from './styles'
+
+const DEFAULT_API_URL = 'https://api.uptrademedia.com'
+
+// Steps in the manage flow
+type ManageStep = 'overview' | 'datetime' | 'confirm' | 'cancel' | 'rescheduled' | 'cancelled'
+
+export function ManageBooking({
+  token,
+  apiUrl = DEFAULT_API_URL,
+  timezone: propTimezone,
+  className = '',
+  daysToShow = 14,
+  onRescheduled,
+  onCancelled,
+  onError,
+  styles = {},
+}: ManageBookingProps) {
+  // State
+  const [step, setStep] = useState<ManageStep>('overview')
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState<string | null>(null)
+
+  // Data state
+  const [booking, setBooking] = useState<ManagedBooking | null>(null)
+  const [selectedDate, setSelectedDate] = useState<Date | null>(null)
+  const [selectedSlot, setSelectedSlot] = useState<TimeSlot | null>(null)
+  const [hold, setHold] = useState<SlotHold | null>(null)
+  // What the unmount cleanup releases - cleared without a release once the
+  // hold has been used for the reschedule
+  const holdRef = useRef<SlotHold | null>(null)
+  const [cancelReason, setCancelReason] = useState('')
+  const [rescheduleResult, setRescheduleResult] = useState<BookingResult | null>(null)
+
+  // Timezone
+  const timezone = useMemo(() => propTimezone || detectTimezone(), [propTimezone])
+
+  const policy = useMemo(() => booking ? getGuestChangePolicy(booking) : null, [booking])
+
+  const handleError = useCallback((err: Error) => {
+    setError(err.message)
+    onError?.(err)
+  }, [onError])
+
+  // Load the booking
+  useEffect(() => {
+    setLoading(true)
+    fetchManagedBooking(token, apiUrl)
+      .then(setBooking)
+      .catch(handleError)
+      .finally(() => setLoading(false))
+  }, [token, apiUrl, handleError])
+
+  useEffect(() => {
+    holdRef.current = hold
+  }, [hold])
+
+  const releaseHold = useCallback(() => {
+    if (hold) {
+      releaseSlotHold(hold.holdId, apiUrl).catch(() => {})
+      setHold(null)
+    }
+  }, [hold, apiUrl])
+
+  // Handle slot selection - create hold
+  const handleSlotSelect = useCallback(async (slot: TimeSlot) => {
+    if (!booking) return
+
+    // Release previous hold
+    if (hold) {
+      await releaseSlotHold(hold.holdId, apiUrl).catch(() => {})
+    }
+
+    setSelectedSlot(slot)
+    setLoading(true)
+
+    try {
+      const newHold = await createSlotHold(
+        booking.bookingType.id,
+        slot.start,
+        slot.hostId,
+        timezone,
+        apiUrl
+      )
+      setHold(newHold)
+      setStep('confirm')
+    } catch (err: any) {
+      handleError(err)
+    } finally {
+      setLoading(false)
+    }
+  }, [booking, hold, timezone, apiUrl, handleError])
+
+  // Handle reschedule confirmation
+  const handleReschedule = useCallback(async () => {
+    if (!selectedSlot) return
+
+    setLoading(true)
+    setError(null)
+
+    try {
+      const result = await rescheduleBooking(
+        token,
+        selectedSlot.start,
+        timezone,
+        selectedSlot.hostId,
+        hold?.holdId,
+        apiUrl
+      )
+
+      // The hold became the booking - nothing to release
+      holdRef.current = null
+      setHold(null)
+      setRescheduleResult(result)
+      setStep('rescheduled')
+      onRescheduled?.(result)
+    } catch (err: any) {
+      handleError(err)
+    } finally {
+      setLoading(false)
+    }
+  }, [token, selectedSlot, timezone, hold, apiUrl, onRescheduled, handleError])
+
+  // Handle cancellation
+  const handleCancel = useCallback(async (e: React.FormEvent) => {
+    e.preventDefault()
+    if (!booking) return
+
+    setLoading(true)
+    setError(null)
+
+    try {
+      await cancelManagedBooking(token, cancelReason.trim(), apiUrl)
+      const cancelled = { ...booking, status: 'cancelled' as const }
+      setBooking(cancelled)
+      setStep('cancelled')
+      onCancelled?.(cancelled)
+    } catch (err: any) {
+      handleError(err)
+    } finally {
+      setLoading(false)
+    }
+  }, [token, booking, cancelReason, apiUrl, onCancelled, handleError])
+
+  // Cleanup hold on unmount
+  useEffect(() => {
+    return () => {
+      if (holdRef.current) {
+        releaseSlotHold(holdRef.current.holdId, apiUrl).catch(() => {})
+      }
+    }
+  }, [apiUrl])
+
+  // CSS custom properties for theming
+  const cssVars = {
+    '--booking-primary': styles.primaryColor || '#4bbf39',
+    '--booking-radius': styles.borderRadius || '8px',
+    '--booking-font': styles.fontFamily || 'inherit',
+  } as React.CSSProperties
+
+  return (
+    <div
+      className={`uptrade-booking-widget uptrade-manage-booking ${className}`}
+      style={cssVars}
+    >
+      {/* Error Display */}
+      {error && (
+        <div className="uptrade-booking-error">
+          {error}
+          <button onClick={() => setError(null)}>Dismiss</button>
+        </div>
+      )}
+
+      {!booking && loading && (
+        <div className="uptrade-booking-loading">Loading your booking...</div>
+      )}
+
+      {/* Overview */}
+      {step === 'overview' && booking && policy && (
+        <div className="uptrade-booking-overview">
+          <h3 className="uptrade-booking-title">{booking.bookingType.name}</h3>
+          <p className="uptrade-booking-subtitle">
+            Confirmation: {booking.confirmationCode}
+          </p>
+
+          <div className="uptrade-booking-summary">
+            <p><strong>When:</strong> {formatDate(booking.scheduledAt, timezone)} at {formatTime(booking.scheduledAt, timezone)}</p>
+            <p><strong>Duration:</strong> {formatDuration(booking.durationMinutes)}</p>
+            {booking.hostName && (
+              <p><strong>With:</strong> {booking.hostName}</p>
+            )}
+            <p><strong>Name:</strong> {booking.guestName}</p>
+          </div>
+
+          {policy.message ? (
+            <p className="uptrade-booking-policy-notice">{policy.message}</p>
+          ) : policy.deadline && (
+            <p className="uptrade-booking-policy-notice">
+              You can make changes online until {formatDate(policy.deadline, timezone)} at {formatTime(policy.deadline, timezone)}.
+            </p>
+          )}
+
+          <div className="uptrade-booking-actions">
+            {policy.canReschedule && (
+              <button
+                className="uptrade-booking-submit"
+                onClick={() => setStep('datetime')}
+              >
+                Reschedule
+              </button>
+            )}
+            {policy.canCancel && (
+              <button
+                className="uptrade-booking-secondary"
+                onClick={() => setStep('cancel')}
+              >
+                Cancel Booking
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+
+      {/* Pick a New Time */}
+      {step === 'datetime' && booking && (
+        <div className="uptrade-booking-datetime">
+          <button
+            className="uptrade-booking-back"
+            onClick={() => setStep('overview')}
+          >
+            ← Back
+          </button>
+
+          <h3 className="uptrade-booking-title">Pick a New Time</h3>
+          <p className="uptrade-booking-subtitle">
+            Currently {formatDate(booking.scheduledAt, timezone)} at {formatTime(booking.scheduledAt, timezone)}
+          </p>
+
+          <SlotPicker
+            orgSlug={booking.orgSlug}
+            apiUrl={apiUrl}
+            bookingType={booking.bookingType}
+            timezone={timezone}
+            daysToShow={daysToShow}
+            selectedDate={selectedDate}
+            onDateSelect={setSelectedDate}
+            selectedSlot={selectedSlot}
+            onSlotSelect={handleSlotSelect}
+            disabled={loading}
+            excludeStart={booking.scheduledAt}
+            onError={handleError}
+          />
+        </div>
+      )}
+
+      {/* Confirm Reschedule */}
+      {step === 'confirm' && booking && selectedSlot && (
+        <div className="uptrade-booking-confirm">
+          <button
+            className="uptrade-booking-back"
+            onClick={() => {
+              releaseHold()
+              setStep('datetime')
+            }}
+          >
+            ← Back
+          </button>
+
+          <h3 className="uptrade-booking-title">Confirm New Time</h3>
+
+          <div className="uptrade-booking-summary">
+            <p className="previous">
+              {formatDate(booking.scheduledAt, timezone)} at {formatTime(booking.scheduledAt, timezone)}
+            </p>
+            <p>
+              <strong>{formatDate(selectedSlot.start, timezone)} at {formatTime(selectedSlot.start, timezone)}</strong>
+            </p>
+          </div>
+
+          {hold && (
+            <p className="uptrade-booking-hold-notice">
+              This time is held for you for {Math.floor((new Date(hold.expiresAt).getTime() - Date.now()) / 60000)} minutes
+            </p>
+          )}
+
+          <button
+            className="uptrade-booking-submit"
+            onClick={handleReschedule}
+            disabled={loading}
+          >
+            {loading ? 'Rescheduling...' : 'Confirm New Time'}
+          </button>
+        </div>
+      )}
+
+      {/* Cancel */}
+      {step === 'cancel' && booking && (
+        <div className="uptrade-booking-form">
+          <button
+            className="uptrade-booking-back"
+            onClick={() => setStep('overview')}
+          >
+            ← Back
+          </button>
+
+          <h3 className="uptrade-booking-title">Cancel Booking</h3>
+          <p className="uptrade-booking-subtitle">
+            {booking.bookingType.name} on {formatDate(booking.scheduledAt, timezone)} at {formatTime(booking.scheduledAt, timezone)}
+          </p>
+
+          <form onSubmit={handleCancel}>
+            <div className="uptrade-booking-field">
+              <label htmlFor="cancel-reason">Reason for cancelling *</label>
+              <textarea
+                id="cancel-reason"
+                required
+                value={cancelReason}
+                onChange={e => setCancelReason(e.target.value)}
+                placeholder="Let us know why you need to cancel..."
+                rows={3}
+              />
+            </div>
+
+            <button
+              type="submit"
+              className="uptrade-booking-secondary"
+              disabled={loading || !cancelReason.trim()}
+            >
+              {loading ? 'Cancelling...' : 'Cancel Booking'}
+            </button>
+          </form>
+        </div>
+      )}
+
+      {/* Rescheduled */}
+      {step === 'rescheduled' && rescheduleResult && (
+        <div className="uptrade-booking-success">
+          <div className="uptrade-booking-success-icon">✓</div>
+          <h3 className="uptrade-booking-title">Booking Rescheduled</h3>
+          <p className="uptrade-booking-confirmation-code">
+            Confirmation: {rescheduleResult.booking.confirmationCode}
+          </p>
+
+          <div className="uptrade-booking-details">
+            <p><strong>When:</strong> {formatDate(rescheduleResult.booking.scheduledAt, timezone)} at {formatTime(rescheduleResult.booking.scheduledAt, timezone)}</p>
+            <p><strong>Duration:</strong> {formatDuration(rescheduleResult.booking.durationMinutes)}</p>
+            {rescheduleResult.booking.hostName && (
+              <p><strong>With:</strong> {rescheduleResult.booking.hostName}</p>
+            )}
+          </div>
+
+          <div className="uptrade-booking-calendar-links">
+            <p>Update your calendar:</p>
+            <div className="uptrade-booking-calendar-buttons">
+              <a
+                href={rescheduleResult.calendarLinks.google}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="uptrade-booking-calendar-btn"
+              >
+                Google
+              </a>
+              <a
+                href={rescheduleResult.calendarLinks.outlook}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="uptrade-booking-calendar-btn"
+              >
+                Outlook
+              </a>
+              <a
+                href={rescheduleResult.calendarLinks.ics}
+                download
+                className="uptrade-booking-calendar-btn"
+              >
+                Download .ics
+              </a>
+            </div>
+          </div>
+
+          <p className="uptrade-booking-email-notice">
+            We've emailed you the new details.
+          </p>
+        </div>
+      )}
+
+      {/* Cancelled */}
+      {step === 'cancelled' && booking && (
+        <div className="uptrade-booking-success">
+          <h3 className="uptrade-booking-title">Booking Cancelled</h3>
+          <p className="uptrade-booking-subtitle">
+            Your {booking.bookingType.name} on {formatDate(booking.scheduledAt, timezone)} has been cancelled.
+          </p>
+          <p className="uptrade-booking-email-notice">
+            A cancellation confirmation has been sent to {booking.guestEmail}.
+          </p>
+        </div>
+      )}
+
+      {/* Default Styles */}
+      <style>{bookingStyles}</style>
+    </div>
+  )
+}
+
+export default ManageBooking
@@ -0,0 +1,138 @@
+'use client'
+
+/**
+ * SlotPicker - Date and time selection shared by BookingWidget and ManageBooking
+ *
+ * Lists the next `daysToShow` weekdays and loads availability for the
+ * selected one. Picking a time calls `onSlotSelect`; holding the slot is
+ * left to the parent.
+ */
+
+import * as React from 'react'
+import { useState, useEffect, useMemo } from 'react'
+import type { BookingType, TimeSlot } from './types'
+import { fetchAvailability, formatTime } from './api'
+
+export interface SlotPickerProps {
+  orgSlug: string
+  apiUrl: string
+  bookingType: BookingType
+  timezone: string
+  daysToShow: number
+  selectedDate: Date | null
+  onDateSelect: (date: Date) => void
+  selectedSlot: TimeSlot | null
+  onSlotSelect: (slot: TimeSlot) => void
+  /** Disable time buttons (e.g. while a hold is being created) */
+  disabled?: boolean
+  /** Slot start time to leave out, such as the booking being rescheduled */
+  excludeStart?: string
+  onError?: (error: Error) => void
+}
+
+export function SlotPicker({
+  orgSlug,
+  apiUrl,
+  bookingType,
+  timezone,
+  daysToShow,
+  selectedDate,
+  onDateSelect,
+  selectedSlot,
+  onSlotSelect,
+  disabled = false,
+  excludeStart,
+  onError,
+}: SlotPickerProps) {
+  const [slots, setSlots] = useState<TimeSlot[]>([])
+  const [loading, setLoading] = useState(false)
+
+  // Generate dates for the date picker
+  const availableDates = useMemo(() => {
+    const dates: Date[] = []
+    const today = new Date()
+    today.setHours(0, 0, 0, 0)
+
+    for (let i = 0; i < daysToShow; i++) {
+      const date = new Date(today)
+      date.setDate(date.getDate() + i)
+      // Skip weekends (optional - could be controlled by booking type)
+      if (date.getDay() !== 0 && date.getDay() !== 6) {
+        dates.push(date)
+      }
+    }
+    return dates
+  }, [daysToShow])
+
+  // Load availability when date changes
+  useEffect(() => {
+    if (!selectedDate) return
+
+    const dateStr = selectedDate.toISOString().split('T')[0]
+    setLoading(true)
+    setSlots([])
+
+    const excluded = excludeStart ? new Date(excludeStart).getTime() : null
+    fetchAvailability(orgSlug, bookingType.slug, dateStr, apiUrl, timezone)
+      .then(s => setSlots(s.filter(slot => slot.available && new Date(slot.start).getTime() !== excluded)))
+      .catch(err => onError?.(err))
+      .finally(() => setLoading(false))
+  }, [selectedDate, bookingType.slug, orgSlug, apiUrl, timezone, excludeStart, onError])
+
+  return (
+    <>
+      {/* Date Picker */}
+      <div className="uptrade-booking-dates">
+        <h4>Select a Date</h4>
+        <div className="uptrade-booking-date-grid">
+          {availableDates.map(date => {
+            const dateStr = date.toISOString().split('T')[0]
+            const isSelected = selectedDate?.toISOString().split('T')[0] === dateStr
+
+            return (
+              <button
+                key={dateStr}
+                className={`uptrade-booking-date ${isSelected ? 'selected' : ''}`}
+                onClick={() => onDateSelect(date)}
+              >
+                <span className="uptrade-booking-date-day">
+                  {date.toLocaleDateString('en-US', { weekday: 'short' })}
+                </span>
+                <span className="uptrade-booking-date-num">
+                  {date.getDate()}
+                </span>
+              </button>
+            )
+          })}
+        </div>
+      </div>
+
+      {/* Time Slots */}
+      {selectedDate && (
+        <div className="uptrade-booking-times">
+          <h4>Select a Time</h4>
+          {loading ? (
+            <div className="uptrade-booking-loading">Loading available times...</div>
+          ) : slots.length === 0 ? (
+            <div className="uptrade-booking-empty">No times available on this date</div>
+          ) : (
+            <div className="uptrade-booking-time-grid">
+              {slots.map(slot => (
+                <button
+                  key={slot.start}
+                  className={`uptrade-booking-time ${selectedSlot?.start === slot.start ? 'selected' : ''}`}
+                  onClick={() => onSlotSelect(slot)}
+                  disabled={disabled}
+                >
+                  {formatTime(slot.start, timezone)}
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+    </>
+  )
+}
+
+export default SlotPicker
@@ -8,6 +8,8 @@ import type {
   SlotHold, 
   BookingResult,
   GuestInfo,
+  ManagedBooking,
+  GuestChangePolicy,
 } from './types'
 
 const DEFAULT_API_URL = 'https://api.uptrademedia.com'
@@ -149,6 +151,126 @@ export async function createBooking(
   return response.json()
 }
 
+/**
+ * Fetch a booking by its manage token (from the reschedule/cancel link)
+ */
+export async function fetchManagedBooking(
+  token: string,
+  apiUrl: string = DEFAULT_API_URL
+): Promise<ManagedBooking> {
+  const response = await fetch(`${apiUrl}/sync/public/manage/${encodeURIComponent(token)}`)
+  
+  if (!response.ok) {
+    throw new Error(
+      response.status === 404
+        ? 'This booking link is invalid or has expired'
+        : `Failed to fetch booking: ${response.statusText}`
+    )
+  }
+  
+  const data = await response.json()
+  return data.booking || data
+}
+
+/**
+ * Move a booking to a new time, using a hold from createSlotHold()
+ */
+export async function rescheduleBooking(
+  token: string,
+  startTime: string,
+  timezone: string,
+  hostId?: string,
+  holdId?: string,
+  apiUrl: string = DEFAULT_API_URL
+): Promise<BookingResult> {
+  const response = await fetch(`${apiUrl}/sync/public/manage/${encodeURIComponent(token)}/reschedule`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      start_time: startTime,
+      timezone,
+      host_id: hostId,
+      hold_id: holdId,
+    }),
+  })
+  
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}))
+    throw new Error(errorData.message || `Failed to reschedule booking: ${response.statusText}`)
+  }
+  
+  return response.json()
+}
+
+/**
+ * Cancel a booking as the guest
+ */
+export async function cancelManagedBooking(
+  token: string,
+  reason: string,
+  apiUrl: string = DEFAULT_API_URL
+): Promise<void> {
+  const response = await fetch(`${apiUrl}/sync/public/manage/${encodeURIComponent(token)}/cancel`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ reason }),
+  })
+  
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}))
+    throw new Error(errorData.message || `Failed to cancel booking: ${response.statusText}`)
+  }
+}
+
+/**
+ * Work out what the guest may still change. The API enforces the same
+ * rules; this is so the UI can explain them up front.
+ */
+export function getGuestChangePolicy(
+  booking: ManagedBooking,
+  now: Date = new Date()
+): GuestChangePolicy {
+  const blocked = (message: string): GuestChangePolicy => ({
+    canCancel: false,
+    canReschedule: false,
+    deadline: null,
+    message,
+  })
+  
+  if (booking.status === 'cancelled') return blocked('This booking has been cancelled.')
+  if (booking.status === 'completed' || booking.status === 'no-show') {
+    return blocked('This booking has already taken place.')
+  }
+  
+  const { bookingType } = booking
+  const start = new Date(booking.scheduledAt).getTime()
+  if (start <= now.getTime()) return blocked('This booking has already started.')
+  
+  const noticeHours = bookingType.cancellation_notice_hours || 0
+  const deadline = new Date(start - noticeHours * 3600000)
+  if (now > deadline) {
+    return {
+      ...blocked(
+        `Changes must be made at least ${formatDuration(noticeHours * 60)} before the appointment. ` +
+        'Please contact us directly.'
+      ),
+      deadline: deadline.toISOString(),
+    }
+  }
+  
+  const canCancel = bookingType.allow_guest_cancel !== false
+  const canReschedule = bookingType.allow_guest_reschedule !== false
+  
+  return {
+    canCancel,
+    canReschedule,
+    deadline: noticeHours > 0 ? deadline.toISOString() : null,
+    message: !canCancel && !canReschedule
+      ? 'This booking can only be changed by contacting us directly.'
+      : undefined,
+  }
+}
+
 /**
  * Get available dates for a month (helper for calendar view)
  * Returns dates that have at least one available slot
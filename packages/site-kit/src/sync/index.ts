@@ -20,10 +20,22 @@
  *   )
  * }
  * ```
+ *
+ * Guests manage an existing booking from the link in `rescheduleUrl`:
+ *
+ * ```tsx
+ * import { ManageBooking } from '@uptrade/site-kit'
+ *
+ * export default function ManageBookingPage({ searchParams }) {
+ *   return <ManageBooking token={searchParams.token} />
+ * }
+ * ```
  */
 
 // Main Component
 export { BookingWidget, default } from './BookingWidget'
+export { ManageBooking } from './ManageBooking'
+export { SlotPicker } from './SlotPicker'
 
 // API Functions (for custom implementations)
 export {
@@ -34,6 +46,10 @@ export {
   createSlotHold,
   releaseSlotHold,
   createBooking,
+  fetchManagedBooking,
+  rescheduleBooking,
+  cancelManagedBooking,
+  getGuestChangePolicy,
   detectTimezone,
   formatTime,
   formatDate,
@@ -48,9 +64,13 @@ export type {
   SlotHold,
   BookingResult,
   BookingWidgetProps,
+  ManagedBooking,
+  GuestChangePolicy,
+  ManageBookingProps,
   DatePickerProps,
   TimeSlotPickerProps,
   BookingFormProps,
   GuestInfo,
   SyncWidgetConfig,
 } from './types'
+export type { SlotPickerProps } from './SlotPicker'
@@ -0,0 +1,375 @@
+/**
+ * Default styles for the booking components
+ *
+ * Shared by BookingWidget and ManageBooking; themed through the
+ * --booking-* custom properties set on the root element.
+ */
+
+export const bookingStyles = `
+  .uptrade-booking-widget {
+    font-family: var(--booking-font);
+    max-width: 480px;
+    margin: 0 auto;
+    padding: 24px;
+    border: 1px solid #e5e5e5;
+    border-radius: var(--booking-radius);
+    background: #fff;
+  }
+
+  .uptrade-booking-error {
+    background: #fef2f2;
+    border: 1px solid #fecaca;
+    color: #b91c1c;
+    padding: 12px;
+    border-radius: var(--booking-radius);
+    margin-bottom: 16px;
+    display: flex;
+    justify-content: space-between;
+    align-items: center;
+  }
+
+  .uptrade-booking-error button {
+    background: none;
+    border: none;
+    color: inherit;
+    cursor: pointer;
+    text-decoration: underline;
+  }
+
+  .uptrade-booking-title {
+    font-size: 1.25rem;
+    font-weight: 600;
+    margin: 0 0 8px 0;
+  }
+
+  .uptrade-booking-subtitle {
+    color: #666;
+    margin: 0 0 16px 0;
+  }
+
+  .uptrade-booking-back {
+    background: none;
+    border: none;
+    color: var(--booking-primary);
+    cursor: pointer;
+    padding: 0;
+    margin-bottom: 16px;
+    font-size: 0.875rem;
+  }
+
+  .uptrade-booking-back:disabled {
+    display: none;
+  }
+
+  .uptrade-booking-type-list {
+    display: flex;
+    flex-direction: column;
+    gap: 12px;
+  }
+
+  .uptrade-booking-type-card {
+    text-align: left;
+    padding: 16px;
+    border: 1px solid #e5e5e5;
+    border-radius: var(--booking-radius);
+    background: #fff;
+    cursor: pointer;
+    transition: border-color 0.2s, box-shadow 0.2s;
+  }
+
+  .uptrade-booking-type-card:hover {
+    border-color: var(--booking-primary);
+    box-shadow: 0 0 0 3px color-mix(in srgb, var(--booking-primary) 15%, transparent);
+  }
+
+  .uptrade-booking-type-name {
+    font-weight: 600;
+    margin-bottom: 4px;
+  }
+
+  .uptrade-booking-type-desc {
+    color: #666;
+    font-size: 0.875rem;
+    margin-bottom: 8px;
+  }
+
+  .uptrade-booking-type-meta {
+    display: flex;
+    gap: 12px;
+    font-size: 0.75rem;
+    color: #888;
+  }
+
+  .uptrade-booking-date-grid {
+    display: flex;
+    gap: 8px;
+    flex-wrap: wrap;
+    margin-bottom: 24px;
+  }
+
+  .uptrade-booking-date {
+    display: flex;
+    flex-direction: column;
+    align-items: center;
+    padding: 8px 12px;
+    border: 1px solid #e5e5e5;
+    border-radius: var(--booking-radius);
+    background: #fff;
+    cursor: pointer;
+    transition: all 0.2s;
+  }
+
+  .uptrade-booking-date:hover {
+    border-color: var(--booking-primary);
+  }
+
+  .uptrade-booking-date.selected {
+    background: var(--booking-primary);
+    border-color: var(--booking-primary);
+    color: #fff;
+  }
+
+  .uptrade-booking-date-day {
+    font-size: 0.625rem;
+    text-transform: uppercase;
+  }
+
+  .uptrade-booking-date-num {
+    font-size: 1.125rem;
+    font-weight: 600;
+  }
+
+  .uptrade-booking-time-grid {
+    display: grid;
+    grid-template-columns: repeat(3, 1fr);
+    gap: 8px;
+  }
+
+  .uptrade-booking-time {
+    padding: 10px;
+    border: 1px solid #e5e5e5;
+    border-radius: var(--booking-radius);
+    background: #fff;
+    cursor: pointer;
+    font-size: 0.875rem;
+    transition: all 0.2s;
+  }
+
+  .uptrade-booking-time:hover:not(:disabled) {
+    border-color: var(--booking-primary);
+  }
+
+  .uptrade-booking-time.selected {
+    background: var(--booking-primary);
+    border-color: var(--booking-primary);
+    color: #fff;
+  }
+
+  .uptrade-booking-time:disabled {
+    opacity: 0.5;
+    cursor: not-allowed;
+  }
+
+  .uptrade-booking-loading,
+  .uptrade-booking-empty {
+    text-align: center;
+    padding: 24px;
+    color: #666;
+  }
+
+  .uptrade-booking-hold-notice {
+    background: #fef3c7;
+    border: 1px solid #fcd34d;
+    color: #92400e;
+    padding: 8px 12px;
+    border-radius: var(--booking-radius);
+    font-size: 0.875rem;
+    margin-bottom: 16px;
+  }
+
+  .uptrade-booking-field {
+    margin-bottom: 16px;
+  }
+
+  .uptrade-booking-field label {
+    display: block;
+    margin-bottom: 4px;
+    font-size: 0.875rem;
+    font-weight: 500;
+  }
+
+  .uptrade-booking-field input,
+  .uptrade-booking-field textarea {
+    width: 100%;
+    padding: 10px 12px;
+    border: 1px solid #e5e5e5;
+    border-radius: var(--booking-radius);
+    font-size: 1rem;
+    font-family: inherit;
+  }
+
+  .uptrade-booking-field input:focus,
+  .uptrade-booking-field textarea:focus {
+    outline: none;
+    border-color: var(--booking-primary);
+    box-shadow: 0 0 0 3px color-mix(in srgb, var(--booking-primary) 15%, transparent);
+  }
+
+  .uptrade-booking-submit {
+    width: 100%;
+    padding: 14px;
+    background: var(--booking-primary);
+    color: #fff;
+    border: none;
+    border-radius: var(--booking-radius);
+    font-size: 1rem;
+    font-weight: 600;
+    cursor: pointer;
+    transition: opacity 0.2s;
+  }
+
+  .uptrade-booking-submit:hover:not(:disabled) {
+    opacity: 0.9;
+  }
+
+  .uptrade-booking-submit:disabled {
+    opacity: 0.5;
+    cursor: not-allowed;
+  }
+
+  .uptrade-booking-success {
+    text-align: center;
+  }
+
+  .uptrade-booking-success-icon {
+    width: 64px;
+    height: 64px;
+    margin: 0 auto 16px;
+    background: var(--booking-primary);
+    color: #fff;
+    border-radius: 50%;
+    display: flex;
+    align-items: center;
+    justify-content: center;
+    font-size: 2rem;
+  }
+
+  .uptrade-booking-confirmation-code {
+    font-family: monospace;
+    background: #f5f5f5;
+    padding: 8px 16px;
+    border-radius: var(--booking-radius);
+    display: inline-block;
+    margin-bottom: 24px;
+  }
+
+  .uptrade-booking-details {
+    text-align: left;
+    background: #f9f9f9;
+    padding: 16px;
+    border-radius: var(--booking-radius);
+    margin-bottom: 24px;
+  }
+
+  .uptrade-booking-details p {
+    margin: 0 0 8px 0;
+  }
+
+  .uptrade-booking-details p:last-child {
+    margin-bottom: 0;
+  }
+
+  .uptrade-booking-calendar-links {
+    margin-bottom: 24px;
+  }
+
+  .uptrade-booking-calendar-buttons {
+    display: flex;
+    gap: 8px;
+    justify-content: center;
+    margin-top: 8px;
+  }
+
+  .uptrade-booking-calendar-btn {
+    padding: 8px 16px;
+    border: 1px solid #e5e5e5;
+    border-radius: var(--booking-radius);
+    text-decoration: none;
+    color: #333;
+    font-size: 0.875rem;
+    transition: all 0.2s;
+  }
+
+  .uptrade-booking-calendar-btn:hover {
+    border-color: var(--booking-primary);
+    color: var(--booking-primary);
+  }
+
+  .uptrade-booking-email-notice {
+    color: #666;
+    font-size: 0.875rem;
+  }
+
+  h4 {
+    font-size: 0.875rem;
+    font-weight: 600;
+    margin: 0 0 12px 0;
+    color: #666;
+  }
+
+  .uptrade-booking-summary {
+    background: #f9f9f9;
+    padding: 16px;
+    border-radius: var(--booking-radius);
+    margin-bottom: 16px;
+  }
+
+  .uptrade-booking-summary p {
+    margin: 0 0 8px 0;
+  }
+
+  .uptrade-booking-summary p:last-child {
+    margin-bottom: 0;
+  }
+
+  .uptrade-booking-summary .previous {
+    color: #888;
+    text-decoration: line-through;
+  }
+
+  .uptrade-booking-policy-notice {
+    background: #f5f5f5;
+    color: #666;
+    padding: 8px 12px;
+    border-radius: var(--booking-radius);
+    font-size: 0.875rem;
+    margin-bottom: 16px;
+  }
+
+  .uptrade-booking-actions {
+    display: flex;
+    flex-direction: column;
+    gap: 8px;
+  }
+
+  .uptrade-booking-secondary {
+    width: 100%;
+    padding: 12px;
+    background: #fff;
+    color: #b91c1c;
+    border: 1px solid #fecaca;
+    border-radius: var(--booking-radius);
+    font-size: 1rem;
+    cursor: pointer;
+    transition: background 0.2s;
+  }
+
+  .uptrade-booking-secondary:hover:not(:disabled) {
+    background: #fef2f2;
+  }
+
+  .uptrade-booking-secondary:disabled {
+    opacity: 0.5;
+    cursor: not-allowed;
+  }
+`
@@ -16,6 +16,11 @@ export interface BookingType {
   price_cents?: number
   currency?: string
   is_active: boolean
+  min_notice_hours?: number
+  allow_guest_cancel?: boolean
+  allow_guest_reschedule?: boolean
+  /** Guests can't cancel or reschedule online within this many hours of the start */
+  cancellation_notice_hours?: number
 }
 
 export interface TimeSlot {
@@ -59,6 +64,37 @@ export interface BookingResult {
   }
 }
 
+/**
+ * A booking as the guest sees it through their manage link
+ */
+export interface ManagedBooking {
+  id: string
+  confirmationCode: string
+  status: 'confirmed' | 'pending' | 'cancelled' | 'completed' | 'no-show'
+  scheduledAt: string
+  durationMinutes: number
+  timezone: string
+  hostId?: string
+  hostName?: string
+  guestName: string
+  guestEmail: string
+  orgSlug: string
+  bookingType: BookingType
+  rescheduleCount?: number
+}
+
+/**
+ * What the guest may change, following the booking type's policy
+ */
+export interface GuestChangePolicy {
+  canCancel: boolean
+  canReschedule: boolean
+  /** Last moment a change can be made online */
+  deadline: string | null
+  /** Why changes are blocked, when they are */
+  message?: string
+}
+
 export interface BookingWidgetProps {
   /** Organization slug (e.g., 'heinrich-law') */
   orgSlug: string
@@ -95,6 +131,39 @@ export interface BookingWidgetProps {
   }
 }
 
+export interface ManageBookingProps {
+  /** Manage token from the booking's reschedule/cancel link */
+  token: string
+  
+  /** API base URL - defaults to https://api.uptrademedia.com */
+  apiUrl?: string
+  
+  /** Guest's timezone (auto-detected if not provided) */
+  timezone?: string
+  
+  /** Custom class name for styling */
+  className?: string
+  
+  /** Number of days to show availability for when rescheduling */
+  daysToShow?: number
+  
+  /** Called when the booking is moved to a new time */
+  onRescheduled?: (result: BookingResult) => void
+  
+  /** Called when the guest cancels */
+  onCancelled?: (booking: ManagedBooking) => void
+  
+  /** Called when an error occurs */
+  onError?: (error: Error) => void
+  
+  /** Custom styles */
+  styles?: {
+    primaryColor?: string
+    borderRadius?: string
+    fontFamily?: string
+  }
+}
+
 export interface DatePickerProps {
   selectedDate: Date | null
   onDateSelect: (date: Date) => void
@@ -5,6 +5,8 @@
  * All data access goes through api.uptrademedia.com with API key auth.
  */
 
+import type { ConsentConfig } from './analytics/types'
+
 // ============================================
 // Core Configuration
 // ============================================
@@ -28,8 +30,10 @@ export interface SiteKitConfig {
     trackWebVitals?: boolean
     trackScrollDepth?: boolean
     trackClicks?: boolean
+    trackFrustration?: boolean
     sessionDuration?: number // minutes
     excludePaths?: string[]
+    consent?: ConsentConfig // opt-in / Do Not Track handling
   }
   
   /** Engage widget configuration */
@@ -37,6 +37,9 @@ export default defineConfig({
     // Redirects middleware
     'redirects/index': 'src/redirects/index.ts',
     
+    // Signal experiment assignment (middleware + server components)
+    'signal/server': 'src/signal/server.ts',
+    
     // Images module
     'images/index': 'src/images/index.ts',
     
@@ -68,6 +71,7 @@ export default defineConfig({
       'setup/server': 'src/setup/server.ts',
       'sitemap/index': 'src/sitemap/index.ts',
       'redirects/index': 'src/redirects/index.ts',
+      'signal/server': 'src/signal/server.ts',
       'images/index': 'src/images/index.ts',
       'reputation/index': 'src/reputation/index.ts',
       'llms/index': 'src/llms/index.ts',
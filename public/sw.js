@@ -0,0 +1,59 @@
+/**
+ * Portal service worker - Web Push for portal notifications
+ *
+ * Registered by src/lib/web-push.js when a user turns on push in Settings.
+ * Payloads are sent by the Portal API as JSON:
+ *   { id, type, title, body, link }
+ * Only handles push; no fetch caching.
+ */
+
+self.addEventListener('install', () => {
+  self.skipWaiting()
+})
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(self.clients.claim())
+})
+
+self.addEventListener('push', (event) => {
+  let payload = {}
+  try {
+    payload = event.data ? event.data.json() : {}
+  } catch {
+    payload = { body: event.data ? event.data.text() : '' }
+  }
+
+  const title = payload.title || 'Uptrade Portal'
+  event.waitUntil(
+    self.registration.showNotification(title, {
+      body: payload.body || '',
+      icon: '/logo.png',
+      badge: '/favicon.svg',
+      // Same notification id replaces rather than stacks (e.g. retried sends)
+      tag: payload.id || payload.type,
+      data: { link: payload.link || '/', id: payload.id },
+    })
+  )
+})
+
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close()
+  const link = event.notification.data?.link || '/'
+  const target = new URL(link, self.location.origin).href
+
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windows) => {
+      // Reuse an open portal tab when there is one
+      const existing = windows.find((client) =>
+        new URL(client.url).origin === self.location.origin && 'focus' in client)
+      if (!existing) return self.clients.openWindow(target)
+
+      // navigate() rejects for tabs this worker doesn't control - open a new
+      // one rather than lose the click
+      return existing.navigate(target).then(
+        (client) => (client || existing).focus(),
+        () => self.clients.openWindow(target)
+      )
+    })
+  )
+})
@@ -34,6 +34,7 @@ const AuditGate = lazy(() => import('./components/AuditGate'))
 const AuthCallback = lazy(() => import('./pages/AuthCallback'))
 const SiteKitAuth = lazy(() => import('./pages/SiteKitAuth'))
 const InvoicePayment = lazy(() => import('./pages/InvoicePayment'))
+const ReviewRequest = lazy(() => import('./pages/ReviewRequest'))
 
 // Sync OAuth Callback (standalone route; main sync UI is in MainLayout via components/sync)
 const SyncOAuthCallback = lazy(() => import('./pages/sync/SyncOAuthCallback'))
@@ -109,6 +110,7 @@ export default function App() {
               <Route path="/p/:slug" element={<ProposalGate />} />
               <Route path="/audit/:id" element={<AuditGate />} />
               <Route path="/pay/:token" element={<InvoicePayment />} />
+              <Route path="/review/:token" element={<ReviewRequest />} />
               
               {/* Sync OAuth Callback - must be standalone */}
               <Route path="/sync/callback" element={<SyncOAuthCallback />} />
@@ -24,6 +24,7 @@ const BrowserBreakdown = lazy(() => import('@/components/analytics/BrowserBreakd
 const UTMCampaigns = lazy(() => import('@/components/analytics/UTMCampaigns'))
 const ScrollDepthCard = lazy(() => import('@/components/analytics/ScrollDepthCard'))
 const HeatmapOverview = lazy(() => import('@/components/analytics/HeatmapOverview'))
+const FrustrationPanel = lazy(() => import('@/components/analytics/FrustrationPanel'))
 
 // Component loading fallback
 function ChartLoader() {
@@ -51,6 +52,7 @@ export default function Analytics() {
     sessions,
     scrollDepth,
     heatmap,
+    frustration,
     topReferrers,
     topEvents,
     
@@ -230,6 +232,11 @@ export default function Analytics() {
         <HeatmapOverview heatmap={heatmap} />
       </Suspense>
 
+      {/* Frustration Signals - rage / dead / error clicks */}
+      <Suspense fallback={<ChartLoader />}>
+        <FrustrationPanel frustration={frustration} />
+      </Suspense>
+
       {/* Events Grid */}
       {topEvents.length > 0 && (
         <div className="bg-[var(--glass-bg)] rounded-xl p-6 border border-[var(--glass-border)]">
@@ -44,7 +44,8 @@ import {
 import { UptradeSpinner } from '@/components/UptradeLoading'
 import { DropdownMenu, DropdownMenuContent, DropdownMenuItem, DropdownMenuTrigger, DropdownMenuSeparator } from '@/components/ui/dropdown-menu'
 import { ContextMenu, ContextMenuContent, ContextMenuItem, ContextMenuSeparator, ContextMenuTrigger } from '@/components/ui/context-menu'
-import { useFiles, useFolders, useUploadFile, useCreateFolder, useDeleteFile, useFileCategories, useUpdateFile, useUploadMultipleFiles, filesKeys, useProjects, projectsKeys } from '@/lib/hooks'
+import { useFiles, useFolders, useUploadFile, useCreateFolder, useDeleteFile, useFileCategories, useUpdateFile, useUploadMultipleFiles, useReplaceFile, filesKeys, useProjects, projectsKeys } from '@/lib/hooks'
+import { computeFileChecksum, isSameChecksum } from '@/components/files/fileVersions'
 import { useQueryClient } from '@tanstack/react-query'
 import useAuthStore from '@/lib/auth-store'
 import { adminApi } from '@/lib/portal-api'
@@ -92,6 +93,7 @@ const Files = ({
   
   const queryClient = useQueryClient()
   const uploadFileMutation = useUploadFile()
+  const replaceFileMutation = useReplaceFile()
   const uploadMultipleFilesMutation = useUploadMultipleFiles()
   const deleteFileMutation = useDeleteFile()
   const updateFileMutation = useUpdateFile()
@@ -612,19 +614,21 @@ const Files = ({
     if (!file || !replaceTarget) return
 
     try {
-      // Delete old file and upload new one with same metadata
-      await deleteFileMutation.mutateAsync({ 
-        fileId: replaceTarget.id, 
-        projectId: selectedProject?.id 
-      })
-      await uploadFileMutation.mutateAsync({ 
-        projectId: selectedProject?.id, 
-        file, 
-        isPublic: replaceTarget.is_public 
-      })
-      toast.success('File replaced successfully')
+      // Replace in place so the URL is kept and the old contents become a version
+      const checksum = await computeFileChecksum(file).catch(() => null)
+      if (isSameChecksum(checksum, replaceTarget.checksum)) {
+        toast.info('This file is identical to the current version')
+      } else {
+        await replaceFileMutation.mutateAsync({
+          fileId: replaceTarget.id,
+          file,
+          checksum,
+          projectId: selectedProject?.id,
+        })
+        toast.success('File replaced successfully')
+      }
     } catch (error) {
-      toast.error('Replace failed')
+      toast.error(error?.response?.data?.message || 'Replace failed')
     }
     setReplaceTarget(null)
     if (replaceInputRef.current) replaceInputRef.current.value = ''
@@ -1,5 +1,5 @@
 // src/components/TopHeader.jsx
-// Supabase-style top header bar with org/project switchers, search, help, and user menu
+// Supabase-style top header bar with org/project switchers, search, notifications, help, and user menu
 import { useState } from 'react'
 import { 
   Search, 
@@ -42,6 +42,7 @@ import {
 } from '@/components/ui/tooltip'
 import ContactAvatar from '@/components/ui/ContactAvatar'
 import AccountSettingsModal from '@/components/settings/AccountSettingsModal'
+import NotificationCenter from '@/components/notifications/NotificationCenter'
 import useAuthStore from '@/lib/auth-store'
 import useThemeStore from '@/lib/theme-store'
 import { useAccountSettingsStore } from '@/lib/account-settings-store'
@@ -353,7 +354,7 @@ export default function TopHeader({ onNavigate, onOpenSearch }) {
           <ProjectSection onNavigateToProjects={() => onNavigate?.('projects')} />
         </div>
 
-        {/* Right section: Search + Help + User */}
+        {/* Right section: Search + Notifications + Help + User */}
         <div className="flex items-center gap-2 pr-4">
           {/* Search Button */}
           <Tooltip>
@@ -375,6 +376,9 @@ export default function TopHeader({ onNavigate, onOpenSearch }) {
             <TooltipContent>Search ({modKey}K)</TooltipContent>
           </Tooltip>
 
+          {/* Notifications */}
+          <NotificationCenter />
+
           {/* Help Button */}
           <Tooltip>
             <TooltipTrigger asChild>
@@ -0,0 +1,250 @@
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
+import { Frown, FileWarning, MousePointerClick, Zap, Ban, Bug, Move } from 'lucide-react'
+import { Badge } from '@/components/ui/badge'
+
+// Signal types reported by site-kit's frustration detectors
+const signalTypes = {
+  rageClicks: { label: 'Rage', icon: Zap, className: 'bg-red-500/10 text-red-600 border-red-500/30' },
+  deadClicks: { label: 'Dead', icon: Ban, className: 'bg-amber-500/10 text-amber-600 border-amber-500/30' },
+  errorClicks: { label: 'Error', icon: Bug, className: 'bg-purple-500/10 text-purple-600 border-purple-500/30' },
+  thrashedCursor: { label: 'Thrash', icon: Move, className: 'bg-blue-500/10 text-blue-600 border-blue-500/30' }
+}
+
+const countSignals = (row) =>
+  (row.rageClicks || 0) + (row.deadClicks || 0) + (row.errorClicks || 0) + (row.thrashedCursor || 0)
+
+// Share of sessions on the page that hit at least one signal
+const getPageRate = (page) => {
+  if (!page.sessions) return 0
+  const frustrated = page.frustratedSessions ?? Math.min(countSignals(page), page.sessions)
+  return (frustrated / page.sessions) * 100
+}
+
+// Share of clicks on the element that were rage / dead / error clicks
+const getElementRate = (element) => {
+  if (!element.clicks) return 0
+  return Math.min(100, (countSignals(element) / element.clicks) * 100)
+}
+
+const getRateColor = (rate) => {
+  if (rate >= 20) return 'text-red-600'
+  if (rate >= 10) return 'text-orange-500'
+  if (rate >= 5) return 'text-amber-500'
+  return 'text-emerald-600'
+}
+
+function SignalBadges({ row }) {
+  return (
+    <div className="flex flex-wrap gap-1">
+      {Object.entries(signalTypes).map(([key, { label, icon: Icon, className }]) =>
+        row[key] > 0 ? (
+          <Badge key={key} variant="outline" className={`gap-1 text-[10px] px-1.5 py-0 ${className}`}>
+            <Icon className="w-3 h-3" />
+            {row[key].toLocaleString()} {label}
+          </Badge>
+        ) : null
+      )}
+    </div>
+  )
+}
+
+export default function FrustrationPanel({ frustration }) {
+  if (!frustration) {
+    return (
+      <Card className="animate-pulse">
+        <CardHeader>
+          <CardTitle className="flex items-center gap-2">
+            <Frown className="w-5 h-5" />
+            Frustration Signals
+          </CardTitle>
+        </CardHeader>
+        <CardContent>
+          <div className="h-48 bg-muted rounded" />
+        </CardContent>
+      </Card>
+    )
+  }
+
+  const { pages = [], elements = [], summary, days } = frustration
+
+  // Rank by rate, not raw count, so busy pages don't drown out broken ones
+  const rankedPages = [...pages]
+    .map(page => ({ ...page, rate: getPageRate(page), signals: countSignals(page) }))
+    .filter(page => page.signals > 0)
+    .sort((a, b) => b.rate - a.rate || b.signals - a.signals)
+    .slice(0, 8)
+
+  const rankedElements = [...elements]
+    .map(element => ({ ...element, rate: getElementRate(element), signals: countSignals(element) }))
+    .filter(element => element.signals > 0)
+    .sort((a, b) => b.rate - a.rate || b.signals - a.signals)
+    .slice(0, 10)
+
+  const frustratedSessionRate = summary?.totalSessions
+    ? ((summary.frustratedSessions || 0) / summary.totalSessions) * 100
+    : 0
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+      {/* Pages by Frustration Rate */}
+      <Card>
+        <CardHeader className="pb-2">
+          <CardTitle className="text-base flex items-center gap-2">
+            <FileWarning className="w-5 h-5 text-red-500" />
+            Most Frustrating Pages
+          </CardTitle>
+          <CardDescription>
+            Share of sessions with rage, dead or error clicks
+          </CardDescription>
+        </CardHeader>
+        <CardContent>
+          {rankedPages.length > 0 ? (
+            <div className="space-y-2">
+              {rankedPages.map(page => (
+                <div
+                  key={page.pagePath}
+                  className="py-2 px-3 bg-muted/50 rounded-lg"
+                >
+                  <div className="flex items-center justify-between gap-2">
+                    <span className="text-sm font-mono truncate" title={page.pagePath}>
+                      {page.pagePath}
+                    </span>
+                    <span className={`text-sm font-semibold shrink-0 ${getRateColor(page.rate)}`}>
+                      {page.rate.toFixed(1)}%
+                    </span>
+                  </div>
+                  <div className="flex items-center justify-between gap-2 mt-1">
+                    <SignalBadges row={page} />
+                    <span className="text-xs text-muted-foreground shrink-0">
+                      {page.sessions?.toLocaleString() || 0} sessions
+                    </span>
+                  </div>
+                </div>
+              ))}
+            </div>
+          ) : (
+            <div className="flex flex-col items-center justify-center py-8 text-center">
+              <FileWarning className="w-10 h-10 text-muted-foreground mb-3" />
+              <p className="text-sm text-muted-foreground">
+                No frustration signals recorded
+              </p>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
+      {/* Elements by Frustration Rate */}
+      <Card>
+        <CardHeader className="pb-2">
+          <CardTitle className="text-base flex items-center gap-2">
+            <MousePointerClick className="w-5 h-5 text-amber-500" />
+            Most Frustrating Elements
+          </CardTitle>
+          <CardDescription>
+            Share of clicks that were rage, dead or error clicks
+          </CardDescription>
+        </CardHeader>
+        <CardContent>
+          {rankedElements.length > 0 ? (
+            <div className="space-y-2">
+              {rankedElements.map((el, idx) => (
+                <div
+                  key={`${el.pagePath}-${el.selector}-${idx}`}
+                  className="py-2 px-3 bg-muted/50 rounded-lg"
+                >
+                  <div className="flex items-center justify-between gap-2">
+                    <div className="flex items-center gap-2 flex-1 min-w-0">
+                      <Badge variant="outline" className="shrink-0">
+                        {el.tag || 'element'}
+                      </Badge>
+                      <div className="flex flex-col min-w-0">
+                        {el.text && (
+                          <span className="text-sm truncate text-foreground">
+                            "{el.text.slice(0, 40)}"
+                          </span>
+                        )}
+                        <span className="text-xs truncate font-mono text-muted-foreground" title={el.selector}>
+                          {el.selector}
+                        </span>
+                      </div>
+                    </div>
+                    <span className={`text-sm font-semibold shrink-0 ${getRateColor(el.rate)}`}>
+                      {el.clicks ? `${el.rate.toFixed(1)}%` : el.signals.toLocaleString()}
+                    </span>
+                  </div>
+                  <div className="flex items-center justify-between gap-2 mt-1">
+                    <SignalBadges row={el} />
+                    <span className="text-xs font-mono text-muted-foreground truncate" title={el.pagePath}>
+                      {el.pagePath}
+                    </span>
+                  </div>
+                  {el.lastError && (
+                    <p className="text-xs text-purple-600 truncate mt-1" title={el.lastError}>
+                      {el.lastError}
+                    </p>
+                  )}
+                </div>
+              ))}
+            </div>
+          ) : (
+            <div className="flex flex-col items-center justify-center py-8 text-center">
+              <MousePointerClick className="w-10 h-10 text-muted-foreground mb-3" />
+              <p className="text-sm text-muted-foreground">
+                No frustrating elements found
+              </p>
+              <p className="text-xs text-muted-foreground mt-1">
+                Signals appear once site-kit detects rage, dead or error clicks
+              </p>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
+      {/* Summary Stats */}
+      {summary && (
+        <Card className="lg:col-span-2">
+          <CardContent className="pt-6">
+            <div className="flex flex-wrap gap-6 justify-center">
+              <div className="text-center">
+                <p className={`text-2xl font-bold ${getRateColor(frustratedSessionRate)}`}>
+                  {frustratedSessionRate.toFixed(1)}%
+                </p>
+                <p className="text-sm text-muted-foreground">Frustrated Sessions</p>
+              </div>
+              <div className="text-center">
+                <p className="text-2xl font-bold text-red-600">
+                  {summary.rageClicks?.toLocaleString() || 0}
+                </p>
+                <p className="text-sm text-muted-foreground">Rage Clicks</p>
+              </div>
+              <div className="text-center">
+                <p className="text-2xl font-bold text-amber-600">
+                  {summary.deadClicks?.toLocaleString() || 0}
+                </p>
+                <p className="text-sm text-muted-foreground">Dead Clicks</p>
+              </div>
+              <div className="text-center">
+                <p className="text-2xl font-bold text-purple-600">
+                  {summary.errorClicks?.toLocaleString() || 0}
+                </p>
+                <p className="text-sm text-muted-foreground">Error Clicks</p>
+              </div>
+              <div className="text-center">
+                <p className="text-2xl font-bold text-blue-600">
+                  {summary.thrashedCursor?.toLocaleString() || 0}
+                </p>
+                <p className="text-sm text-muted-foreground">Thrashed Cursor</p>
+              </div>
+              <div className="text-center">
+                <p className="text-2xl font-bold text-muted-foreground">
+                  {days || 30}
+                </p>
+                <p className="text-sm text-muted-foreground">Days of Data</p>
+              </div>
+            </div>
+          </CardContent>
+        </Card>
+      )}
+    </div>
+  )
+}
@@ -18,3 +18,4 @@ export { default as BrowserBreakdown } from './BrowserBreakdown'
 export { default as UTMCampaigns } from './UTMCampaigns'
 export { default as ScrollDepthCard } from './ScrollDepthCard'
 export { default as HeatmapOverview } from './HeatmapOverview'
+export { default as FrustrationPanel } from './FrustrationPanel'
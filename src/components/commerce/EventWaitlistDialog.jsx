@@ -0,0 +1,316 @@
+// src/components/commerce/EventWaitlistDialog.jsx
+// Registrations and waitlist for one event date - cancel, promote, conversion
+
+import { useState, useEffect, useCallback, useMemo } from 'react'
+import { commerceApi } from '@/lib/portal-api'
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog'
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+} from '@/components/ui/alert-dialog'
+import { Button } from '@/components/ui/button'
+import { Badge } from '@/components/ui/badge'
+import { ScrollArea } from '@/components/ui/scroll-area'
+import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/components/ui/tabs'
+import { toast } from 'sonner'
+import { Loader2, Send, Trash2, UserX, Clock } from 'lucide-react'
+import { cn } from '@/lib/utils'
+import { format, formatDistanceToNow } from 'date-fns'
+import {
+  WAITLIST_STATUS_LABELS,
+  getWaitlistEntryStatus,
+  getNextWaitlistEntry,
+  sortWaitlist,
+  summarizeWaitlist,
+} from './waitlist'
+
+const STATUS_STYLES = {
+  waiting: 'bg-muted text-muted-foreground',
+  offered: 'bg-amber-100 text-amber-700 border-amber-200',
+  claimed: 'bg-emerald-100 text-emerald-700 border-emerald-200',
+  expired: 'bg-red-50 text-red-600 border-red-200',
+}
+
+function listFrom(response, key) {
+  const data = response?.data?.[key] ?? response?.data?.data ?? response?.data ?? []
+  return Array.isArray(data) ? data : []
+}
+
+export default function EventWaitlistDialog({
+  open,
+  onOpenChange,
+  projectId,
+  event,
+  onChange,
+}) {
+  const [registrations, setRegistrations] = useState([])
+  const [entries, setEntries] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [cancelling, setCancelling] = useState(null)
+  const [busy, setBusy] = useState(false)
+
+  const scheduleId = event?.schedule_id || event?.id
+
+  const loadData = useCallback(async () => {
+    if (!projectId || !scheduleId) return
+    try {
+      setLoading(true)
+      const [salesResponse, waitlistResponse] = await Promise.all([
+        commerceApi.getSales(projectId, { schedule_id: scheduleId, status: 'completed' }),
+        commerceApi.getWaitlist(projectId, scheduleId),
+      ])
+      setRegistrations(listFrom(salesResponse, 'sales'))
+      setEntries(listFrom(waitlistResponse, 'entries'))
+    } catch (error) {
+      console.error('Failed to load waitlist:', error)
+      toast.error('Failed to load waitlist')
+    } finally {
+      setLoading(false)
+    }
+  }, [projectId, scheduleId])
+
+  useEffect(() => {
+    if (open) {
+      loadData()
+    }
+  }, [open, loadData])
+
+  const queue = useMemo(() => sortWaitlist(entries), [entries])
+  const summary = useMemo(() => summarizeWaitlist(entries), [entries])
+  const nextEntry = useMemo(() => getNextWaitlistEntry(entries), [entries])
+  const freeSpots = event?.capacity != null
+    ? Math.max(0, event.capacity - registrations.length - summary.offered)
+    : 0
+
+  const handleCancelRegistration = async () => {
+    if (!cancelling) return
+    try {
+      setBusy(true)
+      const response = await commerceApi.cancelRegistration(projectId, cancelling.id, {
+        reason: 'Cancelled by staff',
+        offer_to_waitlist: true,
+      })
+      const offer = response?.data?.waitlist_offer
+      if (offer) {
+        toast.success(
+          `Registration cancelled. Spot offered to ${offer.customer_name || offer.customer_email}` +
+          (offer.offer_expires_at ? ` until ${format(new Date(offer.offer_expires_at), 'MMM d, h:mm a')}` : '')
+        )
+      } else {
+        toast.success('Registration cancelled')
+      }
+      setCancelling(null)
+      await loadData()
+      onChange?.()
+    } catch (error) {
+      console.error('Failed to cancel registration:', error)
+      toast.error('Failed to cancel registration')
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const handleOfferNext = async () => {
+    try {
+      setBusy(true)
+      await commerceApi.offerWaitlistSpot(projectId, scheduleId)
+      toast.success(`Spot offered to ${nextEntry.customer_name || nextEntry.customer_email}`)
+      await loadData()
+    } catch (error) {
+      console.error('Failed to offer spot:', error)
+      toast.error('Failed to offer spot')
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const handleRemoveEntry = async (entry) => {
+    try {
+      await commerceApi.removeWaitlistEntry(projectId, entry.id)
+      setEntries(prev => prev.filter(e => e.id !== entry.id))
+      toast.success('Removed from waitlist')
+    } catch (error) {
+      console.error('Failed to remove waitlist entry:', error)
+      toast.error('Failed to remove from waitlist')
+    }
+  }
+
+  if (!event) return null
+
+  return (
+    <>
+      <Dialog open={open} onOpenChange={onOpenChange}>
+        <DialogContent className="max-w-2xl">
+          <DialogHeader>
+            <DialogTitle>{event.name}</DialogTitle>
+            <DialogDescription>
+              {event.date && format(new Date(event.date), 'EEEE, MMMM d, yyyy')}
+              {event.capacity != null && ` · ${registrations.length}/${event.capacity} registered`}
+            </DialogDescription>
+          </DialogHeader>
+
+          {loading ? (
+            <div className="flex items-center justify-center py-12">
+              <Loader2 className="h-6 w-6 animate-spin text-muted-foreground" />
+            </div>
+          ) : (
+            <div className="space-y-4">
+              {/* Conversion stats */}
+              <div className="grid grid-cols-4 gap-3">
+                <WaitlistStat label="Joined" value={summary.joined} />
+                <WaitlistStat label="Waiting" value={summary.waiting} />
+                <WaitlistStat label="Claimed" value={summary.claimed} />
+                <WaitlistStat
+                  label="Conversion"
+                  value={summary.conversionRate === null ? '—' : `${summary.conversionRate}%`}
+                />
+              </div>
+
+              <Tabs defaultValue="waitlist">
+                <TabsList>
+                  <TabsTrigger value="waitlist">Waitlist ({summary.waiting + summary.offered})</TabsTrigger>
+                  <TabsTrigger value="registrations">Registrations ({registrations.length})</TabsTrigger>
+                </TabsList>
+
+                <TabsContent value="waitlist" className="space-y-3">
+                  {freeSpots > 0 && nextEntry && (
+                    <div className="flex items-center justify-between p-3 rounded-lg border border-amber-200 bg-amber-50 text-sm">
+                      <span>
+                        {freeSpots} open spot{freeSpots > 1 ? 's' : ''} not yet offered to the waitlist
+                      </span>
+                      <Button size="sm" onClick={handleOfferNext} disabled={busy}>
+                        <Send className="h-3.5 w-3.5 mr-1" />
+                        Offer to next
+                      </Button>
+                    </div>
+                  )}
+
+                  <ScrollArea className="h-[320px]">
+                    <div className="space-y-2 pr-3">
+                      {queue.map((entry, index) => {
+                        const status = getWaitlistEntryStatus(entry)
+                        return (
+                          <div key={entry.id} className="flex items-center gap-3 p-3 rounded-lg border">
+                            <span className="w-6 text-sm font-semibold text-muted-foreground">#{index + 1}</span>
+                            <div className="flex-1 min-w-0">
+                              <p className="font-medium truncate">{entry.customer_name || entry.customer_email}</p>
+                              <p className="text-xs text-muted-foreground truncate">
+                                {entry.customer_email} · joined {formatDistanceToNow(new Date(entry.created_at), { addSuffix: true })}
+                              </p>
+                            </div>
+                            {status === 'offered' && entry.offer_expires_at && (
+                              <span className="flex items-center gap-1 text-xs text-amber-700">
+                                <Clock className="h-3 w-3" />
+                                expires {formatDistanceToNow(new Date(entry.offer_expires_at), { addSuffix: true })}
+                              </span>
+                            )}
+                            <Badge variant="outline" className={cn('text-xs', STATUS_STYLES[status])}>
+                              {WAITLIST_STATUS_LABELS[status]}
+                            </Badge>
+                            {status === 'waiting' && (
+                              <Button
+                                variant="ghost"
+                                size="icon"
+                                className="h-7 w-7"
+                                onClick={() => handleRemoveEntry(entry)}
+                              >
+                                <Trash2 className="h-3.5 w-3.5" />
+                              </Button>
+                            )}
+                          </div>
+                        )
+                      })}
+                      {queue.length === 0 && (
+                        <div className="text-center py-8 text-muted-foreground text-sm">
+                          Nobody is on the waitlist
+                        </div>
+                      )}
+                    </div>
+                  </ScrollArea>
+                </TabsContent>
+
+                <TabsContent value="registrations">
+                  <ScrollArea className="h-[320px]">
+                    <div className="space-y-2 pr-3">
+                      {registrations.map(sale => (
+                        <div key={sale.id} className="flex items-center gap-3 p-3 rounded-lg border">
+                          <div className="flex-1 min-w-0">
+                            <p className="font-medium truncate">
+                              {sale.customer?.name || sale.customer_name || sale.customer?.email || sale.customer_email}
+                            </p>
+                            <p className="text-xs text-muted-foreground truncate">
+                              {sale.customer?.email || sale.customer_email}
+                              {sale.created_at && ` · ${format(new Date(sale.created_at), 'MMM d, yyyy')}`}
+                            </p>
+                          </div>
+                          <Button variant="outline" size="sm" onClick={() => setCancelling(sale)}>
+                            <UserX className="h-3.5 w-3.5 mr-1" />
+                            Cancel
+                          </Button>
+                        </div>
+                      ))}
+                      {registrations.length === 0 && (
+                        <div className="text-center py-8 text-muted-foreground text-sm">
+                          No registrations yet
+                        </div>
+                      )}
+                    </div>
+                  </ScrollArea>
+                </TabsContent>
+              </Tabs>
+            </div>
+          )}
+        </DialogContent>
+      </Dialog>
+
+      <AlertDialog open={!!cancelling} onOpenChange={(isOpen) => !isOpen && setCancelling(null)}>
+        <AlertDialogContent>
+          <AlertDialogHeader>
+            <AlertDialogTitle>Cancel registration?</AlertDialogTitle>
+            <AlertDialogDescription>
+              {cancelling?.customer?.name || cancelling?.customer_name || 'This customer'} will be notified.
+              {nextEntry
+                ? ` The spot will be offered to ${nextEntry.customer_name || nextEntry.customer_email}, who has ${event.waitlist_claim_hours || 24} hours to claim it.`
+                : ' Nobody is waiting, so the spot will reopen for registration.'}
+            </AlertDialogDescription>
+          </AlertDialogHeader>
+          <AlertDialogFooter>
+            <AlertDialogCancel disabled={busy}>Keep</AlertDialogCancel>
+            <AlertDialogAction
+              onClick={(e) => {
+                e.preventDefault()
+                handleCancelRegistration()
+              }}
+              disabled={busy}
+              className="bg-red-600 hover:bg-red-700"
+            >
+              {busy && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+              Cancel Registration
+            </AlertDialogAction>
+          </AlertDialogFooter>
+        </AlertDialogContent>
+      </AlertDialog>
+    </>
+  )
+}
+
+function WaitlistStat({ label, value }) {
+  return (
+    <div className="p-2 rounded-lg bg-muted/50 text-center">
+      <p className="text-lg font-bold">{value}</p>
+      <p className="text-xs text-muted-foreground">{label}</p>
+    </div>
+  )
+}
@@ -1,6 +1,7 @@
 // src/components/commerce/EventsPanel.jsx
-// Events panel - dates, tickets, capacity, venues
+// Events panel - dates, tickets, capacity, venues, waitlists
 
+import { useState } from 'react'
 import { Link, useNavigate } from 'react-router-dom'
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
 import { Button } from '@/components/ui/button'
@@ -15,9 +16,11 @@ import {
   MapPin,
   Video,
   TrendingUp,
+  ListOrdered,
 } from 'lucide-react'
 import { cn } from '@/lib/utils'
 import { format, addDays, differenceInDays } from 'date-fns'
+import EventWaitlistDialog from './EventWaitlistDialog'
 
 // Mock data for demo
 const mockEvents = [
@@ -72,18 +75,24 @@ const mockUpcoming = [
 ]
 
 export function EventsPanel({ 
+  projectId,
   events = [], 
   upcomingEvents = [],
   stats = {},
   showMockData = true,
+  showStats = true,
   compact = false,
   brandColors = {},
+  onEventsChange,
   className 
 }) {
   const navigate = useNavigate()
+  const [waitlistEvent, setWaitlistEvent] = useState(null)
   
   const displayEvents = events.length > 0 ? events : (showMockData ? mockEvents : [])
   const displayUpcoming = upcomingEvents.length > 0 ? upcomingEvents : (showMockData ? mockUpcoming : [])
+  // Mock rows have no schedule to manage
+  const canManageWaitlist = !!projectId && upcomingEvents.length > 0
   const displayStats = Object.keys(stats).length > 0 ? stats : (showMockData ? {
     totalEvents: 5,
     upcomingEvents: 3,
@@ -151,12 +160,14 @@ export function EventsPanel({
       </CardHeader>
       <CardContent className="space-y-4">
         {/* Stats Row */}
-        <div className="grid grid-cols-4 gap-3">
-          <StatBox label="Events" value={displayStats.totalEvents || 0} />
-          <StatBox label="Upcoming" value={displayStats.upcomingEvents || 0} />
-          <StatBox label="Sold" value={displayStats.ticketsSold || 0} />
-          <StatBox label="Revenue" value={`$${displayStats.totalRevenue || 0}`} />
-        </div>
+        {showStats && (
+          <div className="grid grid-cols-4 gap-3">
+            <StatBox label="Events" value={displayStats.totalEvents || 0} />
+            <StatBox label="Upcoming" value={displayStats.upcomingEvents || 0} />
+            <StatBox label="Sold" value={displayStats.ticketsSold || 0} />
+            <StatBox label="Revenue" value={`$${displayStats.totalRevenue || 0}`} />
+          </div>
+        )}
 
         {/* Upcoming Events */}
         <div>
@@ -169,7 +180,7 @@ export function EventsPanel({
           <div className="space-y-3">
             {displayUpcoming.slice(0, 3).map(event => {
               const daysUntil = differenceInDays(event.date, new Date())
-              const fillPercent = Math.round((event.sold / event.capacity) * 100)
+              const fillPercent = event.capacity ? Math.round((event.sold / event.capacity) * 100) : 0
               const isAlmostFull = fillPercent >= 80
               
               return (
@@ -209,12 +220,31 @@ export function EventsPanel({
                       )}
                     </div>
                     <div className="flex-1" />
+                    {event.waitlist_count > 0 && (
+                      <Badge variant="outline" className="text-xs bg-amber-50 text-amber-700 border-amber-200">
+                        {event.waitlist_count} waiting
+                      </Badge>
+                    )}
+                    {canManageWaitlist && (
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        className="h-7 text-xs"
+                        onClick={(e) => {
+                          e.stopPropagation()
+                          setWaitlistEvent(event)
+                        }}
+                      >
+                        <ListOrdered className="h-3.5 w-3.5 mr-1" />
+                        Waitlist
+                      </Button>
+                    )}
                     <div className="flex items-center gap-2">
                       <span className={cn(
                         "font-medium",
                         isAlmostFull && "text-amber-600"
                       )}>
-                        {event.sold}/{event.capacity}
+                        {event.sold}/{event.capacity || '∞'}
                       </span>
                       <div className="w-20 h-2 bg-muted rounded-full overflow-hidden">
                         <div 
@@ -254,6 +284,14 @@ export function EventsPanel({
           </Button>
         </div>
       </CardContent>
+
+      <EventWaitlistDialog
+        open={!!waitlistEvent}
+        onOpenChange={(open) => !open && setWaitlistEvent(null)}
+        projectId={projectId}
+        event={waitlistEvent}
+        onChange={onEventsChange}
+      />
     </Card>
   )
 }
@@ -0,0 +1,64 @@
+// src/components/commerce/waitlist.js
+// Event waitlist helpers - queue order, offer expiry, conversion stats
+
+export const WAITLIST_STATUS_LABELS = {
+  waiting: 'Waiting',
+  offered: 'Offered',
+  claimed: 'Claimed',
+  expired: 'Expired',
+  removed: 'Removed',
+}
+
+/**
+ * Effective status of a waitlist entry. An offer past its expiry counts as
+ * expired even before the server has swept it.
+ */
+export function getWaitlistEntryStatus(entry, now = new Date()) {
+  if (entry.status === 'offered' && entry.offer_expires_at && new Date(entry.offer_expires_at) <= now) {
+    return 'expired'
+  }
+  return entry.status || 'waiting'
+}
+
+/**
+ * Entries in queue order (position, then join time). Removed entries are dropped.
+ */
+export function sortWaitlist(entries = []) {
+  return entries
+    .filter(entry => entry.status !== 'removed')
+    .sort((a, b) => {
+      if (a.position != null && b.position != null && a.position !== b.position) {
+        return a.position - b.position
+      }
+      return new Date(a.created_at) - new Date(b.created_at)
+    })
+}
+
+/**
+ * The entry that would receive the next freed spot, or null when nobody is waiting
+ */
+export function getNextWaitlistEntry(entries = [], now = new Date()) {
+  return sortWaitlist(entries).find(entry => getWaitlistEntryStatus(entry, now) === 'waiting') || null
+}
+
+/**
+ * Counts per status plus the share of offers that were claimed.
+ * conversionRate is null until at least one offer has been resolved.
+ */
+export function summarizeWaitlist(entries = [], now = new Date()) {
+  const summary = { joined: 0, waiting: 0, offered: 0, claimed: 0, expired: 0, conversionRate: null }
+
+  for (const entry of entries) {
+    const status = getWaitlistEntryStatus(entry, now)
+    if (status === 'removed') continue
+    summary.joined++
+    summary[status]++
+  }
+
+  const resolved = summary.claimed + summary.expired
+  if (resolved > 0) {
+    summary.conversionRate = Math.round((summary.claimed / resolved) * 100)
+  }
+
+  return summary
+}
@@ -1122,6 +1122,7 @@ export default function CRMDashboard() {
               // Unassigned Leads Queue - Leads waiting to be claimed/assigned
               <div className="flex-1 min-h-0 p-4 overflow-auto">
                 <UnassignedLeadsQueue 
+                  projectId={currentProject?.id}
                   onLeadClick={handleProspectClick}
                   onLeadAssigned={handleLeadAssigned}
                 />
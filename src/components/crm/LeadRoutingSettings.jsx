@@ -0,0 +1,524 @@
+/**
+ * LeadRoutingSettings - Rules that assign unassigned leads automatically
+ * Controlled editor for the routing config; PipelineSettingsDialog saves it
+ */
+import { cn } from '@/lib/utils'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+import { Badge } from '@/components/ui/badge'
+import { Switch } from '@/components/ui/switch'
+import { Checkbox } from '@/components/ui/checkbox'
+import { Popover, PopoverContent, PopoverTrigger } from '@/components/ui/popover'
+import { ScrollArea } from '@/components/ui/scroll-area'
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select'
+import {
+  Plus,
+  Trash2,
+  ChevronUp,
+  ChevronDown,
+  MapPin,
+  Clock,
+  AlertTriangle,
+  Users,
+  Filter,
+} from 'lucide-react'
+import { US_STATES } from '@/lib/constants/us-states'
+import {
+  ROUTING_STRATEGIES,
+  ROUTING_INDUSTRIES,
+  WEEKDAYS,
+  createRoutingRule,
+  getDefaultTimezone,
+  validateRoutingConfig,
+} from './leadRouting'
+
+const TIMEZONES = [
+  'America/New_York',
+  'America/Chicago',
+  'America/Denver',
+  'America/Phoenix',
+  'America/Los_Angeles',
+  'America/Anchorage',
+  'Pacific/Honolulu',
+  'UTC',
+]
+
+const splitList = (value) => value.split(',').map(v => v.trim()).filter(Boolean)
+
+// Multi-select in a popover, for states and industries
+function MultiSelect({ options, selected, onChange, placeholder }) {
+  const toggle = (value) => {
+    onChange(selected.includes(value) ? selected.filter(v => v !== value) : [...selected, value])
+  }
+
+  return (
+    <Popover>
+      <PopoverTrigger asChild>
+        <Button variant="outline" size="sm" className="h-8 w-full justify-start font-normal truncate">
+          {selected.length === 0 ? (
+            <span className="text-[var(--text-tertiary)]">{placeholder}</span>
+          ) : (
+            selected.join(', ')
+          )}
+        </Button>
+      </PopoverTrigger>
+      <PopoverContent className="w-64 p-0" align="start">
+        <ScrollArea className="h-64">
+          <div className="p-2 space-y-1">
+            {options.map(option => (
+              <label
+                key={option.value}
+                className="flex items-center gap-2 px-2 py-1 rounded text-sm cursor-pointer hover:bg-[var(--glass-bg-hover)]"
+              >
+                <Checkbox
+                  checked={selected.includes(option.value)}
+                  onCheckedChange={() => toggle(option.value)}
+                />
+                {option.label}
+              </label>
+            ))}
+          </div>
+        </ScrollArea>
+      </PopoverContent>
+    </Popover>
+  )
+}
+
+const STATE_OPTIONS = US_STATES.map(s => ({ value: s.code, label: `${s.name} (${s.code})` }))
+const INDUSTRY_OPTIONS = ROUTING_INDUSTRIES.map(i => ({ value: i.name, label: i.label }))
+
+function TerritoryEditor({ territories, onChange }) {
+  const handleAdd = () => {
+    onChange([...territories, { id: `territory-${Date.now()}`, name: 'New Territory', states: [] }])
+  }
+
+  const handleUpdate = (index, field, value) => {
+    const updated = [...territories]
+    updated[index] = { ...updated[index], [field]: value }
+    onChange(updated)
+  }
+
+  return (
+    <div className="space-y-2">
+      {territories.map((territory, index) => (
+        <div key={territory.id} className="flex items-center gap-2">
+          <Input
+            value={territory.name}
+            onChange={(e) => handleUpdate(index, 'name', e.target.value)}
+            className="h-8 w-48"
+          />
+          <div className="flex-1 min-w-0">
+            <MultiSelect
+              options={STATE_OPTIONS}
+              selected={territory.states}
+              onChange={(states) => handleUpdate(index, 'states', states)}
+              placeholder="Choose states"
+            />
+          </div>
+          <Button
+            variant="ghost"
+            size="icon"
+            onClick={() => onChange(territories.filter((_, i) => i !== index))}
+          >
+            <Trash2 className="h-4 w-4 text-red-500" />
+          </Button>
+        </div>
+      ))}
+      <Button variant="outline" size="sm" onClick={handleAdd} className="gap-2">
+        <Plus className="h-4 w-4" />
+        Add Territory
+      </Button>
+    </div>
+  )
+}
+
+function RuleCard({ rule, index, count, territories, members, onChange, onMove, onRemove }) {
+  const update = (field, value) => onChange({ ...rule, [field]: value })
+  const updateCondition = (field, value) => update('conditions', { ...rule.conditions, [field]: value })
+  const updateHours = (field, value) => update('working_hours', { ...rule.working_hours, [field]: value })
+
+  const toggleMember = (userId) => {
+    const isMember = rule.members.some(m => m.user_id === userId)
+    update('members', isMember
+      ? rule.members.filter(m => m.user_id !== userId)
+      : [...rule.members, { user_id: userId, weight: 1 }])
+  }
+
+  const setWeight = (userId, weight) => {
+    update('members', rule.members.map(m => (m.user_id === userId ? { ...m, weight } : m)))
+  }
+
+  const toggleDay = (day) => {
+    const days = rule.working_hours.days
+    updateHours('days', days.includes(day) ? days.filter(d => d !== day) : [...days, day].sort())
+  }
+
+  const toNumber = (value) => (value === '' ? null : Number(value))
+
+  return (
+    <div className={cn(
+      'p-4 rounded-lg border bg-[var(--glass-bg)] space-y-4',
+      !rule.enabled && 'opacity-60'
+    )}>
+      {/* Header */}
+      <div className="flex items-center gap-3">
+        <Badge variant="outline" className="font-mono">{index + 1}</Badge>
+        <Input
+          value={rule.name}
+          onChange={(e) => update('name', e.target.value)}
+          className="h-8 flex-1"
+        />
+        <Switch checked={rule.enabled} onCheckedChange={(checked) => update('enabled', checked)} />
+        <div className="flex">
+          <Button variant="ghost" size="icon" onClick={() => onMove(-1)} disabled={index === 0}>
+            <ChevronUp className="h-4 w-4" />
+          </Button>
+          <Button variant="ghost" size="icon" onClick={() => onMove(1)} disabled={index === count - 1}>
+            <ChevronDown className="h-4 w-4" />
+          </Button>
+          <Button variant="ghost" size="icon" onClick={onRemove}>
+            <Trash2 className="h-4 w-4 text-red-500" />
+          </Button>
+        </div>
+      </div>
+
+      {/* Conditions */}
+      <div className="space-y-2">
+        <p className="flex items-center gap-1.5 text-xs font-medium text-[var(--text-secondary)]">
+          <Filter className="h-3.5 w-3.5" />
+          Match leads where (empty fields match anything)
+        </p>
+        <div className="grid grid-cols-3 gap-x-4 gap-y-3">
+          <div>
+            <Label className="text-xs">Sources</Label>
+            <Input
+              defaultValue={rule.conditions.sources.join(', ')}
+              onBlur={(e) => updateCondition('sources', splitList(e.target.value))}
+              placeholder="website, referral"
+              className="h-8"
+            />
+          </div>
+          <div>
+            <Label className="text-xs">Forms</Label>
+            <Input
+              defaultValue={rule.conditions.forms.join(', ')}
+              onBlur={(e) => updateCondition('forms', splitList(e.target.value))}
+              placeholder="contact, quote-request"
+              className="h-8"
+            />
+          </div>
+          <div>
+            <Label className="text-xs">Industries</Label>
+            <MultiSelect
+              options={INDUSTRY_OPTIONS}
+              selected={rule.conditions.industries}
+              onChange={(industries) => updateCondition('industries', industries)}
+              placeholder="Any industry"
+            />
+          </div>
+          <div>
+            <Label className="text-xs">UTM Source</Label>
+            <Input
+              value={rule.conditions.utm_source}
+              onChange={(e) => updateCondition('utm_source', e.target.value)}
+              placeholder="google"
+              className="h-8"
+            />
+          </div>
+          <div>
+            <Label className="text-xs">UTM Medium</Label>
+            <Input
+              value={rule.conditions.utm_medium}
+              onChange={(e) => updateCondition('utm_medium', e.target.value)}
+              placeholder="cpc"
+              className="h-8"
+            />
+          </div>
+          <div>
+            <Label className="text-xs">UTM Campaign</Label>
+            <Input
+              value={rule.conditions.utm_campaign}
+              onChange={(e) => updateCondition('utm_campaign', e.target.value)}
+              className="h-8"
+            />
+          </div>
+          <div>
+            <Label className="text-xs">Territories</Label>
+            <MultiSelect
+              options={territories.map(t => ({ value: t.id, label: t.name }))}
+              selected={rule.conditions.territories}
+              onChange={(ids) => updateCondition('territories', ids)}
+              placeholder={territories.length ? 'Any territory' : 'No territories defined'}
+            />
+          </div>
+          <div>
+            <Label className="text-xs">States</Label>
+            <MultiSelect
+              options={STATE_OPTIONS}
+              selected={rule.conditions.states}
+              onChange={(states) => updateCondition('states', states)}
+              placeholder="Any state"
+            />
+          </div>
+          <div>
+            <Label className="text-xs">Lead Score</Label>
+            <div className="flex items-center gap-2">
+              <Input
+                type="number"
+                min={0}
+                max={100}
+                value={rule.conditions.min_score ?? ''}
+                onChange={(e) => updateCondition('min_score', toNumber(e.target.value))}
+                placeholder="Min"
+                className="h-8"
+              />
+              <span className="text-xs text-[var(--text-tertiary)]">to</span>
+              <Input
+                type="number"
+                min={0}
+                max={100}
+                value={rule.conditions.max_score ?? ''}
+                onChange={(e) => updateCondition('max_score', toNumber(e.target.value))}
+                placeholder="Max"
+                className="h-8"
+              />
+            </div>
+          </div>
+        </div>
+      </div>
+
+      {/* Assignment */}
+      <div className="space-y-2">
+        <div className="flex items-center justify-between">
+          <p className="flex items-center gap-1.5 text-xs font-medium text-[var(--text-secondary)]">
+            <Users className="h-3.5 w-3.5" />
+            Assign to
+          </p>
+          <Select value={rule.strategy} onValueChange={(value) => update('strategy', value)}>
+            <SelectTrigger className="h-8 w-40">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {Object.entries(ROUTING_STRATEGIES).map(([key, strategy]) => (
+                <SelectItem key={key} value={key}>{strategy.label}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+        <p className="text-xs text-[var(--text-tertiary)]">
+          {ROUTING_STRATEGIES[rule.strategy]?.description}
+        </p>
+        <div className="grid grid-cols-2 gap-2">
+          {members.map(member => {
+            const entry = rule.members.find(m => m.user_id === member.id)
+            return (
+              <div key={member.id} className="flex items-center gap-2 px-2 py-1 rounded border border-[var(--glass-border)]">
+                <Checkbox checked={!!entry} onCheckedChange={() => toggleMember(member.id)} />
+                <span className="flex-1 text-sm truncate">{member.name || member.email}</span>
+                {entry && rule.strategy === 'weighted' && (
+                  <Input
+                    type="number"
+                    min={0}
+                    value={entry.weight}
+                    onChange={(e) => setWeight(member.id, Number(e.target.value))}
+                    className="h-7 w-16"
+                    title="Weight"
+                  />
+                )}
+              </div>
+            )
+          })}
+        </div>
+      </div>
+
+      {/* Working Hours & SLA */}
+      <div className="grid grid-cols-2 gap-4">
+        <div className="space-y-2">
+          <div className="flex items-center justify-between">
+            <p className="flex items-center gap-1.5 text-xs font-medium text-[var(--text-secondary)]">
+              <Clock className="h-3.5 w-3.5" />
+              Only assign during working hours
+            </p>
+            <Switch
+              checked={rule.working_hours.enabled}
+              onCheckedChange={(checked) => updateHours('enabled', checked)}
+            />
+          </div>
+          {rule.working_hours.enabled && (
+            <>
+              <div className="flex gap-1">
+                {WEEKDAYS.map((day, i) => (
+                  <button
+                    key={day}
+                    type="button"
+                    onClick={() => toggleDay(i)}
+                    className={cn(
+                      'px-2 py-1 rounded text-xs border transition-colors',
+                      rule.working_hours.days.includes(i)
+                        ? 'bg-[var(--brand-primary)] text-white border-transparent'
+                        : 'border-[var(--glass-border)] text-[var(--text-tertiary)]'
+                    )}
+                  >
+                    {day}
+                  </button>
+                ))}
+              </div>
+              <div className="flex items-center gap-2">
+                <Input
+                  type="time"
+                  value={rule.working_hours.start}
+                  onChange={(e) => updateHours('start', e.target.value)}
+                  className="h-8"
+                />
+                <span className="text-xs text-[var(--text-tertiary)]">to</span>
+                <Input
+                  type="time"
+                  value={rule.working_hours.end}
+                  onChange={(e) => updateHours('end', e.target.value)}
+                  className="h-8"
+                />
+              </div>
+              <Select
+                value={rule.working_hours.timezone}
+                onValueChange={(value) => updateHours('timezone', value)}
+              >
+                <SelectTrigger className="h-8">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {[...new Set([...TIMEZONES, getDefaultTimezone(), rule.working_hours.timezone])].map(tz => (
+                    <SelectItem key={tz} value={tz}>{tz.replace(/_/g, ' ')}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </>
+          )}
+        </div>
+
+        <div className="space-y-2">
+          <p className="flex items-center gap-1.5 text-xs font-medium text-[var(--text-secondary)]">
+            <AlertTriangle className="h-3.5 w-3.5" />
+            Escalate if still unclaimed after
+          </p>
+          <div className="flex items-center gap-2">
+            <Input
+              type="number"
+              min={1}
+              value={rule.sla_minutes ?? ''}
+              onChange={(e) => update('sla_minutes', toNumber(e.target.value))}
+              placeholder="No SLA"
+              className="h-8 w-28"
+            />
+            <span className="text-xs text-[var(--text-tertiary)]">
+              {rule.working_hours.enabled ? 'working minutes' : 'minutes'}
+            </span>
+          </div>
+          {rule.sla_minutes > 0 && (
+            <Select
+              value={rule.escalate_to || ''}
+              onValueChange={(value) => update('escalate_to', value)}
+            >
+              <SelectTrigger className="h-8">
+                <SelectValue placeholder="Escalate to..." />
+              </SelectTrigger>
+              <SelectContent>
+                {members.map(member => (
+                  <SelectItem key={member.id} value={member.id}>
+                    {member.name || member.email}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default function LeadRoutingSettings({ value, onChange, members = [] }) {
+  const errors = validateRoutingConfig(value)
+
+  const update = (field, fieldValue) => onChange({ ...value, [field]: fieldValue })
+
+  const updateRule = (index, rule) => {
+    const rules = [...value.rules]
+    rules[index] = rule
+    update('rules', rules)
+  }
+
+  const moveRule = (index, direction) => {
+    const rules = [...value.rules]
+    const [rule] = rules.splice(index, 1)
+    rules.splice(index + direction, 0, rule)
+    update('rules', rules)
+  }
+
+  return (
+    <div className="space-y-6 pr-2">
+      <div className="flex items-center justify-between p-4 rounded-lg border bg-[var(--glass-bg)]">
+        <div>
+          <p className="text-sm font-medium text-[var(--text-primary)]">Route leads automatically</p>
+          <p className="text-xs text-[var(--text-tertiary)]">
+            New leads are matched against the rules below, top to bottom, as they arrive. The first match decides the owner. Escalations are sent even when no one has the queue open.
+          </p>
+        </div>
+        <Switch checked={value.enabled} onCheckedChange={(checked) => update('enabled', checked)} />
+      </div>
+
+      {errors.length > 0 && (
+        <div className="p-3 rounded-lg border border-amber-300 bg-amber-50 text-amber-800 text-xs space-y-1">
+          {errors.map(error => <p key={error}>{error}</p>)}
+        </div>
+      )}
+
+      <div className="space-y-2">
+        <h4 className="flex items-center gap-1.5 text-sm font-semibold text-[var(--text-primary)]">
+          <MapPin className="h-4 w-4" />
+          Territories
+        </h4>
+        <TerritoryEditor
+          territories={value.territories}
+          onChange={(territories) => update('territories', territories)}
+        />
+      </div>
+
+      <div className="space-y-3">
+        <h4 className="text-sm font-semibold text-[var(--text-primary)]">Rules</h4>
+        {value.rules.length === 0 && (
+          <p className="text-sm text-[var(--text-tertiary)]">
+            No rules yet. Leads stay in the queue until someone claims them.
+          </p>
+        )}
+        {value.rules.map((rule, index) => (
+          <RuleCard
+            key={rule.id}
+            rule={rule}
+            index={index}
+            count={value.rules.length}
+            territories={value.territories}
+            members={members}
+            onChange={(updated) => updateRule(index, updated)}
+            onMove={(direction) => moveRule(index, direction)}
+            onRemove={() => update('rules', value.rules.filter((_, i) => i !== index))}
+          />
+        ))}
+        <Button
+          variant="outline"
+          onClick={() => update('rules', [...value.rules, createRoutingRule(value.rules.length)])}
+          className="gap-2"
+        >
+          <Plus className="h-4 w-4" />
+          Add Rule
+        </Button>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,152 @@
+/**
+ * LeadRoutingSimulation - Dry run of the routing rules against the live queue
+ * Shows who each unassigned lead would go to without assigning anything
+ */
+import { useState } from 'react'
+import { cn } from '@/lib/utils'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+import { Badge } from '@/components/ui/badge'
+import { Loader2, Play, UserCheck, AlertTriangle, PauseCircle, HelpCircle } from 'lucide-react'
+import { toast } from '@/lib/toast'
+import { crmApi } from '@/lib/portal-api'
+import { normalizeMemberLoads, routeLeads, summarizeRouting } from './leadRouting'
+
+const OUTCOMES = {
+  assigned: { label: 'Assigned', icon: UserCheck, color: 'text-green-600' },
+  escalated: { label: 'Escalated', icon: AlertTriangle, color: 'text-red-600' },
+  held: { label: 'Waiting', icon: PauseCircle, color: 'text-amber-600' },
+  unmatched: { label: 'No rule', icon: HelpCircle, color: 'text-[var(--text-tertiary)]' },
+}
+
+// Value for a datetime-local input, in the browser's timezone
+function toLocalInput(date) {
+  const offset = date.getTimezoneOffset() * 60000
+  return new Date(date.getTime() - offset).toISOString().slice(0, 16)
+}
+
+export default function LeadRoutingSimulation({ config, members = [] }) {
+  const [at, setAt] = useState(() => toLocalInput(new Date()))
+  const [isRunning, setIsRunning] = useState(false)
+  const [result, setResult] = useState(null)
+
+  const memberName = (id) => {
+    const member = members.find(m => m.id === id)
+    return member ? member.name || member.email : 'Unknown member'
+  }
+
+  const handleRun = async () => {
+    setIsRunning(true)
+    try {
+      const [leadsResponse, statsResponse] = await Promise.all([
+        crmApi.listUnassignedLeads({ limit: 200 }),
+        crmApi.getTeamAssignmentStats().catch(() => ({ data: null })),
+      ])
+      const routed = routeLeads({
+        config,
+        leads: leadsResponse.data?.leads || [],
+        activeMemberIds: members.map(m => m.id),
+        loads: normalizeMemberLoads(statsResponse.data),
+        now: new Date(at),
+      })
+      setResult(routed)
+    } catch (err) {
+      console.error('Failed to simulate routing:', err)
+      toast.error('Failed to load leads for the simulation')
+    } finally {
+      setIsRunning(false)
+    }
+  }
+
+  const rows = result ? [
+    ...result.assignments.map(entry => ({ ...entry, outcome: 'assigned' })),
+    ...result.escalations.map(entry => ({ ...entry, outcome: 'escalated' })),
+    ...result.held.map(entry => ({ ...entry, outcome: 'held' })),
+    ...result.unmatched.map(entry => ({ ...entry, outcome: 'unmatched' })),
+  ] : []
+  const distribution = result ? Object.entries(summarizeRouting(result)).sort((a, b) => b[1] - a[1]) : []
+
+  return (
+    <div className="space-y-4 pr-2">
+      <div className="flex items-end gap-3">
+        <div>
+          <Label className="text-xs">Route as if it were</Label>
+          <Input
+            type="datetime-local"
+            value={at}
+            onChange={(e) => setAt(e.target.value)}
+            className="h-8 w-56"
+          />
+        </div>
+        <Button onClick={handleRun} disabled={isRunning || !at} className="gap-2">
+          {isRunning ? <Loader2 className="h-4 w-4 animate-spin" /> : <Play className="h-4 w-4" />}
+          Run Simulation
+        </Button>
+        <p className="text-xs text-[var(--text-tertiary)] pb-2">
+          Uses the current queue and the unsaved rules. Nothing is assigned.
+        </p>
+      </div>
+
+      {result && (
+        <>
+          <div className="grid grid-cols-4 gap-2">
+            {Object.entries(OUTCOMES).map(([key, outcome]) => {
+              const Icon = outcome.icon
+              return (
+                <div key={key} className="p-3 rounded-lg border bg-[var(--glass-bg)]">
+                  <p className={cn('flex items-center gap-1.5 text-xs', outcome.color)}>
+                    <Icon className="h-3.5 w-3.5" />
+                    {outcome.label}
+                  </p>
+                  <p className="text-xl font-semibold text-[var(--text-primary)]">
+                    {rows.filter(row => row.outcome === key).length}
+                  </p>
+                </div>
+              )
+            })}
+          </div>
+
+          {distribution.length > 0 && (
+            <div className="flex flex-wrap gap-2">
+              {distribution.map(([id, count]) => (
+                <Badge key={id} variant="outline" className="gap-1">
+                  {memberName(id)}
+                  <span className="font-semibold">{count}</span>
+                </Badge>
+              ))}
+            </div>
+          )}
+
+          {rows.length === 0 ? (
+            <p className="text-sm text-[var(--text-tertiary)]">The queue is empty.</p>
+          ) : (
+            <div className="rounded-lg border divide-y">
+              {rows.map(({ lead, rule, outcome, assigned_to: assignedTo, reason, until }) => {
+                const { icon: Icon, color } = OUTCOMES[outcome]
+                return (
+                  <div key={lead.id} className="flex items-center gap-3 px-3 py-2 text-sm">
+                    <Icon className={cn('h-4 w-4 flex-shrink-0', color)} />
+                    <div className="flex-1 min-w-0">
+                      <p className="font-medium truncate">{lead.name || lead.email}</p>
+                      <p className="text-xs text-[var(--text-tertiary)] truncate">
+                        {[lead.source, lead.company].filter(Boolean).join(' · ')}
+                      </p>
+                    </div>
+                    <div className="text-right text-xs">
+                      {assignedTo && <p className="font-medium">{memberName(assignedTo)}</p>}
+                      <p className="text-[var(--text-tertiary)]">
+                        {outcome === 'unmatched' ? 'Stays in the queue' : reason || rule?.name}
+                        {until && ` until ${until.toLocaleString()}`}
+                      </p>
+                    </div>
+                  </div>
+                )
+              })}
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  )
+}
@@ -1,6 +1,7 @@
 /**
  * PipelineSettingsDialog - Configure custom pipeline stages
- * Allows projects to customize their sales pipeline stages
+ * Allows projects to customize their sales pipeline stages and the rules
+ * that route new leads to the team
  */
 import { useState, useEffect } from 'react'
 import { cn } from '@/lib/utils'
@@ -17,6 +18,7 @@ import { Input } from '@/components/ui/input'
 import { Label } from '@/components/ui/label'
 import { Badge } from '@/components/ui/badge'
 import { ScrollArea } from '@/components/ui/scroll-area'
+import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/components/ui/tabs'
 import {
   GripVertical,
   Plus,
@@ -33,6 +35,10 @@ import {
 import { toast } from '@/lib/toast'
 import { crmApi } from '@/lib/portal-api'
 import { useBrandColors } from '@/hooks/useBrandColors'
+import { useTeamMembers } from '@/lib/hooks'
+import LeadRoutingSettings from './LeadRoutingSettings'
+import LeadRoutingSimulation from './LeadRoutingSimulation'
+import { DEFAULT_ROUTING_CONFIG, normalizeRoutingConfig } from './leadRouting'
 
 // Default icon options
 const ICON_OPTIONS = [
@@ -63,14 +69,30 @@ export default function PipelineSettingsDialog({ open, onClose, projectId, onUpd
   const [isSaving, setIsSaving] = useState(false)
   const [stages, setStages] = useState([])
   const [draggedIndex, setDraggedIndex] = useState(null)
+  const [activeTab, setActiveTab] = useState('stages')
+  const [routing, setRouting] = useState(DEFAULT_ROUTING_CONFIG)
+  const { data: teamData } = useTeamMembers()
+  const activeMembers = (teamData?.members || []).filter(m => m.teamStatus === 'active')
 
-  // Fetch current pipeline stages
+  // Fetch current pipeline stages and routing rules
   useEffect(() => {
     if (open && projectId) {
       fetchStages()
+      fetchRouting()
     }
   }, [open, projectId])
 
+  const fetchRouting = async () => {
+    try {
+      const response = await crmApi.getLeadRouting(projectId)
+      setRouting(normalizeRoutingConfig(response.data?.routing || response.data))
+    } catch (err) {
+      // Projects that never saved routing rules start from the defaults
+      console.error('Failed to fetch lead routing:', err)
+      setRouting(DEFAULT_ROUTING_CONFIG)
+    }
+  }
+
   const fetchStages = async () => {
     setIsLoading(true)
     try {
@@ -98,7 +120,10 @@ export default function PipelineSettingsDialog({ open, onClose, projectId, onUpd
   const handleSave = async () => {
     setIsSaving(true)
     try {
-      await crmApi.updatePipelineStages(projectId, stages)
+      await Promise.all([
+        crmApi.updatePipelineStages(projectId, stages),
+        crmApi.updateLeadRouting(projectId, routing),
+      ])
       toast.success('Pipeline configuration saved')
       onUpdate?.()
       onClose()
@@ -171,7 +196,7 @@ export default function PipelineSettingsDialog({ open, onClose, projectId, onUpd
         <DialogHeader className="flex-shrink-0">
           <DialogTitle>Pipeline Configuration</DialogTitle>
           <DialogDescription>
-            Customize your sales pipeline stages. Drag to reorder.
+            Customize your sales pipeline stages and how new leads are routed to your team.
           </DialogDescription>
         </DialogHeader>
 
@@ -180,144 +205,165 @@ export default function PipelineSettingsDialog({ open, onClose, projectId, onUpd
             <Loader2 className="h-6 w-6 animate-spin" style={{ color: brandPrimary }} />
           </div>
         ) : (
-          <>
-            <ScrollArea className="flex-1 overflow-y-auto pr-4 -mr-4" style={{ maxHeight: 'calc(90vh - 200px)' }}>
-              <div className="space-y-3 pr-2">
-                {stages.map((stage, index) => {
-                  const IconComponent = ICON_OPTIONS.find(opt => opt.value === stage.icon)?.icon || Sparkles
-                  
-                  return (
-                    <div
-                      key={stage.id}
-                      draggable={!stage.is_won && !stage.is_lost}
-                      onDragStart={() => handleDragStart(index)}
-                      onDragOver={(e) => handleDragOver(e, index)}
-                      onDragEnd={handleDragEnd}
-                      className={cn(
-                        'flex items-start gap-3 p-4 rounded-lg border bg-[var(--glass-bg)]',
-                        draggedIndex === index && 'opacity-50',
-                        (stage.is_won || stage.is_lost) ? 'cursor-default' : 'cursor-move'
-                      )}
-                    >
-                      {/* Drag Handle */}
-                      {!stage.is_won && !stage.is_lost && (
-                        <GripVertical className="h-5 w-5 text-[var(--text-tertiary)] mt-2 flex-shrink-0" />
-                      )}
+          <Tabs value={activeTab} onValueChange={setActiveTab} className="flex-1 min-h-0">
+            <TabsList className="flex-shrink-0">
+              <TabsTrigger value="stages">Stages</TabsTrigger>
+              <TabsTrigger value="routing">Lead Routing</TabsTrigger>
+              <TabsTrigger value="simulate">Simulate</TabsTrigger>
+            </TabsList>
 
-                      {/* Stage Preview */}
-                      <div className="flex-shrink-0 mt-2">
-                        <div
-                          className="w-10 h-10 rounded-lg flex items-center justify-center"
-                          style={{ backgroundColor: stage.color }}
-                        >
-                          <IconComponent className="h-5 w-5 text-white" />
-                        </div>
-                      </div>
+            <TabsContent value="stages" className="flex flex-col min-h-0">
+              <p className="text-xs text-[var(--text-tertiary)] mb-3">Drag stages to reorder.</p>
+              <ScrollArea className="flex-1 overflow-y-auto pr-4 -mr-4" style={{ maxHeight: 'calc(90vh - 280px)' }}>
+                <div className="space-y-3 pr-2">
+                  {stages.map((stage, index) => {
+                    const IconComponent = ICON_OPTIONS.find(opt => opt.value === stage.icon)?.icon || Sparkles
+                  
+                    return (
+                      <div
+                        key={stage.id}
+                        draggable={!stage.is_won && !stage.is_lost}
+                        onDragStart={() => handleDragStart(index)}
+                        onDragOver={(e) => handleDragOver(e, index)}
+                        onDragEnd={handleDragEnd}
+                        className={cn(
+                          'flex items-start gap-3 p-4 rounded-lg border bg-[var(--glass-bg)]',
+                          draggedIndex === index && 'opacity-50',
+                          (stage.is_won || stage.is_lost) ? 'cursor-default' : 'cursor-move'
+                        )}
+                      >
+                        {/* Drag Handle */}
+                        {!stage.is_won && !stage.is_lost && (
+                          <GripVertical className="h-5 w-5 text-[var(--text-tertiary)] mt-2 flex-shrink-0" />
+                        )}
 
-                      {/* Stage Configuration */}
-                      <div className="flex-1 grid grid-cols-2 gap-x-4 gap-y-3">
-                        <div>
-                          <Label className="text-xs">Stage Label</Label>
-                          <Input
-                            value={stage.stage_label}
-                            onChange={(e) => handleUpdateStage(index, 'stage_label', e.target.value)}
-                            disabled={stage.is_won || stage.is_lost}
-                            className="h-8"
-                          />
-                        </div>
-                        <div>
-                          <Label className="text-xs">Stage Key</Label>
-                          <Input
-                            value={stage.stage_key}
-                            onChange={(e) => handleUpdateStage(index, 'stage_key', e.target.value)}
-                            disabled={stage.is_won || stage.is_lost}
-                            className="h-8 font-mono text-xs"
-                          />
+                        {/* Stage Preview */}
+                        <div className="flex-shrink-0 mt-2">
+                          <div
+                            className="w-10 h-10 rounded-lg flex items-center justify-center"
+                            style={{ backgroundColor: stage.color }}
+                          >
+                            <IconComponent className="h-5 w-5 text-white" />
+                          </div>
                         </div>
 
-                        <div>
-                          {/* Color Picker */}
+                        {/* Stage Configuration */}
+                        <div className="flex-1 grid grid-cols-2 gap-x-4 gap-y-3">
                           <div>
-                            <Label className="text-xs">Color</Label>
-                            <div className="flex gap-2 flex-wrap mt-1">
-                              {COLOR_OPTIONS.map((color) => (
-                                <button
-                                  key={color.value}
-                                  onClick={() => handleUpdateStage(index, 'color', color.value)}
-                                  className={cn(
-                                    'w-7 h-7 rounded-lg border-2 transition-all',
-                                    stage.color === color.value 
-                                      ? 'border-[var(--text-primary)] scale-110' 
-                                      : 'border-transparent hover:scale-105'
-                                  )}
-                                  style={{ backgroundColor: color.value }}
-                                  title={color.label}
-                                />
-                              ))}
-                            </div>
+                            <Label className="text-xs">Stage Label</Label>
+                            <Input
+                              value={stage.stage_label}
+                              onChange={(e) => handleUpdateStage(index, 'stage_label', e.target.value)}
+                              disabled={stage.is_won || stage.is_lost}
+                              className="h-8"
+                            />
+                          </div>
+                          <div>
+                            <Label className="text-xs">Stage Key</Label>
+                            <Input
+                              value={stage.stage_key}
+                              onChange={(e) => handleUpdateStage(index, 'stage_key', e.target.value)}
+                              disabled={stage.is_won || stage.is_lost}
+                              className="h-8 font-mono text-xs"
+                            />
                           </div>
 
-                          {/* Icon Picker */}
                           <div>
-                            <Label className="text-xs">Icon</Label>
-                            <div className="flex gap-2 flex-wrap mt-1">
-                              {ICON_OPTIONS.map((iconOpt) => {
-                                const Icon = iconOpt.icon
-                                return (
+                            {/* Color Picker */}
+                            <div>
+                              <Label className="text-xs">Color</Label>
+                              <div className="flex gap-2 flex-wrap mt-1">
+                                {COLOR_OPTIONS.map((color) => (
                                   <button
-                                    key={iconOpt.value}
-                                    onClick={() => handleUpdateStage(index, 'icon', iconOpt.value)}
+                                    key={color.value}
+                                    onClick={() => handleUpdateStage(index, 'color', color.value)}
                                     className={cn(
-                                      'w-7 h-7 rounded-lg border-2 flex items-center justify-center transition-all',
-                                      stage.icon === iconOpt.value 
-                                        ? 'border-[var(--text-primary)] bg-[var(--glass-bg-inset)] scale-110' 
-                                        : 'border-transparent hover:bg-[var(--glass-bg-hover)] hover:scale-105'
+                                      'w-7 h-7 rounded-lg border-2 transition-all',
+                                      stage.color === color.value 
+                                        ? 'border-[var(--text-primary)] scale-110' 
+                                        : 'border-transparent hover:scale-105'
                                     )}
-                                    title={iconOpt.label}
-                                  >
-                                    <Icon className="h-4 w-4 text-[var(--text-primary)]" />
-                                  </button>
-                                )
-                              })}
+                                    style={{ backgroundColor: color.value }}
+                                    title={color.label}
+                                  />
+                                ))}
+                              </div>
+                            </div>
+
+                            {/* Icon Picker */}
+                            <div>
+                              <Label className="text-xs">Icon</Label>
+                              <div className="flex gap-2 flex-wrap mt-1">
+                                {ICON_OPTIONS.map((iconOpt) => {
+                                  const Icon = iconOpt.icon
+                                  return (
+                                    <button
+                                      key={iconOpt.value}
+                                      onClick={() => handleUpdateStage(index, 'icon', iconOpt.value)}
+                                      className={cn(
+                                        'w-7 h-7 rounded-lg border-2 flex items-center justify-center transition-all',
+                                        stage.icon === iconOpt.value 
+                                          ? 'border-[var(--text-primary)] bg-[var(--glass-bg-inset)] scale-110' 
+                                          : 'border-transparent hover:bg-[var(--glass-bg-hover)] hover:scale-105'
+                                      )}
+                                      title={iconOpt.label}
+                                    >
+                                      <Icon className="h-4 w-4 text-[var(--text-primary)]" />
+                                    </button>
+                                  )
+                                })}
+                              </div>
                             </div>
                           </div>
+
+                          {(stage.is_won || stage.is_lost) && (
+                            <Badge variant="outline" className="text-xs">
+                              {stage.is_won ? 'Won Stage (Required)' : 'Lost Stage (Required)'}
+                            </Badge>
+                          )}
                         </div>
 
-                        {(stage.is_won || stage.is_lost) && (
-                          <Badge variant="outline" className="text-xs">
-                            {stage.is_won ? 'Won Stage (Required)' : 'Lost Stage (Required)'}
-                          </Badge>
+                        {/* Remove Button */}
+                        {!stage.is_won && !stage.is_lost && (
+                          <Button
+                            variant="ghost"
+                            size="icon"
+                            onClick={() => handleRemoveStage(index)}
+                            className="flex-shrink-0 mt-2"
+                          >
+                            <Trash2 className="h-4 w-4 text-red-500" />
+                          </Button>
                         )}
                       </div>
+                    )
+                  })}
+                </div>
+              </ScrollArea>
 
-                      {/* Remove Button */}
-                      {!stage.is_won && !stage.is_lost && (
-                        <Button
-                          variant="ghost"
-                          size="icon"
-                          onClick={() => handleRemoveStage(index)}
-                          className="flex-shrink-0 mt-2"
-                        >
-                          <Trash2 className="h-4 w-4 text-red-500" />
-                        </Button>
-                      )}
-                    </div>
-                  )
-                })}
+              <div className="flex items-center gap-2 pt-4 border-t flex-shrink-0">
+                <Button
+                  variant="outline"
+                  onClick={handleAddStage}
+                  className="gap-2"
+                >
+                  <Plus className="h-4 w-4" />
+                  Add Stage
+                </Button>
               </div>
-            </ScrollArea>
+            </TabsContent>
+
+            <TabsContent value="routing" className="min-h-0">
+              <ScrollArea className="overflow-y-auto pr-4 -mr-4" style={{ maxHeight: 'calc(90vh - 240px)' }}>
+                <LeadRoutingSettings value={routing} onChange={setRouting} members={activeMembers} />
+              </ScrollArea>
+            </TabsContent>
 
-            <div className="flex items-center gap-2 pt-4 border-t flex-shrink-0">
-              <Button
-                variant="outline"
-                onClick={handleAddStage}
-                className="gap-2"
-              >
-                <Plus className="h-4 w-4" />
-                Add Stage
-              </Button>
-            </div>
-          </>
+            <TabsContent value="simulate" className="min-h-0">
+              <ScrollArea className="overflow-y-auto pr-4 -mr-4" style={{ maxHeight: 'calc(90vh - 240px)' }}>
+                <LeadRoutingSimulation config={routing} members={activeMembers} />
+              </ScrollArea>
+            </TabsContent>
+          </Tabs>
         )}
 
         <DialogFooter className="flex-shrink-0">
@@ -335,7 +381,7 @@ export default function PipelineSettingsDialog({ open, onClose, projectId, onUpd
                 Saving...
               </>
             ) : (
-              'Save Pipeline'
+              'Save Settings'
             )}
           </Button>
         </DialogFooter>
@@ -6,6 +6,7 @@
  * - Quick claim button for team members
  * - Assign dropdown for managers
  * - Filter by source, score
+ * - Rule-based routing, run by the API (see leadRouting.js), with SLA countdowns
  */
 import { useState, useEffect, useCallback } from 'react'
 import { motion, AnimatePresence } from 'framer-motion'
@@ -25,6 +26,8 @@ import {
   Hand,
   AlertCircle,
   CheckCircle2,
+  Route,
+  Timer,
 } from 'lucide-react'
 import { Button } from '@/components/ui/button'
 import { Badge } from '@/components/ui/badge'
@@ -50,6 +53,12 @@ import { useBrandColors } from '@/hooks/useBrandColors'
 import { useTeamMembers, teamKeys } from '@/lib/hooks'
 import { useQueryClient } from '@tanstack/react-query'
 import AssignContactDialog from './AssignContactDialog'
+import {
+  DEFAULT_ROUTING_CONFIG,
+  findMatchingRule,
+  getSlaStatus,
+  normalizeRoutingConfig,
+} from './leadRouting'
 
 // Format relative time
 function formatRelativeTime(date) {
@@ -92,9 +101,33 @@ function ScoreBadge({ score }) {
   )
 }
 
+// Time left before an unclaimed lead escalates
+function SlaBadge({ sla }) {
+  if (!sla) return null
+
+  const minutes = Math.abs(sla.remaining)
+  const label = minutes >= 60 ? `${Math.floor(minutes / 60)}h ${minutes % 60}m` : `${minutes}m`
+
+  return (
+    <Badge
+      variant="outline"
+      className={cn(
+        'gap-1 flex-shrink-0',
+        sla.breached
+          ? 'border-red-500/40 text-red-500'
+          : sla.remaining <= 15 && 'border-amber-500/40 text-amber-500'
+      )}
+    >
+      <Timer className="h-3 w-3" />
+      {sla.breached ? `${label} overdue` : `${label} left`}
+    </Badge>
+  )
+}
+
 // Individual lead card
 function UnassignedLeadCard({
   lead,
+  sla,
   isSelected,
   onSelect,
   onClaim,
@@ -163,6 +196,8 @@ function UnassignedLeadCard({
         </Badge>
       )}
       
+      <SlaBadge sla={sla} />
+
       {/* Time */}
       <span className="text-xs text-[var(--text-tertiary)] flex-shrink-0 flex items-center gap-1">
         <Clock className="h-3.5 w-3.5" />
@@ -219,12 +254,12 @@ function UnassignedLeadCard({
 }
 
 export default function UnassignedLeadsQueue({
+  projectId,
   onLeadClick,
   onLeadAssigned,
   className,
 }) {
   const brandColors = useBrandColors()
-  // Team members are fetched via React Query hooks in AssignContactDialog
   
   const [leads, setLeads] = useState([])
   const [isLoading, setIsLoading] = useState(true)
@@ -243,6 +278,17 @@ export default function UnassignedLeadsQueue({
   const [assignDialogOpen, setAssignDialogOpen] = useState(false)
   const [leadsToAssign, setLeadsToAssign] = useState([])
   
+  // Routing
+  const [routing, setRouting] = useState(null)
+  const [isRouting, setIsRouting] = useState(false)
+  
+  useEffect(() => {
+    if (!projectId) return
+    crmApi.getLeadRouting(projectId)
+      .then((response) => setRouting(normalizeRoutingConfig(response.data?.routing || response.data)))
+      .catch(() => setRouting(normalizeRoutingConfig(DEFAULT_ROUTING_CONFIG)))
+  }, [projectId])
+  
   // Fetch leads
   const fetchLeads = useCallback(async (showRefreshing = false) => {
     try {
@@ -272,6 +318,45 @@ export default function UnassignedLeadsQueue({
     fetchLeads()
   }, [fetchLeads])
   
+  // Ask the API to route the queue now. Routing runs server-side so it happens
+  // once however many tabs have the queue open, and the round-robin position
+  // never round-trips through the browser
+  const applyRouting = useCallback(async () => {
+    if (!projectId) return
+    
+    try {
+      setIsRouting(true)
+      const response = await crmApi.runLeadRouting(projectId)
+      const assigned = response.data?.assigned || []
+      const held = response.data?.held || 0
+      const assignedIds = assigned.map((entry) => entry.contact_id)
+      
+      leads
+        .filter((l) => assignedIds.includes(l.id))
+        .forEach((lead) => onLeadAssigned?.(lead))
+      setLeads((prev) => prev.filter((l) => !assignedIds.includes(l.id)))
+      setTotalCount((prev) => prev - assignedIds.length)
+      setSelectedLeads((prev) => prev.filter((id) => !assignedIds.includes(id)))
+      
+      if (assignedIds.length > 0) {
+        const escalated = assigned.filter((entry) => entry.assignment_type === 'escalation').length
+        toast.success(
+          `Routed ${assignedIds.length} lead${assignedIds.length > 1 ? 's' : ''}` +
+          (escalated > 0 ? ` (${escalated} escalated)` : '')
+        )
+      } else {
+        toast.info(held > 0
+          ? `No leads routed - ${held} waiting for working hours or members`
+          : 'No leads matched a routing rule')
+      }
+    } catch (error) {
+      console.error('Failed to route leads:', error)
+      toast.error('Failed to route leads')
+    } finally {
+      setIsRouting(false)
+    }
+  }, [projectId, leads, onLeadAssigned])
+  
   // Handle claim
   const handleClaim = async (lead) => {
     try {
@@ -386,6 +471,22 @@ export default function UnassignedLeadsQueue({
         </div>
         
         <div className="flex items-center gap-2">
+          {routing?.rules.some((rule) => rule.enabled) && (
+            <Button
+              variant="outline"
+              size="sm"
+              onClick={applyRouting}
+              disabled={isRouting || leads.length === 0}
+              className="gap-1.5"
+            >
+              {isRouting ? (
+                <Loader2 className="h-4 w-4 animate-spin" />
+              ) : (
+                <Route className="h-4 w-4" />
+              )}
+              Route Now
+            </Button>
+          )}
           <Button
             variant="ghost"
             size="sm"
@@ -486,6 +587,7 @@ export default function UnassignedLeadsQueue({
                 <UnassignedLeadCard
                   key={lead.id}
                   lead={lead}
+                  sla={routing && getSlaStatus(findMatchingRule(routing, lead), lead)}
                   isSelected={selectedLeads.includes(lead.id)}
                   onSelect={toggleSelection}
                   onClaim={handleClaim}
@@ -0,0 +1,449 @@
+/**
+ * Lead routing - rules that assign unassigned leads automatically.
+ *
+ * Rules are checked in order; the first enabled rule whose conditions match
+ * a lead picks an owner from its members (round-robin, weighted or least
+ * loaded). Rules only assign during their working hours - outside them the
+ * lead waits in the queue. A lead that has waited longer than the rule's SLA
+ * (counted in working minutes) goes to the rule's escalation contact instead.
+ *
+ * Live routing - new leads, SLA escalation and the round-robin state - runs
+ * in the API, so it happens once and doesn't depend on anyone having the
+ * queue open. Everything here is pure and mirrors those rules so the settings
+ * dialog can simulate a run against the live queue before anything is saved,
+ * and the queue can show SLA countdowns.
+ */
+import { US_STATES } from '@/lib/constants/us-states'
+import { INDUSTRY_CATEGORIES } from '@/lib/constants/industries'
+
+export const ROUTING_STRATEGIES = {
+  round_robin: { label: 'Round robin', description: 'Members take turns in order' },
+  weighted: { label: 'Weighted', description: 'Members get leads in proportion to their weight' },
+  least_loaded: { label: 'Least loaded', description: 'The member with the fewest open leads goes next' },
+}
+
+export const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat']
+
+// Working-minute counts give up past this, so a long-dead lead can't stall a run
+const MAX_SLA_LOOKAHEAD_DAYS = 60
+
+export function getDefaultTimezone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || 'America/New_York'
+}
+
+export function createRoutingRule(index = 0) {
+  return {
+    id: `rule-${Date.now()}-${index}`,
+    name: `Rule ${index + 1}`,
+    enabled: true,
+    conditions: {
+      sources: [],
+      forms: [],
+      utm_source: '',
+      utm_medium: '',
+      utm_campaign: '',
+      territories: [],
+      states: [],
+      industries: [],
+      min_score: null,
+      max_score: null,
+    },
+    strategy: 'round_robin',
+    members: [],
+    working_hours: {
+      enabled: false,
+      timezone: getDefaultTimezone(),
+      days: [1, 2, 3, 4, 5],
+      start: '09:00',
+      end: '17:00',
+    },
+    sla_minutes: null,
+    escalate_to: null,
+  }
+}
+
+export const DEFAULT_ROUTING_CONFIG = {
+  enabled: false,
+  rules: [],
+  territories: [],
+  // Round-robin position and weighted counters per rule, as last reported by
+  // the API (read-only here)
+  state: {},
+}
+
+/**
+ * Fill in anything missing from an API config
+ */
+export function normalizeRoutingConfig(config = {}) {
+  return {
+    ...DEFAULT_ROUTING_CONFIG,
+    ...config,
+    rules: (config.rules || []).map((rule, index) => {
+      const defaults = createRoutingRule(index)
+      return {
+        ...defaults,
+        ...rule,
+        conditions: { ...defaults.conditions, ...rule.conditions },
+        working_hours: { ...defaults.working_hours, ...rule.working_hours },
+        members: rule.members || [],
+      }
+    }),
+    territories: config.territories || [],
+    state: config.state || {},
+  }
+}
+
+/**
+ * Problems that would stop a config from routing as intended
+ */
+export function validateRoutingConfig(config) {
+  const errors = []
+
+  config.rules.forEach((rule, index) => {
+    const label = rule.name || `Rule ${index + 1}`
+    if (!rule.enabled) return
+
+    if (rule.members.length === 0) errors.push(`${label}: add at least one member`)
+    if (rule.strategy === 'weighted' && rule.members.every(m => !(m.weight > 0))) {
+      errors.push(`${label}: give at least one member a weight above 0`)
+    }
+    if (rule.sla_minutes && !rule.escalate_to) errors.push(`${label}: choose who SLA breaches escalate to`)
+    if (rule.working_hours.enabled) {
+      if (rule.working_hours.days.length === 0) errors.push(`${label}: pick at least one working day`)
+      if (parseTime(rule.working_hours.start) >= parseTime(rule.working_hours.end)) {
+        errors.push(`${label}: working hours must end after they start`)
+      }
+    }
+    const { min_score: min, max_score: max } = rule.conditions
+    if (min != null && max != null && min > max) errors.push(`${label}: minimum score is above the maximum`)
+  })
+
+  return errors
+}
+
+// ============================================
+// Matching
+// ============================================
+
+const STATE_CODES = new Map(
+  US_STATES.flatMap(({ code, name }) => [[code.toLowerCase(), code], [name.toLowerCase(), code]])
+)
+
+/**
+ * Two-letter state code from a code or full name
+ */
+export function toStateCode(value) {
+  if (!value) return null
+  return STATE_CODES.get(String(value).trim().toLowerCase()) || null
+}
+
+// Rules store industry names; leads may carry the name or the display label
+export const ROUTING_INDUSTRIES = INDUSTRY_CATEGORIES.filter(industry => industry.id !== 0)
+
+function toIndustryName(value) {
+  if (!value) return ''
+  const normalized = String(value).trim().toLowerCase()
+  const industry = ROUTING_INDUSTRIES.find(
+    ({ name, label }) => name.toLowerCase() === normalized || label.toLowerCase() === normalized
+  )
+  return industry ? industry.name : value
+}
+
+/**
+ * The fields rules match on, from wherever the lead record keeps them
+ */
+export function getLeadAttributes(lead) {
+  const utm = lead.utm || lead.utm_params || {}
+  return {
+    source: lead.source || '',
+    form: lead.form_slug || lead.form_name || lead.source_form || lead.form_id || '',
+    utm_source: lead.utm_source || utm.source || utm.utm_source || '',
+    utm_medium: lead.utm_medium || utm.medium || utm.utm_medium || '',
+    utm_campaign: lead.utm_campaign || utm.campaign || utm.utm_campaign || '',
+    state: toStateCode(lead.state || lead.address_state || lead.location?.state),
+    industry: lead.industry || lead.company_industry || '',
+    score: lead.lead_score ?? null,
+  }
+}
+
+function matchesAny(values, value) {
+  if (!values || values.length === 0) return true
+  const normalized = String(value || '').trim().toLowerCase()
+  return values.some(v => String(v).trim().toLowerCase() === normalized)
+}
+
+function matchesText(expected, value) {
+  if (!expected) return true
+  return String(expected).trim().toLowerCase() === String(value || '').trim().toLowerCase()
+}
+
+/**
+ * Whether a lead meets every condition a rule sets. Empty conditions match
+ * anything.
+ */
+export function matchesRule(rule, lead, territories = []) {
+  const { conditions } = rule
+  const attributes = getLeadAttributes(lead)
+
+  if (!matchesAny(conditions.sources, attributes.source)) return false
+  if (!matchesAny(conditions.forms, attributes.form)) return false
+  if (!matchesText(conditions.utm_source, attributes.utm_source)) return false
+  if (!matchesText(conditions.utm_medium, attributes.utm_medium)) return false
+  if (!matchesText(conditions.utm_campaign, attributes.utm_campaign)) return false
+  if (!matchesAny(conditions.industries, toIndustryName(attributes.industry))) return false
+
+  // Territories and states together: in any listed territory or state
+  const states = [
+    ...conditions.states,
+    ...territories
+      .filter(territory => conditions.territories.includes(territory.id))
+      .flatMap(territory => territory.states),
+  ]
+  if ((conditions.states.length > 0 || conditions.territories.length > 0) && !states.includes(attributes.state)) {
+    return false
+  }
+
+  if (conditions.min_score != null && !(attributes.score >= conditions.min_score)) return false
+  if (conditions.max_score != null && !(attributes.score <= conditions.max_score)) return false
+
+  return true
+}
+
+/**
+ * First enabled rule that matches, or null
+ */
+export function findMatchingRule(config, lead) {
+  return config.rules.find(rule => rule.enabled && matchesRule(rule, lead, config.territories)) || null
+}
+
+// ============================================
+// Working Hours
+// ============================================
+
+function parseTime(value) {
+  const [hours, minutes] = String(value || '0:0').split(':').map(Number)
+  return (hours || 0) * 60 + (minutes || 0)
+}
+
+function getZonedTime(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  }).formatToParts(date)
+  const get = type => parts.find(part => part.type === type)?.value
+
+  return {
+    weekday: WEEKDAYS.indexOf(get('weekday')),
+    minutes: Number(get('hour')) * 60 + Number(get('minute')),
+  }
+}
+
+export function isWithinWorkingHours(hours, date = new Date()) {
+  if (!hours?.enabled) return true
+  const { weekday, minutes } = getZonedTime(date, hours.timezone)
+  return hours.days.includes(weekday) && minutes >= parseTime(hours.start) && minutes < parseTime(hours.end)
+}
+
+/**
+ * Walk forward from `from` through working and non-working stretches.
+ * `onWorking(start, end)` is called for each working stretch; returning
+ * true stops the walk.
+ */
+function walkWorkingTime(hours, from, to, onWorking) {
+  const start = parseTime(hours.start)
+  const end = parseTime(hours.end)
+  let time = Math.floor(from.getTime() / 60000) * 60000
+  const limit = Math.min(to.getTime(), from.getTime() + MAX_SLA_LOOKAHEAD_DAYS * 86400000)
+
+  while (time < limit) {
+    const { weekday, minutes } = getZonedTime(new Date(time), hours.timezone)
+    let next
+
+    if (hours.days.includes(weekday) && minutes >= start && minutes < end) {
+      next = Math.min(limit, time + (end - minutes) * 60000)
+      if (onWorking(time, next)) return next
+    } else if (hours.days.includes(weekday) && minutes < start) {
+      next = time + (start - minutes) * 60000
+    } else {
+      next = time + (1440 - minutes) * 60000
+    }
+    time = next
+  }
+  return null
+}
+
+/**
+ * Minutes between two times that fall inside working hours
+ */
+export function workingMinutesBetween(hours, from, to) {
+  if (!hours?.enabled) return Math.max(0, (to - from) / 60000)
+
+  let total = 0
+  walkWorkingTime(hours, from, to, (start, end) => {
+    total += (end - start) / 60000
+    return false
+  })
+  return total
+}
+
+/**
+ * When working hours next begin (now, if they already have)
+ */
+export function nextWorkingTime(hours, from = new Date()) {
+  if (!hours?.enabled) return from
+  const farFuture = new Date(from.getTime() + MAX_SLA_LOOKAHEAD_DAYS * 86400000)
+  let opening = null
+  walkWorkingTime(hours, from, farFuture, start => {
+    opening = new Date(Math.max(from.getTime(), start))
+    return true
+  })
+  return opening
+}
+
+/**
+ * SLA standing for an unassigned lead: minutes left (negative once missed)
+ */
+export function getSlaStatus(rule, lead, now = new Date()) {
+  if (!rule?.sla_minutes || !lead.created_at) return null
+
+  const waited = workingMinutesBetween(rule.working_hours, new Date(lead.created_at), now)
+  const remaining = Math.round(rule.sla_minutes - waited)
+  return { remaining, breached: remaining <= 0 }
+}
+
+// ============================================
+// Assignment
+// ============================================
+
+/**
+ * Open-lead counts by member id, from the team assignment stats endpoint
+ */
+export function normalizeMemberLoads(stats) {
+  const rows = stats?.members || stats?.stats || stats?.team || (Array.isArray(stats) ? stats : [])
+  return Object.fromEntries(rows.map(row => [
+    row.user_id || row.member_id || row.id,
+    row.open_leads ?? row.active_leads ?? row.assigned_count ?? row.count ?? 0,
+  ]))
+}
+
+function pickMember(rule, candidates, ruleState, loads) {
+  if (rule.strategy === 'least_loaded') {
+    // Ties go to whoever the rule assigned to longest ago
+    return candidates.reduce((best, member) => {
+      const load = loads[member.user_id] || 0
+      const bestLoad = loads[best.user_id] || 0
+      if (load !== bestLoad) return load < bestLoad ? member : best
+      return (ruleState.last_assigned?.[member.user_id] || 0) < (ruleState.last_assigned?.[best.user_id] || 0) ? member : best
+    })
+  }
+
+  if (rule.strategy === 'weighted') {
+    // Smooth weighted round-robin: spreads a 3:1 split as A A B A, not A A A B
+    const weights = candidates.map(member => Math.max(0, Number(member.weight) || 0))
+    const total = weights.reduce((sum, weight) => sum + weight, 0)
+    if (total === 0) return null
+
+    const current = { ...ruleState.current_weights }
+    let best = null
+    candidates.forEach((member, index) => {
+      current[member.user_id] = (current[member.user_id] || 0) + weights[index]
+      if (!best || current[member.user_id] > current[best.user_id]) best = member
+    })
+    current[best.user_id] -= total
+    ruleState.current_weights = current
+    return best
+  }
+
+  // Round robin: next member after the last one assigned, in list order
+  const order = rule.members.map(member => member.user_id)
+  const lastIndex = order.indexOf(ruleState.last_member)
+  for (let step = 1; step <= order.length; step++) {
+    const userId = order[(lastIndex + step) % order.length]
+    const member = candidates.find(candidate => candidate.user_id === userId)
+    if (member) return member
+  }
+  return null
+}
+
+/**
+ * Route a batch of unassigned leads.
+ *
+ * @param {Object} input
+ * @param {Object} input.config - Normalized routing config
+ * @param {Array} input.leads - Unassigned leads, oldest first is fairest
+ * @param {Array<string>} [input.activeMemberIds] - Members who can take leads; others are skipped
+ * @param {Object} [input.loads] - Open-lead counts by member id, for least-loaded
+ * @param {Date} [input.now]
+ * @returns {{ assignments: Array, escalations: Array, held: Array, unmatched: Array, state: Object }}
+ *   Nothing is saved or assigned - this is a preview of what the API would do
+ */
+export function routeLeads({ config, leads, activeMemberIds, loads = {}, now = new Date() }) {
+  const state = JSON.parse(JSON.stringify(config.state || {}))
+  const currentLoads = { ...loads }
+  const result = { assignments: [], escalations: [], held: [], unmatched: [] }
+  const isActive = userId => !activeMemberIds || activeMemberIds.includes(userId)
+
+  const sorted = [...leads].sort((a, b) => new Date(a.created_at || 0) - new Date(b.created_at || 0))
+
+  for (const lead of sorted) {
+    const rule = findMatchingRule(config, lead)
+    if (!rule) {
+      result.unmatched.push({ lead })
+      continue
+    }
+
+    const sla = getSlaStatus(rule, lead, now)
+    if (sla?.breached && rule.escalate_to) {
+      result.escalations.push({
+        lead,
+        rule,
+        assigned_to: rule.escalate_to,
+        reason: `${rule.name}: unclaimed ${Math.abs(sla.remaining)} min past the ${rule.sla_minutes} min SLA`,
+      })
+      currentLoads[rule.escalate_to] = (currentLoads[rule.escalate_to] || 0) + 1
+      continue
+    }
+
+    if (!isWithinWorkingHours(rule.working_hours, now)) {
+      result.held.push({ lead, rule, reason: 'Outside working hours', until: nextWorkingTime(rule.working_hours, now) })
+      continue
+    }
+
+    const candidates = rule.members.filter(member => isActive(member.user_id))
+    const ruleState = state[rule.id] || (state[rule.id] = {})
+    const member = candidates.length > 0 ? pickMember(rule, candidates, ruleState, currentLoads) : null
+
+    if (!member) {
+      result.held.push({ lead, rule, reason: 'No active members on this rule' })
+      continue
+    }
+
+    ruleState.last_member = member.user_id
+    ruleState.sequence = (ruleState.sequence || 0) + 1
+    ruleState.last_assigned = { ...ruleState.last_assigned, [member.user_id]: ruleState.sequence }
+    currentLoads[member.user_id] = (currentLoads[member.user_id] || 0) + 1
+
+    result.assignments.push({
+      lead,
+      rule,
+      assigned_to: member.user_id,
+      reason: `${rule.name} (${ROUTING_STRATEGIES[rule.strategy]?.label.toLowerCase() || rule.strategy})`,
+    })
+  }
+
+  return { ...result, state }
+}
+
+/**
+ * Leads per member across a routing result, for the simulation summary
+ */
+export function summarizeRouting(result) {
+  const byMember = {}
+  for (const entry of [...result.assignments, ...result.escalations]) {
+    byMember[entry.assigned_to] = (byMember[entry.assigned_to] || 0) + 1
+  }
+  return byMember
+}
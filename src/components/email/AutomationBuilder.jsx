@@ -23,23 +23,24 @@ import {
 import { 
   ArrowLeft, 
   Save, 
-  Plus, 
-  Trash2, 
-  GripVertical,
   Zap,
   Mail,
   Clock,
   Tag,
   Users,
   MessageSquare,
-  ArrowRight,
-  Play,
-  Pause,
   Loader2,
   ShoppingBag,
   Ticket,
   Receipt,
-  FileSignature
+  FileSignature,
+  GitBranch,
+  Split,
+  Hourglass,
+  Webhook,
+  Trash2,
+  X,
+  FlaskConical
 } from 'lucide-react'
 import { toast } from 'sonner'
 import { useEmailPlatformStore } from '@/lib/email-platform-store' // Keep for complex email state
@@ -47,6 +48,23 @@ import { formsApi } from '@/lib/portal-api'
 import useAuthStore from '@/lib/auth-store'
 import { useCommerceSettings, commerceKeys } from '@/lib/hooks'
 import { useQueryClient } from '@tanstack/react-query'
+import AutomationCanvas from './AutomationCanvas'
+import AutomationSimulator from './AutomationSimulator'
+import { ConditionEditor, SplitEditor, WaitUntilEditor, WebhookEditor } from './AutomationStepEditors'
+import {
+  createStep,
+  normalizeSteps,
+  serializeSteps,
+  insertStep,
+  updateStep,
+  removeStep,
+  moveStep,
+  findStep,
+  flattenSteps,
+  countSteps,
+  getStepList,
+  validateSteps,
+} from './automation-graph'
 
 // Trigger type definitions
 const triggerTypes = [
@@ -246,6 +264,42 @@ const stepTypes = [
     configFields: [
       { name: 'list_id', label: 'List', type: 'list' }
     ]
+  },
+  {
+    id: 'webhook',
+    label: 'Webhook',
+    description: 'Send contact data to another system',
+    icon: Webhook,
+    color: 'bg-slate-100 text-slate-600',
+    editor: 'webhook'
+  },
+  // Logic steps - these split the automation into branches
+  {
+    id: 'condition',
+    label: 'If / Else',
+    description: 'Branch on contact fields, tags, opens, clicks or purchases',
+    icon: GitBranch,
+    color: 'bg-sky-100 text-sky-600',
+    category: 'logic',
+    editor: 'condition'
+  },
+  {
+    id: 'ab_split',
+    label: 'A/B Split',
+    description: 'Send contacts down paths by percentage',
+    icon: Split,
+    color: 'bg-fuchsia-100 text-fuchsia-600',
+    category: 'logic',
+    editor: 'ab_split'
+  },
+  {
+    id: 'wait_until',
+    label: 'Wait Until',
+    description: 'Wait for an event, or give up after a timeout',
+    icon: Hourglass,
+    color: 'bg-yellow-100 text-yellow-700',
+    category: 'logic',
+    editor: 'wait_until'
   }
 ]
 
@@ -258,10 +312,12 @@ export default function AutomationBuilder({ automation, onSave, onBack }) {
   const [triggerType, setTriggerType] = useState(automation?.trigger_type || '')
   const [triggerConfig, setTriggerConfig] = useState(automation?.trigger_config || {})
   const [selectedLists, setSelectedLists] = useState(automation?.list_ids || [])
-  const [steps, setSteps] = useState(automation?.steps || [])
+  const [steps, setSteps] = useState(() => normalizeSteps(automation?.steps))
   const [isSaving, setIsSaving] = useState(false)
-  const [showAddStep, setShowAddStep] = useState(false)
-  const [editingStep, setEditingStep] = useState(null)
+  // Where the Add Step dialog will insert: { parentId, index } or null when closed
+  const [insertAt, setInsertAt] = useState(null)
+  const [editingStepId, setEditingStepId] = useState(null)
+  const [showSimulator, setShowSimulator] = useState(false)
   const [forms, setForms] = useState([])
   const [formsLoading, setFormsLoading] = useState(false)
   const [commerceSettings, setCommerceSettings] = useState(null)
@@ -317,49 +373,56 @@ export default function AutomationBuilder({ automation, onSave, onBack }) {
   useEffect(() => {
     if (triggerType === 'form_submitted' && steps.length === 0) {
       const confirmationStep = {
-        id: `step-${Date.now()}`,
-        step_type: 'send_email',
+        ...createStep('send_email'),
         config: {
           subject: 'Thank you for your submission'
         }
       }
       setSteps([confirmationStep])
-      setEditingStep(0)
+      setEditingStepId(confirmationStep.id)
     }
   }, [triggerType])
 
   const selectedTrigger = triggerTypes.find(t => t.id === triggerType)
 
+  const stepErrors = validateSteps(steps)
+  const editingStep = editingStepId ? findStep(steps, editingStepId)?.step : null
+  const editingStepDef = editingStep ? stepTypes.find(s => s.id === editingStep.step_type) : null
+
+  // Emails earlier in the automation, for "opened/clicked email" rules
+  const emailSteps = flattenSteps(steps)
+    .filter(step => step.step_type === 'send_email')
+    .map((step, i) => ({ id: step.id, label: step.config?.subject || `Email ${i + 1}` }))
+
   const handleAddStep = (stepType) => {
-    const stepDef = stepTypes.find(s => s.id === stepType)
-    const newStep = {
-      id: `step-${Date.now()}`,
-      step_type: stepType,
-      config: {}
-    }
-    setSteps([...steps, newStep])
-    setShowAddStep(false)
-    setEditingStep(steps.length) // Edit the new step
+    const newStep = createStep(stepType)
+    setSteps(current => insertStep(current, insertAt?.parentId ?? null, insertAt?.index, newStep))
+    setInsertAt(null)
+    setEditingStepId(newStep.id) // Edit the new step
   }
 
-  const handleUpdateStep = (index, config) => {
-    const updated = [...steps]
-    updated[index] = { ...updated[index], config }
-    setSteps(updated)
+  const handleUpdateStepConfig = (stepId, config) => {
+    setSteps(current => updateStep(current, stepId, step => ({ ...step, config })))
   }
 
-  const handleRemoveStep = (index) => {
-    setSteps(steps.filter((_, i) => i !== index))
-    if (editingStep === index) setEditingStep(null)
+  const handleReplaceStep = (stepId, next) => {
+    setSteps(current => updateStep(current, stepId, () => next))
   }
 
-  const moveStep = (fromIndex, toIndex) => {
-    if (toIndex < 0 || toIndex >= steps.length) return
-    const updated = [...steps]
-    const [moved] = updated.splice(fromIndex, 1)
-    updated.splice(toIndex, 0, moved)
-    setSteps(updated)
-    if (editingStep === fromIndex) setEditingStep(toIndex)
+  const handleRemoveStep = (stepId) => {
+    const found = findStep(steps, stepId)
+    const nested = countSteps(found?.step?.branches?.flatMap(b => b.steps) || [])
+    if (nested > 0 && !window.confirm(`This also removes the ${nested} step${nested !== 1 ? 's' : ''} inside its paths. Continue?`)) {
+      return
+    }
+    setSteps(current => removeStep(current, stepId))
+    if (editingStepId === stepId || (editingStepId && !findStep(removeStep(steps, stepId), editingStepId))) {
+      setEditingStepId(null)
+    }
+  }
+
+  const handleMoveStep = (stepId, delta) => {
+    setSteps(current => moveStep(current, stepId, delta))
   }
 
   const handleSave = async () => {
@@ -375,6 +438,12 @@ export default function AutomationBuilder({ automation, onSave, onBack }) {
       toast.error('Please add at least one step')
       return
     }
+    const firstError = Object.entries(stepErrors)[0]
+    if (firstError) {
+      setEditingStepId(firstError[0])
+      toast.error(firstError[1])
+      return
+    }
 
     setIsSaving(true)
     try {
@@ -385,10 +454,7 @@ export default function AutomationBuilder({ automation, onSave, onBack }) {
         trigger_type: triggerType,
         trigger_config: triggerConfig,
         list_ids: selectedLists,
-        steps: steps.map((step, index) => ({
-          step_type: step.step_type,
-          config: step.config
-        }))
+        steps: serializeSteps(steps)
       })
       toast.success('Automation saved successfully')
     } catch (error) {
@@ -515,6 +581,30 @@ export default function AutomationBuilder({ automation, onSave, onBack }) {
     }
   }
 
+  const renderStepEditor = (step, stepDef) => {
+    const onConfigChange = (config) => handleUpdateStepConfig(step.id, config)
+
+    switch (stepDef?.editor) {
+      case 'condition':
+        return <ConditionEditor config={step.config} onChange={onConfigChange} emailSteps={emailSteps} />
+      case 'ab_split':
+        return <SplitEditor step={step} onChange={(next) => handleReplaceStep(step.id, next)} />
+      case 'wait_until':
+        return <WaitUntilEditor config={step.config} onChange={onConfigChange} emailSteps={emailSteps} forms={forms} />
+      case 'webhook':
+        return <WebhookEditor config={step.config} onChange={onConfigChange} />
+      default:
+        return stepDef?.configFields?.map(field => (
+          <div key={field.name} className="space-y-1">
+            <Label className="text-xs">{field.label}</Label>
+            {renderConfigField(field, step.config?.[field.name], (value) => {
+              onConfigChange({ ...step.config, [field.name]: value })
+            })}
+          </div>
+        ))
+    }
+  }
+
   return (
     <div className="flex flex-col h-full bg-background">
       {/* Header */}
@@ -533,14 +623,20 @@ export default function AutomationBuilder({ automation, onSave, onBack }) {
             />
           </div>
         </div>
-        <Button onClick={handleSave} disabled={isSaving}>
-          {isSaving ? (
-            <Loader2 className="h-4 w-4 mr-2 animate-spin" />
-          ) : (
-            <Save className="h-4 w-4 mr-2" />
-          )}
-          {isSaving ? 'Saving...' : 'Save Automation'}
-        </Button>
+        <div className="flex items-center gap-2">
+          <Button variant="outline" onClick={() => setShowSimulator(true)} disabled={steps.length === 0}>
+            <FlaskConical className="h-4 w-4 mr-2" />
+            Test Run
+          </Button>
+          <Button onClick={handleSave} disabled={isSaving}>
+            {isSaving ? (
+              <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+            ) : (
+              <Save className="h-4 w-4 mr-2" />
+            )}
+            {isSaving ? 'Saving...' : 'Save Automation'}
+          </Button>
+        </div>
       </div>
 
       {/* Main Content */}
@@ -628,188 +724,121 @@ export default function AutomationBuilder({ automation, onSave, onBack }) {
               )}
             </CardContent>
           </Card>
+        </div>
 
-          {/* Steps */}
-          <div className="space-y-4">
-            <div className="flex items-center justify-between">
-              <h3 className="text-lg font-semibold">Automation Steps</h3>
-              <p className="text-sm text-muted-foreground">
-                {steps.length} step{steps.length !== 1 ? 's' : ''}
-              </p>
-            </div>
+        {/* Steps */}
+        <div className="max-w-6xl mx-auto space-y-4 mt-6">
+          <div className="flex items-center justify-between">
+            <h3 className="text-lg font-semibold">Automation Steps</h3>
+            <p className="text-sm text-muted-foreground">
+              {countSteps(steps)} step{countSteps(steps) !== 1 ? 's' : ''}
+            </p>
+          </div>
 
-            {/* Trigger indicator */}
-            {triggerType && (
-              <div className="flex items-center gap-3">
-                <div className={`p-2 rounded-lg ${selectedTrigger?.color || 'bg-gray-100'}`}>
-                  {selectedTrigger && <selectedTrigger.icon className="h-4 w-4" />}
-                </div>
-                <div className="flex-1">
-                  <p className="text-sm font-medium">{selectedTrigger?.label || 'Trigger'}</p>
-                </div>
-              </div>
-            )}
+          <div className="flex items-start gap-4">
+            <div className="flex-1 min-w-0">
+              <AutomationCanvas
+                trigger={selectedTrigger}
+                steps={steps}
+                stepTypes={stepTypes}
+                selectedStepId={editingStepId}
+                errors={stepErrors}
+                onSelect={(id) => setEditingStepId(id === editingStepId ? null : id)}
+                onInsert={(parentId, index) => setInsertAt({ parentId, index })}
+                onMove={handleMoveStep}
+                onRemove={handleRemoveStep}
+              />
+            </div>
 
-            {/* Steps List */}
-            {steps.map((step, index) => {
-              const stepDef = stepTypes.find(s => s.id === step.step_type)
-              const StepIcon = stepDef?.icon || Zap
-              
-              return (
-                <div key={step.id || index}>
-                  {/* Connector Line */}
-                  <div className="flex items-center gap-3 ml-4 h-8">
-                    <div className="w-0.5 h-full bg-border" />
-                  </div>
-                  
-                  {/* Step Card */}
-                  <Card className={editingStep === index ? 'ring-2 ring-primary' : ''}>
-                    <CardContent className="p-4">
-                      <div className="flex items-start gap-3">
-                        <div className="cursor-grab">
-                          <GripVertical className="h-5 w-5 text-muted-foreground" />
+            {/* Step settings */}
+            {editingStep && (
+              <Card className="w-96 shrink-0 sticky top-0">
+                <CardHeader className="pb-3">
+                  <div className="flex items-center justify-between">
+                    <CardTitle className="flex items-center gap-2 text-base">
+                      {editingStepDef && (
+                        <div className={`p-1.5 rounded-md ${editingStepDef.color}`}>
+                          <editingStepDef.icon className="h-4 w-4" />
                         </div>
-                        
-                        <div className={`p-2 rounded-lg ${stepDef?.color || 'bg-gray-100'}`}>
-                          <StepIcon className="h-4 w-4" />
-                        </div>
-                        
-                        <div className="flex-1">
-                          <div className="flex items-center gap-2 mb-2">
-                            <Badge variant="outline" className="text-xs">
-                              Step {index + 1}
-                            </Badge>
-                            <span className="font-medium">{stepDef?.label || step.step_type}</span>
-                          </div>
-                          
-                          {editingStep === index ? (
-                            <div className="space-y-3 mt-3">
-                              {stepDef?.configFields?.map(field => (
-                                <div key={field.name} className="space-y-1">
-                                  <Label className="text-xs">{field.label}</Label>
-                                  {renderConfigField(field, step.config?.[field.name], (value) => {
-                                    handleUpdateStep(index, { ...step.config, [field.name]: value })
-                                  })}
-                                </div>
-                              ))}
-                              <Button 
-                                variant="secondary" 
-                                size="sm"
-                                onClick={() => setEditingStep(null)}
-                              >
-                                Done
-                              </Button>
-                            </div>
-                          ) : (
-                            <div className="text-sm text-muted-foreground">
-                              {step.step_type === 'send_email' && step.config?.subject && (
-                                <span>Subject: {step.config.subject}</span>
-                              )}
-                              {step.step_type === 'wait' && step.config?.duration && (
-                                <span>Wait {step.config.duration} {step.config.unit || 'days'}</span>
-                              )}
-                              {(step.step_type === 'add_tag' || step.step_type === 'remove_tag') && step.config?.tagName && (
-                                <span>Tag: {step.config.tagName}</span>
-                              )}
-                              {!Object.keys(step.config || {}).length && (
-                                <span className="text-amber-600">Click to configure</span>
-                              )}
-                            </div>
-                          )}
-                        </div>
-                        
-                        <div className="flex items-center gap-1">
-                          <Button
-                            variant="ghost"
-                            size="icon"
-                            onClick={() => moveStep(index, index - 1)}
-                            disabled={index === 0}
-                          >
-                            <ArrowRight className="h-4 w-4 rotate-[-90deg]" />
-                          </Button>
-                          <Button
-                            variant="ghost"
-                            size="icon"
-                            onClick={() => moveStep(index, index + 1)}
-                            disabled={index === steps.length - 1}
-                          >
-                            <ArrowRight className="h-4 w-4 rotate-90" />
-                          </Button>
-                          <Button
-                            variant="ghost"
-                            size="icon"
-                            onClick={() => {
-                              if (editingStep === index) {
-                                setEditingStep(null)
-                              } else {
-                                setEditingStep(index)
-                              }
-                            }}
-                          >
-                            <span className="text-xs font-medium">Edit</span>
-                          </Button>
-                          <Button
-                            variant="ghost"
-                            size="icon"
-                            onClick={() => handleRemoveStep(index)}
-                          >
-                            <Trash2 className="h-4 w-4 text-destructive" />
-                          </Button>
-                        </div>
-                      </div>
-                    </CardContent>
-                  </Card>
-                </div>
-              )
-            })}
-
-            {/* Add Step Button */}
-            <div className="flex items-center gap-3 ml-4">
-              {steps.length > 0 && <div className="w-0.5 h-8 bg-border" />}
-            </div>
-            
-            <Button
-              variant="outline"
-              className="w-full border-dashed"
-              onClick={() => setShowAddStep(true)}
-            >
-              <Plus className="h-4 w-4 mr-2" />
-              Add Step
-            </Button>
+                      )}
+                      {editingStepDef?.label || editingStep.step_type}
+                    </CardTitle>
+                    <Button variant="ghost" size="icon" className="h-8 w-8" onClick={() => setEditingStepId(null)}>
+                      <X className="h-4 w-4" />
+                    </Button>
+                  </div>
+                  {stepErrors[editingStep.id] && (
+                    <CardDescription className="text-destructive">{stepErrors[editingStep.id]}</CardDescription>
+                  )}
+                </CardHeader>
+                <CardContent className="space-y-3">
+                  {renderStepEditor(editingStep, editingStepDef)}
+                  <div className="flex justify-between pt-2">
+                    <Button variant="ghost" size="sm" onClick={() => handleRemoveStep(editingStep.id)}>
+                      <Trash2 className="h-4 w-4 mr-1 text-destructive" />
+                      Remove
+                    </Button>
+                    <Button variant="secondary" size="sm" onClick={() => setEditingStepId(null)}>
+                      Done
+                    </Button>
+                  </div>
+                </CardContent>
+              </Card>
+            )}
           </div>
         </div>
       </div>
 
       {/* Add Step Dialog */}
-      <Dialog open={showAddStep} onOpenChange={setShowAddStep}>
-        <DialogContent>
+      <Dialog open={!!insertAt} onOpenChange={(open) => !open && setInsertAt(null)}>
+        <DialogContent className="max-w-2xl">
           <DialogHeader>
             <DialogTitle>Add Step</DialogTitle>
             <DialogDescription>Choose what action to perform next in this automation</DialogDescription>
           </DialogHeader>
-          <div className="grid grid-cols-2 gap-3">
-            {stepTypes.map(stepType => (
-              <Card 
-                key={stepType.id}
-                className="cursor-pointer hover:border-primary transition-colors"
-                onClick={() => handleAddStep(stepType.id)}
-              >
-                <CardContent className="p-4">
-                  <div className="flex items-center gap-3">
-                    <div className={`p-2 rounded-lg ${stepType.color}`}>
-                      <stepType.icon className="h-4 w-4" />
-                    </div>
-                    <div>
-                      <p className="font-medium text-sm">{stepType.label}</p>
-                      <p className="text-xs text-muted-foreground">{stepType.description}</p>
-                    </div>
-                  </div>
-                </CardContent>
-              </Card>
-            ))}
-          </div>
+          {[
+            { title: 'Actions', types: stepTypes.filter(t => t.category !== 'logic') },
+            { title: 'Logic', types: stepTypes.filter(t => t.category === 'logic') },
+          ].map(group => (
+            <div key={group.title} className="space-y-2">
+              <p className="text-xs font-medium uppercase tracking-wide text-muted-foreground">{group.title}</p>
+              <div className="grid grid-cols-2 gap-3">
+                {group.types.map(stepType => (
+                  <Card 
+                    key={stepType.id}
+                    className="cursor-pointer hover:border-primary transition-colors"
+                    onClick={() => handleAddStep(stepType.id)}
+                  >
+                    <CardContent className="p-4">
+                      <div className="flex items-center gap-3">
+                        <div className={`p-2 rounded-lg ${stepType.color}`}>
+                          <stepType.icon className="h-4 w-4" />
+                        </div>
+                        <div>
+                          <p className="font-medium text-sm">{stepType.label}</p>
+                          <p className="text-xs text-muted-foreground">{stepType.description}</p>
+                        </div>
+                      </div>
+                    </CardContent>
+                  </Card>
+                ))}
+              </div>
+            </div>
+          ))}
+          {insertAt && insertAt.index < (getStepList(steps, insertAt.parentId)?.length ?? 0) && (
+            <p className="text-xs text-muted-foreground">
+              Adding a logic step here moves the steps below it into its first path.
+            </p>
+          )}
         </DialogContent>
       </Dialog>
+
+      <AutomationSimulator
+        open={showSimulator}
+        onOpenChange={setShowSimulator}
+        automation={{ id: automation?.id, name, steps }}
+        stepTypes={stepTypes}
+      />
     </div>
   )
 }
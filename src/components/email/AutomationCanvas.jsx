@@ -0,0 +1,205 @@
+// src/components/email/AutomationCanvas.jsx
+// Draws an automation as a branching graph: steps run top to bottom and
+// branching steps fan out into side-by-side columns, one per branch.
+
+import { Button } from '@/components/ui/button'
+import { Badge } from '@/components/ui/badge'
+import { Plus, Trash2, Zap, ArrowRight, AlertCircle } from 'lucide-react'
+import { cn } from '@/lib/utils'
+import { describeStep } from './automation-graph'
+
+const NODE_WIDTH = 'w-64'
+
+function Connector({ className }) {
+  return <div className={cn('w-0.5 bg-border mx-auto', className)} />
+}
+
+function InsertButton({ onClick, label = 'Add step here' }) {
+  return (
+    <button
+      type="button"
+      onClick={onClick}
+      title={label}
+      className="mx-auto flex h-6 w-6 items-center justify-center rounded-full border bg-background text-muted-foreground transition-colors hover:border-primary hover:text-primary"
+    >
+      <Plus className="h-3.5 w-3.5" />
+    </button>
+  )
+}
+
+function StepNode({ step, index, siblingCount, stepDef, selected, error, onSelect, onMove, onRemove }) {
+  const Icon = stepDef?.icon || Zap
+  const summary = describeStep(step)
+
+  return (
+    <div
+      role="button"
+      tabIndex={0}
+      onClick={() => onSelect(step.id)}
+      onKeyDown={(e) => e.key === 'Enter' && onSelect(step.id)}
+      className={cn(
+        NODE_WIDTH,
+        'group mx-auto rounded-lg border bg-card p-3 text-left shadow-sm transition-shadow hover:shadow-md cursor-pointer',
+        selected && 'ring-2 ring-primary',
+        error && !selected && 'border-destructive/60'
+      )}
+    >
+      <div className="flex items-start gap-2">
+        <div className={cn('p-1.5 rounded-md shrink-0', stepDef?.color || 'bg-gray-100')}>
+          <Icon className="h-3.5 w-3.5" />
+        </div>
+        <div className="flex-1 min-w-0">
+          <p className="text-sm font-medium truncate">{stepDef?.label || step.step_type}</p>
+          <p className={cn('text-xs truncate', summary ? 'text-muted-foreground' : 'text-amber-600')}>
+            {summary || 'Click to configure'}
+          </p>
+        </div>
+      </div>
+
+      {error && (
+        <p className="mt-2 flex items-center gap-1 text-xs text-destructive">
+          <AlertCircle className="h-3 w-3 shrink-0" />
+          <span className="truncate">{error}</span>
+        </p>
+      )}
+
+      <div className="mt-2 hidden items-center justify-end gap-0.5 group-hover:flex group-focus-within:flex">
+        <Button
+          variant="ghost"
+          size="icon"
+          className="h-6 w-6"
+          disabled={index === 0}
+          onClick={(e) => { e.stopPropagation(); onMove(step.id, -1) }}
+        >
+          <ArrowRight className="h-3 w-3 rotate-[-90deg]" />
+        </Button>
+        <Button
+          variant="ghost"
+          size="icon"
+          className="h-6 w-6"
+          disabled={index === siblingCount - 1}
+          onClick={(e) => { e.stopPropagation(); onMove(step.id, 1) }}
+        >
+          <ArrowRight className="h-3 w-3 rotate-90" />
+        </Button>
+        <Button
+          variant="ghost"
+          size="icon"
+          className="h-6 w-6"
+          onClick={(e) => { e.stopPropagation(); onRemove(step.id) }}
+        >
+          <Trash2 className="h-3 w-3 text-destructive" />
+        </Button>
+      </div>
+    </div>
+  )
+}
+
+/**
+ * Branch columns under a branching step. Each column draws its half of the
+ * horizontal bar so the bar spans exactly from the first to the last column.
+ */
+function BranchRow({ step, ...props }) {
+  const count = step.branches.length
+
+  return (
+    <div className="flex items-start justify-center">
+      {step.branches.map((branch, i) => (
+        <div key={branch.id} className="flex flex-col items-stretch px-4">
+          <div className="relative h-4">
+            {i > 0 && <div className="absolute top-0 left-0 right-1/2 h-0.5 bg-border" />}
+            {i < count - 1 && <div className="absolute top-0 left-1/2 right-0 h-0.5 bg-border" />}
+            <Connector className="h-full" />
+          </div>
+          <Badge variant="secondary" className="mx-auto whitespace-nowrap">
+            {branch.label}
+            {branch.percentage != null && ` · ${branch.percentage}%`}
+          </Badge>
+          <StepList steps={branch.steps} parentId={branch.id} {...props} />
+          <Connector className="h-3" />
+          <div className="mx-auto h-2 w-2 rounded-full bg-border" title="End of path" />
+        </div>
+      ))}
+    </div>
+  )
+}
+
+function StepList({ steps, parentId, stepTypes, selectedStepId, errors, onSelect, onInsert, onMove, onRemove }) {
+  const shared = { stepTypes, selectedStepId, errors, onSelect, onInsert, onMove, onRemove }
+
+  return (
+    <div className="flex flex-col items-stretch">
+      {steps.map((step, index) => (
+        <div key={step.id} className="flex flex-col items-stretch">
+          <Connector className="h-3" />
+          <InsertButton onClick={() => onInsert(parentId, index)} />
+          <Connector className="h-3" />
+          <StepNode
+            step={step}
+            index={index}
+            siblingCount={steps.length}
+            stepDef={stepTypes.find(s => s.id === step.step_type)}
+            selected={selectedStepId === step.id}
+            error={errors[step.id]}
+            onSelect={onSelect}
+            onMove={onMove}
+            onRemove={onRemove}
+          />
+          {step.branches && <BranchRow step={step} {...shared} />}
+        </div>
+      ))}
+
+      {/* Steps can't follow a branching step in the same list - they go inside a branch */}
+      {!steps[steps.length - 1]?.branches && (
+        <>
+          <Connector className="h-3" />
+          <InsertButton onClick={() => onInsert(parentId, steps.length)} label="Add step" />
+        </>
+      )}
+    </div>
+  )
+}
+
+export default function AutomationCanvas({
+  trigger,
+  steps,
+  stepTypes,
+  selectedStepId,
+  errors = {},
+  onSelect,
+  onInsert,
+  onMove,
+  onRemove,
+}) {
+  const TriggerIcon = trigger?.icon || Zap
+
+  return (
+    <div className="overflow-x-auto rounded-lg border bg-muted/20 p-6">
+      <div className="inline-flex min-w-full flex-col items-center">
+        <div className={cn(NODE_WIDTH, 'rounded-lg border border-dashed bg-card p-3')}>
+          <div className="flex items-center gap-2">
+            <div className={cn('p-1.5 rounded-md', trigger?.color || 'bg-gray-100')}>
+              <TriggerIcon className="h-3.5 w-3.5" />
+            </div>
+            <div className="min-w-0">
+              <p className="text-xs text-muted-foreground">Trigger</p>
+              <p className="text-sm font-medium truncate">{trigger?.label || 'Select a trigger above'}</p>
+            </div>
+          </div>
+        </div>
+
+        <StepList
+          steps={steps}
+          parentId={null}
+          stepTypes={stepTypes}
+          selectedStepId={selectedStepId}
+          errors={errors}
+          onSelect={onSelect}
+          onInsert={onInsert}
+          onMove={onMove}
+          onRemove={onRemove}
+        />
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,455 @@
+// src/components/email/AutomationSimulator.jsx
+// Dry-run an automation before activating it. Runs a sample contact or a
+// saved segment through the steps on a simulated clock and shows the path
+// each contact takes, the emails they'd get and when each step fires.
+
+import { useState, useEffect, useMemo } from 'react'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+import { Badge } from '@/components/ui/badge'
+import { Switch } from '@/components/ui/switch'
+import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/components/ui/tabs'
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select'
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog'
+import {
+  FlaskConical,
+  Play,
+  Loader2,
+  Mail,
+  Clock,
+  Tag,
+  Users,
+  GitBranch,
+  Webhook,
+  LogOut,
+  AlertTriangle,
+  ChevronDown,
+  ChevronRight,
+} from 'lucide-react'
+import { toast } from 'sonner'
+import { cn } from '@/lib/utils'
+import { emailApi } from '@/lib/portal-api'
+import { useEmailPlatformStore } from '@/lib/email-platform-store'
+import {
+  DEFAULT_BEHAVIOR,
+  simulateAutomation,
+  summarizePaths,
+  formatElapsed,
+} from './automation-simulator'
+
+const KIND_ICONS = {
+  email: { icon: Mail, color: 'bg-blue-100 text-blue-600' },
+  wait: { icon: Clock, color: 'bg-amber-100 text-amber-600' },
+  tag: { icon: Tag, color: 'bg-green-100 text-green-600' },
+  list: { icon: Users, color: 'bg-purple-100 text-purple-600' },
+  branch: { icon: GitBranch, color: 'bg-sky-100 text-sky-600' },
+  webhook: { icon: Webhook, color: 'bg-slate-100 text-slate-600' },
+  end: { icon: LogOut, color: 'bg-gray-100 text-gray-600' },
+}
+
+const SAMPLE_CONTACT = {
+  email: 'sample@example.com',
+  first_name: 'Sam',
+  last_name: 'Sample',
+  company: '',
+  tags: '',
+}
+
+const SEGMENT_SAMPLE_SIZES = [5, 10, 25, 50]
+
+function toLocalInputValue(date) {
+  const offset = date.getTimezoneOffset() * 60000
+  return new Date(date.getTime() - offset).toISOString().slice(0, 16)
+}
+
+function contactLabel(contact) {
+  const name = [contact.first_name, contact.last_name].filter(Boolean).join(' ')
+  return name ? `${name} <${contact.email}>` : contact.email
+}
+
+function BehaviorRow({ label, enabled, onToggle, hours, onHoursChange }) {
+  return (
+    <div className="flex items-center justify-between gap-3">
+      <div className="flex items-center gap-2">
+        <Switch checked={enabled} onCheckedChange={onToggle} />
+        <span className="text-sm">{label}</span>
+      </div>
+      <div className={cn('flex items-center gap-1 text-xs text-muted-foreground', !enabled && 'opacity-50')}>
+        after
+        <Input
+          type="number"
+          min={0}
+          className="h-7 w-16 text-xs"
+          value={hours}
+          disabled={!enabled}
+          onChange={(e) => onHoursChange(Math.max(0, parseFloat(e.target.value) || 0))}
+        />
+        h
+      </div>
+    </div>
+  )
+}
+
+function TimelineEvent({ event, startedAt, stepLabel }) {
+  const [expanded, setExpanded] = useState(false)
+  const kind = KIND_ICONS[event.kind] || KIND_ICONS.end
+  const Icon = kind.icon
+
+  return (
+    <div className="flex gap-3">
+      <div className="flex flex-col items-center">
+        <div className={cn('p-1.5 rounded-md', kind.color)}>
+          <Icon className="h-3.5 w-3.5" />
+        </div>
+        <div className="w-0.5 flex-1 bg-border mt-1" />
+      </div>
+      <div className="flex-1 min-w-0 pb-4">
+        <div className="flex items-baseline justify-between gap-2">
+          <p className="text-sm font-medium">{event.title}</p>
+          <span className="text-xs text-muted-foreground whitespace-nowrap">
+            {new Date(event.at).toLocaleString()} · +{formatElapsed(event.at - startedAt)}
+          </span>
+        </div>
+        {stepLabel && <p className="text-xs text-muted-foreground">{stepLabel}</p>}
+        {event.detail && <p className="text-xs text-muted-foreground mt-0.5">{event.detail}</p>}
+
+        {event.email && (
+          <div className="mt-2 space-y-2">
+            {event.email.missing.length > 0 && (
+              <div className="flex flex-wrap items-center gap-1">
+                <AlertTriangle className="h-3.5 w-3.5 text-amber-500" />
+                <span className="text-xs text-amber-700">Empty merge tags:</span>
+                {event.email.missing.map(tag => (
+                  <Badge key={tag} variant="outline" className="font-mono text-[10px]">{`{{${tag}}}`}</Badge>
+                ))}
+              </div>
+            )}
+            {event.email.html && (
+              <>
+                <button
+                  type="button"
+                  onClick={() => setExpanded(!expanded)}
+                  className="flex items-center gap-1 text-xs text-primary hover:underline"
+                >
+                  {expanded ? <ChevronDown className="h-3 w-3" /> : <ChevronRight className="h-3 w-3" />}
+                  {expanded ? 'Hide email' : 'Preview email'}
+                </button>
+                {expanded && (
+                  <iframe
+                    title={event.email.subject || 'Email preview'}
+                    srcDoc={event.email.html}
+                    sandbox=""
+                    className="w-full h-96 rounded-md border bg-white"
+                  />
+                )}
+              </>
+            )}
+          </div>
+        )}
+
+        {event.webhook && (
+          <pre className="mt-2 max-h-48 overflow-auto rounded-md bg-muted p-2 text-[11px] font-mono">
+            {event.webhook.body}
+          </pre>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default function AutomationSimulator({ open, onOpenChange, automation, stepTypes = [] }) {
+  const { templates, subscribers, segments, fetchSubscribers, fetchSegments } = useEmailPlatformStore()
+
+  const [audience, setAudience] = useState('contact')
+  const [sampleContact, setSampleContact] = useState(SAMPLE_CONTACT)
+  const [segmentId, setSegmentId] = useState('')
+  const [sampleSize, setSampleSize] = useState(10)
+  const [behavior, setBehavior] = useState(DEFAULT_BEHAVIOR)
+  const [startAt, setStartAt] = useState(() => toLocalInputValue(new Date()))
+  const [isRunning, setIsRunning] = useState(false)
+  const [runs, setRuns] = useState(null)
+  const [selectedRun, setSelectedRun] = useState(0)
+
+  useEffect(() => {
+    if (!open) return
+    if (!subscribers.length) fetchSubscribers()
+    fetchSegments()
+  }, [open])
+
+  const stepLabels = useMemo(() => {
+    const labels = {}
+    const walk = (steps) => steps.forEach(step => {
+      labels[step.id] = stepTypes.find(t => t.id === step.step_type)?.label || step.step_type
+      step.branches?.forEach(branch => walk(branch.steps))
+    })
+    walk(automation?.steps || [])
+    return labels
+  }, [automation, stepTypes])
+
+  const updateBehavior = (patch) => setBehavior(current => ({ ...current, ...patch }))
+
+  const loadSubscriber = (id) => {
+    const subscriber = subscribers.find(s => s.id === id)
+    if (!subscriber) return
+    setSampleContact({
+      ...subscriber,
+      tags: (subscriber.tags || []).join(', '),
+    })
+  }
+
+  const getContacts = async () => {
+    if (audience === 'contact') {
+      return [{
+        ...sampleContact,
+        tags: (sampleContact.tags || '').split(',').map(t => t.trim()).filter(Boolean),
+      }]
+    }
+
+    const res = await emailApi.getSegmentSubscribers(segmentId, { limit: sampleSize })
+    return res.data?.subscribers || res.data || []
+  }
+
+  const handleRun = async () => {
+    if (!automation?.steps?.length) {
+      toast.error('Add some steps before running a test')
+      return
+    }
+    if (audience === 'segment' && !segmentId) {
+      toast.error('Choose a segment')
+      return
+    }
+
+    setIsRunning(true)
+    try {
+      const contacts = await getContacts()
+      if (contacts.length === 0) {
+        toast.error('No contacts in this segment')
+        setRuns(null)
+        return
+      }
+      const start = new Date(startAt).getTime()
+      setRuns(contacts.map(contact => ({
+        contact,
+        result: simulateAutomation({ automation, contact, behavior, templates, startAt: start }),
+      })))
+      setSelectedRun(0)
+    } catch (error) {
+      toast.error(error.response?.data?.error || error.message || 'Failed to load contacts')
+    } finally {
+      setIsRunning(false)
+    }
+  }
+
+  const paths = runs && runs.length > 1 ? summarizePaths(runs) : null
+  const run = runs?.[selectedRun]
+  const startedAt = run ? new Date(startAt).getTime() : 0
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-5xl max-h-[90vh] overflow-hidden flex flex-col">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <FlaskConical className="h-5 w-5" />
+            Test Run
+          </DialogTitle>
+          <DialogDescription>
+            Simulate this automation without sending anything. Time is simulated, so waits finish instantly.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="grid grid-cols-[320px_1fr] gap-6 flex-1 min-h-0">
+          {/* Setup */}
+          <div className="space-y-5 overflow-y-auto pr-1">
+            <Tabs value={audience} onValueChange={setAudience}>
+              <TabsList className="w-full">
+                <TabsTrigger value="contact" className="flex-1">Sample contact</TabsTrigger>
+                <TabsTrigger value="segment" className="flex-1">Segment</TabsTrigger>
+              </TabsList>
+
+              <TabsContent value="contact" className="space-y-3 pt-2">
+                {subscribers.length > 0 && (
+                  <Select value="" onValueChange={loadSubscriber}>
+                    <SelectTrigger className="h-8 text-xs">
+                      <SelectValue placeholder="Load an existing contact…" />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {subscribers.slice(0, 100).map(s => (
+                        <SelectItem key={s.id} value={s.id}>{contactLabel(s)}</SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                )}
+                {[
+                  ['email', 'Email'],
+                  ['first_name', 'First name'],
+                  ['last_name', 'Last name'],
+                  ['company', 'Company'],
+                  ['tags', 'Tags (comma-separated)'],
+                ].map(([field, label]) => (
+                  <div key={field} className="space-y-1">
+                    <Label className="text-xs">{label}</Label>
+                    <Input
+                      className="h-8 text-sm"
+                      value={sampleContact[field] || ''}
+                      onChange={(e) => setSampleContact({ ...sampleContact, [field]: e.target.value })}
+                    />
+                  </div>
+                ))}
+              </TabsContent>
+
+              <TabsContent value="segment" className="space-y-3 pt-2">
+                <div className="space-y-1">
+                  <Label className="text-xs">Saved segment</Label>
+                  <Select value={segmentId} onValueChange={setSegmentId}>
+                    <SelectTrigger>
+                      <SelectValue placeholder={segments.length ? 'Select segment' : 'No saved segments'} />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {segments.map(s => (
+                        <SelectItem key={s.id} value={s.id}>{s.name}</SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+                <div className="space-y-1">
+                  <Label className="text-xs">Contacts to simulate</Label>
+                  <Select value={String(sampleSize)} onValueChange={(v) => setSampleSize(Number(v))}>
+                    <SelectTrigger>
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {SEGMENT_SAMPLE_SIZES.map(n => (
+                        <SelectItem key={n} value={String(n)}>First {n}</SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+              </TabsContent>
+            </Tabs>
+
+            <div className="space-y-3">
+              <Label className="text-xs uppercase tracking-wide text-muted-foreground">Contact behaviour</Label>
+              <BehaviorRow
+                label="Opens emails"
+                enabled={behavior.opensEmails}
+                onToggle={(v) => updateBehavior({ opensEmails: v })}
+                hours={behavior.openDelayHours}
+                onHoursChange={(v) => updateBehavior({ openDelayHours: v })}
+              />
+              <BehaviorRow
+                label="Clicks links"
+                enabled={behavior.clicksLinks}
+                onToggle={(v) => updateBehavior({ clicksLinks: v })}
+                hours={behavior.clickDelayHours}
+                onHoursChange={(v) => updateBehavior({ clickDelayHours: v })}
+              />
+              <BehaviorRow
+                label="Makes a purchase"
+                enabled={behavior.purchases}
+                onToggle={(v) => updateBehavior({ purchases: v })}
+                hours={behavior.purchaseDelayHours}
+                onHoursChange={(v) => updateBehavior({ purchaseDelayHours: v })}
+              />
+              <BehaviorRow
+                label="Gets tagged / submits forms"
+                enabled={behavior.otherEvents}
+                onToggle={(v) => updateBehavior({ otherEvents: v })}
+                hours={behavior.otherEventDelayHours}
+                onHoursChange={(v) => updateBehavior({ otherEventDelayHours: v })}
+              />
+            </div>
+
+            <div className="space-y-1">
+              <Label className="text-xs">Enters automation at</Label>
+              <Input type="datetime-local" value={startAt} onChange={(e) => setStartAt(e.target.value)} />
+            </div>
+
+            <Button className="w-full" onClick={handleRun} disabled={isRunning}>
+              {isRunning ? <Loader2 className="h-4 w-4 mr-2 animate-spin" /> : <Play className="h-4 w-4 mr-2" />}
+              {isRunning ? 'Running...' : 'Run simulation'}
+            </Button>
+          </div>
+
+          {/* Results */}
+          <div className="overflow-y-auto min-h-0 space-y-4">
+            {!runs && (
+              <div className="h-full flex flex-col items-center justify-center text-center text-muted-foreground py-16">
+                <FlaskConical className="h-10 w-10 mb-3 opacity-40" />
+                <p className="text-sm">Choose who to test with and run the simulation.</p>
+              </div>
+            )}
+
+            {paths && (
+              <div className="space-y-2">
+                <p className="text-sm font-medium">Paths taken by {runs.length} contacts</p>
+                {paths.map(group => (
+                  <div key={group.key} className="flex items-center justify-between rounded-md border px-3 py-2 text-sm">
+                    <span className="truncate">{group.key}</span>
+                    <Badge variant="secondary">{group.contacts.length}</Badge>
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {runs && runs.length > 1 && (
+              <Select value={String(selectedRun)} onValueChange={(v) => setSelectedRun(Number(v))}>
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {runs.map((r, i) => (
+                    <SelectItem key={r.contact.id || i} value={String(i)}>{contactLabel(r.contact)}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            )}
+
+            {run && (
+              <>
+                {run.result.warnings.length > 0 && (
+                  <div className="rounded-md border border-amber-200 bg-amber-50 p-3 space-y-1">
+                    {run.result.warnings.map(warning => (
+                      <p key={warning} className="flex items-center gap-2 text-sm text-amber-800">
+                        <AlertTriangle className="h-4 w-4 shrink-0" />
+                        {warning}
+                      </p>
+                    ))}
+                  </div>
+                )}
+                <div className="flex items-center justify-between text-sm">
+                  <span className="font-medium">{contactLabel(run.contact)}</span>
+                  <span className="text-muted-foreground">
+                    {run.result.events.filter(e => e.kind === 'email').length} emails · finishes after {formatElapsed(run.result.finishedAt - startedAt)}
+                  </span>
+                </div>
+                <div>
+                  {run.result.events.map((event, i) => (
+                    <TimelineEvent
+                      key={i}
+                      event={event}
+                      startedAt={startedAt}
+                      stepLabel={event.stepId && event.kind !== 'branch' ? stepLabels[event.stepId] : null}
+                    />
+                  ))}
+                </div>
+              </>
+            )}
+          </div>
+        </div>
+      </DialogContent>
+    </Dialog>
+  )
+}
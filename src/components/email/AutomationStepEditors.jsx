@@ -0,0 +1,480 @@
+// src/components/email/AutomationStepEditors.jsx
+// Config editors for the branching and webhook steps in AutomationBuilder.
+// Plain action steps keep using the builder's generic configFields renderer.
+
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+import { Textarea } from '@/components/ui/textarea'
+import { Badge } from '@/components/ui/badge'
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select'
+import { Plus, Trash2, AlertCircle } from 'lucide-react'
+import { OfferingSelectorCompact } from './OfferingSelector'
+import {
+  CONDITION_SOURCES,
+  CONDITION_OPERATOR_LABELS,
+  CONTACT_FIELDS,
+  WAIT_EVENTS,
+  WEBHOOK_METHODS,
+  WEBHOOK_TOKENS,
+  MAX_SPLIT_PATHS,
+  addSplitPath,
+  removeSplitPath,
+  validateWebhookBody,
+} from './automation-graph'
+
+const ANY_EMAIL = '_any'
+
+function EmailStepSelect({ value, onChange, emailSteps }) {
+  return (
+    <Select value={value || ANY_EMAIL} onValueChange={(v) => onChange(v === ANY_EMAIL ? '' : v)}>
+      <SelectTrigger className="h-8 text-xs">
+        <SelectValue />
+      </SelectTrigger>
+      <SelectContent>
+        <SelectItem value={ANY_EMAIL}>Any email in this automation</SelectItem>
+        {emailSteps.map(s => (
+          <SelectItem key={s.id} value={s.id}>{s.label}</SelectItem>
+        ))}
+      </SelectContent>
+    </Select>
+  )
+}
+
+function offeringFromRule(rule) {
+  return rule.offeringId ? { id: rule.offeringId, name: rule.offeringName, type: rule.offeringType } : null
+}
+
+// ============================================
+// If / else
+// ============================================
+
+function ConditionRuleRow({ rule, onChange, onRemove, canRemove, emailSteps }) {
+  const source = CONDITION_SOURCES[rule.source]
+  const needsValue = rule.source === 'field' && !['is_set', 'is_not_set'].includes(rule.operator)
+
+  return (
+    <div className="space-y-2 p-3 rounded-lg border bg-muted/30">
+      <div className="flex items-center gap-2">
+        <Select
+          value={rule.source}
+          onValueChange={(v) => onChange({
+            source: v,
+            operator: CONDITION_SOURCES[v].operators[0],
+            ...(v === 'field' && { field: 'email' }),
+            value: '',
+          })}
+        >
+          <SelectTrigger className="h-8 text-xs">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            {Object.entries(CONDITION_SOURCES).map(([key, def]) => (
+              <SelectItem key={key} value={key}>{def.label}</SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+        <Button variant="ghost" size="icon" className="h-8 w-8 shrink-0" onClick={onRemove} disabled={!canRemove}>
+          <Trash2 className="h-3.5 w-3.5 text-destructive" />
+        </Button>
+      </div>
+
+      {rule.source === 'field' && (
+        <div className="grid grid-cols-2 gap-2">
+          <Select value={rule.field} onValueChange={(v) => onChange({ ...rule, field: v })}>
+            <SelectTrigger className="h-8 text-xs">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {CONTACT_FIELDS.map(f => (
+                <SelectItem key={f.value} value={f.value}>{f.label}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          {rule.field === 'custom' && (
+            <Input
+              className="h-8 text-xs"
+              value={rule.customField || ''}
+              onChange={(e) => onChange({ ...rule, customField: e.target.value })}
+              placeholder="Field key"
+            />
+          )}
+        </div>
+      )}
+
+      <div className="flex items-center gap-2">
+        <Select value={rule.operator} onValueChange={(v) => onChange({ ...rule, operator: v })}>
+          <SelectTrigger className="h-8 text-xs w-36 shrink-0">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            {source?.operators.map(op => (
+              <SelectItem key={op} value={op}>{CONDITION_OPERATOR_LABELS[op]}</SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+        {(needsValue || rule.source === 'tag') && (
+          <Input
+            className="h-8 text-xs"
+            value={rule.value || ''}
+            onChange={(e) => onChange({ ...rule, value: e.target.value })}
+            placeholder={rule.source === 'tag' ? 'Tag name' : 'Value'}
+          />
+        )}
+      </div>
+
+      {(rule.source === 'email_opened' || rule.source === 'email_clicked') && (
+        <div className="space-y-2">
+          <EmailStepSelect value={rule.stepId} onChange={(v) => onChange({ ...rule, stepId: v })} emailSteps={emailSteps} />
+          {rule.source === 'email_clicked' && (
+            <Input
+              className="h-8 text-xs"
+              value={rule.linkUrl || ''}
+              onChange={(e) => onChange({ ...rule, linkUrl: e.target.value })}
+              placeholder="Link URL contains (optional)"
+            />
+          )}
+        </div>
+      )}
+
+      {rule.source === 'purchased' && (
+        <OfferingSelectorCompact
+          selectedOffering={offeringFromRule(rule)}
+          onSelect={(offering) => onChange({
+            ...rule,
+            offeringId: offering.id,
+            offeringName: offering.name,
+            offeringType: offering.type,
+          })}
+          onClear={() => onChange({ ...rule, offeringId: '', offeringName: '', offeringType: '' })}
+        />
+      )}
+
+      {['email_opened', 'email_clicked', 'purchased'].includes(rule.source) && (
+        <div className="flex items-center gap-2 text-xs text-muted-foreground">
+          <span>Within the last</span>
+          <Input
+            type="number"
+            min={0}
+            className="h-8 w-20 text-xs"
+            value={rule.withinDays || ''}
+            onChange={(e) => onChange({ ...rule, withinDays: parseInt(e.target.value) || 0 })}
+            placeholder="Any"
+          />
+          <span>days</span>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export function ConditionEditor({ config, onChange, emailSteps = [] }) {
+  const rules = config.rules || []
+
+  const updateRule = (index, rule) => {
+    onChange({ ...config, rules: rules.map((r, i) => (i === index ? rule : r)) })
+  }
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center gap-2 text-sm">
+        <span>Contacts go down <strong>Yes</strong> when they match</span>
+        <Select value={config.match || 'all'} onValueChange={(v) => onChange({ ...config, match: v })}>
+          <SelectTrigger className="h-8 w-20 text-xs">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            <SelectItem value="all">all</SelectItem>
+            <SelectItem value="any">any</SelectItem>
+          </SelectContent>
+        </Select>
+        <span>rules</span>
+      </div>
+
+      {rules.map((rule, index) => (
+        <ConditionRuleRow
+          key={index}
+          rule={rule}
+          onChange={(r) => updateRule(index, r)}
+          onRemove={() => onChange({ ...config, rules: rules.filter((_, i) => i !== index) })}
+          canRemove={rules.length > 1}
+          emailSteps={emailSteps}
+        />
+      ))}
+
+      <Button
+        variant="outline"
+        size="sm"
+        onClick={() => onChange({ ...config, rules: [...rules, { source: 'tag', operator: 'has', value: '' }] })}
+      >
+        <Plus className="h-3.5 w-3.5 mr-1" />
+        Add rule
+      </Button>
+    </div>
+  )
+}
+
+// ============================================
+// A/B split
+// ============================================
+
+export function SplitEditor({ step, onChange }) {
+  const total = step.branches.reduce((sum, b) => sum + (Number(b.percentage) || 0), 0)
+
+  const setPercentage = (branchId, percentage) => {
+    onChange({
+      ...step,
+      branches: step.branches.map(b => (b.id === branchId ? { ...b, percentage } : b)),
+    })
+  }
+
+  return (
+    <div className="space-y-3">
+      <p className="text-sm text-muted-foreground">
+        Contacts are randomly assigned to a path. Each contact always takes the same path.
+      </p>
+      {step.branches.map(branch => (
+        <div key={branch.id} className="flex items-center gap-2">
+          <Badge variant="outline" className="w-16 justify-center">{branch.label}</Badge>
+          <Input
+            type="number"
+            min={0}
+            max={100}
+            className="h-8 w-24"
+            value={branch.percentage ?? ''}
+            onChange={(e) => setPercentage(branch.id, Math.max(0, Math.min(100, parseInt(e.target.value) || 0)))}
+          />
+          <span className="text-sm text-muted-foreground">%</span>
+          {branch.steps.length > 0 && (
+            <span className="text-xs text-muted-foreground">
+              {branch.steps.length} step{branch.steps.length !== 1 ? 's' : ''}
+            </span>
+          )}
+          <Button
+            variant="ghost"
+            size="icon"
+            className="h-8 w-8 ml-auto"
+            onClick={() => onChange(removeSplitPath(step, branch.id))}
+            disabled={step.branches.length <= 2}
+          >
+            <Trash2 className="h-3.5 w-3.5 text-destructive" />
+          </Button>
+        </div>
+      ))}
+      <div className="flex items-center justify-between">
+        <Button
+          variant="outline"
+          size="sm"
+          onClick={() => onChange(addSplitPath(step))}
+          disabled={step.branches.length >= MAX_SPLIT_PATHS}
+        >
+          <Plus className="h-3.5 w-3.5 mr-1" />
+          Add path
+        </Button>
+        <span className={`text-sm font-medium ${total === 100 ? 'text-green-600' : 'text-destructive'}`}>
+          Total {total}%
+        </span>
+      </div>
+    </div>
+  )
+}
+
+// ============================================
+// Wait until event
+// ============================================
+
+export function WaitUntilEditor({ config, onChange, emailSteps = [], forms = [] }) {
+  const target = WAIT_EVENTS[config.event]?.target
+
+  return (
+    <div className="space-y-3">
+      <div className="space-y-1">
+        <Label className="text-xs">Wait until the contact</Label>
+        <Select value={config.event || ''} onValueChange={(v) => onChange({ ...config, event: v })}>
+          <SelectTrigger>
+            <SelectValue placeholder="Select event" />
+          </SelectTrigger>
+          <SelectContent>
+            {Object.entries(WAIT_EVENTS).map(([key, def]) => (
+              <SelectItem key={key} value={key}>{def.label}</SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+      </div>
+
+      {target === 'email_step' && (
+        <EmailStepSelect value={config.stepId} onChange={(v) => onChange({ ...config, stepId: v })} emailSteps={emailSteps} />
+      )}
+      {target === 'tag' && (
+        <Input
+          value={config.tagName || ''}
+          onChange={(e) => onChange({ ...config, tagName: e.target.value })}
+          placeholder="Tag name"
+        />
+      )}
+      {target === 'form' && (
+        <Select value={config.formId || ''} onValueChange={(v) => onChange({ ...config, formId: v })}>
+          <SelectTrigger>
+            <SelectValue placeholder="Any form" />
+          </SelectTrigger>
+          <SelectContent>
+            {forms.map(f => (
+              <SelectItem key={f.id} value={f.id}>{f.name}</SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+      )}
+      {target === 'offering' && (
+        <OfferingSelectorCompact
+          selectedOffering={offeringFromRule(config)}
+          onSelect={(offering) => onChange({
+            ...config,
+            offeringId: offering.id,
+            offeringName: offering.name,
+            offeringType: offering.type,
+          })}
+          onClear={() => onChange({ ...config, offeringId: '', offeringName: '', offeringType: '' })}
+        />
+      )}
+
+      <div className="space-y-1">
+        <Label className="text-xs">Give up after</Label>
+        <div className="flex gap-2">
+          <Input
+            type="number"
+            min={1}
+            className="w-24"
+            value={config.timeoutDuration || ''}
+            onChange={(e) => onChange({ ...config, timeoutDuration: parseInt(e.target.value) || 0 })}
+          />
+          <Select value={config.timeoutUnit || 'days'} onValueChange={(v) => onChange({ ...config, timeoutUnit: v })}>
+            <SelectTrigger>
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {['hours', 'days', 'weeks'].map(unit => (
+                <SelectItem key={unit} value={unit}>{unit.charAt(0).toUpperCase() + unit.slice(1)}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+        <p className="text-xs text-muted-foreground">
+          Contacts who don't do this in time continue down the "Timed out" path.
+        </p>
+      </div>
+    </div>
+  )
+}
+
+// ============================================
+// Webhook
+// ============================================
+
+export function WebhookEditor({ config, onChange }) {
+  const headers = config.headers || []
+  const bodyError = validateWebhookBody(config.body)
+
+  const updateHeader = (index, patch) => {
+    onChange({ ...config, headers: headers.map((h, i) => (i === index ? { ...h, ...patch } : h)) })
+  }
+
+  return (
+    <div className="space-y-3">
+      <div className="flex gap-2">
+        <Select value={config.method || 'POST'} onValueChange={(v) => onChange({ ...config, method: v })}>
+          <SelectTrigger className="w-24">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            {WEBHOOK_METHODS.map(m => (
+              <SelectItem key={m} value={m}>{m}</SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+        <Input
+          value={config.url || ''}
+          onChange={(e) => onChange({ ...config, url: e.target.value })}
+          placeholder="https://example.com/webhook"
+        />
+      </div>
+
+      <div className="space-y-2">
+        <div className="flex items-center justify-between">
+          <Label className="text-xs">Headers</Label>
+          <Button
+            variant="ghost"
+            size="sm"
+            className="h-7 text-xs"
+            onClick={() => onChange({ ...config, headers: [...headers, { key: '', value: '' }] })}
+          >
+            <Plus className="h-3 w-3 mr-1" />
+            Add header
+          </Button>
+        </div>
+        {headers.map((header, index) => (
+          <div key={index} className="flex gap-2">
+            <Input
+              className="h-8 text-xs"
+              value={header.key}
+              onChange={(e) => updateHeader(index, { key: e.target.value })}
+              placeholder="Header"
+            />
+            <Input
+              className="h-8 text-xs"
+              value={header.value}
+              onChange={(e) => updateHeader(index, { value: e.target.value })}
+              placeholder="Value"
+            />
+            <Button
+              variant="ghost"
+              size="icon"
+              className="h-8 w-8 shrink-0"
+              onClick={() => onChange({ ...config, headers: headers.filter((_, i) => i !== index) })}
+            >
+              <Trash2 className="h-3.5 w-3.5 text-destructive" />
+            </Button>
+          </div>
+        ))}
+      </div>
+
+      <div className="space-y-1">
+        <Label className="text-xs">JSON body</Label>
+        <Textarea
+          value={config.body || ''}
+          onChange={(e) => onChange({ ...config, body: e.target.value })}
+          rows={8}
+          className="font-mono text-xs"
+          spellCheck={false}
+        />
+        {bodyError && (
+          <p className="flex items-center gap-1 text-xs text-destructive">
+            <AlertCircle className="h-3 w-3" />
+            {bodyError}
+          </p>
+        )}
+        <div className="flex flex-wrap gap-1 pt-1">
+          {WEBHOOK_TOKENS.map(({ token, description }) => (
+            <Badge
+              key={token}
+              variant="secondary"
+              className="cursor-pointer font-mono text-[10px]"
+              title={description}
+              onClick={() => onChange({ ...config, body: `${config.body || ''}${token}` })}
+            >
+              {token}
+            </Badge>
+          ))}
+        </div>
+        <p className="text-xs text-muted-foreground">
+          Put tokens inside quotes - values are escaped as JSON strings.
+        </p>
+      </div>
+    </div>
+  )
+}
@@ -84,8 +84,13 @@ import {
   Sparkles,
   PanelBottom,
   LayoutPanelLeft,
-  MessageSquareQuote
+  MessageSquareQuote,
+  ShieldCheck,
+  Moon,
+  Sun
 } from 'lucide-react'
+import EmailLintPanel from './EmailLintPanel'
+import { simulateDarkMode } from './email-lint'
 
 // Lazy load heavy components for code splitting
 const ImageLibrary = lazy(() => import('./ImageLibrary'))
@@ -642,6 +647,7 @@ export function EmailEditor({
   })
   const [activeTab, setActiveTab] = useState('visual')
   const [previewDevice, setPreviewDevice] = useState('desktop')
+  const [previewDarkMode, setPreviewDarkMode] = useState(false)
   const [isFullscreen, setIsFullscreen] = useState(false)
   const [selectedElement, setSelectedElement] = useState(null)
   const [isTextElement, setIsTextElement] = useState(false)
@@ -2195,6 +2201,10 @@ export function EmailEditor({
                 <Eye className="h-3.5 w-3.5 mr-1.5" />
                 Preview
               </TabsTrigger>
+              <TabsTrigger value="check" className="h-7 px-3 text-xs text-white data-[state=active]:bg-white/90 data-[state=active]:text-foreground">
+                <ShieldCheck className="h-3.5 w-3.5 mr-1.5" />
+                Check
+              </TabsTrigger>
             </TabsList>
           </Tabs>
           <div className="h-5 w-px bg-white/30" />
@@ -3360,6 +3370,12 @@ export function EmailEditor({
 
         {activeTab === 'preview' && (
           <div className="flex-1 flex flex-col items-center justify-start p-6 bg-muted/30 overflow-auto">
+            <div className={`flex justify-end mb-3 ${previewDevice === 'mobile' ? 'w-[375px]' : 'w-full max-w-[700px]'}`}>
+              <Button variant="outline" size="sm" className="h-7 text-xs" onClick={() => setPreviewDarkMode(!previewDarkMode)}>
+                {previewDarkMode ? <Sun className="h-3.5 w-3.5 mr-1.5" /> : <Moon className="h-3.5 w-3.5 mr-1.5" />}
+                {previewDarkMode ? 'Light mode' : 'Simulate dark mode'}
+              </Button>
+            </div>
             <div 
               className={`bg-white shadow-xl rounded-lg overflow-hidden ${
                 previewDevice === 'mobile' ? 'w-[375px]' : 'w-full max-w-[700px]'
@@ -3378,12 +3394,16 @@ export function EmailEditor({
               <div 
                 className="p-0"
                 dangerouslySetInnerHTML={{ 
-                  __html: getPreviewHtml(htmlContent)
+                  __html: previewDarkMode ? simulateDarkMode(getPreviewHtml(htmlContent)) : getPreviewHtml(htmlContent)
                 }}
               />
             </div>
           </div>
         )}
+
+        {activeTab === 'check' && (
+          <EmailLintPanel html={htmlContent} subject={subject} variables={variables} />
+        )}
       </div>
 
       {/* Image Library Modal - lazy loaded */}
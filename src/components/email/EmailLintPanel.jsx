@@ -0,0 +1,151 @@
+// src/components/email/EmailLintPanel.jsx
+// Pre-send checks for the email editor: CSS the major clients don't
+// support, accessibility problems, Gmail clipping and unfilled variables.
+// Runs on the compiled HTML, so what's checked is what gets sent.
+
+import { useMemo, useState } from 'react'
+import { Badge } from '@/components/ui/badge'
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select'
+import {
+  AlertCircle,
+  AlertTriangle,
+  Info,
+  CheckCircle2,
+  Accessibility,
+  MonitorSmartphone,
+  FileText,
+} from 'lucide-react'
+import { cn } from '@/lib/utils'
+import { EMAIL_CLIENTS, GMAIL_CLIP_BYTES, lintEmail, issuesForClient } from './email-lint'
+
+const SEVERITY_STYLES = {
+  error: { icon: AlertCircle, color: 'text-red-600', border: 'border-red-200 bg-red-50' },
+  warning: { icon: AlertTriangle, color: 'text-amber-600', border: 'border-amber-200 bg-amber-50' },
+  info: { icon: Info, color: 'text-blue-600', border: 'border-blue-200 bg-blue-50' },
+}
+
+const CATEGORIES = [
+  { id: 'content', label: 'Content', icon: FileText },
+  { id: 'accessibility', label: 'Accessibility', icon: Accessibility },
+  { id: 'compatibility', label: 'Client compatibility', icon: MonitorSmartphone },
+]
+
+const CLIENT_LABELS = Object.fromEntries(EMAIL_CLIENTS.map(c => [c.id, c.label]))
+
+function IssueCard({ issue }) {
+  const style = SEVERITY_STYLES[issue.severity]
+  const Icon = style.icon
+
+  return (
+    <div className={cn('rounded-lg border p-3', style.border)}>
+      <div className="flex items-start gap-2">
+        <Icon className={cn('h-4 w-4 mt-0.5 shrink-0', style.color)} />
+        <div className="min-w-0 flex-1">
+          <p className="text-sm font-medium">{issue.title}</p>
+          {issue.detail && <p className="text-xs text-muted-foreground mt-0.5">{issue.detail}</p>}
+
+          {issue.clients && (
+            <div className="flex flex-wrap gap-1 mt-2">
+              {issue.clients.map(({ client, support }) => (
+                <Badge
+                  key={client}
+                  variant="outline"
+                  className={cn('text-[10px] font-normal', support === 'none' ? 'border-red-300 text-red-700' : 'border-amber-300 text-amber-700')}
+                >
+                  {CLIENT_LABELS[client]}{support === 'partial' ? ' (partial)' : ''}
+                </Badge>
+              ))}
+            </div>
+          )}
+
+          {issue.samples.length > 0 && (
+            <ul className="mt-2 space-y-0.5">
+              {issue.samples.map(sample => (
+                <li key={sample} className="text-xs font-mono text-muted-foreground truncate" title={sample}>
+                  {sample}
+                </li>
+              ))}
+              {issue.count > issue.samples.length && (
+                <li className="text-xs text-muted-foreground">
+                  and {issue.count - issue.samples.length} more
+                </li>
+              )}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default function EmailLintPanel({ html, subject = '', variables = [] }) {
+  const [client, setClient] = useState('all')
+
+  const result = useMemo(() => lintEmail({ html, subject, variables }), [html, subject, variables])
+  const issues = client === 'all' ? result.issues : issuesForClient(result.issues, client)
+  const sizePercent = Math.min(100, Math.round((result.bytes / GMAIL_CLIP_BYTES) * 100))
+
+  return (
+    <div className="flex-1 overflow-auto p-6 bg-muted/30">
+      <div className="max-w-3xl mx-auto space-y-6">
+        <div className="flex items-center justify-between gap-4">
+          <div>
+            <h3 className="text-base font-semibold">Email check</h3>
+            <p className="text-xs text-muted-foreground">
+              {(result.bytes / 1024).toFixed(1)}KB of {GMAIL_CLIP_BYTES / 1024}KB before Gmail clips ({sizePercent}%)
+            </p>
+          </div>
+          <div className="flex items-center gap-3">
+            <div className="flex items-center gap-1.5 text-xs">
+              <Badge variant="outline" className="border-red-300 text-red-700">{result.counts.error} errors</Badge>
+              <Badge variant="outline" className="border-amber-300 text-amber-700">{result.counts.warning} warnings</Badge>
+            </div>
+            <Select value={client} onValueChange={setClient}>
+              <SelectTrigger className="h-8 w-44 text-xs">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value="all">All clients</SelectItem>
+                {EMAIL_CLIENTS.map(c => (
+                  <SelectItem key={c.id} value={c.id}>{c.label}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+        </div>
+
+        {issues.length === 0 ? (
+          <div className="rounded-lg border bg-card p-8 text-center">
+            <CheckCircle2 className="h-8 w-8 mx-auto mb-3 text-green-500" />
+            <p className="text-sm font-medium">No problems found</p>
+            <p className="text-xs text-muted-foreground mt-1">
+              {client === 'all' ? 'This email should render the same everywhere.' : `Nothing in this email breaks in ${CLIENT_LABELS[client]}.`}
+            </p>
+          </div>
+        ) : (
+          CATEGORIES.map(category => {
+            const categoryIssues = issues.filter(issue => issue.category === category.id)
+            if (categoryIssues.length === 0) return null
+            const Icon = category.icon
+
+            return (
+              <section key={category.id} className="space-y-2">
+                <h4 className="flex items-center gap-2 text-xs font-semibold uppercase tracking-wide text-muted-foreground">
+                  <Icon className="h-3.5 w-3.5" />
+                  {category.label}
+                </h4>
+                {categoryIssues.map(issue => <IssueCard key={issue.id} issue={issue} />)}
+              </section>
+            )
+          })
+        )}
+      </div>
+    </div>
+  )
+}
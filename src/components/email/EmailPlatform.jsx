@@ -1983,7 +1983,7 @@ export default function EmailPlatform({
   const [showSegmentBuilder, setShowSegmentBuilder] = useState(false)
   const [showImageLibrary, setShowImageLibrary] = useState(false)
   const [isSidebarCollapsed, setIsSidebarCollapsed] = useState(false)
-  const { createTemplate, updateTemplate, fetchTemplates, createAutomation, fetchAutomations, createCampaign, fetchCampaigns } = useEmailPlatformStore()
+  const { createTemplate, updateTemplate, fetchTemplates, createAutomation, fetchAutomations, createCampaign, fetchCampaigns, createSegment } = useEmailPlatformStore()
 
   // Only Uptrade Media can see System Emails
   const isUptradeMedia = currentOrg?.slug === 'uptrade-media' || 
@@ -2114,9 +2114,14 @@ export default function EmailPlatform({
     setShowCampaignAnalytics(true)
   }
 
-  const handleSaveSegment = (segmentData) => {
-    toast.success(`Segment "${segmentData.name}" created successfully`)
-    setShowSegmentBuilder(false)
+  const handleSaveSegment = async (segmentData) => {
+    try {
+      await createSegment(segmentData)
+      toast.success(`Segment "${segmentData.name}" created successfully`)
+      setShowSegmentBuilder(false)
+    } catch (err) {
+      toast.error(err.message)
+    }
   }
 
   const handleSelectImage = (image) => {
@@ -10,9 +10,11 @@ import {
   SelectTrigger,
   SelectValue,
 } from '@/components/ui/select'
-import { ArrowLeft, Save, Eye, Code, Smartphone, Monitor, Tablet, ImageIcon, Layout, Undo, Redo, Trash2 } from 'lucide-react'
+import { ArrowLeft, Save, Eye, Code, Smartphone, Monitor, Tablet, ImageIcon, Layout, Undo, Redo, Trash2, FileUp, FileDown } from 'lucide-react'
+import { toast } from 'sonner'
 import ImageLibrary from './ImageLibrary'
 import TemplateGallery from './TemplateGallery'
+import { importMjml, exportMjml, downloadMjml } from './mjml'
 
 // Custom email blocks configuration
 const emailBlocks = [
@@ -373,6 +375,7 @@ export default function EmailTemplateEditor({ template, onSave, onBack }) {
   const [showImageLibrary, setShowImageLibrary] = useState(false)
   const [showTemplateGallery, setShowTemplateGallery] = useState(!template) // Show on new template
   const [pendingImageCallback, setPendingImageCallback] = useState(null)
+  const mjmlInputRef = useRef(null)
 
   // Handle template selection from gallery
   const handleTemplateSelect = (selectedTemplate) => {
@@ -568,17 +571,12 @@ export default function EmailTemplateEditor({ template, onSave, onBack }) {
     editorInstance.current.setDevice(deviceMap[deviceMode])
   }, [deviceMode])
 
-  const handleSave = async () => {
-    if (!editorInstance.current) return
-    
-    setIsSaving(true)
-    
-    try {
-      const html = editorInstance.current.getHtml()
-      const css = editorInstance.current.getCss()
-      
-      // Wrap in email-safe HTML
-      const fullHtml = `
+  // Wrap the editor content in email-safe HTML
+  const buildTemplateHtml = () => {
+    const html = editorInstance.current.getHtml()
+    const css = editorInstance.current.getCss()
+
+    return `
 <!DOCTYPE html>
 <html>
 <head>
@@ -605,7 +603,16 @@ export default function EmailTemplateEditor({ template, onSave, onBack }) {
   </table>
 </body>
 </html>
-      `.trim()
+    `.trim()
+  }
+
+  const handleSave = async () => {
+    if (!editorInstance.current) return
+    
+    setIsSaving(true)
+    
+    try {
+      const fullHtml = buildTemplateHtml()
       
       await onSave({
         id: template?.id,
@@ -619,6 +626,37 @@ export default function EmailTemplateEditor({ template, onSave, onBack }) {
     }
   }
 
+  const handleMjmlImport = async (e) => {
+    const file = e.target.files?.[0]
+    e.target.value = ''
+    if (!file || !editorInstance.current) return
+
+    try {
+      const { html, css, title, warnings } = importMjml(await file.text())
+      editorInstance.current.setComponents(html)
+      if (css) editorInstance.current.Css.addRules(css)
+      if (!templateName && title) setTemplateName(title)
+
+      if (warnings.length > 0) {
+        toast.warning(`Imported ${file.name} with ${warnings.length} warning(s)`, { description: warnings.join('\n') })
+      } else {
+        toast.success(`Imported ${file.name}`)
+      }
+    } catch (err) {
+      toast.error(err.message || 'Failed to import MJML')
+    }
+  }
+
+  const handleMjmlExport = () => {
+    if (!editorInstance.current) return
+
+    const { mjml, warnings } = exportMjml(buildTemplateHtml(), { title: templateName })
+    downloadMjml(mjml, templateName)
+    if (warnings.length > 0) {
+      toast.warning('Exported with warnings', { description: warnings.join('\n') })
+    }
+  }
+
   const getCodePreview = () => {
     if (!editorInstance.current) return ''
     return editorInstance.current.getHtml()
@@ -712,6 +750,33 @@ export default function EmailTemplateEditor({ template, onSave, onBack }) {
             Templates
           </Button>
 
+          {/* MJML Import/Export */}
+          <input
+            ref={mjmlInputRef}
+            type="file"
+            accept=".mjml"
+            className="hidden"
+            onChange={handleMjmlImport}
+          />
+          <div className="flex items-center border rounded-lg p-1">
+            <Button
+              variant="ghost"
+              size="sm"
+              onClick={() => mjmlInputRef.current?.click()}
+              title="Import MJML"
+            >
+              <FileUp className="h-4 w-4" />
+            </Button>
+            <Button
+              variant="ghost"
+              size="sm"
+              onClick={handleMjmlExport}
+              title="Export MJML"
+            >
+              <FileDown className="h-4 w-4" />
+            </Button>
+          </div>
+
           {/* Image Library Button */}
           <Button
             variant="outline"
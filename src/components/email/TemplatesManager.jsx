@@ -1,13 +1,14 @@
-import { useState } from 'react'
+import { useRef, useState } from 'react'
 import { Card, CardContent, CardHeader, CardTitle, CardDescription } from '@/components/ui/card'
 import { Button } from '@/components/ui/button'
 import { Input } from '@/components/ui/input'
 import { Label } from '@/components/ui/label'
 import { Textarea } from '@/components/ui/textarea'
 import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogTrigger } from '@/components/ui/dialog'
-import { Plus, Trash2, Edit, Loader2 } from 'lucide-react'
+import { Plus, Trash2, Edit, Loader2, FileUp, FileDown } from 'lucide-react'
 import api from '@/lib/api'
 import { toast } from 'sonner'
+import { importMjml, exportMjml, downloadMjml } from './mjml'
 
 export default function TemplatesManager() {
   const [templates, setTemplates] = useState([])
@@ -20,6 +21,7 @@ export default function TemplatesManager() {
     html: '',
     text: '',
   })
+  const mjmlInputRef = useRef(null)
 
   const handleSave = async () => {
     if (!formData.name || !formData.subject || !formData.html) {
@@ -49,6 +51,36 @@ export default function TemplatesManager() {
     }
   }
 
+  const handleMjmlImport = async (e) => {
+    const file = e.target.files?.[0]
+    e.target.value = ''
+    if (!file) return
+
+    try {
+      const { html, css, title, warnings } = importMjml(await file.text())
+      setFormData(current => ({
+        ...current,
+        name: current.name || title,
+        html: css ? `<style>${css}</style>${html}` : html,
+      }))
+      if (warnings.length > 0) {
+        toast.warning(`Imported ${file.name} with ${warnings.length} warning(s)`, { description: warnings.join('\n') })
+      } else {
+        toast.success(`Imported ${file.name}`)
+      }
+    } catch (err) {
+      toast.error(err.message || 'Failed to import MJML')
+    }
+  }
+
+  const handleMjmlExport = (template) => {
+    const { mjml, warnings } = exportMjml(template.html, { title: template.name })
+    downloadMjml(mjml, template.name)
+    if (warnings.length > 0) {
+      toast.warning('Exported with warnings', { description: warnings.join('\n') })
+    }
+  }
+
   const handleDelete = async (id) => {
     // if (!confirm('Delete this template?')) return
     // try {
@@ -94,7 +126,20 @@ export default function TemplatesManager() {
                 />
               </div>
               <div>
-                <Label htmlFor="html">HTML Content</Label>
+                <div className="flex items-center justify-between">
+                  <Label htmlFor="html">HTML Content</Label>
+                  <input
+                    ref={mjmlInputRef}
+                    type="file"
+                    accept=".mjml"
+                    className="hidden"
+                    onChange={handleMjmlImport}
+                  />
+                  <Button variant="ghost" size="sm" className="gap-2" onClick={() => mjmlInputRef.current?.click()}>
+                    <FileUp className="h-4 w-4" />
+                    Import MJML
+                  </Button>
+                </div>
                 <Textarea
                   id="html"
                   value={formData.html}
@@ -144,6 +189,14 @@ export default function TemplatesManager() {
                     <CardDescription>{template.subject}</CardDescription>
                   </div>
                   <div className="flex gap-2">
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      onClick={() => handleMjmlExport(template)}
+                      title="Export MJML"
+                    >
+                      <FileDown className="h-4 w-4" />
+                    </Button>
                     <Button
                       variant="outline"
                       size="sm"
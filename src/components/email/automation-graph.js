@@ -0,0 +1,500 @@
+/**
+ * Automation Graph
+ *
+ * Automation steps form a tree: most steps run one after another, but
+ * branching steps (if/else, A/B split, wait until event) own a list of
+ * branches and each branch has its own steps. Paths do not merge back -
+ * whatever should happen after a split lives inside each branch.
+ *
+ * Step shape:
+ *   { id, step_type, config, branches?: [{ id, key, label, percentage?, steps: [] }] }
+ */
+
+export const BRANCHING_STEP_TYPES = ['condition', 'ab_split', 'wait_until']
+
+export const MAX_SPLIT_PATHS = 5
+
+/**
+ * Sources an if/else rule can check
+ */
+export const CONDITION_SOURCES = {
+  field: {
+    label: 'Contact field',
+    operators: ['equals', 'not_equals', 'contains', 'not_contains', 'is_set', 'is_not_set', 'greater_than', 'less_than'],
+  },
+  tag: {
+    label: 'Tag',
+    operators: ['has', 'has_not'],
+  },
+  email_opened: {
+    label: 'Opened email',
+    operators: ['did', 'did_not'],
+  },
+  email_clicked: {
+    label: 'Clicked email',
+    operators: ['did', 'did_not'],
+  },
+  purchased: {
+    label: 'Purchased',
+    operators: ['did', 'did_not'],
+  },
+}
+
+export const CONTACT_FIELDS = [
+  { value: 'email', label: 'Email address' },
+  { value: 'first_name', label: 'First name' },
+  { value: 'last_name', label: 'Last name' },
+  { value: 'company', label: 'Company' },
+  { value: 'city', label: 'City' },
+  { value: 'state', label: 'State' },
+  { value: 'country', label: 'Country' },
+  { value: 'source', label: 'Signup source' },
+  { value: 'custom', label: 'Custom field…' },
+]
+
+export const CONDITION_OPERATOR_LABELS = {
+  equals: 'equals',
+  not_equals: 'does not equal',
+  contains: 'contains',
+  not_contains: 'does not contain',
+  is_set: 'is set',
+  is_not_set: 'is not set',
+  greater_than: 'is greater than',
+  less_than: 'is less than',
+  has: 'has',
+  has_not: 'does not have',
+  did: 'did',
+  did_not: 'did not',
+}
+
+/**
+ * Events a "wait until" step can listen for
+ */
+export const WAIT_EVENTS = {
+  email_opened: { label: 'Opens an email', target: 'email_step' },
+  email_clicked: { label: 'Clicks a link', target: 'email_step' },
+  purchased: { label: 'Makes a purchase', target: 'offering' },
+  tag_added: { label: 'Gets a tag', target: 'tag' },
+  form_submitted: { label: 'Submits a form', target: 'form' },
+}
+
+export const WEBHOOK_METHODS = ['POST', 'PUT', 'PATCH']
+
+/**
+ * Tokens available in webhook bodies. Same {{token}} style as email merge tags.
+ */
+export const WEBHOOK_TOKENS = [
+  { token: '{{email}}', description: 'Contact email' },
+  { token: '{{first_name}}', description: 'Contact first name' },
+  { token: '{{last_name}}', description: 'Contact last name' },
+  { token: '{{contact_id}}', description: 'Contact ID' },
+  { token: '{{tags}}', description: 'Comma-separated tags' },
+  { token: '{{automation_id}}', description: 'Automation ID' },
+  { token: '{{automation_name}}', description: 'Automation name' },
+  { token: '{{step_id}}', description: 'This step ID' },
+  { token: '{{triggered_at}}', description: 'When the contact entered the automation (ISO)' },
+]
+
+export const DEFAULT_WEBHOOK_BODY = `{
+  "email": "{{email}}",
+  "first_name": "{{first_name}}",
+  "automation": "{{automation_name}}",
+  "triggered_at": "{{triggered_at}}"
+}`
+
+const UNIT_MS = {
+  minutes: 60 * 1000,
+  hours: 60 * 60 * 1000,
+  days: 24 * 60 * 60 * 1000,
+  weeks: 7 * 24 * 60 * 60 * 1000,
+}
+
+export function durationToMs(duration, unit = 'days') {
+  return (Number(duration) || 0) * (UNIT_MS[unit] || UNIT_MS.days)
+}
+
+let idCounter = 0
+
+export function createId(prefix = 'step') {
+  idCounter += 1
+  return `${prefix}-${Date.now().toString(36)}-${idCounter}`
+}
+
+function splitLabel(index) {
+  return `Path ${String.fromCharCode(65 + index)}`
+}
+
+function createBranch(key, label, extra = {}) {
+  return { id: createId('branch'), key, label, steps: [], ...extra }
+}
+
+/**
+ * Evenly spread 100% across n paths, giving the remainder to the first paths
+ */
+export function evenSplit(count) {
+  const base = Math.floor(100 / count)
+  return Array.from({ length: count }, (_, i) => base + (i < 100 - base * count ? 1 : 0))
+}
+
+export function isBranchingStep(step) {
+  return BRANCHING_STEP_TYPES.includes(step?.step_type)
+}
+
+/**
+ * New step with sensible defaults (and empty branches for branching types)
+ */
+export function createStep(stepType) {
+  const step = { id: createId(), step_type: stepType, config: {} }
+
+  switch (stepType) {
+    case 'condition':
+      step.config = { match: 'all', rules: [{ source: 'field', field: 'email', operator: 'contains', value: '' }] }
+      step.branches = [createBranch('yes', 'Yes'), createBranch('no', 'No')]
+      break
+    case 'ab_split':
+      step.branches = evenSplit(2).map((percentage, i) => createBranch(`path_${i}`, splitLabel(i), { percentage }))
+      break
+    case 'wait_until':
+      step.config = { event: 'email_opened', timeoutDuration: 3, timeoutUnit: 'days' }
+      step.branches = [createBranch('met', 'Event happened'), createBranch('timeout', 'Timed out')]
+      break
+    case 'webhook':
+      step.config = { method: 'POST', url: '', headers: [], body: DEFAULT_WEBHOOK_BODY }
+      break
+  }
+
+  return step
+}
+
+/**
+ * Make sure loaded steps have ids and that branching steps have their branches.
+ * Older automations were saved as a flat list without ids.
+ */
+export function normalizeSteps(steps = []) {
+  return (steps || []).map(step => {
+    const normalized = {
+      ...step,
+      id: step.id || createId(),
+      config: step.config || {},
+    }
+    if (isBranchingStep(step)) {
+      const defaults = createStep(step.step_type).branches
+      const branches = step.branches?.length ? step.branches : defaults
+      normalized.branches = branches.map((branch, i) => ({
+        ...defaults[Math.min(i, defaults.length - 1)],
+        ...branch,
+        id: branch.id || createId('branch'),
+        steps: normalizeSteps(branch.steps),
+      }))
+    } else {
+      delete normalized.branches
+    }
+    return normalized
+  })
+}
+
+/**
+ * Strip editor-only data for saving
+ */
+export function serializeSteps(steps = []) {
+  return steps.map(step => {
+    const serialized = { id: step.id, step_type: step.step_type, config: step.config }
+    if (step.branches) {
+      serialized.branches = step.branches.map(branch => ({
+        id: branch.id,
+        key: branch.key,
+        label: branch.label,
+        ...(branch.percentage != null && { percentage: branch.percentage }),
+        steps: serializeSteps(branch.steps),
+      }))
+    }
+    return serialized
+  })
+}
+
+// ============================================
+// Tree operations
+// All return a new tree; `parentId` is a branch id, or null for the top level
+// ============================================
+
+function mapStepLists(steps, parentId, fn, currentParent = null) {
+  const own = currentParent === parentId ? fn(steps) : steps
+  return own.map(step => step.branches
+    ? {
+        ...step,
+        branches: step.branches.map(branch => ({
+          ...branch,
+          steps: mapStepLists(branch.steps, parentId, fn, branch.id),
+        })),
+      }
+    : step
+  )
+}
+
+/**
+ * A branching step must be the last in its list, so inserting one mid-list
+ * moves the steps that followed it into its first branch.
+ */
+export function insertStep(steps, parentId, index, newStep) {
+  return mapStepLists(steps, parentId, list => {
+    const at = index ?? list.length
+    if (!isBranchingStep(newStep) || at >= list.length) {
+      const next = [...list]
+      next.splice(at, 0, newStep)
+      return next
+    }
+    const [first, ...rest] = newStep.branches
+    return [
+      ...list.slice(0, at),
+      { ...newStep, branches: [{ ...first, steps: [...first.steps, ...list.slice(at)] }, ...rest] },
+    ]
+  })
+}
+
+export function updateStep(steps, stepId, updater) {
+  return steps.map(step => {
+    if (step.id === stepId) return updater(step)
+    if (!step.branches) return step
+    return {
+      ...step,
+      branches: step.branches.map(branch => ({ ...branch, steps: updateStep(branch.steps, stepId, updater) })),
+    }
+  })
+}
+
+export function removeStep(steps, stepId) {
+  return steps
+    .filter(step => step.id !== stepId)
+    .map(step => step.branches
+      ? { ...step, branches: step.branches.map(branch => ({ ...branch, steps: removeStep(branch.steps, stepId) })) }
+      : step
+    )
+}
+
+export function moveStep(steps, stepId, delta) {
+  const location = findStep(steps, stepId)
+  if (!location) return steps
+  return mapStepLists(steps, location.parentId, list => {
+    const from = list.findIndex(s => s.id === stepId)
+    const to = from + delta
+    if (to < 0 || to >= list.length) return list
+    const next = [...list]
+    const [moved] = next.splice(from, 1)
+    next.splice(to, 0, moved)
+    // Nothing may follow a branching step
+    if (next.slice(0, -1).some(isBranchingStep)) return list
+    return next
+  })
+}
+
+/**
+ * Locate a step: { step, parentId, index, siblings }
+ */
+export function findStep(steps, stepId, parentId = null) {
+  for (let index = 0; index < steps.length; index++) {
+    const step = steps[index]
+    if (step.id === stepId) return { step, parentId, index, siblings: steps }
+    for (const branch of step.branches || []) {
+      const found = findStep(branch.steps, stepId, branch.id)
+      if (found) return found
+    }
+  }
+  return null
+}
+
+/**
+ * The steps in a branch (or the top level when parentId is null), or null if not found
+ */
+export function getStepList(steps, parentId) {
+  if (parentId == null) return steps
+  for (const step of steps) {
+    for (const branch of step.branches || []) {
+      if (branch.id === parentId) return branch.steps
+      const found = getStepList(branch.steps, parentId)
+      if (found) return found
+    }
+  }
+  return null
+}
+
+export function countSteps(steps = []) {
+  return steps.reduce((total, step) =>
+    total + 1 + (step.branches || []).reduce((sum, branch) => sum + countSteps(branch.steps), 0), 0)
+}
+
+/**
+ * Every step in the tree, depth-first
+ */
+export function flattenSteps(steps = []) {
+  return steps.flatMap(step => [step, ...(step.branches || []).flatMap(branch => flattenSteps(branch.steps))])
+}
+
+// ============================================
+// A/B split paths
+// ============================================
+
+// Keys outlive removals (split results are stored per key), so a new path
+// takes the next index rather than reusing a removed path's key
+function nextSplitKey(branches) {
+  const used = branches.map(branch => Number(/^path_(\d+)$/.exec(branch.key)?.[1] ?? -1))
+  return `path_${Math.max(-1, ...used) + 1}`
+}
+
+export function addSplitPath(step) {
+  if (step.branches.length >= MAX_SPLIT_PATHS) return step
+  const percentages = evenSplit(step.branches.length + 1)
+  const branches = [...step.branches, createBranch(nextSplitKey(step.branches), splitLabel(step.branches.length))]
+  return { ...step, branches: branches.map((branch, i) => ({ ...branch, percentage: percentages[i] })) }
+}
+
+export function removeSplitPath(step, branchId) {
+  if (step.branches.length <= 2) return step
+  const remaining = step.branches.filter(branch => branch.id !== branchId)
+  const percentages = evenSplit(remaining.length)
+  return {
+    ...step,
+    branches: remaining.map((branch, i) => ({ ...branch, label: splitLabel(i), percentage: percentages[i] })),
+  }
+}
+
+// ============================================
+// Webhook bodies
+// ============================================
+
+const TOKEN_PATTERN = /\{\{\s*([\w.]+)\s*\}\}/g
+
+/**
+ * Fill {{tokens}} in a webhook body. Values are JSON-escaped so tokens can sit
+ * inside string literals; unknown tokens become empty strings.
+ */
+export function renderWebhookBody(template, values = {}) {
+  return (template || '').replace(TOKEN_PATTERN, (_, name) => {
+    const value = values[name]
+    if (value == null) return ''
+    return JSON.stringify(String(value)).slice(1, -1)
+  })
+}
+
+/**
+ * Check the body is valid JSON once tokens are filled with sample values
+ */
+export function validateWebhookBody(template) {
+  if (!template?.trim()) return null
+  const sample = Object.fromEntries(WEBHOOK_TOKENS.map(({ token }) => [token.slice(2, -2), 'sample']))
+  try {
+    JSON.parse(renderWebhookBody(template, sample))
+    return null
+  } catch (error) {
+    return `Body is not valid JSON: ${error.message}`
+  }
+}
+
+// ============================================
+// Validation
+// ============================================
+
+function isValidUrl(value) {
+  try {
+    const url = new URL(value)
+    return url.protocol === 'https:' || url.protocol === 'http:'
+  } catch {
+    return false
+  }
+}
+
+/**
+ * Problems that would stop a step from running, keyed by step id
+ */
+export function validateSteps(steps = []) {
+  const errors = {}
+
+  for (const step of flattenSteps(steps)) {
+    const config = step.config || {}
+    let error = null
+
+    switch (step.step_type) {
+      case 'condition': {
+        const rules = config.rules || []
+        if (rules.length === 0) {
+          error = 'Add at least one rule'
+        } else if (rules.some(rule => rule.source === 'tag' && !rule.value?.trim())) {
+          error = 'Tag rules need a tag name'
+        } else if (rules.some(rule => rule.source === 'field' && !['is_set', 'is_not_set'].includes(rule.operator) && rule.value === '')) {
+          error = 'Field rules need a value'
+        }
+        break
+      }
+      case 'ab_split': {
+        const total = step.branches.reduce((sum, branch) => sum + (Number(branch.percentage) || 0), 0)
+        if (total !== 100) error = `Split percentages add up to ${total}%, not 100%`
+        break
+      }
+      case 'wait_until':
+        if (!config.event) error = 'Choose an event to wait for'
+        else if (!(Number(config.timeoutDuration) > 0)) error = 'Set a timeout'
+        else if (config.event === 'tag_added' && !config.tagName?.trim()) error = 'Choose a tag to wait for'
+        break
+      case 'webhook':
+        if (!isValidUrl(config.url)) error = 'Enter a valid webhook URL'
+        else error = validateWebhookBody(config.body)
+        break
+    }
+
+    if (error) errors[step.id] = error
+  }
+
+  return errors
+}
+
+/**
+ * One-line summary of a step's config for the canvas
+ */
+export function describeStep(step) {
+  const config = step.config || {}
+
+  switch (step.step_type) {
+    case 'send_email':
+      return config.subject ? `Subject: ${config.subject}` : null
+    case 'wait':
+      return config.duration ? `Wait ${config.duration} ${config.unit || 'days'}` : null
+    case 'add_tag':
+    case 'remove_tag':
+      return config.tagName ? `Tag: ${config.tagName}` : null
+    case 'condition': {
+      const rules = config.rules || []
+      if (rules.length === 0) return null
+      const first = describeRule(rules[0])
+      return rules.length > 1 ? `${first} ${config.match === 'any' ? 'or' : 'and'} ${rules.length - 1} more` : first
+    }
+    case 'ab_split':
+      return step.branches.map(branch => `${branch.percentage}%`).join(' / ')
+    case 'wait_until': {
+      const event = WAIT_EVENTS[config.event]?.label?.toLowerCase()
+      return event ? `Until contact ${event}, up to ${config.timeoutDuration} ${config.timeoutUnit || 'days'}` : null
+    }
+    case 'webhook':
+      return config.url ? `${config.method || 'POST'} ${config.url}` : null
+    default:
+      return null
+  }
+}
+
+export function describeRule(rule) {
+  const operator = CONDITION_OPERATOR_LABELS[rule.operator] || rule.operator
+  switch (rule.source) {
+    case 'field': {
+      const field = rule.field === 'custom' ? rule.customField || 'custom field' : CONTACT_FIELDS.find(f => f.value === rule.field)?.label || rule.field
+      return ['is_set', 'is_not_set'].includes(rule.operator) ? `${field} ${operator}` : `${field} ${operator} "${rule.value}"`
+    }
+    case 'tag':
+      return `${operator} tag "${rule.value}"`
+    case 'email_opened':
+      return `${operator} open ${rule.stepId ? 'email' : 'any email'}${rule.withinDays ? ` in ${rule.withinDays}d` : ''}`
+    case 'email_clicked':
+      return `${operator} click ${rule.stepId ? 'email' : 'any email'}${rule.withinDays ? ` in ${rule.withinDays}d` : ''}`
+    case 'purchased':
+      return `${operator} purchase${rule.withinDays ? ` in ${rule.withinDays}d` : ''}`
+    default:
+      return rule.source
+  }
+}
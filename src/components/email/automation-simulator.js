@@ -0,0 +1,420 @@
+/**
+ * Automation Simulator
+ *
+ * Dry-runs an automation for one contact on a simulated clock. Nothing is
+ * sent: emails are rendered with merge tags filled, webhooks are rendered but
+ * not called, and waits just move the clock forward.
+ *
+ * Contact behaviour (whether they open, click or buy, and how long they take)
+ * is supplied by the caller so each path of the automation can be exercised.
+ */
+
+import {
+  WAIT_EVENTS,
+  describeRule,
+  durationToMs,
+  renderWebhookBody,
+} from './automation-graph'
+import { SYSTEM_MERGE_TAGS } from '@/lib/constants/merge-tags'
+
+const HOUR_MS = 60 * 60 * 1000
+const DAY_MS = 24 * HOUR_MS
+
+export const DEFAULT_BEHAVIOR = {
+  opensEmails: true,
+  openDelayHours: 2,
+  clicksLinks: false,
+  clickDelayHours: 4,
+  purchases: false,
+  purchaseDelayHours: 24,
+  // Tags added and forms submitted from outside the automation
+  otherEvents: false,
+  otherEventDelayHours: 12,
+}
+
+const MERGE_TAG_PATTERN = /\{\{\s*([\w.]+)\s*\}\}/g
+
+// Guard against runaway trees - real automations are nowhere near this
+const MAX_EVENTS = 500
+
+/**
+ * Values available to merge tags for a contact
+ */
+export function getMergeValues(contact = {}, automation = {}) {
+  const firstName = contact.first_name || contact.name?.split(' ')[0] || ''
+  const lastName = contact.last_name || contact.name?.split(' ').slice(1).join(' ') || ''
+
+  return {
+    ...(contact.custom_fields || {}),
+    email: contact.email || '',
+    first_name: firstName,
+    last_name: lastName,
+    full_name: [firstName, lastName].filter(Boolean).join(' '),
+    name: [firstName, lastName].filter(Boolean).join(' '),
+    company: contact.company || '',
+    company_name: contact.company || '',
+    city: contact.city || '',
+    state: contact.state || '',
+    country: contact.country || '',
+    contact_id: contact.id || '',
+    tags: (contact.tags || []).join(', '),
+    automation_id: automation.id || '',
+    automation_name: automation.name || '',
+    current_year: String(new Date().getFullYear()),
+  }
+}
+
+/**
+ * Fill {{merge_tags}}. Empty or unknown tags are reported in `missing`.
+ */
+export function renderMergeTags(text, values) {
+  const missing = new Set()
+  const rendered = (text || '').replace(MERGE_TAG_PATTERN, (match, name) => {
+    if (SYSTEM_MERGE_TAGS.includes(name)) return name === 'current_year' ? values.current_year : match
+    const value = values[name]
+    if (value == null || value === '') {
+      missing.add(name)
+      return ''
+    }
+    return String(value)
+  })
+  return { text: rendered, missing: [...missing] }
+}
+
+/**
+ * Stable 0-99 bucket so a contact always lands on the same A/B path
+ */
+export function splitBucket(contactKey, stepId) {
+  const input = `${contactKey}:${stepId}`
+  let hash = 2166136261
+  for (let i = 0; i < input.length; i++) {
+    hash ^= input.charCodeAt(i)
+    hash = Math.imul(hash, 16777619)
+  }
+  return (hash >>> 0) % 100
+}
+
+// ============================================
+// Condition evaluation
+// ============================================
+
+function getFieldValue(contact, rule) {
+  if (rule.field === 'custom') return contact.custom_fields?.[rule.customField]
+  return contact[rule.field]
+}
+
+function compareField(actual, operator, expected) {
+  const value = actual == null ? '' : String(actual)
+  const target = String(expected ?? '')
+
+  switch (operator) {
+    case 'equals': return value.toLowerCase() === target.toLowerCase()
+    case 'not_equals': return value.toLowerCase() !== target.toLowerCase()
+    case 'contains': return value.toLowerCase().includes(target.toLowerCase())
+    case 'not_contains': return !value.toLowerCase().includes(target.toLowerCase())
+    case 'is_set': return value !== ''
+    case 'is_not_set': return value === ''
+    case 'greater_than': return Number(value) > Number(target)
+    case 'less_than': return Number(value) < Number(target)
+    default: return false
+  }
+}
+
+function happenedWithin(events, now, withinDays, stepId) {
+  return events.some(event =>
+    event.at <= now &&
+    (!stepId || event.stepId === stepId) &&
+    (!withinDays || now - event.at <= withinDays * DAY_MS)
+  )
+}
+
+function evaluateRule(rule, state, now) {
+  const negate = rule.operator === 'did_not' || rule.operator === 'has_not'
+
+  switch (rule.source) {
+    case 'field':
+      return compareField(getFieldValue(state.contact, rule), rule.operator, rule.value)
+    case 'tag': {
+      const has = state.tags.has((rule.value || '').trim().toLowerCase())
+      return negate ? !has : has
+    }
+    case 'email_opened': {
+      const did = happenedWithin(state.opens, now, rule.withinDays, rule.stepId)
+      return negate ? !did : did
+    }
+    case 'email_clicked': {
+      const did = happenedWithin(state.clicks, now, rule.withinDays, rule.stepId)
+      return negate ? !did : did
+    }
+    case 'purchased': {
+      const did = happenedWithin(state.purchases, now, rule.withinDays)
+      return negate ? !did : did
+    }
+    default:
+      return false
+  }
+}
+
+function evaluateCondition(config, state, now) {
+  const rules = config.rules || []
+  const results = rules.map(rule => ({ rule, passed: evaluateRule(rule, state, now) }))
+  const passed = config.match === 'any'
+    ? results.some(r => r.passed)
+    : results.length > 0 && results.every(r => r.passed)
+  return { passed, results }
+}
+
+/**
+ * Earliest time at or after `now` that the awaited event happens, or null
+ */
+function findWaitEvent(config, state, now) {
+  let candidates = []
+
+  switch (config.event) {
+    case 'email_opened':
+      candidates = state.opens.filter(e => !config.stepId || e.stepId === config.stepId)
+      break
+    case 'email_clicked':
+      candidates = state.clicks.filter(e => !config.stepId || e.stepId === config.stepId)
+      break
+    case 'purchased':
+      candidates = state.purchases
+      break
+    case 'tag_added':
+    case 'form_submitted':
+      if (state.behavior.otherEvents) {
+        candidates = [{ at: state.startedAt + state.behavior.otherEventDelayHours * HOUR_MS }]
+      }
+      break
+  }
+
+  const times = candidates.map(e => Math.max(e.at, now)).sort((a, b) => a - b)
+  return times.length ? times[0] : null
+}
+
+// ============================================
+// Simulation
+// ============================================
+
+/**
+ * Run an automation for one contact.
+ *
+ * @param {Object} options
+ * @param {Object} options.automation - { id, name, steps }
+ * @param {Object} options.contact - subscriber record
+ * @param {Object} [options.behavior] - see DEFAULT_BEHAVIOR
+ * @param {Array}  [options.templates] - email templates, for rendering send_email steps
+ * @param {Date|number} [options.startAt] - when the contact enters the automation
+ * @returns {{ events: Array, path: Array, finishedAt: number, warnings: string[] }}
+ */
+export function simulateAutomation({ automation, contact, behavior = {}, templates = [], startAt = Date.now() }) {
+  const startedAt = new Date(startAt).getTime()
+  const state = {
+    contact,
+    behavior: { ...DEFAULT_BEHAVIOR, ...behavior },
+    startedAt,
+    tags: new Set((contact.tags || []).map(t => String(t).toLowerCase())),
+    opens: [],
+    clicks: [],
+    purchases: [],
+  }
+  if (state.behavior.purchases) {
+    state.purchases.push({ at: startedAt + state.behavior.purchaseDelayHours * HOUR_MS })
+  }
+
+  const contactKey = contact.id || contact.email || 'sample'
+  const events = []
+  const path = []
+  const warnings = new Set()
+  let now = startedAt
+
+  const push = (event) => {
+    events.push({ at: now, ...event })
+  }
+
+  const runSteps = (steps) => {
+    for (const step of steps) {
+      if (events.length >= MAX_EVENTS) {
+        warnings.add('Simulation stopped after too many steps')
+        return
+      }
+
+      const config = step.config || {}
+      path.push({ stepId: step.id })
+
+      switch (step.step_type) {
+        case 'send_email': {
+          const template = templates.find(t => t.id === config.template_id)
+          const values = { ...getMergeValues(state.contact, automation), triggered_at: new Date(startedAt).toISOString() }
+          const subject = renderMergeTags(config.subject || template?.subject || '', values)
+          const html = renderMergeTags(template?.html_content || template?.html || '', values)
+          const missing = [...new Set([...subject.missing, ...html.missing])]
+
+          if (!config.template_id) warnings.add('An email step has no template selected')
+          if (!subject.text.trim()) warnings.add('An email step has no subject')
+
+          push({
+            stepId: step.id,
+            kind: 'email',
+            title: subject.text || '(no subject)',
+            detail: template ? `Template: ${template.name}` : 'No template selected',
+            email: {
+              subject: subject.text,
+              html: html.text,
+              fromName: config.from_name || '',
+              missing,
+            },
+          })
+
+          if (state.behavior.opensEmails || state.behavior.clicksLinks) {
+            const openAt = now + state.behavior.openDelayHours * HOUR_MS
+            const clickAt = now + Math.max(state.behavior.clickDelayHours, state.behavior.openDelayHours) * HOUR_MS
+            // A click implies an open
+            state.opens.push({ stepId: step.id, at: state.behavior.clicksLinks && !state.behavior.opensEmails ? clickAt : openAt })
+            if (state.behavior.clicksLinks) state.clicks.push({ stepId: step.id, at: clickAt })
+          }
+          break
+        }
+
+        case 'wait': {
+          const ms = durationToMs(config.duration, config.unit)
+          push({ stepId: step.id, kind: 'wait', title: `Wait ${config.duration || 0} ${config.unit || 'days'}` })
+          if (!ms) warnings.add('A wait step has no duration')
+          now += ms
+          break
+        }
+
+        case 'add_tag':
+        case 'remove_tag': {
+          const tag = (config.tagName || '').trim()
+          if (step.step_type === 'add_tag') state.tags.add(tag.toLowerCase())
+          else state.tags.delete(tag.toLowerCase())
+          push({
+            stepId: step.id,
+            kind: 'tag',
+            title: `${step.step_type === 'add_tag' ? 'Add' : 'Remove'} tag "${tag}"`,
+          })
+          break
+        }
+
+        case 'add_to_list':
+        case 'remove_from_list':
+          push({
+            stepId: step.id,
+            kind: 'list',
+            title: step.step_type === 'add_to_list' ? 'Add to list' : 'Remove from list',
+            detail: config.list_id || 'No list selected',
+          })
+          break
+
+        case 'webhook': {
+          const values = {
+            ...getMergeValues(state.contact, automation),
+            step_id: step.id,
+            triggered_at: new Date(startedAt).toISOString(),
+          }
+          push({
+            stepId: step.id,
+            kind: 'webhook',
+            title: `${config.method || 'POST'} ${config.url || '(no URL)'}`,
+            webhook: { body: renderWebhookBody(config.body, values) },
+          })
+          break
+        }
+
+        case 'condition': {
+          const { passed, results } = evaluateCondition(config, state, now)
+          const branch = step.branches[passed ? 0 : 1]
+          push({
+            stepId: step.id,
+            kind: 'branch',
+            title: `If / Else → ${branch.label}`,
+            detail: results.map(r => `${r.passed ? '✓' : '✗'} ${describeRule(r.rule)}`).join(' · '),
+            branchLabel: branch.label,
+          })
+          path[path.length - 1].branchId = branch.id
+          runSteps(branch.steps)
+          return
+        }
+
+        case 'ab_split': {
+          const bucket = splitBucket(contactKey, step.id)
+          let cumulative = 0
+          const branch = step.branches.find(b => {
+            cumulative += Number(b.percentage) || 0
+            return bucket < cumulative
+          }) || step.branches[step.branches.length - 1]
+          push({
+            stepId: step.id,
+            kind: 'branch',
+            title: `A/B Split → ${branch.label}`,
+            detail: `${branch.percentage}% of contacts take this path`,
+            branchLabel: branch.label,
+          })
+          path[path.length - 1].branchId = branch.id
+          runSteps(branch.steps)
+          return
+        }
+
+        case 'wait_until': {
+          const timeoutMs = durationToMs(config.timeoutDuration, config.timeoutUnit)
+          const eventAt = findWaitEvent(config, state, now)
+          const met = eventAt != null && eventAt <= now + timeoutMs
+          const branch = step.branches[met ? 0 : 1]
+          const eventLabel = WAIT_EVENTS[config.event]?.label?.toLowerCase() || 'event'
+
+          push({
+            stepId: step.id,
+            kind: 'branch',
+            title: `Wait until contact ${eventLabel} → ${branch.label}`,
+            detail: met
+              ? `Event after ${formatElapsed(eventAt - now)}`
+              : `Gave up after ${config.timeoutDuration} ${config.timeoutUnit || 'days'}`,
+            branchLabel: branch.label,
+          })
+          now = met ? eventAt : now + timeoutMs
+          path[path.length - 1].branchId = branch.id
+          runSteps(branch.steps)
+          return
+        }
+
+        default:
+          push({ stepId: step.id, kind: 'unknown', title: step.step_type })
+      }
+    }
+  }
+
+  runSteps(automation.steps || [])
+  events.push({ at: now, kind: 'end', title: 'Exits automation' })
+
+  return { events, path, finishedAt: now, warnings: [...warnings] }
+}
+
+/**
+ * "+2d 3h" style offset for timelines
+ */
+export function formatElapsed(ms) {
+  if (ms <= 0) return 'immediately'
+  const days = Math.floor(ms / DAY_MS)
+  const hours = Math.floor((ms % DAY_MS) / HOUR_MS)
+  const minutes = Math.round((ms % HOUR_MS) / 60000)
+  const parts = []
+  if (days) parts.push(`${days}d`)
+  if (hours) parts.push(`${hours}h`)
+  if (minutes && !days) parts.push(`${minutes}m`)
+  return parts.join(' ') || '<1m'
+}
+
+/**
+ * Group simulated runs by the branch choices they made
+ */
+export function summarizePaths(runs) {
+  const groups = new Map()
+  for (const run of runs) {
+    const labels = run.result.events.filter(e => e.kind === 'branch').map(e => e.branchLabel)
+    const key = labels.join(' → ') || 'Main path'
+    if (!groups.has(key)) groups.set(key, { key, contacts: [] })
+    groups.get(key).contacts.push(run.contact)
+  }
+  return [...groups.values()].sort((a, b) => b.contacts.length - a.contacts.length)
+}
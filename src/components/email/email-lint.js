@@ -0,0 +1,587 @@
+/**
+ * Email Lint
+ *
+ * Checks compiled email HTML before it is sent: CSS that popular clients
+ * drop or mangle (against the bundled support matrix below), images without
+ * alt text, low-contrast text, HTML large enough for Gmail to clip, and
+ * {{variables}} that nothing will fill.
+ *
+ * Also renders a simulated dark-mode version, approximating the partial
+ * color inversion Outlook.com and the Gmail apps apply.
+ */
+
+import { SYSTEM_MERGE_TAGS } from '@/lib/constants/merge-tags'
+
+export const EMAIL_CLIENTS = [
+  { id: 'outlook-desktop', label: 'Outlook (Windows)' },
+  { id: 'outlook-com', label: 'Outlook.com' },
+  { id: 'gmail-web', label: 'Gmail (web)' },
+  { id: 'gmail-app', label: 'Gmail (mobile apps)' },
+  { id: 'apple-mail', label: 'Apple Mail / iOS' },
+  { id: 'yahoo', label: 'Yahoo Mail' },
+]
+
+/**
+ * Where each CSS feature breaks. Clients not listed support it.
+ * `partial` means it works in some versions or only on some elements.
+ */
+export const CSS_SUPPORT = [
+  {
+    id: 'display-flex',
+    label: 'display: flex',
+    match: (property, value) => property === 'display' && /\b(inline-)?flex\b/.test(value),
+    clients: { 'outlook-desktop': 'none', 'gmail-app': 'partial', 'yahoo': 'partial' },
+    hint: 'Use a table with one cell per column instead.',
+  },
+  {
+    id: 'display-grid',
+    label: 'display: grid',
+    match: (property, value) => property === 'display' && /\b(inline-)?grid\b/.test(value),
+    clients: { 'outlook-desktop': 'none', 'outlook-com': 'none', 'gmail-web': 'partial', 'gmail-app': 'none', 'yahoo': 'none' },
+    hint: 'Use a table with one cell per column instead.',
+  },
+  {
+    id: 'flex-properties',
+    label: 'flex / gap',
+    match: property => /^(flex(-\w+)?|gap|row-gap|column-gap|justify-content|align-items|align-self)$/.test(property),
+    clients: { 'outlook-desktop': 'none', 'gmail-app': 'partial', 'yahoo': 'partial' },
+    hint: 'Space columns with cell padding instead.',
+  },
+  {
+    id: 'opacity',
+    label: 'opacity',
+    match: property => property === 'opacity',
+    clients: { 'outlook-desktop': 'none', 'gmail-app': 'partial' },
+    hint: 'Pick a lighter solid color instead of fading the element.',
+  },
+  {
+    id: 'border-radius',
+    label: 'border-radius',
+    match: property => /^border(-(top|bottom)-(left|right))?-radius$/.test(property),
+    clients: { 'outlook-desktop': 'none' },
+    hint: 'Outlook shows square corners - fine for most designs, but avoid relying on it for circles.',
+  },
+  {
+    id: 'background-image',
+    label: 'background-image',
+    match: (property, value) => (property === 'background-image' || property === 'background') && /url\(/.test(value),
+    clients: { 'outlook-desktop': 'none', 'gmail-app': 'partial' },
+    hint: 'Set a background-color fallback so text stays readable without the image.',
+  },
+  {
+    id: 'gradient',
+    label: 'linear-gradient()',
+    match: (property, value) => /^background(-image)?$/.test(property) && /gradient\(/.test(value),
+    clients: { 'outlook-desktop': 'none', 'outlook-com': 'partial', 'gmail-app': 'partial' },
+    hint: 'Set a background-color fallback before the gradient.',
+  },
+  {
+    id: 'box-shadow',
+    label: 'box-shadow',
+    match: property => property === 'box-shadow',
+    clients: { 'outlook-desktop': 'none', 'outlook-com': 'partial', 'gmail-web': 'partial', 'gmail-app': 'none', 'yahoo': 'partial' },
+  },
+  {
+    id: 'position',
+    label: 'position',
+    match: (property, value) => property === 'position' && value !== 'static',
+    clients: { 'outlook-desktop': 'none', 'outlook-com': 'none', 'gmail-web': 'none', 'gmail-app': 'none', 'yahoo': 'none' },
+    hint: 'Clients strip positioning - overlapping layouts fall apart.',
+  },
+  {
+    id: 'max-width',
+    label: 'max-width',
+    match: property => property === 'max-width',
+    clients: { 'outlook-desktop': 'partial' },
+    hint: 'Outlook ignores max-width on divs - also set a width on a wrapping table.',
+  },
+  {
+    id: 'float',
+    label: 'float',
+    match: (property, value) => property === 'float' && value !== 'none',
+    clients: { 'outlook-desktop': 'partial' },
+    hint: 'Use the align attribute on tables and images instead.',
+  },
+  {
+    id: 'css-variables',
+    label: 'CSS variables',
+    match: (property, value) => property.startsWith('--') || /var\(/.test(value),
+    clients: { 'outlook-desktop': 'none', 'outlook-com': 'none', 'gmail-web': 'none', 'gmail-app': 'none', 'yahoo': 'none' },
+    hint: 'Write the color or size out in full.',
+  },
+  {
+    id: 'transform',
+    label: 'transform / animation',
+    match: property => /^(transform|animation(-\w+)?|transition(-\w+)?)$/.test(property),
+    clients: { 'outlook-desktop': 'none', 'outlook-com': 'none', 'gmail-web': 'none', 'gmail-app': 'none', 'yahoo': 'none' },
+  },
+]
+
+/**
+ * Features of <style> blocks themselves, checked against the raw stylesheet
+ */
+const STYLESHEET_SUPPORT = [
+  {
+    id: 'media-queries',
+    label: '@media queries',
+    match: css => /@media\b/.test(css),
+    clients: { 'outlook-desktop': 'none', 'gmail-app': 'partial' },
+    hint: 'Make the layout work at 600px without them - Gmail drops them for non-Gmail accounts.',
+  },
+  {
+    id: 'web-fonts',
+    label: '@font-face / @import',
+    match: css => /@(font-face|import)\b/.test(css),
+    clients: { 'outlook-desktop': 'none', 'outlook-com': 'none', 'gmail-web': 'none', 'gmail-app': 'none', 'yahoo': 'none' },
+    hint: 'Add a web-safe fallback (Arial, Helvetica, Georgia) to the font-family.',
+  },
+]
+
+// Gmail clips messages past 102KB behind a "View entire message" link
+export const GMAIL_CLIP_BYTES = 102 * 1024
+const SIZE_WARNING_BYTES = 90 * 1024
+
+const MERGE_TAG_PATTERN = /\{\{\s*([^{}]*?)\s*\}\}/g
+
+const NAMED_COLORS = {
+  white: '#ffffff',
+  black: '#000000',
+  red: '#ff0000',
+  green: '#008000',
+  blue: '#0000ff',
+  gray: '#808080',
+  grey: '#808080',
+  silver: '#c0c0c0',
+  yellow: '#ffff00',
+  orange: '#ffa500',
+  navy: '#000080',
+}
+
+// ============================================
+// Colors
+// ============================================
+
+/**
+ * Parse a CSS color into [r, g, b]. Returns null for anything else
+ * (transparent, currentColor, gradients).
+ */
+export function parseColor(value) {
+  if (!value) return null
+  const color = value.trim().toLowerCase()
+  const hex = NAMED_COLORS[color] || color
+
+  let match = hex.match(/^#([0-9a-f]{3})$/)
+  if (match) return match[1].split('').map(c => parseInt(c + c, 16))
+
+  match = hex.match(/^#([0-9a-f]{6})([0-9a-f]{2})?$/)
+  if (match) return [0, 2, 4].map(i => parseInt(match[1].slice(i, i + 2), 16))
+
+  match = color.match(/^rgba?\(\s*(\d+)[\s,]+(\d+)[\s,]+(\d+)\s*(?:[,/]\s*([\d.]+%?))?\s*\)$/)
+  if (match) {
+    if (match[4] !== undefined && parseFloat(match[4]) === 0) return null
+    return [match[1], match[2], match[3]].map(n => Math.min(255, parseInt(n, 10)))
+  }
+
+  return null
+}
+
+function toHex(rgb) {
+  return `#${rgb.map(n => Math.round(n).toString(16).padStart(2, '0')).join('')}`
+}
+
+function relativeLuminance([r, g, b]) {
+  const [lr, lg, lb] = [r, g, b].map(channel => {
+    const c = channel / 255
+    return c <= 0.03928 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4
+  })
+  return 0.2126 * lr + 0.7152 * lg + 0.0722 * lb
+}
+
+/**
+ * WCAG contrast ratio between two colors, 1 to 21
+ */
+export function contrastRatio(foreground, background) {
+  const l1 = relativeLuminance(foreground)
+  const l2 = relativeLuminance(background)
+  return (Math.max(l1, l2) + 0.05) / (Math.min(l1, l2) + 0.05)
+}
+
+// ============================================
+// Parsing
+// ============================================
+
+/**
+ * Split a style attribute on the semicolons that end declarations - not the
+ * ones inside url(data:image/png;base64,...) or a quoted font name
+ */
+function splitDeclarations(styleText) {
+  const declarations = []
+  let depth = 0
+  let quote = null
+  let start = 0
+
+  for (let i = 0; i < styleText.length; i++) {
+    const char = styleText[i]
+    if (quote) {
+      if (char === '\\') i++
+      else if (char === quote) quote = null
+    } else if (char === '"' || char === "'") {
+      quote = char
+    } else if (char === '(') {
+      depth++
+    } else if (char === ')') {
+      depth = Math.max(0, depth - 1)
+    } else if (char === ';' && depth === 0) {
+      declarations.push(styleText.slice(start, i))
+      start = i + 1
+    }
+  }
+  declarations.push(styleText.slice(start))
+  return declarations
+}
+
+/**
+ * `value` is normalized for matching; `raw` keeps the original case (URLs)
+ * and any !important for rewriting
+ */
+function parseDeclarations(styleText) {
+  return splitDeclarations(styleText || '')
+    .map(declaration => {
+      const index = declaration.indexOf(':')
+      if (index === -1) return null
+      const raw = declaration.slice(index + 1).trim()
+      return {
+        property: declaration.slice(0, index).trim().toLowerCase(),
+        value: raw.replace(/!important/i, '').trim().toLowerCase(),
+        raw,
+      }
+    })
+    .filter(declaration => declaration?.property && declaration.value)
+}
+
+function parseHtml(html) {
+  return new DOMParser().parseFromString(html || '', 'text/html')
+}
+
+function describeElement(element) {
+  const id = element.id ? `#${element.id}` : ''
+  const className = element.classList?.[0] ? `.${element.classList[0]}` : ''
+  return `<${element.tagName.toLowerCase()}${id}${className}>`
+}
+
+function getInlineStyle(element, property) {
+  const declaration = parseDeclarations(element.getAttribute('style'))
+    .reverse()
+    .find(d => d.property === property)
+  return declaration?.value
+}
+
+/**
+ * Nearest solid background behind an element, from inline styles and
+ * bgcolor attributes. Defaults to white like every client's reading pane.
+ */
+function resolveBackground(element) {
+  for (let node = element; node && node.nodeType === 1; node = node.parentElement) {
+    const background = getInlineStyle(node, 'background-color') || getInlineStyle(node, 'background')
+    const color = parseColor(background) || parseColor(node.getAttribute('bgcolor'))
+    if (color) return color
+    // Can't judge text over an image
+    if (background && /url\(|gradient\(/.test(background)) return null
+  }
+  return [255, 255, 255]
+}
+
+function hasOwnText(element) {
+  return Array.from(element.childNodes).some(node => node.nodeType === 3 && node.textContent.trim())
+}
+
+function isLargeText(element) {
+  const size = parseFloat(getInlineStyle(element, 'font-size') || '')
+  const weight = getInlineStyle(element, 'font-weight') || ''
+  const bold = weight === 'bold' || parseInt(weight, 10) >= 700 || /^(h[1-6]|strong|b)$/i.test(element.tagName)
+  if (/^h[1-3]$/i.test(element.tagName) && !size) return true
+  return size >= 24 || (bold && size >= 18.66)
+}
+
+// ============================================
+// Checks
+// ============================================
+
+function checkCompatibility(doc) {
+  const usages = new Map()
+  const addUsage = (feature, where) => {
+    const usage = usages.get(feature.id) || { feature, count: 0, samples: [] }
+    usage.count++
+    if (usage.samples.length < 3 && !usage.samples.includes(where)) usage.samples.push(where)
+    usages.set(feature.id, usage)
+  }
+
+  for (const element of doc.querySelectorAll('[style]')) {
+    for (const { property, value } of parseDeclarations(element.getAttribute('style'))) {
+      const feature = CSS_SUPPORT.find(f => f.match(property, value))
+      if (feature) addUsage(feature, describeElement(element))
+    }
+  }
+
+  for (const style of doc.querySelectorAll('style')) {
+    const css = style.textContent || ''
+
+    for (const feature of STYLESHEET_SUPPORT) {
+      if (feature.match(css)) addUsage(feature, '<style>')
+    }
+
+    // selector { declarations }
+    for (const [, selector, body] of css.matchAll(/([^{}@]+)\{([^{}]*)\}/g)) {
+      for (const { property, value } of parseDeclarations(body)) {
+        const feature = CSS_SUPPORT.find(f => f.match(property, value))
+        if (feature) addUsage(feature, selector.trim())
+      }
+    }
+  }
+
+  return Array.from(usages.values()).map(({ feature, count, samples }) => {
+    const clients = Object.entries(feature.clients).map(([client, support]) => ({ client, support }))
+    const unsupported = clients.filter(c => c.support === 'none').length
+    const partial = clients.length - unsupported
+    const support = [
+      unsupported && `not supported in ${unsupported} client${unsupported === 1 ? '' : 's'}`,
+      partial && `partly supported in ${partial}${unsupported ? '' : ` client${partial === 1 ? '' : 's'}`}`,
+    ].filter(Boolean).join(', ')
+
+    return {
+      id: `css-${feature.id}`,
+      category: 'compatibility',
+      severity: unsupported ? 'warning' : 'info',
+      title: `${feature.label} - ${support}`,
+      detail: feature.hint,
+      clients,
+      count,
+      samples,
+    }
+  })
+}
+
+function checkAltText(doc) {
+  const images = Array.from(doc.querySelectorAll('img')).filter(img => !img.hasAttribute('alt'))
+  if (images.length === 0) return []
+
+  return [{
+    id: 'img-alt',
+    category: 'accessibility',
+    severity: 'error',
+    title: `${images.length} image${images.length === 1 ? ' has' : 's have'} no alt text`,
+    detail: 'Many clients block images by default and show the alt text instead. Use alt="" for purely decorative images.',
+    count: images.length,
+    samples: images.slice(0, 3).map(img => img.getAttribute('src') || describeElement(img)),
+  }]
+}
+
+function checkContrast(doc) {
+  const failures = []
+
+  for (const element of doc.body?.querySelectorAll('*') || []) {
+    if (!hasOwnText(element)) continue
+    const color = parseColor(getInlineStyle(element, 'color') || element.getAttribute('color'))
+    if (!color) continue
+    const background = resolveBackground(element)
+    if (!background) continue
+
+    const ratio = contrastRatio(color, background)
+    const required = isLargeText(element) ? 3 : 4.5
+    if (ratio < required) {
+      failures.push({
+        text: element.textContent.trim().slice(0, 40),
+        ratio,
+        required,
+        colors: `${toHex(color)} on ${toHex(background)}`,
+      })
+    }
+  }
+
+  if (failures.length === 0) return []
+
+  return [{
+    id: 'contrast',
+    category: 'accessibility',
+    severity: 'warning',
+    title: `${failures.length} text element${failures.length === 1 ? ' has' : 's have'} low contrast`,
+    detail: 'WCAG AA asks for 4.5:1 for body text and 3:1 for large text.',
+    count: failures.length,
+    samples: failures.slice(0, 3).map(f => `"${f.text}" - ${f.colors} (${f.ratio.toFixed(2)}:1, needs ${f.required}:1)`),
+  }]
+}
+
+function checkSize(html) {
+  const bytes = new TextEncoder().encode(html || '').length
+  if (bytes < SIZE_WARNING_BYTES) return []
+
+  const kb = (bytes / 1024).toFixed(1)
+  const clipped = bytes >= GMAIL_CLIP_BYTES
+
+  return [{
+    id: 'gmail-clipping',
+    category: 'content',
+    severity: clipped ? 'error' : 'warning',
+    title: clipped ? `HTML is ${kb}KB - Gmail will clip it` : `HTML is ${kb}KB - close to Gmail's 102KB clipping limit`,
+    detail: 'Gmail hides everything past 102KB, including the unsubscribe link. Sending adds tracking links, so leave some headroom.',
+    count: 1,
+    samples: [],
+  }]
+}
+
+function normalizeVariableName(name) {
+  return name.replace(/[{}\s]/g, '').toLowerCase()
+}
+
+function checkVariables(html, subject, variables) {
+  const known = new Set([
+    ...variables.map(v => normalizeVariableName(v.name)),
+    ...SYSTEM_MERGE_TAGS,
+  ])
+  const unresolved = new Map()
+
+  for (const source of [subject, html]) {
+    for (const [match, name] of (source || '').matchAll(MERGE_TAG_PATTERN)) {
+      const normalized = normalizeVariableName(name)
+      if (/^[\w.]+$/.test(name) && known.has(normalized)) continue
+      unresolved.set(match, (unresolved.get(match) || 0) + 1)
+    }
+  }
+
+  if (unresolved.size === 0) return []
+
+  return [{
+    id: 'unresolved-variables',
+    category: 'content',
+    severity: 'error',
+    title: `${unresolved.size} variable${unresolved.size === 1 ? '' : 's'} won't be filled in`,
+    detail: variables.length > 0
+      ? 'These aren\'t in this email\'s variable list, so recipients will see the raw {{tag}}.'
+      : 'This email has no variables, so recipients will see the raw {{tag}}.',
+    count: Array.from(unresolved.values()).reduce((sum, n) => sum + n, 0),
+    samples: Array.from(unresolved.keys()).slice(0, 5),
+  }]
+}
+
+const SEVERITY_ORDER = { error: 0, warning: 1, info: 2 }
+
+/**
+ * Run every check against compiled email HTML
+ *
+ * @param {Object} input
+ * @param {string} input.html - Compiled HTML, including any <style> blocks
+ * @param {string} [input.subject] - Subject line, checked for variables
+ * @param {Array<{name: string}>} [input.variables] - Variables the sender fills in
+ * @returns {{ issues: Array, counts: { error: number, warning: number, info: number }, bytes: number }}
+ */
+export function lintEmail({ html, subject = '', variables = [] }) {
+  const doc = parseHtml(html)
+  const issues = [
+    ...checkVariables(html, subject, variables),
+    ...checkSize(html),
+    ...checkAltText(doc),
+    ...checkContrast(doc),
+    ...checkCompatibility(doc),
+  ].sort((a, b) => SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity])
+
+  const counts = { error: 0, warning: 0, info: 0 }
+  for (const issue of issues) counts[issue.severity]++
+
+  return { issues, counts, bytes: new TextEncoder().encode(html || '').length }
+}
+
+/**
+ * Issues that affect one client
+ */
+export function issuesForClient(issues, clientId) {
+  return issues.filter(issue => !issue.clients || issue.clients.some(c => c.client === clientId))
+}
+
+// ============================================
+// Dark Mode
+// ============================================
+
+const DARK_BACKGROUND = [18, 18, 18]
+
+function toHsl([r, g, b]) {
+  const [rn, gn, bn] = [r / 255, g / 255, b / 255]
+  const max = Math.max(rn, gn, bn)
+  const min = Math.min(rn, gn, bn)
+  const l = (max + min) / 2
+  if (max === min) return [0, 0, l]
+
+  const d = max - min
+  const s = l > 0.5 ? d / (2 - max - min) : d / (max + min)
+  const h = max === rn ? (gn - bn) / d + (gn < bn ? 6 : 0) : max === gn ? (bn - rn) / d + 2 : (rn - gn) / d + 4
+  return [h / 6, s, l]
+}
+
+function fromHsl([h, s, l]) {
+  if (s === 0) return [l * 255, l * 255, l * 255]
+
+  const q = l < 0.5 ? l * (1 + s) : l + s - l * s
+  const p = 2 * l - q
+  const channel = t => {
+    if (t < 0) t += 1
+    if (t > 1) t -= 1
+    if (t < 1 / 6) return p + (q - p) * 6 * t
+    if (t < 1 / 2) return q
+    if (t < 2 / 3) return p + (q - p) * (2 / 3 - t) * 6
+    return p
+  }
+  return [channel(h + 1 / 3), channel(h), channel(h - 1 / 3)].map(n => n * 255)
+}
+
+/**
+ * Flip a light background dark, or dark text light, keeping the hue.
+ * Colors already on the right side are left alone, like the clients do.
+ */
+function invertColor(value, role) {
+  const rgb = parseColor(value)
+  if (!rgb) return value
+
+  const luminance = relativeLuminance(rgb)
+  if (role === 'background' ? luminance < 0.4 : luminance > 0.2) return value
+
+  const [h, s, l] = toHsl(rgb)
+  const inverted = fromHsl([h, s * 0.8, role === 'background' ? Math.max(0.07, Math.min(0.2, 1 - l)) : Math.max(0.75, 1 - l)])
+  return toHex(inverted)
+}
+
+function invertDeclarations(styleText) {
+  return parseDeclarations(styleText)
+    .map(({ property, value, raw }) => {
+      if (property === 'color' || (property.startsWith('border') && !property.endsWith('radius') && !property.endsWith('width'))) {
+        return `${property}: ${raw.replace(/#[0-9a-f]{3,8}\b|rgba?\([^)]*\)|\b(white|black)\b/gi, c => invertColor(c, 'text'))}`
+      }
+      if (property === 'background-color' || (property === 'background' && !/url\(/.test(value))) {
+        return `${property}: ${raw.replace(/#[0-9a-f]{3,8}\b|rgba?\([^)]*\)|\bwhite\b/gi, c => invertColor(c, 'background'))}`
+      }
+      return `${property}: ${raw}`
+    })
+    .join('; ')
+}
+
+/**
+ * Approximate how the email looks with a client's dark mode on. Light
+ * backgrounds turn dark and dark text turns light; images are untouched, so
+ * logos with transparent dark artwork show up here the way they will there.
+ */
+export function simulateDarkMode(html) {
+  const doc = parseHtml(html)
+
+  for (const element of doc.querySelectorAll('[style]')) {
+    element.setAttribute('style', invertDeclarations(element.getAttribute('style')))
+  }
+  for (const element of doc.querySelectorAll('[bgcolor]')) {
+    element.setAttribute('bgcolor', invertColor(element.getAttribute('bgcolor'), 'background'))
+  }
+  for (const element of doc.querySelectorAll('font[color]')) {
+    element.setAttribute('color', invertColor(element.getAttribute('color'), 'text'))
+  }
+  for (const style of doc.querySelectorAll('style')) {
+    style.textContent = (style.textContent || '').replace(/\{([^{}]*)\}/g, (_, body) => `{${invertDeclarations(body)}}`)
+  }
+
+  return `<div style="background-color: ${toHex(DARK_BACKGROUND)}; color: #e8e8e8;">${doc.head.innerHTML}${doc.body.innerHTML}</div>`
+}
@@ -0,0 +1,1037 @@
+/**
+ * MJML Import/Export
+ *
+ * Converts MJML (what our designers write templates in) to the table-based
+ * HTML the GrapesJS editors work with, and saved templates back to MJML.
+ *
+ * Imported elements carry a data-mj attribute naming the MJML component they
+ * came from, so after editing they export back to the same components with
+ * the edited styles. HTML built in the editor from our own blocks has no
+ * data-mj, and is mapped by shape instead: each top-level table row becomes
+ * a section, its cells columns.
+ *
+ * {{merge_tags}} - including brand colors like {{brand_primary}} in
+ * attributes - are copied through untouched both ways.
+ */
+
+// MJML's own defaults, so imports look the way the MJML renderer draws them
+// and exports leave out attributes that match
+const MJ_DEFAULTS = {
+  'mj-body': { width: '600px' },
+  'mj-wrapper': { padding: '20px 0', 'text-align': 'center' },
+  'mj-section': { padding: '20px 0', 'text-align': 'center' },
+  'mj-hero': { padding: '0', 'background-position': 'center center', 'vertical-align': 'top' },
+  'mj-column': { 'vertical-align': 'top' },
+  'mj-text': {
+    padding: '10px 25px',
+    'font-family': 'Ubuntu, Helvetica, Arial, sans-serif',
+    'font-size': '13px',
+    'line-height': '1',
+    color: '#000000',
+    align: 'left',
+  },
+  'mj-image': { padding: '10px 25px', align: 'center' },
+  'mj-button': {
+    padding: '10px 25px',
+    'inner-padding': '10px 25px',
+    align: 'center',
+    'background-color': '#414141',
+    color: '#ffffff',
+    'border-radius': '3px',
+    'font-family': 'Ubuntu, Helvetica, Arial, sans-serif',
+    'font-size': '13px',
+    'font-weight': 'normal',
+    'text-decoration': 'none',
+  },
+  'mj-divider': { padding: '10px 25px', 'border-color': '#000000', 'border-style': 'solid', 'border-width': '4px' },
+  'mj-spacer': { height: '20px' },
+  'mj-social': { padding: '10px 25px', align: 'center', 'icon-size': '20px' },
+  'mj-social-element': { padding: '4px' },
+  'mj-navbar': { align: 'center' },
+  'mj-navbar-link': {
+    padding: '15px 10px',
+    color: '#000000',
+    'font-family': 'Ubuntu, Helvetica, Arial, sans-serif',
+    'font-size': '13px',
+    'text-decoration': 'none',
+  },
+  'mj-table': { padding: '10px 25px', width: '100%' },
+}
+
+const TEXT_STYLE_ATTRIBUTES = ['font-family', 'font-size', 'font-weight', 'font-style', 'line-height', 'letter-spacing', 'color', 'text-decoration', 'text-transform']
+
+const BORDER_STYLES = ['solid', 'dashed', 'dotted', 'double', 'groove', 'ridge', 'inset', 'outset', 'none']
+
+// ============================================
+// Shared Helpers
+// ============================================
+
+function escapeAttribute(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;')
+}
+
+function escapeText(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+}
+
+function toStyle(declarations) {
+  return Object.entries(declarations)
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([property, value]) => `${property}: ${value}`)
+    .join('; ')
+}
+
+/**
+ * Inline style as a property map, values as written
+ */
+function readStyle(element) {
+  const style = {}
+  for (const declaration of (element?.getAttribute('style') || '').split(';')) {
+    const index = declaration.indexOf(':')
+    if (index === -1) continue
+    const property = declaration.slice(0, index).trim().toLowerCase()
+    const value = declaration.slice(index + 1).trim()
+    if (property && value) style[property] = value
+  }
+  return style
+}
+
+function getAttributes(element) {
+  return Object.fromEntries(Array.from(element.attributes).map(attr => [attr.name, attr.value]))
+}
+
+function urlFromCss(value) {
+  return value?.match(/url\(\s*['"]?([^'")]+)['"]?\s*\)/)?.[1]
+}
+
+function toPixels(value) {
+  if (value === undefined || value === null || value === '') return undefined
+  return /^\d+(\.\d+)?$/.test(String(value)) ? `${value}px` : String(value)
+}
+
+function parseHtml(html) {
+  return new DOMParser().parseFromString(html || '', 'text/html')
+}
+
+// ============================================
+// Import
+// ============================================
+
+/**
+ * MJML is XML-like, but mj-text and mj-raw hold arbitrary HTML, so it's
+ * parsed as HTML. Self-closing mj tags aren't valid HTML, and rows in an
+ * mj-table are dropped outside a <table>, so both are fixed up first.
+ */
+function parseMjml(source) {
+  const html = (source || '')
+    .replace(/<(mj-[\w-]+)((?:[^>"']|"[^"]*"|'[^']*')*?)\/>/g, '<$1$2></$1>')
+    .replace(/<mj-table\b([^>]*)>/g, '<mj-table$1><table>')
+    .replace(/<\/mj-table>/g, '</table></mj-table>')
+
+  const root = parseHtml(html).querySelector('mjml')
+  if (!root) {
+    throw new Error('Not an MJML file - expected an <mjml> root element')
+  }
+  return root
+}
+
+/**
+ * Resolve a component's attributes the way MJML does: defaults, then
+ * <mj-all>, then per-tag <mj-attributes>, then mj-class, then the element
+ */
+function createAttributeResolver(head) {
+  const all = {}
+  const byTag = {}
+  const classes = {}
+
+  for (const element of head?.querySelectorAll('mj-attributes > *') || []) {
+    const tag = element.tagName.toLowerCase()
+    const { name, ...attributes } = getAttributes(element)
+
+    if (tag === 'mj-all') Object.assign(all, attributes, name ? { name } : {})
+    else if (tag === 'mj-class') classes[name] = attributes
+    else byTag[tag] = { ...byTag[tag], ...attributes, ...(name ? { name } : {}) }
+  }
+
+  return (element, inherited = {}) => {
+    const tag = element.tagName.toLowerCase()
+    const own = getAttributes(element)
+    const fromClasses = (own['mj-class'] || '')
+      .split(/\s+/)
+      .filter(Boolean)
+      .reduce((merged, name) => ({ ...merged, ...classes[name] }), {})
+
+    return { ...MJ_DEFAULTS[tag], ...inherited, ...all, ...byTag[tag], ...fromClasses, ...own }
+  }
+}
+
+function renderChildren(element, context) {
+  return Array.from(element.children)
+    .map(child => renderComponent(child, context))
+    .filter(Boolean)
+    .join('\n')
+}
+
+function renderComponent(element, context, inherited) {
+  const tag = element.tagName.toLowerCase()
+  const renderer = RENDERERS[tag]
+
+  if (!renderer) {
+    context.warnings.push(`<${tag}> isn't supported - it was left out`)
+    return ''
+  }
+  return renderer(element, context.attributes(element, inherited), context)
+}
+
+function containerStyle(attrs) {
+  return {
+    padding: attrs.padding,
+    'text-align': attrs.align,
+    'background-color': attrs['container-background-color'],
+  }
+}
+
+function renderSectionTable(type, attrs, inner) {
+  const backgroundUrl = attrs['background-url']
+  const tableStyle = toStyle({
+    'background-color': attrs['background-color'],
+    'background-image': backgroundUrl && `url('${backgroundUrl}')`,
+    'background-size': backgroundUrl && (attrs['background-size'] || 'cover'),
+    'background-position': backgroundUrl && attrs['background-position'],
+    'background-repeat': backgroundUrl && (attrs['background-repeat'] || 'no-repeat'),
+    border: attrs.border,
+    'border-radius': attrs['border-radius'],
+  })
+  const cellStyle = toStyle({
+    padding: attrs.padding,
+    'text-align': attrs['text-align'],
+    height: attrs.mode === 'fixed-height' ? attrs.height : undefined,
+    'vertical-align': type === 'hero' ? attrs['vertical-align'] : undefined,
+  })
+  const fullWidth = attrs['full-width'] ? ` data-mj-full-width="${escapeAttribute(attrs['full-width'])}"` : ''
+
+  return `<table data-mj="${type}"${fullWidth} width="100%" cellpadding="0" cellspacing="0" border="0" role="presentation"${tableStyle ? ` style="${escapeAttribute(tableStyle)}"` : ''}>
+  <tr>
+    <td style="${escapeAttribute(cellStyle)}">
+${inner}
+    </td>
+  </tr>
+</table>`
+}
+
+const RENDERERS = {
+  'mj-wrapper': (element, attrs, context) => renderSectionTable('wrapper', attrs, renderChildren(element, context)),
+
+  'mj-section': (element, attrs, context) => {
+    const columns = Array.from(element.children).flatMap(child =>
+      child.tagName.toLowerCase() === 'mj-group' ? Array.from(child.children) : [child]
+    )
+    // Columns without a width share what the others leave
+    const widths = columns.map(column => column.getAttribute('width')).filter(Boolean)
+    const usedPercent = widths.reduce((sum, width) =>
+      sum + (width.endsWith('%') ? parseFloat(width) : (parseFloat(width) / context.bodyWidth) * 100), 0)
+    const unsized = columns.length - widths.length
+    const autoWidth = `${+(Math.max(0, 100 - usedPercent) / Math.max(1, unsized)).toFixed(2)}%`
+
+    const cells = columns
+      .map(column => {
+        if (column.tagName.toLowerCase() !== 'mj-column') {
+          context.warnings.push(`<${column.tagName.toLowerCase()}> directly in a section was left out - wrap it in <mj-column>`)
+          return ''
+        }
+        return renderComponent(column, { ...context, columnWidth: autoWidth })
+      })
+      .filter(Boolean)
+      .join('\n')
+
+    return renderSectionTable('section', attrs, `      <table width="100%" cellpadding="0" cellspacing="0" border="0" role="presentation">
+        <tr>
+${cells}
+        </tr>
+      </table>`)
+  },
+
+  'mj-hero': (element, attrs, context) => renderSectionTable('hero', attrs, renderChildren(element, context)),
+
+  'mj-column': (element, attrs, context) => {
+    const width = attrs.width || context.columnWidth || '100%'
+    const verticalAlign = attrs['vertical-align']
+    const style = toStyle({
+      width,
+      'vertical-align': verticalAlign,
+      'background-color': attrs['background-color'],
+      padding: attrs.padding,
+      border: attrs.border,
+      'border-radius': attrs['border-radius'],
+    })
+
+    return `<td data-mj="column" width="${escapeAttribute(width.replace(/px$/, ''))}" valign="${escapeAttribute(verticalAlign)}" style="${escapeAttribute(style)}">
+${renderChildren(element, context)}
+</td>`
+  },
+
+  'mj-text': (element, attrs) => {
+    const style = toStyle({
+      ...containerStyle(attrs),
+      ...Object.fromEntries(TEXT_STYLE_ATTRIBUTES.map(property => [property, attrs[property]])),
+      height: attrs.height,
+    })
+    return `<div data-mj="text" style="${escapeAttribute(style)}">${element.innerHTML.trim()}</div>`
+  },
+
+  'mj-image': (element, attrs) => {
+    const align = attrs.align
+    const imageStyle = toStyle({
+      display: 'block',
+      width: toPixels(attrs.width) || '100%',
+      'max-width': '100%',
+      height: toPixels(attrs.height) || 'auto',
+      border: '0',
+      'border-radius': attrs['border-radius'],
+      margin: align === 'center' ? '0 auto' : align === 'right' ? '0 0 0 auto' : undefined,
+    })
+    const widthAttribute = attrs.width ? ` width="${escapeAttribute(String(attrs.width).replace(/px$/, ''))}"` : ''
+    const title = attrs.title ? ` title="${escapeAttribute(attrs.title)}"` : ''
+    const image = `<img src="${escapeAttribute(attrs.src || '')}" alt="${escapeAttribute(attrs.alt || '')}"${title}${widthAttribute} style="${escapeAttribute(imageStyle)}" />`
+    const content = attrs.href
+      ? `<a href="${escapeAttribute(attrs.href)}" target="${escapeAttribute(attrs.target || '_blank')}">${image}</a>`
+      : image
+
+    return `<div data-mj="image" style="${escapeAttribute(toStyle(containerStyle(attrs)))}">${content}</div>`
+  },
+
+  'mj-button': (element, attrs) => {
+    const linkStyle = toStyle({
+      display: 'inline-block',
+      'background-color': attrs['background-color'],
+      padding: attrs['inner-padding'],
+      'border-radius': attrs['border-radius'],
+      border: attrs.border,
+      width: attrs.width,
+      ...Object.fromEntries(TEXT_STYLE_ATTRIBUTES.map(property => [property, attrs[property]])),
+    })
+    const target = attrs.target ? ` target="${escapeAttribute(attrs.target)}"` : ''
+
+    return `<div data-mj="button" style="${escapeAttribute(toStyle(containerStyle(attrs)))}"><a href="${escapeAttribute(attrs.href || '#')}"${target} style="${escapeAttribute(linkStyle)}">${element.innerHTML.trim()}</a></div>`
+  },
+
+  'mj-divider': (element, attrs) => {
+    const lineStyle = toStyle({
+      'border-top': `${attrs['border-width']} ${attrs['border-style']} ${attrs['border-color']}`,
+      width: attrs.width || '100%',
+      margin: attrs.align === 'left' ? '0' : attrs.align === 'right' ? '0 0 0 auto' : '0 auto',
+      'font-size': '1px',
+      'line-height': '1px',
+    })
+    return `<div data-mj="divider" style="${escapeAttribute(toStyle(containerStyle({ ...attrs, align: undefined })))}"><p style="${escapeAttribute(lineStyle)}">&nbsp;</p></div>`
+  },
+
+  'mj-spacer': (element, attrs) => {
+    const style = toStyle({ height: attrs.height, 'line-height': attrs.height, 'font-size': '1px' })
+    return `<div data-mj="spacer" style="${escapeAttribute(style)}">&nbsp;</div>`
+  },
+
+  'mj-social': (element, attrs, context) => {
+    const inherited = {
+      'icon-size': attrs['icon-size'],
+      color: attrs.color,
+      'font-family': attrs['font-family'],
+      'font-size': attrs['font-size'],
+    }
+    const links = Array.from(element.children)
+      .filter(child => child.tagName.toLowerCase() === 'mj-social-element')
+      .map(child => {
+        const link = context.attributes(child, inherited)
+        const name = link.name || ''
+        const label = child.innerHTML.trim()
+        const size = link['icon-size']
+        const linkStyle = toStyle({
+          display: 'inline-block',
+          padding: link.padding,
+          color: link.color,
+          'font-family': link['font-family'],
+          'font-size': link['font-size'],
+          'text-decoration': 'none',
+        })
+        const icon = link.src
+          ? `<img src="${escapeAttribute(link.src)}" alt="${escapeAttribute(link.alt || name)}" width="${escapeAttribute(size.replace(/px$/, ''))}" height="${escapeAttribute(size.replace(/px$/, ''))}" style="${escapeAttribute(toStyle({ display: 'inline-block', border: '0', 'border-radius': link['border-radius'], 'background-color': link['background-color'] }))}" />`
+          : ''
+        return `<a data-mj="social-element"${name ? ` data-mj-name="${escapeAttribute(name)}"` : ''} href="${escapeAttribute(link.href || '#')}" target="_blank" style="${escapeAttribute(linkStyle)}">${icon}${label || (icon ? '' : escapeText(name))}</a>`
+      })
+
+    return `<div data-mj="social" style="${escapeAttribute(toStyle(containerStyle(attrs)))}">${links.join('')}</div>`
+  },
+
+  'mj-navbar': (element, attrs, context) => {
+    const links = Array.from(element.children)
+      .filter(child => child.tagName.toLowerCase() === 'mj-navbar-link')
+      .map(child => {
+        const link = context.attributes(child)
+        const style = toStyle({
+          display: 'inline-block',
+          padding: link.padding,
+          ...Object.fromEntries(TEXT_STYLE_ATTRIBUTES.map(property => [property, link[property]])),
+        })
+        return `<a data-mj="navbar-link" href="${escapeAttribute(link.href || '#')}" style="${escapeAttribute(style)}">${child.innerHTML.trim()}</a>`
+      })
+
+    return `<div data-mj="navbar" style="${escapeAttribute(toStyle({ 'text-align': attrs.align, padding: attrs.padding }))}">${links.join('')}</div>`
+  },
+
+  'mj-table': (element, attrs) => {
+    const table = element.querySelector('table')
+    const tableStyle = toStyle({
+      width: toPixels(attrs.width),
+      ...Object.fromEntries(TEXT_STYLE_ATTRIBUTES.map(property => [property, attrs[property]])),
+    })
+    return `<div data-mj="table" style="${escapeAttribute(toStyle(containerStyle({ ...attrs, align: undefined })))}"><table width="${escapeAttribute(String(attrs.width).replace(/px$/, ''))}" cellpadding="${escapeAttribute(attrs.cellpadding || '0')}" cellspacing="${escapeAttribute(attrs.cellspacing || '0')}" border="0" style="${escapeAttribute(tableStyle)}">${table?.innerHTML.trim() || ''}</table></div>`
+  },
+
+  'mj-raw': element => `<div data-mj="raw">${element.innerHTML.trim()}</div>`,
+}
+
+/**
+ * Convert an MJML document to editable HTML
+ *
+ * @param {string} source - MJML markup
+ * @returns {{ html: string, css: string, title: string, preview: string, warnings: string[] }}
+ * @throws {Error} When the source has no <mjml> root
+ */
+export function importMjml(source) {
+  const root = parseMjml(source)
+  const head = root.querySelector('mj-head')
+  const body = root.querySelector('mj-body')
+  const context = { attributes: createAttributeResolver(head), warnings: [] }
+
+  if (!body) {
+    throw new Error('MJML file has no <mj-body>')
+  }
+  if (root.querySelector('mj-include')) {
+    context.warnings.push('<mj-include> files can\'t be resolved here - inline them before importing')
+  }
+
+  const css = [
+    ...Array.from(head?.querySelectorAll('mj-font') || []).map(font => `@import url('${font.getAttribute('href')}');`),
+    ...Array.from(head?.querySelectorAll('mj-style') || []).map(style => style.textContent.trim()),
+  ].filter(Boolean).join('\n')
+  const title = head?.querySelector('mj-title')?.textContent.trim() || ''
+  const preview = head?.querySelector('mj-preview')?.textContent.trim() || ''
+
+  const bodyAttrs = context.attributes(body)
+  context.bodyWidth = parseFloat(bodyAttrs.width) || 600
+  let html = Array.from(body.children)
+    .filter(child => child.tagName.toLowerCase() !== 'mj-include')
+    .map(child => renderComponent(child, context))
+    .filter(Boolean)
+    .join('\n')
+
+  if (bodyAttrs['background-color']) {
+    html = `<div data-mj="body" style="${escapeAttribute(toStyle({ 'background-color': bodyAttrs['background-color'] }))}">\n${html}\n</div>`
+  }
+  if (preview) {
+    html = `<div data-mj="preview" style="display: none; max-height: 0; overflow: hidden;">${escapeText(preview)}</div>\n${html}`
+  }
+
+  return { html, css, title, preview, warnings: context.warnings }
+}
+
+// ============================================
+// Export
+// ============================================
+
+function splitCssRules(css) {
+  const rules = []
+  let depth = 0
+  let start = 0
+  for (let i = 0; i < css.length; i++) {
+    if (css[i] === '{') depth++
+    else if (css[i] === '}' && --depth === 0) {
+      rules.push(css.slice(start, i + 1).trim())
+      start = i + 1
+    }
+  }
+  return rules
+}
+
+/**
+ * GrapesJS keeps component styles as #id rules in a <style> block rather
+ * than inline. Move those back onto their elements (MJML attributes are read
+ * from inline styles) and return the CSS that's left.
+ */
+function inlineIdRules(doc) {
+  const remaining = []
+
+  for (const styleElement of Array.from(doc.querySelectorAll('style'))) {
+    for (const rule of splitCssRules(styleElement.textContent || '')) {
+      const [, selectorText, body] = rule.match(/^([^{]+)\{([^{}]*)\}$/) || []
+      const selectors = selectorText?.split(',').map(selector => selector.trim())
+
+      // The editor canvas resets - not part of the design
+      if (selectors?.every(selector => selector === '*' || selector === 'body')) continue
+
+      if (selectors?.every(selector => /^#[\w-]+$/.test(selector))) {
+        for (const selector of selectors) {
+          const element = doc.getElementById(selector.slice(1))
+          if (!element) continue
+          const inline = element.getAttribute('style')
+          element.setAttribute('style', [body.trim().replace(/;$/, ''), inline].filter(Boolean).join('; '))
+          element.removeAttribute('id')
+        }
+        continue
+      }
+
+      remaining.push(rule)
+    }
+    styleElement.remove()
+  }
+
+  return remaining.join('\n')
+}
+
+function node(tag, attrs = {}, children = [], content) {
+  const defaults = MJ_DEFAULTS[tag] || {}
+  const kept = Object.fromEntries(
+    Object.entries(attrs).filter(([name, value]) =>
+      value !== undefined && value !== null && value !== '' && defaults[name] !== value
+    )
+  )
+  return { tag, attrs: kept, children, content }
+}
+
+function printNode({ tag, attrs, children, content }, depth = 0) {
+  const indent = '  '.repeat(depth)
+  const attributes = Object.entries(attrs).map(([name, value]) => ` ${name}="${escapeAttribute(value)}"`).join('')
+
+  if (children.length > 0) {
+    return [
+      `${indent}<${tag}${attributes}>`,
+      ...children.map(child => printNode(child, depth + 1)),
+      `${indent}</${tag}>`,
+    ].join('\n')
+  }
+  if (content !== undefined) {
+    const text = content.trim()
+    return text.includes('\n') || text.length > 60
+      ? `${indent}<${tag}${attributes}>\n${indent}  ${text}\n${indent}</${tag}>`
+      : `${indent}<${tag}${attributes}>${text}</${tag}>`
+  }
+  return `${indent}<${tag}${attributes} />`
+}
+
+function ownRows(table) {
+  return Array.from(table.children).flatMap(child => {
+    const tag = child.tagName.toLowerCase()
+    if (tag === 'tr') return [child]
+    if (tag === 'tbody' || tag === 'thead' || tag === 'tfoot') return Array.from(child.children).filter(row => row.tagName.toLowerCase() === 'tr')
+    return []
+  })
+}
+
+function ownCells(row) {
+  return Array.from(row.children).filter(cell => /^t[dh]$/i.test(cell.tagName))
+}
+
+function pickTextStyles(style) {
+  return {
+    ...Object.fromEntries(TEXT_STYLE_ATTRIBUTES.map(property => [property, style[property]])),
+    align: style['text-align'],
+  }
+}
+
+function parseBorder(value) {
+  const parts = (value || '').split(/\s+(?![^(]*\))/).filter(Boolean)
+  return {
+    'border-width': parts.find(part => /^\d/.test(part)),
+    'border-style': parts.find(part => BORDER_STYLES.includes(part)),
+    'border-color': parts.find(part => !/^\d/.test(part) && !BORDER_STYLES.includes(part)),
+  }
+}
+
+function alignOf(element, style) {
+  return style['text-align'] || element?.getAttribute('align') || undefined
+}
+
+function imageNode(image, container, padding) {
+  const style = readStyle(image)
+  const link = image.closest('a')
+  const width = image.getAttribute('width') || (/px$/.test(style.width || '') ? style.width : undefined)
+  const height = /px$/.test(style.height || '') ? style.height : undefined
+  const containerStyle = readStyle(container)
+  const align = alignOf(container, containerStyle) || (/auto/.test(style.margin || '') ? 'center' : undefined)
+
+  return node('mj-image', {
+    src: image.getAttribute('src'),
+    alt: image.getAttribute('alt') || '',
+    title: image.getAttribute('title'),
+    href: link?.getAttribute('href'),
+    target: link?.getAttribute('target') === '_blank' ? undefined : link?.getAttribute('target'),
+    width: toPixels(width),
+    height,
+    'border-radius': style['border-radius'],
+    align,
+    padding,
+    'container-background-color': containerStyle['background-color'],
+  })
+}
+
+function buttonNode(link, container, padding) {
+  const style = readStyle(link)
+  // Our own button block paints the cell around the link rather than the link
+  const cell = link.parentElement?.closest('td')
+  const cellStyle = cell && container.contains(cell) ? readStyle(cell) : {}
+  const containerStyle = readStyle(container)
+
+  return node('mj-button', {
+    href: link.getAttribute('href'),
+    target: link.getAttribute('target'),
+    'background-color': style['background-color'] || cellStyle['background-color'] || cell?.getAttribute('bgcolor'),
+    'border-radius': style['border-radius'] || cellStyle['border-radius'],
+    border: style.border,
+    'inner-padding': style.padding,
+    width: style.width,
+    ...Object.fromEntries(TEXT_STYLE_ATTRIBUTES.map(property => [property, style[property]])),
+    align: alignOf(container, containerStyle) || 'center',
+    padding,
+    'container-background-color': container.getAttribute('data-mj') ? containerStyle['background-color'] : undefined,
+  }, [], link.innerHTML)
+}
+
+function dividerNode(line, padding) {
+  const style = readStyle(line)
+  const border = style['border-top'] || style.border || (line.tagName.toLowerCase() === 'hr' ? '1px solid #cccccc' : '')
+
+  return node('mj-divider', {
+    ...parseBorder(border),
+    width: style.width && style.width !== '100%' ? style.width : undefined,
+    padding,
+  })
+}
+
+/**
+ * The single link that makes up an element, if it's styled as a button
+ */
+function findButtonLink(element) {
+  const links = element.tagName.toLowerCase() === 'a' ? [element] : Array.from(element.querySelectorAll('a'))
+  if (links.length !== 1 || links[0].querySelector('img')) return null
+
+  const link = links[0]
+  if (element.textContent.trim() !== link.textContent.trim()) return null
+
+  const style = readStyle(link)
+  const cell = link.parentElement?.closest('td')
+  const cellStyle = cell && element.contains(cell) ? readStyle(cell) : {}
+  const painted = style['background-color'] || cellStyle['background-color'] || cell?.getAttribute('bgcolor')
+  return painted && (style.padding || style.display === 'inline-block' || cellStyle['background-color']) ? link : null
+}
+
+function findDividerLine(element) {
+  if (element.textContent.replace(/\u00a0/g, '').trim() || element.querySelector('img')) return null
+  if (element.tagName.toLowerCase() === 'hr') return element
+
+  const candidates = [element, ...element.querySelectorAll('*')]
+  return candidates.find(candidate => {
+    const style = readStyle(candidate)
+    return candidate.tagName.toLowerCase() === 'hr' || /\d/.test(style['border-top'] || '')
+  }) || null
+}
+
+function isEmptyBlock(element) {
+  return !element.textContent.replace(/\u00a0/g, '').trim() && !element.querySelector('img, hr, a')
+}
+
+/**
+ * One of our editor blocks (a single-cell table, or its cell) as a single
+ * MJML content component, or null if it's a mix of things
+ */
+function blockToComponent(cell) {
+  const style = readStyle(cell)
+  const padding = style.padding
+
+  const button = findButtonLink(cell)
+  if (button) return buttonNode(button, cell, padding)
+
+  const images = cell.querySelectorAll('img')
+  if (images.length === 1 && !cell.textContent.trim()) return imageNode(images[0], cell, padding)
+
+  const line = findDividerLine(cell)
+  if (line) return dividerNode(line, padding)
+
+  if (isEmptyBlock(cell)) {
+    const height = style.height || cell.getAttribute('height')
+    return height ? node('mj-spacer', { height: toPixels(height) }) : null
+  }
+
+  if (images.length === 0 && !cell.querySelector('table')) {
+    return node('mj-text', {
+      ...pickTextStyles(style),
+      padding,
+      'container-background-color': style['background-color'],
+    }, [], cell.innerHTML)
+  }
+
+  return null
+}
+
+/**
+ * Content of a column: runs of text become one mj-text, recognizable
+ * images, buttons and dividers their own components, anything else mj-raw
+ */
+function exportContent(nodes, context, inherited = {}) {
+  const components = []
+  let text = []
+
+  const flush = () => {
+    const html = text.join('').trim()
+    if (html) components.push(node('mj-text', { ...inherited, padding: '0' }, [], html))
+    text = []
+  }
+
+  for (const child of nodes) {
+    if (child.nodeType === 3) {
+      if (child.textContent.trim()) text.push(escapeText(child.textContent))
+      continue
+    }
+    if (child.nodeType !== 1) continue
+
+    const tag = child.tagName.toLowerCase()
+    const type = child.getAttribute('data-mj')
+
+    if (type) {
+      flush()
+      const component = exportComponent(child, type, context)
+      if (component) components.push(component)
+      continue
+    }
+
+    if (tag === 'table') {
+      flush()
+      const rows = ownRows(child)
+      const cells = rows.length === 1 ? ownCells(rows[0]) : []
+      const component = cells.length === 1 ? blockToComponent(cells[0]) : null
+
+      if (component) {
+        components.push(component)
+      } else if (cells.length === 1) {
+        components.push(...exportContent(cells[0].childNodes, context, { ...inherited, ...pickTextStyles(readStyle(cells[0])) }))
+      } else {
+        components.push(node('mj-raw', {}, [], child.outerHTML))
+      }
+      continue
+    }
+
+    const image = tag === 'img' ? child : (tag === 'a' && child.children.length === 1 && child.querySelector('img'))
+    if (image) {
+      flush()
+      components.push(imageNode(image, child.parentElement, '0'))
+      continue
+    }
+
+    const button = findButtonLink(child)
+    if (button) {
+      flush()
+      components.push(buttonNode(button, child, '0'))
+      continue
+    }
+
+    const line = findDividerLine(child)
+    if (line) {
+      flush()
+      components.push(dividerNode(line, '0'))
+      continue
+    }
+
+    text.push(child.outerHTML)
+  }
+
+  flush()
+  return components
+}
+
+function columnNode(cell, context, attrs = {}, inherited = {}) {
+  const style = readStyle(cell)
+  const width = style.width || cell.getAttribute('width')
+
+  return node('mj-column', {
+    width: width && width !== '100%' ? toPixels(width) : undefined,
+    'vertical-align': style['vertical-align'] || cell.getAttribute('valign'),
+    'background-color': style['background-color'] || cell.getAttribute('bgcolor'),
+    border: style.border,
+    'border-radius': style['border-radius'],
+    ...attrs,
+  }, exportContent(cell.childNodes, context, inherited))
+}
+
+function sectionAttributes(table, cell) {
+  const style = readStyle(table)
+  const cellStyle = readStyle(cell)
+  const backgroundUrl = urlFromCss(style['background-image'] || style.background)
+
+  return {
+    'full-width': table.getAttribute('data-mj-full-width'),
+    'background-color': style['background-color'] || table.getAttribute('bgcolor'),
+    'background-url': backgroundUrl,
+    'background-size': backgroundUrl && style['background-size'] !== 'cover' ? style['background-size'] : undefined,
+    'background-position': backgroundUrl ? style['background-position'] : undefined,
+    'background-repeat': backgroundUrl && style['background-repeat'] !== 'no-repeat' ? style['background-repeat'] : undefined,
+    border: style.border,
+    'border-radius': style['border-radius'],
+    padding: cellStyle?.padding || (cell ? '0' : undefined),
+    'text-align': cellStyle?.['text-align'],
+  }
+}
+
+function exportComponent(element, type, context) {
+  const style = readStyle(element)
+  const padding = style.padding || '0'
+
+  switch (type) {
+    case 'text':
+      return node('mj-text', {
+        ...pickTextStyles(style),
+        height: style.height,
+        padding,
+        'container-background-color': style['background-color'],
+      }, [], element.innerHTML)
+
+    case 'image': {
+      const image = element.querySelector('img')
+      return image ? imageNode(image, element, padding) : null
+    }
+
+    case 'button': {
+      const link = element.querySelector('a')
+      return link ? buttonNode(link, element, padding) : null
+    }
+
+    case 'divider': {
+      const line = element.querySelector('p, hr') || element
+      return node('mj-divider', { ...dividerNode(line).attrs, padding, 'container-background-color': style['background-color'] })
+    }
+
+    case 'spacer':
+      return node('mj-spacer', { height: style.height })
+
+    case 'social': {
+      const links = Array.from(element.querySelectorAll('a')).map(link => {
+        const icon = link.querySelector('img')
+        const linkStyle = readStyle(link)
+        return node('mj-social-element', {
+          name: link.getAttribute('data-mj-name'),
+          href: link.getAttribute('href'),
+          src: icon?.getAttribute('src'),
+          alt: icon?.getAttribute('alt') !== link.getAttribute('data-mj-name') ? icon?.getAttribute('alt') : undefined,
+          padding: linkStyle.padding,
+          color: linkStyle.color,
+        }, [], icon && !link.textContent.trim() ? undefined : link.textContent)
+      })
+      const iconSize = element.querySelector('img')?.getAttribute('width')
+      return node('mj-social', { 'icon-size': toPixels(iconSize), align: style['text-align'], padding }, links)
+    }
+
+    case 'navbar': {
+      const links = Array.from(element.querySelectorAll('a')).map(link => {
+        const linkStyle = readStyle(link)
+        return node('mj-navbar-link', {
+          href: link.getAttribute('href'),
+          padding: linkStyle.padding,
+          ...Object.fromEntries(TEXT_STYLE_ATTRIBUTES.map(property => [property, linkStyle[property]])),
+        }, [], link.innerHTML)
+      })
+      return node('mj-navbar', { align: style['text-align'], padding: style.padding }, links)
+    }
+
+    case 'table': {
+      const table = element.querySelector('table')
+      if (!table) return null
+      const tableStyle = readStyle(table)
+      return node('mj-table', {
+        ...Object.fromEntries(TEXT_STYLE_ATTRIBUTES.map(property => [property, tableStyle[property]])),
+        width: toPixels(table.getAttribute('width')),
+        cellpadding: table.getAttribute('cellpadding') !== '0' ? table.getAttribute('cellpadding') : undefined,
+        cellspacing: table.getAttribute('cellspacing') !== '0' ? table.getAttribute('cellspacing') : undefined,
+        padding,
+      }, [], ownRows(table).map(row => row.outerHTML).join(''))
+    }
+
+    case 'raw':
+      return node('mj-raw', {}, [], element.innerHTML)
+
+    case 'column':
+      return columnNode(element, context, { padding: style.padding })
+
+    default:
+      context.warnings.push(`Unknown data-mj="${type}" element was left out`)
+      return null
+  }
+}
+
+/**
+ * Top-level tables as mj-sections. Tables we imported map back directly;
+ * others become one section per row with a column per cell. Anything that
+ * isn't a table is grouped into a one-column section.
+ */
+function exportSections(container, context) {
+  const sections = []
+  let loose = []
+
+  const flushLoose = () => {
+    const content = exportContent(loose, context)
+    if (content.length > 0) sections.push(node('mj-section', {}, [node('mj-column', {}, content)]))
+    loose = []
+  }
+
+  for (const child of Array.from(container.childNodes)) {
+    if (child.nodeType !== 1) {
+      if (child.nodeType === 3 && child.textContent.trim()) loose.push(child)
+      continue
+    }
+
+    const tag = child.tagName.toLowerCase()
+    const type = child.getAttribute('data-mj')
+    const firstCell = tag === 'table' ? ownCells(ownRows(child)[0] || child)[0] : null
+
+    if (['script', 'meta', 'title', 'link'].includes(tag)) continue
+
+    if (type === 'section') {
+      flushLoose()
+      const columns = Array.from(child.querySelectorAll('[data-mj="column"]'))
+        .filter(column => column.closest('[data-mj="section"]') === child)
+      sections.push(node('mj-section', sectionAttributes(child, firstCell), columns.map(column => columnNode(column, context, { padding: readStyle(column).padding }))))
+    } else if (type === 'wrapper') {
+      flushLoose()
+      sections.push(node('mj-wrapper', sectionAttributes(child, firstCell), firstCell ? exportSections(firstCell, context) : []))
+    } else if (type === 'hero') {
+      flushLoose()
+      const attrs = sectionAttributes(child, firstCell)
+      const cellStyle = readStyle(firstCell)
+      sections.push(node('mj-hero', {
+        ...attrs,
+        mode: cellStyle.height ? 'fixed-height' : undefined,
+        height: cellStyle.height,
+        'vertical-align': cellStyle['vertical-align'],
+        'text-align': undefined,
+      }, firstCell ? exportContent(firstCell.childNodes, context) : []))
+    } else if (type === 'raw') {
+      flushLoose()
+      sections.push(node('mj-raw', {}, [], child.innerHTML))
+    } else if (tag === 'table' && !type) {
+      flushLoose()
+      for (const row of ownRows(child)) {
+        const cells = ownCells(row)
+        if (cells.length === 1) {
+          // Our two-column block: one padded cell around a row of cells
+          const inner = cells[0].children.length === 1 && cells[0].children[0].tagName.toLowerCase() === 'table'
+            ? ownRows(cells[0].children[0])
+            : []
+          const innerCells = inner.length === 1 ? ownCells(inner[0]) : []
+
+          if (innerCells.length > 1) {
+            sections.push(node('mj-section', sectionAttributes(child, cells[0]), innerCells.map(cell =>
+              columnNode(cell, context, { padding: readStyle(cell).padding })
+            )))
+            continue
+          }
+
+          const component = blockToComponent(cells[0])
+          sections.push(component
+            ? node('mj-section', { ...sectionAttributes(child, null), padding: '0' }, [node('mj-column', {}, [component])])
+            : node('mj-section', sectionAttributes(child, cells[0]), [columnNode(cells[0], context, { 'background-color': undefined }, pickTextStyles(readStyle(cells[0])))]))
+        } else if (cells.length > 1) {
+          sections.push(node('mj-section', { ...sectionAttributes(child, null), padding: '0' }, cells.map(cell =>
+            columnNode(cell, context, { padding: readStyle(cell).padding }, pickTextStyles(readStyle(cell)))
+          )))
+        }
+      }
+    } else {
+      loose.push(child)
+    }
+  }
+
+  flushLoose()
+  return sections
+}
+
+/**
+ * The element holding the design: saved templates wrap the editor output in
+ * centering tables, which become the mj-body
+ */
+function findContentRoot(doc) {
+  const imported = doc.querySelector('[data-mj="body"]')
+  if (imported) {
+    return { root: imported, backgroundColor: readStyle(imported)['background-color'] }
+  }
+
+  let root = doc.body
+  let backgroundColor = readStyle(doc.body)['background-color']
+  let width
+
+  for (;;) {
+    const elements = Array.from(root.children).filter(child => !['style', 'script', 'meta', 'title'].includes(child.tagName.toLowerCase()))
+    const [only] = elements
+    if (elements.length !== 1 || only.tagName.toLowerCase() !== 'table' || only.getAttribute('data-mj')) break
+
+    const rows = ownRows(only)
+    const cells = rows.length === 1 ? ownCells(rows[0]) : []
+    // A single cell around more than one block is a wrapper, not a block
+    if (cells.length !== 1 || cells[0].children.length < 1 || blockToComponent(cells[0])) break
+
+    const style = readStyle(only)
+    backgroundColor = backgroundColor || style['background-color'] || only.getAttribute('bgcolor')
+    const tableWidth = only.getAttribute('width')
+    if (tableWidth && tableWidth !== '100%') width = toPixels(tableWidth)
+    root = cells[0]
+  }
+
+  return { root, backgroundColor, width }
+}
+
+/**
+ * Convert a saved template's HTML to MJML
+ *
+ * @param {string} html - Template HTML (a full document or editor output)
+ * @param {Object} [options]
+ * @param {string} [options.title] - mj-title, when the HTML has no <title>
+ * @returns {{ mjml: string, warnings: string[] }}
+ */
+export function exportMjml(html, { title } = {}) {
+  const doc = parseHtml(html)
+  const context = { warnings: [] }
+
+  const css = inlineIdRules(doc)
+  const preview = doc.querySelector('[data-mj="preview"]')
+  const previewText = preview?.textContent.trim()
+  preview?.remove()
+
+  const { root, backgroundColor, width } = findContentRoot(doc)
+  const sections = exportSections(root, context)
+  const documentTitle = doc.querySelector('title')?.textContent.trim() || title
+
+  const head = [
+    documentTitle && node('mj-title', {}, [], escapeText(documentTitle)),
+    previewText && node('mj-preview', {}, [], escapeText(previewText)),
+    css && node('mj-style', {}, [], css),
+  ].filter(Boolean)
+
+  const mjml = printNode(node('mjml', {}, [
+    ...(head.length > 0 ? [node('mj-head', {}, head)] : []),
+    node('mj-body', { 'background-color': backgroundColor, width }, sections),
+  ]))
+
+  return { mjml: `${mjml}\n`, warnings: context.warnings }
+}
+
+/**
+ * Save MJML as a .mjml file named after the template
+ */
+export function downloadMjml(mjml, name) {
+  const slug = (name || 'template').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'template'
+  const blob = new Blob([mjml], { type: 'text/plain;charset=utf-8;' })
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = `${slug}.mjml`
+  document.body.appendChild(link)
+  link.click()
+  document.body.removeChild(link)
+  URL.revokeObjectURL(url)
+}
@@ -0,0 +1,327 @@
+// src/components/files/FileVersionHistory.jsx
+// Version timeline for a file in the Files details panel: uploader, time, size
+// and checksum per version, with download, restore and the project's
+// retention policy.
+import { useState } from 'react'
+import { formatDistanceToNow } from 'date-fns'
+import { History, Download, RotateCcw, Settings2, Copy } from 'lucide-react'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+import { Tooltip, TooltipContent, TooltipTrigger } from '@/components/ui/tooltip'
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog'
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+} from '@/components/ui/alert-dialog'
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select'
+import { UptradeSpinner } from '@/components/UptradeLoading'
+import { toast } from '@/lib/toast'
+import { filesApi } from '@/lib/portal-api'
+import {
+  useFileVersions,
+  useRestoreFileVersion,
+  useFileRetentionPolicy,
+  useUpdateFileRetentionPolicy,
+} from '@/lib/hooks'
+import { cn } from '@/lib/utils'
+import {
+  FILE_RETENTION_MODES,
+  DEFAULT_RETENTION_POLICY,
+  normalizeRetentionPolicy,
+  describeRetentionPolicy,
+  getPrunedVersions,
+  formatFileSize,
+  shortChecksum,
+} from './fileVersions'
+
+export default function FileVersionHistory({ file, projectId, canRestore = false, canManagePolicy = false, onRestored }) {
+  const [restoreTarget, setRestoreTarget] = useState(null)
+  const [showRetention, setShowRetention] = useState(false)
+  const [downloadingId, setDownloadingId] = useState(null)
+
+  const { data: versions = [], isLoading } = useFileVersions(file?.id)
+  const { data: policy = DEFAULT_RETENTION_POLICY } = useFileRetentionPolicy(projectId)
+  const restoreVersion = useRestoreFileVersion()
+
+  const filename = file?.original_filename || file?.filename || file?.name || 'file'
+
+  const handleDownload = async (version) => {
+    setDownloadingId(version.id)
+    try {
+      const res = await filesApi.downloadVersion(file.id, version.id)
+      const url = URL.createObjectURL(res.data)
+      const link = document.createElement('a')
+      link.href = url
+      // Keep the extension, tag the version so it isn't mistaken for the current file
+      const dot = filename.lastIndexOf('.')
+      link.download = dot > 0
+        ? `${filename.slice(0, dot)} (v${version.version_number})${filename.slice(dot)}`
+        : `${filename} (v${version.version_number})`
+      document.body.appendChild(link)
+      link.click()
+      document.body.removeChild(link)
+      URL.revokeObjectURL(url)
+    } catch (err) {
+      toast.error(err?.response?.data?.message || 'Download failed')
+    } finally {
+      setDownloadingId(null)
+    }
+  }
+
+  const handleRestore = async () => {
+    if (!restoreTarget) return
+    try {
+      const data = await restoreVersion.mutateAsync({ fileId: file.id, versionId: restoreTarget.id, projectId })
+      toast.success(`Restored version ${restoreTarget.version_number}`)
+      if (data?.file) onRestored?.(data.file)
+    } catch (err) {
+      toast.error(err?.response?.data?.message || err?.message || 'Restore failed')
+    } finally {
+      setRestoreTarget(null)
+    }
+  }
+
+  const handleCopyChecksum = async (checksum) => {
+    try {
+      await navigator.clipboard.writeText(checksum)
+      toast.success('Checksum copied')
+    } catch {
+      toast.error('Failed to copy')
+    }
+  }
+
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center justify-between">
+        <p className="text-xs text-[var(--text-tertiary)] flex items-center gap-1">
+          <History className="w-3.5 h-3.5" />
+          Version history
+        </p>
+        {canManagePolicy && projectId && (
+          <Tooltip>
+            <TooltipTrigger asChild>
+              <Button variant="ghost" size="icon" className="h-6 w-6" onClick={() => setShowRetention(true)}>
+                <Settings2 className="w-3.5 h-3.5" />
+              </Button>
+            </TooltipTrigger>
+            <TooltipContent>Retention policy</TooltipContent>
+          </Tooltip>
+        )}
+      </div>
+
+      {isLoading ? (
+        <div className="flex justify-center py-3">
+          <UptradeSpinner size="sm" className="[&_p]:hidden" />
+        </div>
+      ) : versions.length === 0 ? (
+        <p className="text-xs text-[var(--text-tertiary)]">No earlier versions. Replacing the file keeps the current one here.</p>
+      ) : (
+        <ol className="relative border-l border-[var(--glass-border)] ml-1.5 space-y-3">
+          {versions.map((version) => (
+            <li key={version.id} className="pl-3">
+              <span
+                className={cn(
+                  'absolute -left-[5px] mt-1.5 h-2.5 w-2.5 rounded-full border-2 border-[var(--surface-primary)]',
+                  version.is_current ? 'bg-[var(--brand-primary)]' : 'bg-[var(--text-tertiary)]'
+                )}
+              />
+              <div className="flex items-start justify-between gap-2">
+                <div className="min-w-0">
+                  <p className="text-sm text-[var(--text-primary)]">
+                    v{version.version_number}
+                    {version.is_current && (
+                      <span className="ml-1.5 text-[10px] uppercase tracking-wide text-[var(--brand-primary)]">Current</span>
+                    )}
+                    {version.restored_from_version && (
+                      <span className="ml-1.5 text-xs text-[var(--text-tertiary)]">restored from v{version.restored_from_version}</span>
+                    )}
+                  </p>
+                  <p className="text-xs text-[var(--text-secondary)] truncate">
+                    {version.uploaded_by_name || 'Unknown'}
+                    {version.created_at && ` · ${formatDistanceToNow(new Date(version.created_at), { addSuffix: true })}`}
+                  </p>
+                  <p className="text-xs text-[var(--text-tertiary)] flex items-center gap-1">
+                    {formatFileSize(version.file_size)}
+                    {version.checksum && (
+                      <>
+                        {version.file_size != null && ' · '}
+                        <button
+                          type="button"
+                          className="font-mono hover:text-[var(--text-primary)] inline-flex items-center gap-0.5"
+                          title={version.checksum}
+                          onClick={() => handleCopyChecksum(version.checksum)}
+                        >
+                          {shortChecksum(version.checksum)}
+                          <Copy className="w-3 h-3" />
+                        </button>
+                      </>
+                    )}
+                  </p>
+                </div>
+                <div className="flex shrink-0">
+                  <Tooltip>
+                    <TooltipTrigger asChild>
+                      <Button
+                        variant="ghost"
+                        size="icon"
+                        className="h-7 w-7"
+                        onClick={() => handleDownload(version)}
+                        disabled={downloadingId === version.id}
+                      >
+                        {downloadingId === version.id ? (
+                          <UptradeSpinner size="sm" className="[&_p]:hidden [&_svg]:!h-3.5 [&_svg]:!w-3.5" />
+                        ) : (
+                          <Download className="w-3.5 h-3.5" />
+                        )}
+                      </Button>
+                    </TooltipTrigger>
+                    <TooltipContent>Download v{version.version_number}</TooltipContent>
+                  </Tooltip>
+                  {canRestore && !version.is_current && (
+                    <Tooltip>
+                      <TooltipTrigger asChild>
+                        <Button variant="ghost" size="icon" className="h-7 w-7" onClick={() => setRestoreTarget(version)}>
+                          <RotateCcw className="w-3.5 h-3.5" />
+                        </Button>
+                      </TooltipTrigger>
+                      <TooltipContent>Restore this version</TooltipContent>
+                    </Tooltip>
+                  )}
+                </div>
+              </div>
+            </li>
+          ))}
+        </ol>
+      )}
+
+      {projectId && (
+        <p className="text-[11px] text-[var(--text-tertiary)]">{describeRetentionPolicy(policy)}</p>
+      )}
+
+      <AlertDialog open={!!restoreTarget} onOpenChange={(open) => !open && setRestoreTarget(null)}>
+        <AlertDialogContent>
+          <AlertDialogHeader>
+            <AlertDialogTitle>Restore version {restoreTarget?.version_number}?</AlertDialogTitle>
+            <AlertDialogDescription>
+              {filename} will go back to this version. The URL stays the same and the current
+              contents are kept in the history, so you can switch back at any time.
+            </AlertDialogDescription>
+          </AlertDialogHeader>
+          <AlertDialogFooter>
+            <AlertDialogCancel>Cancel</AlertDialogCancel>
+            <AlertDialogAction onClick={handleRestore} disabled={restoreVersion.isPending}>
+              Restore
+            </AlertDialogAction>
+          </AlertDialogFooter>
+        </AlertDialogContent>
+      </AlertDialog>
+
+      {showRetention && (
+        <RetentionPolicyDialog
+          projectId={projectId}
+          policy={policy}
+          versions={versions}
+          onClose={() => setShowRetention(false)}
+        />
+      )}
+    </div>
+  )
+}
+
+function RetentionPolicyDialog({ projectId, policy, versions, onClose }) {
+  const [draft, setDraft] = useState(() => normalizeRetentionPolicy(policy))
+  const updatePolicy = useUpdateFileRetentionPolicy()
+  const modeConfig = FILE_RETENTION_MODES[draft.mode]
+  // Preview against the open file so the effect is concrete
+  const pruned = getPrunedVersions(versions, draft)
+
+  const handleSave = async () => {
+    try {
+      await updatePolicy.mutateAsync({ projectId, policy: normalizeRetentionPolicy(draft) })
+      toast.success('Retention policy saved')
+      onClose()
+    } catch (err) {
+      toast.error(err?.response?.data?.message || 'Failed to save retention policy')
+    }
+  }
+
+  return (
+    <Dialog open onOpenChange={(open) => !open && onClose()}>
+      <DialogContent className="sm:max-w-md">
+        <DialogHeader>
+          <DialogTitle>Version retention</DialogTitle>
+          <DialogDescription>
+            How long old versions are kept for files in this project. The current version is never deleted.
+          </DialogDescription>
+        </DialogHeader>
+        <div className="space-y-4 py-2">
+          <div className="space-y-2">
+            <Label>Policy</Label>
+            <Select
+              value={draft.mode}
+              onValueChange={(mode) => setDraft(normalizeRetentionPolicy({ mode, value: FILE_RETENTION_MODES[mode].defaultValue }))}
+            >
+              <SelectTrigger>
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {Object.entries(FILE_RETENTION_MODES).map(([mode, config]) => (
+                  <SelectItem key={mode} value={mode}>{config.label}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+            <p className="text-xs text-[var(--text-tertiary)]">{modeConfig.description}</p>
+          </div>
+          {draft.mode !== 'all' && (
+            <div className="space-y-2">
+              <Label htmlFor="retention-value">Number of {modeConfig.unit}</Label>
+              <Input
+                id="retention-value"
+                type="number"
+                min={modeConfig.min}
+                max={modeConfig.max}
+                value={draft.value ?? ''}
+                onChange={(e) => setDraft({ ...draft, value: e.target.value })}
+                onBlur={() => setDraft(normalizeRetentionPolicy(draft))}
+              />
+            </div>
+          )}
+          {pruned.length > 0 && (
+            <p className="text-xs text-amber-600">
+              {pruned.length} older version{pruned.length !== 1 ? 's' : ''} of this file will be deleted.
+            </p>
+          )}
+        </div>
+        <DialogFooter>
+          <Button variant="outline" onClick={onClose}>Cancel</Button>
+          <Button onClick={handleSave} disabled={updatePolicy.isPending}>
+            {updatePolicy.isPending && <UptradeSpinner size="sm" className="mr-2 [&_p]:hidden [&_svg]:!h-4 [&_svg]:!w-4" />}
+            Save
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  )
+}
+
+export { FileVersionHistory }
@@ -53,7 +53,7 @@ import {
 } from 'lucide-react'
 import Files from '@/components/Files'
 import { toast } from '@/lib/toast'
-import { useFiles, useFolders, useUploadFile, useCreateFolder, filesKeys, driveKeys, useDriveFiles } from '@/lib/hooks'
+import { useFiles, useFolders, useUploadFile, useCreateFolder, useReplaceFile, filesKeys, driveKeys, useDriveFiles } from '@/lib/hooks'
 import { useQueryClient } from '@tanstack/react-query'
 import useAuthStore from '@/lib/auth-store'
 import { oauthApi, filesApi, engageApi } from '@/lib/portal-api'
@@ -62,6 +62,8 @@ import { UptradeSpinner } from '@/components/UptradeLoading'
 import { MODULE_ICONS } from '@/lib/module-icons'
 import { broadcastApi } from '@/lib/api/broadcast'
 import { DriveList, DriveUploadButton } from './DriveList'
+import FileVersionHistory from './FileVersionHistory'
+import { computeFileChecksum, isSameChecksum, formatFileSize } from './fileVersions'
 
 const WEB_VIEW_FILTERS = [
   { id: 'all', label: 'All', icon: FolderOpen },
@@ -105,7 +107,6 @@ export default function FilesModule() {
   const [selectedFile, setSelectedFile] = useState(null)
   const [showRightPanel, setShowRightPanel] = useState(true)
   const [triggerUpload, setTriggerUpload] = useState(0)
-  const [replacing, setReplacing] = useState(false)
   const [creating, setCreating] = useState(null) // 'doc' | 'slide' | 'sheet'
   const [showGenerateModal, setShowGenerateModal] = useState(false)
   const [generatePrompt, setGeneratePrompt] = useState('')
@@ -120,7 +121,10 @@ export default function FilesModule() {
   const [driveCurrentFolderId, setDriveCurrentFolderId] = useState(null)
   const replaceInputRef = useRef(null)
   const queryClient = useQueryClient()
-  const { currentProject } = useAuthStore()
+  const { currentProject, user } = useAuthStore()
+  const replaceFileMutation = useReplaceFile()
+  const replacing = replaceFileMutation.isPending
+  const canManageFiles = user?.role === 'admin' || user?.role === 'client_admin'
 
   const refreshFiles = () => {
     if (projectId) queryClient.invalidateQueries({ queryKey: filesKeys.list(projectId, {}) })
@@ -273,23 +277,20 @@ export default function FilesModule() {
   const handleReplaceFile = async (e) => {
     const file = e.target.files?.[0]
     if (!file || !selectedFile) return
-    setReplacing(true)
     try {
-      const formData = new FormData()
-      formData.append('file', file)
-      const res = await filesApi.replaceFile(selectedFile.id, formData)
-      const data = res?.data ?? res
+      const checksum = await computeFileChecksum(file).catch(() => null)
+      if (isSameChecksum(checksum, selectedFile.checksum)) {
+        toast.info('This file is identical to the current version')
+        return
+      }
+      const data = await replaceFileMutation.mutateAsync({ fileId: selectedFile.id, file, checksum, projectId })
       if (data?.file) {
-        toast.success('File replaced (URL unchanged)')
+        toast.success('File replaced (URL unchanged). The previous version is in the history.')
         setSelectedFile((prev) => (prev ? { ...prev, ...data.file } : null))
-      } else if (data?.error) {
-        toast.error(data.error)
       }
-      refreshFiles()
     } catch (err) {
       toast.error(err?.response?.data?.message || err?.message || 'Replace failed')
     } finally {
-      setReplacing(false)
       if (replaceInputRef.current) replaceInputRef.current.value = ''
     }
   }
@@ -419,12 +420,7 @@ export default function FilesModule() {
             <div>
               <p className="text-xs text-[var(--text-tertiary)] mb-1">Size</p>
               <p className="text-sm text-[var(--text-secondary)]">
-                {(() => {
-                  const bytes = selectedFile.file_size ?? selectedFile.size ?? 0
-                  if (bytes < 1024) return `${bytes} B`
-                  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`
-                  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`
-                })()}
+                {formatFileSize(selectedFile.file_size ?? selectedFile.size ?? 0)}
               </p>
             </div>
           )}
@@ -470,6 +466,17 @@ export default function FilesModule() {
               </>
             )}
           </div>
+          {!isDriveFile(selectedFile) && (
+            <div className="pt-2 border-t border-[var(--glass-border)]">
+              <FileVersionHistory
+                file={selectedFile}
+                projectId={projectId}
+                canRestore={selectedFile.uploaded_by === user?.id || selectedFile.uploaded_by == null || canManageFiles}
+                canManagePolicy={canManageFiles}
+                onRestored={(file) => setSelectedFile((prev) => (prev ? { ...prev, ...file } : null))}
+              />
+            </div>
+          )}
         </div>
         </ScrollArea>
       </div>
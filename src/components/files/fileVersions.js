@@ -0,0 +1,95 @@
+// src/components/files/fileVersions.js
+// Helpers for file version history - retention policies, checksums and
+// formatting for the version timeline.
+//
+// Every replace keeps the previous contents as a version. The retention policy
+// (per project) decides how many of those old versions the API keeps; the
+// current version is never pruned.
+
+export const FILE_RETENTION_MODES = {
+  all: { label: 'Keep every version', description: 'Old versions are never deleted' },
+  count: { label: 'Keep the last N versions', description: 'Older versions are deleted on the next replace', unit: 'versions', defaultValue: 10, min: 1, max: 100 },
+  days: { label: 'Keep versions for N days', description: 'Versions older than this are deleted nightly', unit: 'days', defaultValue: 90, min: 1, max: 3650 },
+}
+
+export const DEFAULT_RETENTION_POLICY = { mode: 'all', value: null }
+
+const DAY_MS = 86400000
+
+/**
+ * Policy with a known mode and a value clamped to that mode's range
+ */
+export function normalizeRetentionPolicy(policy) {
+  const mode = FILE_RETENTION_MODES[policy?.mode] ? policy.mode : DEFAULT_RETENTION_POLICY.mode
+  const config = FILE_RETENTION_MODES[mode]
+  if (mode === 'all') return { mode, value: null }
+
+  const value = Math.round(Number(policy?.value))
+  return {
+    mode,
+    value: Number.isFinite(value) && value > 0
+      ? Math.min(config.max, Math.max(config.min, value))
+      : config.defaultValue,
+  }
+}
+
+export function describeRetentionPolicy(policy) {
+  const { mode, value } = normalizeRetentionPolicy(policy)
+  if (mode === 'count') return `Keeps the last ${value} version${value === 1 ? '' : 's'}`
+  if (mode === 'days') return `Keeps versions for ${value} day${value === 1 ? '' : 's'}`
+  return 'Keeps every version'
+}
+
+/**
+ * Versions the policy would delete. Versions are ordered newest first by
+ * version_number; the current version always stays and counts towards the
+ * "last N".
+ */
+export function getPrunedVersions(versions = [], policy, now = new Date()) {
+  const { mode, value } = normalizeRetentionPolicy(policy)
+  if (mode === 'all') return []
+
+  const sorted = [...versions].sort((a, b) => (b.version_number || 0) - (a.version_number || 0))
+  const current = sorted.find(v => v.is_current) || sorted[0]
+
+  if (mode === 'count') {
+    const kept = new Set([current?.id])
+    for (const version of sorted) {
+      if (kept.size >= value) break
+      kept.add(version.id)
+    }
+    return sorted.filter(v => !kept.has(v.id))
+  }
+
+  const cutoff = now.getTime() - value * DAY_MS
+  return sorted.filter(v => v.id !== current?.id && new Date(v.created_at).getTime() < cutoff)
+}
+
+export function formatFileSize(bytes) {
+  if (bytes == null) return null
+  if (bytes < 1024) return `${bytes} B`
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+}
+
+/**
+ * First 8 hex characters, without any "sha256:" style prefix
+ */
+export function shortChecksum(checksum) {
+  if (!checksum) return null
+  return String(checksum).split(':').pop().slice(0, 8)
+}
+
+/**
+ * SHA-256 of a File / Blob as lowercase hex - sent with a replace so the API
+ * can verify the upload, and used to skip uploading identical contents
+ */
+export async function computeFileChecksum(file) {
+  const digest = await crypto.subtle.digest('SHA-256', await file.arrayBuffer())
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('')
+}
+
+export function isSameChecksum(a, b) {
+  if (!a || !b) return false
+  return String(a).split(':').pop().toLowerCase() === String(b).split(':').pop().toLowerCase()
+}
@@ -0,0 +1,200 @@
+// src/components/notifications/NotificationCenter.jsx
+// TopHeader bell: unread badge and inbox popover for portal notifications
+
+import { useState, useMemo } from 'react'
+import { useNavigate } from 'react-router-dom'
+import { formatDistanceToNow } from 'date-fns'
+import {
+  Bell,
+  AtSign,
+  BellRing,
+  CheckCircle2,
+  UserPlus,
+  CalendarClock,
+  FileText,
+  CreditCard,
+  CheckCheck,
+  Loader2,
+  Settings,
+} from 'lucide-react'
+import { Button } from '@/components/ui/button'
+import { Popover, PopoverContent, PopoverTrigger } from '@/components/ui/popover'
+import { ScrollArea } from '@/components/ui/scroll-area'
+import { Tabs, TabsList, TabsTrigger } from '@/components/ui/tabs'
+import {
+  useNotifications,
+  useUnreadNotificationCount,
+  useMarkNotificationRead,
+  useMarkAllNotificationsRead,
+} from '@/lib/hooks'
+import { NOTIFICATION_TYPES, groupNotificationsByDay, isUnread } from '@/lib/notifications'
+import { cn } from '@/lib/utils'
+
+const TYPE_ICONS = {
+  mention: AtSign,
+  reminder: BellRing,
+  deliverable_approval: CheckCircle2,
+  new_lead: UserPlus,
+  booking_change: CalendarClock,
+  form_submission: FileText,
+  payment_failed: CreditCard,
+}
+
+const TYPE_STYLES = {
+  mention: 'bg-blue-500/10 text-blue-600',
+  reminder: 'bg-amber-500/10 text-amber-600',
+  deliverable_approval: 'bg-emerald-500/10 text-emerald-600',
+  new_lead: 'bg-primary/10 text-primary',
+  booking_change: 'bg-violet-500/10 text-violet-600',
+  form_submission: 'bg-sky-500/10 text-sky-600',
+  payment_failed: 'bg-red-500/10 text-red-600',
+}
+
+export default function NotificationCenter() {
+  const navigate = useNavigate()
+  const [open, setOpen] = useState(false)
+  const [filter, setFilter] = useState('unread') // unread | all
+
+  const { data: unreadData } = useUnreadNotificationCount()
+  const { data: notifications = [], isLoading } = useNotifications(
+    filter === 'unread' ? { unread: true, limit: 50 } : { limit: 50 },
+    { enabled: open }
+  )
+  const markRead = useMarkNotificationRead()
+  const markAllRead = useMarkAllNotificationsRead()
+
+  const unreadCount = unreadData?.count || 0
+  const groups = useMemo(() => groupNotificationsByDay(notifications), [notifications])
+
+  const handleSelect = (notification) => {
+    if (isUnread(notification)) {
+      markRead.mutate(notification.id)
+    }
+    if (notification.link) {
+      setOpen(false)
+      navigate(notification.link)
+    }
+  }
+
+  return (
+    <Popover open={open} onOpenChange={setOpen}>
+      <PopoverTrigger asChild>
+        <Button
+          variant="ghost"
+          size="icon"
+          className="relative h-8 w-8 min-h-[44px] min-w-[44px] md:min-h-0 md:min-w-0 text-muted-foreground hover:text-foreground"
+          aria-label={unreadCount ? `Notifications (${unreadCount} unread)` : 'Notifications'}
+        >
+          <Bell className="h-4 w-4" />
+          {unreadCount > 0 && (
+            <span className="absolute -top-0.5 -right-0.5 min-w-4 h-4 px-1 rounded-full bg-red-500 text-[10px] font-semibold leading-4 text-white text-center">
+              {unreadCount > 99 ? '99+' : unreadCount}
+            </span>
+          )}
+        </Button>
+      </PopoverTrigger>
+      <PopoverContent align="end" className="w-96 p-0">
+        <div className="flex items-center justify-between px-4 py-3 border-b border-border/50">
+          <h3 className="text-sm font-semibold">Notifications</h3>
+          <div className="flex items-center gap-1">
+            <Button
+              variant="ghost"
+              size="sm"
+              className="h-7 text-xs"
+              disabled={unreadCount === 0 || markAllRead.isPending}
+              onClick={() => markAllRead.mutate()}
+            >
+              <CheckCheck className="h-3.5 w-3.5 mr-1" />
+              Mark all read
+            </Button>
+            <Button
+              variant="ghost"
+              size="icon"
+              className="h-7 w-7"
+              aria-label="Notification settings"
+              onClick={() => {
+                setOpen(false)
+                navigate('/settings')
+              }}
+            >
+              <Settings className="h-3.5 w-3.5" />
+            </Button>
+          </div>
+        </div>
+
+        <div className="px-4 pt-3">
+          <Tabs value={filter} onValueChange={setFilter}>
+            <TabsList className="h-8">
+              <TabsTrigger value="unread" className="text-xs">Unread</TabsTrigger>
+              <TabsTrigger value="all" className="text-xs">All</TabsTrigger>
+            </TabsList>
+          </Tabs>
+        </div>
+
+        <ScrollArea className="h-[400px]">
+          {isLoading ? (
+            <div className="flex items-center justify-center py-12">
+              <Loader2 className="h-5 w-5 animate-spin text-muted-foreground" />
+            </div>
+          ) : groups.length === 0 ? (
+            <div className="flex flex-col items-center justify-center py-12 text-muted-foreground">
+              <Bell className="h-8 w-8 mb-2 opacity-40" />
+              <p className="text-sm">
+                {filter === 'unread' ? "You're all caught up" : 'No notifications yet'}
+              </p>
+            </div>
+          ) : (
+            <div className="py-2">
+              {groups.map(group => (
+                <div key={group.label}>
+                  <p className="px-4 pt-2 pb-1 text-[11px] font-medium uppercase tracking-wide text-muted-foreground">
+                    {group.label}
+                  </p>
+                  {group.items.map(notification => (
+                    <NotificationItem
+                      key={notification.id}
+                      notification={notification}
+                      onSelect={handleSelect}
+                    />
+                  ))}
+                </div>
+              ))}
+            </div>
+          )}
+        </ScrollArea>
+      </PopoverContent>
+    </Popover>
+  )
+}
+
+function NotificationItem({ notification, onSelect }) {
+  const Icon = TYPE_ICONS[notification.type] || Bell
+  const unread = isUnread(notification)
+
+  return (
+    <button
+      type="button"
+      onClick={() => onSelect(notification)}
+      className={cn(
+        'w-full flex items-start gap-3 px-4 py-2.5 text-left hover:bg-muted/50 transition-colors',
+        unread && 'bg-primary/5'
+      )}
+    >
+      <span className={cn('mt-0.5 flex h-7 w-7 shrink-0 items-center justify-center rounded-full', TYPE_STYLES[notification.type] || 'bg-muted text-muted-foreground')}>
+        <Icon className="h-3.5 w-3.5" />
+      </span>
+      <span className="flex-1 min-w-0">
+        <span className={cn('block text-sm truncate', unread && 'font-medium')}>{notification.title}</span>
+        {notification.body && (
+          <span className="block text-xs text-muted-foreground line-clamp-2">{notification.body}</span>
+        )}
+        <span className="block mt-0.5 text-[11px] text-muted-foreground">
+          {NOTIFICATION_TYPES[notification.type]?.label || 'Notification'}
+          {' · '}
+          {formatDistanceToNow(new Date(notification.created_at), { addSuffix: true })}
+        </span>
+      </span>
+      {unread && <span className="mt-2 h-2 w-2 shrink-0 rounded-full bg-primary" aria-label="Unread" />}
+    </button>
+  )
+}
@@ -4,6 +4,7 @@
  * Features:
  * - Full deliverable preview (images, PDFs, files)
  * - Version history
+ * - Entry point to the proofing viewer (pinned annotations)
  * - Comments/feedback
  * - Approval workflow actions
  * - Edit capabilities for admins
@@ -13,7 +14,7 @@ import {
   X, Download, ExternalLink, Clock, Calendar, User, Check, 
   AlertCircle, MessageSquare, Edit2, Trash2, MoreHorizontal,
   ChevronLeft, ChevronRight, FileText, Image, File,
-  Send, ThumbsUp, ThumbsDown, RotateCcw
+  Send, ThumbsUp, ThumbsDown, RotateCcw, MapPin
 } from 'lucide-react'
 import { UptradeSpinner } from '@/components/UptradeLoading'
 import { format, formatDistanceToNow, parseISO } from 'date-fns'
@@ -49,7 +50,7 @@ import {
 } from '@/components/ui/alert-dialog'
 
 // Config
-import { deliverableStatusConfig, deliverableTypeConfig } from '@/lib/hooks'
+import { deliverableStatusConfig, deliverableTypeConfig, useDeliverableVersions } from '@/lib/hooks'
 import { EmptyState } from '@/components/EmptyState'
 
 // File type helpers
@@ -380,6 +381,8 @@ export default function DeliverableDetailDrawer({
   onSubmitForReview,
   onEdit,
   onDelete,
+  onProof,
+  projectId,
 }) {
   const [isLoading, setIsLoading] = useState(false)
   const [newComment, setNewComment] = useState('')
@@ -389,7 +392,7 @@ export default function DeliverableDetailDrawer({
   const statusCfg = deliverableStatusConfig[deliverable?.status] || {}
   const typeCfg = deliverableTypeConfig[deliverable?.deliverable_type] || {}
 
-  // Mock comments and versions - would come from API
+  // Mock comments - would come from API
   const comments = useMemo(() => [
     {
       id: 1,
@@ -407,10 +410,9 @@ export default function DeliverableDetailDrawer({
     },
   ], [])
 
-  const versions = useMemo(() => [
-    { id: 1, version_number: 1, notes: 'Initial upload', created_at: new Date(Date.now() - 172800000).toISOString() },
-    { id: 2, version_number: 2, notes: 'Color adjustments', created_at: new Date(Date.now() - 86400000).toISOString() },
-  ], [])
+  const { data: versions = [] } = useDeliverableVersions(projectId, deliverable?.id, {
+    enabled: isOpen && !!projectId && !!deliverable?.id,
+  })
 
   // Handlers
   const handleSubmitComment = useCallback(async () => {
@@ -555,6 +557,13 @@ export default function DeliverableDetailDrawer({
             {activeTab === 'preview' && (
               <div className="p-4 space-y-4">
                 <FilePreview deliverable={deliverable} className="h-[400px]" />
+
+                {onProof && (
+                  <Button variant="outline" className="w-full" onClick={() => onProof(deliverable)}>
+                    <MapPin className="h-4 w-4 mr-1" />
+                    Proof & Annotate
+                  </Button>
+                )}
                 
                 {/* Metadata */}
                 <Card>
@@ -10,6 +10,7 @@
  * For Clients:
  * - View pending approvals
  * - Approve/request changes
+ * - Pin feedback on files in the proofing viewer
  * - View delivered items
  * - Download files
  */
@@ -18,7 +19,7 @@ import {
   Plus, Search, Filter, FileText, Image, Video, FileCode,
   Clock, CheckCircle2, AlertTriangle, Send, Download, Eye,
   MoreVertical, Edit, Trash2, ThumbsUp, ThumbsDown, Package,
-  ChevronRight, Calendar, User, Paperclip
+  ChevronRight, Calendar, User, Paperclip, MapPin
 } from 'lucide-react'
 import { toast } from 'sonner'
 import { cn } from '@/lib/utils'
@@ -81,6 +82,7 @@ export function DeliverablesPanel({
   onApprove,
   onRequestChanges,
   onDeliver,
+  onProof,
   isLoading = false,
 }) {
   const [searchQuery, setSearchQuery] = useState('')
@@ -235,6 +237,7 @@ export function DeliverablesPanel({
                     onView={() => onDeliverableSelect?.(deliverable)}
                     onApprove={() => setFeedbackDialog({ open: true, deliverable, type: 'approve' })}
                     onRequestChanges={() => setFeedbackDialog({ open: true, deliverable, type: 'changes' })}
+                    onProof={onProof ? () => onProof(deliverable) : undefined}
                   />
                 ))}
               </div>
@@ -256,6 +259,7 @@ export function DeliverablesPanel({
                   onApprove={() => setFeedbackDialog({ open: true, deliverable, type: 'approve' })}
                   onRequestChanges={() => setFeedbackDialog({ open: true, deliverable, type: 'changes' })}
                   onDelete={() => onDeliverableDelete?.(deliverable.id)}
+                  onProof={onProof ? () => onProof(deliverable) : undefined}
                 />
               ))}
             </div>
@@ -333,7 +337,7 @@ export function DeliverablesPanel({
 }
 
 // Approval Card for pending items
-function ApprovalCard({ deliverable, onView, onApprove, onRequestChanges }) {
+function ApprovalCard({ deliverable, onView, onApprove, onRequestChanges, onProof }) {
   const TypeIcon = TYPE_ICONS[deliverable.type] || Package
   
   return (
@@ -376,6 +380,12 @@ function ApprovalCard({ deliverable, onView, onApprove, onRequestChanges }) {
               <Eye className="h-4 w-4 mr-1" />
               Preview
             </Button>
+            {onProof && (
+              <Button size="sm" variant="outline" onClick={onProof}>
+                <MapPin className="h-4 w-4 mr-1" />
+                Annotate
+              </Button>
+            )}
             <Button size="sm" onClick={onApprove}>
               <CheckCircle2 className="h-4 w-4 mr-1" />
               Approve
@@ -400,6 +410,7 @@ function DeliverableCard({
   onApprove,
   onRequestChanges,
   onDelete,
+  onProof,
 }) {
   const statusConfig = DELIVERABLE_STATUS_CONFIG[deliverable.status]
   const typeConfig = DELIVERABLE_TYPE_CONFIG[deliverable.type]
@@ -452,6 +463,18 @@ function DeliverableCard({
               <Eye className="h-4 w-4 mr-2" />
               View Details
             </DropdownMenuItem>
+
+            {onProof && (
+              <DropdownMenuItem
+                onClick={(e) => {
+                  e.stopPropagation()
+                  onProof()
+                }}
+              >
+                <MapPin className="h-4 w-4 mr-2" />
+                Proof & Annotate
+              </DropdownMenuItem>
+            )}
             
             {isAdmin && deliverable.status === 'in_progress' && (
               <DropdownMenuItem onClick={onSubmit}>
@@ -525,10 +548,20 @@ function DeliverableCard({
         </div>
 
         {/* Version indicator */}
-        {deliverable.version > 1 && (
-          <Badge variant="outline" className="mt-2 text-[10px]">
-            v{deliverable.version}
-          </Badge>
+        {(deliverable.version > 1 || deliverable.open_annotations_count > 0) && (
+          <div className="flex items-center gap-1.5 mt-2">
+            {deliverable.version > 1 && (
+              <Badge variant="outline" className="text-[10px]">
+                v{deliverable.version}
+              </Badge>
+            )}
+            {deliverable.open_annotations_count > 0 && (
+              <Badge variant="outline" className="text-[10px]">
+                <MapPin className="h-3 w-3 mr-0.5" />
+                {deliverable.open_annotations_count} open
+              </Badge>
+            )}
+          </div>
         )}
       </CardContent>
     </Card>
@@ -0,0 +1,448 @@
+/**
+ * InvoiceTimeDialog - Turn unbilled time entries into a draft invoice
+ *
+ * Pick entries by date range, project or user, apply billable rates
+ * (per entry, service, user or default), group them into line items and
+ * create a draft invoice. The entries are marked billed so they can't be
+ * invoiced twice.
+ */
+import { useState, useEffect, useMemo } from 'react'
+import { format, addDays } from 'date-fns'
+import { Loader2, Receipt, AlertTriangle, Save } from 'lucide-react'
+import { toast } from 'sonner'
+
+import { Button } from '../ui/button'
+import { Input } from '../ui/input'
+import { Label } from '../ui/label'
+import { Checkbox } from '../ui/checkbox'
+import {
+  Dialog, DialogContent, DialogHeader, DialogTitle, DialogDescription, DialogFooter
+} from '../ui/dialog'
+import {
+  Select, SelectTrigger, SelectValue, SelectContent, SelectItem
+} from '../ui/select'
+
+import {
+  useUnbilledTimeEntries,
+  useBillableRates,
+  useUpdateBillableRates,
+  useInvoiceTimeEntries,
+  useOrgMembers,
+} from '@/lib/hooks'
+import {
+  INVOICE_GROUPINGS,
+  filterInvoiceableEntries,
+  getEntryHours,
+  getEntryDate,
+  getEntryUserName,
+  getEntryService,
+  resolveEntryRate,
+  buildInvoiceLineItems,
+  getLineItemTotals,
+  getEntriesWithoutRate,
+} from './timeInvoicing'
+
+const ALL = 'all'
+
+// Local calendar date - toISOString() would give tomorrow's date in the
+// evening west of UTC
+const toDateInput = (date) => format(date, 'yyyy-MM-dd')
+
+const formatMoney = (amount) =>
+  `$${(amount || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`
+
+const defaultFilters = () => {
+  const today = new Date()
+  return {
+    startDate: toDateInput(new Date(today.getFullYear(), today.getMonth(), 1)),
+    endDate: toDateInput(today),
+    projectId: '',
+    userId: '',
+  }
+}
+
+const InvoiceTimeDialog = ({ open, onOpenChange, projects = [], defaultProjectId = '' }) => {
+  const [filters, setFilters] = useState(() => ({ ...defaultFilters(), projectId: defaultProjectId }))
+  const [excludedIds, setExcludedIds] = useState(() => new Set())
+  const [grouping, setGrouping] = useState('task')
+  const [rates, setRates] = useState({ default_rate: '', users: {}, services: {} })
+  const [contactId, setContactId] = useState('')
+  const [taxRate, setTaxRate] = useState('0')
+  const [dueDate, setDueDate] = useState(() => toDateInput(addDays(new Date(), 30)))
+
+  // Reset when reopened so a previous run's selection doesn't linger
+  useEffect(() => {
+    if (open) {
+      setFilters({ ...defaultFilters(), projectId: defaultProjectId })
+      setExcludedIds(new Set())
+      setContactId('')
+    }
+  }, [open, defaultProjectId])
+
+  const { data: entriesData, isLoading } = useUnbilledTimeEntries(filters, { enabled: open })
+  const { data: savedRates } = useBillableRates({ enabled: open })
+  const updateRatesMutation = useUpdateBillableRates()
+  const invoiceMutation = useInvoiceTimeEntries()
+
+  useEffect(() => {
+    if (savedRates) {
+      setRates({
+        default_rate: savedRates.default_rate ?? '',
+        users: savedRates.users || {},
+        services: savedRates.services || {},
+      })
+    }
+  }, [savedRates])
+
+  // The API already filters; applying the same rules here keeps running or
+  // billed entries out even if the response includes them
+  const entries = useMemo(
+    () => filterInvoiceableEntries(Array.isArray(entriesData) ? entriesData : [], filters),
+    [entriesData, filters]
+  )
+  const selected = entries.filter(entry => !excludedIds.has(entry.id))
+
+  const users = useMemo(() => {
+    const byId = new Map()
+    entries.forEach(entry => entry.user_id && byId.set(entry.user_id, getEntryUserName(entry)))
+    return [...byId.entries()]
+  }, [entries])
+  const services = useMemo(
+    () => [...new Set(entries.map(getEntryService).filter(Boolean))],
+    [entries]
+  )
+
+  const lines = useMemo(() => buildInvoiceLineItems(selected, rates, grouping), [selected, rates, grouping])
+  const totals = getLineItemTotals(lines)
+  const withoutRate = getEntriesWithoutRate(selected, rates)
+
+  // An invoice goes to one client, so every entry must belong to the same org
+  const projectsById = useMemo(() => new Map(projects.map(p => [p.id, p])), [projects])
+  const orgIds = [...new Set(selected.map(entry => projectsById.get(entry.project_id)?.org_id).filter(Boolean))]
+  const projectIds = [...new Set(selected.map(entry => entry.project_id))]
+  const organizationId = orgIds.length === 1 ? orgIds[0] : null
+  const { data: members = [] } = useOrgMembers(organizationId, { enabled: open && !!organizationId })
+  const recipients = members.filter(member => member.contact?.id)
+
+  const toggleEntry = (id, checked) => {
+    setExcludedIds(prev => {
+      const next = new Set(prev)
+      if (checked) next.delete(id)
+      else next.add(id)
+      return next
+    })
+  }
+
+  const setRate = (scope, key, value) => {
+    setRates(prev => scope === 'default'
+      ? { ...prev, default_rate: value }
+      : { ...prev, [scope]: { ...prev[scope], [key]: value } })
+  }
+
+  const handleSaveRates = async () => {
+    try {
+      await updateRatesMutation.mutateAsync({
+        default_rate: rates.default_rate === '' ? null : Number(rates.default_rate),
+        users: rates.users,
+        services: rates.services,
+      })
+      toast.success('Rates saved')
+    } catch (err) {
+      toast.error(err.message || 'Failed to save rates')
+    }
+  }
+
+  const handleCreate = async () => {
+    try {
+      const invoice = await invoiceMutation.mutateAsync({
+        entryIds: selected.map(entry => entry.id),
+        invoiceData: {
+          organizationId,
+          contactId,
+          projectId: projectIds.length === 1 ? projectIds[0] : null,
+          amount: totals.amount,
+          taxRate: parseFloat(taxRate) || 0,
+          dueDate,
+          description: `Time from ${filters.startDate || 'start'} to ${filters.endDate || 'today'}`,
+          lineItems: lines.map(({ description, quantity, unitPrice, amount }) => ({
+            description, quantity, unitPrice, amount,
+          })),
+        },
+      })
+      toast.success(invoice.invoice_number ? `Draft invoice ${invoice.invoice_number} created` : 'Draft invoice created', {
+        description: `${selected.length} time entr${selected.length === 1 ? 'y' : 'ies'} marked as billed`,
+      })
+      onOpenChange(false)
+    } catch (err) {
+      if (err.response?.status === 409) {
+        toast.error('Some of these entries were already billed. Refresh and try again.')
+      } else {
+        toast.error(err.response?.data?.message || err.message || 'Failed to create invoice')
+      }
+    }
+  }
+
+  const canCreate = selected.length > 0 && totals.amount > 0 && organizationId && contactId && dueDate
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-4xl max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>Invoice Tracked Time</DialogTitle>
+          <DialogDescription>
+            Select unbilled time, check the rates and create a draft invoice.
+          </DialogDescription>
+        </DialogHeader>
+
+        {/* Filters */}
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+          <div className="space-y-1">
+            <Label>From</Label>
+            <Input
+              type="date"
+              value={filters.startDate}
+              onChange={(e) => setFilters(prev => ({ ...prev, startDate: e.target.value }))}
+            />
+          </div>
+          <div className="space-y-1">
+            <Label>To</Label>
+            <Input
+              type="date"
+              value={filters.endDate}
+              onChange={(e) => setFilters(prev => ({ ...prev, endDate: e.target.value }))}
+            />
+          </div>
+          <div className="space-y-1">
+            <Label>Project</Label>
+            <Select
+              value={filters.projectId || ALL}
+              onValueChange={(v) => setFilters(prev => ({ ...prev, projectId: v === ALL ? '' : v }))}
+            >
+              <SelectTrigger>
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value={ALL}>All projects</SelectItem>
+                {projects.filter(p => !p.is_tenant).map((project) => (
+                  <SelectItem key={project.id} value={project.id}>{project.title}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+          <div className="space-y-1">
+            <Label>Team member</Label>
+            <Select
+              value={filters.userId || ALL}
+              onValueChange={(v) => setFilters(prev => ({ ...prev, userId: v === ALL ? '' : v }))}
+            >
+              <SelectTrigger>
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value={ALL}>Everyone</SelectItem>
+                {users.map(([id, name]) => (
+                  <SelectItem key={id} value={id}>{name}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+        </div>
+
+        {/* Entries */}
+        <div className="border rounded-lg max-h-56 overflow-y-auto">
+          {isLoading ? (
+            <div className="flex items-center justify-center py-8">
+              <Loader2 className="w-5 h-5 animate-spin text-[var(--brand-primary)]" />
+            </div>
+          ) : entries.length === 0 ? (
+            <p className="py-8 text-center text-sm text-[var(--text-secondary)]">No unbilled time in this range</p>
+          ) : (
+            <table className="w-full text-sm">
+              <thead className="sticky top-0 bg-[var(--surface-secondary)] text-xs text-[var(--text-secondary)]">
+                <tr>
+                  <th className="p-2 w-8">
+                    <Checkbox
+                      checked={excludedIds.size === 0}
+                      onCheckedChange={(checked) => setExcludedIds(checked ? new Set() : new Set(entries.map(e => e.id)))}
+                      aria-label="Select all entries"
+                    />
+                  </th>
+                  <th className="p-2 text-left">Date</th>
+                  <th className="p-2 text-left">Description</th>
+                  <th className="p-2 text-left">Who</th>
+                  <th className="p-2 text-right">Hours</th>
+                  <th className="p-2 text-right">Rate</th>
+                </tr>
+              </thead>
+              <tbody>
+                {entries.map((entry) => {
+                  const { rate, source } = resolveEntryRate(entry, rates)
+                  return (
+                    <tr key={entry.id} className="border-t">
+                      <td className="p-2">
+                        <Checkbox
+                          checked={!excludedIds.has(entry.id)}
+                          onCheckedChange={(checked) => toggleEntry(entry.id, checked)}
+                          aria-label="Include entry"
+                        />
+                      </td>
+                      <td className="p-2 whitespace-nowrap">{getEntryDate(entry)}</td>
+                      <td className="p-2 truncate max-w-[240px]">{entry.task_title || entry.description || 'No description'}</td>
+                      <td className="p-2">{getEntryUserName(entry)}</td>
+                      <td className="p-2 text-right font-mono">{getEntryHours(entry).toFixed(2)}</td>
+                      <td className="p-2 text-right" title={source ? `From ${source} rate` : 'No rate'}>
+                        {rate ? `$${rate}/h` : <span className="text-amber-600">—</span>}
+                      </td>
+                    </tr>
+                  )
+                })}
+              </tbody>
+            </table>
+          )}
+        </div>
+
+        {/* Rates */}
+        <div className="space-y-2">
+          <div className="flex items-center justify-between">
+            <Label>Billable rates ($/hour)</Label>
+            <Button variant="ghost" size="sm" onClick={handleSaveRates} disabled={updateRatesMutation.isPending}>
+              <Save className="w-4 h-4 mr-1" />
+              Save as defaults
+            </Button>
+          </div>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+            <div className="space-y-1">
+              <p className="text-xs text-[var(--text-secondary)]">Default</p>
+              <Input
+                type="number"
+                step="0.01"
+                value={rates.default_rate ?? ''}
+                onChange={(e) => setRate('default', null, e.target.value)}
+                placeholder="150.00"
+              />
+            </div>
+            {users.map(([id, name]) => (
+              <div key={`user-${id}`} className="space-y-1">
+                <p className="text-xs text-[var(--text-secondary)] truncate">{name}</p>
+                <Input
+                  type="number"
+                  step="0.01"
+                  value={rates.users?.[id] ?? ''}
+                  onChange={(e) => setRate('users', id, e.target.value)}
+                  placeholder="Default"
+                />
+              </div>
+            ))}
+            {services.map((service) => (
+              <div key={`service-${service}`} className="space-y-1">
+                <p className="text-xs text-[var(--text-secondary)] truncate capitalize">{service} (service)</p>
+                <Input
+                  type="number"
+                  step="0.01"
+                  value={rates.services?.[service] ?? ''}
+                  onChange={(e) => setRate('services', service, e.target.value)}
+                  placeholder="Default"
+                />
+              </div>
+            ))}
+          </div>
+          <p className="text-xs text-[var(--text-secondary)]">
+            A rate set on an entry wins, then the service rate, then the team member&apos;s rate, then the default.
+          </p>
+        </div>
+
+        {/* Line items */}
+        <div className="space-y-2">
+          <div className="flex items-center justify-between">
+            <Label>Line items</Label>
+            <Select value={grouping} onValueChange={setGrouping}>
+              <SelectTrigger className="w-[160px]">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {Object.entries(INVOICE_GROUPINGS).map(([key, config]) => (
+                  <SelectItem key={key} value={key}>{config.label}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+          <div className="border rounded-lg divide-y text-sm">
+            {lines.length === 0 ? (
+              <p className="p-3 text-center text-[var(--text-secondary)]">Select entries to build the invoice</p>
+            ) : (
+              lines.map((line) => (
+                <div key={line.key} className="flex items-center gap-3 p-2">
+                  <span className="flex-1 truncate">{line.description}</span>
+                  <span className="font-mono text-[var(--text-secondary)]">{line.quantity.toFixed(2)} h × ${line.unitPrice}</span>
+                  <span className="w-24 text-right font-medium">{formatMoney(line.amount)}</span>
+                </div>
+              ))
+            )}
+            {lines.length > 0 && (
+              <div className="flex items-center gap-3 p-2 font-semibold">
+                <span className="flex-1">Total</span>
+                <span className="font-mono">{totals.hours.toFixed(2)} h</span>
+                <span className="w-24 text-right">{formatMoney(totals.amount)}</span>
+              </div>
+            )}
+          </div>
+          {withoutRate.length > 0 && (
+            <p className="flex items-center gap-1 text-xs text-amber-600">
+              <AlertTriangle className="w-3.5 h-3.5" />
+              {withoutRate.length} entr{withoutRate.length === 1 ? 'y has' : 'ies have'} no rate and would be billed at $0
+            </p>
+          )}
+        </div>
+
+        {/* Invoice details */}
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+          <div className="space-y-1">
+            <Label>Send invoice to *</Label>
+            <Select value={contactId} onValueChange={setContactId} disabled={!organizationId}>
+              <SelectTrigger>
+                <SelectValue placeholder={organizationId ? 'Select recipient' : 'Select entries for one client'} />
+              </SelectTrigger>
+              <SelectContent>
+                {recipients.map((member) => (
+                  <SelectItem key={member.contact.id} value={member.contact.id}>
+                    {member.contact.name || member.contact.email}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+          <div className="space-y-1">
+            <Label>Due date *</Label>
+            <Input type="date" value={dueDate} onChange={(e) => setDueDate(e.target.value)} />
+          </div>
+          <div className="space-y-1">
+            <Label>Tax rate (%)</Label>
+            <Input type="number" step="0.01" value={taxRate} onChange={(e) => setTaxRate(e.target.value)} />
+          </div>
+        </div>
+        {orgIds.length > 1 && (
+          <p className="flex items-center gap-1 text-xs text-amber-600">
+            <AlertTriangle className="w-3.5 h-3.5" />
+            The selected time belongs to more than one client. Filter by project to invoice one client at a time.
+          </p>
+        )}
+
+        <DialogFooter>
+          <Button variant="outline" onClick={() => onOpenChange(false)}>
+            Cancel
+          </Button>
+          <Button variant="glass-primary" onClick={handleCreate} disabled={!canCreate || invoiceMutation.isPending}>
+            {invoiceMutation.isPending ? (
+              <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+            ) : (
+              <Receipt className="w-4 h-4 mr-2" />
+            )}
+            Create Draft Invoice
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  )
+}
+
+export default InvoiceTimeDialog
@@ -54,8 +54,10 @@ import { UptradeTaskNavigation, UserTaskNavigation } from './TaskNavigation'
 import UptradeTasksPanel from './UptradeTasksPanel'
 import UserTasksPanel from './UserTasksPanel'
 import { TaskDetailDrawer } from './TaskDetailDrawer'
+import { getTaskSpan, rescheduleTask } from './taskSchedule'
 import { DeliverablesPanel } from './DeliverablesPanel'
 import { DeliverableDetailDrawer } from './DeliverableDetailDrawer'
+import { ProofingViewer } from './ProofingViewer'
 import ProjectOverviewPanel from './ProjectOverviewPanel'
 import ProjectSettingsPanel from './ProjectSettingsPanel'
 import ConnectionWizard from './ConnectionWizard'
@@ -81,6 +83,7 @@ import {
   useAddUptradeTaskChecklistItem,
   useToggleUptradeTaskChecklistItem,
   useRemoveUptradeTaskChecklistItem,
+  useRescheduleUptradeTasks,
   useUserTasks,
   useUserTasksStats,
   useUserTasksCategories,
@@ -378,6 +381,7 @@ export default function ProjectsV2({ onNavigate }) {
   const [isTaskDrawerOpen, setIsTaskDrawerOpen] = useState(false)
   const [selectedDeliverable, setSelectedDeliverable] = useState(null)
   const [isDeliverableDrawerOpen, setIsDeliverableDrawerOpen] = useState(false)
+  const [proofingDeliverable, setProofingDeliverable] = useState(null)
   const [showLeftSidebar, setShowLeftSidebar] = useState(true)
   const [showRightSidebar, setShowRightSidebar] = useState(true)
   const [searchQuery, setSearchQuery] = useState('')
@@ -407,6 +411,13 @@ export default function ProjectsV2({ onNavigate }) {
   const addChecklistItemMutation = useAddUptradeTaskChecklistItem(selectedProject?.id)
   const toggleChecklistItemMutation = useToggleUptradeTaskChecklistItem(selectedProject?.id)
   const removeChecklistItemMutation = useRemoveUptradeTaskChecklistItem(selectedProject?.id)
+  const rescheduleTasksMutation = useRescheduleUptradeTasks(selectedProject?.id)
+  // Unfiltered list for dependency pickers and pushing dependents
+  const { data: allUptradeTasks = [] } = useUptradeTasks(
+    selectedProject?.id,
+    {},
+    { enabled: !!selectedProject?.id && viewType === 'uptrade-admin' }
+  )
 
   const { data: userTasksData = [], isLoading: userTasksLoading } = useUserTasks(
     { categoryId: activeUserCategory },
@@ -680,10 +691,22 @@ export default function ProjectsV2({ onNavigate }) {
     if (!selectedProject?.id) return
     if (selectedTask?.id) {
       await handleTaskUpdate(selectedTask.id, data)
+
+      // New dates or dependencies can push later tasks forward
+      const updated = { ...selectedTask, ...data }
+      const span = getTaskSpan(updated)
+      if (span) {
+        const graph = allUptradeTasks.map(task => (task.id === updated.id ? updated : task))
+        const pushed = rescheduleTask(graph, updated.id, span).filter(update => update.id !== updated.id)
+        if (pushed.length > 0) {
+          await rescheduleTasksMutation.mutateAsync(pushed)
+          toast.info(`Pushed ${pushed.length} dependent task${pushed.length > 1 ? 's' : ''} forward`)
+        }
+      }
     } else {
       await handleTaskCreate(data)
     }
-  }, [selectedProject?.id, selectedTask?.id, handleTaskCreate, handleTaskUpdate])
+  }, [selectedProject?.id, selectedTask, allUptradeTasks, handleTaskCreate, handleTaskUpdate, rescheduleTasksMutation])
 
   // Checklist handlers
   const handleAddChecklistItem = useCallback(async (taskId, title) => {
@@ -1159,6 +1182,7 @@ export default function ProjectsV2({ onNavigate }) {
                       onApprove={handleApprove}
                       onRequestChanges={handleRequestChanges}
                       onDeliver={handleDeliver}
+                      onProof={setProofingDeliverable}
                       isLoading={deliverablesLoading}
                     />
                   ) : (
@@ -1252,6 +1276,7 @@ export default function ProjectsV2({ onNavigate }) {
           onRemoveChecklistItem={handleRemoveChecklistItem}
           isNew={!selectedTask?.id}
           enabledModules={selectedProject?.features || []}
+          projectTasks={allUptradeTasks}
         />
 
         {/* Deliverable Detail Drawer */}
@@ -1269,6 +1294,17 @@ export default function ProjectsV2({ onNavigate }) {
           onSubmitForReview={() => handleSubmitForReview(selectedDeliverable?.id)}
           onEdit={handleDeliverableSelect}
           onDelete={handleDeliverableDelete}
+          onProof={setProofingDeliverable}
+          projectId={selectedProject?.id}
+        />
+
+        <ProofingViewer
+          deliverable={proofingDeliverable}
+          projectId={selectedProject?.id}
+          isOpen={!!proofingDeliverable}
+          onClose={() => setProofingDeliverable(null)}
+          isAdmin={viewType === 'uptrade-admin'}
+          onRequestChanges={(feedback) => handleRequestChanges(proofingDeliverable?.id, feedback)}
         />
       </>
     </TooltipProvider>
@@ -0,0 +1,823 @@
+/**
+ * ProofingViewer - Visual proofing for deliverables
+ *
+ * Features:
+ * - Images, PDFs and page screenshots per file version
+ * - Numbered pins and drawn regions on images, each with its own thread
+ *   (PDFs scroll inside their own frame, so they are view-only)
+ * - Resolve / reopen; open items carry forward to newer versions
+ * - Side-by-side and overlay comparison between versions
+ * - Send open items as a change request
+ */
+import { useState, useMemo, useRef, useEffect } from 'react'
+import {
+  MousePointer2, MapPin, Square, Columns2, Layers, Upload, Camera,
+  Check, RotateCcw, Send, MessageSquare, File, ThumbsDown, Monitor,
+  Tablet, Smartphone,
+} from 'lucide-react'
+import { formatDistanceToNow, parseISO } from 'date-fns'
+import { toast } from 'sonner'
+import { cn } from '@/lib/utils'
+
+// UI Components
+import { Button } from '@/components/ui/button'
+import { Badge } from '@/components/ui/badge'
+import { Textarea } from '@/components/ui/textarea'
+import { ScrollArea } from '@/components/ui/scroll-area'
+import { Slider } from '@/components/ui/slider'
+import { Switch } from '@/components/ui/switch'
+import { Label } from '@/components/ui/label'
+import {
+  Dialog, DialogContent, DialogHeader, DialogTitle, DialogDescription,
+} from '@/components/ui/dialog'
+import {
+  Select, SelectContent, SelectItem, SelectTrigger, SelectValue,
+} from '@/components/ui/select'
+import {
+  DropdownMenu, DropdownMenuContent, DropdownMenuItem, DropdownMenuTrigger,
+} from '@/components/ui/dropdown-menu'
+import { UptradeSpinner } from '@/components/UptradeLoading'
+
+import {
+  useDeliverableVersions,
+  useCreateDeliverableVersion,
+  useDeliverableAnnotations,
+  useCreateDeliverableAnnotation,
+  useReplyToDeliverableAnnotation,
+  useResolveDeliverableAnnotation,
+  useProjectScreenshots,
+} from '@/lib/hooks'
+import {
+  PROOFING_TOOLS,
+  PROOFING_COMPARE_MODES,
+  pointToUnit,
+  normalizeRegion,
+  getProofingKind,
+  getScreenshotSources,
+  getAnnotationsForVersion,
+  compareVersionAnnotations,
+  getAnnotationStats,
+} from './proofing'
+
+const TOOL_ICONS = {
+  select: MousePointer2,
+  pin: MapPin,
+  region: Square,
+}
+
+const COMPARE_ICONS = {
+  single: File,
+  side_by_side: Columns2,
+  overlay: Layers,
+}
+
+const DEVICE_ICONS = {
+  desktop: Monitor,
+  tablet: Tablet,
+  mobile: Smartphone,
+}
+
+function versionLabel(version) {
+  return `v${version.version_number}${version.notes ? ` · ${version.notes}` : ''}`
+}
+
+// Renders one version with its annotations on top and handles drawing
+function ProofCanvas({
+  version,
+  annotations = [],
+  tool = 'select',
+  activeId,
+  draft,
+  onSelect,
+  onDraft,
+  className,
+}) {
+  const layerRef = useRef(null)
+  const [drag, setDrag] = useState(null) // { from, to } in unit coordinates
+  const kind = getProofingKind(version)
+  const drawing = tool !== 'select'
+
+  const unitPoint = (event) => pointToUnit(event.clientX, event.clientY, layerRef.current?.getBoundingClientRect())
+
+  const handlePointerDown = (event) => {
+    if (!drawing || event.button !== 0) return
+    event.preventDefault()
+    const point = unitPoint(event)
+    if (tool === 'pin') {
+      onDraft?.({ shape: 'pin', x: point.x, y: point.y })
+      return
+    }
+    event.currentTarget.setPointerCapture(event.pointerId)
+    setDrag({ from: point, to: point })
+  }
+
+  const handlePointerMove = (event) => {
+    if (!drag) return
+    setDrag(current => current && { ...current, to: unitPoint(event) })
+  }
+
+  const handlePointerUp = () => {
+    if (!drag) return
+    const region = normalizeRegion(drag.from, drag.to)
+    // A click with the region tool still drops a pin
+    onDraft?.(region ? { shape: 'region', ...region } : { shape: 'pin', ...drag.from })
+    setDrag(null)
+  }
+
+  const preview = drag ? normalizeRegion(drag.from, drag.to) : null
+
+  if (!version?.file_url) {
+    return (
+      <div className={cn('flex items-center justify-center bg-muted rounded-lg text-muted-foreground', className)}>
+        <p className="text-sm">No file for this version</p>
+      </div>
+    )
+  }
+
+  if (kind === 'other') {
+    return (
+      <div className={cn('flex items-center justify-center bg-muted rounded-lg', className)}>
+        <div className="text-center p-6">
+          <File className="h-12 w-12 mx-auto mb-3 text-muted-foreground" />
+          <p className="text-sm text-muted-foreground mb-3">This file type can't be proofed in the browser</p>
+          <Button variant="outline" size="sm" asChild>
+            <a href={version.file_url} target="_blank" rel="noopener noreferrer">Open file</a>
+          </Button>
+        </div>
+      </div>
+    )
+  }
+
+  return (
+    <div className={cn('overflow-auto bg-muted rounded-lg', className)}>
+      <div className={cn('relative mx-auto', kind === 'pdf' ? 'h-full w-full' : 'w-fit')}>
+        {kind === 'image' ? (
+          <img
+            src={version.file_url}
+            alt={versionLabel(version)}
+            className="block max-w-full h-auto select-none"
+            draggable={false}
+          />
+        ) : (
+          <iframe
+            src={`${version.file_url}#view=FitH`}
+            className="w-full h-full min-h-[600px] border-0"
+            title={versionLabel(version)}
+          />
+        )}
+
+        {/* Annotation layer - positions are fractions of the image. Not
+            drawn over PDFs: their frame scrolls, so a position there
+            wouldn't point at the same spot of the document again */}
+        {kind === 'image' && (
+          <div
+            ref={layerRef}
+            className={cn('absolute inset-0', drawing ? 'cursor-crosshair' : 'pointer-events-none')}
+            onPointerDown={handlePointerDown}
+            onPointerMove={handlePointerMove}
+            onPointerUp={handlePointerUp}
+          >
+            {annotations.map(annotation => (
+              <AnnotationMarker
+                key={annotation.id}
+                annotation={annotation}
+                active={annotation.id === activeId}
+                onSelect={onSelect}
+              />
+            ))}
+            {draft && <AnnotationMarker annotation={{ ...draft, id: 'draft', open: true }} active />}
+            {preview && (
+              <div
+                className="absolute border-2 border-dashed border-primary bg-primary/10"
+                style={{
+                  left: `${preview.x * 100}%`,
+                  top: `${preview.y * 100}%`,
+                  width: `${preview.width * 100}%`,
+                  height: `${preview.height * 100}%`,
+                }}
+              />
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+function AnnotationMarker({ annotation, active, onSelect }) {
+  const color = annotation.open ? 'bg-primary text-primary-foreground' : 'bg-emerald-500 text-white'
+  const label = annotation.id === 'draft' ? '+' : annotation.number
+
+  const badge = (
+    <button
+      type="button"
+      onClick={(e) => {
+        e.stopPropagation()
+        onSelect?.(annotation.id)
+      }}
+      onPointerDown={(e) => e.stopPropagation()}
+      className={cn(
+        'pointer-events-auto flex h-6 min-w-6 items-center justify-center rounded-full px-1 text-xs font-semibold shadow-md ring-2 ring-white',
+        color,
+        annotation.carried && 'opacity-80',
+        active && 'scale-125'
+      )}
+      aria-label={`Annotation ${label}`}
+    >
+      {label}
+    </button>
+  )
+
+  if (annotation.shape === 'region') {
+    return (
+      <div
+        className={cn(
+          'absolute border-2 rounded-sm',
+          annotation.open ? 'border-primary bg-primary/10' : 'border-emerald-500 bg-emerald-500/5',
+          annotation.carried && 'border-dashed',
+          active && 'ring-2 ring-primary/40'
+        )}
+        style={{
+          left: `${annotation.x * 100}%`,
+          top: `${annotation.y * 100}%`,
+          width: `${annotation.width * 100}%`,
+          height: `${annotation.height * 100}%`,
+        }}
+      >
+        <div className="absolute -top-3 -left-3">{badge}</div>
+      </div>
+    )
+  }
+
+  return (
+    <div
+      className="absolute -translate-x-1/2 -translate-y-1/2"
+      style={{ left: `${annotation.x * 100}%`, top: `${annotation.y * 100}%` }}
+    >
+      {badge}
+    </div>
+  )
+}
+
+// Thread for one annotation in the side panel
+function AnnotationThread({ annotation, active, onSelect, onReply, onResolve, isBusy }) {
+  const [reply, setReply] = useState('')
+  const comments = annotation.comments || []
+
+  return (
+    <div
+      className={cn(
+        'rounded-lg border p-3 transition-colors',
+        active ? 'border-primary/40 bg-primary/5' : 'hover:bg-muted/50 cursor-pointer'
+      )}
+      onClick={() => !active && onSelect(annotation.id)}
+    >
+      <div className="flex items-start gap-2">
+        <span className={cn(
+          'flex h-5 min-w-5 shrink-0 items-center justify-center rounded-full px-1 text-[11px] font-semibold',
+          annotation.open ? 'bg-primary text-primary-foreground' : 'bg-emerald-500 text-white'
+        )}>
+          {annotation.number}
+        </span>
+        <div className="flex-1 min-w-0">
+          <div className="flex items-center gap-1.5 text-xs text-muted-foreground">
+            <span className="font-medium text-foreground truncate">{annotation.created_by_name || 'Reviewer'}</span>
+            {annotation.created_at && (
+              <span>{formatDistanceToNow(parseISO(annotation.created_at), { addSuffix: true })}</span>
+            )}
+          </div>
+          <p className={cn('text-sm whitespace-pre-wrap', !active && 'line-clamp-2')}>{annotation.body}</p>
+          <div className="flex flex-wrap gap-1 mt-1">
+            {annotation.carried && <Badge variant="outline" className="text-[10px]">From earlier version</Badge>}
+            {!annotation.open && <Badge variant="outline" className="text-[10px] text-emerald-600">Resolved</Badge>}
+            {!active && comments.length > 0 && (
+              <span className="flex items-center gap-1 text-[11px] text-muted-foreground">
+                <MessageSquare className="h-3 w-3" />
+                {comments.length}
+              </span>
+            )}
+          </div>
+        </div>
+      </div>
+
+      {active && (
+        <div className="mt-3 space-y-3">
+          {comments.map(comment => (
+            <div key={comment.id} className="pl-7">
+              <div className="flex items-center gap-1.5 text-xs text-muted-foreground">
+                <span className="font-medium text-foreground">{comment.author_name || 'Reviewer'}</span>
+                {comment.created_at && (
+                  <span>{formatDistanceToNow(parseISO(comment.created_at), { addSuffix: true })}</span>
+                )}
+              </div>
+              <p className="text-sm whitespace-pre-wrap">{comment.body}</p>
+            </div>
+          ))}
+
+          <div className="pl-7 space-y-2">
+            <Textarea
+              value={reply}
+              onChange={(e) => setReply(e.target.value)}
+              placeholder="Reply..."
+              rows={2}
+            />
+            <div className="flex gap-2">
+              <Button
+                size="sm"
+                disabled={!reply.trim() || isBusy}
+                onClick={() => {
+                  onReply(annotation.id, reply.trim())
+                  setReply('')
+                }}
+              >
+                <Send className="h-3.5 w-3.5 mr-1" />
+                Reply
+              </Button>
+              <Button
+                size="sm"
+                variant="outline"
+                disabled={isBusy}
+                onClick={() => onResolve(annotation.id, annotation.open)}
+              >
+                {annotation.open ? (
+                  <><Check className="h-3.5 w-3.5 mr-1" />Resolve</>
+                ) : (
+                  <><RotateCcw className="h-3.5 w-3.5 mr-1" />Reopen</>
+                )}
+              </Button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default function ProofingViewer({
+  deliverable,
+  projectId,
+  isOpen,
+  onClose,
+  isAdmin = false,
+  onRequestChanges,
+}) {
+  const deliverableId = deliverable?.id
+  const [versionId, setVersionId] = useState(null)
+  const [compareId, setCompareId] = useState(null)
+  const [compareMode, setCompareMode] = useState('single')
+  const [tool, setTool] = useState('select')
+  const [activeId, setActiveId] = useState(null)
+  const [draft, setDraft] = useState(null)
+  const [draftBody, setDraftBody] = useState('')
+  const [showResolved, setShowResolved] = useState(false)
+  const [overlayOpacity, setOverlayOpacity] = useState(50)
+  const [highlightDiff, setHighlightDiff] = useState(false)
+  const fileInputRef = useRef(null)
+
+  const { data: versions = [], isLoading: versionsLoading } = useDeliverableVersions(projectId, deliverableId, { enabled: isOpen && !!deliverableId })
+  const { data: annotations = [] } = useDeliverableAnnotations(projectId, deliverableId, { enabled: isOpen && !!deliverableId })
+  const { data: screenshots } = useProjectScreenshots(projectId, { enabled: isOpen && isAdmin })
+  const createVersion = useCreateDeliverableVersion(projectId)
+  const createAnnotation = useCreateDeliverableAnnotation(projectId)
+  const replyToAnnotation = useReplyToDeliverableAnnotation(projectId)
+  const resolveAnnotation = useResolveDeliverableAnnotation(projectId)
+
+  // Default to the latest version, compared against the one before it
+  useEffect(() => {
+    if (!versions.length) return
+    if (!versions.some(v => v.id === versionId)) {
+      setVersionId(versions[versions.length - 1].id)
+    }
+  }, [versions, versionId])
+
+  useEffect(() => {
+    if (!versions.length || !versionId) return
+    if (!compareId || compareId === versionId || !versions.some(v => v.id === compareId)) {
+      const index = versions.findIndex(v => v.id === versionId)
+      const fallback = versions[index - 1] || versions.find(v => v.id !== versionId)
+      setCompareId(fallback?.id || null)
+    }
+  }, [versions, versionId, compareId])
+
+  const currentVersion = versions.find(v => v.id === versionId)
+  const compareVersion = versions.find(v => v.id === compareId)
+  const canCompare = versions.length > 1 && !!compareVersion
+  const canOverlay = canCompare &&
+    getProofingKind(currentVersion) === 'image' &&
+    getProofingKind(compareVersion) === 'image'
+  const mode = !canCompare
+    ? 'single'
+    : compareMode === 'overlay' && !canOverlay ? 'side_by_side' : compareMode
+  const canAnnotate = getProofingKind(currentVersion) === 'image'
+
+  const visible = useMemo(
+    () => getAnnotationsForVersion(annotations, versions, versionId),
+    [annotations, versions, versionId]
+  )
+  const compareVisible = useMemo(
+    () => getAnnotationsForVersion(annotations, versions, compareId),
+    [annotations, versions, compareId]
+  )
+  const listed = showResolved ? visible : visible.filter(a => a.open || a.id === activeId)
+  const stats = getAnnotationStats(visible)
+  const changes = useMemo(
+    () => canCompare ? compareVersionAnnotations(annotations, versions, compareId, versionId) : null,
+    [annotations, versions, compareId, versionId, canCompare]
+  )
+  const screenshotSources = getScreenshotSources(screenshots)
+
+  const resetDraft = () => {
+    setDraft(null)
+    setDraftBody('')
+  }
+
+  useEffect(() => {
+    if (!canAnnotate) {
+      setTool('select')
+      resetDraft()
+    }
+  }, [canAnnotate])
+
+  const handleDraft = (shape) => {
+    setDraft(shape)
+    setActiveId(null)
+  }
+
+  const handleCreateAnnotation = () => {
+    if (!draft || !draftBody.trim()) return
+    createAnnotation.mutate(
+      { deliverableId, data: { ...draft, version_id: versionId, body: draftBody.trim() } },
+      {
+        onSuccess: (annotation) => {
+          resetDraft()
+          setTool('select')
+          if (annotation?.id) setActiveId(annotation.id)
+        },
+        onError: (err) => {
+          console.error('Failed to add annotation:', err)
+          toast.error('Failed to add annotation')
+        },
+      }
+    )
+  }
+
+  const handleReply = (annotationId, body) => {
+    replyToAnnotation.mutate(
+      { deliverableId, annotationId, body },
+      {
+        onError: (err) => {
+          console.error('Failed to reply to annotation:', err)
+          toast.error('Failed to send reply')
+        },
+      }
+    )
+  }
+
+  const handleResolve = (annotationId, resolved) => {
+    resolveAnnotation.mutate(
+      { deliverableId, annotationId, resolved, versionId },
+      {
+        onError: (err) => {
+          console.error('Failed to update annotation:', err)
+          toast.error('Failed to update annotation')
+        },
+      }
+    )
+  }
+
+  const addVersion = (data, successMessage) => {
+    createVersion.mutate(
+      { deliverableId, data },
+      {
+        onSuccess: (version) => {
+          if (version?.id) setVersionId(version.id)
+          toast.success(successMessage)
+        },
+        onError: (err) => {
+          console.error('Failed to add version:', err)
+          toast.error('Failed to add version')
+        },
+      }
+    )
+  }
+
+  const handleUpload = (event) => {
+    const file = event.target.files?.[0]
+    event.target.value = ''
+    if (!file) return
+    const formData = new FormData()
+    formData.append('file', file)
+    formData.append('notes', file.name)
+    addVersion(formData, 'New version uploaded')
+  }
+
+  const handleAddScreenshot = (source) => {
+    addVersion(
+      {
+        file_url: source.url,
+        file_type: 'image/png',
+        source: 'screenshot',
+        notes: `${source.device.charAt(0).toUpperCase()}${source.device.slice(1)} screenshot`,
+      },
+      'Screenshot added as a new version'
+    )
+  }
+
+  // Turn the open pins into the free-text feedback the approval flow expects
+  const handleSendChanges = async () => {
+    const open = visible.filter(a => a.open)
+    if (!open.length) return
+    const feedback = open.map(a => `#${a.number}: ${a.body}`).join('\n')
+    await onRequestChanges?.(feedback)
+    onClose?.()
+  }
+
+  if (!deliverable) return null
+
+  return (
+    <Dialog open={isOpen} onOpenChange={(open) => !open && onClose?.()}>
+      <DialogContent className="max-w-[95vw] w-[95vw] h-[90vh] p-0 gap-0 flex flex-col">
+        <DialogHeader className="px-4 py-3 border-b shrink-0">
+          <DialogTitle className="truncate pr-8">Proof: {deliverable.title}</DialogTitle>
+          <DialogDescription className="sr-only">
+            Add pins or regions to leave feedback on this deliverable.
+          </DialogDescription>
+
+          {/* Toolbar */}
+          <div className="flex flex-wrap items-center gap-2 pt-2">
+            {versions.length > 0 && (
+              <Select value={versionId || undefined} onValueChange={(value) => { setVersionId(value); resetDraft() }}>
+                <SelectTrigger className="h-8 w-48">
+                  <SelectValue placeholder="Version" />
+                </SelectTrigger>
+                <SelectContent>
+                  {versions.map(version => (
+                    <SelectItem key={version.id} value={version.id}>{versionLabel(version)}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            )}
+
+            {canCompare && (
+              <div className="flex items-center rounded-md border p-0.5">
+                {Object.entries(PROOFING_COMPARE_MODES).map(([key, config]) => {
+                  const Icon = COMPARE_ICONS[key]
+                  return (
+                    <Button
+                      key={key}
+                      size="sm"
+                      variant={mode === key ? 'secondary' : 'ghost'}
+                      className="h-7 px-2"
+                      disabled={key === 'overlay' && !canOverlay}
+                      onClick={() => {
+                        setCompareMode(key)
+                        setTool('select')
+                        resetDraft()
+                      }}
+                      title={key === 'overlay' && !canOverlay ? 'Overlay needs two image versions' : config.label}
+                    >
+                      <Icon className="h-3.5 w-3.5 mr-1" />
+                      {config.label}
+                    </Button>
+                  )
+                })}
+              </div>
+            )}
+
+            {mode !== 'single' && (
+              <Select value={compareId || undefined} onValueChange={setCompareId}>
+                <SelectTrigger className="h-8 w-48">
+                  <SelectValue placeholder="Compare with" />
+                </SelectTrigger>
+                <SelectContent>
+                  {versions.filter(v => v.id !== versionId).map(version => (
+                    <SelectItem key={version.id} value={version.id}>Compare with {versionLabel(version)}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            )}
+
+            {mode === 'single' && currentVersion && !canAnnotate && (
+              <span className="text-xs text-muted-foreground">Pins and regions are only available on images</span>
+            )}
+
+            {mode === 'single' && currentVersion && canAnnotate && (
+              <div className="flex items-center rounded-md border p-0.5">
+                {Object.entries(PROOFING_TOOLS).map(([key, config]) => {
+                  const Icon = TOOL_ICONS[key]
+                  return (
+                    <Button
+                      key={key}
+                      size="sm"
+                      variant={tool === key ? 'secondary' : 'ghost'}
+                      className="h-7 px-2"
+                      onClick={() => setTool(key)}
+                      title={config.description}
+                    >
+                      <Icon className="h-3.5 w-3.5 mr-1" />
+                      {config.label}
+                    </Button>
+                  )
+                })}
+              </div>
+            )}
+
+            <div className="ml-auto flex items-center gap-2">
+              <Badge variant="outline">{stats.open} open</Badge>
+              {stats.carried > 0 && <Badge variant="outline">{stats.carried} carried forward</Badge>}
+              {isAdmin && (
+                <>
+                  <input ref={fileInputRef} type="file" className="hidden" onChange={handleUpload} />
+                  <Button
+                    size="sm"
+                    variant="outline"
+                    className="h-8"
+                    disabled={createVersion.isPending}
+                    onClick={() => fileInputRef.current?.click()}
+                  >
+                    <Upload className="h-3.5 w-3.5 mr-1" />
+                    New Version
+                  </Button>
+                  {screenshotSources.length > 0 && (
+                    <DropdownMenu>
+                      <DropdownMenuTrigger asChild>
+                        <Button size="sm" variant="outline" className="h-8" disabled={createVersion.isPending}>
+                          <Camera className="h-3.5 w-3.5 mr-1" />
+                          Screenshot
+                        </Button>
+                      </DropdownMenuTrigger>
+                      <DropdownMenuContent align="end">
+                        {screenshotSources.map(source => {
+                          const Icon = DEVICE_ICONS[source.device]
+                          return (
+                            <DropdownMenuItem key={source.device} onClick={() => handleAddScreenshot(source)}>
+                              <Icon className="h-4 w-4 mr-2" />
+                              <span className="capitalize">{source.device}</span>
+                            </DropdownMenuItem>
+                          )
+                        })}
+                      </DropdownMenuContent>
+                    </DropdownMenu>
+                  )}
+                </>
+              )}
+              {!isAdmin && deliverable.status === 'pending_review' && onRequestChanges && (
+                <Button size="sm" className="h-8" disabled={stats.open === 0} onClick={handleSendChanges}>
+                  <ThumbsDown className="h-3.5 w-3.5 mr-1" />
+                  Request Changes ({stats.open})
+                </Button>
+              )}
+            </div>
+          </div>
+        </DialogHeader>
+
+        <div className="flex flex-1 min-h-0">
+          {/* Canvas */}
+          <div className="flex-1 min-w-0 p-4 flex flex-col gap-3">
+            {versionsLoading ? (
+              <div className="flex-1 flex items-center justify-center">
+                <UptradeSpinner size="md" />
+              </div>
+            ) : versions.length === 0 ? (
+              <div className="flex-1 flex items-center justify-center text-muted-foreground">
+                <p className="text-sm">
+                  No versions yet{isAdmin ? ' - upload a file or add a page screenshot to start proofing' : ''}
+                </p>
+              </div>
+            ) : mode === 'side_by_side' ? (
+              <div className="flex-1 min-h-0 grid grid-cols-2 gap-3">
+                {[compareVersion, currentVersion].map((version, index) => (
+                  <div key={version.id} className="flex flex-col min-h-0 gap-1">
+                    <p className="text-xs font-medium text-muted-foreground">{versionLabel(version)}</p>
+                    <ProofCanvas
+                      version={version}
+                      annotations={(index === 0 ? compareVisible : visible).filter(a => showResolved || a.open)}
+                      activeId={activeId}
+                      onSelect={setActiveId}
+                      className="flex-1 min-h-0"
+                    />
+                  </div>
+                ))}
+              </div>
+            ) : mode === 'overlay' ? (
+              <div className="flex-1 min-h-0 flex flex-col gap-2">
+                <div className="flex items-center gap-4">
+                  <span className="text-xs text-muted-foreground shrink-0">v{compareVersion.version_number}</span>
+                  <Slider
+                    value={[overlayOpacity]}
+                    onValueChange={([value]) => setOverlayOpacity(value)}
+                    max={100}
+                    step={1}
+                    className="max-w-xs"
+                    disabled={highlightDiff}
+                  />
+                  <span className="text-xs text-muted-foreground shrink-0">v{currentVersion.version_number}</span>
+                  <div className="flex items-center gap-2 ml-4">
+                    <Switch id="proof-highlight-diff" checked={highlightDiff} onCheckedChange={setHighlightDiff} />
+                    <Label htmlFor="proof-highlight-diff" className="text-xs">Highlight differences</Label>
+                  </div>
+                </div>
+                <div className="flex-1 min-h-0 overflow-auto bg-muted rounded-lg">
+                  {/* Difference blending leaves unchanged pixels black so edits stand out */}
+                  <div className="relative w-fit mx-auto isolate">
+                    <img src={compareVersion.file_url} alt={versionLabel(compareVersion)} className="block max-w-full h-auto" />
+                    <img
+                      src={currentVersion.file_url}
+                      alt={versionLabel(currentVersion)}
+                      className={cn('absolute inset-0 w-full h-full object-contain', highlightDiff && 'mix-blend-difference')}
+                      style={{ opacity: highlightDiff ? 1 : overlayOpacity / 100 }}
+                    />
+                  </div>
+                </div>
+              </div>
+            ) : (
+              <ProofCanvas
+                version={currentVersion}
+                annotations={listed}
+                tool={tool}
+                activeId={activeId}
+                draft={draft}
+                onSelect={(id) => {
+                  setActiveId(id)
+                  resetDraft()
+                }}
+                onDraft={handleDraft}
+                className="flex-1 min-h-0"
+              />
+            )}
+
+            {changes && mode !== 'single' && (
+              <p className="text-xs text-muted-foreground shrink-0">
+                Since v{compareVersion.version_number}: {changes.addressed.length} addressed
+                {' · '}{changes.stillOpen.length} still open
+                {' · '}{changes.raised.length} new
+              </p>
+            )}
+          </div>
+
+          {/* Threads */}
+          <div className="w-80 shrink-0 border-l flex flex-col">
+            <div className="flex items-center justify-between px-3 py-2 border-b">
+              <span className="text-sm font-medium">Feedback</span>
+              <div className="flex items-center gap-2">
+                <Label htmlFor="proof-show-resolved" className="text-xs text-muted-foreground">Show resolved</Label>
+                <Switch id="proof-show-resolved" checked={showResolved} onCheckedChange={setShowResolved} />
+              </div>
+            </div>
+            <ScrollArea className="flex-1">
+              <div className="p-3 space-y-2">
+                {draft && (
+                  <div className="rounded-lg border border-primary/40 bg-primary/5 p-3 space-y-2">
+                    <p className="text-xs font-medium">
+                      New {draft.shape === 'region' ? 'region' : 'pin'} on v{currentVersion?.version_number}
+                    </p>
+                    <Textarea
+                      value={draftBody}
+                      onChange={(e) => setDraftBody(e.target.value)}
+                      placeholder="What should change here?"
+                      rows={3}
+                      autoFocus
+                    />
+                    <div className="flex gap-2">
+                      <Button size="sm" variant="outline" onClick={resetDraft}>Cancel</Button>
+                      <Button
+                        size="sm"
+                        disabled={!draftBody.trim() || createAnnotation.isPending}
+                        onClick={handleCreateAnnotation}
+                      >
+                        Add
+                      </Button>
+                    </div>
+                  </div>
+                )}
+
+                {listed.map(annotation => (
+                  <AnnotationThread
+                    key={annotation.id}
+                    annotation={annotation}
+                    active={annotation.id === activeId}
+                    onSelect={setActiveId}
+                    onReply={handleReply}
+                    onResolve={handleResolve}
+                    isBusy={replyToAnnotation.isPending || resolveAnnotation.isPending}
+                  />
+                ))}
+
+                {!draft && listed.length === 0 && (
+                  <div className="text-center py-8 text-muted-foreground">
+                    <MapPin className="h-6 w-6 mx-auto mb-2 opacity-50" />
+                    <p className="text-sm">No open feedback</p>
+                    <p className="text-xs">Use Pin or Region to mark something that needs changing.</p>
+                  </div>
+                )}
+              </div>
+            </ScrollArea>
+          </div>
+        </div>
+      </DialogContent>
+    </Dialog>
+  )
+}
+
+// Named export
+export { ProofingViewer }
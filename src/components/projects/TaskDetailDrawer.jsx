@@ -3,6 +3,7 @@
  * 
  * Features:
  * - Full task editing
+ * - Start/due dates, milestones and dependencies (finish-to-start, start-to-start)
  * - Checklist management
  * - Assignee selection
  * - File attachments
@@ -13,7 +14,8 @@ import {
   X, Calendar, Clock, Users, Tag, Paperclip, Plus,
   CheckCircle2, Circle, AlertTriangle, Trash2, Edit,
   ChevronDown, Save, MoreVertical,
-  Search, Radio, Star, Zap, ShoppingCart, BookOpen, Mail, ListTodo
+  Search, Radio, Star, Zap, ShoppingCart, BookOpen, Mail, ListTodo,
+  Diamond, GitBranch
 } from 'lucide-react'
 import { toast } from 'sonner'
 import { cn } from '@/lib/utils'
@@ -26,6 +28,7 @@ import { Textarea } from '@/components/ui/textarea'
 import { Label } from '@/components/ui/label'
 import { Badge } from '@/components/ui/badge'
 import { Checkbox } from '@/components/ui/checkbox'
+import { Switch } from '@/components/ui/switch'
 import { Avatar, AvatarFallback, AvatarImage } from '@/components/ui/avatar'
 import { ScrollArea } from '@/components/ui/scroll-area'
 import { Separator } from '@/components/ui/separator'
@@ -61,6 +64,7 @@ import {
   UPTRADE_TASK_PRIORITY_CONFIG,
   UPTRADE_TASK_MODULE_CONFIG,
 } from '@/lib/hooks'
+import { DEPENDENCY_TYPES, wouldCreateCycle } from './taskSchedule'
 
 // Module icon mapping (matches Sidebar.jsx)
 const MODULE_ICONS = {
@@ -80,6 +84,7 @@ export function TaskDetailDrawer({
   onRemoveChecklistItem,
   isNew = false,
   enabledModules = [], // Array of enabled module keys from project features
+  projectTasks = [], // All tasks in the project, for picking dependencies
 }) {
   const [formData, setFormData] = useState({
     title: '',
@@ -87,12 +92,16 @@ export function TaskDetailDrawer({
     status: 'not_started',
     priority: 'medium',
     module: '',
+    start_date: null,
     due_date: null,
     due_time: '',
+    is_milestone: false,
+    dependencies: [],
     assigned_to: [],
     tags: [],
     estimated_hours: '',
   })
+  const [newDependency, setNewDependency] = useState({ task_id: '', type: 'finish_to_start' })
   const [newChecklistItem, setNewChecklistItem] = useState('')
   const [isSaving, setIsSaving] = useState(false)
 
@@ -105,8 +114,11 @@ export function TaskDetailDrawer({
         status: task.status || 'not_started',
         priority: task.priority || 'medium',
         module: task.module || '',
+        start_date: task.start_date ? parseISO(task.start_date) : null,
         due_date: task.due_date ? parseISO(task.due_date) : null,
         due_time: task.due_time || '',
+        is_milestone: !!task.is_milestone,
+        dependencies: task.dependencies || [],
         assigned_to: task.assigned_to || [],
         tags: task.tags || [],
         estimated_hours: task.estimated_hours?.toString() || '',
@@ -118,13 +130,17 @@ export function TaskDetailDrawer({
         status: 'not_started',
         priority: 'medium',
         module: '',
+        start_date: null,
         due_date: null,
         due_time: '',
+        is_milestone: false,
+        dependencies: [],
         assigned_to: [],
         tags: [],
         estimated_hours: '',
       })
     }
+    setNewDependency({ task_id: '', type: 'finish_to_start' })
   }, [task])
 
   const handleChange = (field, value) => {
@@ -140,16 +156,49 @@ export function TaskDetailDrawer({
     }))
   }
 
+  // Candidates exclude this task and anything that would close a loop
+  const dependencyOptions = useMemo(() => {
+    const taskId = task?.id
+    const linked = new Set(formData.dependencies.map(dep => dep.task_id))
+    const graph = projectTasks.map(t => (t.id === taskId ? { ...t, dependencies: formData.dependencies } : t))
+    return projectTasks.filter(t =>
+      t.id !== taskId &&
+      !linked.has(t.id) &&
+      (!taskId || !wouldCreateCycle(graph, taskId, t.id))
+    )
+  }, [projectTasks, task?.id, formData.dependencies])
+
+  const handleAddDependency = () => {
+    if (!newDependency.task_id) return
+    handleChange('dependencies', [...formData.dependencies, { ...newDependency, lag_days: 0 }])
+    setNewDependency({ task_id: '', type: 'finish_to_start' })
+  }
+
+  const handleUpdateDependency = (taskId, changes) => {
+    handleChange('dependencies', formData.dependencies.map(dep =>
+      dep.task_id === taskId ? { ...dep, ...changes } : dep
+    ))
+  }
+
+  const handleRemoveDependency = (taskId) => {
+    handleChange('dependencies', formData.dependencies.filter(dep => dep.task_id !== taskId))
+  }
+
   const handleSave = async () => {
     if (!formData.title.trim()) {
       toast.error('Task title is required')
       return
     }
+    if (formData.start_date && formData.due_date && formData.start_date > formData.due_date) {
+      toast.error('Start date must be before the due date')
+      return
+    }
 
     setIsSaving(true)
     try {
       await onSave?.({
         ...formData,
+        start_date: formData.start_date && !formData.is_milestone ? format(formData.start_date, 'yyyy-MM-dd') : null,
         due_date: formData.due_date ? format(formData.due_date, 'yyyy-MM-dd') : null,
         estimated_hours: formData.estimated_hours ? parseFloat(formData.estimated_hours) : null,
       })
@@ -317,10 +366,52 @@ export function TaskDetailDrawer({
               </Select>
             </div>
 
+            {/* Milestone */}
+            <div className="flex items-center justify-between">
+              <Label htmlFor="task-milestone" className="flex items-center gap-2 text-sm cursor-pointer">
+                <Diamond className="h-4 w-4 text-violet-500" />
+                Milestone
+              </Label>
+              <Switch
+                id="task-milestone"
+                checked={formData.is_milestone}
+                onCheckedChange={(checked) => handleChange('is_milestone', checked)}
+              />
+            </div>
+
+            {/* Start Date */}
+            {!formData.is_milestone && (
+              <div>
+                <Label className="text-xs text-muted-foreground">Start Date</Label>
+                <Popover>
+                  <PopoverTrigger asChild>
+                    <Button
+                      variant="outline"
+                      className={cn(
+                        "w-full justify-start mt-1 font-normal",
+                        !formData.start_date && "text-muted-foreground"
+                      )}
+                    >
+                      <Calendar className="h-4 w-4 mr-2" />
+                      {formData.start_date ? format(formData.start_date, 'PPP') : 'Pick a date'}
+                    </Button>
+                  </PopoverTrigger>
+                  <PopoverContent className="w-auto p-0" align="start">
+                    <CalendarComponent
+                      mode="single"
+                      selected={formData.start_date}
+                      onSelect={(date) => handleChange('start_date', date)}
+                      initialFocus
+                    />
+                  </PopoverContent>
+                </Popover>
+              </div>
+            )}
+
             {/* Due Date & Time */}
             <div className="flex gap-4">
               <div className="flex-1">
-                <Label className="text-xs text-muted-foreground">Due Date</Label>
+                <Label className="text-xs text-muted-foreground">{formData.is_milestone ? 'Date' : 'Due Date'}</Label>
                 <Popover>
                   <PopoverTrigger asChild>
                     <Button
@@ -443,6 +534,96 @@ export function TaskDetailDrawer({
 
             <Separator />
 
+            {/* Dependencies */}
+            <div>
+              <Label className="text-xs text-muted-foreground mb-2 flex items-center gap-1.5">
+                <GitBranch className="h-3.5 w-3.5" />
+                Depends On
+              </Label>
+
+              <div className="space-y-2 mb-3">
+                {formData.dependencies.map((dep) => {
+                  const predecessor = projectTasks.find(t => t.id === dep.task_id)
+                  return (
+                    <div key={dep.task_id} className="flex items-center gap-2 text-sm">
+                      <span className="flex-1 truncate">{predecessor?.title || 'Deleted task'}</span>
+                      <Select
+                        value={dep.type || 'finish_to_start'}
+                        onValueChange={(v) => handleUpdateDependency(dep.task_id, { type: v })}
+                      >
+                        <SelectTrigger className="h-8 w-36">
+                          <SelectValue />
+                        </SelectTrigger>
+                        <SelectContent>
+                          {Object.entries(DEPENDENCY_TYPES).map(([key, config]) => (
+                            <SelectItem key={key} value={key}>
+                              {config.label}
+                            </SelectItem>
+                          ))}
+                        </SelectContent>
+                      </Select>
+                      <Input
+                        type="number"
+                        value={dep.lag_days ?? 0}
+                        onChange={(e) => handleUpdateDependency(dep.task_id, { lag_days: parseInt(e.target.value, 10) || 0 })}
+                        className="h-8 w-16"
+                        title="Lag in days"
+                      />
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        className="h-8 w-8 p-0"
+                        onClick={() => handleRemoveDependency(dep.task_id)}
+                      >
+                        <X className="h-3 w-3" />
+                      </Button>
+                    </div>
+                  )
+                })}
+                {formData.dependencies.length === 0 && (
+                  <p className="text-xs text-muted-foreground">No dependencies. This task can start any time.</p>
+                )}
+              </div>
+
+              {dependencyOptions.length > 0 && (
+                <div className="flex gap-2">
+                  <Select
+                    value={newDependency.task_id}
+                    onValueChange={(v) => setNewDependency(prev => ({ ...prev, task_id: v }))}
+                  >
+                    <SelectTrigger className="flex-1">
+                      <SelectValue placeholder="Add a task this depends on..." />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {dependencyOptions.map(t => (
+                        <SelectItem key={t.id} value={t.id}>{t.title}</SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                  <Select
+                    value={newDependency.type}
+                    onValueChange={(v) => setNewDependency(prev => ({ ...prev, type: v }))}
+                  >
+                    <SelectTrigger className="w-36">
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {Object.entries(DEPENDENCY_TYPES).map(([key, config]) => (
+                        <SelectItem key={key} value={key}>
+                          {config.label}
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                  <Button variant="secondary" size="sm" onClick={handleAddDependency} disabled={!newDependency.task_id}>
+                    <Plus className="h-4 w-4" />
+                  </Button>
+                </div>
+              )}
+            </div>
+
+            <Separator />
+
             {/* Checklist */}
             {!isNew && task && (
               <div>
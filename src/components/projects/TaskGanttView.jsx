@@ -0,0 +1,463 @@
+/**
+ * TaskGanttView - Timeline view for Uptrade tasks
+ *
+ * Features:
+ * - Day / week / month zoom
+ * - Drag bars to move, drag the right edge to change duration
+ * - Dependents are pushed forward when a task moves (see taskSchedule.js)
+ * - Finish-to-start / start-to-start dependency arrows
+ * - Critical path highlight and milestones
+ * - Client-facing deadlines with slippage
+ */
+import { useState, useMemo, useEffect, useRef, useCallback } from 'react'
+import { AlertTriangle, Diamond, GitBranch, Loader2 } from 'lucide-react'
+import { toast } from 'sonner'
+import { cn } from '@/lib/utils'
+import { format } from 'date-fns'
+
+import { Button } from '@/components/ui/button'
+import { Badge } from '@/components/ui/badge'
+import { Switch } from '@/components/ui/switch'
+import { Label } from '@/components/ui/label'
+import {
+  Tooltip,
+  TooltipContent,
+  TooltipProvider,
+  TooltipTrigger,
+} from '@/components/ui/tooltip'
+
+import { useUptradeTasks, useRescheduleUptradeTasks, useProjectDeadlines } from '@/lib/hooks'
+import {
+  GANTT_ZOOM_LEVELS,
+  computeCriticalPath,
+  fromDayIndex,
+  getDeadlineSlippage,
+  getTaskDependencies,
+  getTaskSpan,
+  getTimelineRange,
+  rescheduleTask,
+  toDayIndex,
+} from './taskSchedule'
+
+const ROW_HEIGHT = 36
+const HEADER_HEIGHT = 44
+const LABEL_WIDTH = 240
+
+// Day index -> Date at local midnight, for date-fns formatting
+const dayToDate = (day) => {
+  const [year, month, date] = fromDayIndex(day).split('-').map(Number)
+  return new Date(year, month - 1, date)
+}
+
+function getHeaderTicks(range, zoom) {
+  const ticks = []
+  for (let day = range.start; day <= range.end; day++) {
+    const date = dayToDate(day)
+    if (zoom === 'day') {
+      ticks.push({ day, label: format(date, 'd'), major: date.getDate() === 1 || day === range.start, majorLabel: format(date, 'MMM yyyy') })
+    } else if (zoom === 'week' && date.getDay() === 1) {
+      ticks.push({ day, label: format(date, 'MMM d') })
+    } else if (zoom === 'month' && date.getDate() === 1) {
+      ticks.push({ day, label: format(date, 'MMM yyyy') })
+    }
+  }
+  return ticks
+}
+
+export function TaskGanttView({ tasks = [], projectId, onTaskSelect }) {
+  const [zoom, setZoom] = useState('week')
+  const [showCriticalPath, setShowCriticalPath] = useState(true)
+  const [drag, setDrag] = useState(null) // { taskId, mode: 'move' | 'resize', originX, span, delta }
+  const scrollRef = useRef(null)
+
+  // `tasks` may be filtered (status, module, search); scheduling always runs
+  // over the whole project so hidden dependents still get pushed
+  const { data: projectTasks } = useUptradeTasks(projectId)
+  const allTasks = projectTasks?.length ? projectTasks : tasks
+  const { data: deadlines = [] } = useProjectDeadlines(projectId)
+  const rescheduleMutation = useRescheduleUptradeTasks(projectId)
+
+  const dayWidth = GANTT_ZOOM_LEVELS[zoom].dayWidth
+  const today = toDayIndex(format(new Date(), 'yyyy-MM-dd'))
+
+  // While dragging, preview the moved task and every dependent it pushes
+  const preview = useMemo(() => {
+    if (!drag || drag.delta === 0) return null
+    const span = drag.mode === 'move'
+      ? { start: drag.span.start + drag.delta, end: drag.span.end + drag.delta }
+      : { start: drag.span.start, end: Math.max(drag.span.start, drag.span.end + drag.delta) }
+    return rescheduleTask(allTasks, drag.taskId, span)
+  }, [drag, allTasks])
+
+  const scheduledTasks = useMemo(() => {
+    if (!preview) return allTasks
+    const byId = new Map(preview.map(update => [update.id, update]))
+    return allTasks.map(task => (byId.has(task.id) ? { ...task, ...byId.get(task.id) } : task))
+  }, [allTasks, preview])
+
+  const displayTasks = useMemo(() => {
+    const visible = new Set(tasks.map(task => task.id))
+    return scheduledTasks.filter(task => visible.has(task.id))
+  }, [tasks, scheduledTasks])
+
+  const rows = useMemo(() => {
+    return [...displayTasks].sort((a, b) => {
+      const aSpan = getTaskSpan(a)
+      const bSpan = getTaskSpan(b)
+      if (!aSpan && !bSpan) return 0
+      if (!aSpan) return 1
+      if (!bSpan) return -1
+      return aSpan.start - bSpan.start || aSpan.end - bSpan.end
+    })
+  }, [displayTasks])
+
+  const rowIndex = useMemo(() => new Map(rows.map((task, index) => [task.id, index])), [rows])
+  const criticalPath = useMemo(() => computeCriticalPath(scheduledTasks), [scheduledTasks])
+  const deadlineStatus = useMemo(() => getDeadlineSlippage(deadlines, scheduledTasks), [deadlines, scheduledTasks])
+  const slipped = deadlineStatus.filter(deadline => deadline.slipDays > 0)
+
+  // Range is based on saved dates so the grid doesn't jump mid-drag
+  const range = useMemo(() => getTimelineRange(tasks, deadlines, { today }), [tasks, deadlines, today])
+  const ticks = useMemo(() => getHeaderTicks(range, zoom), [range, zoom])
+  const timelineWidth = range.days * dayWidth
+  const dayX = useCallback((day) => (day - range.start) * dayWidth, [range.start, dayWidth])
+
+  // Scroll today into view when the zoom or visible range changes
+  useEffect(() => {
+    if (scrollRef.current) {
+      scrollRef.current.scrollLeft = Math.max(0, dayX(today) - 120)
+    }
+  }, [dayX, today])
+
+  const commitDrag = useCallback(async (finished) => {
+    const task = tasks.find(t => t.id === finished.taskId)
+    if (finished.delta === 0) {
+      if (finished.mode === 'move') onTaskSelect?.(task)
+      return
+    }
+    const span = finished.mode === 'move'
+      ? { start: finished.span.start + finished.delta, end: finished.span.end + finished.delta }
+      : { start: finished.span.start, end: Math.max(finished.span.start, finished.span.end + finished.delta) }
+    const updates = rescheduleTask(allTasks, finished.taskId, span)
+
+    try {
+      await rescheduleMutation.mutateAsync(updates)
+      if (updates.length > 1) {
+        toast.success(`Moved "${task?.title}" and pushed ${updates.length - 1} dependent task${updates.length > 2 ? 's' : ''}`)
+      }
+    } catch (error) {
+      console.error('Failed to reschedule tasks:', error)
+      toast.error('Failed to reschedule task')
+    }
+  }, [tasks, allTasks, onTaskSelect, rescheduleMutation])
+
+  useEffect(() => {
+    if (!drag) return
+
+    const handleMove = (e) => {
+      const delta = Math.round((e.clientX - drag.originX) / dayWidth)
+      if (delta !== drag.delta) setDrag(prev => prev && { ...prev, delta })
+    }
+    const handleUp = () => {
+      const finished = drag
+      setDrag(null)
+      commitDrag(finished)
+    }
+
+    window.addEventListener('pointermove', handleMove)
+    window.addEventListener('pointerup', handleUp)
+    return () => {
+      window.removeEventListener('pointermove', handleMove)
+      window.removeEventListener('pointerup', handleUp)
+    }
+  }, [drag, dayWidth, commitDrag])
+
+  const startDrag = (e, task, mode) => {
+    if (task.status === 'completed' || e.button !== 0) return
+    e.preventDefault()
+    e.stopPropagation()
+    setDrag({ taskId: task.id, mode, originX: e.clientX, span: getTaskSpan(task), delta: 0 })
+  }
+
+  // Dependency arrows between rows
+  const arrows = useMemo(() => {
+    const byId = new Map(displayTasks.map(task => [task.id, task]))
+    const paths = []
+    for (const task of displayTasks) {
+      const span = getTaskSpan(task)
+      if (!span) continue
+      for (const dep of getTaskDependencies(task)) {
+        const predecessor = byId.get(dep.task_id)
+        const predecessorSpan = predecessor && getTaskSpan(predecessor)
+        if (!predecessorSpan) continue
+
+        const x1 = dep.type === 'start_to_start' ? dayX(predecessorSpan.start) : dayX(predecessorSpan.end + 1)
+        const y1 = rowIndex.get(predecessor.id) * ROW_HEIGHT + ROW_HEIGHT / 2
+        const x2 = dayX(span.start)
+        const y2 = rowIndex.get(task.id) * ROW_HEIGHT + ROW_HEIGHT / 2
+        const elbow = dep.type === 'start_to_start' ? Math.min(x1, x2) - 8 : x1 + 8
+        const critical = showCriticalPath && criticalPath.critical.has(task.id) && criticalPath.critical.has(predecessor.id)
+
+        paths.push({
+          key: `${predecessor.id}-${task.id}`,
+          d: `M ${x1} ${y1} H ${elbow} V ${y2} H ${x2 - 2}`,
+          critical,
+        })
+      }
+    }
+    return paths
+  }, [displayTasks, rowIndex, dayX, criticalPath, showCriticalPath])
+
+  const bodyHeight = Math.max(rows.length, 1) * ROW_HEIGHT
+
+  return (
+    <TooltipProvider>
+      <div className="flex flex-col h-full">
+        {/* Toolbar */}
+        <div className="flex items-center justify-between gap-4 px-4 py-2 border-b">
+          <div className="flex border rounded-md">
+            {Object.entries(GANTT_ZOOM_LEVELS).map(([key, config], index, all) => (
+              <Button
+                key={key}
+                variant={zoom === key ? 'secondary' : 'ghost'}
+                size="sm"
+                className={cn(
+                  index > 0 && 'rounded-l-none',
+                  index < all.length - 1 && 'rounded-r-none'
+                )}
+                onClick={() => setZoom(key)}
+              >
+                {config.label}
+              </Button>
+            ))}
+          </div>
+
+          <div className="flex items-center gap-4 text-xs text-muted-foreground">
+            {rescheduleMutation.isPending && <Loader2 className="h-3.5 w-3.5 animate-spin" />}
+            <span className="flex items-center gap-1">
+              <Diamond className="h-3 w-3" /> Milestone
+            </span>
+            <span className="flex items-center gap-1">
+              <GitBranch className="h-3 w-3" /> Dependency
+            </span>
+            <div className="flex items-center gap-2">
+              <Switch id="gantt-critical-path" checked={showCriticalPath} onCheckedChange={setShowCriticalPath} />
+              <Label htmlFor="gantt-critical-path" className="text-xs cursor-pointer">Critical path</Label>
+            </div>
+          </div>
+        </div>
+
+        {/* Slippage against client deadlines */}
+        {slipped.length > 0 && (
+          <div className="flex flex-wrap items-center gap-2 px-4 py-2 border-b bg-red-50 dark:bg-red-950/20 text-xs">
+            <AlertTriangle className="h-3.5 w-3.5 text-red-500" />
+            <span className="font-medium text-red-700 dark:text-red-400">Behind client deadlines:</span>
+            {slipped.map(deadline => (
+              <Badge key={deadline.id || deadline.item_id} variant="outline" className="border-red-200 text-red-700 dark:text-red-400">
+                {deadline.name} · {deadline.slipDays}d late
+              </Badge>
+            ))}
+          </div>
+        )}
+
+        {/* Grid */}
+        <div className="flex flex-1 min-h-0 overflow-auto" ref={scrollRef}>
+          {/* Task labels */}
+          <div className="sticky left-0 z-20 shrink-0 bg-background border-r" style={{ width: LABEL_WIDTH }}>
+            <div className="sticky top-0 z-10 bg-background border-b px-3 flex items-end pb-1 text-xs font-medium text-muted-foreground" style={{ height: HEADER_HEIGHT }}>
+              Task
+            </div>
+            {rows.map(task => {
+              const slack = criticalPath.slack.get(task.id)
+              return (
+                <button
+                  key={task.id}
+                  type="button"
+                  onClick={() => onTaskSelect?.(task)}
+                  className="w-full flex items-center gap-2 px-3 text-left text-sm border-b border-border/50 hover:bg-muted/50"
+                  style={{ height: ROW_HEIGHT }}
+                >
+                  {task.is_milestone && <Diamond className="h-3 w-3 shrink-0 text-violet-500" />}
+                  <span className={cn('truncate flex-1', task.status === 'completed' && 'line-through text-muted-foreground')}>
+                    {task.title}
+                  </span>
+                  {slack > 0 && (
+                    <span className="text-[10px] text-muted-foreground" title="Days this task can slip without moving the finish">
+                      +{slack}d
+                    </span>
+                  )}
+                </button>
+              )
+            })}
+          </div>
+
+          {/* Timeline */}
+          <div className="relative shrink-0" style={{ width: timelineWidth }}>
+            {/* Header */}
+            <div className="sticky top-0 z-10 border-b bg-background" style={{ height: HEADER_HEIGHT }}>
+              {ticks.map(tick => (
+                <div
+                  key={tick.day}
+                  className="absolute bottom-0 text-[10px] text-muted-foreground border-l border-border/50 pl-1"
+                  style={{ left: dayX(tick.day), height: zoom === 'day' ? 20 : HEADER_HEIGHT }}
+                >
+                  {tick.major && <span className="absolute -top-5 left-1 whitespace-nowrap font-medium">{tick.majorLabel}</span>}
+                  {tick.label}
+                </div>
+              ))}
+              {deadlineStatus.map(deadline => (
+                <Tooltip key={deadline.id || deadline.item_id}>
+                  <TooltipTrigger asChild>
+                    <div
+                      className={cn(
+                        'absolute top-1 -translate-x-1/2 h-2.5 w-2.5 rotate-45 cursor-default',
+                        deadline.slipDays > 0 ? 'bg-red-500' : 'bg-emerald-500'
+                      )}
+                      style={{ left: dayX(deadline.day + 1) }}
+                    />
+                  </TooltipTrigger>
+                  <TooltipContent>
+                    <p className="font-medium">{deadline.name}</p>
+                    <p className="text-xs">
+                      Due {format(dayToDate(deadline.day), 'MMM d')}
+                      {deadline.slipDays > 0 && ` · planned ${format(dayToDate(deadline.plannedFinish), 'MMM d')} (${deadline.slipDays}d late)`}
+                      {deadline.slipDays === 0 && ' · on track'}
+                    </p>
+                  </TooltipContent>
+                </Tooltip>
+              ))}
+            </div>
+
+            {/* Body */}
+            <div className="relative" style={{ height: bodyHeight }}>
+              {/* Row stripes */}
+              {rows.map((task, index) => (
+                <div
+                  key={task.id}
+                  className="absolute left-0 right-0 border-b border-border/50"
+                  style={{ top: index * ROW_HEIGHT, height: ROW_HEIGHT }}
+                />
+              ))}
+
+              {/* Week separators */}
+              {zoom !== 'month' && ticks.map(tick => (
+                <div
+                  key={tick.day}
+                  className="absolute top-0 bottom-0 border-l border-border/30"
+                  style={{ left: dayX(tick.day) }}
+                />
+              ))}
+
+              {/* Today */}
+              <div className="absolute top-0 bottom-0 w-px bg-primary/60" style={{ left: dayX(today) }} />
+
+              {/* Deadlines (end of the due day) */}
+              {deadlineStatus.map(deadline => (
+                <div
+                  key={deadline.id || deadline.item_id}
+                  className={cn(
+                    'absolute top-0 bottom-0 border-l border-dashed',
+                    deadline.slipDays > 0 ? 'border-red-500' : 'border-emerald-500/70'
+                  )}
+                  style={{ left: dayX(deadline.day + 1) }}
+                />
+              ))}
+
+              {/* Dependency arrows */}
+              <svg className="absolute inset-0 pointer-events-none" width={timelineWidth} height={bodyHeight}>
+                <defs>
+                  <marker id="gantt-arrow" markerWidth="6" markerHeight="6" refX="5" refY="3" orient="auto">
+                    <path d="M0,0 L6,3 L0,6 z" className="fill-muted-foreground" />
+                  </marker>
+                  <marker id="gantt-arrow-critical" markerWidth="6" markerHeight="6" refX="5" refY="3" orient="auto">
+                    <path d="M0,0 L6,3 L0,6 z" className="fill-red-500" />
+                  </marker>
+                </defs>
+                {arrows.map(arrow => (
+                  <path
+                    key={arrow.key}
+                    d={arrow.d}
+                    fill="none"
+                    strokeWidth="1.5"
+                    className={arrow.critical ? 'stroke-red-500' : 'stroke-muted-foreground/60'}
+                    markerEnd={`url(#${arrow.critical ? 'gantt-arrow-critical' : 'gantt-arrow'})`}
+                  />
+                ))}
+              </svg>
+
+              {/* Bars */}
+              {rows.map((task, index) => {
+                const span = getTaskSpan(task)
+                if (!span) {
+                  return (
+                    <span
+                      key={task.id}
+                      className="absolute text-[11px] italic text-muted-foreground"
+                      style={{ top: index * ROW_HEIGHT + 10, left: 8 }}
+                    >
+                      No dates
+                    </span>
+                  )
+                }
+
+                const critical = showCriticalPath && criticalPath.critical.has(task.id)
+                const dragging = drag?.taskId === task.id
+                const completed = task.status === 'completed'
+                const top = index * ROW_HEIGHT
+
+                if (task.is_milestone) {
+                  return (
+                    <div
+                      key={task.id}
+                      onPointerDown={(e) => startDrag(e, task, 'move')}
+                      title={`${task.title} · ${format(dayToDate(span.end), 'MMM d')}`}
+                      className={cn(
+                        'absolute h-3.5 w-3.5 rotate-45 -translate-x-1/2 border-2',
+                        completed ? 'bg-muted border-muted-foreground/40' : 'bg-violet-500 border-violet-600 cursor-grab',
+                        critical && 'ring-2 ring-red-500 ring-offset-1',
+                        dragging && 'cursor-grabbing'
+                      )}
+                      style={{ top: top + (ROW_HEIGHT - 14) / 2, left: dayX(span.end) + dayWidth / 2 }}
+                    />
+                  )
+                }
+
+                return (
+                  <div
+                    key={task.id}
+                    onPointerDown={(e) => startDrag(e, task, 'move')}
+                    title={`${task.title} · ${format(dayToDate(span.start), 'MMM d')} – ${format(dayToDate(span.end), 'MMM d')}`}
+                    className={cn(
+                      'group absolute rounded-md border text-[11px] text-white flex items-center px-2 select-none overflow-hidden',
+                      completed
+                        ? 'bg-muted border-muted-foreground/30 text-muted-foreground'
+                        : 'bg-blue-500 border-blue-600 cursor-grab',
+                      critical && 'bg-red-500 border-red-600',
+                      dragging && 'cursor-grabbing shadow-lg opacity-90'
+                    )}
+                    style={{
+                      top: top + 7,
+                      height: ROW_HEIGHT - 14,
+                      left: dayX(span.start),
+                      width: Math.max((span.end - span.start + 1) * dayWidth, 6),
+                    }}
+                  >
+                    {zoom !== 'month' && <span className="truncate">{task.title}</span>}
+                    {!completed && (
+                      <span
+                        onPointerDown={(e) => startDrag(e, task, 'resize')}
+                        className="absolute right-0 top-0 bottom-0 w-1.5 cursor-ew-resize opacity-0 group-hover:opacity-100 bg-black/20"
+                      />
+                    )}
+                  </div>
+                )
+              })}
+            </div>
+          </div>
+        </div>
+      </div>
+    </TooltipProvider>
+  )
+}
+
+export default TaskGanttView
@@ -5,7 +5,7 @@
 import { useState, useEffect } from 'react'
 import { 
   Plus, Play, Pause, Clock, DollarSign, FolderKanban,
-  MoreVertical, Edit, Trash2, Loader2, Timer, TrendingUp
+  MoreVertical, Edit, Trash2, Loader2, Timer, TrendingUp, Receipt
 } from 'lucide-react'
 import { toast } from 'sonner'
 
@@ -25,6 +25,8 @@ import {
 } from '../ui/dropdown-menu'
 import EmptyState from '../EmptyState'
 import ConfirmDialog from '../ConfirmDialog'
+import InvoiceTimeDialog from './InvoiceTimeDialog'
+import { isEntryBilled } from './timeInvoicing'
 
 import {
   useTimeEntries,
@@ -60,6 +62,7 @@ const TimeTrackingPanel = ({ projects }) => {
   const [editDialogOpen, setEditDialogOpen] = useState(false)
   const [deleteDialog, setDeleteDialog] = useState({ open: false, entry: null })
   const [selectedEntry, setSelectedEntry] = useState(null)
+  const [invoiceDialogOpen, setInvoiceDialogOpen] = useState(false)
 
   const [formData, setFormData] = useState({
     projectId: '',
@@ -239,10 +242,16 @@ const TimeTrackingPanel = ({ projects }) => {
             Track billable hours and project time
           </p>
         </div>
-        <Button variant="outline" onClick={openCreateDialog}>
-          <Plus className="w-4 h-4 mr-2" />
-          Manual Entry
-        </Button>
+        <div className="flex gap-2">
+          <Button variant="outline" onClick={() => setInvoiceDialogOpen(true)}>
+            <Receipt className="w-4 h-4 mr-2" />
+            Create Invoice
+          </Button>
+          <Button variant="outline" onClick={openCreateDialog}>
+            <Plus className="w-4 h-4 mr-2" />
+            Manual Entry
+          </Button>
+        </div>
       </div>
 
       {/* Project Selector */}
@@ -411,6 +420,9 @@ const TimeTrackingPanel = ({ projects }) => {
                     {(entry.hourly_rate ?? entry.hourlyRate) && (
                       <span>${entry.hourly_rate ?? entry.hourlyRate}/hr</span>
                     )}
+                    {isEntryBilled(entry) && (
+                      <span className="px-1.5 py-0.5 rounded text-xs bg-green-100 text-green-700">Billed</span>
+                    )}
                   </div>
                 </div>
 
@@ -432,7 +444,8 @@ const TimeTrackingPanel = ({ projects }) => {
                     </Button>
                   </DropdownMenuTrigger>
                   <DropdownMenuContent align="end">
-                    <DropdownMenuItem onClick={() => openEditDialog(entry)}>
+                    {/* Billed time is locked so the invoice stays accurate */}
+                    <DropdownMenuItem onClick={() => openEditDialog(entry)} disabled={isEntryBilled(entry)}>
                       <Edit className="w-4 h-4 mr-2" />
                       Edit
                     </DropdownMenuItem>
@@ -440,6 +453,7 @@ const TimeTrackingPanel = ({ projects }) => {
                     <DropdownMenuItem 
                       className="text-red-600"
                       onClick={() => setDeleteDialog({ open: true, entry })}
+                      disabled={isEntryBilled(entry)}
                     >
                       <Trash2 className="w-4 h-4 mr-2" />
                       Delete
@@ -590,6 +604,13 @@ const TimeTrackingPanel = ({ projects }) => {
         confirmText="Delete"
         onConfirm={handleDelete}
       />
+
+      <InvoiceTimeDialog
+        open={invoiceDialogOpen}
+        onOpenChange={setInvoiceDialogOpen}
+        projects={projects}
+        defaultProjectId={selectedProjectId}
+      />
     </div>
   )
 }
@@ -2,7 +2,7 @@
  * UptradeTasksPanel - Task management panel for Uptrade admins
  * 
  * Features:
- * - List/Board view toggle
+ * - List/Board/Timeline view toggle (timeline = Gantt with dependencies)
  * - Task creation with full form
  * - Quick task add
  * - Task detail drawer
@@ -14,7 +14,7 @@ import {
   Plus, Search, Filter, LayoutList, LayoutGrid, Calendar,
   Clock, User, Tag, MoreVertical, CheckCircle2, Circle,
   AlertTriangle, ChevronRight, Paperclip, MessageSquare,
-  Edit, Trash2, ArrowUp, ArrowDown, Minus
+  Edit, Trash2, ArrowUp, ArrowDown, Minus, GanttChart, Diamond, GitBranch
 } from 'lucide-react'
 import { toast } from 'sonner'
 import { cn } from '@/lib/utils'
@@ -43,6 +43,7 @@ import {
   SelectValue,
 } from '@/components/ui/select'
 import { EmptyState } from '@/components/EmptyState'
+import { TaskGanttView } from './TaskGanttView'
 
 // Store
 import {
@@ -204,11 +205,20 @@ export function UptradeTasksPanel({
             <Button
               variant={viewMode === 'board' ? 'secondary' : 'ghost'}
               size="sm"
-              className="rounded-l-none"
+              className="rounded-none"
               onClick={() => onViewModeChange?.('board')}
             >
               <LayoutGrid className="h-4 w-4" />
             </Button>
+            <Button
+              variant={viewMode === 'timeline' ? 'secondary' : 'ghost'}
+              size="sm"
+              className="rounded-l-none"
+              onClick={() => onViewModeChange?.('timeline')}
+              title="Timeline"
+            >
+              <GanttChart className="h-4 w-4" />
+            </Button>
           </div>
           <Button size="sm" onClick={() => onTaskSelect?.(null)}>
             <Plus className="h-4 w-4 mr-1" />
@@ -217,117 +227,131 @@ export function UptradeTasksPanel({
         </div>
       </div>
 
-      {/* Quick Add */}
-      <form onSubmit={handleQuickAdd} className="p-4 border-b bg-muted/30">
-        <div className="flex gap-2">
-          <Input
-            placeholder="Quick add task... Press Enter to save"
-            value={quickAddTitle}
-            onChange={(e) => setQuickAddTitle(e.target.value)}
-            className="flex-1"
+      {viewMode === 'timeline' ? (
+        <div className="flex-1 min-h-0">
+          <TaskGanttView
+            tasks={tasks.filter(task =>
+              !searchQuery.trim() || task.title?.toLowerCase().includes(searchQuery.toLowerCase())
+            )}
+            projectId={projectId}
+            onTaskSelect={onTaskSelect}
           />
-          <Button type="submit" variant="secondary" disabled={!quickAddTitle.trim()}>
-            <Plus className="h-4 w-4" />
-          </Button>
-        </div>
-      </form>
-
-      {/* Task List */}
-      <ScrollArea className="flex-1">
-        <div className="p-4 space-y-6">
-          {/* Overdue */}
-          {groupedTasks.overdue.length > 0 && (
-            <TaskGroup
-              title="Overdue"
-              icon={AlertTriangle}
-              iconColor="text-red-500"
-              tasks={groupedTasks.overdue}
-              teamMembers={teamMembers}
-              onToggleComplete={handleToggleComplete}
-              onTaskSelect={onTaskSelect}
-              onTaskDelete={onTaskDelete}
-            />
-          )}
-
-          {/* Today */}
-          {groupedTasks.today.length > 0 && (
-            <TaskGroup
-              title={`Today - ${format(new Date(), 'MMMM d, yyyy')}`}
-              icon={Calendar}
-              tasks={groupedTasks.today}
-              teamMembers={teamMembers}
-              onToggleComplete={handleToggleComplete}
-              onTaskSelect={onTaskSelect}
-              onTaskDelete={onTaskDelete}
-            />
-          )}
-
-          {/* This Week */}
-          {groupedTasks.thisWeek.length > 0 && (
-            <TaskGroup
-              title="This Week"
-              icon={Calendar}
-              tasks={groupedTasks.thisWeek}
-              teamMembers={teamMembers}
-              onToggleComplete={handleToggleComplete}
-              onTaskSelect={onTaskSelect}
-              onTaskDelete={onTaskDelete}
-            />
-          )}
-
-          {/* Upcoming */}
-          {groupedTasks.upcoming.length > 0 && (
-            <TaskGroup
-              title="Upcoming"
-              icon={Calendar}
-              tasks={groupedTasks.upcoming}
-              teamMembers={teamMembers}
-              onToggleComplete={handleToggleComplete}
-              onTaskSelect={onTaskSelect}
-              onTaskDelete={onTaskDelete}
-            />
-          )}
-
-          {/* No Due Date */}
-          {groupedTasks.noDueDate.length > 0 && (
-            <TaskGroup
-              title="No Due Date"
-              tasks={groupedTasks.noDueDate}
-              teamMembers={teamMembers}
-              onToggleComplete={handleToggleComplete}
-              onTaskSelect={onTaskSelect}
-              onTaskDelete={onTaskDelete}
-            />
-          )}
-
-          {/* Completed */}
-          {groupedTasks.completed.length > 0 && (
-            <TaskGroup
-              title="Recently Completed"
-              icon={CheckCircle2}
-              iconColor="text-emerald-500"
-              tasks={groupedTasks.completed}
-              teamMembers={teamMembers}
-              onToggleComplete={handleToggleComplete}
-              onTaskSelect={onTaskSelect}
-              onTaskDelete={onTaskDelete}
-              collapsed
-            />
-          )}
-
-          {/* Empty State */}
-          {tasks.length === 0 && !isLoading && (
-            <EmptyState
-              icon={CheckCircle2}
-              title="No tasks yet"
-              description="Create your first task to get started"
-              actionLabel={onTaskSelect ? 'Add Task' : undefined}
-              onAction={onTaskSelect ? () => onTaskSelect(null) : undefined}
-              compact
-            />
-          )}
         </div>
-      </ScrollArea>
+      ) : (
+        <>
+          {/* Quick Add */}
+          <form onSubmit={handleQuickAdd} className="p-4 border-b bg-muted/30">
+            <div className="flex gap-2">
+              <Input
+                placeholder="Quick add task... Press Enter to save"
+                value={quickAddTitle}
+                onChange={(e) => setQuickAddTitle(e.target.value)}
+                className="flex-1"
+              />
+              <Button type="submit" variant="secondary" disabled={!quickAddTitle.trim()}>
+                <Plus className="h-4 w-4" />
+              </Button>
+            </div>
+          </form>
+
+          {/* Task List */}
+          <ScrollArea className="flex-1">
+            <div className="p-4 space-y-6">
+              {/* Overdue */}
+              {groupedTasks.overdue.length > 0 && (
+                <TaskGroup
+                  title="Overdue"
+                  icon={AlertTriangle}
+                  iconColor="text-red-500"
+                  tasks={groupedTasks.overdue}
+                  teamMembers={teamMembers}
+                  onToggleComplete={handleToggleComplete}
+                  onTaskSelect={onTaskSelect}
+                  onTaskDelete={onTaskDelete}
+                />
+              )}
+
+              {/* Today */}
+              {groupedTasks.today.length > 0 && (
+                <TaskGroup
+                  title={`Today - ${format(new Date(), 'MMMM d, yyyy')}`}
+                  icon={Calendar}
+                  tasks={groupedTasks.today}
+                  teamMembers={teamMembers}
+                  onToggleComplete={handleToggleComplete}
+                  onTaskSelect={onTaskSelect}
+                  onTaskDelete={onTaskDelete}
+                />
+              )}
+
+              {/* This Week */}
+              {groupedTasks.thisWeek.length > 0 && (
+                <TaskGroup
+                  title="This Week"
+                  icon={Calendar}
+                  tasks={groupedTasks.thisWeek}
+                  teamMembers={teamMembers}
+                  onToggleComplete={handleToggleComplete}
+                  onTaskSelect={onTaskSelect}
+                  onTaskDelete={onTaskDelete}
+                />
+              )}
+
+              {/* Upcoming */}
+              {groupedTasks.upcoming.length > 0 && (
+                <TaskGroup
+                  title="Upcoming"
+                  icon={Calendar}
+                  tasks={groupedTasks.upcoming}
+                  teamMembers={teamMembers}
+                  onToggleComplete={handleToggleComplete}
+                  onTaskSelect={onTaskSelect}
+                  onTaskDelete={onTaskDelete}
+                />
+              )}
+
+              {/* No Due Date */}
+              {groupedTasks.noDueDate.length > 0 && (
+                <TaskGroup
+                  title="No Due Date"
+                  tasks={groupedTasks.noDueDate}
+                  teamMembers={teamMembers}
+                  onToggleComplete={handleToggleComplete}
+                  onTaskSelect={onTaskSelect}
+                  onTaskDelete={onTaskDelete}
+                />
+              )}
+
+              {/* Completed */}
+              {groupedTasks.completed.length > 0 && (
+                <TaskGroup
+                  title="Recently Completed"
+                  icon={CheckCircle2}
+                  iconColor="text-emerald-500"
+                  tasks={groupedTasks.completed}
+                  teamMembers={teamMembers}
+                  onToggleComplete={handleToggleComplete}
+                  onTaskSelect={onTaskSelect}
+                  onTaskDelete={onTaskDelete}
+                  collapsed
+                />
+              )}
+
+              {/* Empty State */}
+              {tasks.length === 0 && !isLoading && (
+                <EmptyState
+                  icon={CheckCircle2}
+                  title="No tasks yet"
+                  description="Create your first task to get started"
+                  actionLabel={onTaskSelect ? 'Add Task' : undefined}
+                  onAction={onTaskSelect ? () => onTaskSelect(null) : undefined}
+                  compact
+                />
+              )}
+            </div>
+          </ScrollArea>
+        </>
+      )}
     </div>
   )
 }
@@ -461,10 +485,17 @@ function TaskRow({
           
           {task.due_date && (
             <span className="flex items-center gap-1">
-              <Calendar className="h-3 w-3" />
+              {task.is_milestone ? <Diamond className="h-3 w-3 text-violet-500" /> : <Calendar className="h-3 w-3" />}
               {format(parseISO(task.due_date), 'MMM d')}
             </span>
           )}
+
+          {task.dependencies?.length > 0 && (
+            <span className="flex items-center gap-1" title="Depends on other tasks">
+              <GitBranch className="h-3 w-3" />
+              {task.dependencies.length}
+            </span>
+          )}
           
           {checklistProgress && (
             <span className="flex items-center gap-1">
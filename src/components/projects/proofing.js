@@ -0,0 +1,167 @@
+// src/components/projects/proofing.js
+// Helpers for the deliverable proofing viewer - pinned / region annotations,
+// carrying them across file versions and comparing versions.
+//
+// Annotation positions are stored as fractions (0-1) of the rendered file so
+// they stay put at any zoom level or screen size. A pin only has x / y; a
+// region also has width / height.
+//
+// Annotations belong to the version they were made on (version_id). They keep
+// showing on later versions until resolved, so one thread follows the issue
+// through every revision instead of being copied per version.
+
+export const PROOFING_TOOLS = {
+  select: { label: 'Select', description: 'Pick an annotation to view its thread' },
+  pin: { label: 'Pin', description: 'Click to drop a numbered pin' },
+  region: { label: 'Region', description: 'Drag to mark an area' },
+}
+
+export const PROOFING_COMPARE_MODES = {
+  single: { label: 'Single' },
+  side_by_side: { label: 'Side by side' },
+  overlay: { label: 'Overlay' },
+}
+
+export const SCREENSHOT_DEVICES = ['desktop', 'tablet', 'mobile']
+
+// Regions smaller than this (as a fraction of either side) are treated as pins
+const MIN_REGION_SIZE = 0.01
+
+const clampUnit = (value) => Math.min(1, Math.max(0, value))
+
+/**
+ * Pointer position as fractions of the element's bounding rect
+ */
+export function pointToUnit(clientX, clientY, rect) {
+  if (!rect?.width || !rect?.height) return { x: 0, y: 0 }
+  return {
+    x: clampUnit((clientX - rect.left) / rect.width),
+    y: clampUnit((clientY - rect.top) / rect.height),
+  }
+}
+
+/**
+ * Region between two unit points, whichever way the drag went.
+ * Returns null when the drag was too small to be a region.
+ */
+export function normalizeRegion(from, to) {
+  const region = {
+    x: Math.min(from.x, to.x),
+    y: Math.min(from.y, to.y),
+    width: Math.abs(to.x - from.x),
+    height: Math.abs(to.y - from.y),
+  }
+  if (region.width < MIN_REGION_SIZE || region.height < MIN_REGION_SIZE) return null
+  return region
+}
+
+/**
+ * 'image' | 'pdf' | 'other' - decides how the viewer renders a version
+ */
+export function getProofingKind(version) {
+  const type = version?.file_type || ''
+  const url = (version?.file_url || '').split('?')[0].toLowerCase()
+  if (type.startsWith('image/') || /\.(png|jpe?g|gif|webp|svg|avif)$/.test(url)) return 'image'
+  if (type.includes('pdf') || url.endsWith('.pdf')) return 'pdf'
+  return 'other'
+}
+
+/**
+ * Screenshot feed ({ desktop, tablet, mobile, captured_at }) as a list of
+ * sources that can be added as a new version
+ */
+export function getScreenshotSources(screenshots) {
+  if (!screenshots) return []
+  return SCREENSHOT_DEVICES
+    .filter(device => screenshots[device])
+    .map(device => ({ device, url: screenshots[device], captured_at: screenshots.captured_at }))
+}
+
+export function isAnnotationResolved(annotation) {
+  return annotation?.status === 'resolved'
+}
+
+/**
+ * Stable pin numbers for a deliverable (1-based, oldest first). Numbers
+ * assigned by the API win so they match emails and exports.
+ */
+export function numberAnnotations(annotations = []) {
+  const sorted = [...annotations].sort((a, b) =>
+    String(a.created_at || '').localeCompare(String(b.created_at || '')) ||
+    String(a.id).localeCompare(String(b.id))
+  )
+  const numbers = new Map()
+  sorted.forEach((annotation, index) => {
+    numbers.set(annotation.id, annotation.number ?? index + 1)
+  })
+  return numbers
+}
+
+/**
+ * Annotations to show on one version: those made on it plus anything from an
+ * earlier version that was still open when this version was uploaded.
+ *
+ * Each result gets { number, carried, open }: carried when it was made on an
+ * earlier version, open when it is not resolved as of this version. An
+ * annotation resolved on version N shows as resolved on N and is hidden from
+ * later versions.
+ */
+export function getAnnotationsForVersion(annotations = [], versions = [], versionId) {
+  const order = new Map(versions.map((version, index) => [version.id, index]))
+  const target = order.get(versionId)
+  if (target === undefined) return []
+
+  const numbers = numberAnnotations(annotations)
+
+  return annotations
+    .map(annotation => {
+      const created = order.get(annotation.version_id)
+      if (created === undefined || created > target) return null
+
+      const resolved = isAnnotationResolved(annotation)
+      const resolvedAt = resolved ? order.get(annotation.resolved_version_id) ?? created : null
+      if (resolved && resolvedAt < target) return null
+
+      return {
+        ...annotation,
+        number: numbers.get(annotation.id),
+        carried: created < target,
+        open: !resolved || resolvedAt > target,
+      }
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.number - b.number)
+}
+
+/**
+ * What changed between two versions in terms of feedback: annotations open on
+ * `fromId` that are resolved (or gone) on `toId`, ones still open, and new
+ * ones raised on `toId` or in between.
+ */
+export function compareVersionAnnotations(annotations = [], versions = [], fromId, toId) {
+  const before = getAnnotationsForVersion(annotations, versions, fromId).filter(a => a.open)
+  const after = getAnnotationsForVersion(annotations, versions, toId)
+  const afterById = new Map(after.map(a => [a.id, a]))
+  const beforeIds = new Set(before.map(a => a.id))
+
+  return {
+    addressed: before.filter(a => !afterById.get(a.id)?.open),
+    stillOpen: before.filter(a => afterById.get(a.id)?.open),
+    raised: after.filter(a => a.open && !beforeIds.has(a.id)),
+  }
+}
+
+/**
+ * Counts for the toolbar / deliverable card
+ */
+export function getAnnotationStats(visible = []) {
+  return visible.reduce(
+    (stats, annotation) => {
+      if (annotation.open) stats.open += 1
+      else stats.resolved += 1
+      if (annotation.carried && annotation.open) stats.carried += 1
+      return stats
+    },
+    { open: 0, resolved: 0, carried: 0 }
+  )
+}
@@ -0,0 +1,264 @@
+// src/components/projects/taskSchedule.js
+// Task scheduling helpers for the Gantt timeline - dependencies, pushing
+// dependents forward, critical path and slippage against client deadlines.
+//
+// Dates are handled as whole days (yyyy-MM-dd) so a task dragged in one
+// timezone lands on the same day for everyone.
+//
+// A task's span runs from start_date to due_date (inclusive). Tasks with only
+// one of the two are treated as one-day tasks; milestones are zero-length
+// markers on their due_date.
+
+export const DEPENDENCY_TYPES = {
+  finish_to_start: { label: 'Finish to start', description: 'Starts after the other task finishes' },
+  start_to_start: { label: 'Start to start', description: 'Starts when the other task starts' },
+}
+
+export const GANTT_ZOOM_LEVELS = {
+  day: { label: 'Day', dayWidth: 40 },
+  week: { label: 'Week', dayWidth: 16 },
+  month: { label: 'Month', dayWidth: 5 },
+}
+
+const DAY_MS = 86400000
+
+export function toDayIndex(value) {
+  if (!value) return null
+  const [year, month, day] = String(value).slice(0, 10).split('-').map(Number)
+  if (!year || !month || !day) return null
+  return Date.UTC(year, month - 1, day) / DAY_MS
+}
+
+export function fromDayIndex(index) {
+  return new Date(index * DAY_MS).toISOString().slice(0, 10)
+}
+
+/**
+ * { start, end } as day indexes, or null when the task has no dates yet
+ */
+export function getTaskSpan(task) {
+  const due = toDayIndex(task.due_date)
+  if (task.is_milestone) {
+    return due === null ? null : { start: due, end: due }
+  }
+  const start = toDayIndex(task.start_date) ?? due
+  const end = due ?? start
+  if (start === null) return null
+  return { start: Math.min(start, end), end: Math.max(start, end) }
+}
+
+export function getTaskDependencies(task) {
+  return (task.dependencies || []).filter(dep => dep.task_id && dep.task_id !== task.id)
+}
+
+/**
+ * Earliest start a dependency allows for its successor, given the
+ * predecessor's span. Finish-to-start begins the day after the finish.
+ */
+function constrainedStart(dependency, predecessorSpan, predecessor) {
+  const lag = Number(dependency.lag_days) || 0
+  if (dependency.type === 'start_to_start') return predecessorSpan.start + lag
+  // A milestone finishes on its day; work after it can start the same day
+  const gap = predecessor?.is_milestone ? 0 : 1
+  return predecessorSpan.end + gap + lag
+}
+
+/**
+ * Tasks in dependency order (predecessors first). Tasks caught in a cycle
+ * are appended at the end in their original order.
+ */
+export function sortByDependencies(tasks = []) {
+  const byId = new Map(tasks.map(task => [task.id, task]))
+  const visited = new Set()
+  const visiting = new Set()
+  const ordered = []
+
+  const visit = (task) => {
+    if (visited.has(task.id) || visiting.has(task.id)) return
+    visiting.add(task.id)
+    for (const dep of getTaskDependencies(task)) {
+      const predecessor = byId.get(dep.task_id)
+      if (predecessor) visit(predecessor)
+    }
+    visiting.delete(task.id)
+    visited.add(task.id)
+    ordered.push(task)
+  }
+
+  tasks.forEach(visit)
+  return ordered
+}
+
+/**
+ * Whether making taskId depend on dependsOnId would close a loop
+ */
+export function wouldCreateCycle(tasks, taskId, dependsOnId) {
+  if (taskId === dependsOnId) return true
+  const byId = new Map(tasks.map(task => [task.id, task]))
+  const stack = [dependsOnId]
+  const seen = new Set()
+
+  while (stack.length) {
+    const id = stack.pop()
+    if (id === taskId) return true
+    if (seen.has(id)) continue
+    seen.add(id)
+    const task = byId.get(id)
+    if (task) getTaskDependencies(task).forEach(dep => stack.push(dep.task_id))
+  }
+  return false
+}
+
+/**
+ * Apply a new span to one task and push every dependent task forward far
+ * enough to respect its dependencies. Dependents are only ever moved later,
+ * never pulled earlier, and keep their duration.
+ *
+ * Returns [{ id, start_date, due_date }] for each task whose dates changed.
+ */
+export function rescheduleTask(tasks, taskId, span) {
+  const spans = new Map()
+  for (const task of tasks) {
+    const taskSpan = getTaskSpan(task)
+    if (taskSpan) spans.set(task.id, taskSpan)
+  }
+  spans.set(taskId, span)
+
+  const byId = new Map(tasks.map(task => [task.id, task]))
+  const changed = new Set([taskId])
+
+  for (const task of sortByDependencies(tasks)) {
+    if (task.id === taskId || task.status === 'completed') continue
+    const current = spans.get(task.id)
+    if (!current) continue
+
+    let earliest = -Infinity
+    let affected = false
+    for (const dep of getTaskDependencies(task)) {
+      const predecessorSpan = spans.get(dep.task_id)
+      if (!predecessorSpan) continue
+      if (changed.has(dep.task_id)) affected = true
+      earliest = Math.max(earliest, constrainedStart(dep, predecessorSpan, byId.get(dep.task_id)))
+    }
+
+    if (affected && current.start < earliest) {
+      const shift = earliest - current.start
+      spans.set(task.id, { start: current.start + shift, end: current.end + shift })
+      changed.add(task.id)
+    }
+  }
+
+  return [...changed].map(id => {
+    const task = byId.get(id)
+    const taskSpan = spans.get(id)
+    return {
+      id,
+      start_date: task?.is_milestone ? null : fromDayIndex(taskSpan.start),
+      due_date: fromDayIndex(taskSpan.end),
+    }
+  })
+}
+
+/**
+ * Critical path from a backward pass over the scheduled dates (the plan is
+ * taken as the early schedule).
+ * Returns { critical: Set<taskId>, slack: Map<taskId, days>, finish } where
+ * finish is the last scheduled day. Completed and undated tasks are ignored.
+ */
+export function computeCriticalPath(tasks = []) {
+  const scheduled = tasks.filter(task => task.status !== 'completed' && getTaskSpan(task))
+  const spans = new Map(scheduled.map(task => [task.id, getTaskSpan(task)]))
+  const byId = new Map(scheduled.map(task => [task.id, task]))
+  const ordered = sortByDependencies(scheduled)
+
+  const result = { critical: new Set(), slack: new Map(), finish: null }
+  if (ordered.length === 0) return result
+
+  const successors = new Map(scheduled.map(task => [task.id, []]))
+  for (const task of scheduled) {
+    for (const dep of getTaskDependencies(task)) {
+      if (successors.has(dep.task_id)) successors.get(dep.task_id).push({ task, dep })
+    }
+  }
+
+  result.finish = Math.max(...[...spans.values()].map(span => span.end))
+
+  // Backward pass: latest finish each task can have without delaying the finish
+  const latestFinish = new Map()
+  for (const task of [...ordered].reverse()) {
+    const span = spans.get(task.id)
+    const duration = span.end - span.start
+    let lf = result.finish
+    for (const { task: successor, dep } of successors.get(task.id)) {
+      const successorLatestStart = latestFinish.get(successor.id) - (spans.get(successor.id).end - spans.get(successor.id).start)
+      const lag = Number(dep.lag_days) || 0
+      if (dep.type === 'start_to_start') {
+        lf = Math.min(lf, successorLatestStart - lag + duration)
+      } else {
+        const gap = byId.get(task.id).is_milestone ? 0 : 1
+        lf = Math.min(lf, successorLatestStart - lag - gap)
+      }
+    }
+    latestFinish.set(task.id, lf)
+    const slack = lf - span.end
+    result.slack.set(task.id, slack)
+    if (slack <= 0) result.critical.add(task.id)
+  }
+
+  return result
+}
+
+/**
+ * Compare client-facing deadlines (from the dashboard deadlines feed) with
+ * the planned finish of the work behind them. A deadline tied to a
+ * deliverable looks at tasks linked to that deliverable; project-level
+ * deadlines look at every open task.
+ *
+ * Returns deadlines with { day, plannedFinish, slipDays } added; slipDays is
+ * 0 when on track and null when no scheduled task relates to it.
+ */
+export function getDeadlineSlippage(deadlines = [], tasks = []) {
+  const open = tasks.filter(task => task.status !== 'completed' && getTaskSpan(task))
+
+  return deadlines
+    .map(deadline => {
+      const day = toDayIndex(deadline.dueDate || deadline.due_date)
+      if (day === null) return null
+
+      const related = deadline.item_type === 'project'
+        ? open
+        : open.filter(task => task.deliverable_id && task.deliverable_id === (deadline.item_id || deadline.id))
+
+      const plannedFinish = related.length
+        ? Math.max(...related.map(task => getTaskSpan(task).end))
+        : null
+
+      return {
+        ...deadline,
+        day,
+        plannedFinish,
+        slipDays: plannedFinish === null ? null : Math.max(0, plannedFinish - day),
+      }
+    })
+    .filter(Boolean)
+}
+
+/**
+ * Visible range for the timeline: every task and deadline plus padding,
+ * never shorter than minDays.
+ */
+export function getTimelineRange(tasks = [], deadlines = [], { padding = 3, minDays = 28, today = toDayIndex(new Date().toISOString()) } = {}) {
+  const days = [today]
+  for (const task of tasks) {
+    const span = getTaskSpan(task)
+    if (span) days.push(span.start, span.end)
+  }
+  for (const deadline of deadlines) {
+    const day = toDayIndex(deadline.dueDate || deadline.due_date)
+    if (day !== null) days.push(day)
+  }
+
+  const start = Math.min(...days) - padding
+  const end = Math.max(Math.max(...days) + padding, start + minDays - 1)
+  return { start, end, days: end - start + 1 }
+}
@@ -0,0 +1,157 @@
+// src/components/projects/timeInvoicing.js
+// Turns tracked time into invoice line items - filtering unbilled entries,
+// picking the billable rate for each entry and grouping them into lines.
+//
+// Rate precedence: a rate set on the entry itself, then the service rate, then
+// the user's rate, then the default rate. Hours are rounded to 2 decimals per
+// line and amounts to cents, so quantity x unit price always equals the amount
+// shown on the invoice.
+
+export const INVOICE_GROUPINGS = {
+  task: { label: 'By task', description: 'One line per task or activity' },
+  day: { label: 'By day', description: 'One line per working day' },
+  summary: { label: 'Summary', description: 'A single line for all the time' },
+}
+
+const round2 = (value) => Math.round(value * 100) / 100
+
+export function getEntryHours(entry) {
+  if (entry.hours != null) return Number(entry.hours) || 0
+  return (Number(entry.duration_minutes) || 0) / 60
+}
+
+export function getEntryDate(entry) {
+  return String(entry.date || entry.started_at || entry.created_at || '').slice(0, 10)
+}
+
+export function getEntryUserName(entry) {
+  return entry.user_name || entry.user?.full_name || entry.user?.name || 'Unknown'
+}
+
+export function getEntryService(entry) {
+  return entry.service || entry.category || null
+}
+
+export function isEntryBilled(entry) {
+  return !!(entry.billed_at || entry.invoice_id || entry.is_billed)
+}
+
+function isEntryRunning(entry) {
+  return !!(entry.is_running || entry.isRunning || (entry.started_at && !entry.stopped_at && entry.hours == null && entry.duration_minutes == null))
+}
+
+/**
+ * Entries that can go on an invoice: stopped, billable, not yet billed and
+ * inside the filters ({ startDate, endDate, projectId, userId })
+ */
+export function filterInvoiceableEntries(entries = [], filters = {}) {
+  return entries.filter(entry => {
+    if (isEntryBilled(entry) || isEntryRunning(entry) || entry.billable === false) return false
+    if (getEntryHours(entry) <= 0) return false
+    const date = getEntryDate(entry)
+    if (filters.startDate && date < filters.startDate) return false
+    if (filters.endDate && date > filters.endDate) return false
+    if (filters.projectId && entry.project_id !== filters.projectId) return false
+    if (filters.userId && entry.user_id !== filters.userId) return false
+    return true
+  })
+}
+
+/**
+ * { rate, source } for an entry; source is 'entry' | 'service' | 'user' |
+ * 'default', or null when no rate applies
+ */
+export function resolveEntryRate(entry, rates = {}) {
+  const own = Number(entry.hourly_rate ?? entry.hourlyRate)
+  if (own > 0) return { rate: own, source: 'entry' }
+
+  const service = getEntryService(entry)
+  const serviceRate = Number(service && rates.services?.[service])
+  if (serviceRate > 0) return { rate: serviceRate, source: 'service' }
+
+  const userRate = Number(entry.user_id && rates.users?.[entry.user_id])
+  if (userRate > 0) return { rate: userRate, source: 'user' }
+
+  const defaultRate = Number(rates.default_rate)
+  if (defaultRate > 0) return { rate: defaultRate, source: 'default' }
+
+  return { rate: 0, source: null }
+}
+
+function formatDay(day) {
+  const [year, month, date] = day.split('-').map(Number)
+  return new Date(Date.UTC(year, month - 1, date)).toLocaleDateString('en-US', {
+    month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC',
+  })
+}
+
+function groupFor(entry, grouping) {
+  if (grouping === 'day') {
+    const day = getEntryDate(entry)
+    return { key: day, label: day ? formatDay(day) : 'Undated' }
+  }
+  if (grouping === 'summary') {
+    return { key: 'summary', label: 'Professional services' }
+  }
+  const label = entry.task_title || entry.description || 'General work'
+  return { key: entry.task_id || label.trim().toLowerCase(), label }
+}
+
+/**
+ * Invoice lines for the entries. Entries in the same group but at different
+ * rates get a line each (labelled with the rate) so every line is hours x rate.
+ *
+ * Returns [{ description, quantity, unitPrice, amount, entryIds }]
+ */
+export function buildInvoiceLineItems(entries = [], rates = {}, grouping = 'task') {
+  const groups = new Map()
+
+  for (const entry of entries) {
+    const { key, label } = groupFor(entry, grouping)
+    const { rate } = resolveEntryRate(entry, rates)
+    if (!groups.has(key)) groups.set(key, { label, byRate: new Map() })
+    const byRate = groups.get(key).byRate
+    if (!byRate.has(rate)) byRate.set(rate, { hours: 0, entryIds: [] })
+    const bucket = byRate.get(rate)
+    bucket.hours += getEntryHours(entry)
+    bucket.entryIds.push(entry.id)
+  }
+
+  const lines = []
+  for (const [key, { label, byRate }] of groups) {
+    const mixed = byRate.size > 1
+    for (const [rate, bucket] of [...byRate].sort((a, b) => b[0] - a[0])) {
+      const quantity = round2(bucket.hours)
+      lines.push({
+        key: `${key}:${rate}`,
+        group: key,
+        description: mixed ? `${label} (@ $${rate}/h)` : label,
+        quantity,
+        unitPrice: rate,
+        amount: round2(quantity * rate),
+        entryIds: bucket.entryIds,
+      })
+    }
+  }
+
+  // Day lines read best in date order; task / summary keep first-seen order
+  if (grouping === 'day') lines.sort((a, b) => a.group.localeCompare(b.group))
+  return lines
+}
+
+export function getLineItemTotals(lines = []) {
+  return lines.reduce(
+    (totals, line) => ({
+      hours: round2(totals.hours + line.quantity),
+      amount: round2(totals.amount + line.amount),
+    }),
+    { hours: 0, amount: 0 }
+  )
+}
+
+/**
+ * Entries no rate applies to - they would be invoiced at $0
+ */
+export function getEntriesWithoutRate(entries = [], rates = {}) {
+  return entries.filter(entry => resolveEntryRate(entry, rates).rate === 0)
+}
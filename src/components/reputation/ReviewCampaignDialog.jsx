@@ -0,0 +1,401 @@
+// src/components/reputation/ReviewCampaignDialog.jsx
+// Create / edit a review request campaign - trigger, channel, message,
+// staggered reminders and the private-feedback gate
+
+import { useState, useEffect, useMemo } from 'react'
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+import { Textarea } from '@/components/ui/textarea'
+import { Switch } from '@/components/ui/switch'
+import { Checkbox } from '@/components/ui/checkbox'
+import { ScrollArea } from '@/components/ui/scroll-area'
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select'
+import { Loader2, Plus, X, Lock, Clock } from 'lucide-react'
+import { cn } from '@/lib/utils'
+import {
+  CAMPAIGN_TRIGGERS,
+  CAMPAIGN_CHANNELS,
+  REVIEW_DESTINATIONS,
+  MESSAGE_VARIABLES,
+  MAX_REMINDERS,
+  SMS_SEGMENT_LENGTH,
+  createCampaignDraft,
+  normalizeCampaign,
+  validateCampaign,
+  renderCampaignMessage,
+  getSampleMessageValues,
+  getSendSchedule,
+} from './reviewCampaigns'
+
+// Offset from the trigger event, e.g. "24h" or "day 4"
+function formatSendOffset(date) {
+  const hours = Math.round(date.getTime() / 3600000)
+  return hours < 48 ? `${hours}h` : `day ${Math.round(hours / 24)}`
+}
+
+function FieldError({ message }) {
+  if (!message) return null
+  return <p className="text-xs text-red-500 mt-1">{message}</p>
+}
+
+export default function ReviewCampaignDialog({
+  open,
+  onOpenChange,
+  campaign,
+  businessName,
+  onSave,
+  saving = false,
+}) {
+  const [draft, setDraft] = useState(() => createCampaignDraft())
+  const [showErrors, setShowErrors] = useState(false)
+
+  useEffect(() => {
+    if (open) {
+      setDraft(campaign ? normalizeCampaign(campaign) : createCampaignDraft())
+      setShowErrors(false)
+    }
+  }, [open, campaign])
+
+  const errors = useMemo(() => validateCampaign(draft), [draft])
+  const visibleErrors = showErrors ? errors : {}
+  const usesEmail = draft.channel === 'email' || draft.channel === 'email_sms'
+  const usesSms = draft.channel === 'sms' || draft.channel === 'email_sms'
+  const sampleValues = getSampleMessageValues(businessName ? { business_name: businessName } : {})
+  const sendTimeline = getSendSchedule(normalizeCampaign(draft), new Date(0)).map(step => formatSendOffset(step.at))
+
+  const update = (field, value) => setDraft(prev => ({ ...prev, [field]: value }))
+  const updateNested = (field, key, value) =>
+    setDraft(prev => ({ ...prev, [field]: { ...prev[field], [key]: value } }))
+
+  const updateReminder = (index, value) => {
+    setDraft(prev => ({
+      ...prev,
+      reminders: prev.reminders.map((r, i) => (i === index ? { ...r, delay_days: value } : r)),
+    }))
+  }
+
+  const addReminder = () => {
+    setDraft(prev => {
+      const last = prev.reminders[prev.reminders.length - 1]?.delay_days || 0
+      return { ...prev, reminders: [...prev.reminders, { delay_days: Number(last) + 4 }] }
+    })
+  }
+
+  const removeReminder = (index) => {
+    setDraft(prev => ({ ...prev, reminders: prev.reminders.filter((_, i) => i !== index) }))
+  }
+
+  const toggleDestination = (key, checked) => {
+    setDraft(prev => ({
+      ...prev,
+      destinations: checked
+        ? [...prev.destinations, key]
+        : prev.destinations.filter(d => d !== key),
+    }))
+  }
+
+  const handleSave = async () => {
+    if (Object.keys(errors).length > 0) {
+      setShowErrors(true)
+      return
+    }
+    await onSave(normalizeCampaign(draft))
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-2xl max-h-[90vh] flex flex-col">
+        <DialogHeader>
+          <DialogTitle>{campaign ? 'Edit Campaign' : 'New Review Campaign'}</DialogTitle>
+          <DialogDescription>
+            Ask customers for a review automatically after they buy, book or sign
+          </DialogDescription>
+        </DialogHeader>
+
+        <ScrollArea className="flex-1 -mx-6 px-6">
+          <div className="space-y-6 py-2">
+            {/* Basics */}
+            <div className="grid grid-cols-2 gap-4">
+              <div className="col-span-2">
+                <Label htmlFor="campaign-name">Name</Label>
+                <Input
+                  id="campaign-name"
+                  value={draft.name}
+                  onChange={(e) => update('name', e.target.value)}
+                  placeholder="e.g., Post-purchase review request"
+                />
+                <FieldError message={visibleErrors.name} />
+              </div>
+
+              <div>
+                <Label>Trigger</Label>
+                <Select
+                  value={draft.trigger.type}
+                  onValueChange={(value) => updateNested('trigger', 'type', value)}
+                >
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {Object.entries(CAMPAIGN_TRIGGERS).map(([key, trigger]) => (
+                      <SelectItem key={key} value={key}>{trigger.label}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+                <p className="text-xs text-[var(--text-tertiary)] mt-1">
+                  {CAMPAIGN_TRIGGERS[draft.trigger.type]?.description}
+                </p>
+              </div>
+
+              <div>
+                <Label htmlFor="campaign-delay">Send after (hours)</Label>
+                <Input
+                  id="campaign-delay"
+                  type="number"
+                  min="0"
+                  value={draft.trigger.delay_hours}
+                  onChange={(e) => updateNested('trigger', 'delay_hours', e.target.value)}
+                />
+              </div>
+
+              <div className="col-span-2">
+                <Label>Channel</Label>
+                <div className="flex gap-2 mt-1">
+                  {Object.entries(CAMPAIGN_CHANNELS).map(([key, channel]) => (
+                    <Button
+                      key={key}
+                      type="button"
+                      size="sm"
+                      variant={draft.channel === key ? 'default' : 'outline'}
+                      onClick={() => update('channel', key)}
+                    >
+                      {channel.label}
+                    </Button>
+                  ))}
+                </div>
+              </div>
+            </div>
+
+            {/* Message */}
+            <div className="space-y-4">
+              <div className="flex flex-wrap items-center gap-2 text-xs text-[var(--text-tertiary)]">
+                <span>Variables:</span>
+                {MESSAGE_VARIABLES.map(variable => (
+                  <code key={variable.key} className="px-1.5 py-0.5 rounded bg-[var(--glass-bg)] border border-[var(--glass-border)]">
+                    {`{{${variable.key}}}`}
+                  </code>
+                ))}
+                <span>Each contact gets their own tracked {'{{review_link}}'}.</span>
+              </div>
+
+              {usesEmail && (
+                <>
+                  <div>
+                    <Label htmlFor="campaign-subject">Email subject</Label>
+                    <Input
+                      id="campaign-subject"
+                      value={draft.email_subject}
+                      onChange={(e) => update('email_subject', e.target.value)}
+                    />
+                    <FieldError message={visibleErrors.email_subject} />
+                  </div>
+                  <div>
+                    <Label htmlFor="campaign-email">Email message</Label>
+                    <Textarea
+                      id="campaign-email"
+                      rows={6}
+                      value={draft.email_body}
+                      onChange={(e) => update('email_body', e.target.value)}
+                    />
+                    <FieldError message={visibleErrors.email_body} />
+                  </div>
+                </>
+              )}
+
+              {usesSms && (
+                <div>
+                  <div className="flex items-center justify-between">
+                    <Label htmlFor="campaign-sms">SMS message</Label>
+                    <span className={cn(
+                      'text-xs',
+                      draft.sms_body.length > SMS_SEGMENT_LENGTH ? 'text-amber-500' : 'text-[var(--text-tertiary)]'
+                    )}>
+                      {draft.sms_body.length}/{SMS_SEGMENT_LENGTH}
+                    </span>
+                  </div>
+                  <Textarea
+                    id="campaign-sms"
+                    rows={3}
+                    value={draft.sms_body}
+                    onChange={(e) => update('sms_body', e.target.value)}
+                  />
+                  <FieldError message={visibleErrors.sms_body} />
+                </div>
+              )}
+
+              <div className="p-3 rounded-lg bg-[var(--glass-bg)] border border-[var(--glass-border)]">
+                <p className="text-xs font-medium text-[var(--text-tertiary)] mb-2">Preview</p>
+                {usesEmail && (
+                  <>
+                    <p className="text-sm font-medium text-[var(--text-primary)]">
+                      {renderCampaignMessage(draft.email_subject, sampleValues)}
+                    </p>
+                    <p className="text-sm text-[var(--text-secondary)] whitespace-pre-line mt-1">
+                      {renderCampaignMessage(draft.email_body, sampleValues)}
+                    </p>
+                  </>
+                )}
+                {usesSms && (
+                  <p className={cn('text-sm text-[var(--text-secondary)]', usesEmail && 'mt-3 pt-3 border-t border-[var(--glass-border)]')}>
+                    {renderCampaignMessage(draft.sms_body, sampleValues)}
+                  </p>
+                )}
+              </div>
+            </div>
+
+            {/* Reminders */}
+            <div>
+              <div className="flex items-center justify-between mb-2">
+                <div>
+                  <Label>Reminders</Label>
+                  <p className="text-xs text-[var(--text-tertiary)]">
+                    Sent only if the customer hasn't left a rating yet
+                  </p>
+                </div>
+                <Button
+                  type="button"
+                  variant="outline"
+                  size="sm"
+                  onClick={addReminder}
+                  disabled={draft.reminders.length >= MAX_REMINDERS}
+                >
+                  <Plus className="h-3.5 w-3.5 mr-1" />
+                  Add
+                </Button>
+              </div>
+              <div className="space-y-2">
+                {draft.reminders.map((reminder, index) => (
+                  <div key={index} className="flex items-center gap-2 text-sm">
+                    <Clock className="h-4 w-4 text-[var(--text-tertiary)]" />
+                    <span className="text-[var(--text-secondary)]">Reminder {index + 1} after</span>
+                    <Input
+                      type="number"
+                      min="1"
+                      className="w-20 h-8"
+                      value={reminder.delay_days}
+                      onChange={(e) => updateReminder(index, e.target.value)}
+                    />
+                    <span className="text-[var(--text-secondary)]">days</span>
+                    <Button
+                      type="button"
+                      variant="ghost"
+                      size="icon"
+                      className="h-7 w-7 ml-auto"
+                      onClick={() => removeReminder(index)}
+                    >
+                      <X className="h-3.5 w-3.5" />
+                    </Button>
+                  </div>
+                ))}
+                {draft.reminders.length === 0 && (
+                  <p className="text-sm text-[var(--text-tertiary)]">No reminders - one request only</p>
+                )}
+              </div>
+              <FieldError message={visibleErrors.reminders} />
+              <p className="text-xs text-[var(--text-tertiary)] mt-2">
+                Timeline after trigger: {sendTimeline.join(' → ')}
+              </p>
+            </div>
+
+            {/* Feedback gate */}
+            <div className="p-4 rounded-lg border border-[var(--glass-border)] space-y-3">
+              <div className="flex items-center justify-between">
+                <div className="flex items-start gap-2">
+                  <Lock className="h-4 w-4 mt-0.5 text-[var(--text-tertiary)]" />
+                  <div>
+                    <Label>Private feedback gate</Label>
+                    <p className="text-xs text-[var(--text-tertiary)]">
+                      Customers rate first; low ratings are asked for private feedback first, with review sites still linked
+                    </p>
+                  </div>
+                </div>
+                <Switch
+                  checked={draft.feedback_gate.enabled}
+                  onCheckedChange={(checked) => updateNested('feedback_gate', 'enabled', checked)}
+                />
+              </div>
+              {draft.feedback_gate.enabled && (
+                <div className="flex items-center gap-2 text-sm">
+                  <span className="text-[var(--text-secondary)]">Send ratings below</span>
+                  <Select
+                    value={String(draft.feedback_gate.threshold)}
+                    onValueChange={(value) => updateNested('feedback_gate', 'threshold', Number(value))}
+                  >
+                    <SelectTrigger className="w-28 h-8">
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {[2, 3, 4, 5].map(n => (
+                        <SelectItem key={n} value={String(n)}>{n} stars</SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                  <span className="text-[var(--text-secondary)]">to private feedback</span>
+                </div>
+              )}
+            </div>
+
+            {/* Destinations */}
+            <div>
+              <Label>Review sites</Label>
+              <p className="text-xs text-[var(--text-tertiary)] mb-2">
+                Shown to customers who choose to leave a public review
+              </p>
+              <div className="flex flex-wrap gap-4">
+                {Object.entries(REVIEW_DESTINATIONS).map(([key, label]) => (
+                  <label key={key} className="flex items-center gap-2 text-sm cursor-pointer">
+                    <Checkbox
+                      checked={draft.destinations.includes(key)}
+                      onCheckedChange={(checked) => toggleDestination(key, !!checked)}
+                    />
+                    {label}
+                  </label>
+                ))}
+              </div>
+              <FieldError message={visibleErrors.destinations} />
+            </div>
+          </div>
+        </ScrollArea>
+
+        <DialogFooter>
+          <Button variant="outline" onClick={() => onOpenChange(false)} disabled={saving}>
+            Cancel
+          </Button>
+          <Button
+            onClick={handleSave}
+            disabled={saving}
+            style={{ backgroundColor: 'var(--brand-primary)', color: 'white' }}
+          >
+            {saving && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+            {campaign ? 'Save Changes' : 'Create Campaign'}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  )
+}
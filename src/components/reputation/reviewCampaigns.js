@@ -0,0 +1,191 @@
+// src/components/reputation/reviewCampaigns.js
+// Review request campaigns - triggers, message templates, reminder timing,
+// private-feedback gate and result rollups. Sending happens server-side;
+// these helpers keep the editor, preview and stats in agreement with it.
+
+export const CAMPAIGN_TRIGGERS = {
+  commerce_sale: {
+    label: 'After a commerce sale',
+    description: 'When a product, service or event sale completes',
+  },
+  sync_booking_completed: {
+    label: 'After a completed booking',
+    description: 'When a Sync booking is marked completed',
+  },
+  crm_stage_won: {
+    label: 'When a deal is won',
+    description: 'When a CRM prospect moves to the Won stage',
+    stage: 'closed_won',
+  },
+}
+
+export const CAMPAIGN_CHANNELS = {
+  email: { label: 'Email' },
+  sms: { label: 'SMS' },
+  email_sms: { label: 'Email + SMS' },
+}
+
+export const REVIEW_DESTINATIONS = {
+  google: 'Google',
+  facebook: 'Facebook',
+  trustpilot: 'Trustpilot',
+  yelp: 'Yelp',
+}
+
+export const MESSAGE_VARIABLES = [
+  { key: 'first_name', label: 'First name', sample: 'Jordan' },
+  { key: 'business_name', label: 'Business name', sample: 'Your Business' },
+  { key: 'review_link', label: 'Review link', sample: 'https://portal.uptrademedia.com/review/abc123' },
+]
+
+export const MAX_REMINDERS = 3
+export const SMS_SEGMENT_LENGTH = 160
+
+export const DEFAULT_CAMPAIGN = {
+  name: '',
+  description: '',
+  status: 'draft',
+  trigger: { type: 'commerce_sale', delay_hours: 24 },
+  channel: 'email',
+  email_subject: 'How did we do, {{first_name}}?',
+  email_body:
+    'Hi {{first_name}},\n\nThanks for choosing {{business_name}}. Would you take a minute to tell us how we did?\n\n{{review_link}}\n\nThank you!',
+  sms_body: 'Hi {{first_name}}, thanks for choosing {{business_name}}! How did we do? {{review_link}}',
+  reminders: [{ delay_days: 3 }, { delay_days: 7 }],
+  feedback_gate: { enabled: true, threshold: 4 },
+  destinations: ['google'],
+}
+
+export function createCampaignDraft(overrides = {}) {
+  return normalizeCampaign({ ...DEFAULT_CAMPAIGN, ...overrides })
+}
+
+/**
+ * Fill in defaults for campaigns saved before a field existed and keep
+ * reminders in send order.
+ */
+export function normalizeCampaign(campaign = {}) {
+  const trigger = { ...DEFAULT_CAMPAIGN.trigger, ...(campaign.trigger || {}) }
+  const feedbackGate = { ...DEFAULT_CAMPAIGN.feedback_gate, ...(campaign.feedback_gate || {}) }
+
+  return {
+    ...DEFAULT_CAMPAIGN,
+    ...campaign,
+    trigger: {
+      ...trigger,
+      delay_hours: Math.max(0, Number(trigger.delay_hours) || 0),
+    },
+    reminders: (campaign.reminders || DEFAULT_CAMPAIGN.reminders)
+      .map(reminder => ({ ...reminder, delay_days: Math.max(1, Number(reminder.delay_days) || 1) }))
+      .sort((a, b) => a.delay_days - b.delay_days)
+      .slice(0, MAX_REMINDERS),
+    feedback_gate: {
+      enabled: !!feedbackGate.enabled,
+      threshold: Math.min(5, Math.max(1, Number(feedbackGate.threshold) || 4)),
+    },
+    destinations: campaign.destinations?.length ? campaign.destinations : DEFAULT_CAMPAIGN.destinations,
+  }
+}
+
+/**
+ * Returns a map of field -> message. Empty when the campaign can be saved.
+ */
+export function validateCampaign(campaign) {
+  const errors = {}
+  const usesEmail = campaign.channel === 'email' || campaign.channel === 'email_sms'
+  const usesSms = campaign.channel === 'sms' || campaign.channel === 'email_sms'
+
+  if (!campaign.name?.trim()) errors.name = 'Name is required'
+  if (!CAMPAIGN_TRIGGERS[campaign.trigger?.type]) errors.trigger = 'Choose when requests are sent'
+  if (!CAMPAIGN_CHANNELS[campaign.channel]) errors.channel = 'Choose email or SMS'
+
+  if (usesEmail) {
+    if (!campaign.email_subject?.trim()) errors.email_subject = 'Subject is required'
+    if (!campaign.email_body?.includes('{{review_link}}')) {
+      errors.email_body = 'Email must include {{review_link}}'
+    }
+  }
+  if (usesSms) {
+    if (!campaign.sms_body?.includes('{{review_link}}')) {
+      errors.sms_body = 'SMS must include {{review_link}}'
+    } else if (campaign.sms_body.length > SMS_SEGMENT_LENGTH * 2) {
+      errors.sms_body = `SMS must be ${SMS_SEGMENT_LENGTH * 2} characters or fewer`
+    }
+  }
+
+  const delays = (campaign.reminders || []).map(r => r.delay_days)
+  if (delays.length > MAX_REMINDERS) {
+    errors.reminders = `Up to ${MAX_REMINDERS} reminders`
+  } else if (new Set(delays).size !== delays.length) {
+    errors.reminders = 'Each reminder needs a different day'
+  }
+
+  if (!campaign.destinations?.length) errors.destinations = 'Pick at least one review site'
+
+  return errors
+}
+
+/**
+ * Replace {{variable}} placeholders. Unknown variables are left as-is so
+ * typos stay visible in the preview.
+ */
+export function renderCampaignMessage(template = '', values = {}) {
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) =>
+    values[key] != null ? String(values[key]) : match
+  )
+}
+
+export function getSampleMessageValues(overrides = {}) {
+  const values = {}
+  for (const variable of MESSAGE_VARIABLES) values[variable.key] = variable.sample
+  return { ...values, ...overrides }
+}
+
+/**
+ * When the first request and each reminder go out for a trigger event.
+ * Reminders are staggered from the first send, not from each other.
+ */
+export function getSendSchedule(campaign, triggeredAt = new Date()) {
+  const first = new Date(new Date(triggeredAt).getTime() + campaign.trigger.delay_hours * 3600000)
+  return [
+    { kind: 'initial', at: first },
+    ...campaign.reminders.map((reminder, index) => ({
+      kind: 'reminder',
+      index: index + 1,
+      at: new Date(first.getTime() + reminder.delay_days * 86400000),
+    })),
+  ]
+}
+
+/**
+ * Where a rating from the landing page goes: public review sites, or the
+ * internal feedback form when the gate is on and the rating is below threshold.
+ * The feedback form still links to the review sites.
+ */
+export function routeRating(rating, feedbackGate) {
+  if (feedbackGate?.enabled && rating < feedbackGate.threshold) return 'private'
+  return 'public'
+}
+
+const REQUEST_STAGES = ['sent', 'opened', 'clicked', 'rated', 'reviewed']
+
+/**
+ * Funnel counts for a set of review requests. A request counts toward every
+ * stage it has reached; private feedback is counted separately.
+ */
+export function summarizeReviewRequests(requests = []) {
+  const summary = { total: requests.length, sent: 0, opened: 0, clicked: 0, rated: 0, reviewed: 0, privateFeedback: 0 }
+
+  for (const request of requests) {
+    const reached = REQUEST_STAGES.indexOf(request.status)
+    REQUEST_STAGES.forEach((stage, index) => {
+      if (reached >= index) summary[stage]++
+    })
+    if (request.private_feedback) summary.privateFeedback++
+  }
+
+  summary.clickRate = summary.sent ? Math.round((summary.clicked / summary.sent) * 100) : 0
+  summary.conversionRate = summary.sent ? Math.round((summary.reviewed / summary.sent) * 100) : 0
+
+  return summary
+}
@@ -0,0 +1,524 @@
+// src/components/seo/SEORedirectImportExport.jsx
+// Bulk import redirects from CSV, .htaccess, nginx or Netlify _redirects and export them back
+// Every import is checked for duplicates, conflicts, loops and chains before anything is saved
+
+import { useState, useRef, useMemo, useEffect } from 'react'
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog'
+import { Button } from '@/components/ui/button'
+import { Badge } from '@/components/ui/badge'
+import { Progress } from '@/components/ui/progress'
+import { Switch } from '@/components/ui/switch'
+import { Textarea } from '@/components/ui/textarea'
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '@/components/ui/table'
+import { Card, CardContent } from '@/components/ui/card'
+import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/components/ui/tabs'
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select'
+import {
+  Upload,
+  Download,
+  FileCode,
+  Check,
+  Copy,
+  AlertTriangle,
+  Loader2,
+} from 'lucide-react'
+import { cn } from '@/lib/utils'
+import { toast } from '@/lib/toast'
+import { seoApi } from '@/lib/portal-api'
+import { analyzeRedirectRules } from '@/lib/seo/redirect-rules'
+import {
+  REDIRECT_FORMATS,
+  detectRedirectFormat,
+  parseRedirects,
+  serializeRedirects,
+} from '@/lib/seo/redirect-formats'
+
+// Rules are sent in batches so very large migrations don't hit request limits
+const IMPORT_BATCH_SIZE = 500
+const PREVIEW_LIMIT = 200
+
+const STATUS_CONFIG = {
+  new: { label: 'New', className: 'bg-emerald-500/10 text-emerald-600 border-emerald-500/30' },
+  duplicate: { label: 'Duplicate', className: 'bg-slate-500/10 text-slate-500 border-slate-500/30' },
+  conflict: { label: 'Conflict', className: 'bg-amber-500/10 text-amber-600 border-amber-500/30' },
+  loop: { label: 'Loop', className: 'bg-red-500/10 text-red-500 border-red-500/30' },
+  invalid: { label: 'Invalid', className: 'bg-red-500/10 text-red-500 border-red-500/30' },
+}
+
+export default function SEORedirectImportExport({
+  open,
+  onOpenChange,
+  projectId,
+  redirects = [],
+  defaultTab = 'import',
+  onImported,
+}) {
+  const [activeTab, setActiveTab] = useState(defaultTab)
+  
+  useEffect(() => {
+    if (open) setActiveTab(defaultTab)
+  }, [open, defaultTab])
+
+  // Import state
+  const fileInputRef = useRef(null)
+  const [source, setSource] = useState('')
+  const [fileName, setFileName] = useState('')
+  const [importFormat, setImportFormat] = useState('auto')
+  const [overwriteConflicts, setOverwriteConflicts] = useState(false)
+  const [collapseChains, setCollapseChains] = useState(true)
+  const [showIssuesOnly, setShowIssuesOnly] = useState(false)
+  const [importing, setImporting] = useState(false)
+  const [importProgress, setImportProgress] = useState(0)
+
+  // Export state
+  const [exportFormat, setExportFormat] = useState('csv')
+
+  const detectedFormat = useMemo(
+    () => (importFormat === 'auto' ? detectRedirectFormat(source, fileName) : importFormat),
+    [importFormat, source, fileName]
+  )
+
+  const parsed = useMemo(() => {
+    if (!source.trim()) return null
+    try {
+      return parseRedirects(source, detectedFormat)
+    } catch (err) {
+      return { rules: [], errors: [{ line: 0, message: err.message }] }
+    }
+  }, [source, detectedFormat])
+
+  const analysis = useMemo(
+    () => (parsed ? analyzeRedirectRules(parsed.rules, redirects) : null),
+    [parsed, redirects]
+  )
+
+  // What will actually be saved with the current options
+  const rulesToImport = useMemo(() => {
+    if (!analysis) return []
+    return analysis.rules
+      .filter(r => r.status === 'new' || (overwriteConflicts && r.status === 'conflict' && r.existingId))
+      .map(r => ({
+        from_path: r.from_path,
+        to_path: collapseChains && r.chainTo ? r.chainTo : r.to_path,
+        redirect_type: r.redirect_type,
+        match_type: r.match_type,
+        query_handling: r.query_handling,
+        is_regex: r.match_type === 'regex',
+      }))
+  }, [analysis, overwriteConflicts, collapseChains])
+
+  const previewRules = useMemo(() => {
+    if (!analysis) return []
+    const rules = showIssuesOnly
+      ? analysis.rules.filter(r => r.status !== 'new' || r.chainTo)
+      : analysis.rules
+    return rules.slice(0, PREVIEW_LIMIT)
+  }, [analysis, showIssuesOnly])
+
+  const exported = useMemo(
+    () => (activeTab === 'export' ? serializeRedirects(redirects, exportFormat) : null),
+    [activeTab, redirects, exportFormat]
+  )
+
+  const resetImportState = () => {
+    setSource('')
+    setFileName('')
+    setImportFormat('auto')
+    setImportProgress(0)
+    if (fileInputRef.current) fileInputRef.current.value = ''
+  }
+
+  const handleFileSelect = (e) => {
+    const file = e.target.files?.[0]
+    if (!file) return
+
+    const reader = new FileReader()
+    reader.onload = (event) => {
+      const text = event.target?.result
+      if (typeof text !== 'string') return
+      setFileName(file.name)
+      setSource(text)
+    }
+    reader.onerror = () => toast.error('Failed to read file')
+    reader.readAsText(file)
+  }
+
+  const handleImport = async () => {
+    if (rulesToImport.length === 0) {
+      toast.error('No redirects to import')
+      return
+    }
+
+    setImporting(true)
+    setImportProgress(0)
+
+    let failed = 0
+
+    for (let i = 0; i < rulesToImport.length; i += IMPORT_BATCH_SIZE) {
+      const batch = rulesToImport.slice(i, i + IMPORT_BATCH_SIZE)
+      try {
+        await seoApi.importRedirects(projectId, {
+          redirects: batch,
+          overwrite: overwriteConflicts,
+        })
+      } catch (err) {
+        console.error('Failed to import redirects:', err)
+        failed += batch.length
+      }
+      setImportProgress(Math.round(Math.min(i + IMPORT_BATCH_SIZE, rulesToImport.length) / rulesToImport.length * 100))
+    }
+
+    setImporting(false)
+    // Reload so ids, chain lengths and overwritten rules come from the server
+    onImported?.()
+
+    if (failed === 0) {
+      toast.success(`Imported ${rulesToImport.length} redirects`)
+      resetImportState()
+      onOpenChange(false)
+    } else {
+      toast.warning(`Imported ${rulesToImport.length - failed} redirects, ${failed} failed`)
+    }
+  }
+
+  const handleDownload = () => {
+    if (!exported) return
+    const format = REDIRECT_FORMATS[exportFormat]
+    const blob = new Blob([exported.content], { type: `${format.mimeType};charset=utf-8;` })
+    const url = URL.createObjectURL(blob)
+    const link = document.createElement('a')
+    link.href = url
+    link.download = format.filename
+    document.body.appendChild(link)
+    link.click()
+    document.body.removeChild(link)
+    URL.revokeObjectURL(url)
+    toast.success(`Exported ${redirects.length - exported.skipped.length} redirects`)
+  }
+
+  const handleCopy = async () => {
+    if (!exported) return
+    try {
+      await navigator.clipboard.writeText(exported.content)
+      toast.success('Copied to clipboard')
+    } catch {
+      toast.error('Failed to copy')
+    }
+  }
+
+  const handleClose = () => {
+    if (importing) return
+    resetImportState()
+    onOpenChange(false)
+  }
+
+  const summary = analysis?.summary
+
+  return (
+    <Dialog open={open} onOpenChange={handleClose}>
+      <DialogContent className="max-w-4xl max-h-[85vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <FileCode className="h-5 w-5 text-[var(--brand-primary)]" />
+            Import / Export Redirects
+          </DialogTitle>
+          <DialogDescription>
+            Bring in redirects from a migration or take them to your hosting edge
+          </DialogDescription>
+        </DialogHeader>
+
+        <Tabs value={activeTab} onValueChange={setActiveTab}>
+          <TabsList className="grid w-full grid-cols-2">
+            <TabsTrigger value="import">
+              <Upload className="h-4 w-4 mr-2" />
+              Import
+            </TabsTrigger>
+            <TabsTrigger value="export">
+              <Download className="h-4 w-4 mr-2" />
+              Export
+            </TabsTrigger>
+          </TabsList>
+
+          <TabsContent value="import" className="space-y-4 mt-4">
+            {/* Source */}
+            <div className="flex items-center gap-2">
+              <input
+                ref={fileInputRef}
+                type="file"
+                accept=".csv,.txt,.conf,.htaccess,_redirects,text/*"
+                onChange={handleFileSelect}
+                className="hidden"
+              />
+              <Button variant="outline" onClick={() => fileInputRef.current?.click()}>
+                <Upload className="h-4 w-4 mr-2" />
+                Upload File
+              </Button>
+              {fileName && (
+                <span className="text-sm text-[var(--text-secondary)] font-mono truncate">{fileName}</span>
+              )}
+              <div className="ml-auto flex items-center gap-2">
+                <span className="text-sm text-[var(--text-tertiary)]">Format</span>
+                <Select value={importFormat} onValueChange={setImportFormat}>
+                  <SelectTrigger className="w-52">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="auto">
+                      Auto-detect{source.trim() ? ` (${REDIRECT_FORMATS[detectedFormat].label})` : ''}
+                    </SelectItem>
+                    {Object.entries(REDIRECT_FORMATS).map(([value, format]) => (
+                      <SelectItem key={value} value={value}>{format.label}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+            </div>
+
+            <Textarea
+              value={source}
+              onChange={(e) => {
+                setSource(e.target.value)
+                setFileName('')
+              }}
+              placeholder={'Paste redirects here, e.g.\n/old-page,/new-page,301\nRedirect 301 /old-page /new-page\nrewrite ^/old-page$ /new-page permanent;\n/blog/*  /articles/:splat  301'}
+              className="font-mono text-xs h-32"
+            />
+
+            {/* Skipped lines */}
+            {parsed?.errors.length > 0 && (
+              <Card className="border-yellow-200 bg-yellow-50 dark:bg-yellow-950/20">
+                <CardContent className="py-4">
+                  <div className="flex items-center gap-2 mb-2">
+                    <AlertTriangle className="h-4 w-4 text-yellow-600" />
+                    <span className="font-medium text-yellow-800 dark:text-yellow-200">
+                      {parsed.errors.length} line{parsed.errors.length === 1 ? '' : 's'} skipped
+                    </span>
+                  </div>
+                  <ul className="text-sm text-yellow-700 dark:text-yellow-300 space-y-1">
+                    {parsed.errors.slice(0, 5).map((error, i) => (
+                      <li key={i}>Line {error.line}: {error.message}</li>
+                    ))}
+                    {parsed.errors.length > 5 && (
+                      <li>...and {parsed.errors.length - 5} more</li>
+                    )}
+                  </ul>
+                </CardContent>
+              </Card>
+            )}
+
+            {/* Validation summary */}
+            {summary && analysis.rules.length > 0 && (
+              <>
+                <div className="flex flex-wrap items-center gap-2">
+                  {Object.entries(STATUS_CONFIG).map(([status, config]) => summary[status] > 0 && (
+                    <Badge key={status} variant="outline" className={config.className}>
+                      {summary[status]} {config.label}
+                    </Badge>
+                  ))}
+                  {summary.chains > 0 && (
+                    <Badge variant="outline" className="bg-orange-500/10 text-orange-500 border-orange-500/30">
+                      {summary.chains} Chain{summary.chains === 1 ? '' : 's'}
+                    </Badge>
+                  )}
+                  <label className="ml-auto flex items-center gap-2 text-sm text-[var(--text-secondary)]">
+                    <Switch checked={showIssuesOnly} onCheckedChange={setShowIssuesOnly} />
+                    Issues only
+                  </label>
+                </div>
+
+                <div className="max-h-72 overflow-y-auto border rounded-lg">
+                  <Table>
+                    <TableHeader>
+                      <TableRow>
+                        <TableHead className="w-14">Line</TableHead>
+                        <TableHead>From</TableHead>
+                        <TableHead>To</TableHead>
+                        <TableHead className="w-16">Type</TableHead>
+                        <TableHead>Status</TableHead>
+                      </TableRow>
+                    </TableHeader>
+                    <TableBody>
+                      {previewRules.map(rule => (
+                        <TableRow key={rule.index}>
+                          <TableCell className="text-xs text-[var(--text-tertiary)]">{rule.line ?? rule.index + 1}</TableCell>
+                          <TableCell className="font-mono text-xs max-w-[220px] truncate" title={rule.from_path}>
+                            {rule.from_path}
+                          </TableCell>
+                          <TableCell className="font-mono text-xs max-w-[220px] truncate" title={rule.to_path}>
+                            {collapseChains && rule.chainTo ? (
+                              <>
+                                <span className="line-through text-[var(--text-tertiary)] mr-1">{rule.to_path}</span>
+                                {rule.chainTo}
+                              </>
+                            ) : rule.to_path}
+                          </TableCell>
+                          <TableCell className="text-xs">{rule.redirect_type}</TableCell>
+                          <TableCell>
+                            <div className="flex flex-col gap-1">
+                              <Badge variant="outline" className={cn("w-fit text-xs", STATUS_CONFIG[rule.status].className)}>
+                                {STATUS_CONFIG[rule.status].label}
+                              </Badge>
+                              {rule.issues.map((issue, i) => (
+                                <span key={i} className="text-xs text-[var(--text-tertiary)]">{issue}</span>
+                              ))}
+                            </div>
+                          </TableCell>
+                        </TableRow>
+                      ))}
+                    </TableBody>
+                  </Table>
+                  {analysis.rules.length > PREVIEW_LIMIT && !showIssuesOnly && (
+                    <div className="py-2 text-center text-sm text-muted-foreground border-t">
+                      ...and {analysis.rules.length - PREVIEW_LIMIT} more
+                    </div>
+                  )}
+                </div>
+
+                {/* Options */}
+                <div className="grid grid-cols-2 gap-3">
+                  <label className="flex items-center justify-between gap-3 p-3 rounded-lg bg-[var(--glass-bg-inset)]">
+                    <div>
+                      <div className="text-sm font-medium text-[var(--text-primary)]">Overwrite conflicts</div>
+                      <div className="text-xs text-[var(--text-tertiary)]">
+                        Replace saved rules that send the same source elsewhere
+                      </div>
+                    </div>
+                    <Switch checked={overwriteConflicts} onCheckedChange={setOverwriteConflicts} />
+                  </label>
+                  <label className="flex items-center justify-between gap-3 p-3 rounded-lg bg-[var(--glass-bg-inset)]">
+                    <div>
+                      <div className="text-sm font-medium text-[var(--text-primary)]">Collapse chains</div>
+                      <div className="text-xs text-[var(--text-tertiary)]">
+                        Point chained rules straight at their final destination
+                      </div>
+                    </div>
+                    <Switch checked={collapseChains} onCheckedChange={setCollapseChains} />
+                  </label>
+                </div>
+
+                {(summary.loop > 0 || summary.invalid > 0 || summary.duplicate > 0) && (
+                  <p className="text-xs text-[var(--text-tertiary)]">
+                    Duplicates, loops and invalid rules are never imported.
+                  </p>
+                )}
+              </>
+            )}
+
+            {/* Import Progress */}
+            {importing && (
+              <div className="space-y-2">
+                <div className="flex items-center justify-between text-sm">
+                  <span>Importing redirects...</span>
+                  <span>{importProgress}%</span>
+                </div>
+                <Progress value={importProgress} />
+              </div>
+            )}
+
+            <DialogFooter>
+              <Button variant="outline" onClick={handleClose} disabled={importing}>
+                Cancel
+              </Button>
+              <Button
+                onClick={handleImport}
+                disabled={rulesToImport.length === 0 || importing}
+                className="bg-[var(--brand-primary)] hover:bg-[var(--brand-primary-hover)]"
+              >
+                {importing ? (
+                  <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+                ) : (
+                  <Check className="h-4 w-4 mr-2" />
+                )}
+                Import {rulesToImport.length.toLocaleString()} Redirects
+              </Button>
+            </DialogFooter>
+          </TabsContent>
+
+          <TabsContent value="export" className="space-y-4 mt-4">
+            <div className="flex items-center gap-2">
+              <span className="text-sm text-[var(--text-tertiary)]">Format</span>
+              <Select value={exportFormat} onValueChange={setExportFormat}>
+                <SelectTrigger className="w-52">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {Object.entries(REDIRECT_FORMATS).map(([value, format]) => (
+                    <SelectItem key={value} value={value}>{format.label}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              <span className="ml-auto text-sm text-[var(--text-secondary)]">
+                {redirects.length.toLocaleString()} redirects
+              </span>
+            </div>
+
+            {exported?.skipped.length > 0 && (
+              <Card className="border-yellow-200 bg-yellow-50 dark:bg-yellow-950/20">
+                <CardContent className="py-4">
+                  <div className="flex items-center gap-2 mb-2">
+                    <AlertTriangle className="h-4 w-4 text-yellow-600" />
+                    <span className="font-medium text-yellow-800 dark:text-yellow-200">
+                      {exported.skipped.length} rule{exported.skipped.length === 1 ? '' : 's'} can't be expressed in this format
+                    </span>
+                  </div>
+                  <ul className="text-sm text-yellow-700 dark:text-yellow-300 space-y-1">
+                    {exported.skipped.slice(0, 5).map((rule, i) => (
+                      <li key={i} className="font-mono text-xs">{rule.from_path}</li>
+                    ))}
+                    {exported.skipped.length > 5 && (
+                      <li>...and {exported.skipped.length - 5} more</li>
+                    )}
+                  </ul>
+                  <p className="text-xs text-yellow-700 dark:text-yellow-300 mt-2">
+                    Keep these in Portal - site-kit's handleManagedRedirects still applies them.
+                  </p>
+                </CardContent>
+              </Card>
+            )}
+
+            <Textarea
+              value={exported?.content || ''}
+              readOnly
+              className="font-mono text-xs h-64"
+            />
+
+            <DialogFooter>
+              <Button variant="outline" onClick={handleCopy} disabled={redirects.length === 0}>
+                <Copy className="h-4 w-4 mr-2" />
+                Copy
+              </Button>
+              <Button
+                onClick={handleDownload}
+                disabled={redirects.length === 0}
+                className="bg-[var(--brand-primary)] hover:bg-[var(--brand-primary-hover)]"
+              >
+                <Download className="h-4 w-4 mr-2" />
+                Download {REDIRECT_FORMATS[exportFormat].filename}
+              </Button>
+            </DialogFooter>
+          </TabsContent>
+        </Tabs>
+      </DialogContent>
+    </Dialog>
+  )
+}
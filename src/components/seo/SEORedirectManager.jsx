@@ -2,7 +2,7 @@
 // Redirect Management - Create, manage, and track redirects with impact analysis
 // Futuristic UI with brand colors
 
-import { useState, useEffect, useMemo } from 'react'
+import { useState, useEffect, useMemo, useCallback } from 'react'
 import { motion, AnimatePresence } from 'framer-motion'
 import { Card, CardContent, CardHeader, CardTitle, CardDescription } from '@/components/ui/card'
 import { Button } from '@/components/ui/button'
@@ -55,12 +55,23 @@ import {
   Download,
   Upload,
   ChevronRight,
+  FlaskConical,
+  Regex,
 } from 'lucide-react'
 import { cn } from '@/lib/utils'
 import { formatDistanceToNow, format } from 'date-fns'
 import { signalSeoApi } from '@/lib/signal-api'
 import { seoApi } from '@/lib/portal-api'
 import { useSignalAccess } from '@/lib/signal-access'
+import {
+  MATCH_TYPES,
+  QUERY_HANDLING,
+  getMatchType,
+  compileRedirectRule,
+  testRedirectUrl,
+  getChainLength,
+} from '@/lib/seo/redirect-rules'
+import SEORedirectImportExport from './SEORedirectImportExport'
 
 // Redirect type configuration
 const REDIRECT_TYPES = {
@@ -70,11 +81,16 @@ const REDIRECT_TYPES = {
   308: { label: '308 Permanent', color: 'brand-primary', description: 'Permanent redirect, preserves request method' },
 }
 
+// Rules without a status come from older API responses and are live
+const isActiveRule = (redirect) => !redirect.status || redirect.status === 'active'
+
 // Redirect card component
 function RedirectCard({ redirect, onEdit, onDelete, onTest }) {
   const typeConfig = REDIRECT_TYPES[redirect.redirect_type] || REDIRECT_TYPES[301]
   const hasChain = redirect.chain_length > 1
   const is404Source = redirect.is_404_fix
+  const matchType = getMatchType(redirect)
+  const queryHandling = redirect.query_handling || 'keep'
   
   return (
     <motion.div
@@ -99,6 +115,17 @@ function RedirectCard({ redirect, onEdit, onDelete, onTest }) {
           >
             {typeConfig.label}
           </Badge>
+          {matchType !== 'exact' && (
+            <Badge variant="outline" className="text-xs text-[var(--brand-secondary)] border-[var(--brand-secondary)]/30">
+              <Regex className="h-3 w-3 mr-1" />
+              {MATCH_TYPES[matchType]?.label || matchType}
+            </Badge>
+          )}
+          {queryHandling !== 'keep' && (
+            <Badge variant="outline" className="text-xs text-[var(--text-tertiary)]">
+              Query: {QUERY_HANDLING[queryHandling]?.label || queryHandling}
+            </Badge>
+          )}
           {is404Source && (
             <Badge className="text-xs bg-amber-500/10 text-amber-500 border-amber-500/30">
               <FileWarning className="h-3 w-3 mr-1" />
@@ -199,12 +226,86 @@ function RedirectCard({ redirect, onEdit, onDelete, onTest }) {
   )
 }
 
+// Test a sample URL against a rule set, showing every hop of the chain
+function RedirectTester({ rules, sampleUrl, onSampleUrlChange, compact = false }) {
+  const { result, error } = useMemo(() => testRedirectUrl(sampleUrl, rules), [sampleUrl, rules])
+  
+  return (
+    <div className="space-y-2">
+      <div className="relative">
+        <FlaskConical className="absolute left-3 top-1/2 -translate-y-1/2 h-4 w-4 text-[var(--text-tertiary)]" />
+        <Input
+          value={sampleUrl}
+          onChange={(e) => onSampleUrlChange(e.target.value)}
+          placeholder="Test a URL, e.g. /blog/2019/my-post?utm_source=news"
+          className="pl-10 font-mono"
+        />
+      </div>
+      
+      {sampleUrl && (
+        <div className={cn(
+          "rounded-lg bg-[var(--glass-bg-inset)] text-sm",
+          compact ? "p-2" : "p-3"
+        )}>
+          {error ? (
+            <div className="flex items-center gap-2 text-red-400">
+              <XCircle className="h-4 w-4 shrink-0" />
+              Invalid URL: {error}
+            </div>
+          ) : !result ? (
+            <div className="flex items-center gap-2 text-[var(--text-tertiary)]">
+              <XCircle className="h-4 w-4 shrink-0" />
+              No rule matches this URL
+            </div>
+          ) : (
+            <div className="space-y-2">
+              {result.hops.map((hop, i) => (
+                <div key={i} className="flex items-center gap-2 min-w-0">
+                  <Badge variant="outline" className="text-xs shrink-0">
+                    {hop.rule.redirect_type}
+                  </Badge>
+                  <span className="font-mono text-[var(--text-tertiary)] truncate" title={hop.rule.from_path}>
+                    {hop.rule.from_path}
+                  </span>
+                  <ArrowRight className="h-3.5 w-3.5 shrink-0 text-[var(--text-tertiary)]" />
+                  <span className="font-mono text-[var(--text-primary)] truncate" title={hop.destination}>
+                    {hop.destination}
+                  </span>
+                </div>
+              ))}
+              
+              {result.loop ? (
+                <div className="flex items-center gap-2 text-red-400">
+                  <AlertTriangle className="h-4 w-4 shrink-0" />
+                  Redirect loop - the site will not redirect this URL
+                </div>
+              ) : (
+                <div className="flex items-center gap-2 pt-2 border-t border-[var(--glass-border)]">
+                  <CheckCircle className="h-4 w-4 shrink-0 text-[var(--brand-primary)]" />
+                  <span className="text-[var(--text-secondary)] shrink-0">
+                    {result.statusCode}{result.hops.length > 1 ? ` (${result.hops.length} hops collapsed)` : ''}
+                  </span>
+                  <span className="font-mono text-[var(--brand-primary)] truncate" title={result.destination}>
+                    {result.destination}
+                  </span>
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
 // Create/Edit redirect dialog
-function RedirectDialog({ open, onOpenChange, redirect, onSave }) {
+function RedirectDialog({ open, onOpenChange, redirect, redirects = [], onSave }) {
   const [fromPath, setFromPath] = useState(redirect?.from_path || '')
   const [toPath, setToPath] = useState(redirect?.to_path || '')
   const [redirectType, setRedirectType] = useState(redirect?.redirect_type?.toString() || '301')
-  const [isRegex, setIsRegex] = useState(redirect?.is_regex || false)
+  const [matchType, setMatchType] = useState(redirect ? getMatchType(redirect) : 'exact')
+  const [queryHandling, setQueryHandling] = useState(redirect?.query_handling || 'keep')
+  const [sampleUrl, setSampleUrl] = useState('')
   const [isSaving, setIsSaving] = useState(false)
   
   useEffect(() => {
@@ -212,17 +313,37 @@ function RedirectDialog({ open, onOpenChange, redirect, onSave }) {
       setFromPath(redirect.from_path || '')
       setToPath(redirect.to_path || '')
       setRedirectType(redirect.redirect_type?.toString() || '301')
-      setIsRegex(redirect.is_regex || false)
+      setMatchType(getMatchType(redirect))
+      setQueryHandling(redirect.query_handling || 'keep')
     } else {
       setFromPath('')
       setToPath('')
       setRedirectType('301')
-      setIsRegex(false)
+      setMatchType('exact')
+      setQueryHandling('keep')
     }
+    setSampleUrl('')
   }, [redirect, open])
   
+  const draftRule = useMemo(() => ({
+    id: redirect?.id,
+    from_path: fromPath,
+    to_path: toPath,
+    redirect_type: redirectType,
+    match_type: matchType,
+    query_handling: queryHandling,
+  }), [redirect?.id, fromPath, toPath, redirectType, matchType, queryHandling])
+  
+  const patternError = fromPath ? compileRedirectRule(draftRule).error : null
+  
+  // Test the draft together with the other active rules so chains show up
+  const testRules = useMemo(() => {
+    const others = redirects.filter(r => r.id !== redirect?.id && isActiveRule(r))
+    return fromPath && toPath ? [draftRule, ...others] : others
+  }, [draftRule, redirects, redirect?.id, fromPath, toPath])
+  
   const handleSave = async () => {
-    if (!fromPath || !toPath) return
+    if (!fromPath || !toPath || patternError) return
     setIsSaving(true)
     
     try {
@@ -231,7 +352,9 @@ function RedirectDialog({ open, onOpenChange, redirect, onSave }) {
         from_path: fromPath,
         to_path: toPath,
         redirect_type: parseInt(redirectType),
-        is_regex: isRegex,
+        match_type: matchType,
+        query_handling: queryHandling,
+        is_regex: matchType === 'regex',
       })
       onOpenChange(false)
     } catch (error) {
@@ -241,9 +364,11 @@ function RedirectDialog({ open, onOpenChange, redirect, onSave }) {
     }
   }
   
+  const matchConfig = MATCH_TYPES[matchType]
+  
   return (
     <Dialog open={open} onOpenChange={onOpenChange}>
-      <DialogContent className="max-w-lg">
+      <DialogContent className="max-w-2xl">
         <DialogHeader>
           <DialogTitle className="flex items-center gap-2">
             <CornerDownRight className="h-5 w-5 text-[var(--brand-primary)]" />
@@ -255,6 +380,30 @@ function RedirectDialog({ open, onOpenChange, redirect, onSave }) {
         </DialogHeader>
         
         <div className="space-y-4 py-4">
+          {/* Match type */}
+          <div className="space-y-2">
+            <label className="text-sm font-medium text-[var(--text-secondary)]">
+              Match Type
+            </label>
+            <Select value={matchType} onValueChange={setMatchType}>
+              <SelectTrigger>
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {Object.entries(MATCH_TYPES).map(([type, config]) => (
+                  <SelectItem key={type} value={type}>
+                    <div className="flex items-center gap-2">
+                      <span className="font-medium">{config.label}</span>
+                      <span className="text-xs text-[var(--text-tertiary)]">
+                        - {config.description}
+                      </span>
+                    </div>
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+          
           {/* From path */}
           <div className="space-y-2">
             <label className="text-sm font-medium text-[var(--text-secondary)]">
@@ -263,12 +412,18 @@ function RedirectDialog({ open, onOpenChange, redirect, onSave }) {
             <Input
               value={fromPath}
               onChange={(e) => setFromPath(e.target.value)}
-              placeholder="/old-page"
-              className="font-mono"
+              placeholder={matchConfig.placeholder}
+              className={cn("font-mono", patternError && "border-red-500/50")}
             />
-            <p className="text-xs text-[var(--text-tertiary)]">
-              The URL path that should redirect
-            </p>
+            {patternError ? (
+              <p className="text-xs text-red-400">
+                Invalid pattern: {patternError}
+              </p>
+            ) : (
+              <p className="text-xs text-[var(--text-tertiary)]">
+                The URL path that should redirect
+              </p>
+            )}
           </div>
           
           {/* To path */}
@@ -279,11 +434,12 @@ function RedirectDialog({ open, onOpenChange, redirect, onSave }) {
             <Input
               value={toPath}
               onChange={(e) => setToPath(e.target.value)}
-              placeholder="/new-page"
+              placeholder={matchConfig.toPlaceholder}
               className="font-mono"
             />
             <p className="text-xs text-[var(--text-tertiary)]">
               The destination URL (can be relative or absolute)
+              {matchType !== 'exact' && ' - captured values are filled in'}
             </p>
           </div>
           
@@ -311,22 +467,41 @@ function RedirectDialog({ open, onOpenChange, redirect, onSave }) {
             </Select>
           </div>
           
-          {/* Regex toggle */}
-          <div className="flex items-center justify-between p-3 rounded-lg bg-[var(--glass-bg-inset)]">
-            <div>
-              <div className="text-sm font-medium text-[var(--text-primary)]">Use Regex Pattern</div>
-              <div className="text-xs text-[var(--text-tertiary)]">
-                Enable regular expression matching for the source path
-              </div>
-            </div>
-            <Button
-              variant={isRegex ? "default" : "outline"}
-              size="sm"
-              onClick={() => setIsRegex(!isRegex)}
-              className={isRegex ? "bg-[var(--brand-primary)]" : ""}
-            >
-              {isRegex ? 'On' : 'Off'}
-            </Button>
+          {/* Query string handling */}
+          <div className="space-y-2">
+            <label className="text-sm font-medium text-[var(--text-secondary)]">
+              Query String
+            </label>
+            <Select value={queryHandling} onValueChange={setQueryHandling}>
+              <SelectTrigger>
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {Object.entries(QUERY_HANDLING).map(([value, config]) => (
+                  <SelectItem key={value} value={value}>
+                    <div className="flex items-center gap-2">
+                      <span className="font-medium">{config.label}</span>
+                      <span className="text-xs text-[var(--text-tertiary)]">
+                        - {config.description}
+                      </span>
+                    </div>
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+          
+          {/* Tester */}
+          <div className="space-y-2">
+            <label className="text-sm font-medium text-[var(--text-secondary)]">
+              Test Rule
+            </label>
+            <RedirectTester
+              rules={testRules}
+              sampleUrl={sampleUrl}
+              onSampleUrlChange={setSampleUrl}
+              compact
+            />
           </div>
         </div>
         
@@ -336,7 +511,7 @@ function RedirectDialog({ open, onOpenChange, redirect, onSave }) {
           </Button>
           <Button
             onClick={handleSave}
-            disabled={!fromPath || !toPath || isSaving}
+            disabled={!fromPath || !toPath || !!patternError || isSaving}
             className="bg-[var(--brand-primary)] hover:bg-[var(--brand-primary-hover)]"
           >
             {isSaving ? (
@@ -363,31 +538,40 @@ export default function SEORedirectManager({ projectId }) {
   const [dialogOpen, setDialogOpen] = useState(false)
   const [editingRedirect, setEditingRedirect] = useState(null)
   const [isGenerating404Fixes, setIsGenerating404Fixes] = useState(false)
+  const [sampleUrl, setSampleUrl] = useState('')
+  const [importExportTab, setImportExportTab] = useState(null)
   
   // Fetch redirects
-  useEffect(() => {
-    const loadRedirects = async () => {
-      if (!projectId) return
-      setIsLoading(true)
-      
-      try {
-        // Fetch redirects from Portal API
-        const response = await seoApi.getRedirects(projectId)
-        const data = response?.data || response || []
-        setRedirects(Array.isArray(data) ? data : [])
-      } catch (error) {
-        console.error('Failed to load redirects:', error)
-        setRedirects([])
-      } finally {
-        setIsLoading(false)
-      }
-    }
+  const loadRedirects = useCallback(async () => {
+    if (!projectId) return
+    setIsLoading(true)
     
-    loadRedirects()
+    try {
+      // Fetch redirects from Portal API
+      const response = await seoApi.getRedirects(projectId)
+      const data = response?.data || response || []
+      setRedirects(Array.isArray(data) ? data : [])
+    } catch (error) {
+      console.error('Failed to load redirects:', error)
+      setRedirects([])
+    } finally {
+      setIsLoading(false)
+    }
   }, [projectId])
   
+  useEffect(() => {
+    loadRedirects()
+  }, [loadRedirects])
+  
+  const activeRedirects = useMemo(() => redirects.filter(isActiveRule), [redirects])
+  
+  // Fall back to local chain detection when the API doesn't report chain_length
+  const redirectsWithChains = useMemo(() => redirects.map(r => (
+    r.chain_length != null ? r : { ...r, chain_length: getChainLength(r, activeRedirects) }
+  )), [redirects, activeRedirects])
+  
   const filteredRedirects = useMemo(() => {
-    let filtered = redirects
+    let filtered = redirectsWithChains
     
     // Search filter
     if (searchQuery) {
@@ -410,7 +594,7 @@ export default function SEORedirectManager({ projectId }) {
     }
     
     return filtered
-  }, [redirects, searchQuery, filterType])
+  }, [redirectsWithChains, searchQuery, filterType])
   
   const handleSaveRedirect = async (data) => {
     try {
@@ -425,6 +609,8 @@ export default function SEORedirectManager({ projectId }) {
           from_path: data.from_path,
           to_path: data.to_path,
           redirect_type: data.redirect_type,
+          match_type: data.match_type || 'exact',
+          query_handling: data.query_handling || 'keep',
           is_regex: data.is_regex || false,
           is_404_fix: data.is_404_fix || false,
         })
@@ -461,9 +647,9 @@ export default function SEORedirectManager({ projectId }) {
   const stats = useMemo(() => ({
     total: redirects.length,
     active: redirects.filter(r => r.status === 'active').length,
-    chains: redirects.filter(r => r.chain_length > 1).length,
+    chains: redirectsWithChains.filter(r => r.chain_length > 1).length,
     '404Fixes': redirects.filter(r => r.is_404_fix).length,
-  }), [redirects])
+  }), [redirects, redirectsWithChains])
   
   return (
     <div className="space-y-6">
@@ -567,17 +753,37 @@ export default function SEORedirectManager({ projectId }) {
         </Select>
         
         <div className="flex items-center gap-2">
-          <Button variant="outline" size="sm">
+          <Button variant="outline" size="sm" onClick={() => setImportExportTab('export')}>
             <Download className="h-4 w-4 mr-2" />
             Export
           </Button>
-          <Button variant="outline" size="sm">
+          <Button variant="outline" size="sm" onClick={() => setImportExportTab('import')}>
             <Upload className="h-4 w-4 mr-2" />
             Import
           </Button>
         </div>
       </div>
       
+      {/* URL tester */}
+      <Card>
+        <CardHeader className="pb-3">
+          <CardTitle className="text-base flex items-center gap-2">
+            <FlaskConical className="h-4 w-4 text-[var(--brand-primary)]" />
+            Test a URL
+          </CardTitle>
+          <CardDescription>
+            See which rule catches a URL and where it ends up, with chains collapsed into one hop
+          </CardDescription>
+        </CardHeader>
+        <CardContent>
+          <RedirectTester
+            rules={activeRedirects}
+            sampleUrl={sampleUrl}
+            onSampleUrlChange={setSampleUrl}
+          />
+        </CardContent>
+      </Card>
+      
       {/* Redirects list */}
       {isLoading ? (
         <div className="flex items-center justify-center py-20">
@@ -616,7 +822,14 @@ export default function SEORedirectManager({ projectId }) {
                 setDialogOpen(true)
               }}
               onDelete={handleDeleteRedirect}
-              onTest={(r) => window.open(r.from_path, '_blank')}
+              onTest={(r) => {
+                // Patterns aren't real URLs - load them into the tester instead
+                if (getMatchType(r) === 'exact') {
+                  window.open(r.from_path, '_blank')
+                } else {
+                  setSampleUrl(r.from_path.replace(/^\^|\$$/g, ''))
+                }
+              }}
             />
           ))}
         </div>
@@ -627,8 +840,19 @@ export default function SEORedirectManager({ projectId }) {
         open={dialogOpen}
         onOpenChange={setDialogOpen}
         redirect={editingRedirect}
+        redirects={redirects}
         onSave={handleSaveRedirect}
       />
+      
+      {/* Bulk Import/Export Dialog */}
+      <SEORedirectImportExport
+        open={!!importExportTab}
+        onOpenChange={(open) => !open && setImportExportTab(null)}
+        defaultTab={importExportTab || 'import'}
+        projectId={projectId}
+        redirects={redirects}
+        onImported={loadRedirects}
+      />
     </div>
   )
 }
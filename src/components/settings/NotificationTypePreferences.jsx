@@ -0,0 +1,151 @@
+/**
+ * NotificationTypePreferences
+ *
+ * Per-type settings for the notification center:
+ * - In-app (TopHeader inbox + toast) and push per notification type
+ * - Web Push subscription for this browser
+ *
+ * Stored server-side so they apply on every device; message sound/badge
+ * settings stay in NotificationPreferences.
+ */
+
+import { useState, useEffect } from 'react'
+import { BellRing, Loader2, Smartphone } from 'lucide-react'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
+import { Switch } from '@/components/ui/switch'
+import { toast } from '@/lib/toast'
+import { useNotificationPreferences, useUpdateNotificationPreferences } from '@/lib/hooks'
+import { NOTIFICATION_TYPES, DEFAULT_NOTIFICATION_PREFERENCES } from '@/lib/notifications'
+import {
+  isPushSupported,
+  getPushPermission,
+  getPushSubscription,
+  enablePush,
+  disablePush,
+} from '@/lib/web-push'
+
+export function NotificationTypePreferences() {
+  const { data: preferences = DEFAULT_NOTIFICATION_PREFERENCES, isLoading } = useNotificationPreferences()
+  const updatePreferences = useUpdateNotificationPreferences()
+
+  const [pushEnabled, setPushEnabled] = useState(false)
+  const [pushPermission, setPushPermission] = useState(getPushPermission())
+  const [pushBusy, setPushBusy] = useState(false)
+
+  // Reflect whether this browser already has a subscription
+  useEffect(() => {
+    getPushSubscription()
+      .then(subscription => setPushEnabled(!!subscription))
+      .catch(() => setPushEnabled(false))
+  }, [])
+
+  const updateTypePref = (type, channel, value) => {
+    updatePreferences.mutate(
+      { ...preferences, [type]: { ...preferences[type], [channel]: value } },
+      {
+        onError: (err) => {
+          console.error('Failed to save notification preferences:', err)
+          toast.error('Failed to save preferences')
+        },
+      }
+    )
+  }
+
+  const togglePush = async (enabled) => {
+    setPushBusy(true)
+    try {
+      if (enabled) {
+        await enablePush()
+        toast.success('Push notifications enabled on this browser')
+      } else {
+        await disablePush()
+        toast.success('Push notifications turned off on this browser')
+      }
+      setPushEnabled(enabled)
+    } catch (err) {
+      console.error('Failed to update push subscription:', err)
+      toast.error(err.message || 'Failed to update push notifications')
+    } finally {
+      setPushPermission(getPushPermission())
+      setPushBusy(false)
+    }
+  }
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <BellRing className="h-5 w-5" />
+          Notification Center
+        </CardTitle>
+        <CardDescription>
+          Choose which activity shows up in your inbox and which is pushed to this device
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        {/* Browser push subscription */}
+        <div className="flex items-center justify-between p-4 rounded-lg bg-[var(--surface-secondary)]/50">
+          <div className="flex items-start gap-3">
+            <Smartphone className="h-4 w-4 mt-0.5 text-[var(--text-secondary)]" />
+            <div>
+              <p className="text-sm font-medium text-[var(--text-primary)]">Push notifications on this browser</p>
+              <p className="text-xs text-[var(--text-secondary)]">
+                {!isPushSupported()
+                  ? 'This browser does not support push notifications'
+                  : pushPermission === 'denied'
+                    ? 'Notifications are blocked. Allow them in your browser settings.'
+                    : 'Get notified even when the portal is closed'}
+              </p>
+            </div>
+          </div>
+          {pushBusy ? (
+            <Loader2 className="h-4 w-4 animate-spin text-[var(--text-secondary)]" />
+          ) : (
+            <Switch
+              checked={pushEnabled}
+              onCheckedChange={togglePush}
+              disabled={!isPushSupported() || pushPermission === 'denied'}
+              aria-label="Push notifications on this browser"
+            />
+          )}
+        </div>
+
+        {/* Per-type channels */}
+        <div className="space-y-2">
+          <div className="grid grid-cols-[1fr_64px_64px] items-center px-4 text-xs font-semibold text-[var(--text-secondary)]">
+            <span>Type</span>
+            <span className="text-center">In-app</span>
+            <span className="text-center">Push</span>
+          </div>
+          {Object.entries(NOTIFICATION_TYPES).map(([type, config]) => (
+            <div
+              key={type}
+              className="grid grid-cols-[1fr_64px_64px] items-center p-4 rounded-lg bg-[var(--surface-secondary)]/50"
+            >
+              <div>
+                <p className="text-sm font-medium text-[var(--text-primary)]">{config.label}</p>
+                <p className="text-xs text-[var(--text-secondary)]">{config.description}</p>
+              </div>
+              <div className="flex justify-center">
+                <Switch
+                  checked={preferences[type]?.in_app}
+                  onCheckedChange={(checked) => updateTypePref(type, 'in_app', checked)}
+                  disabled={isLoading}
+                  aria-label={`${config.label} in-app`}
+                />
+              </div>
+              <div className="flex justify-center">
+                <Switch
+                  checked={preferences[type]?.push}
+                  onCheckedChange={(checked) => updateTypePref(type, 'push', checked)}
+                  disabled={isLoading || !pushEnabled}
+                  aria-label={`${config.label} push`}
+                />
+              </div>
+            </div>
+          ))}
+        </div>
+      </CardContent>
+    </Card>
+  )
+}
@@ -6,6 +6,7 @@ import { Button } from '@/components/ui/button'
 import useAuthStore from '@/lib/auth-store'
 import { useAccountSettingsStore } from '@/lib/account-settings-store'
 import { NotificationPreferences } from './NotificationPreferences'
+import { NotificationTypePreferences } from './NotificationTypePreferences'
 
 export default function SettingsModule() {
   const navigate = useNavigate()
@@ -70,6 +71,11 @@ export default function SettingsModule() {
         </Button>
       </div>
 
+      {/* Notification Center (per-type inbox + push) */}
+      <div className="mt-8">
+        <NotificationTypePreferences />
+      </div>
+
       {/* Notification Preferences */}
       <div className="mt-8">
         <NotificationPreferences />
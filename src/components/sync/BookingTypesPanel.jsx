@@ -337,6 +337,9 @@ function BookingTypeFormModal({ isOpen, onClose, editingType, onSaved }) {
     buffer_after_minutes: '15',
     min_notice_hours: '24',
     max_advance_days: '60',
+    cancellation_notice_hours: '24',
+    allow_guest_cancel: true,
+    allow_guest_reschedule: true,
     icon: 'phone',
     color: '#10b981',
     is_public: true,
@@ -352,6 +355,9 @@ function BookingTypeFormModal({ isOpen, onClose, editingType, onSaved }) {
         buffer_after_minutes: String(editingType.buffer_after_minutes || 15),
         min_notice_hours: String(editingType.min_notice_hours || 24),
         max_advance_days: String(editingType.max_advance_days || 60),
+        cancellation_notice_hours: String(editingType.cancellation_notice_hours ?? 24),
+        allow_guest_cancel: editingType.allow_guest_cancel !== false,
+        allow_guest_reschedule: editingType.allow_guest_reschedule !== false,
         icon: editingType.icon || 'phone',
         color: editingType.color || '#10b981',
         is_public: editingType.is_public !== false,
@@ -365,6 +371,9 @@ function BookingTypeFormModal({ isOpen, onClose, editingType, onSaved }) {
         buffer_after_minutes: '15',
         min_notice_hours: '24',
         max_advance_days: '60',
+        cancellation_notice_hours: '24',
+        allow_guest_cancel: true,
+        allow_guest_reschedule: true,
         icon: 'phone',
         color: '#10b981',
         is_public: true,
@@ -387,6 +396,7 @@ function BookingTypeFormModal({ isOpen, onClose, editingType, onSaved }) {
         buffer_after_minutes: parseInt(formData.buffer_after_minutes),
         min_notice_hours: parseInt(formData.min_notice_hours),
         max_advance_days: parseInt(formData.max_advance_days),
+        cancellation_notice_hours: parseInt(formData.cancellation_notice_hours),
       }
 
       if (editingType) {
@@ -577,6 +587,29 @@ function BookingTypeFormModal({ isOpen, onClose, editingType, onSaved }) {
                 />
               </label>
             </div>
+            {(formData.allow_guest_cancel !== false || formData.allow_guest_reschedule !== false) && (
+              <div className="space-y-2">
+                <Label>Cancellation Notice</Label>
+                <Select 
+                  value={formData.cancellation_notice_hours}
+                  onValueChange={(v) => setFormData(f => ({ ...f, cancellation_notice_hours: v }))}
+                >
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="0">Until the booking starts</SelectItem>
+                    <SelectItem value="1">1 hour before</SelectItem>
+                    <SelectItem value="4">4 hours before</SelectItem>
+                    <SelectItem value="24">24 hours before</SelectItem>
+                    <SelectItem value="48">48 hours before</SelectItem>
+                  </SelectContent>
+                </Select>
+                <p className="text-xs text-muted-foreground">
+                  Guests can cancel or reschedule from their confirmation email until this point
+                </p>
+              </div>
+            )}
           </div>
         </div>
 
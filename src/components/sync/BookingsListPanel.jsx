@@ -27,7 +27,9 @@ import {
   StickyNote,
   Tag,
   Save,
-  Edit2
+  Edit2,
+  History,
+  ArrowRight
 } from 'lucide-react'
 import { Button } from '@/components/ui/button'
 import { Badge } from '@/components/ui/badge'
@@ -66,6 +68,12 @@ import { syncApi } from '@/lib/portal-api'
 import { toast } from 'sonner'
 import { format, formatDistanceToNow, isPast, isToday, isTomorrow } from 'date-fns'
 
+const CHANGED_BY_LABELS = {
+  guest: 'Guest',
+  host: 'Host',
+  admin: 'Admin',
+}
+
 const STATUS_CONFIG = {
   confirmed: { label: 'Confirmed', color: 'bg-emerald-100 text-emerald-700 dark:bg-emerald-500/20 dark:text-emerald-400', icon: CheckCircle },
   pending: { label: 'Pending', color: 'bg-amber-100 text-amber-700 dark:bg-amber-500/20 dark:text-amber-400', icon: Clock },
@@ -241,6 +249,12 @@ export default function BookingsListPanel({ isOpen, onClose }) {
                                     <StatusIcon className="h-3 w-3 mr-1" />
                                     {statusConfig.label}
                                   </Badge>
+                                  {booking.reschedule_count > 0 && (
+                                    <Badge variant="outline" className="text-xs">
+                                      <History className="h-3 w-3 mr-1" />
+                                      Rescheduled{booking.reschedule_count > 1 ? ` ×${booking.reschedule_count}` : ''}
+                                    </Badge>
+                                  )}
                                 </div>
                                 <p className="text-sm text-muted-foreground truncate">
                                   {booking.booking_type_slug?.replace(/-/g, ' ')} • {booking.duration_minutes} min
@@ -336,10 +350,30 @@ function BookingDetailModal({ booking, onClose, onUpdated }) {
   const [editingNotes, setEditingNotes] = useState(false)
   const [newTag, setNewTag] = useState('')
   const [saving, setSaving] = useState(false)
+  const [rescheduleHistory, setRescheduleHistory] = useState(booking.reschedule_history || [])
+  const [cancellation, setCancellation] = useState(null)
   
   const scheduledAt = new Date(booking.scheduled_at)
   const statusConfig = STATUS_CONFIG[booking.status] || STATUS_CONFIG.confirmed
 
+  // The list endpoint only returns counts - load the full change history
+  useEffect(() => {
+    if (!booking.reschedule_count && booking.status !== 'cancelled') return
+    syncApi.getBooking(booking.id)
+      .then(({ data }) => {
+        const detail = data.booking || data
+        setRescheduleHistory(detail.reschedule_history || [])
+        if (detail.status === 'cancelled') {
+          setCancellation({
+            reason: detail.cancellation_reason,
+            cancelled_by: detail.cancelled_by,
+            cancelled_at: detail.cancelled_at,
+          })
+        }
+      })
+      .catch((error) => console.error('Failed to load booking history:', error))
+  }, [booking.id, booking.reschedule_count, booking.status])
+
   const handleSaveNotes = async () => {
     setSaving(true)
     try {
@@ -433,6 +467,50 @@ function BookingDetailModal({ booking, onClose, onUpdated }) {
             </div>
           </div>
 
+          {/* Cancellation */}
+          {cancellation?.reason && (
+            <div className="space-y-2">
+              <h4 className="text-sm font-medium text-muted-foreground">Cancellation</h4>
+              <div className="text-sm p-3 bg-muted rounded-md">
+                <p>{cancellation.reason}</p>
+                <p className="text-xs text-muted-foreground mt-1">
+                  {CHANGED_BY_LABELS[cancellation.cancelled_by] || 'Cancelled'}
+                  {cancellation.cancelled_at && ` · ${format(new Date(cancellation.cancelled_at), 'MMM d, h:mm a')}`}
+                </p>
+              </div>
+            </div>
+          )}
+
+          {/* Reschedule History */}
+          {rescheduleHistory.length > 0 && (
+            <div className="space-y-2">
+              <h4 className="text-sm font-medium text-muted-foreground flex items-center gap-2">
+                <History className="h-4 w-4" />
+                Reschedule History
+              </h4>
+              <div className="space-y-2">
+                {rescheduleHistory.map((change, idx) => (
+                  <div key={change.id || idx} className="text-sm p-3 border rounded-md">
+                    <div className="flex items-center gap-2">
+                      <span className="text-muted-foreground line-through">
+                        {format(new Date(change.previous_scheduled_at), 'MMM d, h:mm a')}
+                      </span>
+                      <ArrowRight className="h-3 w-3 text-muted-foreground" />
+                      <span className="font-medium">
+                        {format(new Date(change.new_scheduled_at), 'MMM d, h:mm a')}
+                      </span>
+                    </div>
+                    <p className="text-xs text-muted-foreground mt-1">
+                      {CHANGED_BY_LABELS[change.rescheduled_by] || 'Rescheduled'}
+                      {change.created_at && ` · ${format(new Date(change.created_at), 'MMM d, h:mm a')}`}
+                      {change.reason && ` · ${change.reason}`}
+                    </p>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
           {/* Video Link */}
           {booking.video_link && (
             <div className="space-y-2">
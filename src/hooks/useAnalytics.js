@@ -14,6 +14,7 @@ import {
   useSiteSessions,
   useScrollDepth,
   useHeatmap,
+  useFrustrationSignals,
   useSiteRealtimeAnalytics
 } from '@/lib/hooks'
 import {
@@ -60,6 +61,7 @@ export function useAnalytics({ path = null } = {}) {
   const { data: sessions, refetch: refetchSessions } = useSiteSessions(projectId, dateRange)
   const { data: scrollDepth, refetch: refetchScrollDepth } = useScrollDepth(projectId, dateRange, pathOpt)
   const { data: heatmap } = useHeatmap(projectId, path)
+  const { data: frustration, refetch: refetchFrustration } = useFrustrationSignals(projectId, dateRange, pathOpt)
   const { data: realtimeData } = useSiteRealtimeAnalytics(projectId)
 
   const isLoading = overviewLoading
@@ -74,7 +76,8 @@ export function useAnalytics({ path = null } = {}) {
       refetchByHour(),
       refetchWebVitals(),
       refetchSessions(),
-      refetchScrollDepth()
+      refetchScrollDepth(),
+      refetchFrustration()
     ])
     setIsRefreshing(false)
   }
@@ -159,6 +162,7 @@ export function useAnalytics({ path = null } = {}) {
     sessions,
     scrollDepth,
     heatmap,
+    frustration,
     topReferrers,
     topEvents,
     
@@ -3,6 +3,7 @@
  *
  * Connects to the messages WebSocket when user is authenticated.
  * Invalidates React Query cache when real-time events arrive.
+ * Also delivers portal notifications (inbox refresh + toast) over the same socket.
  * Replaces the socket/subscription logic from messages-store.
  */
 import { createContext, useContext, useEffect, useState } from 'react'
@@ -16,6 +17,9 @@ import {
   stopHeartbeat,
 } from './messages-socket'
 import { messagesKeys } from './hooks/use-messages'
+import { notificationsKeys } from './hooks/use-notifications'
+import { shouldDeliver } from './notifications'
+import { toast } from './toast'
 
 // Audio for notification sounds
 let messageNotificationAudio = null
@@ -110,6 +114,23 @@ export function MessagesProvider({ children }) {
             setPendingHandoffs((prev) => prev.filter((h) => h.id !== session?.id))
           }
         },
+        onNotification: (notification) => {
+          queryClient.invalidateQueries({ queryKey: notificationsKeys.lists() })
+          queryClient.invalidateQueries({ queryKey: notificationsKeys.unreadCount() })
+          if (notification.type === 'new_lead') {
+            queryClient.invalidateQueries({ queryKey: notificationsKeys.newLeads() })
+          }
+          // Server already filters by preference; re-check the cached copy so a
+          // change made in Settings applies before the server picks it up
+          const preferences = queryClient.getQueryData(notificationsKeys.preferences())
+          if (shouldDeliver(notification, preferences, 'in_app')) {
+            toast.info(notification.title, { description: notification.body })
+          }
+        },
+        onNotificationRead: () => {
+          queryClient.invalidateQueries({ queryKey: notificationsKeys.lists() })
+          queryClient.invalidateQueries({ queryKey: notificationsKeys.unreadCount() })
+        },
       })
 
       connectSocket(sessionData.access_token)
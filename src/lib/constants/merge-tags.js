@@ -0,0 +1,3 @@
+// Merge tags the email sender fills in at send time. Anything that checks
+// {{tags}} for missing values (automation simulator, email lint) skips these.
+export const SYSTEM_MERGE_TAGS = ['unsubscribe_url', 'unsubscribe_link', 'brand_primary', 'brand_secondary', 'current_year']
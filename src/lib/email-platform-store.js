@@ -10,6 +10,7 @@ import useAuthStore from './auth-store'
  * - Templates
  * - Subscribers
  * - Lists
+ * - Segments
  * - Settings
  */
 export const useEmailPlatformStore = create((set, get) => ({
@@ -53,6 +54,13 @@ export const useEmailPlatformStore = create((set, get) => ({
   listsLoading: false,
   listsError: null,
 
+  // ========================================
+  // SEGMENTS STATE
+  // ========================================
+  segments: [],
+  segmentsLoading: false,
+  segmentsError: null,
+
   // ========================================
   // AUTOMATIONS STATE
   // ========================================
@@ -335,6 +343,36 @@ export const useEmailPlatformStore = create((set, get) => ({
     }
   },
 
+  // ========================================
+  // SEGMENTS ACTIONS
+  // ========================================
+  fetchSegments: async () => {
+    set({ segmentsLoading: true, segmentsError: null })
+    try {
+      const { currentProject } = useAuthStore.getState()
+      const params = currentProject?.id ? { projectId: currentProject.id } : {}
+      const res = await emailApi.listSegments(params)
+      const segments = res.data?.segments || res.data || []
+      set({ segments, segmentsLoading: false })
+      return segments
+    } catch (error) {
+      set({ segmentsError: error.response?.data?.error || error.message, segmentsLoading: false })
+      return []
+    }
+  },
+
+  createSegment: async (segmentData) => {
+    try {
+      const { currentProject } = useAuthStore.getState()
+      const res = await emailApi.createSegment({ ...segmentData, projectId: currentProject?.id })
+      const segment = res.data?.segment || res.data
+      set(state => ({ segments: [segment, ...state.segments] }))
+      return segment
+    } catch (error) {
+      throw new Error(error.response?.data?.error || 'Failed to create segment')
+    }
+  },
+
   // ========================================
   // AUTOMATIONS ACTIONS
   // ========================================
@@ -66,6 +66,9 @@ export {
   usePaymentMethods,
   useAddPaymentMethod,
   useRemovePaymentMethod,
+  useBillableRates,
+  useUpdateBillableRates,
+  useInvoiceTimeEntries,
 } from './use-billing'
 
 // ═══════════════════════════════════════════════════════════════════════════
@@ -125,6 +128,7 @@ export {
   useUpdateVariant as useUpdateCommerceVariant,
   useDeleteVariant as useDeleteCommerceVariant,
   useSchedules as useCommerceSchedules,
+  useUpcomingEventSchedules as useCommerceUpcomingEventSchedules,
   useCreateSchedule as useCreateCommerceSchedule,
   useUpdateSchedule as useUpdateCommerceSchedule,
   useDeleteSchedule as useDeleteCommerceSchedule,
@@ -246,6 +250,11 @@ export {
   useMoveFile,
   useCreateFolder,
   useDeleteFolder,
+  useFileVersions,
+  useReplaceFile,
+  useRestoreFileVersion,
+  useFileRetentionPolicy,
+  useUpdateFileRetentionPolicy,
 } from './use-files'
 
 // ═══════════════════════════════════════════════════════════════════════════
@@ -274,6 +283,12 @@ export {
 export {
   notificationsKeys,
   useNewLeadsCount,
+  useNotifications,
+  useUnreadNotificationCount,
+  useMarkNotificationRead,
+  useMarkAllNotificationsRead,
+  useNotificationPreferences,
+  useUpdateNotificationPreferences,
 } from './use-notifications'
 
 // ═══════════════════════════════════════════════════════════════════════════
@@ -320,6 +335,7 @@ export {
   useProjectTimeSummary,
   useStartProjectTimer,
   useStopProjectTimer,
+  useUnbilledTimeEntries,
   usePendingApprovals,
   useApproveItem,
   useRejectItem,
@@ -351,6 +367,8 @@ export {
   useAddUptradeTaskChecklistItem,
   useToggleUptradeTaskChecklistItem,
   useRemoveUptradeTaskChecklistItem,
+  useRescheduleUptradeTasks,
+  useProjectDeadlines,
   useUserTasks,
   useUserTasksStats,
   useUserTasksCategories,
@@ -371,6 +389,13 @@ export {
   useApproveDeliverable,
   useRequestDeliverableChanges,
   useDeliverDeliverable,
+  useDeliverableVersions,
+  useCreateDeliverableVersion,
+  useDeliverableAnnotations,
+  useCreateDeliverableAnnotation,
+  useReplyToDeliverableAnnotation,
+  useResolveDeliverableAnnotation,
+  useProjectScreenshots,
 } from './use-projects-v2'
 
 // ═══════════════════════════════════════════════════════════════════════════
@@ -410,6 +435,13 @@ export {
   useDisconnectReputationPlatform,
   useHealthScore,
   useHealthScoreHistory,
+  useReputationCampaigns,
+  useCreateReputationCampaign,
+  useUpdateReputationCampaign,
+  useDeleteReputationCampaign,
+  useReviewRequests,
+  usePrivateFeedback,
+  useUpdatePrivateFeedback,
   useReputationSettings,
   useUpdateReputationSettings,
 } from './use-reputation'
@@ -599,6 +631,7 @@ export {
   useWebVitals,
   useScrollDepth,
   useHeatmap,
+  useFrustrationSignals,
   useSiteRealtimeAnalytics,
   useGenerateAnalyticsInsights,
   usePrefetchAnalytics,
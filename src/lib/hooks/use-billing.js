@@ -6,6 +6,7 @@
  */
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query'
 import { billingApi } from '../portal-api'
+import { projectsKeys } from './use-projects'
 
 // ═══════════════════════════════════════════════════════════════════════════
 // QUERY KEYS
@@ -19,6 +20,7 @@ export const billingKeys = {
   summary: (orgId) => [...billingKeys.all, 'summary', orgId],
   overdue: (orgId) => [...billingKeys.all, 'overdue', orgId],
   paymentMethods: (orgId) => [...billingKeys.all, 'paymentMethods', orgId],
+  rates: () => [...billingKeys.all, 'rates'],
 }
 
 // ═══════════════════════════════════════════════════════════════════════════
@@ -318,3 +320,71 @@ export function useRemovePaymentMethod() {
     },
   })
 }
+
+// ═══════════════════════════════════════════════════════════════════════════
+// TIME BILLING
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Fetch default, per-user and per-service billable rates
+ */
+export function useBillableRates(options = {}) {
+  return useQuery({
+    queryKey: billingKeys.rates(),
+    queryFn: async () => {
+      const response = await billingApi.getBillableRates()
+      const data = response.data || response
+      return data.rates || data
+    },
+    staleTime: 1000 * 60 * 10, // 10 minutes
+    ...options,
+  })
+}
+
+/**
+ * Save billable rates (admin only)
+ */
+export function useUpdateBillableRates() {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: async (rates) => {
+      const response = await billingApi.updateBillableRates(rates)
+      const data = response.data || response
+      return data.rates || data
+    },
+    onSuccess: (rates) => {
+      queryClient.setQueryData(billingKeys.rates(), rates)
+    },
+  })
+}
+
+/**
+ * Create a draft invoice from time entries and mark them billed (admin only).
+ * If marking fails (e.g. someone else billed one of them first) the draft is
+ * deleted again so no invoice exists for unbilled time.
+ */
+export function useInvoiceTimeEntries() {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: async ({ invoiceData, entryIds }) => {
+      const response = await billingApi.createInvoice({ ...invoiceData, status: 'draft', timeEntryIds: entryIds })
+      const data = response.data || response
+      const invoice = data.invoice || data
+      if (!invoice?.id) throw new Error(data.error || 'Failed to create invoice')
+
+      try {
+        await billingApi.markTimeEntriesBilled({ entryIds, invoiceId: invoice.id })
+      } catch (err) {
+        await billingApi.deleteInvoice(invoice.id).catch(() => {})
+        throw err
+      }
+      return invoice
+    },
+    onSettled: () => {
+      queryClient.invalidateQueries({ queryKey: billingKeys.invoices() })
+      queryClient.invalidateQueries({ queryKey: projectsKeys.allTimeEntries() })
+    },
+  })
+}
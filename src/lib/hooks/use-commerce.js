@@ -4,7 +4,7 @@
  * TanStack Query hooks for Commerce module.
  * Replaces commerce-store.js with automatic caching, deduplication, and background refresh.
  */
-import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query'
+import { useQuery, useQueries, useMutation, useQueryClient } from '@tanstack/react-query'
 import portalApi from '../portal-api'
 import { supabase } from '../supabase'
 
@@ -323,6 +323,55 @@ export function useSchedules(offeringId, options = {}) {
   })
 }
 
+/**
+ * Next upcoming date of each live event, shaped for EventsPanel and soonest
+ * first. Loads the schedules of up to `limit` events.
+ */
+export function useUpcomingEventSchedules(events = [], { limit = 10 } = {}) {
+  const live = events
+    .filter(event => event.status === 'active' || event.status === 'sold_out')
+    .slice(0, limit)
+
+  const results = useQueries({
+    queries: live.map(event => ({
+      queryKey: commerceKeys.schedules(event.id),
+      queryFn: async () => {
+        const response = await portalApi.get(`/commerce/schedules/${event.id}`)
+        return response.data
+      },
+    })),
+  })
+
+  const now = new Date()
+  const upcoming = live
+    .map((event, index) => {
+      const next = (results[index].data || [])
+        .filter(s => s.status === 'active' && new Date(s.start_time) > now)
+        .sort((a, b) => new Date(a.start_time) - new Date(b.start_time))[0]
+      if (!next) return null
+      return {
+        id: event.id,
+        schedule_id: next.id,
+        name: event.name || event.title,
+        date: new Date(next.start_time),
+        capacity: next.max_capacity ?? event.capacity,
+        sold: next.current_enrollment || 0,
+        type: event.venue_type,
+        venue: event.venue_name,
+        waitlist_count: next.waitlist_count || 0,
+        waitlist_claim_hours: event.waitlist_claim_hours,
+      }
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.date - b.date)
+
+  return {
+    data: upcoming,
+    isLoading: results.some(result => result.isLoading),
+    refetch: () => Promise.all(results.map(result => result.refetch())),
+  }
+}
+
 export function useCreateSchedule() {
   const queryClient = useQueryClient()
   
@@ -18,6 +18,8 @@ export const filesKeys = {
   folders: (projectId) => [...filesKeys.all, 'folders', projectId],
   categories: () => [...filesKeys.all, 'categories'],
   detail: (fileId) => [...filesKeys.all, 'detail', fileId],
+  versions: (fileId) => [...filesKeys.all, 'versions', fileId],
+  retention: (projectId) => [...filesKeys.all, 'retention', projectId],
 }
 
 // ═══════════════════════════════════════════════════════════════════════════
@@ -245,3 +247,107 @@ export function useDeleteFolder() {
     },
   })
 }
+
+// ═══════════════════════════════════════════════════════════════════════════
+// VERSIONS
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Version timeline for a file, newest first
+ */
+export function useFileVersions(fileId, options = {}) {
+  return useQuery({
+    queryKey: filesKeys.versions(fileId),
+    queryFn: async () => {
+      const response = await filesApi.listVersions(fileId)
+      const data = response.data || response
+      const versions = data.versions || data || []
+      return [...versions].sort((a, b) => (b.version_number || 0) - (a.version_number || 0))
+    },
+    enabled: !!fileId,
+    ...options,
+  })
+}
+
+/**
+ * Replace a file's contents in place (URL unchanged). The API keeps the
+ * previous contents as a version.
+ */
+export function useReplaceFile() {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: async ({ fileId, file, checksum, projectId }) => {
+      const formData = new FormData()
+      formData.append('file', file)
+      if (checksum) formData.append('checksum', checksum)
+      const response = await filesApi.replaceFile(fileId, formData)
+      const data = response.data || response
+      if (data?.error) throw new Error(data.error)
+      return { ...data, projectId }
+    },
+    onSuccess: (data, { fileId }) => {
+      queryClient.invalidateQueries({ queryKey: filesKeys.versions(fileId) })
+      if (data.projectId) {
+        queryClient.invalidateQueries({ queryKey: filesKeys.list(data.projectId, {}) })
+      }
+    },
+  })
+}
+
+/**
+ * Make a past version current again
+ */
+export function useRestoreFileVersion() {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: async ({ fileId, versionId, projectId }) => {
+      const response = await filesApi.restoreVersion(fileId, versionId)
+      return { ...(response.data || response), projectId }
+    },
+    onSuccess: (data, { fileId }) => {
+      queryClient.invalidateQueries({ queryKey: filesKeys.versions(fileId) })
+      if (data.projectId) {
+        queryClient.invalidateQueries({ queryKey: filesKeys.list(data.projectId, {}) })
+      }
+    },
+  })
+}
+
+/**
+ * Fetch a project's version retention policy
+ */
+export function useFileRetentionPolicy(projectId, options = {}) {
+  return useQuery({
+    queryKey: filesKeys.retention(projectId),
+    queryFn: async () => {
+      const response = await filesApi.getRetentionPolicy(projectId)
+      const data = response.data || response
+      return data.policy || data
+    },
+    enabled: !!projectId,
+    staleTime: 1000 * 60 * 10, // 10 minutes
+    ...options,
+  })
+}
+
+/**
+ * Update a project's version retention policy
+ */
+export function useUpdateFileRetentionPolicy() {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: async ({ projectId, policy }) => {
+      const response = await filesApi.updateRetentionPolicy(projectId, policy)
+      const data = response.data || response
+      return data.policy || data
+    },
+    onSuccess: (policy, { projectId }) => {
+      queryClient.setQueryData(filesKeys.retention(projectId), policy)
+      // Pruning may have removed old versions
+      queryClient.invalidateQueries({ queryKey: [...filesKeys.all, 'versions'] })
+    },
+  })
+}
@@ -3,9 +3,15 @@
  * 
  * TanStack Query hooks for notifications.
  * Replaces notification-store.js with automatic caching and background refresh.
+ * Handles the TopHeader inbox, read state, per-type preferences and the new leads badge.
+ * Real-time updates arrive over the messages socket (see MessagesProvider).
  */
-import { useQuery } from '@tanstack/react-query'
-import { crmApi } from '../portal-api'
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query'
+import { crmApi, notificationsApi } from '../portal-api'
+import {
+  markNotificationsRead,
+  normalizeNotificationPreferences,
+} from '../notifications'
 
 // ═══════════════════════════════════════════════════════════════════════════
 // QUERY KEYS
@@ -14,6 +20,138 @@ import { crmApi } from '../portal-api'
 export const notificationsKeys = {
   all: ['notifications'],
   newLeads: () => [...notificationsKeys.all, 'newLeads'],
+  lists: () => [...notificationsKeys.all, 'list'],
+  list: (filters) => [...notificationsKeys.lists(), filters],
+  unreadCount: () => [...notificationsKeys.all, 'unreadCount'],
+  preferences: () => [...notificationsKeys.all, 'preferences'],
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// INBOX
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Fetch notifications for the current user (filters: { unread, type, limit })
+ */
+export function useNotifications(filters = {}, options = {}) {
+  return useQuery({
+    queryKey: notificationsKeys.list(filters),
+    queryFn: async () => {
+      const response = await notificationsApi.list(filters)
+      const data = response.data || response
+      return data.notifications || data || []
+    },
+    staleTime: 1000 * 60, // 1 minute
+    ...options,
+  })
+}
+
+/**
+ * Fetch unread notification count for the header badge.
+ * The socket keeps it current; the interval only covers dropped connections.
+ */
+export function useUnreadNotificationCount(options = {}) {
+  return useQuery({
+    queryKey: notificationsKeys.unreadCount(),
+    queryFn: async () => {
+      const response = await notificationsApi.getUnreadCount()
+      const data = response.data || response
+      return { count: data.count || 0 }
+    },
+    staleTime: 1000 * 60, // 1 minute
+    refetchInterval: 1000 * 60 * 5, // Fallback refresh every 5 minutes
+    ...options,
+  })
+}
+
+/**
+ * Mark a single notification as read
+ */
+export function useMarkNotificationRead() {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: async (notificationId) => {
+      const response = await notificationsApi.markRead(notificationId)
+      return response.data
+    },
+    onMutate: async (notificationId) => {
+      await queryClient.cancelQueries({ queryKey: notificationsKeys.lists() })
+      queryClient.setQueriesData({ queryKey: notificationsKeys.lists() }, (old) =>
+        Array.isArray(old) ? markNotificationsRead(old, [notificationId]) : old
+      )
+      queryClient.setQueryData(notificationsKeys.unreadCount(), (old) =>
+        old ? { count: Math.max(0, old.count - 1) } : old
+      )
+    },
+    onSettled: () => {
+      queryClient.invalidateQueries({ queryKey: notificationsKeys.lists() })
+      queryClient.invalidateQueries({ queryKey: notificationsKeys.unreadCount() })
+    },
+  })
+}
+
+/**
+ * Mark every notification as read
+ */
+export function useMarkAllNotificationsRead() {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: async () => {
+      const response = await notificationsApi.markAllRead()
+      return response.data
+    },
+    onMutate: async () => {
+      await queryClient.cancelQueries({ queryKey: notificationsKeys.lists() })
+      queryClient.setQueriesData({ queryKey: notificationsKeys.lists() }, (old) =>
+        Array.isArray(old) ? markNotificationsRead(old) : old
+      )
+      queryClient.setQueryData(notificationsKeys.unreadCount(), { count: 0 })
+    },
+    onSettled: () => {
+      queryClient.invalidateQueries({ queryKey: notificationsKeys.lists() })
+      queryClient.invalidateQueries({ queryKey: notificationsKeys.unreadCount() })
+    },
+  })
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// PREFERENCES
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Fetch per-type notification preferences ({ [type]: { in_app, push } })
+ */
+export function useNotificationPreferences(options = {}) {
+  return useQuery({
+    queryKey: notificationsKeys.preferences(),
+    queryFn: async () => {
+      const response = await notificationsApi.getPreferences()
+      const data = response.data || response
+      return normalizeNotificationPreferences(data.preferences || data)
+    },
+    staleTime: 1000 * 60 * 10, // 10 minutes
+    ...options,
+  })
+}
+
+/**
+ * Update notification preferences
+ */
+export function useUpdateNotificationPreferences() {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: async (preferences) => {
+      const response = await notificationsApi.updatePreferences(preferences)
+      const data = response.data || response
+      return normalizeNotificationPreferences(data.preferences || preferences)
+    },
+    onSuccess: (preferences) => {
+      queryClient.setQueryData(notificationsKeys.preferences(), preferences)
+    },
+  })
 }
 
 // ═══════════════════════════════════════════════════════════════════════════
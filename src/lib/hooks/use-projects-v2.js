@@ -5,11 +5,12 @@
  * - Uptrade Tasks (internal team tasks)
  * - User Tasks (personal tasks)
  * - Deliverables (creative deliverables with approval workflow)
+ * - Deliverable proofing (file versions and pinned annotations)
  *
  * Replaces projects-v2-store.js with automatic caching and background refresh.
  */
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query'
-import portalApi from '../portal-api'
+import portalApi, { screenshotsApi } from '../portal-api'
 
 // ═══════════════════════════════════════════════════════════════════════════
 // STATUS CONFIGURATIONS (Re-exported from store for backward compatibility)
@@ -85,6 +86,7 @@ export const projectsV2Keys = {
   uptradeTaskDetail: (projectId, taskId) => [...projectsV2Keys.uptradeTasks(projectId), 'detail', taskId],
   uptradeTasksStats: (projectId) => [...projectsV2Keys.uptradeTasks(projectId), 'stats'],
   uptradeTasksUpcoming: (projectId, limit) => [...projectsV2Keys.uptradeTasks(projectId), 'upcoming', limit],
+  projectDeadlines: (projectId) => [...projectsV2Keys.all, 'deadlines', projectId],
   userTasks: (filters) => [...projectsV2Keys.all, 'userTasks', filters],
   userTasksStats: () => [...projectsV2Keys.all, 'userTasks', 'stats'],
   userTasksCategories: () => [...projectsV2Keys.all, 'userTasks', 'categories'],
@@ -93,6 +95,9 @@ export const projectsV2Keys = {
   deliverableDetail: (projectId, id) => [...projectsV2Keys.deliverables(projectId), 'detail', id],
   deliverablesStats: (projectId) => [...projectsV2Keys.deliverables(projectId), 'stats'],
   deliverablesPendingApprovals: (projectId) => [...projectsV2Keys.deliverables(projectId), 'pending'],
+  deliverableVersions: (projectId, id) => [...projectsV2Keys.deliverableDetail(projectId, id), 'versions'],
+  deliverableAnnotations: (projectId, id) => [...projectsV2Keys.deliverableDetail(projectId, id), 'annotations'],
+  projectScreenshots: (projectId) => [...projectsV2Keys.all, 'screenshots', projectId],
 }
 
 // ═══════════════════════════════════════════════════════════════════════════
@@ -264,6 +269,56 @@ export function useRemoveUptradeTaskChecklistItem(projectId) {
   })
 }
 
+/**
+ * Apply several date changes at once (a dragged task plus the dependents it
+ * pushed). updates: [{ id, start_date, due_date }]. Optimistic so the Gantt
+ * bar stays where it was dropped.
+ */
+export function useRescheduleUptradeTasks(projectId) {
+  const queryClient = useQueryClient()
+  return useMutation({
+    mutationFn: async (updates) => {
+      const response = await portalApi.post(`/projects/${projectId}/uptrade-tasks/reschedule`, { updates })
+      return response.data
+    },
+    onMutate: async (updates) => {
+      await queryClient.cancelQueries({ queryKey: projectsV2Keys.uptradeTasks(projectId) })
+      const previous = queryClient.getQueriesData({ queryKey: projectsV2Keys.uptradeTasks(projectId) })
+      const byId = new Map(updates.map(update => [update.id, update]))
+      queryClient.setQueriesData({ queryKey: projectsV2Keys.uptradeTasks(projectId) }, (old) =>
+        Array.isArray(old)
+          ? old.map(task => (byId.has(task.id) ? { ...task, ...byId.get(task.id) } : task))
+          : old
+      )
+      return { previous }
+    },
+    onError: (_, __, context) => {
+      context?.previous?.forEach(([key, data]) => queryClient.setQueryData(key, data))
+    },
+    onSettled: () => {
+      queryClient.invalidateQueries({ queryKey: projectsV2Keys.uptradeTasks(projectId) })
+    },
+  })
+}
+
+/**
+ * Client-facing deadlines for a project (same feed as UpcomingDeadlines),
+ * used by the Gantt to show slippage
+ */
+export function useProjectDeadlines(projectId, options = {}) {
+  return useQuery({
+    queryKey: projectsV2Keys.projectDeadlines(projectId),
+    queryFn: async () => {
+      const response = await portalApi.get('/dashboard/deadlines', { params: { projectId, daysAhead: 365 } })
+      const deadlines = response.data?.deadlines || []
+      return deadlines.filter(deadline => !deadline.project_id || deadline.project_id === projectId)
+    },
+    enabled: !!projectId,
+    staleTime: 1000 * 60 * 5,
+    ...options,
+  })
+}
+
 // ═══════════════════════════════════════════════════════════════════════════
 // USER TASKS
 // ═══════════════════════════════════════════════════════════════════════════
@@ -557,3 +612,140 @@ export function useDeliverDeliverable(projectId) {
     },
   })
 }
+
+// ═══════════════════════════════════════════════════════════════════════════
+// DELIVERABLE PROOFING
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * File versions of a deliverable, oldest first
+ */
+export function useDeliverableVersions(projectId, deliverableId, options = {}) {
+  return useQuery({
+    queryKey: projectsV2Keys.deliverableVersions(projectId, deliverableId),
+    queryFn: async () => {
+      const response = await portalApi.get(`/projects/${projectId}/deliverables/${deliverableId}/versions`)
+      const versions = response.data || []
+      return [...versions].sort((a, b) => (a.version_number || 0) - (b.version_number || 0))
+    },
+    enabled: !!projectId && !!deliverableId,
+    ...options,
+  })
+}
+
+/**
+ * Upload a new version (file or page screenshot) of a deliverable
+ */
+export function useCreateDeliverableVersion(projectId) {
+  const queryClient = useQueryClient()
+  return useMutation({
+    mutationFn: async ({ deliverableId, data }) => {
+      const response = await portalApi.post(`/projects/${projectId}/deliverables/${deliverableId}/versions`, data)
+      return response.data
+    },
+    onSuccess: () => {
+      // Also refreshes the list so cards pick up the new version number
+      queryClient.invalidateQueries({ queryKey: projectsV2Keys.deliverables(projectId) })
+    },
+  })
+}
+
+/**
+ * Every annotation on a deliverable across all versions, with its thread.
+ * Which ones show on a given version is worked out client-side.
+ */
+export function useDeliverableAnnotations(projectId, deliverableId, options = {}) {
+  return useQuery({
+    queryKey: projectsV2Keys.deliverableAnnotations(projectId, deliverableId),
+    queryFn: async () => {
+      const response = await portalApi.get(`/projects/${projectId}/deliverables/${deliverableId}/annotations`)
+      return response.data || []
+    },
+    enabled: !!projectId && !!deliverableId,
+    staleTime: 1000 * 30,
+    ...options,
+  })
+}
+
+export function useCreateDeliverableAnnotation(projectId) {
+  const queryClient = useQueryClient()
+  return useMutation({
+    mutationFn: async ({ deliverableId, data }) => {
+      const response = await portalApi.post(`/projects/${projectId}/deliverables/${deliverableId}/annotations`, data)
+      return response.data
+    },
+    onSuccess: (annotation, { deliverableId }) => {
+      const key = projectsV2Keys.deliverableAnnotations(projectId, deliverableId)
+      if (annotation?.id) {
+        queryClient.setQueryData(key, (old = []) => [...old.filter(a => a.id !== annotation.id), annotation])
+      }
+      queryClient.invalidateQueries({ queryKey: key })
+    },
+  })
+}
+
+export function useReplyToDeliverableAnnotation(projectId) {
+  const queryClient = useQueryClient()
+  return useMutation({
+    mutationFn: async ({ deliverableId, annotationId, body }) => {
+      const response = await portalApi.post(
+        `/projects/${projectId}/deliverables/${deliverableId}/annotations/${annotationId}/comments`,
+        { body }
+      )
+      return response.data
+    },
+    onSuccess: (_, { deliverableId }) => {
+      queryClient.invalidateQueries({ queryKey: projectsV2Keys.deliverableAnnotations(projectId, deliverableId) })
+    },
+  })
+}
+
+/**
+ * Resolve or reopen an annotation. versionId records which version the
+ * resolution happened on, so earlier versions still show it as open.
+ */
+export function useResolveDeliverableAnnotation(projectId) {
+  const queryClient = useQueryClient()
+  return useMutation({
+    mutationFn: async ({ deliverableId, annotationId, resolved, versionId }) => {
+      const response = await portalApi.put(
+        `/projects/${projectId}/deliverables/${deliverableId}/annotations/${annotationId}`,
+        { status: resolved ? 'resolved' : 'open', resolved_version_id: resolved ? versionId : null }
+      )
+      return response.data
+    },
+    onMutate: async ({ deliverableId, annotationId, resolved, versionId }) => {
+      const key = projectsV2Keys.deliverableAnnotations(projectId, deliverableId)
+      await queryClient.cancelQueries({ queryKey: key })
+      const previous = queryClient.getQueryData(key)
+      queryClient.setQueryData(key, (old = []) => old.map(a => a.id === annotationId
+        ? { ...a, status: resolved ? 'resolved' : 'open', resolved_version_id: resolved ? versionId : null }
+        : a
+      ))
+      return { previous, key }
+    },
+    onError: (_, __, context) => {
+      if (context) queryClient.setQueryData(context.key, context.previous)
+    },
+    onSettled: (_, __, { deliverableId }) => {
+      queryClient.invalidateQueries({ queryKey: projectsV2Keys.deliverableAnnotations(projectId, deliverableId) })
+    },
+  })
+}
+
+/**
+ * Latest desktop / tablet / mobile screenshots of the project's site,
+ * offered as proofing sources for web deliverables
+ */
+export function useProjectScreenshots(projectId, options = {}) {
+  return useQuery({
+    queryKey: projectsV2Keys.projectScreenshots(projectId),
+    queryFn: async () => {
+      const response = await screenshotsApi.getResponsive(projectId)
+      return response.data?.screenshots || null
+    },
+    enabled: !!projectId,
+    staleTime: 1000 * 60 * 10,
+    ...options,
+  })
+}
@@ -66,7 +66,9 @@ export const projectsKeys = {
   tasks: () => [...projectsKeys.all, 'tasks'],
   tasksList: (projectId, filters) => [...projectsKeys.tasks(), 'list', projectId, filters],
   taskDetail: (id) => [...projectsKeys.tasks(), 'detail', id],
-  timeEntries: (projectId) => [...projectsKeys.all, 'timeEntries', projectId],
+  allTimeEntries: () => [...projectsKeys.all, 'timeEntries'],
+  timeEntries: (projectId) => [...projectsKeys.allTimeEntries(), projectId],
+  unbilledTimeEntries: (filters) => [...projectsKeys.allTimeEntries(), 'unbilled', filters],
   timeSummary: (projectId, startDate, endDate) => [...projectsKeys.all, 'timeSummary', projectId, startDate, endDate],
   approvals: () => [...projectsKeys.all, 'approvals'],
 }
@@ -453,6 +455,26 @@ export function useStopProjectTimer() {
   })
 }
 
+/**
+ * Fetch unbilled time entries across projects, for invoicing
+ * filters: { startDate, endDate, projectId, userId }
+ */
+export function useUnbilledTimeEntries(filters = {}, options = {}) {
+  return useQuery({
+    queryKey: projectsKeys.unbilledTimeEntries(filters),
+    queryFn: async () => {
+      const params = new URLSearchParams({ billed: 'false' })
+      if (filters.startDate) params.append('startDate', filters.startDate)
+      if (filters.endDate) params.append('endDate', filters.endDate)
+      if (filters.projectId) params.append('projectId', filters.projectId)
+      if (filters.userId) params.append('userId', filters.userId)
+      const response = await portalApi.get(`/projects/time-entries?${params.toString()}`)
+      return response.data?.timeEntries || response.data || []
+    },
+    ...options,
+  })
+}
+
 // ═══════════════════════════════════════════════════════════════════════════
 // APPROVALS
 // ═══════════════════════════════════════════════════════════════════════════
@@ -36,7 +36,8 @@ export const reputationKeys = {
   healthScore: (projectId) => [...reputationKeys.all, 'healthScore', projectId],
   healthHistory: (projectId) => [...reputationKeys.all, 'healthHistory', projectId],
   campaigns: (projectId) => [...reputationKeys.all, 'campaigns', projectId],
-  requests: (projectId) => [...reputationKeys.all, 'requests', projectId],
+  requests: (projectId, filters) => [...reputationKeys.all, 'requests', projectId, filters],
+  privateFeedback: (projectId) => [...reputationKeys.all, 'privateFeedback', projectId],
   settings: (projectId) => [...reputationKeys.all, 'settings', projectId],
   templates: (projectId) => [...reputationKeys.all, 'templates', projectId],
   triggers: (projectId) => [...reputationKeys.all, 'triggers', projectId],
@@ -320,6 +321,78 @@ export function useUpdateReputationCampaign() {
   })
 }
 
+/**
+ * Delete campaign
+ */
+export function useDeleteReputationCampaign() {
+  const queryClient = useQueryClient()
+  
+  return useMutation({
+    mutationFn: async ({ id, projectId }) => {
+      await portalApi.delete(`/reputation/campaigns/${id}`)
+      return { id, projectId }
+    },
+    onSuccess: ({ projectId }) => {
+      if (projectId) {
+        queryClient.invalidateQueries({ queryKey: reputationKeys.campaigns(projectId) })
+      }
+    },
+  })
+}
+
+/**
+ * Fetch individual review requests (one per contact), optionally for one campaign
+ */
+export function useReviewRequests(projectId, filters = {}, options = {}) {
+  return useQuery({
+    queryKey: reputationKeys.requests(projectId, filters),
+    queryFn: async () => {
+      const response = await portalApi.get(`/reputation/projects/${projectId}/requests`, { params: filters })
+      return response.data?.requests || response.data || []
+    },
+    enabled: !!projectId,
+    ...options,
+  })
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// PRIVATE FEEDBACK
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Fetch low ratings routed to the internal form by a campaign's feedback gate
+ */
+export function usePrivateFeedback(projectId, options = {}) {
+  return useQuery({
+    queryKey: reputationKeys.privateFeedback(projectId),
+    queryFn: async () => {
+      const response = await portalApi.get(`/reputation/projects/${projectId}/private-feedback`)
+      return response.data?.feedback || response.data || []
+    },
+    enabled: !!projectId,
+    ...options,
+  })
+}
+
+/**
+ * Update private feedback (e.g. mark resolved)
+ */
+export function useUpdatePrivateFeedback() {
+  const queryClient = useQueryClient()
+  
+  return useMutation({
+    mutationFn: async ({ id, projectId, data }) => {
+      const response = await portalApi.put(`/reputation/private-feedback/${id}`, data)
+      return { ...(response.data?.feedback || response.data), projectId }
+    },
+    onSuccess: (data) => {
+      if (data.projectId) {
+        queryClient.invalidateQueries({ queryKey: reputationKeys.privateFeedback(data.projectId) })
+      }
+    },
+  })
+}
+
 // ═══════════════════════════════════════════════════════════════════════════
 // SETTINGS
 // ═══════════════════════════════════════════════════════════════════════════
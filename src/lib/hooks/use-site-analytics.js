@@ -28,6 +28,8 @@ export const siteAnalyticsKeys = {
   scrollDepth: (projectId, days) => [...siteAnalyticsKeys.all, 'scrollDepth', projectId, days],
   // Heatmap
   heatmap: (projectId, page) => [...siteAnalyticsKeys.all, 'heatmap', projectId, page],
+  // Frustration signals
+  frustration: (projectId, days) => [...siteAnalyticsKeys.all, 'frustration', projectId, days],
   // Realtime
   realtime: (projectId) => [...siteAnalyticsKeys.all, 'realtime', projectId],
 }
@@ -207,6 +209,29 @@ export function useHeatmap(projectId, page, options = {}) {
   })
 }
 
+// ═══════════════════════════════════════════════════════════════════════════
+// FRUSTRATION SIGNALS
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Fetch rage / dead / error click and thrashed cursor stats, optionally filtered by path
+ */
+export function useFrustrationSignals(projectId, days = 30, options = {}) {
+  const path = options?.path ?? null
+  return useQuery({
+    queryKey: [...siteAnalyticsKeys.frustration(projectId, days), path],
+    queryFn: async () => {
+      const params = { days, projectId }
+      if (path) params.path = path
+      const response = await analyticsApi.getFrustration(params)
+      return response.data || response
+    },
+    enabled: !!projectId,
+    staleTime: 1000 * 60 * 10, // 10 minutes
+    ...options,
+  })
+}
+
 // ═══════════════════════════════════════════════════════════════════════════
 // REALTIME
 // ═══════════════════════════════════════════════════════════════════════════
@@ -7,6 +7,7 @@
  * - Typing indicators
  * - Presence (online/offline)
  * - Reactions
+ * - Portal notifications (inbox items for the TopHeader bell)
  * 
  * Replaces Supabase Realtime for messages.
  */
@@ -34,6 +35,8 @@ const handlers = {
   onReactionRemoved: null,
   onEngageMessage: null,
   onEngageSession: null,
+  onNotification: null,
+  onNotificationRead: null,
 }
 
 /**
@@ -154,6 +157,17 @@ export function connectSocket(token, options = {}) {
     handlers.onEngageSession?.(data)
   })
 
+  // Notification events (user room, joined by auth:init)
+  socket.on('notification:new', (notification) => {
+    console.log('[Socket] New notification:', notification.type)
+    handlers.onNotification?.(notification)
+  })
+
+  // Read in another tab/device
+  socket.on('notification:read', (data) => {
+    handlers.onNotificationRead?.(data)
+  })
+
   return socket
 }
 
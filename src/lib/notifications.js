@@ -0,0 +1,114 @@
+// src/lib/notifications.js
+// Notification center helpers - types, per-type delivery preferences,
+// unread counts and day grouping for the TopHeader inbox.
+
+export const NOTIFICATION_TYPES = {
+  mention: {
+    label: 'Mentions',
+    description: 'Someone mentions you in a message, comment or note',
+  },
+  reminder: {
+    label: 'Reminders',
+    description: 'CRM reminders set to Portal Notification',
+  },
+  deliverable_approval: {
+    label: 'Deliverable approvals',
+    description: 'A client approves or requests changes on a deliverable',
+  },
+  new_lead: {
+    label: 'New leads',
+    description: 'A new prospect lands in the pipeline',
+  },
+  booking_change: {
+    label: 'Booking changes',
+    description: 'A booking is made, rescheduled or cancelled',
+  },
+  form_submission: {
+    label: 'Form submissions',
+    description: 'A managed form receives a submission',
+  },
+  payment_failed: {
+    label: 'Failed payments',
+    description: 'An invoice or subscription payment fails',
+  },
+}
+
+export const NOTIFICATION_CHANNELS = ['in_app', 'push']
+
+// Push stays opt-in per type, except for the items people usually act on right away
+const PUSH_BY_DEFAULT = ['mention', 'reminder', 'payment_failed']
+
+export const DEFAULT_NOTIFICATION_PREFERENCES = Object.fromEntries(
+  Object.keys(NOTIFICATION_TYPES).map(type => [
+    type,
+    { in_app: true, push: PUSH_BY_DEFAULT.includes(type) },
+  ])
+)
+
+/**
+ * Fill in every known type so preferences saved before a type existed still
+ * render a full settings list. Unknown types from the server are dropped.
+ */
+export function normalizeNotificationPreferences(preferences = {}) {
+  const normalized = {}
+  for (const [type, defaults] of Object.entries(DEFAULT_NOTIFICATION_PREFERENCES)) {
+    const saved = preferences?.[type] || {}
+    normalized[type] = {
+      in_app: saved.in_app ?? defaults.in_app,
+      push: saved.push ?? defaults.push,
+    }
+  }
+  return normalized
+}
+
+/**
+ * Whether a notification should surface on a channel. Types the client
+ * doesn't know yet are shown in-app so nothing silently disappears.
+ */
+export function shouldDeliver(notification, preferences, channel = 'in_app') {
+  const typePrefs = normalizeNotificationPreferences(preferences)[notification?.type]
+  if (!typePrefs) return channel === 'in_app'
+  return !!typePrefs[channel]
+}
+
+export function isUnread(notification) {
+  return !notification.read_at
+}
+
+export function countUnread(notifications = []) {
+  return notifications.filter(isUnread).length
+}
+
+/**
+ * Group notifications (newest first) into Today / Yesterday / Earlier buckets.
+ * Empty buckets are omitted.
+ */
+export function groupNotificationsByDay(notifications = [], now = new Date()) {
+  const startOfToday = new Date(now.getFullYear(), now.getMonth(), now.getDate()).getTime()
+  const startOfYesterday = startOfToday - 86400000
+  const groups = { Today: [], Yesterday: [], Earlier: [] }
+
+  const sorted = [...notifications].sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
+  for (const notification of sorted) {
+    const createdAt = new Date(notification.created_at).getTime()
+    if (createdAt >= startOfToday) groups.Today.push(notification)
+    else if (createdAt >= startOfYesterday) groups.Yesterday.push(notification)
+    else groups.Earlier.push(notification)
+  }
+
+  return Object.entries(groups)
+    .filter(([, items]) => items.length > 0)
+    .map(([label, items]) => ({ label, items }))
+}
+
+/**
+ * Mark notifications read locally (all of them when ids is omitted), used for
+ * optimistic cache updates before the server confirms.
+ */
+export function markNotificationsRead(notifications = [], ids = null, readAt = new Date().toISOString()) {
+  return notifications.map(notification => {
+    if (notification.read_at) return notification
+    if (ids && !ids.includes(notification.id)) return notification
+    return { ...notification, read_at: readAt }
+  })
+}
@@ -772,6 +772,18 @@ export const billingApi = {
   processPayment: (invoiceId, paymentData) => 
     portalApi.post(`/billing/invoices/${invoiceId}/pay`, paymentData),
   
+  // Time billing
+  // Rates: { default_rate, users: { [userId]: rate }, services: { [service]: rate } }
+  getBillableRates: () =>
+    portalApi.get('/billing/rates'),
+
+  updateBillableRates: (rates) =>
+    portalApi.put('/billing/rates', rates),
+
+  // Rejects with 409 if any entry is already billed
+  markTimeEntriesBilled: (data) =>
+    portalApi.post('/projects/time-entries/mark-billed', data),
+
   // Public endpoints (no auth required)
   getPublicInvoice: (token) => 
     portalApi.get('/billing/invoices/public', { params: { token } }),
@@ -816,9 +828,29 @@ export const filesApi = {
   getCategories: () => 
     portalApi.get('/files/categories'),
 
+  // Replaces the contents in place (URL unchanged); the previous contents are
+  // kept as a version
   replaceFile: (id, data) => 
     portalApi.post(`/files/${id}/replace`, data),
 
+  // Version history: [{ id, version_number, uploaded_by_name, created_at, file_size, checksum, is_current }]
+  listVersions: (id) =>
+    portalApi.get(`/files/${id}/versions`),
+
+  downloadVersion: (id, versionId) =>
+    portalApi.get(`/files/${id}/versions/${versionId}/download`, { responseType: 'blob' }),
+
+  // Makes a past version current again (as a new version, so nothing is lost)
+  restoreVersion: (id, versionId) =>
+    portalApi.post(`/files/${id}/versions/${versionId}/restore`),
+
+  // Per-project retention policy: { mode: 'all' | 'count' | 'days', value }
+  getRetentionPolicy: (projectId) =>
+    portalApi.get(`/files/retention/${projectId}`),
+
+  updateRetentionPolicy: (projectId, policy) =>
+    portalApi.put(`/files/retention/${projectId}`, policy),
+
   /** Create Google Doc (user OAuth). Returns { documentId, editUrl }. */
   createGoogleDoc: (projectId, title) =>
     portalApi.post('/files/google/create-doc', { projectId, title }).then(r => r.data),
@@ -1447,6 +1479,10 @@ export const seoApi = {
   deleteRedirect: (id) =>
     portalApi.delete(`/seo/redirects/${id}`),
   
+  // Bulk create - `overwrite` updates rules with the same source instead of skipping them
+  importRedirects: (projectId, data) =>
+    portalApi.post(`/seo/projects/${projectId}/redirects/bulk`, data),
+  
   // ==================== REPORTS ====================
   getReports: (projectId) =>
     portalApi.get(`/seo/projects/${projectId}/reports`),
@@ -2056,6 +2092,32 @@ export const crmApi = {
    */
   getTeamAssignmentStats: () =>
     portalApi.get('/crm/assignments/stats'),
+
+  /**
+   * Get lead routing config (rules, territories, round-robin state)
+   * @param {string} projectId - Project ID
+   */
+  getLeadRouting: (projectId) =>
+    portalApi.get('/crm/assignments/routing', { params: { projectId } }),
+
+  /**
+   * Save lead routing config. The round-robin state is kept by the API and
+   * is never sent from here, so saving rules can't rewind it.
+   * @param {string} projectId - Project ID
+   * @param {Object} data - { enabled, rules, territories }
+   */
+  updateLeadRouting: (projectId, { enabled, rules, territories }) =>
+    portalApi.put('/crm/assignments/routing', { projectId, enabled, rules, territories }),
+
+  /**
+   * Route the unassigned queue now with the saved rules. With routing
+   * enabled the API also routes new leads as they arrive and escalates
+   * breached SLAs on its own schedule.
+   * @param {string} projectId - Project ID
+   * @returns {{ assigned: Array<{ contact_id, assigned_to, assignment_type, reason }>, held: number }}
+   */
+  runLeadRouting: (projectId) =>
+    portalApi.post('/crm/assignments/routing/run', { projectId }),
 }
 
 // ============================================================================
@@ -2147,6 +2209,41 @@ export const reputationApi = {
   
   getFlaggedReviews: (projectId) =>
     portalApi.get(`/reputation/projects/${projectId}/flagged-reviews`),
+
+  // Review request campaigns (sent server-side on sale, completed booking or won deal)
+  listCampaigns: (projectId) =>
+    portalApi.get(`/reputation/projects/${projectId}/campaigns`),
+  
+  createCampaign: (projectId, data) =>
+    portalApi.post(`/reputation/projects/${projectId}/campaigns`, data),
+  
+  updateCampaign: (id, data) =>
+    portalApi.put(`/reputation/campaigns/${id}`, data),
+  
+  deleteCampaign: (id) =>
+    portalApi.delete(`/reputation/campaigns/${id}`),
+  
+  sendTestRequest: (id, data) =>
+    portalApi.post(`/reputation/campaigns/${id}/test`, data),
+  
+  listReviewRequests: (projectId, params = {}) =>
+    portalApi.get(`/reputation/projects/${projectId}/requests`, { params }),
+  
+  listPrivateFeedback: (projectId, params = {}) =>
+    portalApi.get(`/reputation/projects/${projectId}/private-feedback`, { params }),
+  
+  updatePrivateFeedback: (id, data) =>
+    portalApi.put(`/reputation/private-feedback/${id}`, data),
+
+  // Public review request landing page (no auth - token from the tracking link)
+  getPublicReviewRequest: (token) =>
+    portalApi.get(`/reputation/public/requests/${token}`),
+  
+  submitReviewRating: (token, data) =>
+    portalApi.post(`/reputation/public/requests/${token}/rating`, data),
+  
+  submitPrivateFeedback: (token, data) =>
+    portalApi.post(`/reputation/public/requests/${token}/feedback`, data),
 }
 
 // ============================================================================
@@ -2288,6 +2385,16 @@ export const emailApi = {
   createList: (data) => 
     portalApi.post('/email/lists', data),
   
+  // Segments
+  listSegments: (params = {}) => 
+    portalApi.get('/email/segments', { params }),
+  
+  createSegment: (data) => 
+    portalApi.post('/email/segments', data),
+  
+  getSegmentSubscribers: (id, params = {}) => 
+    portalApi.get(`/email/segments/${id}/subscribers`, { params }),
+  
   // Automations
   listAutomations: (params = {}) => 
     portalApi.get('/email/automations', { params }),
@@ -2656,6 +2763,42 @@ export const adminApi = {
     portalApi.post(`/admin/users/${userId}/resend-setup`),
 }
 
+// ============================================================================
+// Notifications API - In-app inbox, per-type preferences and Web Push
+// ============================================================================
+
+export const notificationsApi = {
+  // Inbox (params: { unread, type, limit, before })
+  list: (params = {}) =>
+    portalApi.get('/notifications', { params }),
+
+  getUnreadCount: () =>
+    portalApi.get('/notifications/unread-count'),
+
+  markRead: (notificationId) =>
+    portalApi.post(`/notifications/${notificationId}/read`),
+
+  markAllRead: () =>
+    portalApi.post('/notifications/read-all'),
+
+  // Preferences: { [type]: { in_app, push } }
+  getPreferences: () =>
+    portalApi.get('/notifications/preferences'),
+
+  updatePreferences: (preferences) =>
+    portalApi.put('/notifications/preferences', { preferences }),
+
+  // Web Push - VAPID public key and browser subscriptions
+  getPushConfig: () =>
+    portalApi.get('/notifications/push/config'),
+
+  subscribePush: (subscription) =>
+    portalApi.post('/notifications/push/subscriptions', { subscription }),
+
+  unsubscribePush: (endpoint) =>
+    portalApi.delete('/notifications/push/subscriptions', { data: { endpoint } }),
+}
+
 // ============================================================================
 // Drive API - Google Drive file management
 // ============================================================================
@@ -2783,6 +2926,10 @@ export const analyticsApi = {
   // Heatmap
   getHeatmap: (params = {}) => 
     portalApi.get('/analytics/heatmap', { params }),
+  
+  // Frustration signals (rage / dead / error clicks, thrashed cursor)
+  getFrustration: (params = {}) =>
+    portalApi.get('/analytics/frustration', { params }),
 
   // Realtime
   getRealtime: (params = {}) =>
@@ -2996,6 +3143,24 @@ export const commerceApi = {
   getSalesStats: (projectId, params = {}) =>
     portalApi.get(`/commerce/sales/${projectId}/stats`, { params }),
   
+  /** Cancel a registration. With offer_to_waitlist the freed spot goes to the next person in line */
+  cancelRegistration: (projectId, saleId, data = {}) =>
+    portalApi.post(`/commerce/sales/${projectId}/${saleId}/cancel`, data),
+  
+  // ==================== WAITLIST ====================
+  
+  /** Get the waitlist for an event schedule, in queue order */
+  getWaitlist: (projectId, scheduleId) =>
+    portalApi.get(`/commerce/waitlist/${projectId}/${scheduleId}`),
+  
+  /** Email the next waiting customer a time-limited claim link */
+  offerWaitlistSpot: (projectId, scheduleId, data = {}) =>
+    portalApi.post(`/commerce/waitlist/${projectId}/${scheduleId}/offer`, data),
+  
+  /** Remove a customer from the waitlist */
+  removeWaitlistEntry: (projectId, entryId) =>
+    portalApi.delete(`/commerce/waitlist/${projectId}/entries/${entryId}`),
+  
   // ==================== CUSTOMERS ====================
   
   /** Get all customers for a project */
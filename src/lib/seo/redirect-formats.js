@@ -0,0 +1,487 @@
+/**
+ * Redirect Import/Export Formats
+ * Parses and writes redirect rules as CSV, Apache .htaccess, nginx and Netlify _redirects
+ */
+
+import { getMatchType, toRegexRedirect } from './redirect-rules'
+
+export const REDIRECT_FORMATS = {
+  csv: { label: 'CSV', filename: 'redirects.csv', mimeType: 'text/csv' },
+  htaccess: { label: 'Apache .htaccess', filename: '.htaccess', mimeType: 'text/plain' },
+  nginx: { label: 'nginx', filename: 'redirects.conf', mimeType: 'text/plain' },
+  netlify: { label: 'Netlify _redirects', filename: '_redirects', mimeType: 'text/plain' },
+}
+
+const PERMANENT_TYPES = [301, 308]
+
+/**
+ * Guess the format from the file name, falling back to the content
+ */
+export function detectRedirectFormat(text, filename = '') {
+  const name = filename.toLowerCase()
+  if (name.endsWith('.csv')) return 'csv'
+  if (name.endsWith('.htaccess')) return 'htaccess'
+  if (name.endsWith('_redirects')) return 'netlify'
+  if (name.endsWith('.conf') || name.includes('nginx')) return 'nginx'
+
+  if (/^\s*(Redirect(Match|Permanent|Temp)?|RewriteRule)\s/mi.test(text)) return 'htaccess'
+  if (/^\s*(rewrite\s+\S+\s+\S+|location\s.*\{|return\s+30\d)/m.test(text)) return 'nginx'
+  if (/^[^,\n]+,[^,\n]+/m.test(text)) return 'csv'
+  return 'netlify'
+}
+
+// Imports often have full URLs on the source side - the rule only needs the path
+function toSourcePath(value) {
+  const trimmed = value.trim()
+  if (!/^https?:\/\//i.test(trimmed)) return trimmed
+  try {
+    const url = new URL(trimmed)
+    return `${url.pathname}${url.search}`
+  } catch {
+    return trimmed
+  }
+}
+
+function inferMatchType(fromPath) {
+  if (/:[A-Za-z_]/.test(fromPath)) return 'param'
+  if (fromPath.includes('*')) return 'wildcard'
+  return 'exact'
+}
+
+function toStatusCode(value, fallback = 301) {
+  const code = parseInt(value, 10)
+  return [301, 302, 307, 308].includes(code) ? code : fallback
+}
+
+// ==================== CSV ====================
+
+const CSV_DELIMITERS = [',', ';', '\t']
+
+// Spreadsheets export with commas, semicolons (European locales) or tabs.
+// Pick the one the first row uses most, outside quotes - commas win ties.
+function detectCSVDelimiter(line) {
+  const counts = new Map(CSV_DELIMITERS.map(d => [d, 0]))
+  let inQuotes = false
+  for (const char of line) {
+    if (char === '"') inQuotes = !inQuotes
+    else if (!inQuotes && counts.has(char)) counts.set(char, counts.get(char) + 1)
+  }
+  return CSV_DELIMITERS.reduce((best, d) => counts.get(d) > counts.get(best) ? d : best)
+}
+
+function parseCSVLine(line, delimiter = ',') {
+  const values = []
+  let current = ''
+  let inQuotes = false
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i]
+    if (inQuotes) {
+      if (char === '"' && line[i + 1] === '"') {
+        current += '"'
+        i++
+      } else if (char === '"') {
+        inQuotes = false
+      } else {
+        current += char
+      }
+    } else if (char === '"') {
+      inQuotes = true
+    } else if (char === delimiter) {
+      values.push(current.trim())
+      current = ''
+    } else {
+      current += char
+    }
+  }
+  values.push(current.trim())
+  return values
+}
+
+const CSV_COLUMNS = {
+  from_path: ['from', 'from_path', 'source', 'old', 'old_url', 'old_path', 'redirect_from', 'url'],
+  to_path: ['to', 'to_path', 'destination', 'target', 'new', 'new_url', 'new_path', 'redirect_to'],
+  redirect_type: ['type', 'redirect_type', 'status', 'code', 'status_code'],
+  match_type: ['match_type', 'match'],
+  query_handling: ['query_handling', 'query'],
+}
+
+function parseCSV(text) {
+  const lines = text.split(/\r?\n/)
+  const rules = []
+  const errors = []
+
+  const firstLine = lines.find(l => l.trim()) || ''
+  const delimiter = detectCSVDelimiter(firstLine)
+  const firstRow = parseCSVLine(firstLine, delimiter).map(h => h.toLowerCase().replace(/\s+/g, '_'))
+  const hasHeader = firstRow.some(h => CSV_COLUMNS.from_path.includes(h) || CSV_COLUMNS.to_path.includes(h))
+  const columns = {}
+  if (hasHeader) {
+    for (const [field, aliases] of Object.entries(CSV_COLUMNS)) {
+      const index = firstRow.findIndex(h => aliases.includes(h))
+      if (index >= 0) columns[field] = index
+    }
+  } else {
+    Object.assign(columns, { from_path: 0, to_path: 1, redirect_type: 2 })
+  }
+
+  if (columns.from_path === undefined || columns.to_path === undefined) {
+    return { rules, errors: [{ line: 1, message: 'Could not find source and destination columns' }] }
+  }
+
+  let headerSkipped = !hasHeader
+  lines.forEach((line, i) => {
+    if (!line.trim() || line.trim().startsWith('#')) return
+    if (!headerSkipped) {
+      headerSkipped = true
+      return
+    }
+
+    const values = parseCSVLine(line, delimiter)
+    const from = toSourcePath(values[columns.from_path] || '')
+    const to = (values[columns.to_path] || '').trim()
+    if (!from || !to) {
+      errors.push({ line: i + 1, message: 'Missing source or destination' })
+      return
+    }
+
+    const matchType = values[columns.match_type]?.toLowerCase()
+    const queryHandling = values[columns.query_handling]?.toLowerCase()
+    rules.push({
+      line: i + 1,
+      from_path: from,
+      to_path: to,
+      redirect_type: toStatusCode(values[columns.redirect_type]),
+      match_type: ['exact', 'wildcard', 'param', 'regex'].includes(matchType) ? matchType : inferMatchType(from),
+      query_handling: ['keep', 'drop', 'merge'].includes(queryHandling) ? queryHandling : 'keep',
+    })
+  })
+
+  return { rules, errors }
+}
+
+function escapeCSVField(value) {
+  const text = String(value ?? '')
+  // Everything parseCSVLine splits on, so an export always re-imports as-is
+  if (/[",;\t\r\n]/.test(text)) return `"${text.replace(/"/g, '""')}"`
+  return text
+}
+
+function toCSV(rules) {
+  const rows = [['from_path', 'to_path', 'redirect_type', 'match_type', 'query_handling'].join(',')]
+  for (const rule of rules) {
+    rows.push([
+      rule.from_path,
+      rule.to_path,
+      rule.redirect_type,
+      getMatchType(rule),
+      rule.query_handling || 'keep',
+    ].map(escapeCSVField).join(','))
+  }
+  return { content: rows.join('\n') + '\n', skipped: [] }
+}
+
+// ==================== APACHE ====================
+
+const APACHE_STATUS = { permanent: 301, temp: 302, seeother: 303, gone: 410 }
+
+// Redirect and RedirectMatch take an optional status before the paths
+function takeApacheStatus(args, fallback) {
+  if (!/^(\d{3}|permanent|temp|seeother|gone)$/i.test(args[0] || '')) return fallback
+  const token = args.shift().toLowerCase()
+  return APACHE_STATUS[token] ?? parseInt(token, 10)
+}
+
+// Split on whitespace, keeping quoted arguments together
+function splitDirective(line) {
+  return (line.match(/"[^"]*"|\S+/g) || []).map(part => part.replace(/^"|"$/g, ''))
+}
+
+function parseHtaccess(text) {
+  const rules = []
+  const errors = []
+  let pendingConditions = 0
+
+  text.split(/\r?\n/).forEach((raw, i) => {
+    const line = raw.trim()
+    if (!line || line.startsWith('#') || line.startsWith('<')) return
+    const lineNumber = i + 1
+    const [directive, ...args] = splitDirective(line)
+    const name = directive.toLowerCase()
+
+    if (name === 'rewritecond') {
+      pendingConditions++
+      return
+    }
+
+    if (name === 'redirect' || name === 'redirectpermanent' || name === 'redirecttemp') {
+      const status = name === 'redirect' ? takeApacheStatus(args, 302) : name === 'redirectpermanent' ? 301 : 302
+      if (args.length < 2 || status === 410) {
+        errors.push({ line: lineNumber, message: `${directive} without a destination - skipped` })
+        return
+      }
+      // mod_alias Redirect matches by prefix - page migrations almost always mean the exact path
+      rules.push({ line: lineNumber, from_path: args[0], to_path: args[1], redirect_type: toStatusCode(status, 302), match_type: 'exact', query_handling: 'keep' })
+    } else if (name === 'redirectmatch') {
+      const status = takeApacheStatus(args, 302)
+      if (args.length < 2 || status === 410) {
+        errors.push({ line: lineNumber, message: 'RedirectMatch without a destination' })
+        return
+      }
+      rules.push({ line: lineNumber, from_path: args[0], to_path: args[1], redirect_type: toStatusCode(status, 302), match_type: 'regex', query_handling: 'keep' })
+    } else if (name === 'rewriterule') {
+      const conditions = pendingConditions
+      pendingConditions = 0
+      const [pattern, target, flagText = ''] = args
+      const flags = flagText.replace(/^\[|\]$/g, '').split(',').map(f => f.trim().toUpperCase())
+      const redirectFlag = flags.find(f => f === 'R' || f.startsWith('R='))
+
+      if (!redirectFlag || target === '-') {
+        errors.push({ line: lineNumber, message: 'RewriteRule without [R] is an internal rewrite - skipped' })
+        return
+      }
+      if (conditions > 0) {
+        errors.push({ line: lineNumber, message: 'RewriteRule with RewriteCond conditions - skipped, add it manually' })
+        return
+      }
+
+      // .htaccess patterns are relative to the directory, so they have no leading slash
+      const source = `^/${pattern.replace(/^\^?\/?/, '')}`
+      // A query string in the target replaces the visitor's unless QSA is set
+      const keepsQuery = !flags.includes('QSD') && (flags.includes('QSA') || !target.includes('?'))
+      rules.push({
+        line: lineNumber,
+        from_path: source,
+        to_path: target.replace(/\?$/, ''),
+        redirect_type: redirectFlag === 'R' ? 302 : toStatusCode(redirectFlag.slice(2), 302),
+        match_type: 'regex',
+        query_handling: keepsQuery ? 'keep' : 'drop',
+      })
+    } else {
+      pendingConditions = 0
+    }
+  })
+
+  return { rules, errors }
+}
+
+function toHtaccess(rules) {
+  const lines = ['# Redirects exported from Uptrade Portal', 'RewriteEngine On', '']
+  const skipped = []
+
+  for (const rule of rules) {
+    const regex = toRegexRedirect(rule)
+    if (!regex) {
+      skipped.push(rule)
+      continue
+    }
+    // ^/? works both in .htaccess (no leading slash) and server config
+    const pattern = regex.source.replace(/^\^\//, '^/?')
+    const flags = [`R=${rule.redirect_type}`, 'L']
+    const queryHandling = rule.query_handling || 'keep'
+    if (queryHandling === 'drop') flags.push('QSD')
+    else if (regex.destination.includes('?')) flags.push('QSA')
+    lines.push(`RewriteRule ${quoteIfNeeded(pattern)} ${quoteIfNeeded(regex.destination)} [${flags.join(',')}]`)
+  }
+
+  return { content: lines.join('\n') + '\n', skipped }
+}
+
+const quoteIfNeeded = (value) => (/[\s;{}]/.test(value) ? `"${value}"` : value)
+
+// ==================== NGINX ====================
+
+function parseNginx(text) {
+  const rules = []
+  const errors = []
+  const lineOf = (index) => text.slice(0, index).split('\n').length
+
+  // location blocks that only return a redirect
+  const locationPattern = /location\s+(=|~\*?|\^~)?\s*("[^"]+"|\S+)\s*\{\s*return\s+(30[1278])\s+("[^"]+"|[^;\s]+)\s*;\s*\}/g
+  let match
+  const covered = []
+  while ((match = locationPattern.exec(text))) {
+    const [, modifier = '', rawPath, status, rawTarget] = match
+    const path = rawPath.replace(/^"|"$/g, '')
+    let target = rawTarget.replace(/^"|"$/g, '')
+    covered.push([match.index, match.index + match[0].length])
+
+    // `return` doesn't forward the query string unless the target asks for it
+    const keepsQuery = /\$(is_args\$args|args|query_string|request_uri)/.test(target)
+    target = target.replace(/\$is_args\$args|\?\$args|\?\$query_string/g, '').replace(/\$request_uri/g, path)
+
+    rules.push({
+      line: lineOf(match.index),
+      from_path: path,
+      to_path: target,
+      redirect_type: toStatusCode(status),
+      // Prefix locations are treated as exact, like Apache's Redirect
+      match_type: modifier.startsWith('~') ? 'regex' : 'exact',
+      query_handling: keepsQuery ? 'keep' : 'drop',
+    })
+  }
+
+  const rewritePattern = /^\s*rewrite\s+("[^"]+"|\S+)\s+("[^"]+"|\S+)(?:\s+(\w+))?\s*;/gm
+  while ((match = rewritePattern.exec(text))) {
+    const index = match.index
+    if (covered.some(([start, end]) => index >= start && index < end)) continue
+
+    const [, rawPattern, rawTarget, flag] = match
+    const pattern = rawPattern.replace(/^"|"$/g, '')
+    const target = rawTarget.replace(/^"|"$/g, '')
+    const isRedirect = flag === 'permanent' || flag === 'redirect' || /^https?:\/\//.test(target)
+
+    if (!isRedirect) {
+      errors.push({ line: lineOf(index), message: 'rewrite without permanent/redirect is an internal rewrite - skipped' })
+      continue
+    }
+
+    rules.push({
+      line: lineOf(index),
+      from_path: pattern,
+      // A trailing ? tells nginx not to append the original query string
+      to_path: target.replace(/\?$/, ''),
+      redirect_type: flag === 'permanent' ? 301 : 302,
+      match_type: 'regex',
+      query_handling: target.endsWith('?') ? 'drop' : 'keep',
+    })
+  }
+
+  rules.sort((a, b) => a.line - b.line)
+  return { rules, errors }
+}
+
+function toNginx(rules) {
+  const lines = ['# Redirects exported from Uptrade Portal', '# Include inside your server { } block', '']
+  const skipped = []
+
+  for (const rule of rules) {
+    const status = parseInt(rule.redirect_type, 10)
+    const queryHandling = rule.query_handling || 'keep'
+
+    if (getMatchType(rule) === 'exact') {
+      const args = queryHandling === 'drop' ? '' : (rule.to_path.includes('?') ? '&$args' : '$is_args$args')
+      const target = queryHandling === 'drop' || !args ? rule.to_path : `${rule.to_path}${args}`
+      lines.push(`location = ${quoteIfNeeded(rule.from_path)} { return ${status} ${quoteIfNeeded(target)}; }`)
+      continue
+    }
+
+    const regex = toRegexRedirect(rule)
+    if (!regex) {
+      skipped.push(rule)
+      continue
+    }
+    // rewrite can only send 301 (permanent) or 302 (redirect)
+    const flag = PERMANENT_TYPES.includes(status) ? 'permanent' : 'redirect'
+    const target = queryHandling === 'drop' ? `${regex.destination}?` : regex.destination
+    lines.push(`rewrite ${quoteIfNeeded(regex.source)} ${quoteIfNeeded(target)} ${flag};`)
+  }
+
+  return { content: lines.join('\n') + '\n', skipped }
+}
+
+// ==================== NETLIFY ====================
+
+function parseNetlify(text) {
+  const rules = []
+  const errors = []
+
+  text.split(/\r?\n/).forEach((raw, i) => {
+    const line = raw.replace(/#.*$/, '').trim()
+    if (!line) return
+    const lineNumber = i + 1
+    const parts = line.split(/\s+/)
+    const [from, ...rest] = parts
+
+    // Query-parameter conditions (key=value) and Country/Language/Role conditions
+    const conditions = rest.filter(p => p.includes('=') && !p.startsWith('/') && !/^https?:/.test(p))
+    const remaining = rest.filter(p => !conditions.includes(p))
+    const [to, statusToken = '301'] = remaining
+
+    if (!to) {
+      errors.push({ line: lineNumber, message: 'Missing destination' })
+      return
+    }
+    if (conditions.length > 0) {
+      errors.push({ line: lineNumber, message: 'Rules with query or country conditions are skipped' })
+      return
+    }
+
+    const status = parseInt(statusToken, 10)
+    if (status === 200 || status === 404 || status === 410) {
+      errors.push({ line: lineNumber, message: `Status ${status} is a rewrite, not a redirect - skipped` })
+      return
+    }
+
+    const fromPath = toSourcePath(from)
+    rules.push({
+      line: lineNumber,
+      from_path: fromPath,
+      to_path: to,
+      redirect_type: toStatusCode(status),
+      match_type: inferMatchType(fromPath),
+      query_handling: 'keep',
+    })
+  })
+
+  return { rules, errors }
+}
+
+function toNetlify(rules) {
+  const lines = ['# Redirects exported from Uptrade Portal']
+  const skipped = []
+
+  for (const rule of rules) {
+    const matchType = getMatchType(rule)
+    // Netlify has no regex rules and its splat must be the last segment
+    if (matchType === 'regex') {
+      skipped.push(rule)
+      continue
+    }
+
+    let from = rule.from_path
+    let to = rule.to_path
+    if (matchType !== 'exact') {
+      const restParam = /:([A-Za-z_][A-Za-z0-9_]*)\*/.exec(from)
+      if (restParam) {
+        from = from.replace(restParam[0], '*')
+        to = to.replace(new RegExp(`:${restParam[1]}\\*?`, 'g'), ':splat')
+      }
+      to = to.replace(/\$1\b/g, ':splat').replace(/\*/g, ':splat')
+      if ((from.match(/\*/g) || []).length > 1 || (from.includes('*') && !from.endsWith('*')) || /\$\d/.test(to)) {
+        skipped.push(rule)
+        continue
+      }
+    }
+
+    lines.push(`${from}  ${to}  ${rule.redirect_type}`)
+  }
+
+  return { content: lines.join('\n') + '\n', skipped }
+}
+
+// ==================== PUBLIC API ====================
+
+const PARSERS = { csv: parseCSV, htaccess: parseHtaccess, nginx: parseNginx, netlify: parseNetlify }
+const SERIALIZERS = { csv: toCSV, htaccess: toHtaccess, nginx: toNginx, netlify: toNetlify }
+
+/**
+ * Parse a redirects file
+ * @returns {{ rules: Array, errors: Array<{ line: number, message: string }> }}
+ */
+export function parseRedirects(text, format) {
+  const parser = PARSERS[format]
+  if (!parser) throw new Error(`Unknown redirect format: ${format}`)
+  return parser(text)
+}
+
+/**
+ * Write rules in a hosting format. Rules the format can't express are
+ * returned in `skipped` so the UI can say which ones need site-kit middleware.
+ * @returns {{ content: string, skipped: Array }}
+ */
+export function serializeRedirects(rules, format) {
+  const serializer = SERIALIZERS[format]
+  if (!serializer) throw new Error(`Unknown redirect format: ${format}`)
+  return serializer(rules)
+}
@@ -0,0 +1,442 @@
+/**
+ * Redirect Rule Matching
+ * Mirrors packages/site-kit/src/redirects/matcher.ts so the Redirect Manager
+ * can test rules exactly the way the site's middleware will apply them.
+ * tests/seo/redirect-rules.test.js runs both over the same fixtures.
+ */
+
+export const MATCH_TYPES = {
+  exact: { label: 'Exact', placeholder: '/old-page', toPlaceholder: '/new-page', description: 'Matches one path (trailing slash ignored)' },
+  wildcard: { label: 'Wildcard', placeholder: '/blog/*', toPlaceholder: '/articles/*', description: '* matches anything, reuse it with * or $1' },
+  param: { label: 'Named params', placeholder: '/product/:slug', toPlaceholder: '/shop/:slug', description: ':name matches one segment, :name* the rest' },
+  regex: { label: 'Regex', placeholder: '^/p/(\\d+)/(.*)$', toPlaceholder: '/posts/$1/$2', description: 'Regular expression, use $1 or $<name> in the destination' },
+}
+
+export const QUERY_HANDLING = {
+  keep: { label: 'Keep', description: "Forward the visitor's query string" },
+  merge: { label: 'Merge', description: "Forward it, but the destination's own params win" },
+  drop: { label: 'Drop', description: 'Discard the query string' },
+}
+
+const DEFAULT_MAX_HOPS = 10
+const PLACEHOLDER_ORIGIN = 'http://redirect.local'
+
+export function getMatchType(rule) {
+  if (rule.match_type) return rule.match_type
+  return rule.is_regex ? 'regex' : 'exact'
+}
+
+const escapeRegex = (value) => value.replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+
+const stripTrailingSlash = (path) =>
+  path.length > 1 && path.endsWith('/') ? path.slice(0, -1) : path
+
+function compilePathPattern(pattern) {
+  const names = []
+  let wildcardCount = 0
+  let source = ''
+
+  const tokens = stripTrailingSlash(pattern).split(/(:[A-Za-z_][A-Za-z0-9_]*\*?|\*)/)
+  for (const token of tokens) {
+    if (!token) continue
+    if (token === '*') {
+      names.push(wildcardCount === 0 ? 'splat' : `splat${wildcardCount}`)
+      wildcardCount++
+      source += '(.*)'
+    } else if (token.startsWith(':')) {
+      const rest = token.endsWith('*')
+      names.push(token.slice(1, rest ? -1 : undefined))
+      source += rest ? '(.*)' : '([^/]+)'
+    } else {
+      source += escapeRegex(token)
+    }
+  }
+
+  return { source: `^${source}/?$`, names }
+}
+
+/**
+ * Compile a rule into a regex
+ * @returns {{ rule, matchType, pattern: RegExp|null, names: string[], error?: string }}
+ */
+export function compileRedirectRule(rule) {
+  const matchType = getMatchType(rule)
+
+  try {
+    if (matchType === 'exact') {
+      return {
+        rule,
+        matchType,
+        pattern: new RegExp(`^${escapeRegex(stripTrailingSlash(rule.from_path))}/?$`),
+        names: [],
+      }
+    }
+
+    if (matchType === 'regex') {
+      let source = rule.from_path
+      if (!source.startsWith('^')) source = `^${source}`
+      if (!source.endsWith('$')) source = `${source}$`
+      const pattern = new RegExp(source)
+      const groupCount = new RegExp(`${source}|`).exec('').length - 1
+      return { rule, matchType, pattern, names: Array.from({ length: groupCount }, (_, i) => String(i + 1)) }
+    }
+
+    const { source, names } = compilePathPattern(rule.from_path)
+    return { rule, matchType, pattern: new RegExp(source), names }
+  } catch (error) {
+    return { rule, matchType, pattern: null, names: [], error: error.message }
+  }
+}
+
+const indexCache = new WeakMap()
+
+// Exact rules are a map lookup, patterns are tried in order after them
+function getRuleIndex(rules) {
+  const cached = indexCache.get(rules)
+  if (cached) return cached
+
+  const exact = new Map()
+  const patterns = []
+  for (const compiled of rules.map(compileRedirectRule)) {
+    if (compiled.matchType !== 'exact') {
+      patterns.push(compiled)
+    } else {
+      const key = stripTrailingSlash(compiled.rule.from_path)
+      if (!exact.has(key)) exact.set(key, compiled)
+    }
+  }
+
+  const index = { exact, patterns }
+  indexCache.set(rules, index)
+  return index
+}
+
+function substitute(template, matchType, values, params) {
+  if (matchType === 'exact') return template
+
+  const tokens = matchType === 'regex'
+    ? /\$(\d+)|\$<([A-Za-z_][A-Za-z0-9_]*)>/g
+    : /\$(\d+)|\$<([A-Za-z_][A-Za-z0-9_]*)>|:([A-Za-z_][A-Za-z0-9_]*)\*?|\*/g
+  let wildcardIndex = 0
+
+  return template.replace(tokens, (token, index, groupName, paramName) => {
+    if (index !== undefined) return values[Number(index) - 1] ?? ''
+    if (groupName !== undefined) return params[groupName] ?? ''
+    if (paramName !== undefined) return paramName in params ? params[paramName] : token
+    const key = wildcardIndex === 0 ? 'splat' : `splat${wildcardIndex}`
+    wildcardIndex++
+    return params[key] ?? ''
+  })
+}
+
+function applyQueryHandling(destination, search, handling) {
+  const incoming = new URLSearchParams(search)
+  if (handling === 'drop' || Array.from(incoming.keys()).length === 0) return destination
+
+  const hashIndex = destination.indexOf('#')
+  const hash = hashIndex >= 0 ? destination.slice(hashIndex) : ''
+  const withoutHash = hashIndex >= 0 ? destination.slice(0, hashIndex) : destination
+  const queryIndex = withoutHash.indexOf('?')
+  const base = queryIndex >= 0 ? withoutHash.slice(0, queryIndex) : withoutHash
+  const params = new URLSearchParams(queryIndex >= 0 ? withoutHash.slice(queryIndex + 1) : '')
+
+  incoming.forEach((value, key) => {
+    if (handling === 'keep' || !params.has(key)) params.set(key, value)
+  })
+
+  const query = params.toString()
+  return `${base}${query ? `?${query}` : ''}${hash}`
+}
+
+/**
+ * Find the first rule matching a path
+ * @returns {{ rule, destination: string, params: Object }|null}
+ */
+export function matchRedirect(pathname, search, rules) {
+  const { exact, patterns } = getRuleIndex(rules)
+
+  const exactMatch = exact.get(stripTrailingSlash(pathname))
+  if (exactMatch) {
+    return {
+      rule: exactMatch.rule,
+      destination: applyQueryHandling(exactMatch.rule.to_path, search, exactMatch.rule.query_handling || 'keep'),
+      params: {},
+    }
+  }
+
+  for (const compiled of patterns) {
+    if (!compiled.pattern) continue
+    const result = compiled.pattern.exec(pathname)
+    if (!result) continue
+
+    const values = result.slice(1).map(v => v ?? '')
+    const params = { ...(result.groups || {}) }
+    compiled.names.forEach((name, i) => {
+      params[name] = values[i]
+    })
+
+    const destination = applyQueryHandling(
+      substitute(compiled.rule.to_path, compiled.matchType, values, params),
+      search,
+      compiled.rule.query_handling || 'keep'
+    )
+    return { rule: compiled.rule, destination, params }
+  }
+  return null
+}
+
+const isPermanent = (type) => String(type) === '301' || String(type) === '308'
+
+/**
+ * Follow a redirect through every rule it triggers (A -> B -> C)
+ * @returns {{ destination: string, hops: Array, statusCode: number, loop: boolean }|null}
+ */
+export function resolveRedirectChain(pathname, search, rules, { origin = PLACEHOLDER_ORIGIN, maxHops = DEFAULT_MAX_HOPS } = {}) {
+  const hops = []
+  const visited = new Set([`${stripTrailingSlash(pathname)}${search ? `?${search.replace(/^\?/, '')}` : ''}`])
+
+  let currentPath = pathname
+  let currentSearch = search
+  let loop = false
+
+  for (;;) {
+    const match = matchRedirect(currentPath, currentSearch, rules)
+    if (!match) break
+    if (hops.length >= maxHops) {
+      loop = true
+      break
+    }
+    hops.push(match)
+
+    let next
+    try {
+      next = new URL(match.destination, `${origin}${currentPath}`)
+    } catch {
+      break
+    }
+    if (next.origin !== new URL(origin).origin) break
+
+    const key = `${stripTrailingSlash(next.pathname)}${next.search}`
+    if (visited.has(key)) {
+      loop = true
+      break
+    }
+    visited.add(key)
+    currentPath = next.pathname
+    currentSearch = next.search
+  }
+
+  if (hops.length === 0) return null
+
+  const firstTemporary = hops.find(h => !isPermanent(h.rule.redirect_type))
+  return {
+    destination: hops[hops.length - 1].destination,
+    hops,
+    statusCode: parseInt((firstTemporary || hops[0]).rule.redirect_type),
+    loop,
+  }
+}
+
+/**
+ * Test a sample URL (absolute or a path) against a rule set
+ * @returns {{ error?: string, result: ReturnType<typeof resolveRedirectChain> }}
+ */
+export function testRedirectUrl(sampleUrl, rules) {
+  if (!sampleUrl) return { result: null }
+  try {
+    const url = new URL(sampleUrl, PLACEHOLDER_ORIGIN)
+    const result = resolveRedirectChain(url.pathname, url.search, rules, { origin: url.origin })
+    return { result }
+  } catch (error) {
+    return { error: error.message, result: null }
+  }
+}
+
+/**
+ * Length of the chain a rule starts (1 = no chain). Used to flag rules whose
+ * destination is itself redirected.
+ */
+export function getChainLength(rule, rules) {
+  if (/[:*$]/.test(rule.to_path) || !rule.to_path.startsWith('/')) return 1
+  const [path, query = ''] = rule.to_path.split('?')
+  const chain = resolveRedirectChain(path, query, rules)
+  return chain ? chain.hops.length + 1 : 1
+}
+
+// Map named groups in a regex source to their positional index
+function getNamedGroupIndexes(source) {
+  const indexes = {}
+  let position = 0
+  let inClass = false
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i]
+    if (char === '\\') {
+      i++
+    } else if (inClass) {
+      if (char === ']') inClass = false
+    } else if (char === '[') {
+      inClass = true
+    } else if (char === '(') {
+      if (source[i + 1] !== '?') {
+        position++
+      } else {
+        const named = /^\?<([A-Za-z_][A-Za-z0-9_]*)>/.exec(source.slice(i + 1))
+        if (named) indexes[named[1]] = ++position
+      }
+    }
+  }
+  return indexes
+}
+
+/**
+ * Express any rule as an anchored regex with $1..$n in the destination.
+ * Used to export rules to servers that only understand regexes (Apache, nginx).
+ * @returns {{ source: string, destination: string }|null} null for invalid patterns
+ */
+export function toRegexRedirect(rule) {
+  const compiled = compileRedirectRule(rule)
+  if (!compiled.pattern) return null
+
+  // RegExp#source escapes slashes, which servers don't need
+  const source = compiled.pattern.source.replace(/\\\//g, '/')
+  if (compiled.matchType === 'exact') {
+    return { source, destination: rule.to_path }
+  }
+
+  const named = compiled.matchType === 'regex'
+    ? getNamedGroupIndexes(source)
+    : Object.fromEntries(compiled.names.map((name, i) => [name, i + 1]))
+
+  const tokens = compiled.matchType === 'regex'
+    ? /\$(\d+)|\$<([A-Za-z_][A-Za-z0-9_]*)>/g
+    : /\$(\d+)|\$<([A-Za-z_][A-Za-z0-9_]*)>|:([A-Za-z_][A-Za-z0-9_]*)\*?|\*/g
+  let wildcardIndex = 0
+
+  const destination = rule.to_path.replace(tokens, (token, index, groupName, paramName) => {
+    if (index !== undefined) return token
+    if (groupName !== undefined) return named[groupName] ? `$${named[groupName]}` : ''
+    if (paramName !== undefined) return named[paramName] ? `$${named[paramName]}` : token
+    const key = wildcardIndex === 0 ? 'splat' : `splat${wildcardIndex}`
+    wildcardIndex++
+    return named[key] ? `$${named[key]}` : ''
+  })
+
+  return { source, destination }
+}
+
+// ==================== VALIDATION ====================
+
+const ruleKey = (rule) => `${getMatchType(rule)}:${getMatchType(rule) === 'exact' ? stripTrailingSlash(rule.from_path) : rule.from_path}`
+
+// "/a → /b → /a", stopping at the first path that repeats
+function describeLoop(paths) {
+  const seen = new Set()
+  const steps = []
+  for (const path of paths.map(stripTrailingSlash)) {
+    steps.push(path)
+    if (seen.has(path)) break
+    seen.add(path)
+  }
+  return steps.join(' → ')
+}
+
+/**
+ * Check rules about to be imported against each other and the saved rules.
+ *
+ * Every incoming rule gets a `status`:
+ * - new: safe to save
+ * - duplicate: same source and destination as a rule already listed
+ * - conflict: same source, different destination
+ * - loop: following it comes back to where it started
+ * - invalid: missing paths or a pattern that doesn't compile
+ *
+ * Rules whose destination is itself redirected also get `chainTo`, the final
+ * destination, so the chain can be collapsed before saving.
+ */
+export function analyzeRedirectRules(incoming, existing = []) {
+  const existingByKey = new Map()
+  for (const rule of existing) {
+    const key = ruleKey(rule)
+    if (!existingByKey.has(key)) existingByKey.set(key, rule)
+  }
+
+  const seen = new Map()
+  const rules = incoming.map((rule, index) => {
+    const result = { ...rule, index, status: 'new', issues: [] }
+
+    if (!rule.from_path || !rule.to_path) {
+      result.status = 'invalid'
+      result.issues.push('Missing source or destination')
+      return result
+    }
+    const { error } = compileRedirectRule(rule)
+    if (error) {
+      result.status = 'invalid'
+      result.issues.push(`Invalid pattern: ${error}`)
+      return result
+    }
+
+    const key = ruleKey(rule)
+    const earlier = seen.get(key)
+    const saved = existingByKey.get(key)
+    if (earlier) {
+      result.status = earlier.to_path === rule.to_path ? 'duplicate' : 'conflict'
+      result.issues.push(result.status === 'duplicate'
+        ? `Duplicate of line ${earlier.line ?? earlier.index + 1}`
+        : `Line ${earlier.line ?? earlier.index + 1} sends this to ${earlier.to_path}`)
+    } else if (saved) {
+      result.status = saved.to_path === rule.to_path ? 'duplicate' : 'conflict'
+      result.existingId = saved.id
+      result.issues.push(result.status === 'duplicate'
+        ? 'Already exists'
+        : `Existing rule sends this to ${saved.to_path}`)
+    } else {
+      seen.set(key, result)
+    }
+    return result
+  })
+
+  // Loops and chains are checked against the rule set as it would be after saving
+  const combined = [
+    // Conflicts with saved rules count as overwrites; conflicts inside the import lose to the earlier line
+    ...rules.filter(r => r.status === 'new' || (r.status === 'conflict' && r.existingId !== undefined)),
+    ...existing,
+  ]
+
+  for (const rule of rules) {
+    if (rule.status === 'invalid' || rule.status === 'duplicate') continue
+
+    const matchType = getMatchType(rule)
+    if (matchType === 'exact' && stripTrailingSlash(rule.from_path) === stripTrailingSlash(rule.to_path.split('?')[0])) {
+      rule.status = 'loop'
+      rule.issues.push('Redirects to itself')
+      continue
+    }
+
+    // Only plain destinations can be followed without a real request
+    if (/[:*$]/.test(rule.to_path) || !rule.to_path.startsWith('/')) continue
+
+    const [path, query = ''] = rule.to_path.split('?')
+    const chain = resolveRedirectChain(path, query, combined)
+    if (!chain) continue
+
+    const comesBack = chain.hops.some(h => h.rule === rule || ruleKey(h.rule) === ruleKey(rule))
+    if (chain.loop || comesBack) {
+      rule.status = 'loop'
+      rule.issues.push(`Loop: ${describeLoop([rule.from_path, path, ...chain.hops.map(h => h.destination.split('?')[0])])}`)
+    } else {
+      rule.chainTo = chain.destination
+      rule.chainLength = chain.hops.length + 1
+      rule.issues.push(`Chain of ${rule.chainLength}: ends at ${chain.destination}`)
+    }
+  }
+
+  const summary = rules.reduce((acc, rule) => {
+    acc[rule.status] = (acc[rule.status] || 0) + 1
+    if (rule.chainTo) acc.chains++
+    return acc
+  }, { new: 0, duplicate: 0, conflict: 0, loop: 0, invalid: 0, chains: 0 })
+
+  return { rules, summary }
+}
@@ -0,0 +1,91 @@
+/**
+ * Web Push helpers
+ *
+ * Registers the portal service worker (public/sw.js), subscribes the browser
+ * with the Portal API's VAPID key and stores the subscription server-side.
+ * Per-type push preferences live with the rest of the notification preferences;
+ * this module only manages the browser subscription itself.
+ */
+import { notificationsApi } from './portal-api'
+
+const SERVICE_WORKER_URL = '/sw.js'
+
+/**
+ * Whether this browser can receive Web Push at all
+ */
+export function isPushSupported() {
+  return typeof window !== 'undefined' &&
+    'serviceWorker' in navigator &&
+    'PushManager' in window &&
+    'Notification' in window
+}
+
+/**
+ * Current permission: 'default' | 'granted' | 'denied' | 'unsupported'
+ */
+export function getPushPermission() {
+  return isPushSupported() ? Notification.permission : 'unsupported'
+}
+
+// VAPID keys are URL-safe base64; PushManager wants raw bytes
+function urlBase64ToUint8Array(base64String) {
+  const padding = '='.repeat((4 - (base64String.length % 4)) % 4)
+  const base64 = (base64String + padding).replace(/-/g, '+').replace(/_/g, '/')
+  const raw = window.atob(base64)
+  return Uint8Array.from(raw, (char) => char.charCodeAt(0))
+}
+
+async function getRegistration() {
+  const existing = await navigator.serviceWorker.getRegistration(SERVICE_WORKER_URL)
+  return existing || navigator.serviceWorker.register(SERVICE_WORKER_URL)
+}
+
+/**
+ * Existing push subscription for this browser, or null
+ */
+export async function getPushSubscription() {
+  if (!isPushSupported()) return null
+  const registration = await navigator.serviceWorker.getRegistration(SERVICE_WORKER_URL)
+  return registration ? registration.pushManager.getSubscription() : null
+}
+
+/**
+ * Ask for permission, subscribe and register the subscription with the API.
+ * Throws if push is unsupported or the user blocks notifications.
+ */
+export async function enablePush() {
+  if (!isPushSupported()) {
+    throw new Error('Push notifications are not supported in this browser')
+  }
+
+  const permission = await Notification.requestPermission()
+  if (permission !== 'granted') {
+    throw new Error('Notification permission was not granted')
+  }
+
+  const registration = await getRegistration()
+  await navigator.serviceWorker.ready
+
+  let subscription = await registration.pushManager.getSubscription()
+  if (!subscription) {
+    const { data } = await notificationsApi.getPushConfig()
+    subscription = await registration.pushManager.subscribe({
+      userVisibleOnly: true,
+      applicationServerKey: urlBase64ToUint8Array(data.vapidPublicKey),
+    })
+  }
+
+  await notificationsApi.subscribePush(subscription.toJSON())
+  return subscription
+}
+
+/**
+ * Remove this browser's subscription locally and on the server
+ */
+export async function disablePush() {
+  const subscription = await getPushSubscription()
+  if (!subscription) return
+
+  await notificationsApi.unsubscribePush(subscription.endpoint)
+  await subscription.unsubscribe()
+}
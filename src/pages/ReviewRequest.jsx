@@ -0,0 +1,225 @@
+// src/pages/ReviewRequest.jsx
+// Public review request landing page - no login required
+// Accessible via /review/:token (the per-contact tracking link in campaign emails/SMS)
+
+import { useState, useEffect } from 'react'
+import { useParams } from 'react-router-dom'
+import { Button } from '@/components/ui/button'
+import { Textarea } from '@/components/ui/textarea'
+import { Star, Loader2, AlertCircle, CheckCircle, ExternalLink } from 'lucide-react'
+import { cn } from '@/lib/utils'
+import { reputationApi } from '@/lib/portal-api'
+import { REVIEW_DESTINATIONS, routeRating } from '@/components/reputation/reviewCampaigns'
+
+const RATING_LABELS = ['', 'Very poor', 'Poor', 'Okay', 'Good', 'Excellent']
+
+export default function ReviewRequest() {
+  const { token } = useParams()
+
+  const [request, setRequest] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [step, setStep] = useState('rate') // rate | public | private | thanks
+  const [rating, setRating] = useState(0)
+  const [hovered, setHovered] = useState(0)
+  const [message, setMessage] = useState('')
+  const [submitting, setSubmitting] = useState(false)
+
+  useEffect(() => {
+    if (!token) {
+      setError('Invalid review link')
+      setLoading(false)
+      return
+    }
+
+    reputationApi.getPublicReviewRequest(token)
+      .then(response => setRequest(response.data.request))
+      .catch(err => {
+        console.error('Failed to load review request:', err)
+        if (err.response?.status === 404 || err.response?.status === 410) {
+          setError('This review link is no longer active.')
+        } else {
+          setError('Something went wrong loading this page. Please try again later.')
+        }
+      })
+      .finally(() => setLoading(false))
+  }, [token])
+
+  const handleRate = async (value) => {
+    setRating(value)
+    setSubmitting(true)
+    try {
+      await reputationApi.submitReviewRating(token, { rating: value })
+    } catch (err) {
+      // The rating still routes the customer; tracking is best-effort
+      console.error('Failed to record rating:', err)
+    } finally {
+      setSubmitting(false)
+    }
+    setStep(routeRating(value, request.feedback_gate))
+  }
+
+  const handleDestination = (destination) => {
+    reputationApi.submitReviewRating(token, { rating, destination: destination.platform }).catch(() => {})
+    window.open(destination.url, '_blank', 'noopener,noreferrer')
+  }
+
+  const handlePrivateFeedback = async (e) => {
+    e.preventDefault()
+    setSubmitting(true)
+    try {
+      await reputationApi.submitPrivateFeedback(token, { rating, message })
+      setStep('thanks')
+    } catch (err) {
+      console.error('Failed to send feedback:', err)
+      setError('We couldn\'t send your feedback. Please try again.')
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-[#fafafa] flex items-center justify-center p-4">
+        <Loader2 className="w-6 h-6 animate-spin text-[#4bbf39]" />
+      </div>
+    )
+  }
+
+  if (error && !request) {
+    return (
+      <div className="min-h-screen bg-[#fafafa] flex items-center justify-center p-4">
+        <div className="max-w-md w-full bg-white rounded-3xl shadow-xl shadow-gray-200/50 p-8 text-center">
+          <div className="w-20 h-20 rounded-full bg-red-50 flex items-center justify-center mx-auto mb-6">
+            <AlertCircle className="w-10 h-10 text-red-500" />
+          </div>
+          <h2 className="text-2xl font-bold text-gray-900 mb-3">Link Unavailable</h2>
+          <p className="text-gray-500 leading-relaxed">{error}</p>
+        </div>
+      </div>
+    )
+  }
+
+  const businessName = request.business_name || 'us'
+  const destinations = (request.destinations || []).filter(d => d.url)
+
+  // Review sites stay on offer whatever the rating - hiding them from
+  // unhappy customers is review gating, which the platforms prohibit
+  const destinationButtons = (primary) => (
+    <div className="space-y-3">
+      {destinations.map(destination => (
+        <Button
+          key={destination.platform}
+          className="w-full h-12 rounded-full"
+          variant={primary && destination === destinations[0] ? 'default' : 'outline'}
+          onClick={() => handleDestination(destination)}
+        >
+          Review us on {REVIEW_DESTINATIONS[destination.platform] || destination.platform}
+          <ExternalLink className="w-4 h-4 ml-2" />
+        </Button>
+      ))}
+    </div>
+  )
+
+  return (
+    <div className="min-h-screen bg-[#fafafa] flex items-center justify-center p-4">
+      <div className="max-w-md w-full bg-white rounded-3xl shadow-xl shadow-gray-200/50 p-8 text-center">
+        {request.logo_url && (
+          <img src={request.logo_url} alt={businessName} className="h-12 mx-auto mb-6 object-contain" />
+        )}
+
+        {step === 'rate' && (
+          <>
+            <h1 className="text-2xl font-bold text-gray-900 mb-2">
+              {request.contact_first_name ? `Hi ${request.contact_first_name}, how` : 'How'} did we do?
+            </h1>
+            <p className="text-gray-500 mb-8">
+              Tap a star to rate your experience with {businessName}.
+            </p>
+            <div className="flex justify-center gap-2 mb-3" onMouseLeave={() => setHovered(0)}>
+              {[1, 2, 3, 4, 5].map(value => (
+                <button
+                  key={value}
+                  type="button"
+                  disabled={submitting}
+                  onMouseEnter={() => setHovered(value)}
+                  onClick={() => handleRate(value)}
+                  aria-label={`${value} star${value > 1 ? 's' : ''}`}
+                  className="p-1 transition-transform hover:scale-110"
+                >
+                  <Star
+                    className={cn(
+                      'w-10 h-10',
+                      value <= (hovered || rating) ? 'fill-amber-400 text-amber-400' : 'text-gray-300'
+                    )}
+                  />
+                </button>
+              ))}
+            </div>
+            <p className="h-5 text-sm text-gray-500">{RATING_LABELS[hovered || rating]}</p>
+          </>
+        )}
+
+        {step === 'public' && (
+          <>
+            <div className="w-16 h-16 rounded-full bg-green-50 flex items-center justify-center mx-auto mb-6">
+              <CheckCircle className="w-8 h-8 text-[#4bbf39]" />
+            </div>
+            <h1 className="text-2xl font-bold text-gray-900 mb-2">Thank you!</h1>
+            <p className="text-gray-500 mb-8">
+              {destinations.length > 0
+                ? `Would you share your experience publicly? It helps others find ${businessName}.`
+                : 'Your rating has been recorded.'}
+            </p>
+            {destinationButtons(true)}
+          </>
+        )}
+
+        {step === 'private' && (
+          <form onSubmit={handlePrivateFeedback} className="text-left">
+            <h1 className="text-2xl font-bold text-gray-900 mb-2 text-center">We're sorry to hear that</h1>
+            <p className="text-gray-500 mb-6 text-center">
+              Tell us what went wrong. Your feedback goes straight to our team.
+            </p>
+            <Textarea
+              rows={5}
+              required
+              value={message}
+              onChange={(e) => setMessage(e.target.value)}
+              placeholder="What could we have done better?"
+            />
+            {error && <p className="text-sm text-red-500 mt-2">{error}</p>}
+            <Button type="submit" className="w-full h-12 rounded-full mt-4" disabled={submitting || !message.trim()}>
+              {submitting && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
+              Send Feedback
+            </Button>
+            {destinations.length > 0 && (
+              <>
+                <p className="text-sm text-gray-500 mt-8 mb-3 text-center">Or leave a public review</p>
+                {destinationButtons(false)}
+              </>
+            )}
+          </form>
+        )}
+
+        {step === 'thanks' && (
+          <>
+            <div className="w-16 h-16 rounded-full bg-green-50 flex items-center justify-center mx-auto mb-6">
+              <CheckCircle className="w-8 h-8 text-[#4bbf39]" />
+            </div>
+            <h1 className="text-2xl font-bold text-gray-900 mb-2">Thank you for telling us</h1>
+            <p className="text-gray-500">
+              Someone from our team will follow up with you.
+            </p>
+            {destinations.length > 0 && (
+              <>
+                <p className="text-sm text-gray-500 mt-8 mb-3">You're also welcome to leave a public review</p>
+                {destinationButtons(false)}
+              </>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  )
+}
@@ -8,7 +8,7 @@ import { Link } from 'react-router-dom'
 import useAuthStore from '@/lib/auth-store'
 import { supabase } from '@/lib/supabase'
 import { useBrandColors } from '@/hooks/useBrandColors'
-import { useCommerceSettings, useCommerceDashboard, useCommerceOfferings, useCommerceOffering, commerceKeys } from '@/lib/hooks'
+import { useCommerceSettings, useCommerceDashboard, useCommerceOfferings, useCommerceOffering, useCommerceUpcomingEventSchedules, commerceKeys } from '@/lib/hooks'
 import { useQueryClient } from '@tanstack/react-query'
 import portalApi, { commerceApi } from '@/lib/portal-api'
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
@@ -25,6 +25,7 @@ import { InvoiceCreateDialog } from './components/InvoiceCreateDialog'
 import { HighlightsView, ProductsView, ServicesView, EventsView } from './components/CommerceViews'
 import { STATUS_CONFIG, PRICE_TYPE_CONFIG, SIDEBAR_SECTIONS } from './components/CommerceConstants'
 import { ActivityItem, StatsCard } from './components/CommerceStats'
+import EventsPanel from '@/components/commerce/EventsPanel'
 import { ScrollArea } from '@/components/ui/scroll-area'
 import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/components/ui/tabs'
 import {
@@ -150,6 +151,7 @@ export default function CommerceDashboard({ onNavigate }) {
   const [eventsError, setEventsError] = useState(null)
   const [invoicesError, setInvoicesError] = useState(null)
   const [transactionsError, setTransactionsError] = useState(null)
+  const { data: upcomingEvents, refetch: refetchUpcomingEvents } = useCommerceUpcomingEventSchedules(events)
   const [viewMode, setViewMode] = useState('grid')
   const [productsOpen, setProductsOpen] = useState(currentView === 'products')
   const [servicesOpen, setServicesOpen] = useState(currentView === 'services')
@@ -1453,6 +1455,22 @@ export default function CommerceDashboard({ onNavigate }) {
                 />
               </div>
 
+              {/* Upcoming dates, with their waitlists */}
+              {upcomingEvents.length > 0 && (
+                <EventsPanel
+                  projectId={projectId}
+                  upcomingEvents={upcomingEvents}
+                  showMockData={false}
+                  showStats={false}
+                  brandColors={brandColors}
+                  onEventsChange={() => {
+                    refetchUpcomingEvents()
+                    loadEvents()
+                  }}
+                  className="mb-4"
+                />
+              )}
+
               {/* Events List */}
               <EventsView 
                 events={events}
@@ -27,6 +27,7 @@ import {
 import { AreaChart } from '@tremor/react'
 import ScheduleManagement from '@/components/commerce/ScheduleManagement'
 import VariantsManagement from '@/components/commerce/VariantsManagement'
+import EventWaitlistDialog from '@/components/commerce/EventWaitlistDialog'
 import {
   Package,
   Wrench,
@@ -54,6 +55,7 @@ import {
   Ticket,
   CalendarDays,
   ChevronRight,
+  ListOrdered,
 } from 'lucide-react'
 import { toast } from '@/lib/toast'
 import { format, formatDistanceToNow, isPast, isFuture, isToday } from 'date-fns'
@@ -1000,6 +1002,7 @@ function EventDetailView({
 }) {
   const [showScheduleDialog, setShowScheduleDialog] = useState(false)
   const [showDeleteDialog, setShowDeleteDialog] = useState(false)
+  const [waitlistSchedule, setWaitlistSchedule] = useState(null)
   const navigate = useNavigate()
   
   const handleDelete = async () => {
@@ -1403,9 +1406,27 @@ function EventDetailView({
                           {format(new Date(schedule.start_time), 'h:mm a')}
                         </p>
                       </div>
-                      <Badge variant="outline" className="text-xs">
-                        {schedule.current_enrollment || 0}/{schedule.max_capacity || '∞'}
-                      </Badge>
+                      <div className="flex items-center gap-1">
+                        {schedule.waitlist_count > 0 && (
+                          <Badge variant="outline" className="text-xs bg-amber-50 text-amber-700 border-amber-200">
+                            {schedule.waitlist_count} waiting
+                          </Badge>
+                        )}
+                        <Badge variant="outline" className="text-xs">
+                          {schedule.current_enrollment || 0}/{schedule.max_capacity || '∞'}
+                        </Badge>
+                        {(offering.waitlist_enabled || schedule.waitlist_count > 0) && (
+                          <Button
+                            variant="ghost"
+                            size="sm"
+                            className="h-7 w-7 p-0"
+                            title="Registrations & waitlist"
+                            onClick={() => setWaitlistSchedule(schedule)}
+                          >
+                            <ListOrdered className="h-3.5 w-3.5" />
+                          </Button>
+                        )}
+                      </div>
                     </div>
                   ))}
                   {upcomingSchedules.length > 5 && (
@@ -1438,6 +1459,21 @@ function EventDetailView({
         }}
       />
 
+      {/* Registrations & Waitlist Dialog */}
+      <EventWaitlistDialog
+        open={!!waitlistSchedule}
+        onOpenChange={(open) => !open && setWaitlistSchedule(null)}
+        projectId={projectId}
+        event={waitlistSchedule && {
+          schedule_id: waitlistSchedule.id,
+          name: offering.name,
+          date: waitlistSchedule.start_time,
+          capacity: waitlistSchedule.max_capacity,
+          waitlist_claim_hours: offering.waitlist_claim_hours,
+        }}
+        onChange={() => fetchOffering(projectId, id)}
+      />
+
       {/* Delete Confirmation Dialog */}
       <AlertDialog open={showDeleteDialog} onOpenChange={setShowDeleteDialog}>
         <AlertDialogContent>
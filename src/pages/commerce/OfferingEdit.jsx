@@ -123,6 +123,8 @@ export default function OfferingEdit({ offeringId, onBack }) {
         duration_minutes: currentOffering.duration_minutes?.toString() || '',
         requires_booking: currentOffering.requires_booking ?? true,
         capacity: currentOffering.capacity?.toString() || '',
+        waitlist_enabled: currentOffering.waitlist_enabled || false,
+        waitlist_claim_hours: currentOffering.waitlist_claim_hours?.toString() || '24',
         // Service intake form
         form_id: currentOffering.form_id || '',
         // Page association
@@ -211,6 +213,8 @@ export default function OfferingEdit({ offeringId, onBack }) {
       }
       if (currentConfig?.fields.includes('capacity')) {
         data.capacity = formData.capacity ? parseInt(formData.capacity) : null
+        data.waitlist_enabled = formData.waitlist_enabled || false
+        data.waitlist_claim_hours = formData.waitlist_claim_hours ? parseInt(formData.waitlist_claim_hours) : 24
       }
       if (currentConfig?.fields.includes('deposit')) {
         data.deposit_required = formData.deposit_enabled || false
@@ -579,6 +583,39 @@ export default function OfferingEdit({ offeringId, onBack }) {
                   </p>
                 </div>
               )}
+
+              {currentConfig.fields.includes('capacity') && formData.capacity && (
+                <>
+                  <div className="flex items-center justify-between">
+                    <div>
+                      <Label>Waitlist</Label>
+                      <p className="text-sm text-muted-foreground">
+                        Let customers join a waitlist when sold out and offer them cancelled spots
+                      </p>
+                    </div>
+                    <Switch
+                      checked={formData.waitlist_enabled}
+                      onCheckedChange={(checked) => handleChange('waitlist_enabled', checked)}
+                    />
+                  </div>
+
+                  {formData.waitlist_enabled && (
+                    <div>
+                      <Label htmlFor="waitlist_claim_hours">Claim Window (hours)</Label>
+                      <Input
+                        id="waitlist_claim_hours"
+                        type="number"
+                        min="1"
+                        value={formData.waitlist_claim_hours}
+                        onChange={(e) => handleChange('waitlist_claim_hours', e.target.value)}
+                      />
+                      <p className="text-sm text-muted-foreground mt-1">
+                        How long the next person has to claim a freed spot before it moves down the list
+                      </p>
+                    </div>
+                  )}
+                </>
+              )}
             </CardContent>
           </Card>
         )}
@@ -5,7 +5,21 @@
 import { useState, useEffect, useMemo } from 'react'
 import useAuthStore from '@/lib/auth-store'
 import { useBrandColors } from '@/hooks/useBrandColors'
-import { useReputationOverview, useReviews, useHealthScore, useReputationPlatforms, useReputationSettings, reputationKeys } from '@/lib/hooks'
+import {
+  useReputationOverview,
+  useReviews,
+  useHealthScore,
+  useReputationPlatforms,
+  useReputationSettings,
+  useReputationCampaigns,
+  useCreateReputationCampaign,
+  useUpdateReputationCampaign,
+  useDeleteReputationCampaign,
+  useReviewRequests,
+  usePrivateFeedback,
+  useUpdatePrivateFeedback,
+  reputationKeys,
+} from '@/lib/hooks'
 import { useQueryClient, useQuery } from '@tanstack/react-query'
 import { useSignalAccess } from '@/lib/signal-access'
 import { ModuleLayout } from '@/components/ModuleLayout'
@@ -99,6 +113,12 @@ import {
   YelpApiKeyDialog,
 } from '@/components/reputation/ReputationOAuthDialogs'
 import GbpLocationSelector from '@/components/projects/GbpLocationSelector'
+import ReviewCampaignDialog from '@/components/reputation/ReviewCampaignDialog'
+import {
+  CAMPAIGN_TRIGGERS,
+  CAMPAIGN_CHANNELS,
+  summarizeReviewRequests,
+} from '@/components/reputation/reviewCampaigns'
 
 // ============================================================================
 // SIDEBAR SECTIONS
@@ -130,6 +150,7 @@ const SIDEBAR_SECTIONS = {
     views: [
       { id: 'response-queue', label: 'Response Queue', icon: Clock },
       { id: 'campaigns', label: 'Campaigns', icon: Send },
+      { id: 'private-feedback', label: 'Private Feedback', icon: ThumbsDown },
       { id: 'templates', label: 'Templates', icon: FileText },
     ],
   },
@@ -1319,6 +1340,33 @@ function OverviewStats({ overview, loading }) {
     },
   ]
 
+  // Review request campaign results, present once a campaign has sent
+  const requests = overview?.reviewRequests
+  if (requests?.sent) {
+    stats.push(
+      {
+        label: 'Requests Sent',
+        value: requests.sent,
+        icon: Send,
+      },
+      {
+        label: 'Request Click Rate',
+        value: `${requests.clickRate || 0}%`,
+        icon: Target,
+      },
+      {
+        label: 'Reviews from Requests',
+        value: `${requests.reviewsGenerated || 0} (${requests.conversionRate || 0}%)`,
+        icon: ThumbsUp,
+      },
+      {
+        label: 'Private Feedback',
+        value: requests.privateFeedback || 0,
+        icon: ThumbsDown,
+      },
+    )
+  }
+
   return (
     <div className="grid grid-cols-2 lg:grid-cols-4 gap-4">
       {stats.map((stat) => (
@@ -1995,11 +2043,52 @@ function AlertsSection({ alerts }) {
 // CAMPAIGNS VIEW
 // ============================================================================
 
-function CampaignsView({ projectId }) {
-  // TODO: Implement with React Query hooks
-  const campaigns = []
-  const campaignsLoading = false
+function CampaignsView({ projectId, businessName }) {
+  const { data: campaignsData, isLoading: campaignsLoading } = useReputationCampaigns(projectId)
+  const campaigns = campaignsData || []
+  const createCampaign = useCreateReputationCampaign()
+  const updateCampaign = useUpdateReputationCampaign()
+  const deleteCampaign = useDeleteReputationCampaign()
   const [showCreateDialog, setShowCreateDialog] = useState(false)
+  const [editingCampaign, setEditingCampaign] = useState(null)
+  const [expandedId, setExpandedId] = useState(null)
+
+  const handleSave = async (data) => {
+    try {
+      if (editingCampaign) {
+        await updateCampaign.mutateAsync({ id: editingCampaign.id, projectId, data })
+        toast.success('Campaign updated')
+      } else {
+        await createCampaign.mutateAsync({ projectId, data })
+        toast.success('Campaign created')
+      }
+      setShowCreateDialog(false)
+      setEditingCampaign(null)
+    } catch (error) {
+      console.error('Failed to save campaign:', error)
+      toast.error(error.response?.data?.message || 'Failed to save campaign')
+    }
+  }
+
+  const setCampaignStatus = async (campaign, status) => {
+    try {
+      await updateCampaign.mutateAsync({ id: campaign.id, projectId, data: { status } })
+      toast.success(status === 'active' ? 'Campaign activated' : 'Campaign paused')
+    } catch (error) {
+      console.error('Failed to update campaign:', error)
+      toast.error('Failed to update campaign')
+    }
+  }
+
+  const handleDelete = async (campaign) => {
+    try {
+      await deleteCampaign.mutateAsync({ id: campaign.id, projectId })
+      toast.success('Campaign deleted')
+    } catch (error) {
+      console.error('Failed to delete campaign:', error)
+      toast.error('Failed to delete campaign')
+    }
+  }
 
   if (campaignsLoading) {
     return (
@@ -2019,7 +2108,10 @@ function CampaignsView({ projectId }) {
           </p>
         </div>
         <Button 
-          onClick={() => setShowCreateDialog(true)}
+          onClick={() => {
+            setEditingCampaign(null)
+            setShowCreateDialog(true)
+          }}
           style={{ backgroundColor: 'var(--brand-primary)', color: 'white' }}
         >
           <Send className="h-4 w-4 mr-2" />
@@ -2028,65 +2120,281 @@ function CampaignsView({ projectId }) {
       </div>
 
       <div className="space-y-3">
-        {campaigns.map((campaign) => (
-          <Card key={campaign.id} className="bg-[var(--glass-bg)] border-[var(--glass-border)]">
-            <CardContent className="p-4">
-              <div className="flex items-center justify-between">
-                <div>
-                  <div className="flex items-center gap-2 mb-1">
-                    <span className="font-medium text-[var(--text-primary)]">{campaign.name}</span>
-                    <Badge 
-                      variant="outline"
-                      className={cn(
-                        campaign.status === 'active' 
-                          ? 'border-[var(--brand-primary)] text-[var(--brand-primary)]'
-                          : 'border-[var(--text-tertiary)] text-[var(--text-tertiary)]'
-                      )}
-                    >
-                      {campaign.status}
-                    </Badge>
+        {campaigns.map((campaign) => {
+          const stats = campaign.stats || {}
+          const sent = stats.sent ?? campaign.totalSent ?? 0
+          const reviewed = stats.reviewed ?? campaign.totalReviews ?? 0
+          const expanded = expandedId === campaign.id
+
+          return (
+            <Card key={campaign.id} className="bg-[var(--glass-bg)] border-[var(--glass-border)]">
+              <CardContent className="p-4">
+                <div className="flex items-center justify-between">
+                  <div className="min-w-0">
+                    <div className="flex items-center gap-2 mb-1">
+                      <button
+                        className="flex items-center gap-1 font-medium text-[var(--text-primary)] hover:underline"
+                        onClick={() => setExpandedId(expanded ? null : campaign.id)}
+                      >
+                        {expanded ? <ChevronDown className="h-4 w-4" /> : <ChevronRight className="h-4 w-4" />}
+                        {campaign.name}
+                      </button>
+                      <Badge 
+                        variant="outline"
+                        className={cn(
+                          campaign.status === 'active' 
+                            ? 'border-[var(--brand-primary)] text-[var(--brand-primary)]'
+                            : 'border-[var(--text-tertiary)] text-[var(--text-tertiary)]'
+                        )}
+                      >
+                        {campaign.status}
+                      </Badge>
+                    </div>
+                    <p className="text-sm text-[var(--text-secondary)]">
+                      {CAMPAIGN_TRIGGERS[campaign.trigger?.type]?.label || 'Manual'}
+                      {' · '}{CAMPAIGN_CHANNELS[campaign.channel]?.label || 'Email'}
+                      {campaign.reminders?.length > 0 && ` · ${campaign.reminders.length} reminder${campaign.reminders.length > 1 ? 's' : ''}`}
+                      {campaign.feedback_gate?.enabled && ` · Private feedback below ${campaign.feedback_gate.threshold}★`}
+                    </p>
+                  </div>
+                  <div className="flex items-center gap-4">
+                    <div className="text-right">
+                      <p className="text-sm font-medium text-[var(--text-primary)]">
+                        {sent} sent
+                      </p>
+                      <p className="text-xs text-[var(--text-tertiary)]">
+                        {reviewed} reviews{sent > 0 && ` · ${Math.round((reviewed / sent) * 100)}%`}
+                      </p>
+                    </div>
+                    {campaign.status === 'active' ? (
+                      <Button 
+                        variant="outline" 
+                        size="sm"
+                        onClick={() => setCampaignStatus(campaign, 'paused')}
+                      >
+                        Pause
+                      </Button>
+                    ) : (
+                      <Button 
+                        size="sm"
+                        onClick={() => setCampaignStatus(campaign, 'active')}
+                        style={{ backgroundColor: 'var(--brand-primary)', color: 'white' }}
+                      >
+                        Activate
+                      </Button>
+                    )}
+                    <DropdownMenu>
+                      <DropdownMenuTrigger asChild>
+                        <Button variant="ghost" size="icon" className="h-8 w-8">
+                          <MoreHorizontal className="h-4 w-4" />
+                        </Button>
+                      </DropdownMenuTrigger>
+                      <DropdownMenuContent align="end">
+                        <DropdownMenuItem
+                          onClick={() => {
+                            setEditingCampaign(campaign)
+                            setShowCreateDialog(true)
+                          }}
+                        >
+                          Edit
+                        </DropdownMenuItem>
+                        <DropdownMenuSeparator />
+                        <DropdownMenuItem className="text-red-500" onClick={() => handleDelete(campaign)}>
+                          Delete
+                        </DropdownMenuItem>
+                      </DropdownMenuContent>
+                    </DropdownMenu>
                   </div>
-                  {campaign.description && (
-                    <p className="text-sm text-[var(--text-secondary)]">{campaign.description}</p>
-                  )}
                 </div>
-                <div className="flex items-center gap-4">
-                  <div className="text-right">
-                    <p className="text-sm font-medium text-[var(--text-primary)]">
-                      {campaign.totalSent || 0} sent
-                    </p>
-                    <p className="text-xs text-[var(--text-tertiary)]">
-                      {campaign.totalReviews || 0} reviews
-                    </p>
+
+                {expanded && <CampaignRequestsList projectId={projectId} campaignId={campaign.id} />}
+              </CardContent>
+            </Card>
+          )
+        })}
+
+        {campaigns.length === 0 && (
+          <div className="text-center py-12 text-[var(--text-tertiary)]">
+            <Send className="h-12 w-12 mx-auto mb-3 opacity-50" />
+            <p>No campaigns yet</p>
+            <p className="text-sm">Create a campaign to start requesting reviews</p>
+          </div>
+        )}
+      </div>
+
+      <ReviewCampaignDialog
+        open={showCreateDialog}
+        onOpenChange={(open) => {
+          setShowCreateDialog(open)
+          if (!open) setEditingCampaign(null)
+        }}
+        campaign={editingCampaign}
+        businessName={businessName}
+        onSave={handleSave}
+        saving={createCampaign.isPending || updateCampaign.isPending}
+      />
+    </div>
+  )
+}
+
+const REQUEST_STATUS_LABELS = {
+  scheduled: 'Scheduled',
+  sent: 'Sent',
+  opened: 'Opened',
+  clicked: 'Clicked',
+  rated: 'Rated',
+  reviewed: 'Reviewed',
+  failed: 'Failed',
+}
+
+function CampaignRequestsList({ projectId, campaignId }) {
+  const { data: requestsData, isLoading } = useReviewRequests(projectId, { campaign_id: campaignId, limit: 50 })
+  const requests = requestsData || []
+  const summary = useMemo(() => summarizeReviewRequests(requests), [requests])
+
+  if (isLoading) {
+    return <Skeleton className="h-24 w-full mt-4" />
+  }
+
+  const funnel = [
+    { label: 'Sent', value: summary.sent },
+    { label: 'Clicked', value: `${summary.clicked} (${summary.clickRate}%)` },
+    { label: 'Rated', value: summary.rated },
+    { label: 'Reviewed', value: `${summary.reviewed} (${summary.conversionRate}%)` },
+    { label: 'Private feedback', value: summary.privateFeedback },
+  ]
+
+  return (
+    <div className="mt-4 pt-4 border-t border-[var(--glass-border)] space-y-3">
+      <div className="grid grid-cols-5 gap-2">
+        {funnel.map(step => (
+          <div key={step.label} className="text-center">
+            <p className="text-sm font-semibold text-[var(--text-primary)]">{step.value}</p>
+            <p className="text-xs text-[var(--text-tertiary)]">{step.label}</p>
+          </div>
+        ))}
+      </div>
+
+      <div className="space-y-1">
+        {requests.slice(0, 10).map(request => (
+          <div key={request.id} className="flex items-center gap-3 text-sm py-1.5">
+            <span className="flex-1 truncate text-[var(--text-primary)]">
+              {request.contact_name || request.contact_email || request.contact_phone}
+            </span>
+            {request.rating != null && <StarRating rating={request.rating} />}
+            {request.reminders_sent > 0 && (
+              <span className="text-xs text-[var(--text-tertiary)]">
+                {request.reminders_sent} reminder{request.reminders_sent > 1 ? 's' : ''}
+              </span>
+            )}
+            <Badge variant="outline" className="text-xs">
+              {request.private_feedback ? 'Private feedback' : (REQUEST_STATUS_LABELS[request.status] || request.status)}
+            </Badge>
+            <span className="w-24 text-right text-xs text-[var(--text-tertiary)]">
+              {request.sent_at ? formatDistanceToNow(new Date(request.sent_at), { addSuffix: true }) : '—'}
+            </span>
+          </div>
+        ))}
+        {requests.length === 0 && (
+          <p className="text-sm text-center py-4 text-[var(--text-tertiary)]">
+            No requests sent yet
+          </p>
+        )}
+      </div>
+    </div>
+  )
+}
+
+// ============================================================================
+// PRIVATE FEEDBACK VIEW
+// ============================================================================
+
+function PrivateFeedbackView({ projectId }) {
+  const { data: feedbackData, isLoading } = usePrivateFeedback(projectId)
+  const feedback = feedbackData || []
+  const updateFeedback = useUpdatePrivateFeedback()
+  const [showResolved, setShowResolved] = useState(false)
+
+  const visible = feedback.filter(item => showResolved || !item.resolved_at)
+
+  const toggleResolved = async (item) => {
+    try {
+      await updateFeedback.mutateAsync({
+        id: item.id,
+        projectId,
+        data: { resolved: !item.resolved_at },
+      })
+    } catch (error) {
+      console.error('Failed to update feedback:', error)
+      toast.error('Failed to update feedback')
+    }
+  }
+
+  if (isLoading) {
+    return (
+      <div className="space-y-4">
+        {[1, 2, 3].map((i) => <Skeleton key={i} className="h-24 w-full" />)}
+      </div>
+    )
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h2 className="text-lg font-semibold text-[var(--text-primary)]">Private Feedback</h2>
+          <p className="text-sm text-[var(--text-secondary)]">
+            Low ratings from review campaigns, kept off public review sites
+          </p>
+        </div>
+        <div className="flex items-center gap-2">
+          <Switch id="show-resolved" checked={showResolved} onCheckedChange={setShowResolved} />
+          <Label htmlFor="show-resolved" className="text-sm">Show resolved</Label>
+        </div>
+      </div>
+
+      <div className="space-y-3">
+        {visible.map(item => (
+          <Card key={item.id} className="bg-[var(--glass-bg)] border-[var(--glass-border)]">
+            <CardContent className="p-4">
+              <div className="flex items-start justify-between gap-4">
+                <div className="min-w-0 space-y-1">
+                  <div className="flex items-center gap-2">
+                    <span className="font-medium text-[var(--text-primary)]">
+                      {item.contact_name || item.contact_email || 'Customer'}
+                    </span>
+                    <StarRating rating={item.rating} />
+                    {item.campaign_name && (
+                      <Badge variant="outline" className="text-xs">{item.campaign_name}</Badge>
+                    )}
                   </div>
-                  {campaign.status === 'active' ? (
-                    <Button 
-                      variant="outline" 
-                      size="sm"
-                      onClick={() => pauseCampaign(campaign.id)}
-                    >
-                      Pause
-                    </Button>
-                  ) : (
-                    <Button 
-                      size="sm"
-                      onClick={() => activateCampaign(campaign.id)}
-                      style={{ backgroundColor: 'var(--brand-primary)', color: 'white' }}
-                    >
-                      Activate
-                    </Button>
+                  {item.message && (
+                    <p className="text-sm text-[var(--text-secondary)] whitespace-pre-line">{item.message}</p>
                   )}
+                  <p className="text-xs text-[var(--text-tertiary)]">
+                    {item.contact_email}
+                    {item.contact_phone && ` · ${item.contact_phone}`}
+                    {item.created_at && ` · ${formatDistanceToNow(new Date(item.created_at), { addSuffix: true })}`}
+                  </p>
                 </div>
+                <Button
+                  variant={item.resolved_at ? 'ghost' : 'outline'}
+                  size="sm"
+                  onClick={() => toggleResolved(item)}
+                >
+                  <CheckCircle className="h-4 w-4 mr-1" />
+                  {item.resolved_at ? 'Reopen' : 'Resolve'}
+                </Button>
               </div>
             </CardContent>
           </Card>
         ))}
 
-        {campaigns.length === 0 && (
+        {visible.length === 0 && (
           <div className="text-center py-12 text-[var(--text-tertiary)]">
-            <Send className="h-12 w-12 mx-auto mb-3 opacity-50" />
-            <p>No campaigns yet</p>
-            <p className="text-sm">Create a campaign to start requesting reviews</p>
+            <ThumbsDown className="h-12 w-12 mx-auto mb-3 opacity-50" />
+            <p>No private feedback</p>
+            <p className="text-sm">Ratings below a campaign's gate threshold will appear here</p>
           </div>
         )}
       </div>
@@ -2509,7 +2817,9 @@ export default function ReputationModule({ onNavigate }) {
           />
         )
       case 'campaigns':
-        return <CampaignsView projectId={projectId} />
+        return <CampaignsView projectId={projectId} businessName={currentProject?.name} />
+      case 'private-feedback':
+        return <PrivateFeedbackView projectId={projectId} />
       case 'templates':
         return <TemplatesView projectId={projectId} />
       case 'platforms':
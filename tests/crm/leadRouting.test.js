@@ -0,0 +1,132 @@
+import { describe, it, expect } from 'vitest'
+import {
+  normalizeRoutingConfig,
+  matchesRule,
+  isWithinWorkingHours,
+  workingMinutesBetween,
+  nextWorkingTime,
+  getSlaStatus,
+  routeLeads,
+} from '../../src/components/crm/leadRouting.js'
+
+// Mon-Fri 9-5 in UTC so the tests don't depend on the machine's zone.
+// 2024-03-01 is a Friday, 2024-03-04 a Monday.
+const WORKING_HOURS = { enabled: true, timezone: 'UTC', days: [1, 2, 3, 4, 5], start: '09:00', end: '17:00' }
+const at = iso => new Date(`${iso}Z`)
+
+function configWith(rule) {
+  return normalizeRoutingConfig({
+    enabled: true,
+    rules: [{ id: 'r1', name: 'Inbound', members: [{ user_id: 'a' }, { user_id: 'b' }, { user_id: 'c' }], ...rule }],
+  })
+}
+
+function leadsCreatedAt(count, iso = '2024-03-04T09:30:00') {
+  return Array.from({ length: count }, (_, i) => ({ id: `lead-${i}`, created_at: new Date(at(iso).getTime() + i * 60000).toISOString() }))
+}
+
+const assignees = result => result.assignments.map(entry => entry.assigned_to)
+
+describe('matchesRule', () => {
+  it('matches a lead in any listed state or territory', () => {
+    const [rule] = configWith({ conditions: { states: ['CA'], territories: ['south'] } }).rules
+    const territories = [{ id: 'south', states: ['TX'] }]
+
+    expect(matchesRule(rule, { state: 'Texas' }, territories)).toBe(true)
+    expect(matchesRule(rule, { address_state: 'ca' }, territories)).toBe(true)
+    expect(matchesRule(rule, { state: 'NY' }, territories)).toBe(false)
+  })
+})
+
+describe('working hours', () => {
+  it('is open on working days between start and end', () => {
+    expect(isWithinWorkingHours(WORKING_HOURS, at('2024-03-04T10:00:00'))).toBe(true)
+    expect(isWithinWorkingHours(WORKING_HOURS, at('2024-03-04T17:00:00'))).toBe(false)
+    expect(isWithinWorkingHours(WORKING_HOURS, at('2024-03-02T10:00:00'))).toBe(false)
+    expect(isWithinWorkingHours({ ...WORKING_HOURS, enabled: false }, at('2024-03-02T10:00:00'))).toBe(true)
+  })
+
+  it('counts only working minutes across a weekend', () => {
+    expect(workingMinutesBetween(WORKING_HOURS, at('2024-03-01T16:00:00'), at('2024-03-04T10:00:00'))).toBe(120)
+    expect(workingMinutesBetween(null, at('2024-03-01T16:00:00'), at('2024-03-01T17:30:00'))).toBe(90)
+  })
+
+  it('finds when working hours next begin', () => {
+    expect(nextWorkingTime(WORKING_HOURS, at('2024-03-01T18:00:00'))).toEqual(at('2024-03-04T09:00:00'))
+    expect(nextWorkingTime(WORKING_HOURS, at('2024-03-04T07:15:00'))).toEqual(at('2024-03-04T09:00:00'))
+    expect(nextWorkingTime(WORKING_HOURS, at('2024-03-04T10:00:00'))).toEqual(at('2024-03-04T10:00:00'))
+  })
+})
+
+describe('getSlaStatus', () => {
+  it('counts the SLA in working minutes', () => {
+    const rule = { sla_minutes: 90, working_hours: WORKING_HOURS }
+    const lead = { created_at: '2024-03-01T16:00:00Z' }
+
+    expect(getSlaStatus(rule, lead, at('2024-03-04T09:00:00'))).toEqual({ remaining: 30, breached: false })
+    expect(getSlaStatus(rule, lead, at('2024-03-04T10:00:00'))).toEqual({ remaining: -30, breached: true })
+  })
+
+  it('has no status without an SLA', () => {
+    expect(getSlaStatus({ sla_minutes: null }, { created_at: '2024-03-01T16:00:00Z' })).toBeNull()
+  })
+})
+
+describe('routeLeads', () => {
+  const now = at('2024-03-04T10:00:00')
+
+  it('round-robins from after the last member assigned, skipping inactive members', () => {
+    const config = configWith({ strategy: 'round_robin' })
+    config.state = { r1: { last_member: 'b' } }
+
+    const result = routeLeads({ config, leads: leadsCreatedAt(3), activeMemberIds: ['a', 'c'], now })
+    expect(assignees(result)).toEqual(['c', 'a', 'c'])
+    expect(result.state.r1.last_member).toBe('c')
+    expect(config.state.r1.last_member).toBe('b')
+  })
+
+  it('spreads weighted members evenly rather than in runs', () => {
+    const config = configWith({ strategy: 'weighted', members: [{ user_id: 'a', weight: 3 }, { user_id: 'b', weight: 1 }] })
+    expect(assignees(routeLeads({ config, leads: leadsCreatedAt(4), now }))).toEqual(['a', 'a', 'b', 'a'])
+  })
+
+  it('gives least-loaded leads to the emptiest member, ties to whoever waited longest', () => {
+    const config = configWith({ strategy: 'least_loaded' })
+    const result = routeLeads({ config, leads: leadsCreatedAt(3), loads: { a: 2 }, now })
+    expect(assignees(result)).toEqual(['b', 'c', 'b'])
+  })
+
+  it('holds leads outside working hours until the next opening', () => {
+    const config = configWith({ working_hours: WORKING_HOURS })
+    const result = routeLeads({ config, leads: leadsCreatedAt(1), now: at('2024-03-02T10:00:00') })
+
+    expect(result.assignments).toEqual([])
+    expect(result.held[0]).toMatchObject({ reason: 'Outside working hours', until: at('2024-03-04T09:00:00') })
+  })
+
+  it('escalates leads past their SLA, even outside working hours', () => {
+    const config = configWith({ working_hours: WORKING_HOURS, sla_minutes: 60, escalate_to: 'boss' })
+    const leads = [
+      { id: 'stale', created_at: '2024-03-01T15:00:00Z' },
+      { id: 'fresh', created_at: '2024-03-04T09:30:00Z' },
+    ]
+    const result = routeLeads({ config, leads, now })
+
+    expect(result.escalations.map(entry => [entry.lead.id, entry.assigned_to])).toEqual([['stale', 'boss']])
+    expect(result.escalations[0].reason).toBe('Inbound: unclaimed 120 min past the 60 min SLA')
+    expect(result.assignments.map(entry => entry.lead.id)).toEqual(['fresh'])
+  })
+
+  it('reports leads no rule matches and rules with nobody active', () => {
+    const config = configWith({ conditions: { sources: ['website'] } })
+    const result = routeLeads({
+      config,
+      leads: [{ id: 'web', source: 'Website' }, { id: 'ads', source: 'ads' }],
+      activeMemberIds: [],
+      now,
+    })
+
+    expect(result.unmatched.map(entry => entry.lead.id)).toEqual(['ads'])
+    expect(result.held[0]).toMatchObject({ reason: 'No active members on this rule' })
+  })
+})
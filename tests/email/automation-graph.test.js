@@ -0,0 +1,149 @@
+import { describe, it, expect } from 'vitest'
+import {
+  evenSplit,
+  createStep,
+  normalizeSteps,
+  serializeSteps,
+  insertStep,
+  updateStep,
+  removeStep,
+  moveStep,
+  findStep,
+  getStepList,
+  countSteps,
+  addSplitPath,
+  removeSplitPath,
+  renderWebhookBody,
+  validateWebhookBody,
+  validateSteps,
+} from '../../src/components/email/automation-graph.js'
+
+const step = (id, stepType = 'send_email', extra = {}) => ({ id, step_type: stepType, config: {}, ...extra })
+const ids = (steps) => steps.map(s => s.id)
+
+describe('evenSplit', () => {
+  it('always adds up to 100, giving the remainder to the first paths', () => {
+    expect(evenSplit(2)).toEqual([50, 50])
+    expect(evenSplit(3)).toEqual([34, 33, 33])
+    expect(evenSplit(5).reduce((a, b) => a + b)).toBe(100)
+  })
+})
+
+describe('normalizeSteps / serializeSteps', () => {
+  it('gives old flat steps ids and branching steps their default branches', () => {
+    const [email, condition] = normalizeSteps([
+      { step_type: 'send_email' },
+      { step_type: 'condition', config: { rules: [] } },
+    ])
+
+    expect(email.id).toBeTruthy()
+    expect(email.config).toEqual({})
+    expect(condition.branches.map(b => b.key)).toEqual(['yes', 'no'])
+    expect(condition.branches.every(b => b.id && Array.isArray(b.steps))).toBe(true)
+  })
+
+  it('drops branches from non-branching steps and editor-only fields on save', () => {
+    const [normalized] = normalizeSteps([{ id: 's1', step_type: 'wait', branches: [{ steps: [] }] }])
+    expect(normalized.branches).toBeUndefined()
+
+    const split = { ...createStep('ab_split'), id: 'split', collapsed: true }
+    const [serialized] = serializeSteps([split])
+    expect(serialized.collapsed).toBeUndefined()
+    expect(serialized.branches.map(b => b.percentage)).toEqual([50, 50])
+  })
+})
+
+describe('tree operations', () => {
+  it('moves the following steps into the first branch when a branch step is inserted mid-list', () => {
+    const condition = { ...createStep('condition'), id: 'cond' }
+    const tree = insertStep([step('a'), step('b'), step('c')], null, 1, condition)
+
+    expect(ids(tree)).toEqual(['a', 'cond'])
+    expect(ids(tree[1].branches[0].steps)).toEqual(['b', 'c'])
+    expect(tree[1].branches[1].steps).toEqual([])
+  })
+
+  it('inserts, updates and removes inside branches', () => {
+    let tree = [{ ...createStep('condition'), id: 'cond' }]
+    const noBranch = tree[0].branches[1].id
+
+    tree = insertStep(tree, noBranch, null, step('inner'))
+    expect(findStep(tree, 'inner')).toMatchObject({ parentId: noBranch, index: 0 })
+    expect(ids(getStepList(tree, noBranch))).toEqual(['inner'])
+
+    tree = updateStep(tree, 'inner', s => ({ ...s, config: { subject: 'Hi' } }))
+    expect(findStep(tree, 'inner').step.config).toEqual({ subject: 'Hi' })
+    expect(countSteps(tree)).toBe(2)
+
+    tree = removeStep(tree, 'inner')
+    expect(findStep(tree, 'inner')).toBeNull()
+    expect(countSteps(tree)).toBe(1)
+  })
+
+  it('never moves a step below a branching step', () => {
+    const tree = [step('a'), step('b'), { ...createStep('ab_split'), id: 'split' }]
+
+    expect(ids(moveStep(tree, 'a', 1))).toEqual(['b', 'a', 'split'])
+    expect(ids(moveStep(tree, 'b', 1))).toEqual(['a', 'b', 'split'])
+    expect(ids(moveStep(tree, 'a', -1))).toEqual(['a', 'b', 'split'])
+  })
+})
+
+describe('A/B split paths', () => {
+  it('rebalances percentages as paths are added and removed', () => {
+    let split = createStep('ab_split')
+    split = addSplitPath(split)
+    expect(split.branches.map(b => b.percentage)).toEqual([34, 33, 33])
+
+    split = removeSplitPath(split, split.branches[0].id)
+    expect(split.branches.map(b => [b.label, b.percentage])).toEqual([['Path A', 50], ['Path B', 50]])
+  })
+
+  it('does not reuse the key of a removed path', () => {
+    let split = addSplitPath(createStep('ab_split'))
+    split = removeSplitPath(split, split.branches[1].id)
+    expect(split.branches.map(b => b.key)).toEqual(['path_0', 'path_2'])
+
+    split = addSplitPath(split)
+    expect(split.branches.map(b => b.key)).toEqual(['path_0', 'path_2', 'path_3'])
+  })
+
+  it('keeps between 2 and 5 paths', () => {
+    const two = createStep('ab_split')
+    expect(removeSplitPath(two, two.branches[0].id)).toBe(two)
+
+    let split = two
+    for (let i = 0; i < 10; i++) split = addSplitPath(split)
+    expect(split.branches).toHaveLength(5)
+  })
+})
+
+describe('webhook bodies', () => {
+  it('JSON-escapes values and blanks unknown tokens', () => {
+    expect(renderWebhookBody('{"name": "{{ first_name }}", "x": "{{missing}}"}', { first_name: 'Jo "JJ"' }))
+      .toBe('{"name": "Jo \\"JJ\\"", "x": ""}')
+  })
+
+  it('reports bodies that are not JSON once filled', () => {
+    expect(validateWebhookBody('{"email": "{{email}}"}')).toBeNull()
+    expect(validateWebhookBody('{"email": {{email}}}')).toMatch(/not valid JSON/)
+  })
+})
+
+describe('validateSteps', () => {
+  it('flags problems in nested steps by id', () => {
+    const split = { ...createStep('ab_split'), id: 'split' }
+    split.branches[0].percentage = 70
+    split.branches[1].steps = [
+      step('hook', 'webhook', { config: { url: 'ftp://example.com', body: '' } }),
+      step('tagwait', 'wait_until', { config: { event: 'tag_added', timeoutDuration: 2 } }),
+      step('cond', 'condition', { config: { rules: [{ source: 'field', field: 'city', operator: 'is_set', value: '' }] } }),
+    ]
+
+    expect(validateSteps([split])).toEqual({
+      split: 'Split percentages add up to 120%, not 100%',
+      hook: 'Enter a valid webhook URL',
+      tagwait: 'Choose a tag to wait for',
+    })
+  })
+})
@@ -0,0 +1,154 @@
+import { describe, it, expect } from 'vitest'
+import {
+  getMergeValues,
+  renderMergeTags,
+  splitBucket,
+  simulateAutomation,
+  formatElapsed,
+  summarizePaths,
+} from '../../src/components/email/automation-simulator.js'
+import { createStep } from '../../src/components/email/automation-graph.js'
+
+const HOUR = 60 * 60 * 1000
+const START = Date.UTC(2024, 2, 1, 9)
+const CONTACT = { id: 'c-1', email: 'jo@example.com', name: 'Jo Smith', city: 'Austin', tags: ['VIP'] }
+
+const step = (id, stepType, config = {}) => ({ id, step_type: stepType, config })
+const branching = (id, stepType, config) => {
+  const created = { ...createStep(stepType), id }
+  if (config) created.config = config
+  return created
+}
+const run = (steps, options = {}) => simulateAutomation({
+  automation: { id: 'a-1', name: 'Welcome', steps },
+  contact: CONTACT,
+  startAt: START,
+  ...options,
+})
+
+describe('merge tags', () => {
+  it('fills contact values and reports empty or unknown tags', () => {
+    const values = getMergeValues(CONTACT, { name: 'Welcome' })
+    expect(values).toMatchObject({ first_name: 'Jo', last_name: 'Smith', tags: 'VIP', automation_name: 'Welcome' })
+
+    expect(renderMergeTags('Hi {{ first_name }} from {{company}}{{nope}}', values))
+      .toEqual({ text: 'Hi Jo from ', missing: ['company', 'nope'] })
+  })
+
+  it('leaves tags the sender fills in alone, apart from the year', () => {
+    const { text, missing } = renderMergeTags('{{unsubscribe_url}} © {{current_year}}', { current_year: '2024' })
+    expect(text).toBe('{{unsubscribe_url}} © 2024')
+    expect(missing).toEqual([])
+  })
+})
+
+describe('splitBucket', () => {
+  it('gives the same contact the same bucket for a step', () => {
+    const bucket = splitBucket('c-1', 'split')
+    expect(bucket).toBe(splitBucket('c-1', 'split'))
+    expect(bucket).toBeGreaterThanOrEqual(0)
+    expect(bucket).toBeLessThan(100)
+  })
+})
+
+describe('simulateAutomation', () => {
+  it('takes the condition branch that matches the contact', () => {
+    const condition = branching('cond', 'condition', {
+      match: 'any',
+      rules: [
+        { source: 'field', field: 'city', operator: 'equals', value: 'austin' },
+        { source: 'tag', operator: 'has', value: 'nobody' },
+      ],
+    })
+    condition.branches[0].steps = [step('tag-yes', 'add_tag', { tagName: 'texan' })]
+    condition.branches[1].steps = [step('tag-no', 'add_tag', { tagName: 'elsewhere' })]
+
+    const { events, path } = run([condition])
+    expect(events.find(e => e.kind === 'branch').branchLabel).toBe('Yes')
+    expect(path.map(p => p.stepId)).toEqual(['cond', 'tag-yes'])
+
+    condition.config.match = 'all'
+    expect(run([condition]).events.find(e => e.kind === 'branch').branchLabel).toBe('No')
+  })
+
+  it('sends a contact down the A/B path its bucket falls in', () => {
+    const split = branching('split', 'ab_split')
+    const bucket = splitBucket(CONTACT.id, 'split')
+    split.branches[0].percentage = bucket + 1
+    split.branches[1].percentage = 99 - bucket
+
+    expect(run([split]).events[0].branchLabel).toBe(split.branches[0].label)
+
+    split.branches[0].percentage = bucket
+    split.branches[1].percentage = 100 - bucket
+    expect(run([split]).events[0].branchLabel).toBe(split.branches[1].label)
+  })
+
+  it('moves the clock to the awaited event when it happens before the timeout', () => {
+    const waitUntil = branching('wu', 'wait_until', { event: 'email_opened', stepId: 'email', timeoutDuration: 1, timeoutUnit: 'days' })
+    const steps = [step('email', 'send_email', { template_id: 't1', subject: 'Hi' }), waitUntil]
+
+    const opened = run(steps, { behavior: { openDelayHours: 5 } })
+    expect(opened.events.find(e => e.stepId === 'wu').branchLabel).toBe('Event happened')
+    expect(opened.finishedAt).toBe(START + 5 * HOUR)
+  })
+
+  it('gives up after the timeout when the event never comes', () => {
+    const waitUntil = branching('wu', 'wait_until', { event: 'email_opened', timeoutDuration: 1, timeoutUnit: 'days' })
+    const steps = [step('email', 'send_email', { template_id: 't1', subject: 'Hi' }), waitUntil]
+
+    const late = run(steps, { behavior: { openDelayHours: 30 } })
+    expect(late.events.find(e => e.stepId === 'wu').branchLabel).toBe('Timed out')
+    expect(late.finishedAt).toBe(START + 24 * HOUR)
+
+    expect(run(steps, { behavior: { opensEmails: false } }).finishedAt).toBe(START + 24 * HOUR)
+  })
+
+  it('adds wait durations to the clock and ends with an exit event', () => {
+    const { events, finishedAt } = run([step('w', 'wait', { duration: 2, unit: 'hours' })])
+    expect(finishedAt).toBe(START + 2 * HOUR)
+    expect(events.map(e => e.kind)).toEqual(['wait', 'end'])
+  })
+
+  it('warns about emails without a template or subject and empty waits', () => {
+    const { warnings, events } = run([step('email', 'send_email'), step('w', 'wait')])
+    expect(warnings).toEqual([
+      'An email step has no template selected',
+      'An email step has no subject',
+      'A wait step has no duration',
+    ])
+    expect(events[0].title).toBe('(no subject)')
+  })
+
+  it('renders emails from the template with missing tags listed', () => {
+    const templates = [{ id: 't1', name: 'Welcome', subject: 'Hi {{first_name}}', html_content: '<p>{{company}}</p>' }]
+    const [email] = run([step('email', 'send_email', { template_id: 't1' })], { templates }).events
+
+    expect(email.email).toMatchObject({ subject: 'Hi Jo', html: '<p></p>', missing: ['company'] })
+    expect(email.detail).toBe('Template: Welcome')
+  })
+})
+
+describe('formatElapsed', () => {
+  it('shows days and hours, or minutes for short gaps', () => {
+    expect(formatElapsed(0)).toBe('immediately')
+    expect(formatElapsed(2 * 24 * HOUR + 3 * HOUR + 20 * 60000)).toBe('2d 3h')
+    expect(formatElapsed(HOUR + 5 * 60000)).toBe('1h 5m')
+    expect(formatElapsed(1000)).toBe('<1m')
+  })
+})
+
+describe('summarizePaths', () => {
+  it('groups contacts by the branches they took, largest group first', () => {
+    const runs = [
+      { contact: 'a', result: { events: [{ kind: 'email' }] } },
+      { contact: 'b', result: { events: [{ kind: 'branch', branchLabel: 'Yes' }, { kind: 'branch', branchLabel: 'Path A' }] } },
+      { contact: 'c', result: { events: [{ kind: 'branch', branchLabel: 'Yes' }, { kind: 'branch', branchLabel: 'Path A' }] } },
+    ]
+
+    expect(summarizePaths(runs)).toEqual([
+      { key: 'Yes → Path A', contacts: ['b', 'c'] },
+      { key: 'Main path', contacts: ['a'] },
+    ])
+  })
+})
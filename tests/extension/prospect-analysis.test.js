@@ -0,0 +1,90 @@
+import { describe, it, expect } from 'vitest'
+import '../../extension/prospect-analysis.js'
+
+const {
+  parseProspectList,
+  normalizeProspectUrl,
+  getLeadTier,
+  buildAnalyzeRequest,
+  getProspectOriginPatterns,
+} = globalThis.UptradeProspectAnalysis
+
+describe('parseProspectList', () => {
+  it('normalizes pasted domains and URLs to homepages, deduped by domain', () => {
+    const { prospects, invalid } = parseProspectList(`
+      acmeplumbing.com
+      https://www.riversidedental.com/about-us?ref=directory
+      http://AcmePlumbing.com/contact
+      not a website
+    `)
+
+    expect(prospects).toEqual([
+      { url: 'https://acmeplumbing.com/', domain: 'acmeplumbing.com', name: null },
+      { url: 'https://www.riversidedental.com/', domain: 'riversidedental.com', name: null },
+    ])
+    expect(invalid).toEqual(['not a website'])
+  })
+
+  it('uses the website and company columns of a CSV with a header', () => {
+    const { prospects } = parseProspectList([
+      'Company Name,Phone,Website',
+      '"Riverside Dental, LLC",555-0142,riversidedental.com',
+      'Oak Street Bakery,555-0199,https://oakstreetbakery.example.org',
+    ].join('\n'))
+
+    expect(prospects).toEqual([
+      { url: 'https://riversidedental.com/', domain: 'riversidedental.com', name: 'Riverside Dental, LLC' },
+      { url: 'https://oakstreetbakery.example.org/', domain: 'oakstreetbakery.example.org', name: 'Oak Street Bakery' },
+    ])
+  })
+
+  it('finds the domain in header-less CSV rows', () => {
+    const { prospects } = parseProspectList('Acme Plumbing\tacmeplumbing.com\t555-0100')
+    expect(prospects.map(p => p.domain)).toEqual(['acmeplumbing.com'])
+  })
+
+  it('rejects hosts without a public TLD', () => {
+    expect(normalizeProspectUrl('localhost:3000')).toBeNull()
+    expect(normalizeProspectUrl('192.168.1.10')).toBeNull()
+  })
+})
+
+describe('getProspectOriginPatterns', () => {
+  it('covers each site and its subdomains on either scheme, once per domain', () => {
+    const { prospects } = parseProspectList('acmeplumbing.com\nwww.riversidedental.com\nhttp://acmeplumbing.com/contact')
+
+    expect(getProspectOriginPatterns(prospects)).toEqual([
+      '*://acmeplumbing.com/*',
+      '*://*.acmeplumbing.com/*',
+      '*://riversidedental.com/*',
+      '*://*.riversidedental.com/*',
+    ])
+  })
+})
+
+describe('scoring helpers', () => {
+  it('buckets scores into lead tiers', () => {
+    expect(getLeadTier(85)).toBe('hot')
+    expect(getLeadTier(70)).toBe('hot')
+    expect(getLeadTier(40)).toBe('warm')
+    expect(getLeadTier(12)).toBe('cold')
+  })
+
+  it('builds the analyze request from page data', () => {
+    const body = buildAnalyzeRequest({
+      url: 'https://shop.example.com/',
+      domain: 'shop.example.com',
+      techStack: [
+        { name: 'Shopify', type: 'cms' },
+        { name: 'Theme: Dawn', type: 'theme' },
+        { name: 'Google Analytics', type: 'analytics' },
+      ],
+      signals: { hasContactForm: true, companyName: 'Example Shop' },
+    })
+
+    expect(body.techStack).toMatchObject({ platform: 'Shopify', theme: 'Theme: Dawn', analytics: ['Google Analytics'] })
+    expect(body.signals).toMatchObject({ hasContactForm: true, isHttps: true, mobilePageSpeed: null })
+    expect(body.businessInfo).toMatchObject({ companyName: 'Example Shop', hasEcommerce: true })
+    expect(body.auditId).toBeNull()
+  })
+})
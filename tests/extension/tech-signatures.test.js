@@ -0,0 +1,190 @@
+import { describe, it, expect, beforeAll } from 'vitest'
+import { readFileSync } from 'node:fs'
+import { fileURLToPath } from 'node:url'
+import { Window } from 'happy-dom'
+import '../../extension/tech-signatures.js'
+
+const engine = globalThis.UptradeTechSignatures
+const db = JSON.parse(readFileSync(new URL('../../extension/signatures.json', import.meta.url), 'utf8'))
+
+function loadFixture(name, extras = {}) {
+  const path = fileURLToPath(new URL(`./fixtures/tech-stack/${name}`, import.meta.url))
+  const window = new Window()
+  const doc = new window.DOMParser().parseFromString(readFileSync(path, 'utf8'), 'text/html')
+  return engine.snapshotPage(doc, { cookies: {}, ...extras })
+}
+
+// Saved pages plus the headers, cookies and globals the live page would expose
+const fixtures = [
+  {
+    file: 'wordpress.html',
+    headers: { Server: 'nginx/1.25.3', 'X-Powered-By': 'PHP/8.2.1' },
+    globals: { jQuery: 'true', 'jQuery.fn.jquery': '3.7.1' },
+    expected: [
+      { name: 'WordPress', version: '6.4.2' },
+      { name: 'astra', type: 'theme' },
+      { name: 'Elementor', version: '3.18.3' },
+      { name: 'WooCommerce', version: '8.4.0' },
+      { name: 'Yoast SEO', version: '21.7' },
+      { name: 'Contact Form 7' },
+      { name: 'jQuery 3.7.1', version: '3.7.1' },
+      { name: 'Nginx', version: '1.25.3' },
+      { name: 'PHP', version: '8.2.1' },
+    ],
+    absent: ['Shopify', 'React', 'Divi'],
+  },
+  {
+    file: 'shopify.html',
+    cookies: { _shopify_y: 'abc123' },
+    globals: { Shopify: 'true', 'Shopify.theme.name': 'Dawn' },
+    expected: [
+      { name: 'Shopify', type: 'cms' },
+      { name: 'Theme: Dawn', type: 'theme' },
+      { name: 'Klaviyo' },
+    ],
+    // Shopify renders with React internally - not useful for prospecting
+    absent: ['React', 'WordPress'],
+  },
+  {
+    file: 'nextjs.html',
+    headers: { 'x-powered-by': 'Next.js', 'x-vercel-id': 'iad1::k3j2h1' },
+    expected: [
+      { name: 'Next.js', type: 'framework' },
+      { name: 'React', type: 'framework' },
+      { name: 'Vercel', type: 'hosting' },
+      { name: 'Tailwind CSS' },
+    ],
+    absent: ['WordPress', 'Vue.js'],
+  },
+  {
+    file: 'static.html',
+    expected: [],
+    exact: true,
+  },
+]
+
+describe('tech signature database', () => {
+  it('has unique names and the fields the popup renders', () => {
+    const names = db.technologies.map(s => s.name)
+    expect(new Set(names).size).toBe(names.length)
+    for (const signature of db.technologies) {
+      expect(signature.type, signature.name).toBeTypeOf('string')
+      expect(signature.icon, signature.name).toBeTypeOf('string')
+    }
+    expect(engine.isValidDatabase(db)).toBe(true)
+  })
+
+  it('only references technologies that exist', () => {
+    const names = new Set(db.technologies.map(s => s.name))
+    for (const signature of db.technologies) {
+      for (const ref of [...(signature.implies || []), ...(signature.requires || []), ...(signature.excludedBy || [])]) {
+        expect(names.has(ref), `${signature.name} -> ${ref}`).toBe(true)
+      }
+      if (signature.label) {
+        expect(signature.label, signature.name).toContain('{version}')
+      }
+    }
+  })
+
+  it('compiles every pattern', () => {
+    for (const signature of db.technologies) {
+      const patterns = [
+        ...(signature.html || []),
+        ...(signature.scriptSrc || []),
+        ...['meta', 'headers', 'cookies', 'globals'].flatMap(key => Object.values(signature[key] || {})),
+      ]
+      for (const pattern of patterns) {
+        expect(() => engine.compilePattern(pattern), signature.name).not.toThrow()
+      }
+    }
+  })
+})
+
+describe('tech signatures against saved pages', () => {
+  for (const fixture of fixtures) {
+    describe(fixture.file, () => {
+      let detected
+
+      beforeAll(() => {
+        const page = loadFixture(fixture.file, {
+          headers: fixture.headers,
+          cookies: fixture.cookies,
+          globals: fixture.globals,
+        })
+        detected = engine.detectTechnologies(db.technologies, page)
+      })
+
+      it('detects the expected technologies', () => {
+        for (const expected of fixture.expected) {
+          expect(detected).toContainEqual(expect.objectContaining(expected))
+        }
+        if (fixture.exact) {
+          expect(detected.map(t => t.name)).toEqual(fixture.expected.map(t => t.name))
+        }
+      })
+
+      if (fixture.absent) {
+        it('does not report unrelated technologies', () => {
+          const names = detected.map(t => t.name)
+          for (const name of fixture.absent) {
+            expect(names).not.toContain(name)
+          }
+        })
+      }
+    })
+  }
+})
+
+describe('signature engine', () => {
+  const page = (overrides = {}) => ({
+    html: '',
+    scripts: [],
+    meta: {},
+    headers: {},
+    cookies: {},
+    globals: {},
+    matches: () => false,
+    ...overrides,
+  })
+
+  it('requires every part of an AND group', () => {
+    const technologies = [{ name: 'Magento', type: 'cms', icon: '', html: [['mage/', 'Magento_']] }]
+    expect(engine.detectTechnologies(technologies, page({ html: 'mage/cookies.js' }))).toEqual([])
+    expect(engine.detectTechnologies(technologies, page({ html: 'mage/ Magento_Theme' }))).toHaveLength(1)
+  })
+
+  it('honours minMatches', () => {
+    const technologies = [{ name: 'Tailwind CSS', type: 'library', icon: '', minMatches: 2, html: ['px-', 'rounded-'] }]
+    expect(engine.detectTechnologies(technologies, page({ html: 'px-4' }))).toEqual([])
+    expect(engine.detectTechnologies(technologies, page({ html: 'px-4 rounded-md' }))).toHaveLength(1)
+  })
+
+  it('resolves implies, requires and excludedBy', () => {
+    const technologies = [
+      { name: 'Shopify', type: 'cms', icon: '', headers: { 'x-shopid': '' } },
+      { name: 'Shopify Theme', label: 'Theme: {version}', type: 'theme', icon: '', requires: ['Shopify'], globals: { 'Shopify.theme.name': { regex: '(.+)', version: '$1' } } },
+      { name: 'Next.js', type: 'framework', icon: '', html: ['/_next/'], implies: ['React'] },
+      { name: 'React', type: 'framework', icon: '', excludedBy: ['Shopify'] },
+    ]
+
+    expect(engine.detectTechnologies(technologies, page({ html: '/_next/' })).map(t => t.name))
+      .toEqual(['Next.js', 'React'])
+
+    expect(engine.detectTechnologies(technologies, page({
+      html: '/_next/',
+      headers: { 'x-shopid': '1' },
+      globals: { 'Shopify.theme.name': 'Dawn' },
+    })).map(t => t.name)).toEqual(['Shopify', 'Theme: Dawn', 'Next.js'])
+
+    // Theme signature never runs without Shopify
+    expect(engine.detectTechnologies(technologies, page({ globals: { 'Shopify.theme.name': 'Dawn' } }))).toEqual([])
+  })
+
+  it('reads nested globals, reporting objects as present', () => {
+    const win = { jQuery: Object.assign(() => {}, { fn: { jquery: '3.7.1' } }), Shopify: { theme: null } }
+    expect(engine.readGlobals(['jQuery', 'jQuery.fn.jquery', 'Shopify.theme.name', 'Missing.path'], win)).toEqual({
+      jQuery: 'true',
+      'jQuery.fn.jquery': '3.7.1',
+    })
+  })
+})
@@ -0,0 +1,225 @@
+import { describe, it, expect } from 'vitest'
+import {
+  toDayIndex,
+  getTaskSpan,
+  sortByDependencies,
+  wouldCreateCycle,
+  rescheduleTask,
+  computeCriticalPath,
+  getDeadlineSlippage,
+} from '../../src/components/projects/taskSchedule.js'
+
+const day = toDayIndex
+const span = (start, end) => ({ start: day(start), end: day(end) })
+const fs = (taskId, lag = 0) => ({ task_id: taskId, type: 'finish_to_start', lag_days: lag })
+const ss = (taskId, lag = 0) => ({ task_id: taskId, type: 'start_to_start', lag_days: lag })
+
+function byId(updates) {
+  return Object.fromEntries(updates.map(update => [update.id, update]))
+}
+
+describe('getTaskSpan', () => {
+  it('treats a task with one date as a one-day task', () => {
+    expect(getTaskSpan({ start_date: '2024-03-04' })).toEqual(span('2024-03-04', '2024-03-04'))
+    expect(getTaskSpan({ due_date: '2024-03-04' })).toEqual(span('2024-03-04', '2024-03-04'))
+  })
+
+  it('puts milestones on their due date only', () => {
+    expect(getTaskSpan({ is_milestone: true, start_date: '2024-03-01', due_date: '2024-03-04' }))
+      .toEqual(span('2024-03-04', '2024-03-04'))
+    expect(getTaskSpan({ is_milestone: true, start_date: '2024-03-01' })).toBeNull()
+  })
+
+  it('orders reversed dates and ignores undated tasks', () => {
+    expect(getTaskSpan({ start_date: '2024-03-06', due_date: '2024-03-02' })).toEqual(span('2024-03-02', '2024-03-06'))
+    expect(getTaskSpan({})).toBeNull()
+  })
+})
+
+describe('sortByDependencies / wouldCreateCycle', () => {
+  it('puts predecessors first', () => {
+    const tasks = [
+      { id: 'c', dependencies: [fs('b')] },
+      { id: 'b', dependencies: [fs('a')] },
+      { id: 'a' },
+    ]
+    expect(sortByDependencies(tasks).map(task => task.id)).toEqual(['a', 'b', 'c'])
+  })
+
+  it('still returns every task when there is a cycle', () => {
+    const tasks = [
+      { id: 'a', dependencies: [fs('b')] },
+      { id: 'b', dependencies: [fs('a')] },
+    ]
+    expect(sortByDependencies(tasks).map(task => task.id).sort()).toEqual(['a', 'b'])
+  })
+
+  it('spots direct, indirect and self loops', () => {
+    const tasks = [
+      { id: 'a' },
+      { id: 'b', dependencies: [fs('a')] },
+      { id: 'c', dependencies: [fs('b')] },
+    ]
+    expect(wouldCreateCycle(tasks, 'a', 'c')).toBe(true)
+    expect(wouldCreateCycle(tasks, 'a', 'b')).toBe(true)
+    expect(wouldCreateCycle(tasks, 'a', 'a')).toBe(true)
+    expect(wouldCreateCycle(tasks, 'c', 'a')).toBe(false)
+  })
+})
+
+describe('rescheduleTask', () => {
+  it('pushes finish-to-start dependents to the day after, keeping their duration', () => {
+    const tasks = [
+      { id: 'a', start_date: '2024-03-01', due_date: '2024-03-03' },
+      { id: 'b', start_date: '2024-03-04', due_date: '2024-03-05', dependencies: [fs('a')] },
+    ]
+    const updates = byId(rescheduleTask(tasks, 'a', span('2024-03-01', '2024-03-05')))
+
+    expect(updates.a).toEqual({ id: 'a', start_date: '2024-03-01', due_date: '2024-03-05' })
+    expect(updates.b).toEqual({ id: 'b', start_date: '2024-03-06', due_date: '2024-03-07' })
+  })
+
+  it('adds lag days', () => {
+    const tasks = [
+      { id: 'a', start_date: '2024-03-01', due_date: '2024-03-03' },
+      { id: 'b', start_date: '2024-03-04', due_date: '2024-03-04', dependencies: [fs('a', 2)] },
+    ]
+    const updates = byId(rescheduleTask(tasks, 'a', span('2024-03-01', '2024-03-05')))
+    expect(updates.b).toMatchObject({ start_date: '2024-03-08', due_date: '2024-03-08' })
+  })
+
+  it('lines start-to-start dependents up with the predecessor start', () => {
+    const tasks = [
+      { id: 'a', start_date: '2024-03-01', due_date: '2024-03-03' },
+      { id: 'b', start_date: '2024-03-01', due_date: '2024-03-02', dependencies: [ss('a')] },
+    ]
+    const updates = byId(rescheduleTask(tasks, 'a', span('2024-03-04', '2024-03-06')))
+    expect(updates.b).toMatchObject({ start_date: '2024-03-04', due_date: '2024-03-05' })
+  })
+
+  it('lets work start on the day a milestone lands', () => {
+    const tasks = [
+      { id: 'm', is_milestone: true, due_date: '2024-03-05' },
+      { id: 'b', start_date: '2024-03-06', due_date: '2024-03-07', dependencies: [fs('m')] },
+    ]
+    const updates = byId(rescheduleTask(tasks, 'm', span('2024-03-10', '2024-03-10')))
+
+    expect(updates.m).toEqual({ id: 'm', start_date: null, due_date: '2024-03-10' })
+    expect(updates.b).toMatchObject({ start_date: '2024-03-10', due_date: '2024-03-11' })
+  })
+
+  it('moves dependents of dependents', () => {
+    const tasks = [
+      { id: 'a', start_date: '2024-03-01', due_date: '2024-03-01' },
+      { id: 'b', start_date: '2024-03-02', due_date: '2024-03-02', dependencies: [fs('a')] },
+      { id: 'c', start_date: '2024-03-03', due_date: '2024-03-04', dependencies: [fs('b')] },
+    ]
+    const updates = byId(rescheduleTask(tasks, 'a', span('2024-03-02', '2024-03-02')))
+
+    expect(updates.b).toMatchObject({ start_date: '2024-03-03' })
+    expect(updates.c).toMatchObject({ start_date: '2024-03-04', due_date: '2024-03-05' })
+  })
+
+  it('never pulls dependents earlier and leaves completed tasks alone', () => {
+    const tasks = [
+      { id: 'a', start_date: '2024-03-01', due_date: '2024-03-03' },
+      { id: 'b', start_date: '2024-03-10', due_date: '2024-03-11', dependencies: [fs('a')] },
+      { id: 'c', status: 'completed', start_date: '2024-03-04', due_date: '2024-03-04', dependencies: [fs('a')] },
+    ]
+
+    expect(rescheduleTask(tasks, 'a', span('2024-03-01', '2024-03-01')).map(update => update.id)).toEqual(['a'])
+    expect(rescheduleTask(tasks, 'a', span('2024-03-01', '2024-03-05')).map(update => update.id)).toEqual(['a'])
+  })
+
+  it('does not loop forever on circular dependencies', () => {
+    const tasks = [
+      { id: 'a', start_date: '2024-03-01', due_date: '2024-03-01', dependencies: [fs('b')] },
+      { id: 'b', start_date: '2024-03-02', due_date: '2024-03-02', dependencies: [fs('a')] },
+    ]
+    const updates = byId(rescheduleTask(tasks, 'a', span('2024-03-05', '2024-03-05')))
+    expect(updates.b).toMatchObject({ start_date: '2024-03-06' })
+  })
+})
+
+describe('computeCriticalPath', () => {
+  it('marks the chain that sets the finish and gives other tasks slack', () => {
+    const tasks = [
+      { id: 'a', start_date: '2024-03-01', due_date: '2024-03-03' },
+      { id: 'b', start_date: '2024-03-04', due_date: '2024-03-06', dependencies: [fs('a')] },
+      { id: 'c', start_date: '2024-03-01', due_date: '2024-03-02' },
+    ]
+    const { critical, slack, finish } = computeCriticalPath(tasks)
+
+    expect(finish).toBe(day('2024-03-06'))
+    expect([...critical].sort()).toEqual(['a', 'b'])
+    expect(slack.get('c')).toBe(4)
+  })
+
+  it('accounts for start-to-start lag', () => {
+    const tasks = [
+      { id: 'a', start_date: '2024-03-01', due_date: '2024-03-04' },
+      { id: 'b', start_date: '2024-03-02', due_date: '2024-03-03', dependencies: [ss('a', 1)] },
+    ]
+    const { critical, slack } = computeCriticalPath(tasks)
+
+    expect([...critical]).toEqual(['a'])
+    expect(slack.get('b')).toBe(1)
+  })
+
+  it('runs through milestones without a gap day', () => {
+    const tasks = [
+      { id: 'a', start_date: '2024-03-01', due_date: '2024-03-04' },
+      { id: 'm', is_milestone: true, due_date: '2024-03-05', dependencies: [fs('a')] },
+    ]
+    expect([...computeCriticalPath(tasks).critical].sort()).toEqual(['a', 'm'])
+  })
+
+  it('ignores completed and undated tasks', () => {
+    const tasks = [
+      { id: 'a', start_date: '2024-03-01', due_date: '2024-03-02' },
+      { id: 'done', status: 'completed', start_date: '2024-03-01', due_date: '2024-03-20' },
+      { id: 'undated' },
+    ]
+    const { critical, finish } = computeCriticalPath(tasks)
+
+    expect(finish).toBe(day('2024-03-02'))
+    expect([...critical]).toEqual(['a'])
+  })
+
+  it('returns an empty result with nothing scheduled', () => {
+    expect(computeCriticalPath([{ id: 'a' }]).finish).toBeNull()
+  })
+})
+
+describe('getDeadlineSlippage', () => {
+  const tasks = [
+    { id: 't1', deliverable_id: 'del-1', start_date: '2024-03-01', due_date: '2024-03-07' },
+    { id: 't2', deliverable_id: 'del-2', start_date: '2024-03-01', due_date: '2024-03-03' },
+    { id: 't3', status: 'completed', deliverable_id: 'del-2', due_date: '2024-03-30' },
+  ]
+
+  it('measures deliverable deadlines against their linked tasks', () => {
+    const [late, onTrack] = getDeadlineSlippage([
+      { id: 'x', item_type: 'deliverable', item_id: 'del-1', dueDate: '2024-03-05' },
+      { id: 'y', item_type: 'deliverable', item_id: 'del-2', dueDate: '2024-03-05' },
+    ], tasks)
+
+    expect(late).toMatchObject({ plannedFinish: day('2024-03-07'), slipDays: 2 })
+    expect(onTrack).toMatchObject({ plannedFinish: day('2024-03-03'), slipDays: 0 })
+  })
+
+  it('measures project deadlines against every open task', () => {
+    const [result] = getDeadlineSlippage([{ id: 'p', item_type: 'project', due_date: '2024-03-06' }], tasks)
+    expect(result).toMatchObject({ day: day('2024-03-06'), slipDays: 1 })
+  })
+
+  it('reports null without related work and drops undated deadlines', () => {
+    const results = getDeadlineSlippage([
+      { id: 'z', item_type: 'deliverable', item_id: 'del-9', dueDate: '2024-03-05' },
+      { id: 'none', item_type: 'deliverable', item_id: 'del-1' },
+    ], tasks)
+
+    expect(results).toHaveLength(1)
+    expect(results[0]).toMatchObject({ plannedFinish: null, slipDays: null })
+  })
+})
@@ -0,0 +1,120 @@
+import { describe, it, expect } from 'vitest'
+import {
+  getEntryHours,
+  filterInvoiceableEntries,
+  resolveEntryRate,
+  buildInvoiceLineItems,
+  getLineItemTotals,
+  getEntriesWithoutRate,
+} from '../../src/components/projects/timeInvoicing.js'
+
+const RATES = {
+  default_rate: 100,
+  services: { design: 150 },
+  users: { 'u-senior': 200 },
+}
+
+describe('getEntryHours', () => {
+  it('prefers hours and falls back to minutes', () => {
+    expect(getEntryHours({ hours: '1.5', duration_minutes: 600 })).toBe(1.5)
+    expect(getEntryHours({ duration_minutes: 45 })).toBe(0.75)
+    expect(getEntryHours({})).toBe(0)
+  })
+})
+
+describe('filterInvoiceableEntries', () => {
+  const entries = [
+    { id: 'ok', date: '2024-03-05', hours: 1, project_id: 'p1', user_id: 'u1' },
+    { id: 'billed', date: '2024-03-05', hours: 1, invoice_id: 'inv-1' },
+    { id: 'running', started_at: '2024-03-05T09:00:00Z' },
+    { id: 'unbillable', date: '2024-03-05', hours: 1, billable: false },
+    { id: 'empty', date: '2024-03-05', hours: 0 },
+    { id: 'early', date: '2024-02-28', hours: 1, project_id: 'p1', user_id: 'u1' },
+    { id: 'other-project', date: '2024-03-05', hours: 1, project_id: 'p2', user_id: 'u1' },
+  ]
+
+  it('keeps only stopped, billable, unbilled time', () => {
+    expect(filterInvoiceableEntries(entries).map(e => e.id)).toEqual(['ok', 'early', 'other-project'])
+  })
+
+  it('applies the date range inclusively along with project and user', () => {
+    const result = filterInvoiceableEntries(entries, {
+      startDate: '2024-03-01',
+      endDate: '2024-03-05',
+      projectId: 'p1',
+      userId: 'u1',
+    })
+    expect(result.map(e => e.id)).toEqual(['ok'])
+  })
+})
+
+describe('resolveEntryRate', () => {
+  it('uses the entry rate first', () => {
+    expect(resolveEntryRate({ hourly_rate: 75, service: 'design', user_id: 'u-senior' }, RATES))
+      .toEqual({ rate: 75, source: 'entry' })
+  })
+
+  it('then the service rate, the user rate and the default', () => {
+    expect(resolveEntryRate({ service: 'design', user_id: 'u-senior' }, RATES)).toEqual({ rate: 150, source: 'service' })
+    expect(resolveEntryRate({ category: 'design' }, RATES)).toEqual({ rate: 150, source: 'service' })
+    expect(resolveEntryRate({ service: 'dev', user_id: 'u-senior' }, RATES)).toEqual({ rate: 200, source: 'user' })
+    expect(resolveEntryRate({ service: 'dev', user_id: 'u-other' }, RATES)).toEqual({ rate: 100, source: 'default' })
+  })
+
+  it('skips zero or missing rates and reports when nothing applies', () => {
+    expect(resolveEntryRate({ hourly_rate: 0, user_id: 'u-senior' }, RATES)).toEqual({ rate: 200, source: 'user' })
+    expect(resolveEntryRate({}, {})).toEqual({ rate: 0, source: null })
+  })
+})
+
+describe('buildInvoiceLineItems', () => {
+  it('groups by task and splits a task worked at different rates', () => {
+    const lines = buildInvoiceLineItems([
+      { id: 'a', task_id: 't1', task_title: 'Homepage', hours: 1, user_id: 'u-senior' },
+      { id: 'b', task_id: 't1', task_title: 'Homepage', hours: 2 },
+      { id: 'c', task_id: 't1', task_title: 'Homepage', hours: 0.5, user_id: 'u-senior' },
+      { id: 'd', description: 'Call with client', hours: 0.25 },
+    ], RATES)
+
+    expect(lines.map(({ description, quantity, unitPrice, amount, entryIds }) => ({ description, quantity, unitPrice, amount, entryIds })))
+      .toEqual([
+        { description: 'Homepage (@ $200/h)', quantity: 1.5, unitPrice: 200, amount: 300, entryIds: ['a', 'c'] },
+        { description: 'Homepage (@ $100/h)', quantity: 2, unitPrice: 100, amount: 200, entryIds: ['b'] },
+        { description: 'Call with client', quantity: 0.25, unitPrice: 100, amount: 25, entryIds: ['d'] },
+      ])
+  })
+
+  it('orders day lines by date', () => {
+    const lines = buildInvoiceLineItems([
+      { id: 'a', date: '2024-03-05', hours: 1 },
+      { id: 'b', date: '2024-03-01', hours: 1 },
+    ], RATES, 'day')
+
+    expect(lines.map(line => line.description)).toEqual(['Mar 1, 2024', 'Mar 5, 2024'])
+  })
+
+  it('rounds hours per line before pricing so quantity x rate matches the amount', () => {
+    const lines = buildInvoiceLineItems([
+      { id: 'a', duration_minutes: 20 },
+      { id: 'b', duration_minutes: 20 },
+    ], { default_rate: 95 }, 'summary')
+
+    expect(lines).toHaveLength(1)
+    expect(lines[0]).toMatchObject({ description: 'Professional services', quantity: 0.67, amount: 63.65 })
+    expect(lines[0].amount).toBe(Math.round(lines[0].quantity * lines[0].unitPrice * 100) / 100)
+  })
+})
+
+describe('getLineItemTotals / getEntriesWithoutRate', () => {
+  it('sums lines to cents', () => {
+    expect(getLineItemTotals([
+      { quantity: 0.1, amount: 10.1 },
+      { quantity: 0.2, amount: 20.2 },
+    ])).toEqual({ hours: 0.3, amount: 30.3 })
+  })
+
+  it('lists entries that would be invoiced at $0', () => {
+    const entries = [{ id: 'a', hourly_rate: 50 }, { id: 'b' }]
+    expect(getEntriesWithoutRate(entries, {}).map(e => e.id)).toEqual(['b'])
+  })
+})
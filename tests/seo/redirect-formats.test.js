@@ -0,0 +1,33 @@
+import { describe, it, expect } from 'vitest'
+import { parseRedirects, serializeRedirects } from '../../src/lib/seo/redirect-formats.js'
+
+describe('parseRedirects (csv)', () => {
+  it('splits on the delimiter the header row uses', () => {
+    const { rules, errors } = parseRedirects('from,to\n/old;jsessionid=1,/new\n', 'csv')
+    expect(errors).toEqual([])
+    expect(rules).toHaveLength(1)
+    expect(rules[0]).toMatchObject({ from_path: '/old;jsessionid=1', to_path: '/new' })
+  })
+
+  it('reads semicolon-separated files, keeping commas inside values', () => {
+    const { rules } = parseRedirects('source;destination;status\n/a,b;/c;302\n', 'csv')
+    expect(rules[0]).toMatchObject({ from_path: '/a,b', to_path: '/c', redirect_type: 302 })
+  })
+
+  it('reads tab-separated files', () => {
+    const { rules } = parseRedirects('from\tto\n/old\t/new,page\n', 'csv')
+    expect(rules[0]).toMatchObject({ from_path: '/old', to_path: '/new,page' })
+  })
+
+  it('ignores delimiters inside quoted fields when detecting', () => {
+    const { rules } = parseRedirects('"/a;b;c",/z\n', 'csv')
+    expect(rules[0]).toMatchObject({ from_path: '/a;b;c', to_path: '/z' })
+  })
+
+  it('round-trips exported rules with separators in the paths', () => {
+    const original = [{ from_path: '/old;v=1', to_path: '/new\tpage', redirect_type: 301, match_type: 'exact', query_handling: 'keep' }]
+    const { content } = serializeRedirects(original, 'csv')
+    const { rules } = parseRedirects(content, 'csv')
+    expect(rules[0]).toMatchObject({ from_path: '/old;v=1', to_path: '/new\tpage' })
+  })
+})
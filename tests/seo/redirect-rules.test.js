@@ -0,0 +1,90 @@
+import { describe, it, expect } from 'vitest'
+import * as portal from '../../src/lib/seo/redirect-rules.js'
+import * as siteKit from '../../packages/site-kit/src/redirects/matcher.ts'
+
+// The Redirect Manager's tester and the site middleware must agree on every
+// rule, so each fixture runs through both implementations
+const RULES = [
+  { from_path: '/old-page/', to_path: '/new-page', redirect_type: '301' },
+  { from_path: '/blog/*', to_path: '/articles/*', redirect_type: '301', match_type: 'wildcard' },
+  { from_path: '/product/:slug', to_path: '/shop/:slug', redirect_type: '308', match_type: 'param' },
+  { from_path: '/docs/:rest*', to_path: '/help/:rest', redirect_type: '301', match_type: 'param' },
+  { from_path: '^/p/(\\d+)/(?<title>.*)$', to_path: '/posts/$1/$<title>', redirect_type: '302', match_type: 'regex' },
+  { from_path: '/legacy/(.*)', to_path: '/modern/$1', redirect_type: '301', is_regex: true },
+  { from_path: '/keep', to_path: '/kept?ref=rule', redirect_type: '301', query_handling: 'keep' },
+  { from_path: '/merge', to_path: '/merged?ref=rule', redirect_type: '301', query_handling: 'merge' },
+  { from_path: '/drop', to_path: '/dropped', redirect_type: '301', query_handling: 'drop' },
+  { from_path: '/chain-a', to_path: '/chain-b', redirect_type: '301' },
+  { from_path: '/chain-b', to_path: '/chain-c', redirect_type: '302' },
+  { from_path: '/loop-a', to_path: '/loop-b', redirect_type: '301' },
+  { from_path: '/loop-b', to_path: '/loop-a', redirect_type: '301' },
+  { from_path: '/offsite', to_path: 'https://example.com/elsewhere', redirect_type: '301' },
+  { from_path: '/category/:name', to_path: '/fallback', redirect_type: '301', match_type: 'param' },
+]
+
+const CASES = [
+  { path: '/old-page', search: '', expected: { destination: '/new-page', statusCode: 301, loop: false } },
+  { path: '/blog/2024/hello', search: '', expected: { destination: '/articles/2024/hello', statusCode: 301, loop: false } },
+  { path: '/product/blue-shirt/', search: '', expected: { destination: '/shop/blue-shirt', statusCode: 308, loop: false } },
+  { path: '/docs/a/b/c', search: '', expected: { destination: '/help/a/b/c', statusCode: 301, loop: false } },
+  { path: '/p/42/my-post', search: '', expected: { destination: '/posts/42/my-post', statusCode: 302, loop: false } },
+  { path: '/legacy/x/y', search: '', expected: { destination: '/modern/x/y', statusCode: 301, loop: false } },
+  { path: '/keep', search: '?ref=visitor&a=1', expected: { destination: '/kept?ref=visitor&a=1', statusCode: 301, loop: false } },
+  { path: '/merge', search: '?ref=visitor&a=1', expected: { destination: '/merged?ref=rule&a=1', statusCode: 301, loop: false } },
+  { path: '/drop', search: '?a=1', expected: { destination: '/dropped', statusCode: 301, loop: false } },
+  { path: '/chain-a', search: '', expected: { destination: '/chain-c', statusCode: 302, loop: false } },
+  { path: '/loop-a', search: '', expected: { loop: true } },
+  { path: '/offsite', search: '?a=1', expected: { destination: 'https://example.com/elsewhere?a=1', statusCode: 301, loop: false } },
+  { path: '/category/shoes', search: '', expected: { destination: '/fallback', statusCode: 301, loop: false } },
+  { path: '/no/match/here', search: '', expected: null },
+]
+
+// Compare what a visitor would see, not each implementation's internals
+function summarize(result) {
+  if (!result) return null
+  return {
+    destination: result.destination,
+    statusCode: result.statusCode,
+    loop: result.loop,
+    hops: result.hops.map(hop => [hop.rule.from_path, hop.destination]),
+  }
+}
+
+describe('redirect matching parity with site-kit', () => {
+  it.each(CASES.map(c => [`${c.path}${c.search}`, c]))('%s', (_, { path, search, expected }) => {
+    const fromPortal = summarize(portal.resolveRedirectChain(path, search, RULES))
+    const fromSiteKit = summarize(siteKit.resolveRedirectChain(path, search, RULES))
+
+    expect(fromPortal).toEqual(fromSiteKit)
+    if (expected === null) {
+      expect(fromPortal).toBeNull()
+    } else {
+      expect(fromPortal).toMatchObject(expected)
+    }
+  })
+
+  it('stops long chains at the same hop limit', () => {
+    const rules = Array.from({ length: 15 }, (_, i) => ({
+      from_path: `/step-${i}`,
+      to_path: `/step-${i + 1}`,
+      redirect_type: '301',
+    }))
+    const fromPortal = summarize(portal.resolveRedirectChain('/step-0', '', rules))
+    const fromSiteKit = summarize(siteKit.resolveRedirectChain('/step-0', '', rules))
+
+    expect(fromPortal).toEqual(fromSiteKit)
+    expect(fromPortal.loop).toBe(true)
+    expect(fromPortal.hops).toHaveLength(10)
+  })
+
+  it('skips invalid regex rules in both', () => {
+    const rules = [
+      { from_path: '([', to_path: '/broken', redirect_type: '301', match_type: 'regex' },
+      { from_path: '/ok', to_path: '/fine', redirect_type: '301' },
+    ]
+    expect(portal.compileRedirectRule(rules[0]).pattern).toBeNull()
+    expect(siteKit.compileRedirectRule(rules[0]).pattern).toBeNull()
+    expect(summarize(portal.resolveRedirectChain('/ok', '', rules)))
+      .toEqual(summarize(siteKit.resolveRedirectChain('/ok', '', rules)))
+  })
+})